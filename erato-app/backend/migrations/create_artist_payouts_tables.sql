@@ -0,0 +1,104 @@
+-- Artist ledger and payouts
+-- Every movement of an artist's net earnings (held -> releasable -> in_transit
+-- -> paid_out) is one ledger row; payouts are sent in batches by
+-- src/utils/payouts/index.js.
+
+-- Where an artist wants to be paid
+ALTER TABLE artists ADD COLUMN IF NOT EXISTS payout_method VARCHAR(20) DEFAULT 'paypal'
+  CHECK (payout_method IN ('paypal', 'stripe'));
+ALTER TABLE artists ADD COLUMN IF NOT EXISTS paypal_email VARCHAR(255);
+ALTER TABLE artists ADD COLUMN IF NOT EXISTS stripe_account_id VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS artist_payouts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  artist_id UUID NOT NULL REFERENCES artists(id) ON DELETE CASCADE,
+  provider VARCHAR(20) NOT NULL,
+  destination VARCHAR(255) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'retrying', 'paid', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  provider_batch_id VARCHAR(255),
+  provider_reference VARCHAR(255),
+  paid_at TIMESTAMP WITH TIME ZONE,
+  failed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Saved before the provider is called and reused as its idempotency key
+ALTER TABLE artist_payouts ADD COLUMN IF NOT EXISTS batch_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_artist_payouts_artist_id
+  ON artist_payouts(artist_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_artist_payouts_due
+  ON artist_payouts(status, next_attempt_at)
+  WHERE status IN ('pending', 'retrying', 'processing');
+
+CREATE TABLE IF NOT EXISTS artist_ledger_entries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  artist_id UUID NOT NULL REFERENCES artists(id) ON DELETE CASCADE,
+  entry_type VARCHAR(30) NOT NULL
+    CHECK (entry_type IN ('hold', 'release', 'payout', 'payout_paid', 'payout_failed', 'refund')),
+  from_bucket VARCHAR(20) CHECK (from_bucket IN ('held', 'releasable', 'in_transit', 'paid_out')),
+  to_bucket VARCHAR(20) CHECK (to_bucket IN ('held', 'releasable', 'in_transit', 'paid_out')),
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+  commission_id UUID REFERENCES commissions(id) ON DELETE SET NULL,
+  transaction_id UUID REFERENCES payment_transactions(id) ON DELETE SET NULL,
+  payout_id UUID REFERENCES artist_payouts(id) ON DELETE SET NULL,
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (from_bucket IS NOT NULL OR to_bucket IS NOT NULL)
+);
+
+-- Releasable money a payout has claimed is 'reserved' (reserved_for is the
+-- payout's id) so concurrent payout runs cannot pay it twice
+ALTER TABLE artist_ledger_entries ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'available'
+  CHECK (status IN ('available', 'reserved'));
+ALTER TABLE artist_ledger_entries ADD COLUMN IF NOT EXISTS reserved_for UUID;
+
+-- Ledgers written before reservations existed: payout movements, and
+-- everything an artist's latest payout already swept up, are taken
+UPDATE artist_ledger_entries e
+SET status = 'reserved'
+WHERE e.status = 'available'
+  AND (
+    e.entry_type = 'payout'
+    OR e.created_at <= (
+      SELECT MAX(p.created_at) FROM artist_ledger_entries p
+      WHERE p.artist_id = e.artist_id AND p.entry_type = 'payout'
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS idx_artist_ledger_entries_available
+  ON artist_ledger_entries(artist_id)
+  WHERE status = 'available';
+CREATE INDEX IF NOT EXISTS idx_artist_ledger_entries_artist_id
+  ON artist_ledger_entries(artist_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_artist_ledger_entries_commission_id
+  ON artist_ledger_entries(commission_id);
+
+-- Replaying a capture, release or payout result must not move money twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_artist_ledger_entries_transaction_unique
+  ON artist_ledger_entries(transaction_id, entry_type)
+  WHERE transaction_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_artist_ledger_entries_payout_unique
+  ON artist_ledger_entries(payout_id, entry_type)
+  WHERE payout_id IS NOT NULL;
+
+ALTER TABLE artist_payouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE artist_ledger_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Artists can view their payouts"
+  ON artist_payouts
+  FOR SELECT
+  USING (artist_id = auth.uid());
+
+CREATE POLICY "Artists can view their ledger"
+  ON artist_ledger_entries
+  FOR SELECT
+  USING (artist_id = auth.uid());
@@ -0,0 +1,67 @@
+-- Artist commission settings
+-- artist_commission_settings holds every setting the settings service
+-- (src/utils/artistSettings.js) validates. This adds the auto-close rules,
+-- the change history and scheduled open/close windows.
+
+ALTER TABLE artist_commission_settings ADD COLUMN IF NOT EXISTS auto_promote_waitlist BOOLEAN DEFAULT false;
+ALTER TABLE artist_commission_settings ADD COLUMN IF NOT EXISTS auto_close_when_full BOOLEAN DEFAULT false;
+ALTER TABLE artist_commission_settings ADD COLUMN IF NOT EXISTS auto_close_after_requests INTEGER
+  CHECK (auto_close_after_requests IS NULL OR auto_close_after_requests > 0);
+-- When commissions last opened, and how many requests that opening takes
+-- (a window's slots) before closing again
+ALTER TABLE artist_commission_settings ADD COLUMN IF NOT EXISTS opened_at TIMESTAMPTZ;
+ALTER TABLE artist_commission_settings ADD COLUMN IF NOT EXISTS open_request_limit INTEGER
+  CHECK (open_request_limit IS NULL OR open_request_limit > 0);
+ALTER TABLE artist_commission_settings ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Artists without a settings row get one matching their current status, so
+-- is_open and artists.commission_status agree from the start
+INSERT INTO artist_commission_settings (artist_id, is_open)
+SELECT id, commission_status IS DISTINCT FROM 'closed'
+FROM artists
+ON CONFLICT (artist_id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS artist_settings_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  artist_id UUID NOT NULL REFERENCES artists(id) ON DELETE CASCADE,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('artist', 'profile', 'window', 'auto_close')),
+  -- { field: { from, to } }
+  changes JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_artist_settings_history_artist
+  ON artist_settings_history(artist_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS artist_commission_windows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  artist_id UUID NOT NULL REFERENCES artists(id) ON DELETE CASCADE,
+  opens_at TIMESTAMPTZ NOT NULL,
+  closes_at TIMESTAMPTZ CHECK (closes_at IS NULL OR closes_at > opens_at),
+  slots INTEGER CHECK (slots IS NULL OR slots > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+    CHECK (status IN ('scheduled', 'open', 'closed', 'cancelled')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_artist_commission_windows_artist
+  ON artist_commission_windows(artist_id, opens_at);
+-- The scheduler sweep looks for windows due to open or close
+CREATE INDEX IF NOT EXISTS idx_artist_commission_windows_due
+  ON artist_commission_windows(status, opens_at)
+  WHERE status IN ('scheduled', 'open');
+
+ALTER TABLE artist_settings_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE artist_commission_windows ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Artists can view their settings history"
+  ON artist_settings_history
+  FOR SELECT
+  USING (artist_id = auth.uid());
+
+CREATE POLICY "Anyone can view commission windows"
+  ON artist_commission_windows
+  FOR SELECT
+  USING (true);
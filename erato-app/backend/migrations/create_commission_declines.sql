@@ -0,0 +1,21 @@
+-- Soft-declined commissions
+-- Declining a request used to delete the commission and its conversation.
+-- It now keeps the commission with the artist's reason, archives it and
+-- purges the request content after retention (src/utils/declines.js).
+
+ALTER TABLE commissions ADD COLUMN IF NOT EXISTS decline_reason VARCHAR(50);
+ALTER TABLE commissions ADD COLUMN IF NOT EXISTS suggested_artist_id UUID REFERENCES artists(id) ON DELETE SET NULL;
+ALTER TABLE commissions ADD COLUMN IF NOT EXISTS declined_at TIMESTAMPTZ;
+-- Hidden from the default commission lists
+ALTER TABLE commissions ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+-- When the request's details and reference files were removed
+ALTER TABLE commissions ADD COLUMN IF NOT EXISTS purged_at TIMESTAMPTZ;
+
+-- Declined requests waiting to be purged (scheduler rule declined_purge)
+CREATE INDEX IF NOT EXISTS idx_commissions_declined_unpurged
+  ON commissions(declined_at)
+  WHERE status = 'declined' AND purged_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_commissions_artist_decline_reason
+  ON commissions(artist_id, decline_reason)
+  WHERE status = 'declined';
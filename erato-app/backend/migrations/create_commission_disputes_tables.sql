@@ -0,0 +1,80 @@
+-- Commission disputes and mediation
+-- A dispute freezes escrow release and milestone payments until a moderator
+-- resolves it (full refund, partial refund or release to the artist).
+
+-- Moderators are identified by users.role
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'user';
+
+CREATE TABLE IF NOT EXISTS commission_disputes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  commission_id UUID NOT NULL REFERENCES commissions(id) ON DELETE CASCADE,
+  opened_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  opened_by_role VARCHAR(20) NOT NULL CHECK (opened_by_role IN ('client', 'artist')),
+  reason VARCHAR(50) NOT NULL,
+  description TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'under_review', 'resolved', 'withdrawn')),
+  escrow_status_at_open VARCHAR(30),
+  assigned_moderator_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolution VARCHAR(30) CHECK (resolution IN ('full_refund', 'partial_refund', 'release_to_artist')),
+  refund_amount DECIMAL(10, 2) DEFAULT 0,
+  resolution_notes TEXT,
+  resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  closed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Only one active dispute per commission
+CREATE UNIQUE INDEX IF NOT EXISTS idx_commission_disputes_one_active
+  ON commission_disputes(commission_id)
+  WHERE status IN ('open', 'under_review');
+CREATE INDEX IF NOT EXISTS idx_commission_disputes_status ON commission_disputes(status, created_at);
+
+CREATE TABLE IF NOT EXISTS commission_dispute_evidence (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  dispute_id UUID NOT NULL REFERENCES commission_disputes(id) ON DELETE CASCADE,
+  submitted_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  evidence_type VARCHAR(30) NOT NULL CHECK (evidence_type IN ('reference', 'progress_update', 'note')),
+  reference_id UUID REFERENCES commission_references(id) ON DELETE SET NULL,
+  progress_update_id UUID REFERENCES commission_progress_updates(id) ON DELETE SET NULL,
+  file_url TEXT,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Written statements without an upload are evidence too
+ALTER TABLE commission_dispute_evidence
+  DROP CONSTRAINT IF EXISTS commission_dispute_evidence_evidence_type_check;
+ALTER TABLE commission_dispute_evidence
+  ADD CONSTRAINT commission_dispute_evidence_evidence_type_check
+  CHECK (evidence_type IN ('reference', 'progress_update', 'note'));
+
+CREATE INDEX IF NOT EXISTS idx_commission_dispute_evidence_dispute_id ON commission_dispute_evidence(dispute_id);
+
+CREATE TABLE IF NOT EXISTS commission_dispute_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  dispute_id UUID NOT NULL REFERENCES commission_disputes(id) ON DELETE CASCADE,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  event_type VARCHAR(30) NOT NULL,
+  message TEXT,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_commission_dispute_events_dispute_id ON commission_dispute_events(dispute_id, created_at);
+
+ALTER TABLE commission_disputes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE commission_dispute_evidence ENABLE ROW LEVEL SECURITY;
+ALTER TABLE commission_dispute_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Participants can view their commission disputes"
+  ON commission_disputes
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM commissions c
+      WHERE c.id = commission_disputes.commission_id
+        AND (c.client_id = auth.uid() OR c.artist_id = auth.uid())
+    )
+  );
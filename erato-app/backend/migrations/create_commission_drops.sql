@@ -0,0 +1,39 @@
+-- Commission slot drops
+-- A scheduled window with a first_come or lottery allocation is a drop: its
+-- slots are claimed atomically through Redis (src/utils/slotDrops.js).
+-- Clients register interest ahead of time with the request they want to make.
+
+ALTER TABLE artist_commission_windows ADD COLUMN IF NOT EXISTS allocation VARCHAR(20) NOT NULL DEFAULT 'open'
+  CHECK (allocation IN ('open', 'first_come', 'lottery'));
+ALTER TABLE artist_commission_windows DROP CONSTRAINT IF EXISTS artist_commission_windows_drop_slots_check;
+ALTER TABLE artist_commission_windows ADD CONSTRAINT artist_commission_windows_drop_slots_check
+  CHECK (allocation = 'open' OR slots IS NOT NULL);
+
+CREATE TABLE IF NOT EXISTS commission_drop_registrations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  window_id UUID NOT NULL REFERENCES artist_commission_windows(id) ON DELETE CASCADE,
+  artist_id UUID NOT NULL REFERENCES artists(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- The request sent for the client if they win, or waitlisted if they don't
+  details TEXT NOT NULL,
+  client_note TEXT,
+  budget NUMERIC(10, 2),
+  status VARCHAR(20) NOT NULL DEFAULT 'registered'
+    CHECK (status IN ('registered', 'won', 'lost', 'withdrawn')),
+  commission_id UUID REFERENCES commissions(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (window_id, client_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_commission_drop_registrations_window
+  ON commission_drop_registrations(window_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_commission_drop_registrations_client
+  ON commission_drop_registrations(client_id, created_at DESC);
+
+ALTER TABLE commission_drop_registrations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Clients can view their drop registrations"
+  ON commission_drop_registrations
+  FOR SELECT
+  USING (client_id = auth.uid() OR artist_id = auth.uid());
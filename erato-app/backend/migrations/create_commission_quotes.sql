@@ -0,0 +1,76 @@
+-- Commission quotes
+-- Before a commission is accepted the artist sends a priced quote made of
+-- line items and either side can counter it. Each round is one row; the
+-- accepted round sets the commission's final_price (src/utils/quotes.js).
+
+CREATE TABLE IF NOT EXISTS commission_quotes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  commission_id UUID NOT NULL REFERENCES commissions(id) ON DELETE CASCADE,
+  round INTEGER NOT NULL CHECK (round > 0),
+  author_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  author_role VARCHAR(10) NOT NULL CHECK (author_role IN ('artist', 'client')),
+  -- [{ type: base|addon|rush_fee|commercial_license|other, label, amount }]
+  line_items JSONB NOT NULL,
+  total NUMERIC(10, 2) NOT NULL CHECK (total > 0),
+  note TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'accepted', 'rejected', 'countered', 'superseded', 'expired')),
+  valid_until TIMESTAMPTZ,
+  responded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  responded_at TIMESTAMPTZ,
+  response_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (commission_id, round)
+);
+
+-- Only the latest round can be waiting for an answer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_commission_quotes_one_pending
+  ON commission_quotes(commission_id) WHERE status = 'pending';
+
+ALTER TABLE commissions ADD COLUMN IF NOT EXISTS accepted_quote_id UUID
+  REFERENCES commission_quotes(id) ON DELETE SET NULL;
+
+ALTER TABLE commission_quotes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Commission parties can view quotes"
+  ON commission_quotes
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM commissions c
+      WHERE c.id = commission_quotes.commission_id
+        AND (c.client_id = auth.uid() OR c.artist_id = auth.uid())
+    )
+  );
+
+-- Accepting a quote closes the round and starts the commission in one
+-- transaction. Returns the updated commission, or no row when the quote was
+-- already answered or the commission is no longer pending (nothing changes).
+CREATE OR REPLACE FUNCTION accept_commission_quote(p_quote_id UUID, p_responded_by UUID, p_status VARCHAR)
+RETURNS SETOF commissions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_quote commission_quotes%ROWTYPE;
+BEGIN
+  SELECT * INTO v_quote FROM commission_quotes
+  WHERE id = p_quote_id AND status = 'pending'
+  FOR UPDATE;
+  IF NOT FOUND THEN RETURN; END IF;
+
+  PERFORM 1 FROM commissions
+  WHERE id = v_quote.commission_id AND status = 'pending'
+  FOR UPDATE;
+  IF NOT FOUND THEN RETURN; END IF;
+
+  UPDATE commission_quotes
+  SET status = 'accepted', responded_by = p_responded_by, responded_at = NOW(), response_reason = NULL
+  WHERE id = v_quote.id;
+
+  RETURN QUERY
+  UPDATE commissions
+  SET status = p_status, final_price = v_quote.total, accepted_quote_id = v_quote.id, updated_at = NOW()
+  WHERE id = v_quote.commission_id
+  RETURNING *;
+END;
+$$;
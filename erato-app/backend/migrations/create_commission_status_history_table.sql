@@ -0,0 +1,43 @@
+-- Commission status audit trail
+-- Every transition applied by the commission state machine is appended here
+-- so the lifecycle of a commission can be reconstructed (e.g. for disputes).
+-- Rows outlive the commission they describe: deleting it only clears the link.
+
+CREATE TABLE IF NOT EXISTS commission_status_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  commission_id UUID REFERENCES commissions(id) ON DELETE SET NULL,
+  from_status VARCHAR(30),
+  to_status VARCHAR(30) NOT NULL,
+  requested_status VARCHAR(30),
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  actor_role VARCHAR(20) NOT NULL CHECK (actor_role IN ('client', 'artist', 'system', 'moderator')),
+  reason TEXT,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tables created by an earlier version of this migration cascaded deletes
+ALTER TABLE commission_status_history ALTER COLUMN commission_id DROP NOT NULL;
+ALTER TABLE commission_status_history
+  DROP CONSTRAINT IF EXISTS commission_status_history_commission_id_fkey;
+ALTER TABLE commission_status_history
+  ADD CONSTRAINT commission_status_history_commission_id_fkey
+  FOREIGN KEY (commission_id) REFERENCES commissions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_commission_status_history_commission_id
+  ON commission_status_history(commission_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_commission_status_history_actor_id
+  ON commission_status_history(actor_id);
+
+ALTER TABLE commission_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Participants can view commission status history"
+  ON commission_status_history
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM commissions c
+      WHERE c.id = commission_status_history.commission_id
+        AND (c.client_id = auth.uid() OR c.artist_id = auth.uid())
+    )
+  );
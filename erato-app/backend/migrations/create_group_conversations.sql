@@ -0,0 +1,52 @@
+-- Conversation lookup by participant set, and group conversations
+-- A direct conversation is found by the SHA-256 of its sorted participant
+-- ids (src/utils/conversations.js) instead of by comparing the participant
+-- lists of every conversation the user is in. Group conversations have a
+-- title, admins and members, and are never looked up that way: the same
+-- people can share any number of groups.
+
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS participant_hash TEXT;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS is_group BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS title VARCHAR(100);
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- One direct conversation per participant set. Groups keep this NULL
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_participant_hash
+  ON conversations(participant_hash);
+
+ALTER TABLE conversation_participants ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'member'
+  CHECK (role IN ('admin', 'member'));
+ALTER TABLE conversation_participants ADD COLUMN IF NOT EXISTS joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+-- Muted conversations still count unread messages but send no notifications
+-- or pushes. muted_until NULL while muted means until unmuted
+ALTER TABLE conversation_participants ADD COLUMN IF NOT EXISTS muted BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE conversation_participants ADD COLUMN IF NOT EXISTS muted_until TIMESTAMPTZ;
+
+-- Backfill existing conversations. Where the same people already have
+-- several conversations, the most recently active one gets the hash; the
+-- others stay in everyone's list but are no longer returned by lookups.
+WITH participant_sets AS (
+  SELECT
+    conversation_id,
+    encode(sha256(convert_to(
+      string_agg(user_id::text, ',' ORDER BY user_id::text COLLATE "C"),
+      'UTF8'
+    )), 'hex') AS hash
+  FROM conversation_participants
+  GROUP BY conversation_id
+),
+ranked AS (
+  SELECT
+    c.id,
+    s.hash,
+    ROW_NUMBER() OVER (PARTITION BY s.hash ORDER BY c.updated_at DESC NULLS LAST, c.created_at DESC) AS position
+  FROM conversations c
+  JOIN participant_sets s ON s.conversation_id = c.id
+  WHERE c.participant_hash IS NULL AND c.is_group = FALSE
+)
+UPDATE conversations c
+SET participant_hash = ranked.hash
+FROM ranked
+WHERE c.id = ranked.id
+  AND ranked.position = 1
+  AND NOT EXISTS (SELECT 1 FROM conversations taken WHERE taken.participant_hash = ranked.hash);
@@ -0,0 +1,15 @@
+-- Message search
+-- Full-text search over the messages of a user's conversations
+-- (src/utils/messageSearch.js). PostgREST's text search on messages.content
+-- with config 'english' compares against to_tsvector('english', content),
+-- which this index covers.
+
+CREATE INDEX IF NOT EXISTS idx_messages_content_search
+  ON messages USING GIN (to_tsvector('english', content));
+
+-- Filters and paging: newest first within a conversation, by sender
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_created
+  ON messages(conversation_id, created_at DESC) WHERE removed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_sender_created
+  ON messages(sender_id, created_at DESC) WHERE removed_at IS NULL;
@@ -0,0 +1,62 @@
+-- Moderation
+-- Staff roles on users, account suspensions and bans, content takedowns and
+-- an audit log of every action taken from the moderation console.
+
+-- Roles: 'user' for everyone, plus the staff roles support < moderator < admin
+UPDATE users SET role = 'user' WHERE role IS NULL OR role NOT IN ('user', 'support', 'moderator', 'admin');
+ALTER TABLE users ALTER COLUMN role SET NOT NULL;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+  CHECK (role IN ('user', 'support', 'moderator', 'admin'));
+
+-- Account standing
+ALTER TABLE users ADD COLUMN IF NOT EXISTS account_status VARCHAR(20) NOT NULL DEFAULT 'active'
+  CHECK (account_status IN ('active', 'suspended', 'banned'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS banned_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_users_account_status ON users(account_status) WHERE account_status <> 'active';
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role) WHERE role <> 'user';
+
+-- Taken-down content stays in place but is hidden while removed_at is set
+ALTER TABLE artworks ADD COLUMN IF NOT EXISTS removed_at TIMESTAMPTZ;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS removed_at TIMESTAMPTZ;
+ALTER TABLE commission_packages ADD COLUMN IF NOT EXISTS removed_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS content_takedowns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  content_type VARCHAR(30) NOT NULL CHECK (content_type IN ('artwork', 'review', 'commission_package')),
+  content_id UUID NOT NULL,
+  owner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT NOT NULL,
+  removed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  restored_at TIMESTAMPTZ,
+  restored_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  restore_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_takedowns_content ON content_takedowns(content_type, content_id);
+CREATE INDEX IF NOT EXISTS idx_content_takedowns_owner ON content_takedowns(owner_id, created_at DESC);
+-- Only one active takedown per piece of content
+CREATE UNIQUE INDEX IF NOT EXISTS idx_content_takedowns_active
+  ON content_takedowns(content_type, content_id)
+  WHERE restored_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS moderation_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  actor_role VARCHAR(20),
+  action VARCHAR(50) NOT NULL,
+  target_type VARCHAR(30) NOT NULL,
+  target_id UUID,
+  reason TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_audit_log_created ON moderation_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_audit_log_actor ON moderation_audit_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_audit_log_target ON moderation_audit_log(target_type, target_id);
+
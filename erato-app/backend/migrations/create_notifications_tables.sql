@@ -0,0 +1,78 @@
+-- Notification center
+-- Notifications used to live only in a capped Redis sorted set. They are now
+-- stored here, with Redis caching the first page and the unread count.
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  title TEXT NOT NULL,
+  message TEXT,
+  action JSONB,
+  priority VARCHAR(10) NOT NULL DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high')),
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  -- Unread notifications sharing a group key collapse into one row
+  group_key TEXT,
+  group_count INTEGER NOT NULL DEFAULT 1 CHECK (group_count > 0),
+  -- 'pending' until the notification has gone out in an email digest
+  digest_status VARCHAR(10) CHECK (digest_status IN ('pending', 'sent')),
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Bumped when another notification is grouped in; lists sort on it
+  last_event_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- FALSE for notifications kept only for the email digest (the type is off
+-- in-app); the notification center leaves them out
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS in_app BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_recent ON notifications(user_id, last_event_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_digest ON notifications(user_id) WHERE digest_status = 'pending';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_open_group
+  ON notifications(user_id, group_key)
+  WHERE group_key IS NOT NULL AND read_at IS NULL;
+
+-- Per-type channel choices. Types without a row use the defaults in
+-- src/utils/notifications.js.
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  in_app BOOLEAN NOT NULL DEFAULT TRUE,
+  push BOOLEAN NOT NULL DEFAULT TRUE,
+  email_digest BOOLEAN NOT NULL DEFAULT FALSE,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT notification_preferences_unique UNIQUE (user_id, type)
+);
+
+-- Quiet hours hold back push notifications; they still land in the center
+CREATE TABLE IF NOT EXISTS notification_settings (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  quiet_hours_start TIME,
+  quiet_hours_end TIME,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT notification_settings_quiet_hours CHECK (
+    (quiet_hours_start IS NULL) = (quiet_hours_end IS NULL)
+  )
+);
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their notifications"
+  ON notifications
+  FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can view their notification preferences"
+  ON notification_preferences
+  FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can view their notification settings"
+  ON notification_settings
+  FOR SELECT
+  USING (user_id = auth.uid());
@@ -0,0 +1,10 @@
+-- Presence and message receipts
+-- Online status now comes from Socket.io connections tracked in Redis
+-- (src/utils/presence.js); users.last_seen is written when a user's last
+-- socket disconnects. Delivery and read state are per participant
+-- watermarks: every message up to the timestamp has been delivered / read.
+
+-- Users can hide that they are online and when they were last seen
+ALTER TABLE users ADD COLUMN IF NOT EXISTS show_online_status BOOLEAN NOT NULL DEFAULT TRUE;
+
+ALTER TABLE conversation_participants ADD COLUMN IF NOT EXISTS last_delivered_at TIMESTAMPTZ;
@@ -0,0 +1,46 @@
+-- Payment webhook bookkeeping
+-- Every verified PayPal/Stripe webhook event is recorded once so replayed or
+-- duplicated deliveries are no-ops, and payment_transactions gains the fields
+-- that refund and chargeback events write.
+
+CREATE TABLE IF NOT EXISTS processed_webhook_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  provider VARCHAR(20) NOT NULL CHECK (provider IN ('paypal', 'stripe')),
+  event_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing'
+    CHECK (status IN ('processing', 'processed', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 1,
+  last_error TEXT,
+  processed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_webhook_events_status
+  ON processed_webhook_events(status, created_at)
+  WHERE status <> 'processed';
+
+-- Only the backend (service role) reads or writes webhook events
+ALTER TABLE processed_webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- Refunds and chargebacks
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS chargeback_id VARCHAR(255);
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS chargeback_status VARCHAR(20)
+  CHECK (chargeback_status IN ('open', 'won', 'lost'));
+
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_paypal_capture_id
+  ON payment_transactions(paypal_capture_id);
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_stripe_payment_intent_id
+  ON payment_transactions(stripe_payment_intent_id);
+
+-- Partial refunds write one ledger entry per refund, so 'refund' entries are
+-- exempt from the one-entry-per-transaction rule
+DROP INDEX IF EXISTS idx_artist_ledger_entries_transaction_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_artist_ledger_entries_transaction_unique
+  ON artist_ledger_entries(transaction_id, entry_type)
+  WHERE transaction_id IS NOT NULL AND entry_type <> 'refund';
@@ -0,0 +1,34 @@
+-- Push device registry
+-- Each Expo push token a user has registered, one row per device. Tokens are
+-- unique: a token registered again under another account moves to it.
+
+CREATE TABLE IF NOT EXISTS push_devices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  platform VARCHAR(20) NOT NULL DEFAULT 'unknown',
+  device_name TEXT,
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_devices_user ON push_devices(user_id);
+
+-- Expo tickets waiting for their push receipt. Receipts are ready about 15
+-- minutes after sending and kept by Expo for a day.
+CREATE TABLE IF NOT EXISTS push_tickets (
+  id TEXT PRIMARY KEY,
+  token TEXT NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_tickets_created ON push_tickets(created_at);
+
+ALTER TABLE push_devices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE push_tickets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their push devices"
+  ON push_devices
+  FOR SELECT
+  USING (user_id = auth.uid());
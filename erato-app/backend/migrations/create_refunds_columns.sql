@@ -0,0 +1,32 @@
+-- Refunds
+-- Refunds are payment_transactions rows with transaction_type 'refund' that
+-- point at the payment they refund; artists set the cancellation terms the
+-- refundable amount is calculated from.
+
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS refund_of_transaction_id UUID
+  REFERENCES payment_transactions(id) ON DELETE SET NULL;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS provider_refund_id VARCHAR(255);
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS refunded_by UUID
+  REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS refund_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_refund_of
+  ON payment_transactions(refund_of_transaction_id)
+  WHERE refund_of_transaction_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_transactions_provider_refund_id
+  ON payment_transactions(provider_refund_id)
+  WHERE provider_refund_id IS NOT NULL;
+
+-- Allow refund rows and the refund statuses written by webhooks
+ALTER TABLE payment_transactions DROP CONSTRAINT IF EXISTS payment_transactions_transaction_type_check;
+ALTER TABLE payment_transactions ADD CONSTRAINT payment_transactions_transaction_type_check
+  CHECK (transaction_type IN ('deposit', 'milestone', 'full', 'final', 'tip', 'refund'));
+
+ALTER TABLE payment_transactions DROP CONSTRAINT IF EXISTS payment_transactions_status_check;
+ALTER TABLE payment_transactions ADD CONSTRAINT payment_transactions_status_check
+  CHECK (status IN ('pending', 'succeeded', 'failed', 'refunded', 'partially_refunded'));
+
+-- Artist cancellation terms
+ALTER TABLE artist_commission_settings ADD COLUMN IF NOT EXISTS cancellation_fee_percentage DECIMAL(5, 2) DEFAULT 0
+  CHECK (cancellation_fee_percentage >= 0 AND cancellation_fee_percentage <= 100);
+ALTER TABLE artist_commission_settings ADD COLUMN IF NOT EXISTS deposit_refundable BOOLEAN DEFAULT true;
@@ -0,0 +1,35 @@
+-- Reports
+-- Users report other users and content. One report per reporter and target;
+-- content reaching REPORT_AUTO_HIDE_THRESHOLD open reports is hidden through
+-- content_takedowns until a moderator reviews it.
+
+CREATE TABLE IF NOT EXISTS reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_type VARCHAR(30) NOT NULL
+    CHECK (target_type IN ('user', 'artwork', 'message', 'review', 'commission_request', 'board')),
+  target_id UUID NOT NULL,
+  target_owner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  reason VARCHAR(40) NOT NULL
+    CHECK (reason IN ('spam', 'harassment', 'hate_speech', 'scam', 'stolen_artwork', 'impersonation', 'inappropriate_content', 'fake_review', 'other')),
+  details TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'action_taken', 'dismissed')),
+  resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMPTZ,
+  resolution_notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT reports_reporter_target_unique UNIQUE (reporter_id, target_type, target_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id, status);
+CREATE INDEX IF NOT EXISTS idx_reports_open ON reports(created_at) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_reports_reporter ON reports(reporter_id, created_at DESC);
+
+-- Reportable content that can be hidden
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS removed_at TIMESTAMPTZ;
+ALTER TABLE boards ADD COLUMN IF NOT EXISTS removed_at TIMESTAMPTZ;
+ALTER TABLE commission_requests ADD COLUMN IF NOT EXISTS removed_at TIMESTAMPTZ;
+
+ALTER TABLE content_takedowns DROP CONSTRAINT IF EXISTS content_takedowns_content_type_check;
+ALTER TABLE content_takedowns ADD CONSTRAINT content_takedowns_content_type_check
+  CHECK (content_type IN ('artwork', 'review', 'commission_package', 'message', 'board', 'commission_request'));
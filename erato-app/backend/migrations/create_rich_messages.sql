@@ -0,0 +1,64 @@
+-- Rich messages
+-- Replies that quote an earlier message, edits with their history, emoji
+-- reactions, and file and voice note attachments (src/utils/richMessages.js).
+-- Attachments are stored in the message-attachments Storage bucket; their
+-- name, type, size and (for voice notes) duration are in messages.metadata.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS reply_to_id UUID
+  REFERENCES messages(id) ON DELETE SET NULL;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages(reply_to_id) WHERE reply_to_id IS NOT NULL;
+
+-- What a message said before each edit
+CREATE TABLE IF NOT EXISTS message_edits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  previous_content TEXT NOT NULL,
+  edited_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(message_id, edited_at);
+
+CREATE TABLE IF NOT EXISTS message_reactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  emoji VARCHAR(32) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (message_id, user_id, emoji)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_reactions_message ON message_reactions(message_id);
+
+ALTER TABLE message_edits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_reactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Participants can view message edits"
+  ON message_edits
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM messages m
+      JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id
+      WHERE m.id = message_edits.message_id
+        AND cp.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Participants can view message reactions"
+  ON message_reactions
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM messages m
+      JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id
+      WHERE m.id = message_reactions.message_id
+        AND cp.user_id = auth.uid()
+    )
+  );
+
+-- Attachments bucket
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('message-attachments', 'message-attachments', true)
+ON CONFLICT (id) DO NOTHING;
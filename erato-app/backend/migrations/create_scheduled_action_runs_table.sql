@@ -0,0 +1,23 @@
+-- Scheduled action runs
+-- One row per action the scheduler (src/jobs/scheduler.js) has taken. The
+-- unique key on rule, target and due time keeps an action from running twice;
+-- a new due time, such as a moved deadline, arms the rule again.
+
+CREATE TABLE IF NOT EXISTS scheduled_action_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rule VARCHAR(50) NOT NULL,
+  target_id UUID NOT NULL,
+  commission_id UUID REFERENCES commissions(id) ON DELETE CASCADE,
+  due_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(rule, target_id, due_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_action_runs_commission ON scheduled_action_runs(commission_id);
+
+-- The sweep filters on these columns
+CREATE INDEX IF NOT EXISTS idx_commissions_status_deadline ON commissions(status, deadline);
+CREATE INDEX IF NOT EXISTS idx_commission_requests_status_deadline ON commission_requests(status, deadline);
+CREATE INDEX IF NOT EXISTS idx_pending_reviews_created ON pending_reviews(created_at);
+
+ALTER TABLE scheduled_action_runs ENABLE ROW LEVEL SECURITY;
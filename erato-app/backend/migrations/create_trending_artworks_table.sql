@@ -0,0 +1,24 @@
+-- Trending artworks
+-- Ranked artworks per time window, rebuilt by the `trending.recompute` job
+-- (src/jobs/trending.js) from user_engagement events.
+
+CREATE TABLE IF NOT EXISTS trending_artworks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  artwork_id UUID NOT NULL REFERENCES artworks(id) ON DELETE CASCADE,
+  time_window VARCHAR(10) NOT NULL CHECK (time_window IN ('hour', 'day', 'week', 'month')),
+  rank INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Older installs may have the table without these columns
+ALTER TABLE trending_artworks ADD COLUMN IF NOT EXISTS score NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE trending_artworks ADD COLUMN IF NOT EXISTS computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_trending_artworks_window_rank ON trending_artworks(time_window, rank);
+
+ALTER TABLE trending_artworks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view trending artworks"
+  ON trending_artworks
+  FOR SELECT
+  USING (true);
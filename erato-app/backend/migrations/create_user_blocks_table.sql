@@ -0,0 +1,16 @@
+-- Blocks and mutes
+-- One row per user and target for each relation. A block cuts contact both
+-- ways; a mute only silences the target's activity notifications.
+
+CREATE TABLE IF NOT EXISTS user_blocks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(10) NOT NULL CHECK (type IN ('block', 'mute')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT user_blocks_not_self CHECK (user_id <> target_id),
+  CONSTRAINT user_blocks_unique UNIQUE (user_id, target_id, type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_user ON user_blocks(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_blocks_target ON user_blocks(target_id) WHERE type = 'block';
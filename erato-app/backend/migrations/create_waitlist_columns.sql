@@ -0,0 +1,28 @@
+-- Commission waitlist
+-- Requests made while an artist's slots are full are pending commissions with
+-- queue_status 'waitlist', ordered by queue_position. A promoted entry holds
+-- a slot until the client confirms or promotion_expires_at passes.
+
+ALTER TABLE commissions ADD COLUMN IF NOT EXISTS queue_status VARCHAR(20);
+ALTER TABLE commissions ADD COLUMN IF NOT EXISTS queue_position INTEGER;
+ALTER TABLE commissions ADD COLUMN IF NOT EXISTS promoted_at TIMESTAMPTZ;
+ALTER TABLE commissions ADD COLUMN IF NOT EXISTS promotion_expires_at TIMESTAMPTZ;
+
+ALTER TABLE commissions DROP CONSTRAINT IF EXISTS commissions_queue_status_check;
+ALTER TABLE commissions ADD CONSTRAINT commissions_queue_status_check
+  CHECK (queue_status IS NULL OR queue_status IN ('active', 'waitlist', 'promoted', 'expired', 'left'));
+
+-- Waiting clients are offered freed slots automatically unless the artist
+-- opts out. Nothing read the setting before the waitlist existed, so every
+-- artist starts on the new default.
+ALTER TABLE artist_commission_settings ALTER COLUMN auto_promote_waitlist SET DEFAULT true;
+UPDATE artist_commission_settings SET auto_promote_waitlist = true WHERE auto_promote_waitlist IS NOT TRUE;
+
+CREATE INDEX IF NOT EXISTS idx_commissions_waitlist
+  ON commissions(artist_id, queue_position)
+  WHERE status = 'pending' AND queue_status IN ('waitlist', 'promoted');
+
+-- The scheduler's waitlist_hold_expiry rule looks for holds that ran out
+CREATE INDEX IF NOT EXISTS idx_commissions_promotion_expires
+  ON commissions(promotion_expires_at)
+  WHERE queue_status = 'promoted';
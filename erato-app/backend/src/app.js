@@ -0,0 +1,159 @@
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import compression from 'compression';
+import morgan from 'morgan';
+
+// Import routes
+import authRoutes from './routes/auth.js';
+import artistRoutes from './routes/artists.js';
+import artistSettingsRoutes from './routes/artistSettings.js';
+import artworkRoutes from './routes/artworks.js';
+import boardRoutes from './routes/boards.js';
+import swipeRoutes from './routes/swipes.js';
+import messageRoutes from './routes/messages.js';
+import commissionRoutes from './routes/commissions.js';
+import userRoutes from './routes/users.js';
+import uploadRoutes from './routes/uploads.js';
+import reviewRoutes from './routes/reviews.js';
+import notificationRoutes from './routes/notifications.js';
+import commissionPackageRoutes from './routes/commissionPackages.js';
+import commissionRequestRoutes from './routes/commissionRequests.js';
+// New feature routes
+import formBuilderRoutes from './routes/formBuilder.js';
+import referencesRoutes from './routes/references.js';
+import verificationRoutes from './routes/verification.js';
+import paymentsRoutes from './routes/payments.js';
+import reviewEnhancementsRoutes from './routes/reviewEnhancements.js';
+import userPreferencesRoutes from './routes/userPreferences.js';
+import engagementRoutes from './routes/engagement.js';
+import milestonesRoutes from './routes/milestones.js';
+import disputesRoutes from './routes/disputes.js';
+import payoutsRoutes from './routes/payouts.js';
+import refundsRoutes from './routes/refunds.js';
+import adminRoutes from './routes/admin.js';
+import reportsRoutes from './routes/reports.js';
+import analyticsRoutes from './routes/analytics.js';
+
+// Import middleware
+import { errorHandler } from './middleware/errorHandler.js';
+import { rateLimiter } from './middleware/rateLimiter.js';
+import { performanceMonitor } from './middleware/performance.js';
+
+/**
+ * Build the Express app with every middleware and route mounted.
+ * The HTTP server, Socket.io and background timers live in server.js so
+ * tests can drive the app without opening ports.
+ */
+export function createApp() {
+  const app = express();
+
+  // Middleware
+  // Trust proxy - configure to trust only the first proxy (more secure)
+  // Set to 1 to trust only the first proxy, or specific IPs if behind a known proxy
+  app.set('trust proxy', 1);
+  app.use(helmet());
+  app.use(compression({
+    level: 6, // Compression level (1-9, 6 is good balance)
+    threshold: 1024, // Only compress responses > 1KB
+  }));
+  // CORS configuration - support both domain and localhost
+  const corsOptions = {
+    origin: (origin, callback) => {
+      // Allow requests with no origin (like mobile apps or curl requests)
+      if (!origin) return callback(null, true);
+      const allowedOrigins = process.env.FRONTEND_URL 
+        ? process.env.FRONTEND_URL.split(',').map(url => url.trim())
+        : ['http://localhost:19006', 'https://api.verrocio.com'];
+    
+      if (allowedOrigins.includes(origin) || allowedOrigins.some(allowed => origin.startsWith(allowed))) {
+        callback(null, true);
+      } else {
+        callback(new Error('Not allowed by CORS'));
+      }
+    },
+    credentials: true,
+  };
+  app.use(cors(corsOptions));
+  app.use(performanceMonitor); // Add performance monitoring before routes
+  if (process.env.NODE_ENV !== 'test') {
+    app.use(morgan('dev'));
+  }
+  app.use(express.json({
+    // Payment webhooks are verified against the exact bytes that were signed
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/payments/') && req.originalUrl.includes('webhook')) {
+        req.rawBody = buf;
+      }
+    }
+  }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Health check endpoint (before rate limiting for monitoring services)
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  });
+
+  // Development-only: Reset rate limits endpoint (must be BEFORE rate limiter)
+  if (process.env.NODE_ENV !== 'production' || process.env.ALLOW_RATE_LIMIT_RESET === 'true') {
+    app.post('/dev/reset-rate-limit', (req, res) => {
+      // Note: This endpoint won't actually clear the rate limit store
+      // The easiest way is to wait for the window to expire (now 1 minute in dev)
+      // or restart the server. The new limits will apply after the current window expires.
+      res.json({ 
+        message: 'Rate limit info',
+        currentWindow: '1 minute (development mode)',
+        maxRequests: '1000 per minute (development mode)',
+        note: 'If you\'re still rate limited, wait 1 minute for the window to reset, or restart the server.',
+        timestamp: new Date().toISOString(),
+      });
+    });
+  }
+
+  // Apply rate limiting to all routes (except health check and dev endpoints)
+  app.use(rateLimiter);
+
+  // API Routes
+  app.use('/api/auth', authRoutes);
+  // Before artistRoutes so /settings is not taken for an artist id
+  app.use('/api/artists', artistSettingsRoutes);
+  app.use('/api/artists', artistRoutes);
+  app.use('/api/artworks', artworkRoutes);
+  app.use('/api/boards', boardRoutes);
+  app.use('/api/swipes', swipeRoutes);
+  app.use('/api/messages', messageRoutes);
+  app.use('/api/commissions', commissionRoutes);
+  app.use('/api/users', userRoutes);
+  app.use('/api/uploads', uploadRoutes);
+  app.use('/api/reviews', reviewRoutes);
+  app.use('/api/notifications', notificationRoutes);
+  app.use('/api/commission-packages', commissionPackageRoutes);
+  app.use('/api/commission-requests', commissionRequestRoutes);
+  // New feature routes
+  app.use('/api/form-builder', formBuilderRoutes);
+  app.use('/api/references', referencesRoutes);
+  app.use('/api/verification', verificationRoutes);
+  app.use('/api/payments', paymentsRoutes);
+  app.use('/api/review-enhancements', reviewEnhancementsRoutes);
+  app.use('/api/user-preferences', userPreferencesRoutes);
+  app.use('/api/engagement', engagementRoutes);
+  app.use('/api/milestones', milestonesRoutes);
+  app.use('/api/disputes', disputesRoutes);
+  app.use('/api/payouts', payoutsRoutes);
+  app.use('/api/refunds', refundsRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/reports', reportsRoutes);
+  app.use('/api/analytics', analyticsRoutes);
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Route not found' });
+  });
+
+  // Error handler (must be last)
+  app.use(errorHandler);
+
+  return app;
+}
+
+export default createApp;
@@ -11,7 +11,7 @@ if (!supabaseUrl || !supabaseServiceKey) {
 }
 
 // Admin client with service role key (bypasses RLS)
-export const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
+export let supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
   auth: {
     autoRefreshToken: false,
     persistSession: false,
@@ -19,7 +19,7 @@ export const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
 });
 
 // Regular client with anon key (respects RLS)
-export const supabase = createClient(
+export let supabase = createClient(
   supabaseUrl,
   process.env.SUPABASE_ANON_KEY,
   {
@@ -30,4 +30,11 @@ export const supabase = createClient(
   }
 );
 
-export default supabase;
+// Swap the clients every module imports (tests use in-memory stand-ins).
+// ES module bindings are live, so importers see the new clients immediately.
+export function setSupabaseClients({ admin, anon } = {}) {
+  if (admin) supabaseAdmin = admin;
+  if (anon) supabase = anon;
+}
+
+export { supabase as default };
@@ -0,0 +1,31 @@
+import { JobQueue } from '../utils/jobQueue.js';
+import { cache } from '../utils/cache.js';
+
+// ============================================================================
+// CACHE INVALIDATION JOBS
+// Pattern deletes scan the keyspace, so they run on the queue instead of in
+// the request. Exact keys are still deleted inline by the caller; only list
+// and feed caches that can tolerate a moment of staleness go through here.
+// ============================================================================
+
+/**
+ * Queue deletion of every key matching the patterns. Deletes inline if the
+ * queue cannot be reached.
+ */
+export async function invalidateLater(...patterns) {
+  const unique = [...new Set(patterns.flat().filter(Boolean))];
+  if (unique.length === 0) return;
+
+  try {
+    await JobQueue.enqueue('cache.invalidate', { patterns: unique });
+  } catch (error) {
+    console.error('Error queueing cache invalidation, deleting inline:', error.message);
+    await Promise.all(unique.map(pattern => cache.delPattern(pattern)));
+  }
+}
+
+export const handlers = {
+  'cache.invalidate': {
+    run: ({ patterns }) => Promise.all(patterns.map(pattern => cache.delPattern(pattern))),
+  },
+};
@@ -0,0 +1,33 @@
+import { JobQueue } from '../utils/jobQueue.js';
+import { applyWindow } from '../utils/artistSettings.js';
+
+// ============================================================================
+// COMMISSION WINDOW JOBS
+// A scheduled window queues one delayed job for when it opens and one for
+// when it closes, so it takes effect on time rather than at the next
+// scheduler sweep. The sweep's commission_window rule still catches any
+// window whose job was lost.
+// ============================================================================
+
+/**
+ * Queue the open and close transitions for a newly scheduled window.
+ */
+export async function queueWindowTransitions(window) {
+  await JobQueue.enqueue('artists.apply_window', { windowId: window.id }, {
+    runAt: window.opens_at,
+    jobId: `artists.apply_window:${window.id}:open`,
+  });
+
+  if (window.closes_at) {
+    await JobQueue.enqueue('artists.apply_window', { windowId: window.id }, {
+      runAt: window.closes_at,
+      jobId: `artists.apply_window:${window.id}:close`,
+    });
+  }
+}
+
+export const handlers = {
+  'artists.apply_window': {
+    run: ({ windowId }) => applyWindow(windowId),
+  },
+};
@@ -0,0 +1,122 @@
+import { JobQueue } from '../utils/jobQueue.js';
+import { ArtworkRepo } from '../repositories/index.js';
+
+// ============================================================================
+// IMAGE JOBS
+// After an artwork is created, read the image's pixel size from its header
+// and fill in what the client left out: the aspect ratio, and a thumbnail
+// URL served by Supabase Storage's image transformations.
+// ============================================================================
+
+const HEADER_BYTES = 256 * 1024;
+const THUMBNAIL_WIDTH = 400;
+
+export async function queueImageProcessing(artworkId, { setAspectRatio = false } = {}) {
+  await JobQueue.enqueue('artworks.process_image', { artworkId, setAspectRatio }, {
+    jobId: `artworks.process_image:${artworkId}`,
+  });
+}
+
+/**
+ * Width and height from a PNG, GIF, JPEG or WebP header, or null.
+ */
+export function readImageSize(buffer) {
+  if (buffer.length >= 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const format = buffer.toString('ascii', 12, 16);
+    if (format === 'VP8 ') {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (format === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (format === 'VP8X') {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      // Start-of-frame markers, excluding DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+export function toAspectRatio({ width, height }) {
+  const divisor = gcd(width, height);
+  return `${width / divisor}:${height / divisor}`;
+}
+
+/**
+ * Supabase Storage render URL for a public object URL, or null for images
+ * hosted anywhere else.
+ */
+export function thumbnailUrlFor(imageUrl, width = THUMBNAIL_WIDTH) {
+  const match = imageUrl.match(/^(.*)\/storage\/v1\/object\/public\/(.+)$/);
+  if (!match) return null;
+  return `${match[1]}/storage/v1/render/image/public/${match[2]}?width=${width}&resize=contain`;
+}
+
+async function fetchHeader(url) {
+  const response = await fetch(url, { headers: { Range: `bytes=0-${HEADER_BYTES - 1}` } });
+  if (!response.ok) {
+    throw new Error(`Fetching ${url} failed (${response.status})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function processImage({ artworkId, setAspectRatio }) {
+  const artwork = await ArtworkRepo.findById(artworkId, 'id, artist_id, image_url, thumbnail_url, aspect_ratio');
+  if (!artwork?.image_url) return;
+
+  const changes = {};
+
+  if (!artwork.thumbnail_url) {
+    const thumbnailUrl = thumbnailUrlFor(artwork.image_url);
+    if (thumbnailUrl) changes.thumbnail_url = thumbnailUrl;
+  }
+
+  if (setAspectRatio) {
+    const size = readImageSize(await fetchHeader(artwork.image_url));
+    if (size?.width && size?.height) {
+      changes.aspect_ratio = toAspectRatio(size);
+    } else {
+      console.warn(`Could not read the image size of artwork ${artworkId}`);
+    }
+  }
+
+  if (Object.keys(changes).length > 0) {
+    await ArtworkRepo.update(artworkId, changes);
+  }
+}
+
+export const handlers = {
+  'artworks.process_image': {
+    run: processImage,
+    visibilityTimeout: 2 * 60 * 1000,
+    maxAttempts: 3,
+  },
+};
@@ -0,0 +1,99 @@
+import { JobQueue } from '../utils/jobQueue.js';
+import { handlers as cacheHandlers } from './cache.js';
+import { handlers as commissionWindowHandlers } from './commissionWindows.js';
+import { handlers as imageHandlers } from './images.js';
+import { handlers as messageHandlers } from './messages.js';
+import { handlers as notificationHandlers, queueDigestSweep, queuePushReceiptCheck } from './notifications.js';
+import { handlers as payoutHandlers, queuePayoutSweep } from './payouts.js';
+import { handlers as schedulerHandlers, queueSchedulerSweep } from './scheduler.js';
+import { handlers as trendingHandlers, TRENDING_WINDOWS, queueTrendingRecompute } from './trending.js';
+import { handlers as waitlistHandlers } from './waitlist.js';
+
+// ============================================================================
+// JOBS
+// Each module in this directory exports the handlers for its job types and
+// the helpers that queue them. registerJobs() hands every handler to the
+// queue; startWorker() runs them in src/worker.js, or inside the API server
+// when JOB_WORKER is 'inline'.
+// ============================================================================
+
+const ALL_HANDLERS = {
+  ...cacheHandlers,
+  ...commissionWindowHandlers,
+  ...imageHandlers,
+  ...messageHandlers,
+  ...notificationHandlers,
+  ...payoutHandlers,
+  ...schedulerHandlers,
+  ...trendingHandlers,
+  ...waitlistHandlers,
+};
+
+export function registerJobs() {
+  for (const [type, { run, ...options }] of Object.entries(ALL_HANDLERS)) {
+    JobQueue.register(type, run, options);
+  }
+}
+
+// Queue `enqueue` now and every `interval` ms
+function every(interval, enqueue, label) {
+  const run = () => enqueue().catch(err => console.error(`Error queueing ${label}:`, err));
+  const timer = setInterval(run, interval);
+  run();
+  return timer;
+}
+
+/**
+ * Register the handlers and start processing. Also queues the trending
+ * rebuilds every TRENDING_INTERVAL_MS, a scheduler sweep every
+ * SCHEDULER_INTERVAL_MS, a payout sweep every PAYOUT_INTERVAL_MS, an
+ * email digest sweep every DIGEST_INTERVAL_MS and a push receipt check
+ * every PUSH_RECEIPT_INTERVAL_MS.
+ * Resolves stop() for shutdown.
+ */
+export function startWorker({
+  concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2,
+  pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000,
+} = {}) {
+  registerJobs();
+  const worker = JobQueue.work({ concurrency, pollInterval });
+
+  const timers = [
+    every(
+      parseInt(process.env.TRENDING_INTERVAL_MS) || 15 * 60 * 1000,
+      () => Promise.all(Object.keys(TRENDING_WINDOWS).map(queueTrendingRecompute)),
+      'trending recompute'
+    ),
+    every(
+      parseInt(process.env.SCHEDULER_INTERVAL_MS) || 5 * 60 * 1000,
+      queueSchedulerSweep,
+      'scheduler sweep'
+    ),
+    // Send new payouts, retry failed ones and reconcile batches still in flight
+    every(
+      parseInt(process.env.PAYOUT_INTERVAL_MS) || 10 * 60 * 1000,
+      queuePayoutSweep,
+      'payout sweep'
+    ),
+    every(
+      parseInt(process.env.DIGEST_INTERVAL_MS) || 24 * 60 * 60 * 1000,
+      queueDigestSweep,
+      'digest sweep'
+    ),
+    // Collect Expo push receipts and prune tokens of uninstalled apps
+    every(
+      parseInt(process.env.PUSH_RECEIPT_INTERVAL_MS) || 15 * 60 * 1000,
+      queuePushReceiptCheck,
+      'push receipt check'
+    ),
+  ];
+
+  return {
+    stop: async () => {
+      timers.forEach(clearInterval);
+      await worker.stop();
+    },
+  };
+}
+
+export default { registerJobs, startWorker };
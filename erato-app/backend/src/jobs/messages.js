@@ -0,0 +1,76 @@
+import { JobQueue } from '../utils/jobQueue.js';
+import { ConversationRepo, UserRepo } from '../repositories/index.js';
+import { queueNotification, queuePush } from './notifications.js';
+import { messagePreview } from '../utils/richMessages.js';
+import { isMuted } from '../utils/conversations.js';
+
+// ============================================================================
+// MESSAGE JOBS
+// Everything a new message sets off besides the real-time event: bumping the
+// conversation, dropping cached conversation lists, unread counts, and the
+// recipients' notifications and pushes. Recipients who muted the
+// conversation get the unread count but no notification or push.
+// ============================================================================
+
+export async function queueMessageFanout(message) {
+  await JobQueue.enqueue('messages.fanout', {
+    messageId: message.id,
+    conversationId: message.conversation_id,
+    senderId: message.sender_id,
+    messageType: message.message_type,
+    content: message.content,
+    preview: messagePreview(message),
+  }, { jobId: `messages.fanout:${message.id}` });
+}
+
+async function fanOut({ conversationId, senderId, messageType, content, preview: queuedPreview }) {
+  await ConversationRepo.touch(conversationId);
+
+  const participants = await ConversationRepo.findParticipants(conversationId, 'user_id, muted, muted_until');
+  await ConversationRepo.invalidateLists(participants.map(p => p.user_id));
+
+  const recipients = participants.filter(p => p.user_id !== senderId);
+  if (recipients.length === 0) return;
+
+  // Recounted rather than incremented, so a retry does not count the message twice
+  for (const { user_id: participantId } of recipients) {
+    await ConversationRepo.refreshUnread(conversationId, participantId);
+  }
+
+  const notified = recipients.filter(p => !isMuted(p)).map(p => p.user_id);
+  if (notified.length === 0) return;
+
+  const sender = await UserRepo.findById(senderId, 'username, full_name, avatar_url');
+  const senderName = sender?.username || 'Someone';
+  const conversation = await ConversationRepo.findById(conversationId, 'is_group, title');
+  const title = conversation?.is_group
+    ? `${senderName} in ${conversation.title || 'your group'}`
+    : `New message from ${senderName}`;
+  // Jobs queued before previews were part of the payload only have the content
+  const preview = queuedPreview ?? messagePreview({ message_type: messageType, content });
+
+  for (const participantId of notified) {
+    await queueNotification(participantId, {
+      type: 'new_message',
+      title,
+      message: preview,
+      action: { type: 'view_conversation', id: conversationId },
+      priority: 'normal',
+      actorId: senderId,
+      groupKey: `conversation:${conversationId}`,
+      groupTitle: `{count} new messages from ${senderName}`,
+    });
+  }
+
+  await queuePush(notified, {
+    title,
+    body: preview || 'New message',
+    data: { type: 'message', conversationId },
+    actorId: senderId,
+    notificationType: 'new_message',
+  });
+}
+
+export const handlers = {
+  'messages.fanout': { run: fanOut },
+};
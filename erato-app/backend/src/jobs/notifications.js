@@ -0,0 +1,89 @@
+import { JobQueue } from '../utils/jobQueue.js';
+import { isEmailConfigured } from '../utils/email.js';
+import { NotificationService } from '../utils/notifications.js';
+import { checkPushReceipts, sendPushToUsers } from '../utils/pushNotifications.js';
+import { NotificationRepo } from '../repositories/notificationRepo.js';
+
+// ============================================================================
+// NOTIFICATION AND PUSH JOBS
+// Requests queue notifications instead of storing and sending them inline.
+// If the queue cannot be reached the work is done in the request instead,
+// so a Redis outage delays nothing that used to work without it.
+//
+// The worker queues a digest sweep every DIGEST_INTERVAL_MS, which queues
+// one digest email per user with notifications waiting for it, and a push
+// receipt check every PUSH_RECEIPT_INTERVAL_MS.
+// ============================================================================
+
+/**
+ * Queue NotificationService.publish(userId, notification).
+ */
+export async function queueNotification(userId, notification) {
+  try {
+    await JobQueue.enqueue('notifications.publish', { userId, notification });
+  } catch (error) {
+    console.error('Error queueing notification, publishing inline:', error.message);
+    await NotificationService.publish(userId, notification);
+  }
+}
+
+/**
+ * Queue a push to one user or a list of users. Same options as
+ * sendPushToUsers.
+ */
+export async function queuePush(userIds, options) {
+  const recipients = Array.isArray(userIds) ? userIds : [userIds];
+  try {
+    await JobQueue.enqueue('push.send', { userIds: recipients, options });
+  } catch (error) {
+    console.error('Error queueing push, sending inline:', error.message);
+    await sendPushToUsers(recipients, options);
+  }
+}
+
+/**
+ * Queue the digest sweep. A sweep already waiting is not queued twice.
+ */
+export async function queueDigestSweep() {
+  await JobQueue.enqueue('notifications.digestSweep', {}, { jobId: 'notifications.digestSweep' });
+}
+
+/**
+ * Queue a check of the Expo receipts for sent pushes. A check already
+ * waiting is not queued twice.
+ */
+export async function queuePushReceiptCheck() {
+  await JobQueue.enqueue('push.checkReceipts', {}, { jobId: 'push.checkReceipts' });
+}
+
+async function sweepDigests() {
+  // Digests stay pending until email is set up
+  if (!isEmailConfigured()) return;
+
+  const userIds = await NotificationRepo.findDigestUserIds();
+  for (const userId of userIds) {
+    await JobQueue.enqueue('notifications.digest', { userId }, { jobId: `notifications.digest:${userId}` });
+  }
+}
+
+export const handlers = {
+  'notifications.publish': {
+    run: ({ userId, notification }) => NotificationService.deliver(userId, notification),
+  },
+  // Expo failures are logged and dropped rather than retried, so a retry
+  // never pushes the same message twice
+  'push.send': {
+    run: ({ userIds, options }) => sendPushToUsers(userIds, options),
+    visibilityTimeout: 2 * 60 * 1000,
+  },
+  'push.checkReceipts': {
+    run: () => checkPushReceipts(),
+    visibilityTimeout: 5 * 60 * 1000,
+  },
+  'notifications.digestSweep': {
+    run: () => sweepDigests(),
+  },
+  'notifications.digest': {
+    run: ({ userId }) => NotificationService.sendDigest(userId),
+  },
+};
@@ -0,0 +1,34 @@
+import { JobQueue } from '../utils/jobQueue.js';
+import { processPayouts } from '../utils/payouts/index.js';
+
+// ============================================================================
+// PAYOUT JOBS
+// The worker sweeps every artist every PAYOUT_INTERVAL_MS; releasing escrow
+// or a tip queues a run for just that artist so they don't wait for it.
+// ============================================================================
+
+/**
+ * Queue the sweep over every artist. A sweep already waiting is not queued twice.
+ */
+export async function queuePayoutSweep() {
+  await JobQueue.enqueue('payouts.process', {}, { jobId: 'payouts.sweep' });
+}
+
+/**
+ * Queue a payout run for one artist's releasable balance.
+ */
+export async function queueArtistPayout(artistId) {
+  try {
+    await JobQueue.enqueue('payouts.process', { artistIds: [artistId] }, { jobId: `payouts.artist:${artistId}` });
+  } catch (error) {
+    // The next sweep picks the balance up
+    console.error('Error queueing artist payout:', error.message);
+  }
+}
+
+export const handlers = {
+  'payouts.process': {
+    run: ({ artistIds = null }) => processPayouts({ artistIds }),
+    visibilityTimeout: 5 * 60 * 1000,
+  },
+};
@@ -0,0 +1,639 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { JobQueue } from '../utils/jobQueue.js';
+import { transitionCommission } from '../utils/commissionStateMachine.js';
+import { applyWindow } from '../utils/artistSettings.js';
+import { expireHold } from '../utils/waitlist.js';
+import { purgeDeclinedCommission } from '../utils/declines.js';
+import { queueNotification, queuePush } from './notifications.js';
+
+// ============================================================================
+// SCHEDULER
+// Time-based rules for commissions: deadline reminders, approval nudges,
+// request expiry, closing stale pending commissions, review prompts,
+// expiring waitlist holds, artists' scheduled commission windows and
+// purging declined requests past retention.
+// A periodic `scheduler.sweep` job finds what each rule has due and records
+// every action it takes in scheduled_action_runs, keyed by the rule, target
+// and due time, so nothing runs twice. Moving a deadline changes the due
+// time, which arms its reminders again.
+//
+// Each rule's offset is set with SCHEDULE_<RULE>_HOURS and a rule is turned
+// off with SCHEDULE_<RULE>_ENABLED=false, e.g. SCHEDULE_DEADLINE_REMINDER_HOURS.
+// ============================================================================
+
+const HOUR = 60 * 60 * 1000;
+const ACTIVE_STATUSES = ['accepted', 'in_progress'];
+const BATCH_SIZE = 200;
+
+// Reminders that were due longer ago than this (say, while the worker was
+// down) are skipped rather than sent late
+const REMINDER_LOOKBACK = 7 * 24 * HOUR;
+
+function formatIn(ms) {
+  const hours = Math.round(ms / HOUR);
+  if (hours < 1) return 'within the hour';
+  if (hours < 48) return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+  return `in ${Math.round(hours / 24)} days`;
+}
+
+const iso = ms => new Date(ms).toISOString();
+
+// One page of `query` in (column, id) order, after `after` (the cursor the
+// previous page returned). Sweeps walk every page, so rows whose action has
+// already run can't keep the rest out of a fixed-size batch.
+function paginate(query, column, after) {
+  query = query.order(column, { ascending: true }).order('id', { ascending: true }).limit(BATCH_SIZE);
+  return after
+    ? query.or(`${column}.gt."${after.at}",and(${column}.eq."${after.at}",id.gt.${after.id})`)
+    : query;
+}
+
+// A page's targets (rows mapped to null are skipped), and the cursor for
+// the next page when this one was full
+function page(rows, column, toTarget) {
+  const last = rows[rows.length - 1];
+  return {
+    targets: rows.map(toTarget).filter(Boolean),
+    next: rows.length === BATCH_SIZE ? { at: last[column], id: last.id } : null,
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Rules
+// Each rule has:
+// - offsetHours: default offset, relative to what the rule is anchored on
+// - due(now, offset, after):     a page of targets whose action is due,
+//                                { targets: [{ targetId, commissionId, dueAt, row }], next }
+//                                where `next` is passed back as `after` for the next page
+// - forCommission(c, offset):    targets belonging to one commission, due or not
+// - run(target, now):            the action itself
+// ----------------------------------------------------------------------------
+
+const RULES = {
+  // Artist, `offset` hours before the commission's deadline
+  deadline_reminder: {
+    description: 'Remind the artist that the deadline is coming up',
+    offsetHours: 48,
+
+    async due(now, offset, after) {
+      const { data, error } = await paginate(
+        supabaseAdmin
+          .from('commissions')
+          .select('id, artist_id, deadline')
+          .in('status', ACTIVE_STATUSES)
+          .not('deadline', 'is', null)
+          .gt('deadline', iso(now))
+          .lte('deadline', iso(now + offset)),
+        'deadline',
+        after
+      );
+
+      if (error) throw error;
+      return page(data || [], 'deadline', c => ({ targetId: c.id, commissionId: c.id, dueAt: new Date(c.deadline).getTime() - offset, row: c }));
+    },
+
+    forCommission(commission, offset) {
+      if (!ACTIVE_STATUSES.includes(commission.status) || !commission.deadline) return [];
+      return [{ targetId: commission.id, commissionId: commission.id, dueAt: new Date(commission.deadline).getTime() - offset }];
+    },
+
+    async run({ row }, now) {
+      const dueIn = formatIn(new Date(row.deadline).getTime() - now);
+      await queueNotification(row.artist_id, {
+        type: 'deadline_reminder',
+        title: 'Deadline Coming Up ⏰',
+        message: `A commission is due ${dueIn}`,
+        action: { type: 'view_commission', id: row.id },
+        priority: 'high',
+      });
+      await queuePush(row.artist_id, {
+        title: 'Deadline coming up',
+        body: `A commission is due ${dueIn}`,
+        data: { type: 'commission', commissionId: row.id },
+        notificationType: 'deadline_reminder',
+      });
+    },
+  },
+
+  // Artist, `offset` hours after a deadline that passed with the work unfinished
+  deadline_overdue: {
+    description: 'Tell the artist the deadline has passed',
+    offsetHours: 0,
+
+    async due(now, offset, after) {
+      const { data, error } = await paginate(
+        supabaseAdmin
+          .from('commissions')
+          .select('id, artist_id, deadline')
+          .in('status', ACTIVE_STATUSES)
+          .not('deadline', 'is', null)
+          .gt('deadline', iso(now - offset - REMINDER_LOOKBACK))
+          .lte('deadline', iso(now - offset)),
+        'deadline',
+        after
+      );
+
+      if (error) throw error;
+      return page(data || [], 'deadline', c => ({ targetId: c.id, commissionId: c.id, dueAt: new Date(c.deadline).getTime() + offset, row: c }));
+    },
+
+    forCommission(commission, offset) {
+      if (!ACTIVE_STATUSES.includes(commission.status) || !commission.deadline) return [];
+      return [{ targetId: commission.id, commissionId: commission.id, dueAt: new Date(commission.deadline).getTime() + offset }];
+    },
+
+    async run({ row }) {
+      await queueNotification(row.artist_id, {
+        type: 'deadline_overdue',
+        title: 'Deadline Passed',
+        message: 'A commission is past its deadline. Let your client know how it is going.',
+        action: { type: 'view_commission', id: row.id },
+        priority: 'high',
+      });
+      await queuePush(row.artist_id, {
+        title: 'Deadline passed',
+        body: 'A commission is past its deadline',
+        data: { type: 'commission', commissionId: row.id },
+        notificationType: 'deadline_overdue',
+      });
+    },
+  },
+
+  // Client, `offset` hours after a checkpoint was posted if it is still waiting
+  approval_nudge: {
+    description: 'Nudge the client to review an approval checkpoint',
+    offsetHours: 48,
+
+    async due(now, offset, after) {
+      const { data, error } = await paginate(
+        supabaseAdmin
+          .from('commission_progress_updates')
+          .select('id, commission_id, created_at, commission:commissions(id, client_id, status)')
+          .eq('update_type', 'approval_checkpoint')
+          .eq('approval_status', 'pending')
+          .gt('created_at', iso(now - offset - REMINDER_LOOKBACK))
+          .lte('created_at', iso(now - offset)),
+        'created_at',
+        after
+      );
+
+      if (error) throw error;
+      return page(data || [], 'created_at', update => (ACTIVE_STATUSES.includes(update.commission?.status)
+        ? {
+          targetId: update.id,
+          commissionId: update.commission_id,
+          dueAt: new Date(update.created_at).getTime() + offset,
+          row: update,
+        }
+        : null));
+    },
+
+    async forCommission(commission, offset) {
+      if (!ACTIVE_STATUSES.includes(commission.status)) return [];
+
+      const { data, error } = await supabaseAdmin
+        .from('commission_progress_updates')
+        .select('id, created_at')
+        .eq('commission_id', commission.id)
+        .eq('update_type', 'approval_checkpoint')
+        .eq('approval_status', 'pending');
+
+      if (error) throw error;
+      return (data || []).map(update => ({
+        targetId: update.id,
+        commissionId: commission.id,
+        dueAt: new Date(update.created_at).getTime() + offset,
+      }));
+    },
+
+    async run({ row }) {
+      await queueNotification(row.commission.client_id, {
+        type: 'approval_reminder',
+        title: 'Approval Still Needed',
+        message: 'The artist is waiting for your approval on a checkpoint',
+        action: { type: 'view_commission', id: row.commission_id },
+        priority: 'high',
+      });
+      await queuePush(row.commission.client_id, {
+        title: 'Approval still needed',
+        body: 'The artist is waiting for your approval on a checkpoint',
+        data: { type: 'commission', commissionId: row.commission_id },
+        notificationType: 'approval_reminder',
+      });
+    },
+  },
+
+  // Close open commission requests `offset` hours after their deadline
+  request_expiry: {
+    description: 'Close commission requests once their deadline has passed',
+    offsetHours: 0,
+
+    async due(now, offset, after) {
+      const { data, error } = await paginate(
+        supabaseAdmin
+          .from('commission_requests')
+          .select('id, client_id, title, deadline')
+          .eq('status', 'open')
+          .not('deadline', 'is', null)
+          .lte('deadline', iso(now - offset)),
+        'deadline',
+        after
+      );
+
+      if (error) throw error;
+      return page(data || [], 'deadline', r => ({ targetId: r.id, commissionId: null, dueAt: new Date(r.deadline).getTime() + offset, row: r }));
+    },
+
+    async run({ row }) {
+      const { data: closed, error } = await supabaseAdmin
+        .from('commission_requests')
+        .update({ status: 'closed' })
+        .eq('id', row.id)
+        .eq('status', 'open')
+        .select('id')
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!closed) return;
+
+      await queueNotification(row.client_id, {
+        type: 'request_expired',
+        title: 'Request Closed',
+        message: `Your request "${row.title}" passed its deadline and was closed`,
+        action: { type: 'view_request', id: row.id },
+        priority: 'normal',
+      });
+    },
+  },
+
+  // Cancel commissions the artist has left pending for `offset` hours.
+  // Waitlist entries are pending while they wait their turn, and promoted
+  // ones have their own hold expiry, so only requests in the queue count.
+  stale_pending: {
+    description: 'Close commissions the artist has not responded to',
+    offsetHours: 14 * 24,
+
+    async due(now, offset, after) {
+      const { data, error } = await paginate(
+        supabaseAdmin
+          .from('commissions')
+          .select('*')
+          .eq('status', 'pending')
+          .or('queue_status.is.null,queue_status.eq.active')
+          .lte('created_at', iso(now - offset)),
+        'created_at',
+        after
+      );
+
+      if (error) throw error;
+      return page(data || [], 'created_at', c => ({ targetId: c.id, commissionId: c.id, dueAt: new Date(c.created_at).getTime() + offset, row: c }));
+    },
+
+    forCommission(commission, offset) {
+      if (commission.status !== 'pending' || (commission.queue_status && commission.queue_status !== 'active')) return [];
+      return [{ targetId: commission.id, commissionId: commission.id, dueAt: new Date(commission.created_at).getTime() + offset }];
+    },
+
+    async run({ row }, now, offset) {
+      try {
+        await transitionCommission({
+          commission: row,
+          requestedStatus: 'cancelled',
+          actorRole: 'system',
+          reason: `Closed automatically after ${Math.round(offset / (24 * HOUR))} days without a response`,
+          metadata: { rule: 'stale_pending' },
+        });
+      } catch (error) {
+        // Accepted or cancelled since the sweep read it
+        if (error.status !== 409) throw error;
+      }
+    },
+  },
+
+  // Both parties, `offset` hours after completion while their review is pending
+  review_prompt: {
+    description: 'Ask both parties to leave a review',
+    offsetHours: 24,
+
+    async due(now, offset, after) {
+      const { data, error } = await paginate(
+        supabaseAdmin
+          .from('pending_reviews')
+          .select(`
+            id, commission_id, user_id, review_type, created_at,
+            commission:commissions(
+              artist:users!commissions_artist_id_fkey(username),
+              client:users!commissions_client_id_fkey(username)
+            )
+          `)
+          .gt('created_at', iso(now - offset - REMINDER_LOOKBACK))
+          .lte('created_at', iso(now - offset)),
+        'created_at',
+        after
+      );
+
+      if (error) throw error;
+      return page(data || [], 'created_at', pr => ({
+        targetId: pr.id,
+        commissionId: pr.commission_id,
+        dueAt: new Date(pr.created_at).getTime() + offset,
+        row: pr,
+      }));
+    },
+
+    async forCommission(commission, offset) {
+      if (commission.status !== 'completed') return [];
+
+      const { data, error } = await supabaseAdmin
+        .from('pending_reviews')
+        .select('id, created_at')
+        .eq('commission_id', commission.id);
+
+      if (error) throw error;
+      return (data || []).map(pr => ({
+        targetId: pr.id,
+        commissionId: commission.id,
+        dueAt: new Date(pr.created_at).getTime() + offset,
+      }));
+    },
+
+    async run({ row }) {
+      const message = row.review_type === 'client_to_artist'
+        ? `How was your experience with ${row.commission?.artist?.username || 'the artist'}? Leave a review!`
+        : `How was working with ${row.commission?.client?.username || 'the client'}? Leave a review!`;
+
+      await queueNotification(row.user_id, {
+        type: 'review_prompt',
+        title: 'Leave a Review 🌟',
+        message,
+        action: { type: 'review_commission', id: row.commission_id, reviewType: row.review_type },
+        priority: 'normal',
+      });
+    },
+  },
+
+  // Release a waitlist promotion the client has not confirmed, `offset`
+  // hours after the hold ran out. The freed slot goes to the next entry.
+  waitlist_hold_expiry: {
+    description: 'Release waitlist slots the client did not confirm in time',
+    offsetHours: 0,
+
+    async due(now, offset, after) {
+      const { data, error } = await paginate(
+        supabaseAdmin
+          .from('commissions')
+          .select('*')
+          .eq('status', 'pending')
+          .eq('queue_status', 'promoted')
+          .lte('promotion_expires_at', iso(now - offset)),
+        'promotion_expires_at',
+        after
+      );
+
+      if (error) throw error;
+      return page(data || [], 'promotion_expires_at', c => ({
+        targetId: c.id,
+        commissionId: c.id,
+        dueAt: new Date(c.promotion_expires_at).getTime() + offset,
+        row: c,
+      }));
+    },
+
+    forCommission(commission, offset) {
+      if (commission.status !== 'pending' || commission.queue_status !== 'promoted' || !commission.promotion_expires_at) return [];
+      return [{ targetId: commission.id, commissionId: commission.id, dueAt: new Date(commission.promotion_expires_at).getTime() + offset }];
+    },
+
+    async run({ row }) {
+      await expireHold(row);
+    },
+  },
+
+  // Purge what the client sent with a declined request `offset` hours after
+  // the decline; the archived commission stays for metrics
+  declined_purge: {
+    description: 'Remove request details from declined commissions past retention',
+    offsetHours: 180 * 24,
+
+    async due(now, offset, after) {
+      const { data, error } = await paginate(
+        supabaseAdmin
+          .from('commissions')
+          .select('id, declined_at')
+          .eq('status', 'declined')
+          .is('purged_at', null)
+          .lte('declined_at', iso(now - offset)),
+        'declined_at',
+        after
+      );
+
+      if (error) throw error;
+      return page(data || [], 'declined_at', c => ({
+        targetId: c.id,
+        commissionId: c.id,
+        dueAt: new Date(c.declined_at).getTime() + offset,
+      }));
+    },
+
+    forCommission(commission, offset) {
+      if (commission.status !== 'declined' || !commission.declined_at || commission.purged_at) return [];
+      return [{ targetId: commission.id, commissionId: commission.id, dueAt: new Date(commission.declined_at).getTime() + offset }];
+    },
+
+    async run({ targetId }, now) {
+      await purgeDeclinedCommission(targetId, { now });
+    },
+  },
+
+  // Open and close artists' scheduled commission windows `offset` hours
+  // late. Windows queue their own jobs; this catches any that were lost.
+  commission_window: {
+    description: 'Open and close scheduled commission windows',
+    offsetHours: 0,
+
+    async due(now, offset) {
+      const [opening, closing] = await Promise.all([
+        supabaseAdmin
+          .from('artist_commission_windows')
+          .select('id, opens_at')
+          .eq('status', 'scheduled')
+          .lte('opens_at', iso(now - offset))
+          .limit(BATCH_SIZE),
+        supabaseAdmin
+          .from('artist_commission_windows')
+          .select('id, closes_at')
+          .eq('status', 'open')
+          .not('closes_at', 'is', null)
+          .lte('closes_at', iso(now - offset))
+          .limit(BATCH_SIZE),
+      ]);
+
+      if (opening.error) throw opening.error;
+      if (closing.error) throw closing.error;
+      // Applying a window moves it out of both queries, so one page a sweep is enough
+      return {
+        targets: [
+          ...(opening.data || []).map(w => ({ targetId: w.id, commissionId: null, dueAt: new Date(w.opens_at).getTime() + offset })),
+          ...(closing.data || []).map(w => ({ targetId: w.id, commissionId: null, dueAt: new Date(w.closes_at).getTime() + offset })),
+        ],
+        next: null,
+      };
+    },
+
+    async run({ targetId }, now) {
+      await applyWindow(targetId, { now });
+    },
+  },
+};
+
+/**
+ * Effective settings for every rule, after environment overrides.
+ */
+export function getScheduleRules() {
+  return Object.entries(RULES).map(([name, rule]) => {
+    const prefix = `SCHEDULE_${name.toUpperCase()}`;
+    const hours = parseFloat(process.env[`${prefix}_HOURS`]);
+
+    return {
+      name,
+      description: rule.description,
+      enabled: process.env[`${prefix}_ENABLED`] !== 'false',
+      offsetHours: Number.isFinite(hours) && hours >= 0 ? hours : rule.offsetHours,
+    };
+  });
+}
+
+// ----------------------------------------------------------------------------
+// Runs
+// ----------------------------------------------------------------------------
+
+const runKey = (rule, targetId, dueAt) => `${rule}:${targetId}:${iso(dueAt)}`;
+
+async function findRuns(rule, targetIds) {
+  if (targetIds.length === 0) return new Set();
+
+  const { data, error } = await supabaseAdmin
+    .from('scheduled_action_runs')
+    .select('rule, target_id, due_at')
+    .eq('rule', rule)
+    .in('target_id', targetIds);
+
+  if (error) throw error;
+  return new Set((data || []).map(run => runKey(run.rule, run.target_id, new Date(run.due_at).getTime())));
+}
+
+// Returns false if the action already ran (or is running in another sweep)
+async function claimRun(rule, target) {
+  const { data, error } = await supabaseAdmin
+    .from('scheduled_action_runs')
+    .insert({
+      rule,
+      target_id: target.targetId,
+      commission_id: target.commissionId,
+      due_at: iso(target.dueAt),
+    })
+    .select('id')
+    .single();
+
+  if (!error) return data.id;
+  if (error.code === '23505') return null;
+  throw error;
+}
+
+/**
+ * Run every enabled rule's due actions. Returns how many ran per rule.
+ */
+export async function runScheduler({ now = Date.now() } = {}) {
+  const summary = {};
+
+  for (const { name, enabled, offsetHours } of getScheduleRules()) {
+    if (!enabled) continue;
+
+    const rule = RULES[name];
+    const offset = offsetHours * HOUR;
+    summary[name] = 0;
+
+    let after = null;
+    do {
+      const { targets, next } = await rule.due(now, offset, after);
+      const done = await findRuns(name, targets.map(t => t.targetId));
+
+      for (const target of targets) {
+        if (done.has(runKey(name, target.targetId, target.dueAt))) continue;
+
+        const runId = await claimRun(name, target);
+        if (!runId) continue;
+
+        try {
+          await rule.run(target, now, offset);
+          summary[name]++;
+        } catch (error) {
+          // Let the next sweep try again
+          console.error(`Scheduled ${name} for ${target.targetId} failed:`, error);
+          await supabaseAdmin.from('scheduled_action_runs').delete().eq('id', runId);
+        }
+      }
+
+      after = next;
+    } while (after);
+  }
+
+  return summary;
+}
+
+/**
+ * Actions the scheduler has taken and will take for a commission, oldest
+ * first. Status is 'done', 'due' (picked up by the next sweep) or 'scheduled'.
+ */
+export async function getScheduledActions(commission, { now = Date.now() } = {}) {
+  const rules = getScheduleRules().filter(rule => rule.enabled);
+  const actions = new Map();
+
+  for (const { name, description, offsetHours } of rules) {
+    const rule = RULES[name];
+    if (!rule.forCommission) continue;
+
+    for (const target of await rule.forCommission(commission, offsetHours * HOUR)) {
+      actions.set(runKey(name, target.targetId, target.dueAt), {
+        rule: name,
+        description,
+        target_id: target.targetId,
+        due_at: iso(target.dueAt),
+        status: target.dueAt <= now ? 'due' : 'scheduled',
+        ran_at: null,
+      });
+    }
+  }
+
+  const { data: runs, error } = await supabaseAdmin
+    .from('scheduled_action_runs')
+    .select('rule, target_id, due_at, created_at')
+    .eq('commission_id', commission.id);
+
+  if (error) throw error;
+
+  for (const run of runs || []) {
+    const dueAt = new Date(run.due_at).getTime();
+    actions.set(runKey(run.rule, run.target_id, dueAt), {
+      rule: run.rule,
+      description: RULES[run.rule]?.description || null,
+      target_id: run.target_id,
+      due_at: iso(dueAt),
+      status: 'done',
+      ran_at: run.created_at,
+    });
+  }
+
+  return [...actions.values()].sort((a, b) => a.due_at.localeCompare(b.due_at));
+}
+
+export async function queueSchedulerSweep() {
+  await JobQueue.enqueue('scheduler.sweep', {}, { jobId: 'scheduler.sweep' });
+}
+
+export const handlers = {
+  'scheduler.sweep': {
+    run: () => runScheduler(),
+    visibilityTimeout: 5 * 60 * 1000,
+  },
+};
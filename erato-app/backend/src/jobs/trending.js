@@ -0,0 +1,104 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { JobQueue } from '../utils/jobQueue.js';
+
+// ============================================================================
+// TRENDING JOBS
+// Rebuild `trending_artworks` for a time window from the engagement events
+// recorded in that window. GET /api/engagement/trending reads the table and
+// only falls back to all-time engagement scores while it is empty.
+// ============================================================================
+
+export const TRENDING_WINDOWS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+};
+
+// How much each kind of engagement counts towards the score
+const ENGAGEMENT_WEIGHTS = {
+  view: 1,
+  click: 2,
+  like: 3,
+  save: 4,
+  share: 5,
+  commission_inquiry: 8,
+};
+
+const TRENDING_SIZE = 50;
+const MAX_EVENTS = 50000;
+
+/**
+ * Queue a rebuild of one window. A rebuild already waiting for the same
+ * window is not queued twice.
+ */
+export async function queueTrendingRecompute(timeWindow) {
+  await JobQueue.enqueue('trending.recompute', { timeWindow }, { jobId: `trending.recompute:${timeWindow}` });
+}
+
+export async function recomputeTrending({ timeWindow, now = Date.now() }) {
+  const duration = TRENDING_WINDOWS[timeWindow];
+  if (!duration) throw new Error(`Unknown trending window: ${timeWindow}`);
+
+  const { data: events, error } = await supabaseAdmin
+    .from('user_engagement')
+    .select('artwork_id, engagement_type')
+    .gte('created_at', new Date(now - duration).toISOString())
+    .limit(MAX_EVENTS);
+
+  if (error) throw error;
+
+  const scores = new Map();
+  for (const event of events || []) {
+    const weight = ENGAGEMENT_WEIGHTS[event.engagement_type] || 0;
+    scores.set(event.artwork_id, (scores.get(event.artwork_id) || 0) + weight);
+  }
+
+  let ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+
+  // Leave out artworks that were taken down since
+  if (ranked.length > 0) {
+    const { data: visible, error: visibleError } = await supabaseAdmin
+      .from('artworks')
+      .select('id')
+      .in('id', ranked.slice(0, TRENDING_SIZE * 2).map(([id]) => id))
+      .is('removed_at', null);
+
+    if (visibleError) throw visibleError;
+    const visibleIds = new Set((visible || []).map(a => a.id));
+    ranked = ranked.filter(([id]) => visibleIds.has(id));
+  }
+
+  const computedAt = new Date(now).toISOString();
+  const rows = ranked.slice(0, TRENDING_SIZE).map(([artworkId, score], i) => ({
+    artwork_id: artworkId,
+    time_window: timeWindow,
+    rank: i + 1,
+    score,
+    computed_at: computedAt,
+  }));
+
+  const { error: deleteError } = await supabaseAdmin
+    .from('trending_artworks')
+    .delete()
+    .eq('time_window', timeWindow);
+
+  if (deleteError) throw deleteError;
+
+  if (rows.length > 0) {
+    const { error: insertError } = await supabaseAdmin
+      .from('trending_artworks')
+      .insert(rows);
+
+    if (insertError) throw insertError;
+  }
+
+  return rows.length;
+}
+
+export const handlers = {
+  'trending.recompute': {
+    run: ({ timeWindow }) => recomputeTrending({ timeWindow }),
+    visibilityTimeout: 5 * 60 * 1000,
+  },
+};
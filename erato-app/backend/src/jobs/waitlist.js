@@ -0,0 +1,28 @@
+import { JobQueue } from '../utils/jobQueue.js';
+import { promoteNext } from '../utils/waitlist.js';
+
+// ============================================================================
+// WAITLIST JOBS
+// Commission transitions that free a slot queue a promotion for the artist
+// instead of promoting inside the request. One promotion per artist waits at
+// a time; it counts the free slots when it runs, so it covers every slot
+// freed before then.
+// ============================================================================
+
+/**
+ * Queue promoteNext(artistId).
+ */
+export async function queueWaitlistPromotion(artistId) {
+  try {
+    await JobQueue.enqueue('waitlist.promote', { artistId }, { jobId: `waitlist.promote:${artistId}` });
+  } catch (error) {
+    console.error('Error queueing waitlist promotion, promoting inline:', error.message);
+    await promoteNext(artistId);
+  }
+}
+
+export const handlers = {
+  'waitlist.promote': {
+    run: ({ artistId }) => promoteNext(artistId),
+  },
+};
@@ -1,6 +1,45 @@
 import jwt from 'jsonwebtoken';
-import { supabaseAdmin } from '../config/supabase.js';
-import { cache, cacheKeys } from '../utils/cache.js';
+import { getUserRelations } from '../utils/blocks.js';
+import { UserRepo } from '../repositories/index.js';
+
+// Staff roles, lowest to highest. Everyone else is a plain 'user'.
+export const ROLES = ['user', 'support', 'moderator', 'admin'];
+
+export const roleRank = (role) => Math.max(ROLES.indexOf(role), 0);
+
+export const hasRole = (user, ...roles) => !!user && roles.includes(user.role);
+
+// Returns why the account can't be used, or null if it can.
+// Suspensions past their end date are lifted here rather than by a job.
+export const getAccountRestriction = (user) => {
+  if (user.account_status === 'banned') {
+    return 'This account has been banned';
+  }
+
+  if (user.account_status === 'suspended') {
+    if (user.suspended_until && new Date(user.suspended_until) <= new Date()) {
+      UserRepo.liftSuspension(user.id)
+        .catch(err => console.error('Error lifting expired suspension:', err));
+      return null;
+    }
+
+    return user.suspended_until
+      ? `This account is suspended until ${new Date(user.suspended_until).toISOString()}`
+      : 'This account is suspended';
+  }
+
+  return null;
+};
+
+// Block and mute lists ride along with the user (see utils/blocks.js)
+const loadRelations = async (userId) => {
+  try {
+    return await getUserRelations(userId);
+  } catch (error) {
+    console.error('Error loading block list:', error);
+    return { blocked: [], blockedBy: [], muted: [], hidden: [] };
+  }
+};
 
 export const authenticate = async (req, res, next) => {
   try {
@@ -14,52 +53,21 @@ export const authenticate = async (req, res, next) => {
 
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userId = decoded.userId;
-
-    // Try to get user from cache first (15 minute TTL)
-    const cacheKey = cacheKeys.user(userId);
-    let user = await cache.get(cacheKey);
 
+    // Cached for 15 minutes
+    const user = await UserRepo.getById(decoded.userId);
     if (!user) {
-      // Get user from database
-      const { data: dbUser, error } = await supabaseAdmin
-        .from('users')
-        .select('*')
-        .eq('id', userId)
-        .single();
-
-      if (error || !dbUser) {
-        return res.status(401).json({ error: 'Invalid token' });
-      }
-
-      user = dbUser;
-      
-      // Cache user for 15 minutes
-      await cache.set(cacheKey, user, 900);
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return res.status(403).json({ error: restriction, account_status: user.account_status });
     }
 
-    // Update last_seen and is_online status asynchronously (don't block request)
-    const updatePromise = supabaseAdmin
-      .from('users')
-      .update({
-        last_seen: new Date().toISOString(),
-        is_online: true
-      })
-      .eq('id', user.id)
-      .then(() => {
-        // Update cached user with new last_seen (optional, non-blocking)
-        const updatedUser = { ...user, last_seen: new Date().toISOString(), is_online: true };
-        cache.set(cacheKey, updatedUser, 900).catch(err => 
-          console.error('Error updating cached user:', err)
-        );
-      })
-      .catch(err => console.error('Error updating last_seen:', err));
-
-    // Don't await - let it run in background
-    // Fire and forget for better performance
-
-    // Attach user to request
+    // Attach user and their block list to request
     req.user = user;
+    req.blocks = await loadRelations(user.id);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -83,27 +91,11 @@ export const optionalAuth = async (req, res, next) => {
 
     const token = authHeader.substring(7);
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userId = decoded.userId;
-
-    // Try cache first
-    const cacheKey = cacheKeys.user(userId);
-    let user = await cache.get(cacheKey);
 
-    if (!user) {
-      const { data: dbUser } = await supabaseAdmin
-        .from('users')
-        .select('*')
-        .eq('id', userId)
-        .single();
-
-      if (dbUser) {
-        user = dbUser;
-        // Cache for 15 minutes
-        await cache.set(cacheKey, user, 900);
-      }
-    }
+    const user = await UserRepo.getById(decoded.userId);
 
-    req.user = user || null;
+    req.user = user && !getAccountRestriction(user) ? user : null;
+    req.blocks = req.user ? await loadRelations(req.user.id) : null;
     next();
   } catch (error) {
     req.user = null;
@@ -121,4 +113,17 @@ export const requireArtist = async (req, res, next) => {
   }
 
   next();
-};
\ No newline at end of file
+};
+
+// Must run after authenticate. Passes if the user holds any of the given roles.
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (!hasRole(req.user, ...roles)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+
+  next();
+};
@@ -0,0 +1,84 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { cache, cacheKeys } from '../utils/cache.js';
+import { ARTIST_CARD, ARTIST_CARD_WITH_STYLES } from './selects.js';
+
+// ============================================================================
+// ARTIST REPOSITORY
+// Queries on `artists`. An artist row shares its primary key with the user
+// who owns it (artists.id IS users.id), so every method here takes a user id.
+// ============================================================================
+
+export const ArtistRepo = {
+  async findById(id, columns = '*') {
+    const { data, error } = await supabaseAdmin
+      .from('artists')
+      .select(columns)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Artist with user, primary style and all styles.
+   */
+  async findProfile(id) {
+    return ArtistRepo.findById(id, ARTIST_CARD_WITH_STYLES);
+  },
+
+  async isArtist(userId) {
+    if (!userId) return false;
+    return !!(await ArtistRepo.findById(userId, 'id'));
+  },
+
+  async findManyByIds(ids, columns = ARTIST_CARD) {
+    const uniqueIds = [...new Set(ids.filter(Boolean))];
+    if (uniqueIds.length === 0) return [];
+
+    const { data, error } = await supabaseAdmin
+      .from('artists')
+      .select(columns)
+      .in('id', uniqueIds);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Base query for artist lists that callers narrow with their own filters.
+   */
+  query(columns = ARTIST_CARD) {
+    return supabaseAdmin.from('artists').select(columns);
+  },
+
+  async create(values) {
+    const { data, error } = await supabaseAdmin
+      .from('artists')
+      .insert(values)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, changes) {
+    const { data, error } = await supabaseAdmin
+      .from('artists')
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    await ArtistRepo.invalidate(id);
+    return data;
+  },
+
+  async invalidate(id) {
+    await cache.del(cacheKeys.artist(id));
+  },
+};
+
+export default ArtistRepo;
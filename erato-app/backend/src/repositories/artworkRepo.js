@@ -0,0 +1,125 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { cache, cacheKeys } from '../utils/cache.js';
+import { invalidateLater } from '../jobs/cache.js';
+import { ARTWORK_DETAIL } from './selects.js';
+
+// ============================================================================
+// ARTWORK REPOSITORY
+// Queries on `artworks` and invalidation of every cache that lists them
+// (artwork detail, browse lists, the artist's artworks, feeds and boards).
+// artworks.artist_id is the artist's user id.
+// ============================================================================
+
+export const ArtworkRepo = {
+  async findById(id, columns = '*') {
+    const { data, error } = await supabaseAdmin
+      .from('artworks')
+      .select(columns)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Visible artwork with its artist card, or null if missing or removed.
+   */
+  async findDetail(id) {
+    const { data, error } = await supabaseAdmin
+      .from('artworks')
+      .select(ARTWORK_DETAIL)
+      .eq('id', id)
+      .is('removed_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findByArtist(artistId, { limit = 20 } = {}) {
+    const { data, error } = await supabaseAdmin
+      .from('artworks')
+      .select('*')
+      .eq('artist_id', artistId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async create(values) {
+    const { data, error } = await supabaseAdmin
+      .from('artworks')
+      .insert(values)
+      .select()
+      .single();
+
+    if (error) throw error;
+    await ArtworkRepo.invalidate(data);
+    return data;
+  },
+
+  async update(id, changes) {
+    const { data, error } = await supabaseAdmin
+      .from('artworks')
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    await ArtworkRepo.invalidate(data);
+    return data;
+  },
+
+  /**
+   * Delete an artwork and take it off every board it was saved to.
+   */
+  async delete(artwork) {
+    const { error: boardsError } = await supabaseAdmin
+      .from('board_artworks')
+      .delete()
+      .eq('artwork_id', artwork.id);
+
+    if (boardsError) {
+      console.error('Error deleting board_artworks:', boardsError);
+    }
+
+    const { error } = await supabaseAdmin
+      .from('artworks')
+      .delete()
+      .eq('id', artwork.id);
+
+    if (error) throw error;
+    await ArtworkRepo.invalidate(artwork, { boards: true });
+  },
+
+  /**
+   * Counters change on every view and like, so they skip cache invalidation.
+   */
+  async setCounters(id, counters) {
+    const { error } = await supabaseAdmin
+      .from('artworks')
+      .update(counters)
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  /**
+   * The artwork's own key goes now; the list and feed patterns are queued.
+   */
+  async invalidate(artwork, { boards = false } = {}) {
+    await cache.del(cacheKeys.artwork(artwork.id));
+    await invalidateLater(
+      'artworks:list:*',
+      `${cacheKeys.artistArtworks(artwork.artist_id)}*`,
+      'feed:*',
+      boards && 'board:*:artworks',
+    );
+  },
+};
+
+export default ArtworkRepo;
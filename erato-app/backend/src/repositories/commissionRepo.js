@@ -0,0 +1,136 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { UserRepo } from './userRepo.js';
+import { ArtistRepo } from './artistRepo.js';
+import { ARTIST_COMMISSION_TERMS, ARTWORK_SUMMARY, PACKAGE_SUMMARY, USER_PROFILE } from './selects.js';
+
+// ============================================================================
+// COMMISSION REPOSITORY
+// Queries on `commissions`. commission.artist_id is the artist's user id, so
+// it can be used directly against both `users` and `artists`.
+// ============================================================================
+
+// Statuses that take up one of the artist's queue slots
+export const ACTIVE_COMMISSION_STATUSES = ['pending', 'accepted', 'in_progress'];
+
+async function findByIds(table, ids, columns) {
+  const uniqueIds = [...new Set(ids.filter(Boolean))];
+  if (uniqueIds.length === 0) return new Map();
+
+  const { data, error } = await supabaseAdmin
+    .from(table)
+    .select(columns)
+    .in('id', uniqueIds);
+
+  if (error) throw error;
+  return new Map((data || []).map(row => [row.id, row]));
+}
+
+export const CommissionRepo = {
+  async findById(id, columns = '*') {
+    const { data, error } = await supabaseAdmin
+      .from('commissions')
+      .select(columns)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Base query for commission lists that callers narrow with their own filters.
+   */
+  query(columns = '*') {
+    return supabaseAdmin.from('commissions').select(columns);
+  },
+
+  async countActive(artistId) {
+    const { count, error } = await supabaseAdmin
+      .from('commissions')
+      .select('id', { count: 'exact', head: true })
+      .eq('artist_id', artistId)
+      .in('status', ACTIVE_COMMISSION_STATUSES)
+      // Waitlisted requests wait for a slot rather than taking one
+      .or('queue_status.is.null,queue_status.neq.waitlist');
+
+    if (error) throw error;
+    return count || 0;
+  },
+
+  async create(values) {
+    const { data, error } = await supabaseAdmin
+      .from('commissions')
+      .insert(values)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, changes) {
+    const { data, error } = await supabaseAdmin
+      .from('commissions')
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async delete(id) {
+    const { error } = await supabaseAdmin
+      .from('commissions')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Attach client, artist (with its user), artwork and package to each
+   * commission in one query per table.
+   */
+  async attachParties(commissions, { artistColumns = 'id', clientColumns } = {}) {
+    if (!commissions || commissions.length === 0) return [];
+
+    const userIds = commissions.flatMap(c => [c.client_id, c.artist_id]);
+    const artistIds = commissions.map(c => c.artist_id);
+
+    const [users, artists, artworks, packages] = await Promise.all([
+      UserRepo.mapByIds(userIds, clientColumns),
+      ArtistRepo.findManyByIds(artistIds, artistColumns).then(rows => new Map(rows.map(a => [a.id, a]))),
+      findByIds('artworks', commissions.map(c => c.artwork_id), ARTWORK_SUMMARY),
+      findByIds('commission_packages', commissions.map(c => c.package_id), PACKAGE_SUMMARY),
+    ]);
+
+    return commissions.map(commission => {
+      const artist = artists.get(commission.artist_id);
+      return {
+        ...commission,
+        client: users.get(commission.client_id) || null,
+        artist: artist ? { ...artist, users: users.get(commission.artist_id) || null } : null,
+        artwork: commission.artwork_id ? artworks.get(commission.artwork_id) || null : null,
+        package: commission.package_id ? packages.get(commission.package_id) || null : null,
+      };
+    });
+  },
+
+  /**
+   * A single commission with its parties, as shown on the commission page.
+   */
+  async findDetail(id) {
+    const commission = await CommissionRepo.findById(id);
+    if (!commission) return null;
+
+    const [detail] = await CommissionRepo.attachParties([commission], {
+      artistColumns: ARTIST_COMMISSION_TERMS,
+      clientColumns: USER_PROFILE,
+    });
+    return detail;
+  },
+};
+
+export default CommissionRepo;
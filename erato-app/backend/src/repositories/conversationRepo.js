@@ -0,0 +1,424 @@
+import { createHash } from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { cache, cacheKeys } from '../utils/cache.js';
+import { MessageCountService } from '../utils/redisServices.js';
+import { MessageRepo } from './messageRepo.js';
+
+// ============================================================================
+// CONVERSATION REPOSITORY
+// Queries on `conversations` and `conversation_participants`, plus the
+// per-user conversation list cache and unread counters that go with them.
+//
+// Direct (non-group) conversations carry `participant_hash`, the SHA-256 of
+// their sorted participant ids, so the conversation between a set of people
+// is one indexed lookup. A unique index keeps it to one conversation per set.
+// Groups have no hash.
+// ============================================================================
+
+const PARTICIPANT_COLUMNS = 'user_id, role, joined_at, muted, muted_until, last_read_at';
+
+export const ConversationRepo = {
+  async findById(id, columns = '*') {
+    const { data, error } = await supabaseAdmin
+      .from('conversations')
+      .select(columns)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findByCommission(commissionId, columns = 'id') {
+    const { data, error } = await supabaseAdmin
+      .from('conversations')
+      .select(columns)
+      .eq('commission_id', commissionId)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async isParticipant(conversationId, userId) {
+    const { data, error } = await supabaseAdmin
+      .from('conversation_participants')
+      .select('conversation_id')
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return !!data;
+  },
+
+  /**
+   * The participant_hash of a set of user ids, in any order.
+   */
+  participantHash(userIds) {
+    const sorted = [...new Set(userIds)].sort();
+    return createHash('sha256').update(sorted.join(',')).digest('hex');
+  },
+
+  async findByParticipantHash(hash, columns = '*') {
+    const { data, error } = await supabaseAdmin
+      .from('conversations')
+      .select(columns)
+      .eq('participant_hash', hash)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * A participant's row: role, mute and read state. Null if they aren't one.
+   */
+  async findParticipant(conversationId, userId, columns = PARTICIPANT_COLUMNS) {
+    const { data, error } = await supabaseAdmin
+      .from('conversation_participants')
+      .select(columns)
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Every participant's row, longest-standing first.
+   */
+  async findParticipants(conversationId, columns = PARTICIPANT_COLUMNS) {
+    const { data, error } = await supabaseAdmin
+      .from('conversation_participants')
+      .select(columns)
+      .eq('conversation_id', conversationId)
+      .order('joined_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async findParticipantIds(conversationId) {
+    const { data, error } = await supabaseAdmin
+      .from('conversation_participants')
+      .select('user_id')
+      .eq('conversation_id', conversationId);
+
+    if (error) throw error;
+    return (data || []).map(p => p.user_id);
+  },
+
+  /**
+   * Delivery and read watermarks of every participant.
+   */
+  async findReceipts(conversationId) {
+    const { data, error } = await supabaseAdmin
+      .from('conversation_participants')
+      .select('user_id, last_delivered_at, last_read_at')
+      .eq('conversation_id', conversationId);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Everyone who shares a conversation with this user.
+   */
+  async findContactIds(userId) {
+    const conversationIds = await ConversationRepo.findConversationIds(userId);
+    if (conversationIds.length === 0) return [];
+
+    const { data, error } = await supabaseAdmin
+      .from('conversation_participants')
+      .select('user_id')
+      .in('conversation_id', conversationIds)
+      .neq('user_id', userId);
+
+    if (error) throw error;
+    return [...new Set((data || []).map(p => p.user_id))];
+  },
+
+  async findConversationIds(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('conversation_participants')
+      .select('conversation_id')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return (data || []).map(p => p.conversation_id);
+  },
+
+  /**
+   * A direct conversation that includes all of `userIds`. With `exact`, it
+   * must have no other participants either, which is a lookup by
+   * participant_hash. Group conversations are never returned.
+   */
+  async findWithParticipants(userIds, { exact = false } = {}) {
+    if (exact) return ConversationRepo.findByParticipantHash(ConversationRepo.participantHash(userIds));
+
+    const [first, ...others] = userIds;
+    const conversationIds = await ConversationRepo.findConversationIds(first);
+    if (conversationIds.length === 0) return null;
+
+    const { data: participants, error } = await supabaseAdmin
+      .from('conversation_participants')
+      .select('conversation_id, user_id')
+      .in('conversation_id', conversationIds);
+
+    if (error) throw error;
+
+    const members = new Map();
+    for (const { conversation_id: id, user_id: userId } of participants || []) {
+      if (!members.has(id)) members.set(id, new Set());
+      members.get(id).add(userId);
+    }
+
+    const matches = conversationIds.filter(id => {
+      const set = members.get(id) || new Set();
+      return others.every(userId => set.has(userId));
+    });
+    if (matches.length === 0) return null;
+
+    const { data: direct, error: directError } = await supabaseAdmin
+      .from('conversations')
+      .select('id')
+      .in('id', matches)
+      .eq('is_group', false);
+
+    if (directError) throw directError;
+
+    const directIds = new Set((direct || []).map(conversation => conversation.id));
+    const match = matches.find(id => directIds.has(id));
+    return match ? ConversationRepo.findById(match) : null;
+  },
+
+  /**
+   * Create a conversation and add its participants. A direct conversation
+   * that already exists for the same people (created in the meantime) is
+   * returned instead. In a group, `createdBy` is its first admin.
+   */
+  async create({ participantIds, commissionId = null, isGroup = false, title = null, createdBy = null }) {
+    const participantHash = isGroup ? null : ConversationRepo.participantHash(participantIds);
+    const values = { participant_hash: participantHash, is_group: isGroup, title, created_by: createdBy };
+    if (commissionId) values.commission_id = commissionId;
+
+    const { data: conversation, error } = await supabaseAdmin
+      .from('conversations')
+      .insert(values)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505' && participantHash) {
+        const existing = await ConversationRepo.findByParticipantHash(participantHash);
+        if (existing) return existing;
+      }
+      throw error;
+    }
+
+    await ConversationRepo.addParticipants(conversation.id, participantIds, {
+      role: (userId) => (isGroup && userId === createdBy ? 'admin' : 'member'),
+    });
+    return conversation;
+  },
+
+  /**
+   * Add users to a conversation. `role` is a role or a function of the
+   * user id.
+   */
+  async addParticipants(conversationId, userIds, { role = 'member' } = {}) {
+    const now = new Date().toISOString();
+    const { error } = await supabaseAdmin
+      .from('conversation_participants')
+      .insert(userIds.map(userId => ({
+        conversation_id: conversationId,
+        user_id: userId,
+        role: typeof role === 'function' ? role(userId) : role,
+        joined_at: now,
+        last_read_at: now,
+      })));
+
+    if (error) throw error;
+    await ConversationRepo.invalidateLists(userIds);
+  },
+
+  async removeParticipant(conversationId, userId) {
+    const { error } = await supabaseAdmin
+      .from('conversation_participants')
+      .delete()
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    await ConversationRepo.invalidateLists([userId]);
+  },
+
+  async updateParticipant(conversationId, userId, changes) {
+    const { data, error } = await supabaseAdmin
+      .from('conversation_participants')
+      .update(changes)
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId)
+      .select(PARTICIPANT_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Recompute a direct conversation's participant_hash after its
+   * participants changed. If another conversation already has the new set,
+   * this one keeps no hash and lookups return the other.
+   */
+  async refreshParticipantHash(conversationId) {
+    const conversation = await ConversationRepo.findById(conversationId, 'id, is_group');
+    if (!conversation || conversation.is_group) return;
+
+    const participantIds = await ConversationRepo.findParticipantIds(conversationId);
+    const hash = participantIds.length > 0 ? ConversationRepo.participantHash(participantIds) : null;
+    const holder = hash && await ConversationRepo.findByParticipantHash(hash, 'id');
+
+    await ConversationRepo.update(conversationId, {
+      participant_hash: holder && holder.id !== conversationId ? null : hash,
+    });
+  },
+
+  async update(id, changes) {
+    const { error } = await supabaseAdmin
+      .from('conversations')
+      .update(changes)
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Bump updated_at so the conversation sorts to the top of everyone's list.
+   */
+  async touch(id) {
+    await ConversationRepo.update(id, { updated_at: new Date().toISOString() });
+  },
+
+  /**
+   * Remove a conversation with its messages and participants.
+   */
+  async delete(id) {
+    const participantIds = await ConversationRepo.findParticipantIds(id);
+
+    for (const table of ['messages', 'conversation_participants']) {
+      const { error } = await supabaseAdmin.from(table).delete().eq('conversation_id', id);
+      if (error) throw error;
+    }
+
+    const { error } = await supabaseAdmin.from('conversations').delete().eq('id', id);
+    if (error) throw error;
+
+    await ConversationRepo.invalidateLists(participantIds);
+  },
+
+  /**
+   * Count a new message as unread for `userId`, in the database and Redis.
+   */
+  /**
+   * Recount the participant's unread messages (from others, since they last
+   * read the conversation) into the database and Redis. Counting instead of
+   * adding one makes a retried fan-out harmless. Nothing is written if they
+   * read the conversation while it was being counted.
+   */
+  async refreshUnread(conversationId, userId) {
+    const { data: participant, error: findError } = await supabaseAdmin
+      .from('conversation_participants')
+      .select('joined_at, last_read_at')
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (findError) throw findError;
+    if (!participant) return;
+
+    const since = participant.last_read_at || participant.joined_at || new Date(0).toISOString();
+    const count = await MessageRepo.countUnread(conversationId, userId, since);
+
+    let query = supabaseAdmin
+      .from('conversation_participants')
+      .update({ unread_count: count })
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId);
+    query = participant.last_read_at
+      ? query.eq('last_read_at', participant.last_read_at)
+      : query.is('last_read_at', null);
+
+    const { data: updated, error } = await query.select('user_id').maybeSingle();
+    if (error) throw error;
+
+    if (updated) {
+      await MessageCountService.setUnreadCount(userId, conversationId, count);
+    }
+  },
+
+  /**
+   * Everything up to `upTo` reached the participant's device. Returns the
+   * new delivery watermark, or null if they aren't a participant or it was
+   * already that far.
+   */
+  async markDelivered(conversationId, userId, upTo) {
+    const { data: participant, error: findError } = await supabaseAdmin
+      .from('conversation_participants')
+      .select('last_delivered_at, last_read_at')
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (findError) throw findError;
+    if (!participant) return null;
+
+    const watermark = [participant.last_delivered_at, participant.last_read_at]
+      .filter(Boolean)
+      .some(time => new Date(time) >= new Date(upTo));
+    if (watermark) return null;
+
+    const { error } = await supabaseAdmin
+      .from('conversation_participants')
+      .update({ last_delivered_at: upTo })
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return upTo;
+  },
+
+  // Reading a conversation also counts as delivery
+  async markRead(conversationId, userId, { resetUnread = true } = {}) {
+    const readAt = new Date().toISOString();
+    const changes = { last_read_at: readAt, last_delivered_at: readAt };
+    if (resetUnread) changes.unread_count = 0;
+
+    const { error } = await supabaseAdmin
+      .from('conversation_participants')
+      .update(changes)
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    if (resetUnread) {
+      await MessageCountService.resetUnreadCount(userId, conversationId);
+      await ConversationRepo.invalidateLists([userId]);
+    }
+
+    return readAt;
+  },
+
+  /**
+   * Drop the cached conversation lists of these users.
+   */
+  async invalidateLists(userIds) {
+    await Promise.all(userIds.map(userId => cache.del(cacheKeys.conversations(userId))));
+  },
+};
+
+export default ConversationRepo;
@@ -0,0 +1,15 @@
+// ============================================================================
+// REPOSITORIES
+// Routes and services read and write through these instead of building
+// supabaseAdmin queries inline, so schema and cache details live in one place.
+// ============================================================================
+
+export { UserRepo } from './userRepo.js';
+export { ArtistRepo } from './artistRepo.js';
+export { ArtworkRepo } from './artworkRepo.js';
+export { CommissionRepo, ACTIVE_COMMISSION_STATUSES } from './commissionRepo.js';
+export { ConversationRepo } from './conversationRepo.js';
+export { MessageRepo } from './messageRepo.js';
+export { NotificationRepo } from './notificationRepo.js';
+export { PushDeviceRepo } from './pushDeviceRepo.js';
+export * as selects from './selects.js';
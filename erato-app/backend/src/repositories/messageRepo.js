@@ -0,0 +1,228 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+// ============================================================================
+// MESSAGE REPOSITORY
+// Queries on `messages` and the message_edits / message_reactions that
+// hang off them. Moderated messages keep their row but get a removed_at
+// timestamp, so reads skip them.
+// ============================================================================
+
+export const MessageRepo = {
+  async findById(id, columns = '*') {
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .select(columns)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findManyByIds(ids, columns = '*') {
+    const uniqueIds = [...new Set(ids.filter(Boolean))];
+    if (uniqueIds.length === 0) return [];
+
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .select(columns)
+      .in('id', uniqueIds);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async create(values) {
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .insert(values)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Newest `limit` visible messages, optionally older than `before`,
+   * returned oldest first. With `after`, the oldest `limit` messages newer
+   * than it instead (`from` is the inclusive version).
+   */
+  async listForConversation(conversationId, { limit = 50, before = null, after = null, from = null } = {}) {
+    const forward = Boolean(after || from);
+    let query = supabaseAdmin
+      .from('messages')
+      .select('*')
+      .eq('conversation_id', conversationId)
+      .is('removed_at', null)
+      .order('created_at', { ascending: forward })
+      .limit(limit);
+
+    if (before) {
+      query = query.lt('created_at', before);
+    }
+    if (after) {
+      query = query.gt('created_at', after);
+    }
+    if (from) {
+      query = query.gte('created_at', from);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return forward ? data || [] : (data || []).reverse();
+  },
+
+  /**
+   * Visible messages matching a search in these conversations, newest
+   * first. `text` uses Postgres websearch syntax.
+   */
+  async search(conversationIds, { text, senderId, from, to, messageTypes = [], before, limit }) {
+    let query = supabaseAdmin
+      .from('messages')
+      .select('id, conversation_id, sender_id, message_type, content, image_url, metadata, created_at, edited_at')
+      .in('conversation_id', conversationIds)
+      .is('removed_at', null)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit);
+
+    if (text) query = query.textSearch('content', text, { type: 'websearch', config: 'english' });
+    if (senderId) query = query.eq('sender_id', senderId);
+    if (messageTypes.length > 0) query = query.in('message_type', messageTypes);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+    if (before?.id) {
+      query = query.or(`created_at.lt."${before.at}",and(created_at.eq."${before.at}",id.lt.${before.id})`);
+    } else if (before) {
+      query = query.lt('created_at', before.at);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Latest message of each conversation.
+   */
+  async findLatest(conversationIds) {
+    if (conversationIds.length === 0) return new Map();
+
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .select('id, content, message_type, created_at, sender_id, conversation_id')
+      .in('conversation_id', conversationIds)
+      .is('removed_at', null)
+      .order('created_at', { ascending: false })
+      .limit(conversationIds.length * 2);
+
+    if (error) throw error;
+
+    const latest = new Map();
+    for (const message of data || []) {
+      if (!latest.has(message.conversation_id)) latest.set(message.conversation_id, message);
+    }
+    return latest;
+  },
+
+  async countUnread(conversationId, userId, since) {
+    const { count, error } = await supabaseAdmin
+      .from('messages')
+      .select('*', { count: 'exact', head: true })
+      .eq('conversation_id', conversationId)
+      .neq('sender_id', userId)
+      .neq('message_type', 'system')
+      .gt('created_at', since);
+
+    if (error) throw error;
+    return count || 0;
+  },
+
+  async update(id, values) {
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .update(values)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async recordEdit(messageId, previousContent, editedAt) {
+    const { error } = await supabaseAdmin
+      .from('message_edits')
+      .insert({ message_id: messageId, previous_content: previousContent, edited_at: editedAt });
+
+    if (error) throw error;
+  },
+
+  /**
+   * Earlier versions of a message, oldest first.
+   */
+  async listEdits(messageId) {
+    const { data, error } = await supabaseAdmin
+      .from('message_edits')
+      .select('previous_content, edited_at')
+      .eq('message_id', messageId)
+      .order('edited_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async listReactions(messageIds) {
+    if (messageIds.length === 0) return [];
+
+    const { data, error } = await supabaseAdmin
+      .from('message_reactions')
+      .select('message_id, user_id, emoji, created_at')
+      .in('message_id', messageIds)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Returns false if the user had already reacted with this emoji.
+   */
+  async addReaction(messageId, userId, emoji) {
+    const { data, error } = await supabaseAdmin
+      .from('message_reactions')
+      .upsert({ message_id: messageId, user_id: userId, emoji }, {
+        onConflict: 'message_id,user_id,emoji',
+        ignoreDuplicates: true,
+      })
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  },
+
+  async removeReaction(messageId, userId, emoji) {
+    const { data, error } = await supabaseAdmin
+      .from('message_reactions')
+      .delete()
+      .eq('message_id', messageId)
+      .eq('user_id', userId)
+      .eq('emoji', emoji)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  },
+
+  async delete(id) {
+    const { error } = await supabaseAdmin
+      .from('messages')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+};
+
+export default MessageRepo;
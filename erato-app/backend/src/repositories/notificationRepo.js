@@ -0,0 +1,211 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+// ============================================================================
+// NOTIFICATION REPOSITORY
+// Queries on `notifications`, `notification_preferences` and
+// `notification_settings`. Caching and delivery rules live in
+// utils/notifications.js; this only talks to the database.
+// ============================================================================
+
+export const NotificationRepo = {
+  async create(values) {
+    const { data, error } = await supabaseAdmin
+      .from('notifications')
+      .insert(values)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * The unread notification new events with this group key collapse into.
+   */
+  async findOpenGroup(userId, groupKey) {
+    const { data, error } = await supabaseAdmin
+      .from('notifications')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('group_key', groupKey)
+      .eq('in_app', true)
+      .is('read_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Apply `changes` to an open group still at `expectedCount`. Returns null
+   * when another event bumped it first or it has been read since.
+   */
+  async bumpGroup(id, expectedCount, changes) {
+    const { data, error } = await supabaseAdmin
+      .from('notifications')
+      .update(changes)
+      .eq('id', id)
+      .eq('group_count', expectedCount)
+      .is('read_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Newest first. `before` is the `{ at, id }` of the last row already seen;
+   * the id breaks ties between rows bumped in the same instant.
+   */
+  async list(userId, { limit = 20, before = null, types = null, unreadOnly = false } = {}) {
+    let query = supabaseAdmin
+      .from('notifications')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('in_app', true)
+      .order('last_event_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit);
+
+    if (before) {
+      query = query.or(
+        `last_event_at.lt."${before.at}",and(last_event_at.eq."${before.at}",id.lt.${before.id})`
+      );
+    }
+    if (types?.length) query = query.in('type', types);
+    if (unreadOnly) query = query.is('read_at', null);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
+
+  async countUnread(userId) {
+    const { count, error } = await supabaseAdmin
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('in_app', true)
+      .is('read_at', null);
+
+    if (error) throw error;
+    return count || 0;
+  },
+
+  /**
+   * Returns the notification if it was unread, otherwise null.
+   */
+  async markRead(userId, id) {
+    const { data, error } = await supabaseAdmin
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('user_id', userId)
+      .eq('in_app', true)
+      .is('read_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async markAllRead(userId) {
+    const { error } = await supabaseAdmin
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('read_at', null);
+
+    if (error) throw error;
+  },
+
+  async findPreferences(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('notification_preferences')
+      .select('type, in_app, push, email_digest')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async upsertPreferences(userId, preferences) {
+    const updatedAt = new Date().toISOString();
+    const { error } = await supabaseAdmin
+      .from('notification_preferences')
+      .upsert(
+        preferences.map(p => ({ ...p, user_id: userId, updated_at: updatedAt })),
+        { onConflict: 'user_id,type' }
+      );
+
+    if (error) throw error;
+  },
+
+  async findSettings(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('notification_settings')
+      .select('quiet_hours_start, quiet_hours_end, timezone')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async upsertSettings(userId, settings) {
+    const { error } = await supabaseAdmin
+      .from('notification_settings')
+      .upsert(
+        { ...settings, user_id: userId, updated_at: new Date().toISOString() },
+        { onConflict: 'user_id' }
+      );
+
+    if (error) throw error;
+  },
+
+  /**
+   * Notifications waiting for the user's next email digest, oldest first.
+   */
+  async findPendingDigest(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('notifications')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('digest_status', 'pending')
+      .order('last_event_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Users with notifications waiting for a digest. Capped at `limit` rows
+   * scanned; users left out are picked up once these have been sent.
+   */
+  async findDigestUserIds(limit = 1000) {
+    const { data, error } = await supabaseAdmin
+      .from('notifications')
+      .select('user_id')
+      .eq('digest_status', 'pending')
+      .order('user_id', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return [...new Set((data || []).map(row => row.user_id))];
+  },
+
+  async markDigestSent(ids) {
+    if (ids.length === 0) return;
+
+    const { error } = await supabaseAdmin
+      .from('notifications')
+      .update({ digest_status: 'sent' })
+      .in('id', ids);
+
+    if (error) throw error;
+  },
+};
+
+export default NotificationRepo;
@@ -0,0 +1,116 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+// ============================================================================
+// PUSH DEVICE REPOSITORY
+// Queries on `push_devices` (registered Expo tokens) and `push_tickets`
+// (sent pushes waiting for their receipt).
+// ============================================================================
+
+export const PushDeviceRepo = {
+  async findByUser(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('push_devices')
+      .select('id, token, platform, device_name, last_seen_at, created_at')
+      .eq('user_id', userId)
+      .order('last_seen_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async findByUsers(userIds) {
+    const uniqueIds = [...new Set(userIds.filter(Boolean))];
+    if (uniqueIds.length === 0) return [];
+
+    const { data, error } = await supabaseAdmin
+      .from('push_devices')
+      .select('user_id, token')
+      .in('user_id', uniqueIds);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Register a token, or refresh it and move it to `userId` if it is already
+   * known (the device was signed into another account).
+   */
+  async register(userId, { token, platform = 'unknown', deviceName = null }) {
+    const { data, error } = await supabaseAdmin
+      .from('push_devices')
+      .upsert({
+        user_id: userId,
+        token,
+        platform,
+        device_name: deviceName,
+        last_seen_at: new Date().toISOString(),
+      }, { onConflict: 'token' })
+      .select('id, token, platform, device_name, last_seen_at, created_at')
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async unregister(userId, token) {
+    const { error } = await supabaseAdmin
+      .from('push_devices')
+      .delete()
+      .eq('user_id', userId)
+      .eq('token', token);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Drop tokens Expo reported as no longer registered.
+   */
+  async deleteTokens(tokens) {
+    if (tokens.length === 0) return;
+
+    const { error } = await supabaseAdmin
+      .from('push_devices')
+      .delete()
+      .in('token', tokens);
+
+    if (error) throw error;
+  },
+
+  async createTickets(tickets) {
+    if (tickets.length === 0) return;
+
+    const { error } = await supabaseAdmin
+      .from('push_tickets')
+      .insert(tickets);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Tickets sent before `before`, oldest first.
+   */
+  async findTickets({ before, limit = 1000 }) {
+    const { data, error } = await supabaseAdmin
+      .from('push_tickets')
+      .select('id, token, user_id, created_at')
+      .lt('created_at', before)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async deleteTickets(ids) {
+    if (ids.length === 0) return;
+
+    const { error } = await supabaseAdmin
+      .from('push_tickets')
+      .delete()
+      .in('id', ids);
+
+    if (error) throw error;
+  },
+};
+
+export default PushDeviceRepo;
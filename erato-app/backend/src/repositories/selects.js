@@ -0,0 +1,64 @@
+// ============================================================================
+// SHARED SELECTS
+// Column lists and embeds reused by the repositories. Changing a column or a
+// relationship name here changes it for every query that shows that shape.
+// ============================================================================
+
+// What other users get to see of someone (avatars, mentions, participants)
+export const USER_SUMMARY = 'id, username, avatar_url, full_name';
+
+// USER_SUMMARY plus the bio, used on cards and commission detail
+export const USER_PROFILE = `${USER_SUMMARY}, bio`;
+
+// USER_PROFILE plus the banner, used on profile pages
+export const USER_PUBLIC_PROFILE = `${USER_PROFILE}, banner_url`;
+
+export const STYLE_SUMMARY = 'id, name, slug';
+
+export const ARTIST_PRIMARY_STYLE = `primary_style:art_styles!artists_primary_style_id_fkey(${STYLE_SUMMARY})`;
+
+export const ARTIST_STYLES = `art_styles:artist_art_styles(style:art_styles(${STYLE_SUMMARY}))`;
+
+// Artist row with its user and primary style (browse and match lists).
+// artists.id IS the user's id, so `users` embeds the artist's own account.
+export const ARTIST_CARD = `*, users(${USER_PROFILE}), ${ARTIST_PRIMARY_STYLE}`;
+
+// ARTIST_CARD plus every style the artist works in
+export const ARTIST_CARD_WITH_STYLES = `${ARTIST_CARD}, ${ARTIST_STYLES}`;
+
+// Artist fields shown next to a commission
+export const ARTIST_COMMISSION_TERMS = 'id, min_price, max_price, turnaround_days';
+
+export const ARTWORK_SUMMARY = 'id, title, thumbnail_url, image_url';
+
+export const ARTWORK_DETAIL = `
+  *,
+  artists(
+    id,
+    commission_status,
+    min_price,
+    max_price,
+    turnaround_days,
+    specialties,
+    rating,
+    total_commissions,
+    users(username, avatar_url, full_name, bio)
+  )
+`;
+
+export const PACKAGE_SUMMARY = 'id, name, base_price, estimated_delivery_days, revision_count';
+
+export default {
+  USER_SUMMARY,
+  USER_PROFILE,
+  USER_PUBLIC_PROFILE,
+  STYLE_SUMMARY,
+  ARTIST_PRIMARY_STYLE,
+  ARTIST_STYLES,
+  ARTIST_CARD,
+  ARTIST_CARD_WITH_STYLES,
+  ARTIST_COMMISSION_TERMS,
+  ARTWORK_SUMMARY,
+  ARTWORK_DETAIL,
+  PACKAGE_SUMMARY,
+};
@@ -0,0 +1,142 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { cache, cacheKeys } from '../utils/cache.js';
+import { USER_SUMMARY } from './selects.js';
+
+// ============================================================================
+// USER REPOSITORY
+// Queries on `users`, plus the 15 minute cache of full user rows that the
+// auth middleware reads on every request. Anything that changes a user row
+// should go through update() so that cache is dropped.
+// ============================================================================
+
+const USER_TTL = 900;
+
+export const UserRepo = {
+  /**
+   * Full user row, served from cache when possible. Returns null if missing.
+   */
+  async getById(id) {
+    const cacheKey = cacheKeys.user(id);
+    const cached = await cache.get(cacheKey);
+    if (cached) return cached;
+
+    const user = await UserRepo.findById(id);
+    if (user) await cache.set(cacheKey, user, USER_TTL);
+    return user;
+  },
+
+  async findById(id, columns = '*') {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .select(columns)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findByUsername(username, columns = '*') {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .select(columns)
+      .eq('username', username)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findByEmail(email, columns = '*') {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .select(columns)
+      .eq('email', email)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Users holding either the email or the username (registration checks).
+   */
+  async findByEmailOrUsername(email, username) {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .select('id, email, username')
+      .or(`email.eq.${email},username.eq.${username}`);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async findManyByIds(ids, columns = USER_SUMMARY) {
+    const uniqueIds = [...new Set(ids.filter(Boolean))];
+    if (uniqueIds.length === 0) return [];
+
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .select(columns)
+      .in('id', uniqueIds);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Same as findManyByIds, keyed by user id.
+   */
+  async mapByIds(ids, columns = USER_SUMMARY) {
+    const users = await UserRepo.findManyByIds(ids, columns);
+    return new Map(users.map(user => [user.id, user]));
+  },
+
+  async create(values) {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .insert(values)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, changes, columns = '*') {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .update(changes)
+      .eq('id', id)
+      .select(columns)
+      .single();
+
+    if (error) throw error;
+    await UserRepo.invalidate(id);
+    return data;
+  },
+
+  /**
+   * Reactivate an account whose suspension has run out. A no-op if a
+   * moderator changed the account in the meantime.
+   */
+  async liftSuspension(id) {
+    const { error } = await supabaseAdmin
+      .from('users')
+      .update({ account_status: 'active', suspended_until: null, suspension_reason: null })
+      .eq('id', id)
+      .eq('account_status', 'suspended');
+
+    if (error) throw error;
+    await UserRepo.invalidate(id);
+  },
+
+  async invalidate(id) {
+    await Promise.all([
+      cache.del(cacheKeys.user(id)),
+      cache.del(cacheKeys.userProfile(id)),
+    ]);
+  },
+};
+
+export default UserRepo;
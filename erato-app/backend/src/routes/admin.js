@@ -0,0 +1,590 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/supabase.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { ACTIVE_DISPUTE_STATUSES } from '../utils/disputes.js';
+import { getDisputeWithCommission, resolveDispute, startDisputeReview } from '../utils/disputeResolution.js';
+import {
+  ACCOUNT_STATUSES,
+  TAKEDOWN_TARGETS,
+  getPendingVerifications,
+  restoreContent,
+  reviewVerification,
+  setAccountStatus,
+  setUserRole,
+  takeDownContent,
+} from '../utils/moderation.js';
+import { REPORT_TARGET_TYPES, resolveReports } from '../utils/reports.js';
+import { JobQueue } from '../utils/jobQueue.js';
+import { getScheduleRules } from '../jobs/scheduler.js';
+
+const router = express.Router();
+
+// Support can see the console; moderators act; admins manage staff
+const STAFF = ['admin', 'moderator', 'support'];
+const MODERATORS = ['admin', 'moderator'];
+
+// User search is interpolated into a PostgREST or() filter, where commas,
+// parentheses and quotes would add conditions of their own
+const USER_SEARCH_PATTERN = /^[\p{L}\p{N} @._+-]{1,100}$/u;
+
+function getPagination(query) {
+  const page = parseInt(query.page) || 1;
+  const limit = Math.min(parseInt(query.limit) || 20, 100);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+function paginationInfo({ page, limit }, count) {
+  return {
+    page,
+    limit,
+    total: count || 0,
+    totalPages: Math.ceil((count || 0) / limit)
+  };
+}
+
+/**
+ * @route   GET /api/admin/verifications
+ * @desc    Pending artist verification submissions, oldest first
+ * @access  Private (Staff)
+ */
+router.get('/verifications', authenticate, requireRole(...STAFF), async (req, res) => {
+  try {
+    const submissions = await getPendingVerifications();
+    res.json({ submissions });
+  } catch (error) {
+    console.error('Error fetching verification queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/verifications/:submissionId/review
+ * @desc    Approve or reject a verification submission
+ * @access  Private (Moderator)
+ */
+router.post('/verifications/:submissionId/review', authenticate, requireRole(...MODERATORS), async (req, res) => {
+  try {
+    const { action, notes } = req.body;
+
+    const submission = await reviewVerification(req.user, req.params.submissionId, { action, adminNotes: notes || null });
+
+    res.json({ submission });
+  } catch (error) {
+    console.error('Error reviewing verification:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Search users by username or email, filtered by status or role
+ * @access  Private (Staff)
+ */
+router.get('/users', authenticate, requireRole(...STAFF), async (req, res) => {
+  try {
+    const { search, status, role } = req.query;
+    const pagination = getPagination(req.query);
+
+    if (status && !ACCOUNT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ACCOUNT_STATUSES.join(', ')}` });
+    }
+    if (search && !USER_SEARCH_PATTERN.test(search)) {
+      return res.status(400).json({ error: 'search may only contain letters, numbers, spaces and @ . _ + -' });
+    }
+
+    let query = supabaseAdmin
+      .from('users')
+      .select('id, username, email, full_name, avatar_url, user_type, role, account_status, suspended_until, suspension_reason, banned_at, created_at, last_seen', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+    if (search) {
+      query = query.or(`username.ilike.%${search}%,email.ilike.%${search}%`);
+    }
+    if (status) {
+      query = query.eq('account_status', status);
+    }
+    if (role) {
+      query = query.eq('role', role);
+    }
+
+    const { data: users, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ users: users || [], pagination: paginationInfo(pagination, count) });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    A user's account standing, takedowns and moderation history
+ * @access  Private (Staff)
+ */
+router.get('/users/:id', authenticate, requireRole(...STAFF), async (req, res) => {
+  try {
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .select('id, username, email, full_name, avatar_url, user_type, role, account_status, suspended_until, suspension_reason, banned_at, created_at, last_seen')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [takedownsResult, historyResult] = await Promise.all([
+      supabaseAdmin
+        .from('content_takedowns')
+        .select('*')
+        .eq('owner_id', user.id)
+        .order('created_at', { ascending: false })
+        .limit(50),
+      supabaseAdmin
+        .from('moderation_audit_log')
+        .select('*')
+        .eq('target_type', 'user')
+        .eq('target_id', user.id)
+        .order('created_at', { ascending: false })
+        .limit(50)
+    ]);
+
+    if (takedownsResult.error) throw takedownsResult.error;
+    if (historyResult.error) throw historyResult.error;
+
+    res.json({
+      user,
+      takedowns: takedownsResult.data || [],
+      history: historyResult.data || []
+    });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/suspend
+ * @desc    Suspend an account, until a date or until reinstated
+ * @access  Private (Moderator)
+ */
+router.post('/users/:id/suspend', authenticate, requireRole(...MODERATORS), async (req, res) => {
+  try {
+    const { reason, until } = req.body;
+
+    const user = await setAccountStatus(req.user, req.params.id, { status: 'suspended', until, reason });
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/ban
+ * @desc    Ban an account
+ * @access  Private (Admin)
+ */
+router.post('/users/:id/ban', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await setAccountStatus(req.user, req.params.id, { status: 'banned', reason: req.body.reason });
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Error banning user:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/reinstate
+ * @desc    Lift a suspension (moderators) or ban (admins)
+ * @access  Private (Moderator)
+ */
+router.post('/users/:id/reinstate', authenticate, requireRole(...MODERATORS), async (req, res) => {
+  try {
+    const user = await setAccountStatus(req.user, req.params.id, { status: 'active', reason: req.body.reason || null });
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Error reinstating user:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/users/:id/role
+ * @desc    Grant or revoke a staff role
+ * @access  Private (Admin)
+ */
+router.put('/users/:id/role', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { role, reason } = req.body;
+
+    const user = await setUserRole(req.user, req.params.id, role, { reason: reason || null });
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/takedowns
+ * @desc    Content takedowns, newest first (active only unless ?include_restored=true)
+ * @access  Private (Staff)
+ */
+router.get('/takedowns', authenticate, requireRole(...STAFF), async (req, res) => {
+  try {
+    const { content_type: contentType, include_restored: includeRestored } = req.query;
+    const pagination = getPagination(req.query);
+
+    if (contentType && !TAKEDOWN_TARGETS[contentType]) {
+      return res.status(400).json({ error: `content_type must be one of: ${Object.keys(TAKEDOWN_TARGETS).join(', ')}` });
+    }
+
+    let query = supabaseAdmin
+      .from('content_takedowns')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+    if (contentType) {
+      query = query.eq('content_type', contentType);
+    }
+    if (includeRestored !== 'true') {
+      query = query.is('restored_at', null);
+    }
+
+    const { data: takedowns, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ takedowns: takedowns || [], pagination: paginationInfo(pagination, count) });
+  } catch (error) {
+    console.error('Error fetching takedowns:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/takedowns
+ * @desc    Take down an artwork, review or commission package
+ * @access  Private (Moderator)
+ */
+router.post('/takedowns', authenticate, requireRole(...MODERATORS), async (req, res) => {
+  try {
+    const { content_type: contentType, content_id: contentId, reason } = req.body;
+
+    const takedown = await takeDownContent(req.user, { contentType, contentId, reason });
+
+    res.status(201).json({ takedown });
+  } catch (error) {
+    console.error('Error taking down content:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/takedowns/:id/restore
+ * @desc    Restore taken-down content
+ * @access  Private (Moderator)
+ */
+router.post('/takedowns/:id/restore', authenticate, requireRole(...MODERATORS), async (req, res) => {
+  try {
+    const takedown = await restoreContent(req.user, req.params.id, { reason: req.body.reason || null });
+
+    res.json({ takedown });
+  } catch (error) {
+    console.error('Error restoring content:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/reports
+ * @desc    Open reports grouped by target, most reported first
+ * @access  Private (Staff)
+ */
+router.get('/reports', authenticate, requireRole(...STAFF), async (req, res) => {
+  try {
+    const { target_type: targetType } = req.query;
+    const status = req.query.status || 'open';
+    const pagination = getPagination(req.query);
+
+    if (targetType && !REPORT_TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ error: `target_type must be one of: ${REPORT_TARGET_TYPES.join(', ')}` });
+    }
+
+    let query = supabaseAdmin
+      .from('reports')
+      .select('*, reporter:users!reports_reporter_id_fkey(id, username)')
+      .eq('status', status)
+      .order('created_at', { ascending: true })
+      .limit(1000);
+
+    if (targetType) {
+      query = query.eq('target_type', targetType);
+    }
+
+    const { data: reports, error } = await query;
+
+    if (error) throw error;
+
+    const groups = new Map();
+    for (const report of reports || []) {
+      const key = `${report.target_type}:${report.target_id}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          target_type: report.target_type,
+          target_id: report.target_id,
+          target_owner_id: report.target_owner_id,
+          report_count: 0,
+          reasons: {},
+          first_reported_at: report.created_at,
+          reports: []
+        });
+      }
+      const group = groups.get(key);
+      group.report_count += 1;
+      group.reasons[report.reason] = (group.reasons[report.reason] || 0) + 1;
+      group.reports.push(report);
+    }
+
+    const targets = [...groups.values()].sort((a, b) =>
+      b.report_count - a.report_count || new Date(a.first_reported_at) - new Date(b.first_reported_at)
+    );
+
+    res.json({
+      targets: targets.slice(pagination.offset, pagination.offset + pagination.limit),
+      pagination: paginationInfo(pagination, targets.length)
+    });
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/reports/resolve
+ * @desc    Close the open reports on a target: take action or dismiss them
+ * @access  Private (Moderator)
+ */
+router.post('/reports/resolve', authenticate, requireRole(...MODERATORS), async (req, res) => {
+  try {
+    const { target_type: targetType, target_id: targetId, outcome, notes } = req.body;
+
+    if (!REPORT_TARGET_TYPES.includes(targetType) || !targetId) {
+      return res.status(400).json({ error: 'target_type and target_id are required' });
+    }
+
+    const result = await resolveReports(req.user, { targetType, targetId, outcome, notes: notes || null });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error resolving reports:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/disputes
+ * @desc    Dispute queue (defaults to open and under review), oldest first
+ * @access  Private (Staff)
+ */
+router.get('/disputes', authenticate, requireRole(...STAFF), async (req, res) => {
+  try {
+    const pagination = getPagination(req.query);
+    const statuses = req.query.status ? req.query.status.split(',') : ACTIVE_DISPUTE_STATUSES;
+
+    let query = supabaseAdmin
+      .from('commission_disputes')
+      .select('*, commission:commissions(id, client_id, artist_id, status, escrow_status, final_price)', { count: 'exact' })
+      .in('status', statuses)
+      .order('created_at', { ascending: true })
+      .range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+    if (req.query.assigned === 'me') {
+      query = query.eq('assigned_moderator_id', req.user.id);
+    }
+
+    const { data: disputes, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ disputes: disputes || [], pagination: paginationInfo(pagination, count) });
+  } catch (error) {
+    console.error('Error fetching dispute queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/disputes/:id/review
+ * @desc    Pick up a dispute for mediation
+ * @access  Private (Moderator)
+ */
+router.post('/disputes/:id/review', authenticate, requireRole(...MODERATORS), async (req, res) => {
+  try {
+    const dispute = await getDisputeWithCommission(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    const updated = await startDisputeReview(dispute, req.user);
+
+    res.json({ dispute: updated });
+  } catch (error) {
+    console.error('Error starting dispute review:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/disputes/:id/resolve
+ * @desc    Resolve a dispute with a full refund, partial refund or release to the artist
+ * @access  Private (Moderator)
+ */
+router.post('/disputes/:id/resolve', authenticate, requireRole(...MODERATORS), async (req, res) => {
+  try {
+    const { resolution, refund_amount: refundAmount, notes } = req.body;
+
+    const dispute = await getDisputeWithCommission(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    const result = await resolveDispute({
+      dispute,
+      moderator: req.user,
+      resolution,
+      refundAmount,
+      notes
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error resolving dispute:', error);
+    res.status(error.status || 500).json({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   GET /api/admin/audit-log
+ * @desc    Every moderator action, newest first
+ * @access  Private (Admin)
+ */
+router.get('/audit-log', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { actor_id: actorId, action, target_type: targetType, target_id: targetId } = req.query;
+    const pagination = getPagination(req.query);
+
+    let query = supabaseAdmin
+      .from('moderation_audit_log')
+      .select('*, actor:users!moderation_audit_log_actor_id_fkey(id, username)', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+    if (actorId) query = query.eq('actor_id', actorId);
+    if (action) query = query.eq('action', action);
+    if (targetType) query = query.eq('target_type', targetType);
+    if (targetId) query = query.eq('target_id', targetId);
+
+    const { data: entries, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ entries: entries || [], pagination: paginationInfo(pagination, count) });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    Background job queue counts
+ * @access  Private (Admin)
+ */
+router.get('/jobs', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const stats = await JobQueue.stats();
+    res.json({ stats, types: JobQueue.registeredTypes() });
+  } catch (error) {
+    console.error('Error fetching job stats:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs/dead
+ * @desc    Jobs that used up their attempts, newest first
+ * @access  Private (Admin)
+ */
+router.get('/jobs/dead', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const pagination = getPagination(req.query);
+    const [jobs, stats] = await Promise.all([
+      JobQueue.listDead({ limit: pagination.limit, offset: pagination.offset }),
+      JobQueue.stats(),
+    ]);
+
+    res.json({ jobs, pagination: paginationInfo(pagination, stats.dead) });
+  } catch (error) {
+    console.error('Error fetching dead jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/dead/:id/retry
+ * @desc    Queue a dead job again with a fresh set of attempts
+ * @access  Private (Admin)
+ */
+router.post('/jobs/dead/:id/retry', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    if (!(await JobQueue.retryDead(req.params.id))) {
+      return res.status(404).json({ error: 'Dead job not found' });
+    }
+    res.json({ message: 'Job queued again' });
+  } catch (error) {
+    console.error('Error retrying dead job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/jobs/dead/:id
+ * @desc    Discard a dead job
+ * @access  Private (Admin)
+ */
+router.delete('/jobs/dead/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    if (!(await JobQueue.deleteDead(req.params.id))) {
+      return res.status(404).json({ error: 'Dead job not found' });
+    }
+    res.json({ message: 'Job discarded' });
+  } catch (error) {
+    console.error('Error discarding dead job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/scheduler
+ * @desc    Scheduler rules with their effective offsets
+ * @access  Private (Admin)
+ */
+router.get('/scheduler', authenticate, requireRole('admin'), (req, res) => {
+  res.json({ rules: getScheduleRules() });
+});
+
+export default router;
@@ -0,0 +1,83 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/supabase.js';
+import { authenticate, hasRole } from '../middleware/auth.js';
+import {
+  ANALYTICS_INTERVALS,
+  MAX_PERIODS,
+  analyticsToCsv,
+  defaultInterval,
+  getArtistAnalytics,
+  listPeriods,
+} from '../utils/analytics.js';
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * @route   GET /api/analytics/artists/:artistId
+ * @desc    Earnings and business metrics for an artist, per period and in total.
+ *          Query: from, to (ISO dates, default the last 30 days),
+ *          interval (day | week | month), format (json | csv)
+ * @access  Private (the artist, or an admin)
+ */
+router.get('/artists/:artistId', authenticate, async (req, res) => {
+  try {
+    const { artistId } = req.params;
+
+    // artists.id is the artist's user id
+    if (artistId !== req.user.id && !hasRole(req.user, 'admin')) {
+      return res.status(403).json({ error: 'You can only view analytics for your own account' });
+    }
+
+    const to = req.query.to ? Date.parse(req.query.to) : Date.now();
+    const from = req.query.from ? Date.parse(req.query.from) : to - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const interval = req.query.interval || defaultInterval(from, to);
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}` });
+    }
+    if (listPeriods(from, to, interval).length > MAX_PERIODS) {
+      return res.status(400).json({ error: `Range too long for a ${interval} interval` });
+    }
+
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    const { data: artist, error: artistError } = await supabaseAdmin
+      .from('artists')
+      .select('id')
+      .eq('id', artistId)
+      .maybeSingle();
+
+    if (artistError) throw artistError;
+    if (!artist) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
+
+    const analytics = await getArtistAnalytics(artistId, { from, to, interval });
+
+    if (format === 'csv') {
+      const fileName = `analytics-${analytics.range.from.slice(0, 10)}-to-${analytics.range.to.slice(0, 10)}.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(analyticsToCsv(analytics));
+    }
+
+    res.json(analytics);
+  } catch (error) {
+    console.error('Error fetching artist analytics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,151 +1,227 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
-import { supabaseAdmin } from '../config/supabase.js';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { ArtistRepo } from '../repositories/index.js';
+import {
+  cancelWindow,
+  getArtistSettings,
+  getPublicSettings,
+  getQueueStatus,
+  getSettingsHistory,
+  listWindows,
+  scheduleWindow,
+  updateArtistSettings,
+  validateSettings,
+} from '../utils/artistSettings.js';
+import {
+  listDrops,
+  listRegistrations,
+  registerForDrop,
+  withdrawRegistration,
+} from '../utils/slotDrops.js';
+import { queueWindowTransitions } from '../jobs/commissionWindows.js';
 
 const router = express.Router();
 
+// Settings belong to the artist profile, which shares the user's id
+const requireArtistProfile = async (req, res, next) => {
+  try {
+    if (!(await ArtistRepo.isArtist(req.user.id))) {
+      return res.status(404).json({ success: false, error: 'Artist profile not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireExistingArtist = async (req, res, next) => {
+  try {
+    if (!(await ArtistRepo.isArtist(req.params.artistId))) {
+      return res.status(404).json({ success: false, error: 'Artist not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   GET /api/artists/settings
- * @desc    Get artist commission settings
+ * @desc    Get the artist's commission settings and upcoming windows
  * @access  Private (Artist)
  */
-router.get('/settings', authenticate, async (req, res) => {
+router.get('/settings', authenticate, requireArtistProfile, async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    // Get artist profile - artists.id = user_id (artists table primary key IS the user_id)
-    const { data: artist, error: artistError } = await supabaseAdmin
-      .from('artists')
-      .select('id')
-      .eq('id', userId)  // artists.id is the user_id
-      .maybeSingle();
-
-    if (artistError) {
-      console.error('Error fetching artist:', artistError);
-      return res.status(500).json({
-        success: false,
-        error: 'Database error: ' + artistError.message
-      });
-    }
+    const [settings, windows] = await Promise.all([
+      getArtistSettings(req.user.id),
+      listWindows(req.user.id),
+    ]);
 
-    if (!artist) {
-      return res.status(404).json({
-        success: false,
-        error: 'Artist profile not found'
-      });
-    }
+    res.json({ success: true, settings, windows });
+  } catch (error) {
+    console.error('Error fetching artist settings:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch settings' });
+  }
+});
 
-    // Get commission settings from artist_commission_settings table
-    const { data: settings, error: settingsError } = await supabaseAdmin
-      .from('artist_commission_settings')
-      .select('*')
-      .eq('artist_id', artist.id)
-      .maybeSingle();
-
-    if (settingsError && settingsError.code !== 'PGRST116') {
-      console.error('Error fetching commission settings:', settingsError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to fetch settings: ' + settingsError.message
-      });
+/**
+ * @route   PUT /api/artists/settings
+ * @desc    Update some or all commission settings
+ * @access  Private (Artist)
+ */
+router.put('/settings', authenticate, requireArtistProfile, async (req, res) => {
+  try {
+    const { values, errors } = validateSettings(req.body.settings);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors[0].message, errors });
     }
 
-    res.json({
-      success: true,
-      settings: settings || {
-        artist_id: artist.id,
-        max_queue_slots: 5,
-        allow_waitlist: false,
-        is_open: true,
-        status_message: null,
-        terms_of_service: null,
-        will_draw: [],
-        wont_draw: [],
-        avg_response_hours: null
-      }
+    const settings = await updateArtistSettings(req.user.id, values, {
+      changedBy: req.user.id,
+      source: 'artist',
     });
+
+    res.json({ success: true, message: 'Settings updated successfully', settings });
   } catch (error) {
-    console.error('Error fetching artist settings:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Error updating artist settings:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * @route   PUT /api/artists/settings
- * @desc    Update artist commission settings
+ * @route   GET /api/artists/settings/history
+ * @desc    Changes to the artist's settings, newest first
  * @access  Private (Artist)
  */
-router.put('/settings', authenticate, async (req, res) => {
+router.get('/settings/history', authenticate, requireArtistProfile, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { settings } = req.body;
-
-    if (!settings) {
-      return res.status(400).json({
-        success: false,
-        error: 'Settings object is required'
-      });
-    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const { before } = req.query;
 
-    // Validate settings
-    const validatedSettings = {
-      queue_slots: parseInt(settings.queue_slots) || 3,
-      waitlist_enabled: Boolean(settings.waitlist_enabled),
-      auto_decline_when_full: Boolean(settings.auto_decline_when_full),
-      commissions_paused: Boolean(settings.commissions_paused),
-      will_draw: settings.will_draw?.trim() || '',
-      wont_draw: settings.wont_draw?.trim() || '',
-      terms_of_service: settings.terms_of_service?.trim() || '',
-      revision_limit: parseInt(settings.revision_limit) || 2,
-      turnaround_time: settings.turnaround_time?.trim() || '7-14',
-      updated_at: new Date().toISOString()
-    };
-
-    // Get artist profile - artists.id = user_id
-    const { data: artist, error: artistError } = await supabaseAdmin
-      .from('artists')
-      .select('id')
-      .eq('id', userId)
-      .maybeSingle();
-
-    if (artistError || !artist) {
-      return res.status(404).json({
-        success: false,
-        error: 'Artist profile not found'
-      });
+    if (before && Number.isNaN(Date.parse(before))) {
+      return res.status(400).json({ success: false, error: 'before must be a date' });
     }
 
-    // Validate and prepare settings for artist_commission_settings table
-    const validatedSettings = {
-      artist_id: artist.id,
-      max_queue_slots: parseInt(settings.queue_slots || settings.max_queue_slots) || 5,
-      allow_waitlist: Boolean(settings.waitlist_enabled || settings.allow_waitlist),
-      is_open: !Boolean(settings.commissions_paused),
-      status_message: settings.status_message?.trim() || null,
-      terms_of_service: settings.terms_of_service?.trim() || null,
-      will_draw: Array.isArray(settings.will_draw) ? settings.will_draw : (settings.will_draw ? [settings.will_draw] : []),
-      wont_draw: Array.isArray(settings.wont_draw) ? settings.wont_draw : (settings.wont_draw ? [settings.wont_draw] : []),
-      avg_response_hours: settings.avg_response_hours ? parseInt(settings.avg_response_hours) : null,
-      updated_at: new Date().toISOString()
-    };
-
-    // Upsert settings in artist_commission_settings table
-    const { data, error } = await supabaseAdmin
-      .from('artist_commission_settings')
-      .upsert(validatedSettings, { onConflict: 'artist_id' })
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    res.json({
-      success: true,
-      message: 'Settings updated successfully',
-      settings: validatedSettings
-    });
+    const history = await getSettingsHistory(req.user.id, { limit, before });
+    res.json({ success: true, history });
   } catch (error) {
-    console.error('Error updating artist settings:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Error fetching settings history:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch settings history' });
+  }
+});
+
+/**
+ * @route   GET /api/artists/settings/windows
+ * @desc    Scheduled commission windows; ?all=true includes past ones
+ * @access  Private (Artist)
+ */
+router.get('/settings/windows', authenticate, requireArtistProfile, async (req, res) => {
+  try {
+    const windows = await listWindows(req.user.id, { includePast: req.query.all === 'true' });
+    res.json({ success: true, windows });
+  } catch (error) {
+    console.error('Error fetching commission windows:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch commission windows' });
+  }
+});
+
+/**
+ * @route   POST /api/artists/settings/windows
+ * @desc    Schedule commissions to open at opens_at, optionally closing at
+ *          closes_at or after `slots` requests. allocation 'first_come' or
+ *          'lottery' makes the window a slot drop
+ * @access  Private (Artist)
+ */
+router.post('/settings/windows', authenticate, requireArtistProfile, async (req, res) => {
+  try {
+    const { opens_at: opensAt, closes_at: closesAt, slots, allocation } = req.body;
+
+    const window = await scheduleWindow(req.user.id, { opensAt, closesAt, slots, allocation });
+    await queueWindowTransitions(window);
+
+    res.status(201).json({ success: true, window });
+  } catch (error) {
+    console.error('Error scheduling commission window:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/artists/settings/windows/:windowId
+ * @desc    Cancel a window that has not opened yet
+ * @access  Private (Artist)
+ */
+router.delete('/settings/windows/:windowId', authenticate, requireArtistProfile, async (req, res) => {
+  try {
+    const window = await cancelWindow(req.user.id, req.params.windowId);
+    res.json({ success: true, window });
+  } catch (error) {
+    console.error('Error cancelling commission window:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/artists/settings/windows/:windowId/registrations
+ * @desc    Clients registered for one of the artist's drops
+ * @access  Private (Artist)
+ */
+router.get('/settings/windows/:windowId/registrations', authenticate, requireArtistProfile, async (req, res) => {
+  try {
+    const registrations = await listRegistrations(req.user.id, req.params.windowId);
+    res.json({ success: true, registrations });
+  } catch (error) {
+    console.error('Error fetching drop registrations:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/artists/drops/:windowId/registration
+ * @desc    Register for a drop before it opens, with the request to send
+ *          if a slot comes up
+ * @access  Private (Client)
+ */
+router.post('/drops/:windowId/registration', authenticate, async (req, res) => {
+  try {
+    const { details, client_note: clientNote, budget } = req.body;
+
+    const registration = await registerForDrop(req.params.windowId, req.user.id, { details, clientNote, budget });
+    res.status(201).json({ success: true, registration });
+  } catch (error) {
+    console.error('Error registering for drop:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/artists/drops/:windowId/registration
+ * @desc    Withdraw from a drop that has not opened yet
+ * @access  Private (Client)
+ */
+router.delete('/drops/:windowId/registration', authenticate, async (req, res) => {
+  try {
+    const registration = await withdrawRegistration(req.params.windowId, req.user.id);
+    res.json({ success: true, registration });
+  } catch (error) {
+    console.error('Error withdrawing drop registration:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/artists/:artistId/drops
+ * @desc    The artist's upcoming and open drops with slots left and
+ *          registrations, and whether the viewer registered
+ * @access  Public
+ */
+router.get('/:artistId/drops', optionalAuth, requireExistingArtist, async (req, res) => {
+  try {
+    const drops = await listDrops(req.params.artistId, { viewerId: req.user?.id ?? null });
+    res.json({ success: true, drops });
+  } catch (error) {
+    console.error('Error fetching drops:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch drops' });
   }
 });
 
@@ -154,92 +230,28 @@ router.put('/settings', authenticate, async (req, res) => {
  * @desc    Get public-facing artist commission settings
  * @access  Public
  */
-router.get('/:artistId/public-settings', async (req, res) => {
+router.get('/:artistId/public-settings', requireExistingArtist, async (req, res) => {
   try {
-    const { artistId } = req.params;
-
-    const { data: artist, error } = await supabaseAdmin
-      .from('artists')
-      .select('commission_settings')
-      .eq('id', artistId)
-      .single();
-
-    if (error) throw error;
-
-    const settings = artist.commission_settings || {};
-
-    // Return only public-facing settings
-    const publicSettings = {
-      commissions_paused: settings.commissions_paused || false,
-      queue_slots: settings.queue_slots || 3,
-      waitlist_enabled: settings.waitlist_enabled || false,
-      will_draw: settings.will_draw || '',
-      wont_draw: settings.wont_draw || '',
-      terms_of_service: settings.terms_of_service || '',
-      revision_limit: settings.revision_limit || 2,
-      turnaround_time: settings.turnaround_time || '7-14'
-    };
-
-    res.json({
-      success: true,
-      settings: publicSettings
-    });
+    const settings = await getPublicSettings(req.params.artistId);
+    res.json({ success: true, settings });
   } catch (error) {
     console.error('Error fetching public settings:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch settings' });
   }
 });
 
 /**
  * @route   GET /api/artists/:artistId/queue-status
- * @desc    Get current queue status (slots used/available)
+ * @desc    Get current queue status (slots used/available) and the next window
  * @access  Public
  */
-router.get('/:artistId/queue-status', async (req, res) => {
+router.get('/:artistId/queue-status', requireExistingArtist, async (req, res) => {
   try {
-    const { artistId } = req.params;
-
-    // Get artist settings
-    const { data: artist, error: artistError } = await supabaseAdmin
-      .from('artists')
-      .select('commission_settings')
-      .eq('id', artistId)
-      .single();
-
-    if (artistError) throw artistError;
-
-    const settings = artist.commission_settings || {};
-    const queueSlots = settings.queue_slots || 3;
-    const commissionsPaused = settings.commissions_paused || false;
-    const waitlistEnabled = settings.waitlist_enabled || false;
-
-    // Count active commissions
-    const { count: activeCount, error: countError } = await supabaseAdmin
-      .from('commissions')
-      .select('id', { count: 'exact', head: true })
-      .eq('artist_id', artistId)
-      .in('status', ['pending', 'accepted', 'in_progress']);
-
-    if (countError) throw countError;
-
-    const slotsUsed = activeCount || 0;
-    const slotsAvailable = Math.max(0, queueSlots - slotsUsed);
-    const isFull = slotsUsed >= queueSlots;
-
-    res.json({
-      success: true,
-      queue: {
-        slots_total: queueSlots,
-        slots_used: slotsUsed,
-        slots_available: slotsAvailable,
-        is_full: isFull,
-        commissions_paused: commissionsPaused,
-        accepting_commissions: !commissionsPaused && (!isFull || waitlistEnabled)
-      }
-    });
+    const queue = await getQueueStatus(req.params.artistId);
+    res.json({ success: true, queue });
   } catch (error) {
     console.error('Error fetching queue status:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch queue status' });
   }
 });
 
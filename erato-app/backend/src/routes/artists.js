@@ -2,6 +2,10 @@ import express from 'express';
 import { query, validationResult, body } from 'express-validator';
 import { supabaseAdmin } from '../config/supabase.js';
 import { optionalAuth, authenticate } from '../middleware/auth.js';
+import { cache, cacheKeys } from '../utils/cache.js';
+import { ArtistRepo, ArtworkRepo, UserRepo } from '../repositories/index.js';
+import { updateArtistSettings } from '../utils/artistSettings.js';
+import { ARTIST_CARD_WITH_STYLES, USER_PROFILE, USER_PUBLIC_PROFILE } from '../repositories/selects.js';
 
 const router = express.Router();
 
@@ -46,24 +50,14 @@ router.get(
       // Handle "find similar artists" feature
       if (similar_to) {
         // Get the reference artist's styles
-        const { data: refArtist } = await supabaseAdmin
-          .from('artists')
-          .select('primary_style_id')
-          .eq('id', similar_to)
-          .single();
+        const refArtist = await ArtistRepo.findById(similar_to, 'primary_style_id');
 
         if (!refArtist) {
           return res.status(404).json({ error: 'Reference artist not found' });
         }
 
         // Get artists with similar styles
-        let similarQuery = supabaseAdmin
-          .from('artists')
-          .select(`
-            *,
-            users(id, username, avatar_url, full_name, bio),
-            primary_style:art_styles!artists_primary_style_id_fkey(id, name, slug)
-          `)
+        let similarQuery = ArtistRepo.query()
           .in('commission_status', ['open', 'limited'])
           .neq('id', similar_to);
 
@@ -86,6 +80,10 @@ router.get(
           similarQuery = similarQuery.neq('id', req.user.id);
         }
 
+        if (req.blocks?.hidden.length > 0) {
+          similarQuery = similarQuery.not('id', 'in', `(${req.blocks.hidden.join(',')})`);
+        }
+
         const { data: artists, error } = await similarQuery
           .order('rating', { ascending: false })
           .limit(limit);
@@ -97,31 +95,13 @@ router.get(
       // Handle user_id filter (for getting artist by user_id)
       // Note: artists.id IS the user_id (artists table primary key IS the user_id)
       if (user_id) {
-        const { data: artist, error: artistError } = await supabaseAdmin
-          .from('artists')
-          .select(`
-            *,
-            users(id, username, avatar_url, full_name, bio),
-            primary_style:art_styles!artists_primary_style_id_fkey(id, name, slug),
-            art_styles:artist_art_styles(style:art_styles(id, name, slug))
-          `)
-          .eq('id', user_id)  // artists.id is the user_id
-          .maybeSingle();
-        
-        if (artistError) throw artistError;
+        const artist = await ArtistRepo.findProfile(user_id);
         return res.json({ artists: artist ? [artist] : [] });
       }
 
       // Build base query
       // Note: We'll apply commission_status filter AFTER search to ensure search works
-      let artistQuery = supabaseAdmin
-        .from('artists')
-        .select(`
-          *,
-          users(id, username, avatar_url, full_name, bio),
-          primary_style:art_styles!artists_primary_style_id_fkey(id, name, slug),
-          art_styles:artist_art_styles(style:art_styles(id, name, slug))
-        `);
+      let artistQuery = ArtistRepo.query(ARTIST_CARD_WITH_STYLES);
 
       // Collect all artist ID filters to combine them properly
       let artistIdFilters = [];
@@ -299,6 +279,11 @@ router.get(
         } else {
           console.log('Search query present - not excluding swiped artists');
         }
+
+        // Blocked artists never show up in discovery, even when searching
+        if (req.blocks?.hidden.length > 0) {
+          artistQuery = artistQuery.not('id', 'in', `(${req.blocks.hidden.join(',')})`);
+        }
       }
 
       console.log('Executing artist query with filters...');
@@ -385,7 +370,6 @@ router.get('/:id/packages', optionalAuth, async (req, res, next) => {
     const artistId = req.params.id;
 
     // Try cache
-    const { cache } = await import('../utils/cache.js');
     const cacheKey = `artist:${artistId}:packages`;
     const cached = await cache.get(cacheKey);
     if (cached) {
@@ -432,151 +416,9 @@ router.get('/:id/packages', optionalAuth, async (req, res, next) => {
   }
 });
 
-/**
- * @route   GET /api/artists/settings
- * @desc    Get artist commission settings
- * @access  Private (Artist)
- */
-router.get('/settings', authenticate, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    console.log('Fetching settings for user:', userId);
-
-    // Get artist profile - artists.id = user_id (artists table primary key IS the user_id)
-    // IMPORTANT: Do NOT use .eq('user_id', ...) - that column doesn't exist
-    const { data: artist, error: artistError } = await supabaseAdmin
-      .from('artists')
-      .select('id')
-      .eq('id', userId)  // artists.id is the user_id
-      .maybeSingle();
-
-    if (artistError) {
-      console.error('Error fetching artist:', artistError);
-      return res.status(500).json({
-        success: false,
-        error: 'Database error: ' + artistError.message
-      });
-    }
-
-    if (!artist) {
-      console.log('Artist profile not found for user:', userId);
-      return res.status(404).json({
-        success: false,
-        error: 'Artist profile not found'
-      });
-    }
-
-    console.log('Found artist:', artist.id);
-
-    // Get commission settings from artist_commission_settings table
-    const { data: settings, error: settingsError } = await supabaseAdmin
-      .from('artist_commission_settings')
-      .select('*')
-      .eq('artist_id', artist.id)
-      .maybeSingle();
-
-    if (settingsError && settingsError.code !== 'PGRST116') {
-      console.error('Error fetching commission settings:', settingsError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to fetch settings: ' + settingsError.message
-      });
-    }
-
-    console.log('Settings found:', !!settings);
-
-    // Return settings or defaults
-    res.json({
-      success: true,
-      settings: settings || {
-        artist_id: artist.id,
-        max_queue_slots: 5,
-        allow_waitlist: false,
-        is_open: true,
-        status_message: null,
-        terms_of_service: null,
-        will_draw: [],
-        wont_draw: [],
-        avg_response_hours: null
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching artist settings:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-/**
- * @route   PUT /api/artists/settings
- * @desc    Update artist commission settings
- * @access  Private (Artist)
- */
-router.put('/settings', authenticate, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { settings } = req.body;
-
-    if (!settings) {
-      return res.status(400).json({
-        success: false,
-        error: 'Settings object is required'
-      });
-    }
-
-    // Get artist profile - artists.id = user_id
-    const { data: artist, error: artistError } = await supabaseAdmin
-      .from('artists')
-      .select('id')
-      .eq('id', userId)
-      .maybeSingle();
-
-    if (artistError || !artist) {
-      return res.status(404).json({
-        success: false,
-        error: 'Artist profile not found'
-      });
-    }
-
-    // Validate and prepare settings for artist_commission_settings table
-    const validatedSettings = {
-      artist_id: artist.id,
-      max_queue_slots: parseInt(settings.queue_slots || settings.max_queue_slots) || 5,
-      allow_waitlist: Boolean(settings.waitlist_enabled || settings.allow_waitlist),
-      is_open: !Boolean(settings.commissions_paused),
-      status_message: settings.status_message?.trim() || null,
-      terms_of_service: settings.terms_of_service?.trim() || null,
-      will_draw: Array.isArray(settings.will_draw) ? settings.will_draw : (settings.will_draw ? [settings.will_draw] : []),
-      wont_draw: Array.isArray(settings.wont_draw) ? settings.wont_draw : (settings.wont_draw ? [settings.wont_draw] : []),
-      avg_response_hours: settings.avg_response_hours ? parseInt(settings.avg_response_hours) : null,
-      updated_at: new Date().toISOString()
-    };
-
-    // Upsert settings in artist_commission_settings table
-    const { data, error } = await supabaseAdmin
-      .from('artist_commission_settings')
-      .upsert(validatedSettings, { onConflict: 'artist_id' })
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    res.json({
-      success: true,
-      message: 'Settings updated successfully',
-      settings: data
-    });
-  } catch (error) {
-    console.error('Error updating artist settings:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
 // Get artist profile
 router.get('/:id', optionalAuth, async (req, res, next) => {
   try {
-    // Import cache utilities
-    const { cache, cacheKeys } = await import('../utils/cache.js');
-
     // Try to get from cache
     const cacheKey = cacheKeys.artist(req.params.id);
     const cached = await cache.get(cacheKey);
@@ -584,30 +426,17 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
       return res.json(cached);
     }
 
-    // First try to get the artist record
-    // The ID could be either an artist.id or a user_id
-    // Try artist.id first, then fall back to user_id lookup
-    let { data: artist, error } = await supabaseAdmin
-      .from('artists')
-      .select('*')
-      .eq('id', req.params.id)
-      .single();
-
-    // Note: artists.id IS the user_id, so if not found by id, try to get user data
-    // No need to try a separate user_id lookup since artists.id = user_id
+    // artists.id IS the user_id, so one id covers both lookups
+    const artist = await ArtistRepo.findById(req.params.id);
 
     // If no artist found, try to get user data and return a basic profile
     if (!artist) {
-      const { data: userData } = await supabaseAdmin
-        .from('users')
-        .select('id, username, avatar_url, banner_url, full_name, bio')
-        .eq('id', req.params.id)
-        .single();
-      
+      const userData = await UserRepo.findById(req.params.id, USER_PUBLIC_PROFILE);
+
       if (!userData) {
         return res.status(404).json({ error: 'User not found' });
       }
-      
+
       // Return a basic user profile (not an artist)
       return res.json({
         id: userData.id,
@@ -619,27 +448,11 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
       });
     }
 
-    if (error && error.code !== 'PGRST116') throw error;
-
-    // Get the user data separately
-    const userId = artist.user_id || artist.id;
-    const { data: userData } = await supabaseAdmin
-      .from('users')
-      .select('id, username, avatar_url, banner_url, full_name, bio')
-      .eq('id', userId)
-      .single();
-
-    // Get artist's artworks
-    const { data: artworks, error: artworksError } = await supabaseAdmin
-      .from('artworks')
-      .select('*')
-      .eq('artist_id', userId)
-      .order('created_at', { ascending: false })
-      .limit(20);
-    
-    if (artworksError) {
-      console.error('Error fetching artworks:', artworksError);
-    }
+    const userId = artist.id;
+    const [userData, artworks] = await Promise.all([
+      UserRepo.findById(userId, USER_PUBLIC_PROFILE),
+      ArtworkRepo.findByArtist(userId, { limit: 20 })
+    ]);
 
     // Filter out empty portfolio images
     const portfolioImages = (artist.portfolio_images || []).filter(
@@ -686,68 +499,26 @@ router.put('/:id', authenticate, [
 
     const { commissionStatus, minPrice, maxPrice, turnaroundDays, specialties } = req.body;
 
-    // Get current commission status to detect changes
-    const { data: currentArtist } = await supabaseAdmin
-      .from('artists')
-      .select('commission_status')
-      .eq('id', artistId)
-      .single();
-
     const updateData = {};
-    if (commissionStatus !== undefined) updateData.commission_status = commissionStatus;
     if (minPrice !== undefined) updateData.min_price = minPrice;
     if (maxPrice !== undefined) updateData.max_price = maxPrice;
     if (turnaroundDays !== undefined) updateData.turnaround_days = turnaroundDays;
     if (specialties !== undefined) updateData.specialties = specialties;
 
-    const { data: artist, error } = await supabaseAdmin
-      .from('artists')
-      .update(updateData)
-      .eq('id', artistId)
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    // Notify favorites when artist opens commissions
-    if (commissionStatus !== undefined && 
-        currentArtist?.commission_status === 'closed' && 
-        (commissionStatus === 'open' || commissionStatus === 'limited')) {
-      
-      // Get all users who favorited this artist
-      const { data: favorites } = await supabaseAdmin
-        .from('favorite_artists')
-        .select('user_id')
-        .eq('artist_id', artistId);
-
-      if (favorites && favorites.length > 0) {
-        const { data: artistUser } = await supabaseAdmin
-          .from('users')
-          .select('username, full_name')
-          .eq('id', artistId)
-          .single();
-
-        const { NotificationService } = await import('../utils/redisServices.js');
-        const { sendPushToUser } = await import('../utils/pushNotifications.js');
-
-        for (const favorite of favorites) {
-          await NotificationService.publish(favorite.user_id, {
-            type: 'favorite_artist_opened',
-            title: 'Favorite Artist Opened Commissions! 🎨',
-            message: `${artistUser?.username || 'An artist'} you favorited is now accepting commissions`,
-            action: { type: 'view_artist', id: artistId },
-            priority: 'high',
-          });
-
-          await sendPushToUser(favorite.user_id, {
-            title: 'Favorite artist opened',
-            body: `${artistUser?.username || 'An artist'} is now accepting commissions`,
-            data: { type: 'artist', artistId },
-          });
-        }
-      }
+    // Opening and closing goes through the settings service, which keeps
+    // is_open in step and tells favorites when commissions open
+    if (commissionStatus !== undefined) {
+      await updateArtistSettings(artistId, {}, {
+        changedBy: req.user.id,
+        source: 'profile',
+        commissionStatus,
+      });
     }
 
+    const artist = Object.keys(updateData).length > 0
+      ? await ArtistRepo.update(artistId, updateData)
+      : await ArtistRepo.findById(artistId);
+
     res.json({ message: 'Artist profile updated successfully', artist });
   } catch (error) {
     next(error);
@@ -760,13 +531,7 @@ router.post('/:artistId/favorite', authenticate, async (req, res) => {
     const { artistId } = req.params;
 
     // Verify artist exists
-    const { data: artist, error: artistError } = await supabaseAdmin
-      .from('artists')
-      .select('id')
-      .eq('id', artistId)
-      .maybeSingle();
-
-    if (artistError || !artist) {
+    if (!(await ArtistRepo.isArtist(artistId))) {
       return res.status(404).json({ error: 'Artist not found' });
     }
 
@@ -840,15 +605,7 @@ router.get('/favorites/my-list', authenticate, async (req, res) => {
     const artistIds = favorites.map(f => f.artist_id);
 
     // Get artist details
-    const { data: artists, error: artistError } = await supabaseAdmin
-      .from('artists')
-      .select(`
-        *,
-        users(id, username, avatar_url, full_name, bio)
-      `)
-      .in('id', artistIds);
-
-    if (artistError) throw artistError;
+    const artists = await ArtistRepo.findManyByIds(artistIds, `*, users(${USER_PROFILE})`);
 
     // Map with favorited_at timestamp
     const favoritesMap = new Map(favorites.map(f => [f.artist_id, f.created_at]));
@@ -1086,98 +843,4 @@ router.get('/matches/smart', authenticate, async (req, res) => {
   }
 });
 
-/**
- * @route   GET /api/artists/:artistId/public-settings
- * @desc    Get public-facing artist commission settings
- * @access  Public
- */
-router.get('/:artistId/public-settings', async (req, res) => {
-  try {
-    const { artistId } = req.params;
-
-    const { data: artist, error } = await supabaseAdmin
-      .from('artists')
-      .select('commission_settings')
-      .eq('id', artistId)
-      .single();
-
-    if (error) throw error;
-
-    const settings = artist.commission_settings || {};
-
-    // Return only public-facing settings
-    const publicSettings = {
-      commissions_paused: settings.commissions_paused || false,
-      queue_slots: settings.queue_slots || 3,
-      waitlist_enabled: settings.waitlist_enabled || false,
-      will_draw: settings.will_draw || '',
-      wont_draw: settings.wont_draw || '',
-      terms_of_service: settings.terms_of_service || '',
-      revision_limit: settings.revision_limit || 2,
-      turnaround_time: settings.turnaround_time || '7-14'
-    };
-
-    res.json({
-      success: true,
-      settings: publicSettings
-    });
-  } catch (error) {
-    console.error('Error fetching public settings:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-/**
- * @route   GET /api/artists/:artistId/queue-status
- * @desc    Get current queue status (slots used/available)
- * @access  Public
- */
-router.get('/:artistId/queue-status', async (req, res) => {
-  try {
-    const { artistId } = req.params;
-
-    // Get artist settings
-    const { data: artist, error: artistError } = await supabaseAdmin
-      .from('artists')
-      .select('commission_settings')
-      .eq('id', artistId)
-      .single();
-
-    if (artistError) throw artistError;
-
-    const settings = artist.commission_settings || {};
-    const queueSlots = settings.queue_slots || 3;
-    const commissionsPaused = settings.commissions_paused || false;
-    const waitlistEnabled = settings.waitlist_enabled || false;
-
-    // Count active commissions
-    const { count: activeCount, error: countError } = await supabaseAdmin
-      .from('commissions')
-      .select('id', { count: 'exact', head: true })
-      .eq('artist_id', artistId)
-      .in('status', ['pending', 'accepted', 'in_progress']);
-
-    if (countError) throw countError;
-
-    const slotsUsed = activeCount || 0;
-    const slotsAvailable = Math.max(0, queueSlots - slotsUsed);
-    const isFull = slotsUsed >= queueSlots;
-
-    res.json({
-      success: true,
-      queue: {
-        slots_total: queueSlots,
-        slots_used: slotsUsed,
-        slots_available: slotsAvailable,
-        is_full: isFull,
-        commissions_paused: commissionsPaused,
-        accepting_commissions: !commissionsPaused && (!isFull || waitlistEnabled)
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching queue status:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
 export default router;
\ No newline at end of file
@@ -1,9 +1,11 @@
 import express from 'express';
 import { body, query, validationResult } from 'express-validator';
-import { supabase, supabaseAdmin } from '../config/supabase.js';
+import { supabaseAdmin } from '../config/supabase.js';
 import { authenticate, optionalAuth, requireArtist } from '../middleware/auth.js';
 import { AppError } from '../middleware/errorHandler.js';
 import { cache, cacheKeys } from '../utils/cache.js';
+import { ArtworkRepo } from '../repositories/index.js';
+import { queueImageProcessing } from '../jobs/images.js';
 
 const router = express.Router();
 
@@ -38,9 +40,12 @@ router.get(
       const sortBy = req.query.sort || 'created_at';
       const order = req.query.order || 'desc';
 
+      // Users with blocks get their own filtered results, so they skip the shared cache
+      const hiddenArtistIds = req.blocks?.hidden || [];
+
       // Try to get from cache (include sort params in cache key)
       const cacheKey = cacheKeys.artworksList({ page, limit, tags, artistId, search: searchQuery, sort: sortBy, order });
-      const cached = await cache.get(cacheKey);
+      const cached = hiddenArtistIds.length === 0 ? await cache.get(cacheKey) : null;
       if (cached) {
         return res.json(cached);
       }
@@ -59,7 +64,9 @@ router.get(
           .order(sortBy, { ascending: order === 'asc' });
       }
       
-      query = query.range(offset, offset + limit - 1);
+      query = query
+        .is('removed_at', null) // Hidden by moderation
+        .range(offset, offset + limit - 1);
 
       if (tags && tags.length > 0) {
         query = query.contains('tags', tags);
@@ -69,6 +76,10 @@ router.get(
         query = query.eq('artist_id', artistId);
       }
 
+      if (hiddenArtistIds.length > 0) {
+        query = query.not('artist_id', 'in', `(${hiddenArtistIds.join(',')})`);
+      }
+
       // Text search on title and tags
       if (searchQuery) {
         query = query.or(`title.ilike.%${searchQuery}%,tags.cs.{${searchQuery}}`);
@@ -131,7 +142,9 @@ router.get(
       };
 
       // Cache for 5 minutes
-      await cache.set(cacheKey, response, 300);
+      if (hiddenArtistIds.length === 0) {
+        await cache.set(cacheKey, response, 300);
+      }
 
       res.json(response);
     } catch (error) {
@@ -147,29 +160,15 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
     const cacheKey = cacheKeys.artwork(req.params.id);
     const cached = await cache.get(cacheKey);
     if (cached) {
+      if (req.blocks?.hidden.includes(cached.artwork?.artist_id)) {
+        throw new AppError('Artwork not found', 404);
+      }
       return res.json(cached);
     }
 
-    const { data: artwork, error } = await supabaseAdmin
-      .from('artworks')
-      .select(`
-        *,
-        artists(
-          id,
-          commission_status,
-          min_price,
-          max_price,
-          turnaround_days,
-          specialties,
-          rating,
-          total_commissions,
-          users(username, avatar_url, full_name, bio)
-        )
-      `)
-      .eq('id', req.params.id)
-      .single();
+    const artwork = await ArtworkRepo.findDetail(req.params.id);
 
-    if (error || !artwork) {
+    if (!artwork || req.blocks?.hidden.includes(artwork.artist_id)) {
       throw new AppError('Artwork not found', 404);
     }
 
@@ -194,19 +193,13 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
 
     // Update like_count if it's different (sync)
     if (actualLikeCount !== (artwork.like_count || 0)) {
-      await supabaseAdmin
-        .from('artworks')
-        .update({ like_count: actualLikeCount })
-        .eq('id', req.params.id);
-      
+      await ArtworkRepo.setCounters(req.params.id, { like_count: actualLikeCount });
+
       artwork.like_count = actualLikeCount;
     }
 
     // Increment view count
-    await supabaseAdmin
-      .from('artworks')
-      .update({ view_count: (artwork.view_count || 0) + 1 })
-      .eq('id', req.params.id);
+    await ArtworkRepo.setCounters(req.params.id, { view_count: (artwork.view_count || 0) + 1 });
 
     const response = { artwork };
 
@@ -251,23 +244,18 @@ router.post(
         aspectRatio,
       } = req.body;
 
-      const { data: artwork, error } = await supabaseAdmin
-        .from('artworks')
-        .insert({
-          artist_id: req.user.id,
-          title,
-          description,
-          image_url: imageUrl,
-          thumbnail_url: thumbnailUrl,
-          tags: tags || [],
-          is_featured: isFeatured || false,
-          display_order: displayOrder || 0,
-          aspect_ratio: aspectRatio || '4:5',
-        })
-        .select()
-        .single();
-
-      if (error) throw error;
+      // Also invalidates the browse, artist and feed caches
+      const artwork = await ArtworkRepo.create({
+        artist_id: req.user.id,
+        title,
+        description,
+        image_url: imageUrl,
+        thumbnail_url: thumbnailUrl,
+        tags: tags || [],
+        is_featured: isFeatured || false,
+        display_order: displayOrder || 0,
+        aspect_ratio: aspectRatio || '4:5',
+      });
 
       // Auto-create "Created" board and add artwork to it
       try {
@@ -326,12 +314,14 @@ router.post(
         console.error('Error with Created board auto-add:', boardError);
       }
 
-      // Invalidate related caches
-      await Promise.all([
-        cache.delPattern('artworks:list:*'),
-        cache.delPattern(`artist:${req.user.id}:artworks`),
-        cache.delPattern(`feed:*`),
-      ]);
+      // Thumbnail and (if not given) aspect ratio are filled in by a job
+      if (!thumbnailUrl || !aspectRatio) {
+        try {
+          await queueImageProcessing(artwork.id, { setAspectRatio: !aspectRatio });
+        } catch (queueError) {
+          console.error('Error queueing artwork image processing:', queueError);
+        }
+      }
 
       res.status(201).json({
         message: 'Artwork uploaded successfully',
@@ -363,11 +353,7 @@ router.put(
       }
 
       // Check ownership
-      const { data: existing } = await supabase
-        .from('artworks')
-        .select('artist_id')
-        .eq('id', req.params.id)
-        .single();
+      const existing = await ArtworkRepo.findById(req.params.id, 'artist_id');
 
       if (!existing || existing.artist_id !== req.user.id) {
         throw new AppError('Artwork not found or unauthorized', 403);
@@ -380,21 +366,7 @@ router.put(
       if (req.body.isFeatured !== undefined) updateData.is_featured = req.body.isFeatured;
       if (req.body.displayOrder !== undefined) updateData.display_order = req.body.displayOrder;
 
-      const { data: artwork, error } = await supabase
-        .from('artworks')
-        .update(updateData)
-        .eq('id', req.params.id)
-        .select()
-        .single();
-
-      if (error) throw error;
-
-      // Invalidate related caches
-      await Promise.all([
-        cache.del(cacheKeys.artwork(req.params.id)),
-        cache.delPattern('artworks:list:*'),
-        cache.delPattern(`artist:${req.user.id}:artworks`),
-      ]);
+      const artwork = await ArtworkRepo.update(req.params.id, updateData);
 
       res.json({ message: 'Artwork updated successfully', artwork });
     } catch (error) {
@@ -409,13 +381,9 @@ router.delete('/:id', authenticate, requireArtist, async (req, res, next) => {
     const artworkId = req.params.id;
 
     // Check ownership and that artwork exists
-    const { data: existing, error: fetchError } = await supabaseAdmin
-      .from('artworks')
-      .select('artist_id, image_url, thumbnail_url')
-      .eq('id', artworkId)
-      .single();
+    const existing = await ArtworkRepo.findById(artworkId, 'id, artist_id, image_url, thumbnail_url');
 
-    if (fetchError || !existing) {
+    if (!existing) {
       throw new AppError('Artwork not found', 404);
     }
 
@@ -423,48 +391,8 @@ router.delete('/:id', authenticate, requireArtist, async (req, res, next) => {
       throw new AppError('Unauthorized to delete this artwork', 403);
     }
 
-    // Delete all related data first (cleanup related data)
-    // 1. Delete all board_artworks entries
-    const { error: boardArtworksError } = await supabaseAdmin
-      .from('board_artworks')
-      .delete()
-      .eq('artwork_id', artworkId);
-
-    if (boardArtworksError) {
-      console.error('Error deleting board_artworks:', boardArtworksError);
-      // Continue anyway - artwork might not be in any boards
-    }
-
-    // 2. Delete the artwork itself (this should cascade to any foreign key references if configured)
-    const { error: deleteError } = await supabaseAdmin
-      .from('artworks')
-      .delete()
-      .eq('id', artworkId);
-
-    if (deleteError) {
-      console.error('Error deleting artwork:', deleteError);
-      throw new AppError(`Failed to delete artwork: ${deleteError.message}`, 500);
-    }
-
-    // Verify deletion
-    const { data: verifyDeleted } = await supabaseAdmin
-      .from('artworks')
-      .select('id')
-      .eq('id', artworkId)
-      .maybeSingle();
-
-    if (verifyDeleted) {
-      throw new AppError('Artwork deletion failed - artwork still exists', 500);
-    }
-
-    // Invalidate related caches
-    await Promise.all([
-      cache.del(cacheKeys.artwork(artworkId)),
-      cache.delPattern('artworks:list:*'),
-      cache.delPattern(`artist:${req.user.id}:artworks`),
-      cache.delPattern('feed:*'),
-      cache.delPattern('board:*:artworks'),
-    ]);
+    // Takes the artwork off every board, deletes it and invalidates related caches
+    await ArtworkRepo.delete(existing);
 
     res.json({ message: 'Artwork deleted successfully', deleted: true });
   } catch (error) {
@@ -479,13 +407,9 @@ router.post('/:id/like', authenticate, async (req, res, next) => {
     const artworkId = req.params.id;
 
     // Check if artwork exists
-    const { data: artwork, error: artworkError } = await supabaseAdmin
-      .from('artworks')
-      .select('id, like_count')
-      .eq('id', artworkId)
-      .single();
+    const artwork = await ArtworkRepo.findById(artworkId, 'id, like_count');
 
-    if (artworkError || !artwork) {
+    if (!artwork) {
       throw new AppError('Artwork not found', 404);
     }
 
@@ -555,7 +479,7 @@ router.post('/:id/like', authenticate, async (req, res, next) => {
       await cache.del(cacheKeys.artwork(artworkId));
       await cache.del(cacheKeys.userBoards(req.user.id)); // Invalidate user boards cache
       await cache.del(cacheKeys.board(likedBoard.id)); // Invalidate specific board cache
-      await cache.delPattern(`board:${likedBoard.id}:*`); // Invalidate all board-related caches
+      await cache.del(cacheKeys.boardArtworks(likedBoard.id));
 
       res.json({ message: 'Artwork unliked', likeCount: updated.like_count });
     } else {
@@ -615,7 +539,7 @@ router.post('/:id/like', authenticate, async (req, res, next) => {
       await cache.del(cacheKeys.artwork(artworkId));
       await cache.del(cacheKeys.userBoards(req.user.id)); // Invalidate user boards cache
       await cache.del(cacheKeys.board(likedBoard.id)); // Invalidate specific board cache
-      await cache.delPattern(`board:${likedBoard.id}:*`); // Invalidate all board-related caches
+      await cache.del(cacheKeys.boardArtworks(likedBoard.id));
 
       console.log('Successfully liked artwork:', { artworkId, likeCount: updated.like_count });
       res.json({ message: 'Artwork liked', likeCount: updated.like_count });
@@ -631,13 +555,9 @@ router.post('/:id/unlike', authenticate, async (req, res, next) => {
     const artworkId = req.params.id;
 
     // Check if artwork exists
-    const { data: artwork, error: artworkError } = await supabaseAdmin
-      .from('artworks')
-      .select('id, like_count')
-      .eq('id', artworkId)
-      .single();
+    const artwork = await ArtworkRepo.findById(artworkId, 'id, like_count');
 
-    if (artworkError || !artwork) {
+    if (!artwork) {
       throw new AppError('Artwork not found', 404);
     }
 
@@ -672,7 +592,7 @@ router.post('/:id/unlike', authenticate, async (req, res, next) => {
       await cache.del(cacheKeys.artwork(artworkId));
       await cache.del(cacheKeys.userBoards(req.user.id)); // Invalidate user boards cache
       await cache.del(cacheKeys.board(likedBoard.id)); // Invalidate specific board cache
-      await cache.delPattern(`board:${likedBoard.id}:*`); // Invalidate all board-related caches
+      await cache.del(cacheKeys.boardArtworks(likedBoard.id));
 
       res.json({ message: 'Artwork unliked', likeCount: updated.like_count });
     } else {
@@ -710,10 +630,7 @@ router.get('/:id/like-count', optionalAuth, async (req, res, next) => {
     }
 
     // Update the artwork's like_count to match
-    await supabaseAdmin
-      .from('artworks')
-      .update({ like_count: count })
-      .eq('id', artworkId);
+    await ArtworkRepo.setCounters(artworkId, { like_count: count });
 
     res.json({ likeCount: count });
   } catch (error) {
@@ -795,6 +712,11 @@ router.get('/personalized/feed', authenticate, async (req, res, next) => {
       query = query.not('id', 'in', `(${Array.from(engagedArtworkIds).slice(0, 100).join(',')})`);
     }
 
+    // Never show artworks from users on either side of a block
+    if (req.blocks?.hidden.length > 0) {
+      query = query.not('artist_id', 'in', `(${req.blocks.hidden.join(',')})`);
+    }
+
     // Get initial results (more than needed for scoring)
     const { data: allArtworks, error } = await query
       .order('created_at', { ascending: false })
@@ -1,11 +1,11 @@
 import express from 'express';
-import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import { supabase, supabaseAdmin } from '../config/supabase.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, getAccountRestriction } from '../middleware/auth.js';
 import { authLimiter } from '../middleware/rateLimiter.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { UserRepo, ArtistRepo } from '../repositories/index.js';
 
 const router = express.Router();
 
@@ -31,17 +31,8 @@ router.post(
       const { email } = req.body;
 
       // Check if email exists in database
-      const { data: existingUsers, error: checkError } = await supabaseAdmin
-        .from('users')
-        .select('id')
-        .eq('email', email);
-
-      if (checkError && checkError.code !== 'PGRST116') {
-        console.error('Error checking email:', checkError);
-        throw checkError;
-      }
-
-      const available = !existingUsers || existingUsers.length === 0;
+      const existingUser = await UserRepo.findByEmail(email, 'id');
+      const available = !existingUser;
 
       res.json({
         available,
@@ -78,17 +69,9 @@ router.post(
       console.log('Registration attempt:', { email, username, userType, hasPassword: !!password });
 
       // Check if user exists in database
-      const { data: existingUsers, error: checkError } = await supabaseAdmin
-        .from('users')
-        .select('id, email, username')
-        .or(`email.eq.${email},username.eq.${username}`);
-
-      if (checkError && checkError.code !== 'PGRST116') {
-        console.error('Error checking existing users:', checkError);
-        throw checkError;
-      }
+      const existingUsers = await UserRepo.findByEmailOrUsername(email, username);
 
-      if (existingUsers && existingUsers.length > 0) {
+      if (existingUsers.length > 0) {
         const existingEmail = existingUsers.find(u => u.email === email);
         const existingUsername = existingUsers.find(u => u.username === username);
         
@@ -140,9 +123,9 @@ router.post(
 
       // Create user in database using ADMIN client to bypass RLS
       console.log('Creating user in database...');
-      const { data: user, error: dbError } = await supabaseAdmin
-        .from('users')
-        .insert({
+      let user;
+      try {
+        user = await UserRepo.create({
           id: authData.user.id,
           email,
           username,
@@ -150,11 +133,8 @@ router.post(
           user_type: userType,
           avatar_url: avatar_url || '', // Optional - can be added on profile picture screen
           date_of_birth: dob || null, // For NSFW age verification
-        })
-        .select()
-        .single();
-
-      if (dbError) {
+        });
+      } catch (dbError) {
         console.error('Database error creating user:', dbError);
         // If user creation fails, delete the auth user
         try {
@@ -168,7 +148,7 @@ router.post(
 
       // If user is an artist, create artist profile
       if (userType === 'artist' || userType === 'both') {
-        await supabaseAdmin.from('artists').insert({
+        await ArtistRepo.create({
           id: user.id,
           commission_status: 'open',
         });
@@ -216,13 +196,9 @@ router.post(
 
       if (!isEmail) {
         // It's a username, fetch the user's email
-        const { data: userData, error: userError } = await supabaseAdmin
-          .from('users')
-          .select('email')
-          .eq('username', emailOrUsername)
-          .single();
+        const userData = await UserRepo.findByUsername(emailOrUsername, 'email');
 
-        if (userError || !userData) {
+        if (!userData) {
           throw new AppError('Invalid credentials', 401);
         }
 
@@ -240,16 +216,17 @@ router.post(
       }
 
       // Get user from database using admin client
-      const { data: user, error: dbError } = await supabaseAdmin
-        .from('users')
-        .select('*')
-        .eq('id', authData.user.id)
-        .single();
+      const user = await UserRepo.findById(authData.user.id);
 
-      if (dbError || !user) {
+      if (!user) {
         throw new AppError('User not found', 404);
       }
 
+      const restriction = getAccountRestriction(user);
+      if (restriction) {
+        throw new AppError(restriction, 403);
+      }
+
       const token = generateToken(user.id);
 
       res.json({
@@ -273,16 +250,7 @@ router.post(
 // Get current user
 router.get('/me', authenticate, async (req, res, next) => {
   try {
-    const { data: user, error } = await supabaseAdmin
-      .from('users')
-      .select(`
-        *,
-        artists(*)
-      `)
-      .eq('id', req.user.id)
-      .single();
-
-    if (error) throw error;
+    const user = await UserRepo.findById(req.user.id, '*, artists(*)');
 
     res.json({ user });
   } catch (error) {
@@ -313,14 +281,7 @@ router.put(
       if (bio !== undefined) updateData.bio = bio;
       if (avatarUrl !== undefined) updateData.avatar_url = avatarUrl;
 
-      const { data: user, error } = await supabase
-        .from('users')
-        .update(updateData)
-        .eq('id', req.user.id)
-        .select()
-        .single();
-
-      if (error) throw error;
+      const user = await UserRepo.update(req.user.id, updateData);
 
       res.json({ message: 'Profile updated successfully', user });
     } catch (error) {
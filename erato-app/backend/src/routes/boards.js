@@ -140,8 +140,8 @@ router.get('/:id', authenticate, async (req, res) => {
 
     if (boardError) throw boardError;
 
-    // Check if user has access
-    const hasAccess = board.user_id === req.user.id || board.is_public;
+    // Check if user has access (hidden boards stay visible to their owner)
+    const hasAccess = board.user_id === req.user.id || (board.is_public && !board.removed_at);
 
     if (!hasAccess) {
       return res.status(403).json({ error: 'Access denied' });
@@ -26,6 +26,7 @@ router.get('/artist/:artistId', async (req, res) => {
       `)
       .eq('artist_id', artistId)
       .eq('is_active', true)
+      .is('removed_at', null)
       .order('display_order', { ascending: true });
     
     // Ensure thumbnail_url is set from example_image_urls if available
@@ -52,79 +53,6 @@ router.get('/artist/:artistId', async (req, res) => {
   }
 });
 
-// Get artist's commission settings (public)
-router.get('/settings/:artistId', async (req, res) => {
-  try {
-    const { artistId } = req.params;
-
-    const { data: settings, error } = await supabaseAdmin
-      .from('artist_commission_settings')
-      .select('*')
-      .eq('artist_id', artistId)
-      .maybeSingle();
-
-    if (error && error.code !== 'PGRST116') throw error;
-
-    // If no settings exist, return defaults
-    if (!settings) {
-      return res.json({
-        artist_id: artistId,
-        max_queue_slots: 5,
-        allow_waitlist: false,
-        is_open: true,
-        status_message: null,
-        terms_of_service: null,
-        will_draw: [],
-        wont_draw: [],
-        avg_response_hours: null
-      });
-    }
-
-    res.json(settings);
-  } catch (error) {
-    console.error('Error fetching commission settings:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get current queue count for artist (public)
-router.get('/queue/:artistId', async (req, res) => {
-  try {
-    const { artistId } = req.params;
-
-    // Count active commissions (pending, accepted, in_progress)
-    const { data, error } = await supabaseAdmin
-      .from('commissions')
-      .select('id', { count: 'exact', head: true })
-      .eq('artist_id', artistId)
-      .in('status', ['pending', 'accepted', 'in_progress']);
-
-    if (error) throw error;
-
-    // Get max slots
-    const { data: settings } = await supabaseAdmin
-      .from('artist_commission_settings')
-      .select('max_queue_slots, allow_waitlist')
-      .eq('artist_id', artistId)
-      .maybeSingle();
-
-    const maxSlots = settings?.max_queue_slots || 5;
-    const currentCount = data || 0;
-    const allowWaitlist = settings?.allow_waitlist || false;
-
-    res.json({
-      current: currentCount,
-      max: maxSlots,
-      available: Math.max(0, maxSlots - currentCount),
-      is_full: currentCount >= maxSlots,
-      allow_waitlist: allowWaitlist
-    });
-  } catch (error) {
-    console.error('Error fetching queue status:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
 // === ARTIST ONLY ROUTES (requires authentication and artist verification) ===
 
 // Middleware to verify user is an artist
@@ -451,69 +379,4 @@ router.delete('/addons/:addonId', authenticate, verifyArtist, async (req, res) =
   }
 });
 
-// Update or create commission settings
-router.post('/settings', authenticate, verifyArtist, async (req, res) => {
-  try {
-    const {
-      max_queue_slots,
-      allow_waitlist,
-      is_open,
-      status_message,
-      terms_of_service,
-      will_draw,
-      wont_draw,
-      avg_response_hours
-    } = req.body;
-
-    // Check if settings exist
-    const { data: existing } = await supabaseAdmin
-      .from('artist_commission_settings')
-      .select('artist_id')
-      .eq('artist_id', req.artistId)
-      .maybeSingle();
-
-    const settingsData = {
-      artist_id: req.artistId
-    };
-
-    if (max_queue_slots !== undefined) settingsData.max_queue_slots = max_queue_slots;
-    if (allow_waitlist !== undefined) settingsData.allow_waitlist = allow_waitlist;
-    if (is_open !== undefined) settingsData.is_open = is_open;
-    if (status_message !== undefined) settingsData.status_message = status_message;
-    if (terms_of_service !== undefined) settingsData.terms_of_service = terms_of_service;
-    if (will_draw !== undefined) settingsData.will_draw = will_draw;
-    if (wont_draw !== undefined) settingsData.wont_draw = wont_draw;
-    if (avg_response_hours !== undefined) settingsData.avg_response_hours = avg_response_hours;
-
-    let result;
-    if (existing) {
-      // Update
-      const { data, error } = await supabaseAdmin
-        .from('artist_commission_settings')
-        .update(settingsData)
-        .eq('artist_id', req.artistId)
-        .select()
-        .single();
-
-      if (error) throw error;
-      result = data;
-    } else {
-      // Insert
-      const { data, error } = await supabaseAdmin
-        .from('artist_commission_settings')
-        .insert(settingsData)
-        .select()
-        .single();
-
-      if (error) throw error;
-      result = data;
-    }
-
-    res.json(result);
-  } catch (error) {
-    console.error('Error updating commission settings:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
 export default router;
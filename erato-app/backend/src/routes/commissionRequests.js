@@ -2,8 +2,9 @@ import express from 'express';
 import { query, body, validationResult } from 'express-validator';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
-import { NotificationService } from '../utils/redisServices.js';
-import { sendPushToUser } from '../utils/pushNotifications.js';
+import { queueNotification } from '../jobs/notifications.js';
+import { ArtistRepo, CommissionRepo, ConversationRepo, UserRepo } from '../repositories/index.js';
+import { USER_SUMMARY } from '../repositories/selects.js';
 
 const router = express.Router();
 
@@ -40,9 +41,14 @@ router.get(
         .from('commission_requests')
         .select(`
           *,
-          client:users(id, username, avatar_url, full_name)
+          client:users(${USER_SUMMARY})
         `, { count: 'exact' })
-        .eq('status', status);
+        .eq('status', status)
+        .is('removed_at', null);
+
+      if (req.blocks?.hidden.length > 0) {
+        requestQuery = requestQuery.not('client_id', 'in', `(${req.blocks.hidden.join(',')})`);
+      }
 
       // Budget filters
       if (budgetMin !== null) {
@@ -87,13 +93,7 @@ router.get(
       // If user is authenticated and is an artist, mark which requests they've already bid on
       let enrichedRequests = requests || [];
       if (req.user) {
-        const { data: artistCheck } = await supabaseAdmin
-          .from('artists')
-          .select('id')
-          .eq('id', req.user.id)
-          .maybeSingle();
-
-        if (artistCheck) {
+        if (await ArtistRepo.isArtist(req.user.id)) {
           const requestIds = enrichedRequests.map(r => r.id);
           const { data: userBids } = await supabaseAdmin
             .from('commission_request_bids')
@@ -147,7 +147,7 @@ router.get('/bids/my', authenticate, async (req, res, next) => {
           budget_min,
           budget_max,
           deadline,
-          client:users(id, username, avatar_url, full_name)
+          client:users(${USER_SUMMARY})
         )
       `)
       .eq('artist_id', req.user.id)
@@ -182,17 +182,11 @@ router.get('/my-requests', authenticate, async (req, res, next) => {
           .order('created_at', { ascending: false });
 
         // Get artist info for each bid
-        const bidsWithArtists = await Promise.all(
-          (bids || []).map(async (bid) => {
-            const { data: artist } = await supabaseAdmin
-              .from('users')
-              .select('id, username, avatar_url, full_name')
-              .eq('id', bid.artist_id)
-              .single();
-
-            return { ...bid, artist };
-          })
-        );
+        const artists = await UserRepo.mapByIds((bids || []).map(bid => bid.artist_id));
+        const bidsWithArtists = (bids || []).map(bid => ({
+          ...bid,
+          artist: artists.get(bid.artist_id) || null
+        }));
 
         return {
           ...request,
@@ -216,17 +210,17 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
       .from('commission_requests')
       .select(`
         *,
-        client:users(id, username, avatar_url, full_name),
+        client:users(${USER_SUMMARY}),
         bids:commission_request_bids(
           *,
-          artist:users(id, username, avatar_url, full_name)
+          artist:users(${USER_SUMMARY})
         )
       `)
       .eq('id', req.params.id)
       .single();
 
     if (error) throw error;
-    if (!request) {
+    if (!request || (request.removed_at && request.client_id !== req.user?.id)) {
       return res.status(404).json({ error: 'Request not found' });
     }
 
@@ -263,13 +257,7 @@ router.post(
       }
 
       // Verify user is a client (not an artist)
-      const { data: artist } = await supabaseAdmin
-        .from('artists')
-        .select('id')
-        .eq('id', req.user.id)
-        .maybeSingle();
-
-      if (artist) {
+      if (await ArtistRepo.isArtist(req.user.id)) {
         return res.status(403).json({ error: 'Artists cannot create commission requests' });
       }
 
@@ -298,7 +286,7 @@ router.post(
         })
         .select(`
           *,
-          client:users!commission_requests_client_id_fkey(id, username, avatar_url, full_name)
+          client:users!commission_requests_client_id_fkey(${USER_SUMMARY})
         `)
         .single();
 
@@ -311,15 +299,17 @@ router.post(
           .select('artist_id')
           .in('style_id', preferred_styles);
 
-        const artistIds = [...new Set(matchingArtists?.map(a => a.artist_id) || [])];
+        const artistIds = [...new Set(matchingArtists?.map(a => a.artist_id) || [])]
+          .filter(artistId => !req.blocks?.hidden.includes(artistId));
         
         for (const artistId of artistIds) {
-          await NotificationService.publish(artistId, {
+          await queueNotification(artistId, {
             type: 'new_commission_request',
             title: 'New Commission Request',
             message: `${req.user.username || 'A client'} posted a request matching your style`,
             action: { type: 'view_request', id: request.id },
             priority: 'normal',
+            actorId: req.user.id,
           });
         }
       }
@@ -349,13 +339,7 @@ router.post(
       }
 
       // Verify user is an artist
-      const { data: artist } = await supabaseAdmin
-        .from('artists')
-        .select('id')
-        .eq('id', req.user.id)
-        .maybeSingle();
-
-      if (!artist) {
+      if (!(await ArtistRepo.isArtist(req.user.id))) {
         return res.status(403).json({ error: 'Only artists can submit bids' });
       }
 
@@ -374,6 +358,10 @@ router.post(
         return res.status(400).json({ error: 'This request is no longer accepting bids' });
       }
 
+      if (req.blocks?.hidden.includes(request.client_id)) {
+        return res.status(403).json({ error: 'You cannot bid on this request' });
+      }
+
       // Check if artist already bid
       const { data: existingBid } = await supabaseAdmin
         .from('commission_request_bids')
@@ -408,7 +396,7 @@ router.post(
           *,
           artist:artists!commission_request_bids_artist_id_fkey(
             id,
-            users:users!artists_id_fkey(id, username, avatar_url, full_name)
+            users:users!artists_id_fkey(${USER_SUMMARY})
           )
         `)
         .single();
@@ -416,12 +404,15 @@ router.post(
       if (error) throw error;
 
       // Notify client
-      await NotificationService.publish(request.client_id, {
+      await queueNotification(request.client_id, {
         type: 'new_bid',
         title: 'New Bid Received',
         message: 'An artist submitted a bid on your commission request',
         action: { type: 'view_request', id: req.params.id },
         priority: 'normal',
+        actorId: req.user.id,
+        groupKey: `request_bids:${req.params.id}`,
+        groupTitle: '{count} New Bids Received',
       });
 
       res.status(201).json(bid);
@@ -440,7 +431,7 @@ router.patch(
       // Get the request
       const { data: request } = await supabaseAdmin
         .from('commission_requests')
-        .select('client_id, status')
+        .select('client_id, status, title, description, reference_images')
         .eq('id', req.params.id)
         .single();
 
@@ -455,7 +446,7 @@ router.patch(
       // Get the bid
       const { data: bid } = await supabaseAdmin
         .from('commission_request_bids')
-        .select('artist_id, status')
+        .select('artist_id, status, bid_amount, estimated_delivery_days')
         .eq('id', req.params.bidId)
         .eq('request_id', req.params.id)
         .single();
@@ -468,6 +459,10 @@ router.patch(
         return res.status(400).json({ error: 'This bid has already been processed' });
       }
 
+      if (req.blocks?.hidden.includes(bid.artist_id)) {
+        return res.status(403).json({ error: 'You cannot accept a bid from this artist' });
+      }
+
       // Update bid status
       await supabaseAdmin
         .from('commission_request_bids')
@@ -493,22 +488,16 @@ router.patch(
         .eq('id', req.params.id);
 
       // Create a commission from the accepted bid
-      const { data: commission, error: commissionError } = await supabaseAdmin
-        .from('commissions')
-        .insert({
-          client_id: request.client_id,
-          artist_id: bid.artist_id,
-          title: request.title,
-          details: request.description,
-          budget: bid.bid_amount,
-          deadline_text: bid.estimated_delivery_days ? `${bid.estimated_delivery_days} days` : null,
-          status: 'pending',
-          final_price: bid.bid_amount
-        })
-        .select()
-        .single();
-
-      if (commissionError) throw commissionError;
+      const commission = await CommissionRepo.create({
+        client_id: request.client_id,
+        artist_id: bid.artist_id,
+        title: request.title,
+        details: request.description,
+        budget: bid.bid_amount,
+        deadline_text: bid.estimated_delivery_days ? `${bid.estimated_delivery_days} days` : null,
+        status: 'pending',
+        final_price: bid.bid_amount
+      });
 
       // Add reference images from request to commission files
       if (request.reference_images && request.reference_images.length > 0) {
@@ -530,47 +519,12 @@ router.patch(
       }
 
       // Create or get conversation
-      const { data: existingConv } = await supabaseAdmin
-        .from('conversation_participants')
-        .select('conversation_id')
-        .eq('user_id', request.client_id);
-
-      let conversation = null;
-      if (existingConv && existingConv.length > 0) {
-        for (const conv of existingConv) {
-          const { data: participants } = await supabaseAdmin
-            .from('conversation_participants')
-            .select('user_id')
-            .eq('conversation_id', conv.conversation_id);
-
-          if (participants?.some(p => p.user_id === bid.artist_id)) {
-            const { data: foundConv } = await supabaseAdmin
-              .from('conversations')
-              .select('*')
-              .eq('id', conv.conversation_id)
-              .single();
-            conversation = foundConv;
-            break;
-          }
-        }
-      }
-
-      if (!conversation) {
-        const { data: newConv } = await supabaseAdmin
-          .from('conversations')
-          .insert({ commission_id: commission.id })
-          .select()
-          .single();
-        conversation = newConv;
-
-        await supabaseAdmin.from('conversation_participants').insert([
-          { conversation_id: conversation.id, user_id: request.client_id },
-          { conversation_id: conversation.id, user_id: bid.artist_id }
-        ]);
-      }
+      const participantIds = [request.client_id, bid.artist_id];
+      const conversation = await ConversationRepo.findWithParticipants(participantIds)
+        || await ConversationRepo.create({ participantIds, commissionId: commission.id });
 
       // Notify artist
-      await NotificationService.publish(bid.artist_id, {
+      await queueNotification(bid.artist_id, {
         type: 'bid_accepted',
         title: 'Bid Accepted! 🎉',
         message: 'Your bid has been accepted and a commission has been created',
@@ -674,7 +628,7 @@ router.patch('/:id/cancel', authenticate, async (req, res, next) => {
     // Notify artists
     if (pendingBids && pendingBids.length > 0) {
       for (const bid of pendingBids) {
-        await NotificationService.publish(bid.artist_id, {
+        await queueNotification(bid.artist_id, {
           type: 'request_cancelled',
           title: 'Request Cancelled',
           message: 'A commission request you bid on has been cancelled',
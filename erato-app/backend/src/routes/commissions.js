@@ -1,13 +1,45 @@
 import express from 'express';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticate } from '../middleware/auth.js';
-import { NotificationService } from '../utils/redisServices.js';
-import { sendPushToUser } from '../utils/pushNotifications.js';
+import { queueNotification } from '../jobs/notifications.js';
+import {
+  ArtistRepo,
+  CommissionRepo,
+  ConversationRepo,
+  MessageRepo,
+  UserRepo,
+} from '../repositories/index.js';
+import {
+  getAvailableTransitions,
+  getCommissionRole,
+  getStatusHistory,
+  isValidStatus,
+  normalizeStatus,
+  transitionCommission,
+} from '../utils/commissionStateMachine.js';
+import { getScheduledActions } from '../jobs/scheduler.js';
+import { applyAutoClose, getArtistSettings, getQueueStatus, lockSlots } from '../utils/artistSettings.js';
+import {
+  confirmPromotion,
+  getClientWaitlist,
+  getWaitlist,
+  leaveWaitlist,
+  promoteWaitlistEntry,
+  reorderWaitlist,
+  skipEntry,
+} from '../utils/waitlist.js';
+import { createCommissionRequest } from '../utils/commissionIntake.js';
+import { claimSlot, getOpenDrop, recordDropRequest, releaseSlot } from '../utils/slotDrops.js';
+import { listQuotes, respondToQuote, sendQuote, suggestLineItems } from '../utils/quotes.js';
+import { buildDeclineUpdates, getDeclineReasons } from '../utils/declines.js';
+import { publishMessage } from '../utils/realtime.js';
 
 const router = express.Router();
 
 // Request a commission
 router.post('/request', authenticate, async (req, res) => {
+  let unlockSlots = null;
+
   try {
     const {
       artist_id,
@@ -30,57 +62,22 @@ router.post('/request', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'You cannot request a commission from yourself' });
     }
 
-    // Check if requester is also an artist (artists cannot request commissions from other artists)
-    const { data: requesterArtist, error: requesterArtistError } = await supabaseAdmin
-      .from('artists')
-      .select('id')
-      .eq('id', req.user.id)
-      .maybeSingle();
+    if (req.blocks?.hidden.includes(artist_id)) {
+      return res.status(403).json({ error: 'You cannot request a commission from this artist' });
+    }
 
-    if (requesterArtist) {
+    // Check if requester is also an artist (artists cannot request commissions from other artists)
+    if (await ArtistRepo.isArtist(req.user.id)) {
       return res.status(403).json({ error: 'Artists cannot request commissions from other artists. Only clients can request commissions.' });
     }
 
     // Verify artist exists
-    const { data: artist, error: artistError } = await supabaseAdmin
-      .from('artists')
-      .select('id')
-      .eq('id', artist_id)
-      .single();
+    const artist = await ArtistRepo.findById(artist_id, 'id');
 
-    if (artistError || !artist) {
+    if (!artist) {
       return res.status(404).json({ error: 'Artist not found' });
     }
 
-    // Slots / queue guard
-    const { data: queueStatus, error: queueError } = await supabaseAdmin
-      .from('commissions')
-      .select('id', { count: 'exact', head: true })
-      .eq('artist_id', artist_id)
-      .in('status', ['pending', 'accepted', 'in_progress']);
-
-    if (queueError) throw queueError;
-
-    const { data: settings } = await supabaseAdmin
-      .from('artist_commission_settings')
-      .select('max_queue_slots, allow_waitlist, is_open')
-      .eq('artist_id', artist_id)
-      .maybeSingle();
-
-    const maxSlots = settings?.max_queue_slots ?? 5;
-    const allowWaitlist = settings?.allow_waitlist ?? false;
-    const isOpen = settings?.is_open ?? true;
-    const currentCount = queueStatus || 0;
-    const isFull = currentCount >= maxSlots;
-
-    if (!isOpen) {
-      return res.status(400).json({ error: 'Commissions are closed' });
-    }
-
-    if (isFull && !allowWaitlist) {
-      return res.status(400).json({ error: 'Commission slots are full' });
-    }
-
     // Validate package selection (if provided)
     let selectedPackage = null;
     if (packageId) {
@@ -105,186 +102,90 @@ router.post('/request', authenticate, async (req, res) => {
       selectedPackage = pkg;
     }
 
-    // Create commission
-    const { data: commission, error: commissionError } = await supabaseAdmin
-      .from('commissions')
-      .insert({
-        client_id: req.user.id,
-        artist_id,
-        artwork_id: artwork_id || null,
-        details,
-        client_note: client_note || null,
-        budget: budget || null,
-        deadline_text: deadline || null,
-        status: 'pending',
-        package_id: selectedPackage?.id || null,
-        selected_addons: Array.isArray(selectedAddons) ? selectedAddons : [],
-        final_price: selectedPackage?.base_price || null
-      })
-      .select()
-      .single();
+    // Slots / queue guard. During a drop the slots go to whoever claims them
+    // first in Redis and anyone who misses out joins the waitlist; otherwise
+    // the slot lock is held from counting taken slots until the insert.
+    const drop = await getOpenDrop(artist_id);
+    let dropClaim = null;
 
-    if (commissionError) throw commissionError;
+    if (!drop) {
+      unlockSlots = await lockSlots(artist_id);
+    }
 
-    // Add reference images to commission files
-    if (referenceImages && referenceImages.length > 0) {
-      const fileInserts = referenceImages.map(imageUrl => ({
-        commission_id: commission.id,
-        uploader_id: req.user.id,
-        file_url: imageUrl,
-        file_name: `Reference - ${imageUrl.split('/').pop()}`,
-        file_type: 'image'
-      }));
+    const queue = await getQueueStatus(artist_id);
 
-      const { error: filesError } = await supabaseAdmin
-        .from('commission_files')
-        .insert(fileInserts);
+    if (!queue.is_open) {
+      return res.status(400).json({ error: 'Commissions are closed' });
+    }
 
-      if (filesError) {
-        console.error('Error adding reference images to commission:', filesError);
+    if (drop) {
+      if (drop.allocation === 'lottery') {
+        return res.status(400).json({ error: 'Slots in this drop are being drawn by lottery' });
       }
-    }
 
-    // Check if there's an existing conversation between client and artist
-    // First, get all conversations the client is in
-    const { data: clientConversations } = await supabaseAdmin
-      .from('conversation_participants')
-      .select('conversation_id')
-      .eq('user_id', req.user.id);
-
-    let conversation = null;
-
-    if (clientConversations && clientConversations.length > 0) {
-      const conversationIds = clientConversations.map(p => p.conversation_id);
-      
-      // Check each conversation to see if it has both client and artist
-      for (const convId of conversationIds) {
-        const { data: convParticipants } = await supabaseAdmin
-          .from('conversation_participants')
-          .select('user_id')
-          .eq('conversation_id', convId);
-
-        if (convParticipants) {
-          const participantIds = convParticipants.map(p => p.user_id);
-          // Check if both client and artist are in this conversation
-          if (participantIds.includes(req.user.id) && participantIds.includes(artist_id)) {
-            // Found existing conversation - get it
-            const { data: existingConv } = await supabaseAdmin
-              .from('conversations')
-              .select('*')
-              .eq('id', convId)
-              .single();
-            
-            if (existingConv) {
-              conversation = existingConv;
-              // Update the conversation to link it to this commission
-              await supabaseAdmin
-                .from('conversations')
-                .update({ commission_id: commission.id })
-                .eq('id', convId);
-              break;
-            }
-          }
-        }
+      dropClaim = await claimSlot(drop, req.user.id);
+      if (dropClaim.duplicate) {
+        return res.status(409).json({ error: 'You have already requested a slot in this drop' });
       }
+    } else if (queue.is_full && !queue.allow_waitlist) {
+      return res.status(400).json({ error: 'Commission slots are full' });
     }
 
-    // If no existing conversation found, create a new one
-    if (!conversation) {
-      const { data: newConversation, error: conversationError } = await supabaseAdmin
-        .from('conversations')
-        .insert({
-          commission_id: commission.id
-        })
-        .select()
-        .single();
-
-      if (conversationError) throw conversationError;
-      conversation = newConversation;
-
-      // Add both participants to the conversation (only if new conversation)
-      const participants = [
-        { conversation_id: conversation.id, user_id: req.user.id },
-        { conversation_id: conversation.id, user_id: artist_id }
-      ];
-
-      await supabaseAdmin.from('conversation_participants').insert(participants);
-    }
-
-    // Send initial message
-    const { data: initialMessage } = await supabaseAdmin.from('messages').insert({
-      conversation_id: conversation.id,
-      sender_id: req.user.id,
-      message_type: 'commission_request',
-      content: details,
-      metadata: {
-        commission_id: commission.id,
-        artwork_id: artwork_id || null,
-        title: client_note || null,
-        budget: budget || null,
-        deadline: deadline || null,
-        package: selectedPackage
-          ? {
-              id: selectedPackage.id,
-              name: selectedPackage.name,
-              base_price: selectedPackage.base_price,
-              estimated_delivery_days: selectedPackage.estimated_delivery_days,
-              revision_count: selectedPackage.revision_count
-            }
-          : null,
-        selected_addons: Array.isArray(selectedAddons) ? selectedAddons : []
-      }
-    }).select().single();
-
-    // Emit Socket.io event for real-time update
-    const io = req.app.locals.io;
-    if (io && initialMessage) {
-      io.to(conversation.id).emit('new-message', {
-        ...initialMessage,
-        created_at: new Date().toISOString()
+    // Join the back of the waitlist when full, or when others are already waiting
+    const waitlisted = dropClaim
+      ? !dropClaim.claimed
+      : queue.allow_waitlist && (queue.is_full || queue.waitlist_count > 0);
+
+    let created;
+    try {
+      created = await createCommissionRequest({
+        client: req.user,
+        artistId: artist_id,
+        artworkId: artwork_id,
+        details,
+        clientNote: client_note,
+        budget,
+        deadline,
+        pkg: selectedPackage,
+        selectedAddons,
+        referenceImages,
+        waitlisted,
       });
+    } catch (error) {
+      // The request never happened, so the drop slot goes back
+      if (dropClaim) await releaseSlot(drop, req.user.id, dropClaim);
+      throw error;
+    }
+    const { commission, conversation } = created;
+
+    if (dropClaim) {
+      await recordDropRequest(drop, req.user.id, commission, dropClaim);
     }
 
+    // This request may be the one that fills the artist's slots
+    await applyAutoClose(artist_id).catch(err => console.error('Error applying auto-close:', err));
+
     res.status(201).json({
       commission,
-      conversation
+      conversation,
+      waitlist_position: waitlisted ? queue.waitlist_count + 1 : null
     });
-
-    // Fire-and-forget push to artist (new commission)
-    (async () => {
-      try {
-        const { data: clientInfo } = await supabaseAdmin
-          .from('users')
-          .select('username, full_name')
-          .eq('id', req.user.id)
-          .single();
-
-        const title = 'New commission request';
-        const message = `${clientInfo?.username || 'A client'} sent you a commission request`;
-
-        await sendPushToUser(artist_id, {
-          title,
-          body: message,
-          data: { type: 'commission', commissionId: commission.id },
-        });
-      } catch (error) {
-        console.error('Push error on commission request:', error?.message || error);
-      }
-    })();
   } catch (error) {
     console.error('Error creating commission request:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  } finally {
+    if (unlockSlots) {
+      await unlockSlots().catch(err => console.error('Error releasing slot lock:', err));
+    }
   }
 });
 
 // Get user's commissions (as client or artist)
 router.get('/', authenticate, async (req, res) => {
   try {
-    const { type = 'all', status, clientId, artistId } = req.query;
+    const { type = 'all', status, clientId, artistId, archived } = req.query;
 
-    let query = supabaseAdmin
-      .from('commissions')
-      .select('*')
+    let query = CommissionRepo.query()
       .order('created_at', { ascending: false });
 
     // Support filtering by clientId and artistId (for client profile view)
@@ -309,140 +210,18 @@ router.get('/', authenticate, async (req, res) => {
       query = query.eq('status', status);
     }
 
-    const { data: commissions, error } = await query;
-
-    if (error) throw error;
-
-    if (!commissions || commissions.length === 0) {
-      return res.json({ commissions: [] });
-    }
-
-    // Get unique client and artist IDs for batch fetching
-    const clientIds = [...new Set(commissions.map(c => c.client_id).filter(Boolean))];
-    const artistIds = [...new Set(commissions.map(c => c.artist_id).filter(Boolean))];
-    const artworkIds = [...new Set(commissions.map(c => c.artwork_id).filter(Boolean))];
-
-    console.log('Fetching related data:');
-    console.log(`- Client IDs: ${clientIds.length}`, clientIds);
-    console.log(`- Artist IDs: ${artistIds.length}`, artistIds);
-
-    // Fetch all related data in parallel (no loops!)
-    const [clientsResult, artistsResult, artworksResult] = await Promise.all([
-      // Fetch all clients
-      supabaseAdmin
-        .from('users')
-        .select('id, username, full_name, avatar_url')
-        .in('id', clientIds),
-      
-      // Fetch all artists
-      // Note: artistIds here are actually user_ids (commission.artist_id is user_id)
-      artistIds.length > 0
-        ? supabaseAdmin
-            .from('artists')
-            .select('id')
-            .in('id', artistIds)
-        : Promise.resolve({ data: [], error: null }),
-      
-      // Fetch all artworks (if any)
-      artworkIds.length > 0
-        ? supabaseAdmin
-            .from('artworks')
-            .select('id, title, thumbnail_url, image_url')
-            .in('id', artworkIds)
-        : Promise.resolve({ data: [], error: null })
-    ]);
-
-    // Check for errors
-    if (clientsResult.error) {
-      console.error('Error fetching clients:', clientsResult.error);
-    }
-    if (artistsResult.error) {
-      console.error('Error fetching artists:', artistsResult.error);
-      console.error('Artist IDs we tried to fetch:', artistIds);
-    }
-    if (artworksResult.error) {
-      console.error('Error fetching artworks:', artworksResult.error);
-    }
-
-    // Note: artistIds are actually user_ids, and artists.id equals user_id
-    // So we can fetch artist users directly using the artistIds (which are user_ids)
-    const { data: artistUsers } = artistIds.length > 0
-      ? await supabaseAdmin
-          .from('users')
-          .select('id, username, full_name, avatar_url')
-          .in('id', artistIds)
-      : { data: [] };
-
-    // Create lookup maps for O(1) access
-    const clientMap = new Map(clientsResult.data?.map(c => [c.id, c]) || []);
-    const artistMap = new Map(artistsResult.data?.map(a => [a.id, a]) || []);
-    const artistUserMap = new Map(artistUsers?.map(u => [u.id, u]) || []);
-    const artworkMap = new Map(artworksResult.data?.map(a => [a.id, a]) || []);
-    const packageIds = [...new Set(commissions.map(c => c.package_id).filter(Boolean))];
-    const { data: packages } = packageIds.length > 0
-      ? await supabaseAdmin
-          .from('commission_packages')
-          .select('id, name, base_price, estimated_delivery_days, revision_count')
-          .in('id', packageIds)
-      : { data: [] };
-    const packageMap = new Map(packages?.map(p => [p.id, p]) || []);
-
-    // Debug logging
-    console.log('Commissions data enrichment:');
-    console.log(`- Found ${commissions.length} commissions`);
-    console.log(`- Found ${clientsResult.data?.length || 0} clients`);
-    console.log(`- Found ${artistsResult.data?.length || 0} artists`);
-    console.log(`- Found ${artistUsers?.length || 0} artist users`);
-    console.log(`- Commission artist IDs (user_ids):`, artistIds);
-    console.log(`- Artist IDs found in DB:`, artistsResult.data?.map(a => a.id) || []);
-    console.log(`- Artist map keys:`, Array.from(artistMap.keys()));
-    
-    if (commissions.length > 0) {
-      commissions.forEach((comm, idx) => {
-        if (idx < 3) { // Log first 3 commissions
-          const artist = artistMap.get(comm.artist_id);
-          // commission.artist_id is the user_id, so look it up directly
-          const artistUser = artistUserMap.get(comm.artist_id);
-          console.log(`Commission ${idx + 1} (${comm.id}):`);
-          console.log(`  - artist_id: ${comm.artist_id}`);
-          console.log(`  - artist found: ${!!artist}`);
-          console.log(`  - artist object:`, artist);
-          console.log(`  - artist.user_id: ${artist?.user_id}`);
-          console.log(`  - artistUser found: ${!!artistUser}`);
-        }
-      });
+    // Declined requests are archived; ask for them with archived=true or status=declined
+    if (archived === 'true') {
+      query = query.not('archived_at', 'is', null);
+    } else if (status !== 'declined') {
+      query = query.is('archived_at', null);
     }
 
-    // Enrich commissions with pre-fetched data (no additional queries)
-    const enrichedCommissions = commissions.map((commission) => {
-      const client = clientMap.get(commission.client_id);
-      const artist = artistMap.get(commission.artist_id);
-      // commission.artist_id IS the user_id, so look it up directly
-      const artistUser = artistUserMap.get(commission.artist_id);
-      const artwork = commission.artwork_id ? artworkMap.get(commission.artwork_id) : null;
+    const { data: commissions, error } = await query;
 
-      // Debug missing data
-      if (!client && commission.client_id) {
-        console.warn(`Missing client data for commission ${commission.id}, client_id: ${commission.client_id}`);
-      }
-      if (!artist && commission.artist_id) {
-        console.warn(`Missing artist data for commission ${commission.id}, artist_id: ${commission.artist_id}`);
-      }
-      if (!artistUser && commission.artist_id) {
-        console.warn(`Missing artist user data for commission ${commission.id}, artist_id (user_id): ${commission.artist_id}, artistUserMap keys:`, Array.from(artistUserMap.keys()));
-      }
+    if (error) throw error;
 
-      return {
-        ...commission,
-        client,
-        artist: artist ? {
-          ...artist,
-          users: artistUser || null
-        } : null,
-        artwork: artwork || null,
-        package: commission.package_id ? packageMap.get(commission.package_id) || null : null
-      };
-    });
+    const enrichedCommissions = await CommissionRepo.attachParties(commissions);
 
     res.json({ commissions: enrichedCommissions });
   } catch (error) {
@@ -451,217 +230,89 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+// Reasons an artist can give when declining a request
+router.get('/decline-reasons', authenticate, (req, res) => {
+  res.json({ reasons: getDeclineReasons() });
+});
+
 // Get single commission
 router.get('/:id', authenticate, async (req, res) => {
   try {
-    const { data: commission, error } = await supabaseAdmin
-      .from('commissions')
-      .select(`
-        *,
-        artwork:artworks(id, title, thumbnail_url, image_url),
-        package:commission_packages(id, name, base_price, estimated_delivery_days, revision_count)
-      `)
-      .eq('id', req.params.id)
-      .single();
+    const commission = await CommissionRepo.findDetail(req.params.id);
 
-    if (error) throw error;
+    if (!commission) {
+      return res.status(404).json({ error: 'Commission not found' });
+    }
 
     // Verify user is part of this commission
     if (commission.client_id !== req.user.id && commission.artist_id !== req.user.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Fetch client data
-    const { data: client } = await supabaseAdmin
-      .from('users')
-      .select('id, username, full_name, avatar_url, bio')
-      .eq('id', commission.client_id)
-      .single();
-
-    // Fetch artist data - commission.artist_id is the user_id
-    const { data: artist } = await supabaseAdmin
-      .from('artists')
-      .select('id, min_price, max_price, turnaround_days')
-      .eq('id', commission.artist_id) // artist.id equals user_id
-      .maybeSingle();
-
-    // Fetch artist user data directly using commission.artist_id (which is user_id)
-    const { data: artistUser } = await supabaseAdmin
-      .from('users')
-      .select('id, username, full_name, avatar_url, bio')
-      .eq('id', commission.artist_id)
-      .maybeSingle();
-
-    const artistWithUser = artist ? {
-      ...artist,
-      users: artistUser || null
-    } : null;
-
-    res.json({
-      ...commission,
-      client: client || null,
-      artist: artistWithUser
-    });
+    res.json(commission);
   } catch (error) {
     console.error('Error fetching commission:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update commission status (artist only)
+// Update commission status (artist or client, as allowed by the state machine)
 router.patch('/:id/status', authenticate, async (req, res) => {
   try {
-    const { status, artist_response, cancellation_reason, work_proof_urls } = req.body;
+    const {
+      status,
+      artist_response,
+      cancellation_reason,
+      work_proof_urls,
+      decline_reason,
+      suggested_artist_id
+    } = req.body;
 
-    if (!['accepted', 'declined', 'rejected', 'in_progress', 'completed', 'cancelled'].includes(status)) {
+    if (!isValidStatus(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
-    // Get commission to verify artist
-    const { data: commission } = await supabaseAdmin
-      .from('commissions')
-      .select('artist_id, client_id, status, final_price')
-      .eq('id', req.params.id)
-      .single();
+    const commission = await CommissionRepo.findById(req.params.id, 'id, artist_id, client_id, status, final_price, escrow_status');
 
     if (!commission) {
       return res.status(404).json({ error: 'Commission not found' });
     }
 
-    // Verify user is the artist or client
-    // commission.artist_id IS the user_id (not the artists table ID)
-    const isArtist = String(commission.artist_id) === String(req.user.id);
-    const isClient = String(commission.client_id) === String(req.user.id);
-
-    if (!isArtist && !isClient) {
+    const actorRole = getCommissionRole(commission, req.user.id);
+    if (!actorRole) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Enhanced cancellation policy
-    if (isClient && status === 'cancelled') {
-      // Auto-cancel if still pending (artist hasn't accepted)
-      if (commission.status === 'pending') {
-        // Allowed - automatic cancellation
-        console.log('Client cancelling pending commission - auto-approved');
-      }
-      // If in progress, check milestone completion percentage
-      else if (commission.status === 'in_progress') {
-        // Get milestone completion stats
-        const { data: milestones, error: milestonesError } = await supabaseAdmin
-          .from('commission_milestones')
-          .select('id, payment_status, milestone_number')
-          .eq('commission_id', req.params.id)
-          .order('milestone_number', { ascending: true });
-
-        if (milestonesError) {
-          console.error('Error fetching milestones:', milestonesError);
-          return res.status(500).json({ error: 'Error checking milestone status' });
-        }
-
-        if (milestones && milestones.length > 0) {
-          const totalMilestones = milestones.length;
-          const paidMilestones = milestones.filter(m => m.payment_status === 'paid').length;
-          const completionPercentage = (paidMilestones / totalMilestones) * 100;
-
-          console.log(`Commission ${req.params.id}: ${paidMilestones}/${totalMilestones} milestones paid (${completionPercentage.toFixed(1)}%)`);
-
-          if (completionPercentage > 50) {
-            return res.status(403).json({
-              error: 'Cannot cancel commission after 50% milestone completion',
-              details: {
-                completionPercentage: completionPercentage.toFixed(1),
-                paidMilestones,
-                totalMilestones,
-                message: 'Please contact the artist directly to discuss cancellation options.'
-              }
-            });
-          }
-
-          // Allowed - under 50% completion
-          console.log('Client cancelling in-progress commission - under 50% completion');
-        } else {
-          // No milestones yet - allow cancellation
-          console.log('Client cancelling in-progress commission - no milestones defined');
-        }
-      } else {
-        // Commission is already completed, declined, or cancelled
-        return res.status(400).json({
-          error: `Cannot cancel commission with status: ${commission.status}`
-        });
-      }
-    }
-
-    // Artists can accept/reject/complete, clients can only cancel under specific conditions
-    if (isClient && status !== 'cancelled') {
-      return res.status(403).json({ error: 'Clients can only cancel commissions' });
-    }
-
-    // Handle declined commissions - delete commission and conversation
-    if (status === 'declined') {
-      // Get conversation for this commission
-      const { data: conversation } = await supabaseAdmin
-        .from('conversations')
-        .select('id')
-        .eq('commission_id', req.params.id)
-        .single();
-
-      // Delete all messages in the conversation
-      if (conversation) {
-        await supabaseAdmin
-          .from('messages')
-          .delete()
-          .eq('conversation_id', conversation.id);
-
-        // Delete conversation participants
-        await supabaseAdmin
-          .from('conversation_participants')
-          .delete()
-          .eq('conversation_id', conversation.id);
-
-        // Delete conversation
-        await supabaseAdmin
-          .from('conversations')
-          .delete()
-          .eq('id', conversation.id);
-      }
-
-      // Delete the commission
-      await supabaseAdmin
-        .from('commissions')
-        .delete()
-        .eq('id', req.params.id);
+    const requestedStatus = normalizeStatus(status);
+    let updates = {};
 
-      return res.json({ message: 'Commission declined and deleted' });
+    // Declines keep the commission, archived with the artist's reason
+    if (requestedStatus === 'declined' && actorRole === 'artist') {
+      updates = await buildDeclineUpdates(commission, {
+        reason: decline_reason,
+        note: artist_response || null,
+        suggestedArtistId: suggested_artist_id || null,
+      });
     }
 
-    // Change "accepted" to "in_progress" to prevent multiple accepts
-    const finalStatus = status === 'accepted' ? 'in_progress' : status;
-
-    // Prepare update data
-    const updates = {
-      status: finalStatus,
-      updated_at: new Date().toISOString()
-    };
-
-    // Add artist_response and responded_at if artist is responding
-    if (isArtist && (status === 'accepted' || status === 'declined')) {
-      if (artist_response) {
+    // Record the artist's response when accepting or declining
+    if (actorRole === 'artist' && ['accepted', 'in_progress', 'declined'].includes(requestedStatus)) {
+      if (artist_response && requestedStatus !== 'declined') {
         updates.artist_response = artist_response;
       }
       updates.responded_at = new Date().toISOString();
     }
 
     // Add cancellation tracking data
-    if (finalStatus === 'cancelled') {
+    if (requestedStatus === 'cancelled') {
       updates.cancelled_by = req.user.id;
       updates.cancellation_reason = cancellation_reason || null;
 
-      // Determine cancellation type
       if (commission.status === 'pending') {
         updates.cancellation_type = 'auto_pending';
-      } else if (isClient && commission.status === 'in_progress') {
+      } else if (actorRole === 'client') {
         updates.cancellation_type = 'milestone_refund';
-      } else if (isArtist) {
+      } else {
         updates.cancellation_type = 'artist_initiated';
       }
 
@@ -671,187 +322,171 @@ router.patch('/:id/status', authenticate, async (req, res) => {
       }
     }
 
-    // Update status
-    const { data: updated, error } = await supabaseAdmin
-      .from('commissions')
-      .update(updates)
-      .eq('id', req.params.id)
-      .select()
-      .single();
+    const { commission: updated } = await transitionCommission({
+      commission,
+      requestedStatus: status,
+      actorId: req.user.id,
+      actorRole,
+      reason: cancellation_reason || artist_response || null,
+      updates,
+      metadata: updates.decline_reason
+        ? { decline_reason: updates.decline_reason, suggested_artist_id: updates.suggested_artist_id }
+        : undefined,
+    });
 
-    if (error) throw error;
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating commission status:', error);
+    res.status(error.status || 500).json({
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+});
 
-    // Get user info for notifications
-    const { data: artistInfo } = await supabaseAdmin
-      .from('users')
-      .select('username, full_name')
-      .eq('id', commission.artist_id)
-      .single();
+// Get the status audit trail for a commission
+router.get('/:id/history', authenticate, async (req, res) => {
+  try {
+    const commission = await CommissionRepo.findById(req.params.id, 'id, artist_id, client_id, status');
 
-    const { data: clientInfo } = await supabaseAdmin
-      .from('users')
-      .select('username, full_name')
-      .eq('id', commission.client_id)
-      .single();
+    if (!commission) {
+      return res.status(404).json({ error: 'Commission not found' });
+    }
 
-    // Send notifications based on status
-    if (finalStatus === 'in_progress' && isArtist) {
-      // Generate milestone payment plan when commission is accepted
-      if (commission.final_price) {
-        try {
-          // Get milestone templates
-          const { data: templates, error: templatesError } = await supabaseAdmin
-            .from('milestone_stage_templates')
-            .select('*')
-            .order('typical_order', { ascending: true });
-
-          if (!templatesError && templates && templates.length > 0) {
-            // Generate milestones based on templates
-            const totalPrice = parseFloat(commission.final_price);
-            const milestones = templates.map((template, index) => {
-              const percentage = parseFloat(template.default_percentage);
-              const amount = (totalPrice * percentage) / 100;
-
-              return {
-                commission_id: req.params.id,
-                milestone_number: index + 1,
-                stage: template.stage,
-                title: template.display_name,
-                description: template.description,
-                amount: amount.toFixed(2),
-                percentage: percentage.toFixed(2),
-                payment_status: 'unpaid',
-                payment_required_before_work: true,
-                is_locked: index === 0 ? false : true // Only first milestone is unlocked
-              };
-            });
-
-            // Insert milestones
-            const { data: createdMilestones, error: insertError } = await supabaseAdmin
-              .from('commission_milestones')
-              .insert(milestones)
-              .select();
-
-            if (!insertError && createdMilestones && createdMilestones.length > 0) {
-              // Set the first milestone as current
-              await supabaseAdmin
-                .from('commissions')
-                .update({ current_milestone_id: createdMilestones[0].id })
-                .eq('id', req.params.id);
-
-              console.log(`✓ Generated ${createdMilestones.length} milestones for commission ${req.params.id}`);
-            } else {
-              console.error('Error creating milestones:', insertError);
-            }
-          }
-        } catch (milestoneError) {
-          console.error('Error generating milestones:', milestoneError);
-          // Don't fail the commission acceptance if milestones fail
-        }
-      }
+    const role = getCommissionRole(commission, req.user.id);
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-      // Commission accepted - notify client
-      await NotificationService.publish(commission.client_id, {
-        type: 'commission_accepted',
-        title: 'Commission Accepted! 🎨',
-        message: `${artistInfo?.username || 'An artist'} has accepted your commission request`,
-        action: { type: 'view_commission', id: req.params.id },
-        priority: 'high',
-      });
-      await sendPushToUser(commission.client_id, {
-        title: 'Commission accepted',
-        body: `${artistInfo?.username || 'An artist'} accepted your request`,
-        data: { type: 'commission', commissionId: req.params.id },
-      });
-    } else if (status === 'declined' && isArtist) {
-      // Commission declined - notify client
-      await NotificationService.publish(commission.client_id, {
-        type: 'commission_declined',
-        title: 'Commission Declined',
-        message: `${artistInfo?.username || 'An artist'} has declined your commission request`,
-        action: { type: 'view_commissions' },
-        priority: 'normal',
-      });
-      await sendPushToUser(commission.client_id, {
-        title: 'Commission declined',
-        body: `${artistInfo?.username || 'An artist'} declined your request`,
-        data: { type: 'commissions' },
-      });
-    } else if (finalStatus === 'completed' && isArtist) {
-      // Commission completed - notify client
-      await NotificationService.publish(commission.client_id, {
-        type: 'commission_completed',
-        title: 'Commission Completed! ✨',
-        message: `Your commission from ${artistInfo?.username || 'an artist'} has been completed`,
-        action: { type: 'view_commission', id: req.params.id },
-        priority: 'high',
-      });
-      await sendPushToUser(commission.client_id, {
-        title: 'Commission completed',
-        body: `Your commission from ${artistInfo?.username || 'an artist'} is done`,
-        data: { type: 'commission', commissionId: req.params.id },
-      });
+    const history = await getStatusHistory(req.params.id);
 
-      // Send review prompts to both artist and client
-      await NotificationService.publish(commission.artist_id, {
-        type: 'review_prompt',
-        title: 'Leave a Review 🌟',
-        message: `How was working with ${clientInfo?.username || 'the client'}? Leave a review!`,
-        action: { type: 'review_commission', id: req.params.id, reviewType: 'artist_to_client' },
-        priority: 'normal',
-      });
+    // Attach actor info for display
+    const actorIds = [...new Set(history.map(h => h.actor_id).filter(Boolean))];
+    const actorMap = await UserRepo.mapByIds(actorIds);
 
-      await NotificationService.publish(commission.client_id, {
-        type: 'review_prompt',
-        title: 'Leave a Review 🌟',
-        message: `How was your experience with ${artistInfo?.username || 'the artist'}? Leave a review!`,
-        action: { type: 'review_commission', id: req.params.id, reviewType: 'client_to_artist' },
-        priority: 'normal',
-      });
+    res.json({
+      current_status: commission.status,
+      available_transitions: getAvailableTransitions(commission.status, role),
+      history: history.map(entry => ({
+        ...entry,
+        actor: entry.actor_id ? actorMap.get(entry.actor_id) || null : null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching commission history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Create pending review records
-      try {
-        await supabaseAdmin.from('pending_reviews').insert([
-          {
-            commission_id: req.params.id,
-            user_id: commission.artist_id,
-            review_type: 'artist_to_client',
-          },
-          {
-            commission_id: req.params.id,
-            user_id: commission.client_id,
-            review_type: 'client_to_artist',
-          },
-        ]);
-      } catch (err) {
-        console.error('Error creating pending reviews:', err);
-        // Don't fail the request if pending reviews fail
-      }
-    } else if (finalStatus === 'cancelled' && isClient) {
-      // Commission cancelled - notify artist
-      await NotificationService.publish(commission.artist_id, {
-        type: 'commission_cancelled',
-        title: 'Commission Cancelled',
-        message: `${clientInfo?.username || 'A client'} has cancelled their commission request`,
-        action: { type: 'view_commission', id: req.params.id },
-        priority: 'normal',
-      });
-      await sendPushToUser(commission.artist_id, {
-        title: 'Commission cancelled',
-        body: `${clientInfo?.username || 'A client'} cancelled their request`,
-        data: { type: 'commission', commissionId: req.params.id },
-      });
+// Reminders, nudges and automatic closing the scheduler has done or will do
+router.get('/:id/scheduled-actions', authenticate, async (req, res) => {
+  try {
+    const commission = await CommissionRepo.findById(req.params.id, 'id, artist_id, client_id, status, deadline, created_at, declined_at, purged_at, queue_status, promotion_expires_at');
+
+    if (!commission) {
+      return res.status(404).json({ error: 'Commission not found' });
     }
 
-    // Removed automatic status update messages - users can communicate manually
+    if (!getCommissionRole(commission, req.user.id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-    res.json(updated);
+    res.json({ actions: await getScheduledActions(commission) });
   } catch (error) {
-    console.error('Error updating commission status:', error);
+    console.error('Error fetching scheduled actions:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+const QUOTE_COMMISSION_COLUMNS = 'id, artist_id, client_id, status, queue_status, package_id, selected_addons, final_price, escrow_status';
+
+// Every quote round for a commission, plus line items to start a first quote from
+router.get('/:id/quotes', authenticate, async (req, res) => {
+  try {
+    const commission = await CommissionRepo.findById(req.params.id, QUOTE_COMMISSION_COLUMNS);
+
+    if (!commission) {
+      return res.status(404).json({ error: 'Commission not found' });
+    }
+
+    const role = getCommissionRole(commission, req.user.id);
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const quotes = await listQuotes(commission.id);
+    const suggested = role === 'artist' && quotes.length === 0 && commission.status === 'pending'
+      ? await suggestLineItems(commission)
+      : [];
+
+    res.json({ quotes, suggested_line_items: suggested });
+  } catch (error) {
+    console.error('Error fetching quotes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Artist sends or revises a quote; either side counters the pending one
+router.post('/:id/quotes', authenticate, async (req, res) => {
+  try {
+    const { line_items, note, valid_days } = req.body;
+    const commission = await CommissionRepo.findById(req.params.id, QUOTE_COMMISSION_COLUMNS);
+
+    if (!commission) {
+      return res.status(404).json({ error: 'Commission not found' });
+    }
+
+    const actorRole = getCommissionRole(commission, req.user.id);
+    if (!actorRole) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const quote = await sendQuote({
+      commission,
+      actorId: req.user.id,
+      actorRole,
+      lineItems: line_items,
+      note: note ?? null,
+      validDays: valid_days ?? null,
+    });
+
+    res.status(201).json({ quote });
+  } catch (error) {
+    console.error('Error sending quote:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Accept or reject the pending quote; accepting starts the commission at the quoted price
+router.post('/:id/quotes/:quoteId/:action(accept|reject)', authenticate, async (req, res) => {
+  try {
+    const commission = await CommissionRepo.findById(req.params.id, QUOTE_COMMISSION_COLUMNS);
+
+    if (!commission) {
+      return res.status(404).json({ error: 'Commission not found' });
+    }
+
+    const actorRole = getCommissionRole(commission, req.user.id);
+    if (!actorRole) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const result = await respondToQuote({
+      commission,
+      quoteId: req.params.quoteId,
+      actorId: req.user.id,
+      actorRole,
+      action: req.params.action,
+      reason: req.body.reason || null,
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error responding to quote:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // Update commission details (artist only - for price/deadline)
 router.patch('/:id', authenticate, async (req, res) => {
   try {
@@ -863,14 +498,9 @@ router.patch('/:id', authenticate, async (req, res) => {
     console.log('Body:', { price, deadline, final_price, status });
 
     // Get commission to verify artist
-    const { data: commission, error: commissionError } = await supabaseAdmin
-      .from('commissions')
-      .select('artist_id, status')
-      .eq('id', req.params.id)
-      .single();
+    const commission = await CommissionRepo.findById(req.params.id, 'id, artist_id, client_id, status, final_price, escrow_status');
 
     console.log('Commission query result:', commission);
-    console.log('Commission query error:', commissionError);
 
     if (!commission) {
       return res.status(404).json({ error: 'Commission not found' });
@@ -886,27 +516,28 @@ router.patch('/:id', authenticate, async (req, res) => {
     if (final_price !== undefined) updates.final_price = final_price;
 
     // Allow status update only when accepting a commission
-    if (status !== undefined) {
-      if (status === 'accepted' && commission.status === 'pending') {
-        updates.status = 'in_progress'; // Set to in_progress instead of accepted
-      } else if (status !== 'accepted') {
-        return res.status(400).json({ error: 'Can only update status to accepted via this endpoint' });
-      }
+    if (status !== undefined && status !== 'accepted') {
+      return res.status(400).json({ error: 'Can only update status to accepted via this endpoint' });
+    }
+
+    // Accepting goes through the state machine so it is audited like any other transition
+    if (status === 'accepted' && commission.status === 'pending') {
+      const { commission: accepted } = await transitionCommission({
+        commission,
+        requestedStatus: 'accepted',
+        actorId: req.user.id,
+        actorRole: 'artist',
+        updates: { ...updates, responded_at: new Date().toISOString() },
+      });
+      return res.json(accepted);
     }
 
-    const { data: updated, error } = await supabaseAdmin
-      .from('commissions')
-      .update(updates)
-      .eq('id', req.params.id)
-      .select()
-      .single();
-
-    if (error) throw error;
+    const updated = await CommissionRepo.update(req.params.id, updates);
 
     res.json(updated);
   } catch (error) {
     console.error('Error updating commission:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -920,11 +551,7 @@ router.post('/:id/notes', authenticate, async (req, res) => {
     }
 
     // Get commission to verify artist
-    const { data: commission } = await supabaseAdmin
-      .from('commissions')
-      .select('artist_id')
-      .eq('id', req.params.id)
-      .single();
+    const commission = await CommissionRepo.findById(req.params.id, 'artist_id');
 
     if (!commission) {
       return res.status(404).json({ error: 'Commission not found' });
@@ -935,17 +562,10 @@ router.post('/:id/notes', authenticate, async (req, res) => {
     }
 
     // Update commission with artist note
-    const { data: updated, error } = await supabaseAdmin
-      .from('commissions')
-      .update({
-        artist_notes: note.trim(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', req.params.id)
-      .select()
-      .single();
-
-    if (error) throw error;
+    const updated = await CommissionRepo.update(req.params.id, {
+      artist_notes: note.trim(),
+      updated_at: new Date().toISOString()
+    });
 
     res.json({ message: 'Note saved successfully', commission: updated });
   } catch (error) {
@@ -958,11 +578,7 @@ router.post('/:id/notes', authenticate, async (req, res) => {
 router.get('/:id/notes', authenticate, async (req, res) => {
   try {
     // Get commission to verify artist
-    const { data: commission } = await supabaseAdmin
-      .from('commissions')
-      .select('artist_id, artist_notes')
-      .eq('id', req.params.id)
-      .single();
+    const commission = await CommissionRepo.findById(req.params.id, 'artist_id, artist_notes');
 
     if (!commission) {
       return res.status(404).json({ error: 'Commission not found' });
@@ -991,16 +607,7 @@ router.post('/:id/progress', authenticate, async (req, res) => {
     }
 
     // Get commission to verify access
-    const { data: commission, error: commissionError } = await supabaseAdmin
-      .from('commissions')
-      .select('artist_id, client_id, status, max_revision_count, current_revision_count')
-      .eq('id', req.params.id)
-      .single();
-
-    if (commissionError) {
-      console.error('Error fetching commission for progress upload:', commissionError);
-      return res.status(500).json({ error: 'Failed to fetch commission', details: commissionError.message });
-    }
+    const commission = await CommissionRepo.findById(req.params.id, 'artist_id, client_id, status, max_revision_count, current_revision_count');
 
     if (!commission) {
       return res.status(404).json({ error: 'Commission not found' });
@@ -1083,21 +690,14 @@ router.post('/:id/progress', authenticate, async (req, res) => {
 
     // Update commission revision count if this is a revision request
     if (update_type === 'revision_request') {
-      await supabaseAdmin
-        .from('commissions')
-        .update({ 
-          current_revision_count: progressData.revision_number,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', req.params.id);
+      await CommissionRepo.update(req.params.id, {
+        current_revision_count: progressData.revision_number,
+        updated_at: new Date().toISOString()
+      });
     }
 
     // Create a message in the conversation
-    const { data: conversation } = await supabaseAdmin
-      .from('conversations')
-      .select('id')
-      .eq('commission_id', req.params.id)
-      .single();
+    const conversation = await ConversationRepo.findByCommission(req.params.id);
 
     if (conversation) {
       let messageContent = '';
@@ -1109,7 +709,7 @@ router.post('/:id/progress', authenticate, async (req, res) => {
         messageContent = `🔄 Revision request #${progressData.revision_number}`;
       }
 
-      await supabaseAdmin.from('messages').insert({
+      const message = await MessageRepo.create({
         conversation_id: conversation.id,
         sender_id: req.user.id,
         message_type: 'progress_update',
@@ -1122,28 +722,12 @@ router.post('/:id/progress', authenticate, async (req, res) => {
         }
       });
 
-      // Emit socket event
-      const io = req.app.locals.io;
-      if (io) {
-        io.to(conversation.id).emit('new-message', {
-          conversation_id: conversation.id,
-          sender_id: req.user.id,
-          message_type: 'progress_update',
-          content: messageContent,
-          image_url: image_url || null,
-          metadata: {
-            progress_update_id: progressUpdate.id,
-            update_type,
-            commission_id: req.params.id
-          },
-          created_at: new Date().toISOString()
-        });
-      }
+      await publishMessage(message);
     }
 
     // Send notifications
     if (update_type === 'approval_checkpoint' && isArtist) {
-      await NotificationService.publish(commission.client_id, {
+      await queueNotification(commission.client_id, {
         type: 'approval_requested',
         title: 'Approval Needed',
         message: 'The artist has requested your approval on a checkpoint',
@@ -1151,7 +735,7 @@ router.post('/:id/progress', authenticate, async (req, res) => {
         priority: 'high',
       });
     } else if (update_type === 'revision_request' && isClient) {
-      await NotificationService.publish(commission.artist_id, {
+      await queueNotification(commission.artist_id, {
         type: 'revision_requested',
         title: 'Revision Requested',
         message: `Revision #${progressData.revision_number} requested`,
@@ -1171,11 +755,7 @@ router.post('/:id/progress', authenticate, async (req, res) => {
 router.get('/:id/progress', authenticate, async (req, res) => {
   try {
     // Get commission to verify access
-    const { data: commission } = await supabaseAdmin
-      .from('commissions')
-      .select('artist_id, client_id')
-      .eq('id', req.params.id)
-      .single();
+    const commission = await CommissionRepo.findById(req.params.id, 'artist_id, client_id');
 
     if (!commission) {
       return res.status(404).json({ error: 'Commission not found' });
@@ -1200,15 +780,9 @@ router.get('/:id/progress', authenticate, async (req, res) => {
     if (progressUpdates && progressUpdates.length > 0) {
       const userIds = [...new Set(progressUpdates.map(u => u.created_by).filter(Boolean))];
       if (userIds.length > 0) {
-        const { data: users } = await supabaseAdmin
-          .from('users')
-          .select('id, username, full_name, avatar_url')
-          .in('id', userIds);
-
-        const userMap = {};
-        users?.forEach(user => { userMap[user.id] = user; });
+        const userMap = await UserRepo.mapByIds(userIds);
         progressUpdates.forEach(update => {
-          update.created_by_user = userMap[update.created_by];
+          update.created_by_user = userMap.get(update.created_by);
         });
       }
     }
@@ -1289,18 +863,14 @@ router.patch('/:id/progress/:progressId/approve', authenticate, async (req, res)
     if (updateError) throw updateError;
 
     // Create a message in the conversation
-    const { data: conversation } = await supabaseAdmin
-      .from('conversations')
-      .select('id')
-      .eq('commission_id', req.params.id)
-      .single();
+    const conversation = await ConversationRepo.findByCommission(req.params.id);
 
     if (conversation) {
       const messageContent = approval_status === 'approved' 
         ? '✅ Checkpoint approved'
         : '❌ Checkpoint rejected';
 
-      await supabaseAdmin.from('messages').insert({
+      const message = await MessageRepo.create({
         conversation_id: conversation.id,
         sender_id: req.user.id,
         message_type: 'progress_update',
@@ -1313,27 +883,11 @@ router.patch('/:id/progress/:progressId/approve', authenticate, async (req, res)
         }
       });
 
-      // Emit socket event
-      const io = req.app.locals.io;
-      if (io) {
-        io.to(conversation.id).emit('new-message', {
-          conversation_id: conversation.id,
-          sender_id: req.user.id,
-          message_type: 'progress_update',
-          content: messageContent,
-          metadata: {
-            progress_update_id: updated.id,
-            update_type: 'approval_response',
-            approval_status,
-            commission_id: req.params.id
-          },
-          created_at: new Date().toISOString()
-        });
-      }
+      await publishMessage(message);
     }
 
     // Send notification to artist
-    await NotificationService.publish(commission.artist_id, {
+    await queueNotification(commission.artist_id, {
       type: approval_status === 'approved' ? 'checkpoint_approved' : 'checkpoint_rejected',
       title: approval_status === 'approved' ? 'Checkpoint Approved' : 'Checkpoint Rejected',
       message: `Your checkpoint has been ${approval_status}`,
@@ -1354,13 +908,9 @@ router.get('/:id/files', authenticate, async (req, res) => {
     const { id } = req.params;
 
     // Get the commission to verify access
-    const { data: commission, error: commissionError } = await supabaseAdmin
-      .from('commissions')
-      .select('id, client_id, artist_id')
-      .eq('id', id)
-      .single();
+    const commission = await CommissionRepo.findById(id, 'id, client_id, artist_id');
 
-    if (commissionError || !commission) {
+    if (!commission) {
       return res.status(404).json({ error: 'Commission not found' });
     }
 
@@ -1403,9 +953,8 @@ router.get('/queue/artist/:artistId', authenticate, async (req, res) => {
     // Verify requester is the artist or has permission
     if (req.user.id !== artistId) {
       // Allow public view of queue positions, but limited info
-      const { data: activeCommissions, error } = await supabaseAdmin
-        .from('commissions')
-        .select('id, queue_position, queue_status, status, accepted_at')
+      const { data: activeCommissions, error } = await CommissionRepo
+        .query('id, queue_position, queue_status, status, accepted_at')
         .eq('artist_id', artistId)
         .in('status', ['in_progress', 'accepted'])
         .order('queue_position', { ascending: true });
@@ -1419,9 +968,8 @@ router.get('/queue/artist/:artistId', authenticate, async (req, res) => {
     }
 
     // Full queue data for the artist themselves
-    const { data: commissions, error } = await supabaseAdmin
-      .from('commissions')
-      .select(`
+    const { data: commissions, error } = await CommissionRepo
+      .query(`
         id,
         client_id,
         status,
@@ -1442,20 +990,10 @@ router.get('/queue/artist/:artistId', authenticate, async (req, res) => {
 
     // Fetch client data for each commission
     if (commissions && commissions.length > 0) {
-      const clientIds = [...new Set(commissions.map(c => c.client_id))];
-      const { data: clients } = await supabaseAdmin
-        .from('users')
-        .select('id, username, full_name, avatar_url')
-        .in('id', clientIds);
-
-      // Attach client data to each commission
-      const clientMap = {};
-      clients?.forEach(client => {
-        clientMap[client.id] = client;
-      });
+      const clientMap = await UserRepo.mapByIds(commissions.map(c => c.client_id));
 
       commissions.forEach(commission => {
-        commission.client = clientMap[commission.client_id];
+        commission.client = clientMap.get(commission.client_id);
       });
     }
 
@@ -1468,32 +1006,30 @@ router.get('/queue/artist/:artistId', authenticate, async (req, res) => {
       c.status === 'pending' && (c.queue_status === 'active' || c.queue_status === null)
     ) || [];
 
-    const waitlist = commissions?.filter(c =>
-      c.status === 'pending' && c.queue_status === 'waitlist'
-    ) || [];
+    // In waitlist order, with each waiting client's position
+    const clients = new Map((commissions || []).map(c => [c.id, c.client]));
+    const waitlist = (await getWaitlist(artistId)).map(entry => ({
+      ...entry,
+      client: clients.get(entry.id)
+    }));
 
-    // Get artist settings
-    const { data: settings } = await supabaseAdmin
-      .from('artist_commission_settings')
-      .select('max_queue_slots, allow_waitlist, auto_promote_waitlist, is_open')
-      .eq('artist_id', artistId)
-      .single();
+    const settings = await getArtistSettings(artistId);
 
     res.json({
       active_queue: activeQueue,
       pending_requests: pendingRequests,
       waitlist: waitlist,
       settings: {
-        max_slots: settings?.max_queue_slots || 5,
-        allow_waitlist: settings?.allow_waitlist || false,
-        auto_promote: settings?.auto_promote_waitlist || false,
-        is_open: settings?.is_open ?? true
+        max_slots: settings.max_queue_slots,
+        allow_waitlist: settings.allow_waitlist,
+        auto_promote: settings.auto_promote_waitlist,
+        is_open: settings.is_open
       },
       stats: {
         total_active: activeQueue.length,
         total_pending: pendingRequests.length,
         total_waitlist: waitlist.length,
-        available_slots: Math.max(0, (settings?.max_queue_slots || 5) - activeQueue.length)
+        available_slots: Math.max(0, settings.max_queue_slots - activeQueue.length)
       }
     });
   } catch (error) {
@@ -1502,6 +1038,72 @@ router.get('/queue/artist/:artistId', authenticate, async (req, res) => {
   }
 });
 
+// Client's own waitlist entries across artists
+router.get('/waitlist/mine', authenticate, async (req, res) => {
+  try {
+    const entries = await getClientWaitlist(req.user.id);
+    res.json({ entries });
+  } catch (error) {
+    console.error('Error fetching waitlist entries:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Client confirms the slot they were promoted into
+router.post('/:id/waitlist/confirm', authenticate, async (req, res) => {
+  try {
+    const commission = await confirmPromotion(req.params.id, req.user.id);
+    res.json({ message: 'Your slot is confirmed', commission });
+  } catch (error) {
+    console.error('Error confirming waitlist promotion:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Client leaves the waitlist, withdrawing their request
+router.delete('/:id/waitlist', authenticate, async (req, res) => {
+  try {
+    const commission = await leaveWaitlist(req.params.id, req.user.id);
+    res.json({ message: 'You left the waitlist', commission });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Artist reorders their waitlist; commission_ids lists every waiting entry
+router.put('/queue/waitlist/order', authenticate, async (req, res) => {
+  try {
+    const waitlist = await reorderWaitlist(req.user.id, req.body.commission_ids);
+    res.json({ waitlist });
+  } catch (error) {
+    console.error('Error reordering waitlist:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Artist moves an entry to the back of the waitlist
+router.post('/queue/waitlist/:id/skip', authenticate, async (req, res) => {
+  try {
+    const waitlist = await skipEntry(req.user.id, req.params.id);
+    res.json({ waitlist });
+  } catch (error) {
+    console.error('Error skipping waitlist entry:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Artist offers a slot to a waitlist entry
+router.post('/queue/waitlist/:id/promote', authenticate, async (req, res) => {
+  try {
+    const commission = await promoteWaitlistEntry(req.user.id, req.params.id);
+    res.json({ message: 'Slot offered to the client', commission });
+  } catch (error) {
+    console.error('Error promoting waitlist entry:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // Get client's commission history with state tracking
 router.get('/history/client/:clientId', authenticate, async (req, res) => {
   try {
@@ -1513,9 +1115,8 @@ router.get('/history/client/:clientId', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    const { data: commissions, error } = await supabaseAdmin
-      .from('commissions')
-      .select(`
+    const { data: commissions, error } = await CommissionRepo
+      .query(`
         id,
         artist_id,
         status,
@@ -1538,16 +1139,9 @@ router.get('/history/client/:clientId', authenticate, async (req, res) => {
 
     // Fetch artist data separately to avoid foreign key issues
     if (commissions && commissions.length > 0) {
-      const artistIds = [...new Set(commissions.map(c => c.artist_id))];
-      const { data: artists } = await supabaseAdmin
-        .from('users')
-        .select('id, username, full_name, avatar_url')
-        .in('id', artistIds);
-
-      const artistMap = {};
-      artists?.forEach(artist => { artistMap[artist.id] = artist; });
+      const artistMap = await UserRepo.mapByIds(commissions.map(c => c.artist_id));
       commissions.forEach(commission => {
-        commission.artist = artistMap[commission.artist_id];
+        commission.artist = artistMap.get(commission.artist_id);
       });
     }
 
@@ -1577,63 +1171,4 @@ router.get('/history/client/:clientId', authenticate, async (req, res) => {
   }
 });
 
-// Update artist queue settings
-router.patch('/queue/settings', authenticate, async (req, res) => {
-  try {
-    const { auto_promote_waitlist } = req.body;
-
-    // Verify user is an artist
-    const { data: artist } = await supabaseAdmin
-      .from('artists')
-      .select('id')
-      .eq('id', req.user.id)
-      .single();
-
-    if (!artist) {
-      return res.status(403).json({ error: 'Only artists can update queue settings' });
-    }
-
-    // Update or insert settings
-    const { data: existingSettings } = await supabaseAdmin
-      .from('artist_commission_settings')
-      .select('id')
-      .eq('artist_id', req.user.id)
-      .maybeSingle();
-
-    let result;
-    if (existingSettings) {
-      // Update existing
-      result = await supabaseAdmin
-        .from('artist_commission_settings')
-        .update({
-          auto_promote_waitlist: auto_promote_waitlist ?? false,
-          updated_at: new Date().toISOString()
-        })
-        .eq('artist_id', req.user.id)
-        .select()
-        .single();
-    } else {
-      // Insert new
-      result = await supabaseAdmin
-        .from('artist_commission_settings')
-        .insert({
-          artist_id: req.user.id,
-          auto_promote_waitlist: auto_promote_waitlist ?? false
-        })
-        .select()
-        .single();
-    }
-
-    if (result.error) throw result.error;
-
-    res.json({
-      message: 'Queue settings updated successfully',
-      settings: result.data
-    });
-  } catch (error) {
-    console.error('Error updating queue settings:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
 export default router;
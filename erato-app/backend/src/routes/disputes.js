@@ -0,0 +1,392 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/supabase.js';
+import { authenticate, hasRole, requireRole } from '../middleware/auth.js';
+import { getCommissionRole } from '../utils/commissionStateMachine.js';
+import {
+  ACTIVE_DISPUTE_STATUSES,
+  DISPUTE_REASONS,
+  attachEvidence,
+  getActiveDispute,
+  notifyDisputeParties,
+  recordDisputeEvent,
+} from '../utils/disputes.js';
+import { getDisputeWithCommission, resolveDispute, startDisputeReview } from '../utils/disputeResolution.js';
+
+const router = express.Router();
+
+// Support staff can read disputes; only moderators act on them
+const isStaff = (user) => hasRole(user, 'admin', 'moderator', 'support');
+
+function canViewDispute(dispute, user) {
+  return isStaff(user) || !!getCommissionRole(dispute.commission, user.id);
+}
+
+/**
+ * @route   POST /api/disputes
+ * @desc    Open a dispute on a commission
+ * @access  Private (Client or Artist)
+ */
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const {
+      commission_id: commissionId,
+      reason,
+      description,
+      reference_ids: referenceIds = [],
+      progress_update_ids: progressUpdateIds = []
+    } = req.body;
+
+    if (!commissionId || !reason || !description?.trim()) {
+      return res.status(400).json({ error: 'commission_id, reason and description are required' });
+    }
+
+    if (!DISPUTE_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${DISPUTE_REASONS.join(', ')}` });
+    }
+
+    const { data: commission } = await supabaseAdmin
+      .from('commissions')
+      .select('id, client_id, artist_id, status, escrow_status')
+      .eq('id', commissionId)
+      .maybeSingle();
+
+    if (!commission) {
+      return res.status(404).json({ error: 'Commission not found' });
+    }
+
+    const role = getCommissionRole(commission, req.user.id);
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (['pending', 'declined'].includes(commission.status)) {
+      return res.status(400).json({ error: 'Disputes can only be opened once work has started' });
+    }
+
+    const existing = await getActiveDispute(commissionId);
+    if (existing) {
+      return res.status(409).json({ error: 'A dispute is already open for this commission', dispute_id: existing.id });
+    }
+
+    const { data: dispute, error } = await supabaseAdmin
+      .from('commission_disputes')
+      .insert({
+        commission_id: commissionId,
+        opened_by: req.user.id,
+        opened_by_role: role,
+        reason,
+        description: description.trim(),
+        status: 'open',
+        escrow_status_at_open: commission.escrow_status || null
+      })
+      .select()
+      .single();
+
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'A dispute is already open for this commission' });
+    }
+    if (error) throw error;
+
+    // A dispute whose evidence was rejected is removed so the opener can retry
+    let evidence;
+    try {
+      evidence = await attachEvidence(dispute, req.user.id, {
+        referenceIds: Array.isArray(referenceIds) ? referenceIds : [],
+        progressUpdateIds: Array.isArray(progressUpdateIds) ? progressUpdateIds : []
+      });
+    } catch (evidenceError) {
+      await supabaseAdmin.from('commission_disputes').delete().eq('id', dispute.id);
+      throw evidenceError;
+    }
+
+    await recordDisputeEvent(dispute.id, {
+      actorId: req.user.id,
+      eventType: 'opened',
+      message: description.trim(),
+      metadata: { reason, evidence_count: evidence.length }
+    });
+
+    await notifyDisputeParties(commission, {
+      type: 'dispute_opened',
+      title: 'Dispute Opened',
+      message: `A dispute was opened on your commission. Payments are on hold until it is resolved.`,
+      disputeId: dispute.id
+    });
+
+    res.status(201).json({ dispute: { ...dispute, evidence } });
+  } catch (error) {
+    console.error('Error opening dispute:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/disputes
+ * @desc    Moderation queue of disputes (defaults to open and under review)
+ * @access  Private (Staff)
+ */
+router.get('/', authenticate, requireRole('admin', 'moderator', 'support'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const statuses = req.query.status ? req.query.status.split(',') : ACTIVE_DISPUTE_STATUSES;
+
+    const { data, error, count } = await supabaseAdmin
+      .from('commission_disputes')
+      .select('*, commission:commissions(id, client_id, artist_id, status, escrow_status, final_price)', { count: 'exact' })
+      .in('status', statuses)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    res.json({ disputes: data || [], total: count || 0 });
+  } catch (error) {
+    console.error('Error fetching disputes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/disputes/commission/:commissionId
+ * @desc    All disputes for a commission
+ * @access  Private (Client, Artist or Moderator)
+ */
+router.get('/commission/:commissionId', authenticate, async (req, res) => {
+  try {
+    const { data: commission } = await supabaseAdmin
+      .from('commissions')
+      .select('id, client_id, artist_id')
+      .eq('id', req.params.commissionId)
+      .maybeSingle();
+
+    if (!commission) {
+      return res.status(404).json({ error: 'Commission not found' });
+    }
+
+    if (!isStaff(req.user) && !getCommissionRole(commission, req.user.id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('commission_disputes')
+      .select('*')
+      .eq('commission_id', req.params.commissionId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ disputes: data || [] });
+  } catch (error) {
+    console.error('Error fetching commission disputes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/disputes/:id
+ * @desc    Dispute details with evidence and timeline
+ * @access  Private (Client, Artist or Moderator)
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const dispute = await getDisputeWithCommission(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (!canViewDispute(dispute, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const [evidenceResult, eventsResult] = await Promise.all([
+      supabaseAdmin
+        .from('commission_dispute_evidence')
+        .select('*')
+        .eq('dispute_id', dispute.id)
+        .order('created_at', { ascending: true }),
+      supabaseAdmin
+        .from('commission_dispute_events')
+        .select('*')
+        .eq('dispute_id', dispute.id)
+        .order('created_at', { ascending: true })
+    ]);
+
+    if (evidenceResult.error) throw evidenceResult.error;
+    if (eventsResult.error) throw eventsResult.error;
+
+    res.json({
+      dispute: {
+        ...dispute,
+        evidence: evidenceResult.data || [],
+        events: eventsResult.data || []
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching dispute:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/disputes/:id/evidence
+ * @desc    Add evidence or a statement to an active dispute
+ * @access  Private (Client or Artist)
+ */
+router.post('/:id/evidence', authenticate, async (req, res) => {
+  try {
+    const { reference_ids: referenceIds = [], progress_update_ids: progressUpdateIds = [], notes } = req.body;
+    const dispute = await getDisputeWithCommission(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (!getCommissionRole(dispute.commission, req.user.id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+      return res.status(400).json({ error: 'This dispute is closed' });
+    }
+
+    if (referenceIds.length === 0 && progressUpdateIds.length === 0 && !notes?.trim()) {
+      return res.status(400).json({ error: 'Provide evidence IDs or notes' });
+    }
+
+    const evidence = await attachEvidence(dispute, req.user.id, {
+      referenceIds,
+      progressUpdateIds,
+      notes: notes?.trim() || null
+    });
+
+    await recordDisputeEvent(dispute.id, {
+      actorId: req.user.id,
+      eventType: 'evidence_added',
+      message: notes?.trim() || null,
+      metadata: { evidence_count: evidence.length }
+    });
+
+    await notifyDisputeParties(dispute.commission, {
+      type: 'dispute_updated',
+      title: 'Dispute Updated',
+      message: 'New evidence was added to the dispute on your commission',
+      disputeId: dispute.id,
+      excludeUserId: req.user.id
+    });
+
+    res.status(201).json({ evidence });
+  } catch (error) {
+    console.error('Error adding dispute evidence:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/disputes/:id/withdraw
+ * @desc    Withdraw a dispute (unfreezes payments)
+ * @access  Private (User who opened the dispute)
+ */
+router.post('/:id/withdraw', authenticate, async (req, res) => {
+  try {
+    const dispute = await getDisputeWithCommission(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (dispute.opened_by !== req.user.id) {
+      return res.status(403).json({ error: 'Only the user who opened the dispute can withdraw it' });
+    }
+
+    if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+      return res.status(400).json({ error: 'This dispute is already closed' });
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('commission_disputes')
+      .update({
+        status: 'withdrawn',
+        closed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', dispute.id)
+      .in('status', ACTIVE_DISPUTE_STATUSES)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!updated) {
+      return res.status(409).json({ error: 'This dispute was closed in the meantime' });
+    }
+
+    await recordDisputeEvent(dispute.id, { actorId: req.user.id, eventType: 'withdrawn' });
+
+    await notifyDisputeParties(dispute.commission, {
+      type: 'dispute_withdrawn',
+      title: 'Dispute Withdrawn',
+      message: 'The dispute on your commission was withdrawn. Payments are no longer on hold.',
+      disputeId: dispute.id
+    });
+
+    res.json({ dispute: updated });
+  } catch (error) {
+    console.error('Error withdrawing dispute:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/disputes/:id/review
+ * @desc    Moderator picks up a dispute for mediation
+ * @access  Private (Moderator)
+ */
+router.post('/:id/review', authenticate, requireRole('admin', 'moderator'), async (req, res) => {
+  try {
+    const dispute = await getDisputeWithCommission(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    const updated = await startDisputeReview(dispute, req.user);
+
+    res.json({ dispute: updated });
+  } catch (error) {
+    console.error('Error starting dispute review:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/disputes/:id/resolve
+ * @desc    Resolve a dispute with a full refund, partial refund or release to the artist
+ * @access  Private (Moderator)
+ */
+router.post('/:id/resolve', authenticate, requireRole('admin', 'moderator'), async (req, res) => {
+  try {
+    const { resolution, refund_amount: refundAmount, notes } = req.body;
+
+    const dispute = await getDisputeWithCommission(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    const result = await resolveDispute({
+      dispute,
+      moderator: req.user,
+      resolution,
+      refundAmount,
+      notes
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error resolving dispute:', error);
+    res.status(error.status || 500).json({ error: error.message, ...error.details });
+  }
+});
+
+export default router;
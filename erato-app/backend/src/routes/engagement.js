@@ -1,6 +1,7 @@
 import express from 'express';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
 import { supabaseAdmin } from '../config/supabase.js';
+import { TRENDING_WINDOWS, queueTrendingRecompute } from '../jobs/trending.js';
 
 const router = express.Router();
 
@@ -278,6 +279,10 @@ router.get('/trending', optionalAuth, async (req, res) => {
 
     // If cache is empty or stale, calculate on the fly
     if (!trending || trending.length === 0) {
+      if (TRENDING_WINDOWS[time_window]) {
+        queueTrendingRecompute(time_window).catch(err => console.error('Error queueing trending recompute:', err));
+      }
+
       // Get artworks with highest engagement scores
       const { data: artworks, error } = await supabaseAdmin
         .from('artworks_with_engagement')
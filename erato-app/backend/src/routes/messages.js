@@ -1,8 +1,82 @@
 import express from 'express';
+import multer from 'multer';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticate } from '../middleware/auth.js';
-import { MessageCountService, NotificationService } from '../utils/redisServices.js';
-import { sendPushToUser } from '../utils/pushNotifications.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { MessageCountService } from '../utils/redisServices.js';
+import { queueMessageFanout } from '../jobs/messages.js';
+import { cache, cacheKeys } from '../utils/cache.js';
+import { ArtistRepo, ConversationRepo, MessageRepo } from '../repositories/index.js';
+import {
+  publishMessage,
+  publishMessageDeleted,
+  publishMessageUpdated,
+  publishReactions,
+  publishRead,
+  removeFromConversation,
+} from '../utils/realtime.js';
+import {
+  addParticipants,
+  createGroup,
+  isMuted,
+  removeParticipant,
+  renameGroup,
+  setMute,
+  setRole,
+} from '../utils/conversations.js';
+import { withPresence } from '../utils/presence.js';
+import { withReceipts } from '../utils/receipts.js';
+import { parseSearchFilters, searchMessages } from '../utils/messageSearch.js';
+import {
+  ATTACHMENT_LIMITS,
+  SENDABLE_MESSAGE_TYPES,
+  editMessage,
+  reactionsFor,
+  removeAttachment,
+  removeConversationAttachments,
+  storeAttachment,
+  validateAttachment,
+  validateEmoji,
+  validateReplyTarget,
+  withRichContent,
+} from '../utils/richMessages.js';
+
+// Presence isn't part of the cached conversation list; it is added per request
+const withParticipantPresence = async (response) => {
+  const participants = await withPresence(response.conversations.map(conv => conv.other_participant));
+  return {
+    ...response,
+    conversations: response.conversations.map((conv, index) => ({ ...conv, other_participant: participants[index] })),
+  };
+};
+
+// Attachments are held in memory up to the largest limit; validateAttachment
+// applies the per-type limits
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Math.max(...Object.values(ATTACHMENT_LIMITS).map(limit => limit.maxBytes)),
+    files: 1,
+  },
+});
+
+// Runs before the upload is read, so outsiders never get a file buffered
+const allowSend = async (req, res, next) => {
+  try {
+    await assertCanSend(req);
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+const receiveAttachment = (req, res, next) => {
+  attachmentUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    res.status(status).json({ error: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message });
+  });
+};
 
 const router = express.Router();
 
@@ -10,17 +84,16 @@ const router = express.Router();
 router.get('/conversations', authenticate, async (req, res) => {
   try {
     // Try cache first (2 minute TTL - conversations change frequently)
-    const { cache, cacheKeys } = await import('../utils/cache.js');
-    const cacheKey = `conversations:${req.user.id}`;
+    const cacheKey = cacheKeys.conversations(req.user.id);
     const cached = await cache.get(cacheKey);
     if (cached) {
-      return res.json(cached);
+      return res.json(await withParticipantPresence(cached));
     }
 
     // Get conversations where user is a participant
     const { data: participations, error: partError } = await supabaseAdmin
       .from('conversation_participants')
-      .select('conversation_id, last_read_at')
+      .select('conversation_id, last_read_at, role, muted, muted_until')
       .eq('user_id', req.user.id);
 
     if (partError) throw partError;
@@ -39,6 +112,8 @@ router.get('/conversations', authenticate, async (req, res) => {
       .select(`
         id,
         commission_id,
+        is_group,
+        title,
         created_at,
         updated_at,
         commissions(
@@ -55,23 +130,8 @@ router.get('/conversations', authenticate, async (req, res) => {
 
     if (convError) throw convError;
 
-    // OPTIMIZED: Get latest message for each conversation using a subquery approach
-    // Query all messages for these conversations, ordered by created_at DESC
-    // Then group in memory (faster than multiple queries)
-    const { data: allMessages } = await supabaseAdmin
-      .from('messages')
-      .select('id, content, message_type, created_at, sender_id, conversation_id')
-      .in('conversation_id', conversationIds)
-      .order('created_at', { ascending: false })
-      .limit(conversationIds.length * 2); // Limit to reduce data transfer
-    
-    // Group by conversation and get latest for each (most recent first in results)
-    const latestMessagesMap = new Map();
-    allMessages?.forEach(msg => {
-      if (!latestMessagesMap.has(msg.conversation_id)) {
-        latestMessagesMap.set(msg.conversation_id, msg);
-      }
-    });
+    // Latest message for each conversation, grouped in memory from one query
+    const latestMessagesMap = await MessageRepo.findLatest(conversationIds);
 
     // OPTIMIZED: Get all other participants in a single query
     const { data: allParticipants } = await supabaseAdmin
@@ -84,8 +144,9 @@ router.get('/conversations', authenticate, async (req, res) => {
     const otherParticipantsMap = new Map();
     allParticipants?.forEach(p => {
       if (!otherParticipantsMap.has(p.conversation_id)) {
-        otherParticipantsMap.set(p.conversation_id, p.user);
+        otherParticipantsMap.set(p.conversation_id, []);
       }
+      otherParticipantsMap.get(p.conversation_id).push(p.user);
     });
 
     // Get unread counts from Redis (batch) with fallback to database - OPTIMIZED
@@ -113,15 +174,10 @@ router.get('/conversations', authenticate, async (req, res) => {
     // Batch all database fallback queries in parallel (only for missing counts)
     if (dbFallbacks.length > 0) {
       const dbCounts = await Promise.all(
-        dbFallbacks.map(async ({ convId, lastReadAt }) => {
-          const { count } = await supabaseAdmin
-            .from('messages')
-            .select('*', { count: 'exact', head: true })
-            .eq('conversation_id', convId)
-            .neq('sender_id', req.user.id)
-            .gt('created_at', lastReadAt);
-          return { convId, count: count || 0 };
-        })
+        dbFallbacks.map(async ({ convId, lastReadAt }) => ({
+          convId,
+          count: await MessageRepo.countUnread(convId, req.user.id, lastReadAt)
+        }))
       );
       
       dbCounts.forEach(({ convId, count }) => {
@@ -130,29 +186,44 @@ router.get('/conversations', authenticate, async (req, res) => {
     }
 
     // Combine all data
-    const conversationsWithMessages = conversations.map(conv => ({
-      ...conv,
-      latest_message: latestMessagesMap.get(conv.id) || null,
-      other_participant: otherParticipantsMap.get(conv.id) || null,
-      unread_count: unreadCountMap.get(conv.id) || 0
-    }));
+    const conversationsWithMessages = conversations.map(conv => {
+      const others = otherParticipantsMap.get(conv.id) || [];
+      const participation = participations.find(p => p.conversation_id === conv.id);
+      return {
+        ...conv,
+        latest_message: latestMessagesMap.get(conv.id) || null,
+        other_participant: others[0] || null,
+        // Groups list everyone else; direct conversations have other_participant
+        participants: conv.is_group ? others : undefined,
+        role: participation?.role || 'member',
+        muted: isMuted(participation),
+        muted_until: participation?.muted_until || null,
+        unread_count: unreadCountMap.get(conv.id) || 0
+      };
+    });
 
     const response = { conversations: conversationsWithMessages };
     
     // Cache response for 2 minutes
     await cache.set(cacheKey, response, 120);
     
-    res.json(response);
+    res.json(await withParticipantPresence(response));
   } catch (error) {
     console.error('Error fetching conversations:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Create or get conversation with participant(s)
+// Create or get conversation with participant(s). With is_group, always
+// starts a new group (participant_ids, title)
 router.post('/conversations', authenticate, async (req, res) => {
   try {
-    const { participant_id, participant_ids } = req.body;
+    const { participant_id, participant_ids, is_group, title } = req.body;
+
+    if (is_group) {
+      const conversation = await createGroup(req.user.id, { participantIds: participant_ids, title });
+      return res.status(201).json({ conversation, existed: false });
+    }
 
     // Support both single participant_id and array of participant_ids
     let participants;
@@ -173,52 +244,17 @@ router.post('/conversations', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Cannot create conversation with yourself' });
     }
 
+    if (participants.some(id => req.blocks?.hidden.includes(id))) {
+      return res.status(403).json({ error: 'You cannot message this user' });
+    }
+
     // Check if current user is a client (not an artist)
-    const { data: currentUserIsArtist } = await supabaseAdmin
-      .from('artists')
-      .select('id')
-      .eq('id', req.user.id)
-      .maybeSingle();
+    const currentUserIsArtist = await ArtistRepo.isArtist(req.user.id);
 
     const allParticipants = [req.user.id, ...participants].sort();
 
-    // Find existing conversation with exactly these participants
-    // First, get all conversations the current user is in
-    const { data: userConversations } = await supabaseAdmin
-      .from('conversation_participants')
-      .select('conversation_id')
-      .eq('user_id', req.user.id);
-
-    let existingConversation = null;
-    if (userConversations && userConversations.length > 0) {
-      const conversationIds = userConversations.map(p => p.conversation_id);
-
-      // For each conversation, get all participants
-      for (const convId of conversationIds) {
-        const { data: convParticipants } = await supabaseAdmin
-          .from('conversation_participants')
-          .select('user_id')
-          .eq('conversation_id', convId)
-          .order('user_id');
-
-        if (convParticipants) {
-          const participantIds = convParticipants.map(p => p.user_id).sort();
-
-          // Check if this conversation has exactly the same participants
-          if (JSON.stringify(participantIds) === JSON.stringify(allParticipants)) {
-            // Found existing conversation
-            const { data: conversation } = await supabaseAdmin
-              .from('conversations')
-              .select('*')
-              .eq('id', convId)
-              .single();
-
-            existingConversation = conversation;
-            break;
-          }
-        }
-      }
-    }
+    // Find existing conversation with exactly these participants (by participant hash)
+    const existingConversation = await ConversationRepo.findWithParticipants(allParticipants, { exact: true });
 
     // If existing conversation found, return it
     if (existingConversation) {
@@ -228,13 +264,10 @@ router.post('/conversations', authenticate, async (req, res) => {
     // If current user is NOT an artist (i.e., they are a client) and no existing conversation
     if (!currentUserIsArtist) {
       // Check if any of the participants are artists
-      const { data: targetArtists } = await supabaseAdmin
-        .from('artists')
-        .select('id')
-        .in('id', participants);
+      const targetArtists = await ArtistRepo.findManyByIds(participants, 'id');
 
       // If messaging an artist as a client, require existing conversation
-      if (targetArtists && targetArtists.length > 0) {
+      if (targetArtists.length > 0) {
         return res.status(403).json({
           error: 'You can only message artists you\'ve chatted with before. Please start a conversation through an existing commission or previous conversation.'
         });
@@ -242,52 +275,30 @@ router.post('/conversations', authenticate, async (req, res) => {
     }
 
     // Create new conversation
-    const { data: conversation, error: convError } = await supabaseAdmin
-      .from('conversations')
-      .insert({})
-      .select()
-      .single();
-
-    if (convError) throw convError;
-
-    // Add participants
-    const participantInserts = allParticipants.map(userId => ({
-      conversation_id: conversation.id,
-      user_id: userId,
-      last_read_at: new Date().toISOString()
-    }));
-
-    const { error: partError } = await supabaseAdmin
-      .from('conversation_participants')
-      .insert(participantInserts);
-
-    if (partError) throw partError;
+    const conversation = await ConversationRepo.create({ participantIds: allParticipants });
 
     res.status(201).json({ conversation, existed: false });
   } catch (error) {
     console.error('Error creating conversation:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Get conversation details
 router.get('/conversations/:id', authenticate, async (req, res) => {
   try {
-    const { data: participation, error: partError } = await supabaseAdmin
-      .from('conversation_participants')
-      .select('conversation_id')
-      .eq('conversation_id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (partError || !participation) {
+    const membership = await ConversationRepo.findParticipant(req.params.id, req.user.id);
+    if (!membership) {
       return res.status(404).json({ error: 'Conversation not found' });
     }
 
+    const conversation = await ConversationRepo.findById(req.params.id, 'id, is_group, title, created_by, commission_id');
+
     const { data: participants, error: partsError } = await supabaseAdmin
       .from('conversation_participants')
       .select(`
         user_id,
+        role,
         users(
           id,
           username,
@@ -302,25 +313,95 @@ router.get('/conversations/:id', authenticate, async (req, res) => {
 
     if (partsError) throw partsError;
 
-    const participantsList = participants.map(p => p.users);
+    const participantsList = await withPresence(participants.map(p => ({ ...p.users, role: p.role })));
 
-    res.json({ id: req.params.id, participants: participantsList });
+    res.json({
+      ...conversation,
+      participants: participantsList,
+      role: membership.role,
+      muted: isMuted(membership),
+      muted_until: membership.muted_until,
+    });
   } catch (error) {
     console.error('Error fetching conversation:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Rename a group (admins)
+router.patch('/conversations/:id', authenticate, async (req, res) => {
+  try {
+    const title = await renameGroup(req.params.id, req.user.id, req.body.title);
+    res.json({ id: req.params.id, title });
+  } catch (error) {
+    console.error('Error renaming conversation:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Add people to a group (admins)
+router.post('/conversations/:id/participants', authenticate, async (req, res) => {
+  try {
+    const added = await addParticipants(req.params.id, req.user.id, req.body.user_ids);
+    res.status(201).json({ added });
+  } catch (error) {
+    console.error('Error adding participants:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Remove someone from a group (admins), or leave it (your own id)
+router.delete('/conversations/:id/participants/:userId', authenticate, async (req, res) => {
+  try {
+    await removeParticipant(req.params.id, req.user.id, req.params.userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing participant:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Make a participant an admin or a member (admins)
+router.patch('/conversations/:id/participants/:userId', authenticate, async (req, res) => {
+  try {
+    const participant = await setRole(req.params.id, req.user.id, req.params.userId, req.body.role);
+    res.json({ user_id: req.params.userId, role: participant.role });
+  } catch (error) {
+    console.error('Error changing participant role:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Mute or unmute a conversation for yourself ({ muted, until? })
+router.put('/conversations/:id/mute', authenticate, async (req, res) => {
+  try {
+    res.json(await setMute(req.params.id, req.user.id, req.body));
+  } catch (error) {
+    console.error('Error muting conversation:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Search messages across the user's conversations
+router.get('/search', authenticate, async (req, res) => {
+  try {
+    const filters = parseSearchFilters(req.query);
+    res.json(await searchMessages(req.user.id, filters));
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // Mark conversation as read
 router.post('/conversations/:id/read', authenticate, async (req, res) => {
   try {
-    const { error } = await supabaseAdmin
-      .from('conversation_participants')
-      .update({ last_read_at: new Date().toISOString() })
-      .eq('conversation_id', req.params.id)
-      .eq('user_id', req.user.id);
+    if (!(await ConversationRepo.isParticipant(req.params.id, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-    if (error) throw error;
+    const readAt = await ConversationRepo.markRead(req.params.id, req.user.id, { resetUnread: false });
+    await publishRead(req.params.id, req.user.id, readAt);
 
     res.json({ success: true });
   } catch (error) {
@@ -331,66 +412,99 @@ router.post('/conversations/:id/read', authenticate, async (req, res) => {
 // Get messages in a conversation
 router.get('/conversations/:id/messages', authenticate, async (req, res) => {
   try {
-    const { limit = 50, before } = req.query;
+    const { limit = 50, before, after, around } = req.query;
 
     // Verify user is part of conversation
-    const { data: participation, error: partError } = await supabaseAdmin
-      .from('conversation_participants')
-      .select('conversation_id')
-      .eq('conversation_id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (partError || !participation) {
+    if (!(await ConversationRepo.isParticipant(req.params.id, req.user.id))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    let query = supabaseAdmin
-      .from('messages')
-      .select(`
-        *,
-        sender_id
-      `)
-      .eq('conversation_id', req.params.id)
-      .order('created_at', { ascending: false })
-      .limit(parseInt(limit));
+    let messages;
+    const paging = {};
 
-    if (before) {
-      query = query.lt('created_at', before);
+    if (around) {
+      // Jump to a message (e.g. a search hit) with the messages either side of it
+      const target = await MessageRepo.findById(around, 'id, conversation_id, created_at, removed_at');
+      if (!target || target.conversation_id !== req.params.id || target.removed_at) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+
+      const half = Math.max(Math.floor(parseInt(limit) / 2), 1);
+      const older = await MessageRepo.listForConversation(req.params.id, { limit: half + 1, before: target.created_at });
+      const newer = await MessageRepo.listForConversation(req.params.id, { limit: half + 1, from: target.created_at });
+
+      paging.has_more_before = older.length > half;
+      paging.has_more_after = newer.length > half;
+      messages = [...older.slice(-half), ...newer.slice(0, half)];
+    } else {
+      messages = await MessageRepo.listForConversation(req.params.id, {
+        limit: parseInt(limit),
+        before,
+        after
+      });
     }
 
-    const { data: messages, error: msgError } = await query;
+    // Update last_read_at, reset unread counts and drop the cached conversation list
+    const readAt = await ConversationRepo.markRead(req.params.id, req.user.id);
+    await publishRead(req.params.id, req.user.id, readAt);
+
+    // Delivery and read state of the viewer's own messages
+    const receipts = (await ConversationRepo.findReceipts(req.params.id))
+      .filter(r => r.user_id !== req.user.id);
 
-    if (msgError) throw msgError;
+    res.json({ messages: withReceipts(await withRichContent(messages), receipts, req.user.id), receipts, ...paging });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Update last_read_at and reset unread_count
-    await supabaseAdmin
+// Participants only, and not to anyone who has blocked the sender or been blocked by them
+async function assertCanSend(req) {
+  if (!(await ConversationRepo.isParticipant(req.params.id, req.user.id))) {
+    throw new AppError('Access denied', 403);
+  }
+
+  if (req.blocks?.hidden.length > 0) {
+    const { data: recipients } = await supabaseAdmin
       .from('conversation_participants')
-      .update({
-        last_read_at: new Date().toISOString(),
-        unread_count: 0
-      })
+      .select('user_id')
       .eq('conversation_id', req.params.id)
-      .eq('user_id', req.user.id);
+      .in('user_id', req.blocks.hidden)
+      .limit(1);
+
+    if (recipients && recipients.length > 0) {
+      throw new AppError('You cannot message this user', 403);
+    }
+  }
+}
 
-    // Reset Redis unread count
-    await MessageCountService.resetUnreadCount(req.user.id, req.params.id);
+// Store a message and send it out
+async function deliverMessage(messageData) {
+  const [message] = await withRichContent([await MessageRepo.create(messageData)]);
 
-    // Invalidate conversations cache for this user
-    const { cache } = await import('../utils/cache.js');
-    await cache.del(`conversations:${req.user.id}`);
+  // Real-time delivery goes out before the queued fan-out
+  await publishMessage(message);
 
-    res.json({ messages: messages.reverse() }); // Reverse to show oldest first
+  // Unread counts, notifications and push run on the job queue
+  try {
+    await queueMessageFanout(message);
   } catch (error) {
-    console.error('Error fetching messages:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error queueing message fan-out:', error);
   }
-});
+
+  return message;
+}
 
 // Send a message
 router.post('/conversations/:id/messages', authenticate, async (req, res) => {
   try {
-    const { content, message_type = 'text', image_url } = req.body;
+    const { content, message_type = 'text', image_url, reply_to_id } = req.body;
+
+    // Files and voice notes are uploaded through /attachments; the other types are posted by the server
+    if (!SENDABLE_MESSAGE_TYPES.includes(message_type)) {
+      return res.status(400).json({ error: `message_type must be one of ${SENDABLE_MESSAGE_TYPES.join(', ')}` });
+    }
 
     // For image messages, image_url is required; for text messages, content is required
     if (message_type === 'image' && !image_url) {
@@ -400,23 +514,14 @@ router.post('/conversations/:id/messages', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'content is required for text messages' });
     }
 
-    // Verify user is part of conversation
-    const { data: participation, error: partError } = await supabaseAdmin
-      .from('conversation_participants')
-      .select('conversation_id')
-      .eq('conversation_id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (partError || !participation) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    await assertCanSend(req);
 
     // Create message
     const messageData = {
       conversation_id: req.params.id,
       sender_id: req.user.id,
-      message_type
+      message_type,
+      reply_to_id: await validateReplyTarget(req.params.id, reply_to_id),
     };
     
     if (message_type === 'image' && image_url) {
@@ -427,145 +532,141 @@ router.post('/conversations/:id/messages', authenticate, async (req, res) => {
       messageData.image_url = null;
     }
 
-    const { data: message, error: msgError } = await supabaseAdmin
-      .from('messages')
-      .insert(messageData)
-      .select(`
-        *,
-        sender_id
-      `)
-      .single();
+    const message = await deliverMessage(messageData);
 
-    if (msgError) throw msgError;
+    res.status(201).json(message);
+  } catch (error) {
+    console.error('Error sending message:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    // IMPORTANT: Emit via Socket.io IMMEDIATELY for real-time delivery
-    const io = req.app.locals.io;
-    if (io) {
-      io.to(`conversation-${req.params.id}`).emit('new-message', message);
+// Send a file or voice note (multipart: file, message_type, content, duration_ms, reply_to_id)
+router.post('/conversations/:id/attachments', authenticate, allowSend, receiveAttachment, async (req, res) => {
+  try {
+    const { message_type = 'file', content = '', duration_ms, reply_to_id } = req.body;
+
+    const metadata = validateAttachment(message_type, req.file, { durationMs: duration_ms });
+    const replyToId = await validateReplyTarget(req.params.id, reply_to_id);
+
+    const stored = await storeAttachment(req.params.id, req.file);
+
+    let message;
+    try {
+      message = await deliverMessage({
+        conversation_id: req.params.id,
+        sender_id: req.user.id,
+        message_type,
+        // Files can carry a caption; voice notes are just the recording
+        content: message_type === 'file' ? String(content).trim() : '',
+        image_url: null,
+        reply_to_id: replyToId,
+        metadata: { ...metadata, ...stored },
+      });
+    } catch (error) {
+      // No message points at the file, so nothing would ever remove it
+      await removeAttachment({ message_type, metadata: stored });
+      throw error;
     }
 
-    // Return response immediately (optimistic response)
     res.status(201).json(message);
+  } catch (error) {
+    console.error('Error sending attachment:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    // Handle heavy operations asynchronously (don't block response)
-    (async () => {
-      try {
-        // Update conversation updated_at
-        await supabaseAdmin
-          .from('conversations')
-          .update({ updated_at: new Date().toISOString() })
-          .eq('id', req.params.id);
-
-        // Invalidate conversations cache for all participants
-        const { cache } = await import('../utils/cache.js');
-        const { data: allParticipants } = await supabaseAdmin
-          .from('conversation_participants')
-          .select('user_id')
-          .eq('conversation_id', req.params.id);
-        
-        if (allParticipants) {
-          await Promise.all(
-            allParticipants.map(p => cache.del(`conversations:${p.user_id}`))
-          );
-        }
-
-        // Get other participants (for notifications)
-        const { data: otherParticipants } = await supabaseAdmin
-          .from('conversation_participants')
-          .select('user_id')
-          .eq('conversation_id', req.params.id)
-          .neq('user_id', req.user.id);
-
-        // Get sender info for notifications
-        const { data: senderInfo } = await supabaseAdmin
-          .from('users')
-          .select('username, full_name, avatar_url')
-          .eq('id', req.user.id)
-          .single();
-
-        if (otherParticipants && otherParticipants.length > 0) {
-          for (const participant of otherParticipants) {
-            // Get current unread count and increment
-            const { data: current } = await supabaseAdmin
-              .from('conversation_participants')
-              .select('unread_count')
-              .eq('conversation_id', req.params.id)
-              .eq('user_id', participant.user_id)
-              .single();
-            
-            // Update database unread count
-            await supabaseAdmin
-              .from('conversation_participants')
-              .update({ unread_count: (current?.unread_count || 0) + 1 })
-              .eq('conversation_id', req.params.id)
-              .eq('user_id', participant.user_id);
-
-            // Update Redis unread count (for instant access)
-            await MessageCountService.updateUnreadCount(participant.user_id, req.params.id, 1);
-
-            // Send notification
-            const notificationMessage = message_type === 'image' 
-              ? 'Sent an image'
-              : (content || '').substring(0, 100) + ((content || '').length > 100 ? '...' : '');
-            
-            await NotificationService.publish(participant.user_id, {
-              type: 'new_message',
-              title: `New message from ${senderInfo?.username || 'Someone'}`,
-              message: notificationMessage,
-              action: { type: 'view_conversation', id: req.params.id },
-              priority: 'normal',
-            });
-
-            // Push notification (foreground/background)
-            await sendPushToUser(participant.user_id, {
-              title: `New message from ${senderInfo?.username || 'Someone'}`,
-              body: notificationMessage || 'New message',
-              data: { type: 'message', conversationId: req.params.id },
-            });
-          }
-        }
-      } catch (error) {
-        console.error('Error in async message processing:', error);
-      }
-    })();
+// Edit a message
+router.patch('/conversations/:id/messages/:messageId', authenticate, async (req, res) => {
+  try {
+    if (!(await ConversationRepo.isParticipant(req.params.id, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const existing = await MessageRepo.findById(req.params.messageId, 'id, conversation_id');
+    if (!existing || existing.conversation_id !== req.params.id) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const [message] = await withRichContent([await editMessage(existing.id, req.user.id, req.body.content)]);
+    await publishMessageUpdated(message);
+
+    res.json(message);
   } catch (error) {
-    console.error('Error sending message:', error);
+    console.error('Error editing message:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Earlier versions of an edited message
+router.get('/conversations/:id/messages/:messageId/edits', authenticate, async (req, res) => {
+  try {
+    if (!(await ConversationRepo.isParticipant(req.params.id, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const message = await MessageRepo.findById(req.params.messageId, 'id, conversation_id, content, edited_at, removed_at');
+    if (!message || message.conversation_id !== req.params.id || message.removed_at) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json({
+      current: { content: message.content, edited_at: message.edited_at },
+      edits: await MessageRepo.listEdits(message.id),
+    });
+  } catch (error) {
+    console.error('Error fetching message edits:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// React to a message, or take a reaction back
+const changeReaction = (add) => async (req, res) => {
+  try {
+    if (!(await ConversationRepo.isParticipant(req.params.id, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const message = await MessageRepo.findById(req.params.messageId, 'id, conversation_id, removed_at');
+    if (!message || message.conversation_id !== req.params.id || message.removed_at) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const emoji = validateEmoji(add ? req.body.emoji : req.params.emoji);
+    const changed = add
+      ? await MessageRepo.addReaction(message.id, req.user.id, emoji)
+      : await MessageRepo.removeReaction(message.id, req.user.id, emoji);
+
+    const reactions = await reactionsFor(message.id);
+    if (changed) await publishReactions(req.params.id, message.id, reactions);
+
+    res.json({ message_id: message.id, reactions });
+  } catch (error) {
+    console.error('Error updating reaction:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+router.post('/conversations/:id/messages/:messageId/reactions', authenticate, changeReaction(true));
+router.delete('/conversations/:id/messages/:messageId/reactions/:emoji', authenticate, changeReaction(false));
+
 // Delete a conversation
 router.delete('/conversations/:id', authenticate, async (req, res) => {
   try {
     const conversationId = req.params.id;
 
     // Verify user is part of conversation
-    const { data: participation, error: partError } = await supabaseAdmin
-      .from('conversation_participants')
-      .select('conversation_id')
-      .eq('conversation_id', conversationId)
-      .eq('user_id', req.user.id)
-      .maybeSingle();
-
-    if (partError || !participation) {
-      console.error('Conversation deletion authorization error:', partError);
-      console.error('Conversation ID:', conversationId, 'User ID:', req.user.id);
+    if (!(await ConversationRepo.isParticipant(conversationId, req.user.id))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     // Remove user from conversation participants (don't delete conversation if it has a commission)
-    const { data: conversation, error: convError } = await supabaseAdmin
-      .from('conversations')
-      .select('commission_id')
-      .eq('id', conversationId)
-      .maybeSingle();
+    const conversation = await ConversationRepo.findById(conversationId, 'commission_id, is_group');
 
-    if (convError) {
-      console.error('Error fetching conversation:', convError);
-      return res.status(500).json({ error: 'Failed to fetch conversation' });
-    }
-
-    if (conversation?.commission_id) {
+    if (conversation?.is_group) {
+      // Deleting a group only takes the user out of it
+      await removeParticipant(conversationId, req.user.id, req.user.id);
+    } else if (conversation?.commission_id) {
       // Conversation has a commission - just remove user from participants
       const { error: deleteError } = await supabaseAdmin
         .from('conversation_participants')
@@ -574,33 +675,21 @@ router.delete('/conversations/:id', authenticate, async (req, res) => {
         .eq('user_id', req.user.id);
 
       if (deleteError) throw deleteError;
+      await ConversationRepo.invalidateLists([req.user.id]);
+      await ConversationRepo.refreshParticipantHash(conversationId);
+      removeFromConversation(conversationId, [req.user.id]);
     } else {
       // No commission - can safely delete the conversation and all its messages
-      // First delete messages
-      await supabaseAdmin
-        .from('messages')
-        .delete()
-        .eq('conversation_id', conversationId);
-
-      // Then delete participants
-      await supabaseAdmin
-        .from('conversation_participants')
-        .delete()
-        .eq('conversation_id', conversationId);
-
-      // Finally delete the conversation
-      const { error: deleteError } = await supabaseAdmin
-        .from('conversations')
-        .delete()
-        .eq('id', conversationId);
-
-      if (deleteError) throw deleteError;
+      const participantIds = await ConversationRepo.findParticipantIds(conversationId);
+      await removeConversationAttachments(conversationId);
+      await ConversationRepo.delete(conversationId);
+      removeFromConversation(conversationId, participantIds);
     }
 
     res.json({ success: true });
   } catch (error) {
     console.error('Error deleting conversation:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -608,26 +697,14 @@ router.delete('/conversations/:id', authenticate, async (req, res) => {
 router.delete('/conversations/:id/messages/:messageId', authenticate, async (req, res) => {
   try {
     // Verify user is part of conversation
-    const { data: participation, error: partError } = await supabaseAdmin
-      .from('conversation_participants')
-      .select('conversation_id')
-      .eq('conversation_id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (partError || !participation) {
+    if (!(await ConversationRepo.isParticipant(req.params.id, req.user.id))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     // Verify message belongs to this conversation and to current user
-    const { data: message, error: msgFetchError } = await supabaseAdmin
-      .from('messages')
-      .select('id, sender_id, conversation_id')
-      .eq('id', req.params.messageId)
-      .eq('conversation_id', req.params.id)
-      .single();
+    const message = await MessageRepo.findById(req.params.messageId, 'id, sender_id, conversation_id, message_type, metadata');
 
-    if (msgFetchError || !message) {
+    if (!message || message.conversation_id !== req.params.id) {
       return res.status(404).json({ error: 'Message not found' });
     }
 
@@ -635,13 +712,9 @@ router.delete('/conversations/:id/messages/:messageId', authenticate, async (req
       return res.status(403).json({ error: 'Cannot delete another user\'s message' });
     }
 
-    const { error: deleteError } = await supabaseAdmin
-      .from('messages')
-      .delete()
-      .eq('id', req.params.messageId)
-      .eq('conversation_id', req.params.id);
-
-    if (deleteError) throw deleteError;
+    await MessageRepo.delete(message.id);
+    await removeAttachment(message);
+    await publishMessageDeleted(req.params.id, message.id);
 
     res.json({ success: true });
   } catch (error) {
@@ -1,8 +1,9 @@
 import express from 'express';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticate } from '../middleware/auth.js';
-import { NotificationService } from '../utils/redisServices.js';
-import { sendPushToUser } from '../utils/pushNotifications.js';
+import { queueNotification, queuePush } from '../jobs/notifications.js';
+import { getActiveDispute } from '../utils/disputes.js';
+import { publishMilestoneUpdate } from '../utils/realtime.js';
 
 const router = express.Router();
 
@@ -109,6 +110,8 @@ router.post('/commission/:commissionId/generate', authenticate, async (req, res)
       .update({ current_milestone_id: createdMilestones[0].id })
       .eq('id', commissionId);
 
+    await publishMilestoneUpdate(commission, { change: 'generated' });
+
     res.status(201).json({
       message: 'Milestones generated successfully',
       milestones: createdMilestones
@@ -229,6 +232,8 @@ router.put('/:milestoneId', authenticate, async (req, res) => {
 
     if (updateError) throw updateError;
 
+    await publishMilestoneUpdate(milestone.commission, { change: 'edited', milestone: updatedMilestone });
+
     res.json({
       message: 'Milestone updated successfully',
       milestone: updatedMilestone
@@ -297,6 +302,8 @@ router.post('/commission/:commissionId/confirm', authenticate, async (req, res)
 
     if (updateError) throw updateError;
 
+    await publishMilestoneUpdate(commission, { change: 'plan_confirmed' });
+
     // Send notification to artist
     const { data: artist } = await supabaseAdmin
       .from('users')
@@ -305,7 +312,7 @@ router.post('/commission/:commissionId/confirm', authenticate, async (req, res)
       .single();
 
     if (artist) {
-      await NotificationService.publish(
+      await queueNotification(
         artist.id,
         {
           type: 'milestone_plan_confirmed',
@@ -316,10 +323,11 @@ router.post('/commission/:commissionId/confirm', authenticate, async (req, res)
         }
       );
 
-      await sendPushToUser(artist.id, {
+      await queuePush(artist.id, {
         title: 'Milestone Plan Confirmed',
         body: 'Your client confirmed the milestone payment plan',
-        data: { type: 'milestone_plan_confirmed', commissionId }
+        data: { type: 'milestone_plan_confirmed', commissionId },
+        notificationType: 'milestone_plan_confirmed',
       });
     }
 
@@ -422,6 +430,9 @@ router.post('/:milestoneId/start', authenticate, async (req, res) => {
 
     if (updateError) throw updateError;
 
+    const { commission: _commission, ...started } = milestone;
+    await publishMilestoneUpdate(milestone.commission, { change: 'started', milestone: started });
+
     res.json({
       message: 'Milestone started successfully',
       milestone_id: milestoneId
@@ -482,13 +493,17 @@ router.post('/:milestoneId/complete', authenticate, async (req, res) => {
     if (progressError) throw progressError;
 
     // Update milestone with progress update reference
-    await supabaseAdmin
+    const { data: submitted } = await supabaseAdmin
       .from('commission_milestones')
       .update({
         progress_update_id: progressUpdate.id,
         updated_at: new Date().toISOString()
       })
-      .eq('id', milestoneId);
+      .eq('id', milestoneId)
+      .select()
+      .maybeSingle();
+
+    await publishMilestoneUpdate(milestone.commission, { change: 'submitted', milestone: submitted });
 
     // Send notification to client
     const { data: client } = await supabaseAdmin
@@ -498,7 +513,7 @@ router.post('/:milestoneId/complete', authenticate, async (req, res) => {
       .single();
 
     if (client) {
-      await NotificationService.publish(
+      await queueNotification(
         client.id,
         {
           type: 'milestone_approval_needed',
@@ -513,14 +528,15 @@ router.post('/:milestoneId/complete', authenticate, async (req, res) => {
         }
       );
 
-      await sendPushToUser(client.id, {
+      await queuePush(client.id, {
         title: 'Milestone Ready for Review',
         body: `${milestone.title} is ready for your approval`,
         data: {
           type: 'milestone_approval_needed',
           commissionId: milestone.commission_id,
           milestoneId
-        }
+        },
+        notificationType: 'milestone_approval_needed',
       });
     }
 
@@ -558,15 +574,19 @@ router.get('/:milestoneId/payment-status', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Only the client can check payment status' });
     }
 
+    const activeDispute = await getActiveDispute(milestone.commission.id);
+
     const canPay = milestone.payment_status === 'unpaid' &&
                    !milestone.is_locked &&
-                   milestone.commission.milestone_plan_confirmed;
+                   milestone.commission.milestone_plan_confirmed &&
+                   !activeDispute;
 
     res.json({
       milestone_id: milestoneId,
       payment_status: milestone.payment_status,
       is_locked: milestone.is_locked,
       can_pay: canPay,
+      payments_frozen: !!activeDispute,
       amount: milestone.amount,
       title: milestone.title
     });
@@ -1,41 +1,100 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
-import cache from '../utils/cache.js';
-import { NotificationService } from '../utils/redisServices.js';
+import { PushDeviceRepo } from '../repositories/index.js';
+import {
+  NotificationService,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPES,
+} from '../utils/notifications.js';
+import { isExpoPushToken } from '../utils/pushNotifications.js';
 
 const router = express.Router();
 
-// Store push token (optional)
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Register this device's Expo push token. Registering again refreshes it.
 router.post('/token', authenticate, async (req, res) => {
   try {
-    const { token, platform = 'unknown' } = req.body || {};
+    const { token, platform = 'unknown', device_name: deviceName = null } = req.body || {};
     if (!token) {
       return res.status(400).json({ error: 'Push token is required' });
     }
+    if (!isExpoPushToken(token)) {
+      return res.status(400).json({ error: 'Invalid Expo push token' });
+    }
 
-    const key = `push_tokens:${req.user.id}`;
-    const payload = { token, platform, updated_at: Date.now() };
-    await cache.set(key, payload, 60 * 60 * 24 * 30);
+    const device = await PushDeviceRepo.register(req.user.id, {
+      token,
+      platform: String(platform).slice(0, 20),
+      deviceName: deviceName ? String(deviceName).slice(0, 100) : null,
+    });
 
-    res.json({ success: true });
+    res.json({ success: true, device });
   } catch (error) {
     console.error('Error saving push token:', error);
     res.status(500).json({ error: 'Failed to save push token' });
   }
 });
 
-// Get notifications for current user
+// Unregister a device, e.g. on sign out
+router.delete('/token', authenticate, async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) {
+      return res.status(400).json({ error: 'Push token is required' });
+    }
+
+    await PushDeviceRepo.unregister(req.user.id, token);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing push token:', error);
+    res.status(500).json({ error: 'Failed to remove push token' });
+  }
+});
+
+// List devices registered for push
+router.get('/devices', authenticate, async (req, res) => {
+  try {
+    const devices = await PushDeviceRepo.findByUser(req.user.id);
+    res.json({ devices });
+  } catch (error) {
+    console.error('Error fetching push devices:', error);
+    res.status(500).json({ error: 'Failed to fetch push devices' });
+  }
+});
+
+// Get notifications for current user. Page with ?cursor=<nextCursor>,
+// filter with ?type=a,b and ?unread=true.
 router.get('/', authenticate, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = parseInt(req.query.offset) || 0;
-    
-    const notifications = await NotificationService.getNotifications(req.user.id, limit, offset);
-    const unreadCount = await NotificationService.getUnreadCount(req.user.id);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const types = req.query.type
+      ? String(req.query.type).split(',').map(t => t.trim()).filter(Boolean)
+      : null;
+
+    const [page, unreadCount] = await Promise.all([
+      NotificationService.getNotifications(req.user.id, {
+        limit,
+        cursor: req.query.cursor || null,
+        types,
+        unreadOnly: req.query.unread === 'true',
+      }),
+      NotificationService.getUnreadCount(req.user.id),
+    ]);
 
     res.json({
-      notifications,
+      notifications: page.notifications,
       unreadCount,
+      nextCursor: page.nextCursor,
     });
   } catch (error) {
     console.error('Error fetching notifications:', error);
@@ -43,14 +102,84 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
-// Mark notification as read
-router.patch('/:id/read', authenticate, async (req, res) => {
+// Get unread count
+router.get('/unread-count', authenticate, async (req, res) => {
   try {
-    await NotificationService.markAsRead(req.user.id, req.params.id);
-    res.json({ message: 'Notification marked as read' });
+    const count = await NotificationService.getUnreadCount(req.user.id);
+    res.json({ unreadCount: count });
   } catch (error) {
-    console.error('Error marking notification as read:', error);
-    res.status(500).json({ error: 'Failed to mark notification as read' });
+    console.error('Error getting unread count:', error);
+    res.status(500).json({ error: 'Failed to get unread count' });
+  }
+});
+
+// Get channel preferences for every notification type, and quiet hours
+router.get('/preferences', authenticate, async (req, res) => {
+  try {
+    const preferences = await NotificationService.getPreferences(req.user.id);
+    res.json(preferences);
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Update preferences. Body: { preferences: [{ type, in_app?, push?, email_digest? }],
+// quiet_hours: { start: 'HH:MM', end: 'HH:MM', timezone } | null }. Channels
+// left out of an entry keep their current value.
+router.put('/preferences', authenticate, async (req, res) => {
+  try {
+    const { preferences = [], quiet_hours: quietHours } = req.body || {};
+
+    if (!Array.isArray(preferences)) {
+      return res.status(400).json({ error: 'preferences must be an array' });
+    }
+
+    for (const preference of preferences) {
+      if (!NOTIFICATION_TYPES[preference?.type]) {
+        return res.status(400).json({ error: `Unknown notification type: ${preference?.type}` });
+      }
+      for (const channel of NOTIFICATION_CHANNELS) {
+        if (preference[channel] !== undefined && typeof preference[channel] !== 'boolean') {
+          return res.status(400).json({ error: `${channel} must be true or false` });
+        }
+      }
+    }
+
+    if (quietHours) {
+      if (!TIME_PATTERN.test(quietHours.start) || !TIME_PATTERN.test(quietHours.end)) {
+        return res.status(400).json({ error: 'Quiet hours need a start and end time as HH:MM' });
+      }
+      if (quietHours.timezone && !isValidTimezone(quietHours.timezone)) {
+        return res.status(400).json({ error: 'Unknown timezone' });
+      }
+    }
+
+    // Fill unspecified channels from the current values
+    const current = await NotificationService.getPreferences(req.user.id);
+    const byType = new Map(current.preferences.map(p => [p.type, p]));
+    const changes = preferences.map(preference => {
+      const existing = byType.get(preference.type);
+      return {
+        type: preference.type,
+        ...Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [
+          channel,
+          preference[channel] ?? existing[channel],
+        ])),
+      };
+    });
+
+    const updated = await NotificationService.updatePreferences(req.user.id, {
+      preferences: changes,
+      quietHours: quietHours === undefined
+        ? undefined
+        : quietHours && { start: quietHours.start, end: quietHours.end, timezone: quietHours.timezone },
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
   }
 });
 
@@ -65,14 +194,14 @@ router.patch('/read-all', authenticate, async (req, res) => {
   }
 });
 
-// Get unread count
-router.get('/unread-count', authenticate, async (req, res) => {
+// Mark notification as read
+router.patch('/:id/read', authenticate, async (req, res) => {
   try {
-    const count = await NotificationService.getUnreadCount(req.user.id);
-    res.json({ unreadCount: count });
+    await NotificationService.markAsRead(req.user.id, req.params.id);
+    res.json({ message: 'Notification marked as read' });
   } catch (error) {
-    console.error('Error getting unread count:', error);
-    res.status(500).json({ error: 'Failed to get unread count' });
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
   }
 });
 
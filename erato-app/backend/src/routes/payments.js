@@ -1,75 +1,25 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import { supabaseAdmin } from '../config/supabase.js';
-import * as paypal from '@paypal/checkout-server-sdk';
 import { OrdersCreateRequest } from '@paypal/checkout-server-sdk/lib/orders/ordersCreateRequest.js';
 import { OrdersCaptureRequest } from '@paypal/checkout-server-sdk/lib/orders/ordersCaptureRequest.js';
-import Stripe from 'stripe';
+import { getActiveDispute } from '../utils/disputes.js';
+import { calculateFees, releaseCommissionFunds } from '../utils/payouts/ledger.js';
+import {
+  applyChargeback,
+  applyRefund,
+  completeTransaction,
+  failTransaction,
+  findTransaction,
+  markRefundSettled,
+} from '../utils/paymentEvents.js';
+import { settleEscrowAfterRefund } from '../utils/refunds.js';
+import { constructStripeEvent, processWebhookEventOnce, verifyPaypalWebhook } from '../utils/webhookEvents.js';
+import { queueArtistPayout } from '../jobs/payouts.js';
+import { getPaypalClient, getStripe, isStripeConfigured } from '../utils/paymentClients.js';
 
 const router = express.Router();
 
-// Platform fee percentage (e.g., 10% = 0.10)
-const PLATFORM_FEE_PERCENTAGE = 0.10;
-
-// Stripe configuration
-const stripe = process.env.STRIPE_SECRET_KEY ? new Stripe(process.env.STRIPE_SECRET_KEY) : null;
-
-// PayPal environment setup
-function environment() {
-  const clientId = process.env.PAYPAL_CLIENT_ID;
-  const clientSecret = process.env.PAYPAL_CLIENT_SECRET;
-  const isProduction = process.env.NODE_ENV === 'production';
-
-  // Debug logging (don't log full secrets in production)
-  console.log('PayPal Environment Setup:');
-  console.log('- NODE_ENV:', process.env.NODE_ENV);
-  console.log('- Is Production:', isProduction);
-  console.log('- Client ID exists:', !!clientId);
-  console.log('- Client ID length:', clientId ? clientId.length : 0);
-  console.log('- Client ID starts with:', clientId ? clientId.substring(0, 5) + '...' : 'N/A');
-  console.log('- Client Secret exists:', !!clientSecret);
-  console.log('- Client Secret length:', clientSecret ? clientSecret.length : 0);
-  
-  // Check if credentials might be for wrong environment
-  // Sandbox Client IDs typically start with "Ae..." but so do Live ones
-  // The best way to check is to try the API call, but we can warn about common issues
-  if (clientId && clientSecret) {
-    const trimmedClientId = clientId.trim();
-    const trimmedSecret = clientSecret.trim();
-    
-    // PayPal Client IDs are typically 80 characters
-    if (trimmedClientId.length !== 80 || trimmedSecret.length !== 80) {
-      console.warn('⚠️  Warning: PayPal credentials length is unusual. Expected 80 characters each.');
-    }
-    
-    // Check for common formatting issues
-    if (clientId !== trimmedClientId || clientSecret !== trimmedSecret) {
-      console.warn('⚠️  Warning: PayPal credentials have leading/trailing whitespace - trimming...');
-    }
-  }
-
-  // Validate credentials are present
-  if (!clientId || !clientSecret) {
-    throw new Error('PayPal credentials are missing. Please set PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET environment variables.');
-  }
-
-  // Check for common issues
-  if (clientId.trim() !== clientId || clientSecret.trim() !== clientSecret) {
-    console.warn('⚠️  Warning: PayPal credentials may have leading/trailing whitespace');
-  }
-
-  if (isProduction) {
-    console.log('Using PayPal LIVE environment');
-    return new paypal.core.LiveEnvironment(clientId.trim(), clientSecret.trim());
-  }
-  console.log('Using PayPal SANDBOX environment');
-  return new paypal.core.SandboxEnvironment(clientId.trim(), clientSecret.trim());
-}
-
-function client() {
-  return new paypal.core.PayPalHttpClient(environment());
-}
-
 /**
  * @route   GET /api/payments/success
  * @desc    Handle PayPal redirect after successful payment approval
@@ -243,6 +193,14 @@ router.post('/create-order', authenticate, async (req, res) => {
       });
     }
 
+    // Milestone payments are frozen while a dispute is open
+    if (paymentType === 'milestone' && await getActiveDispute(commissionId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Milestone payments are on hold while a dispute is open for this commission'
+      });
+    }
+
     // Prevent duplicate payments based on payment type
     if (paymentType === 'deposit' && commission.payment_status === 'deposit_paid') {
       return res.status(400).json({
@@ -352,11 +310,10 @@ router.post('/create-order', authenticate, async (req, res) => {
       }
     });
 
-    const order = await client().execute(request);
+    const order = await getPaypalClient().execute(request);
 
     // Calculate platform fee and artist payout
-    const platformFee = calculatedAmount * PLATFORM_FEE_PERCENTAGE;
-    const artistPayout = calculatedAmount - platformFee;
+    const { platformFee, artistPayout } = calculateFees(calculatedAmount, paymentType);
 
     // Create transaction record with full metadata
     const transactionMetadata = {
@@ -473,7 +430,7 @@ router.post('/capture-order', authenticate, async (req, res) => {
     const request = new OrdersCaptureRequest(orderId);
     request.requestBody({});
 
-    const capture = await client().execute(request);
+    const capture = await getPaypalClient().execute(request);
 
     if (capture.result.status !== 'COMPLETED') {
       return res.status(400).json({
@@ -482,101 +439,10 @@ router.post('/capture-order', authenticate, async (req, res) => {
       });
     }
 
-    // Update transaction status
+    // Mark the payment captured and credit the artist's ledger
+    // (idempotent - the webhook may get here first)
     const captureId = capture.result.purchase_units[0].payments.captures[0].id;
-    const { error: updateError } = await supabaseAdmin
-      .from('payment_transactions')
-      .update({
-        status: 'succeeded',
-        paypal_capture_id: captureId,
-        processed_at: new Date().toISOString()
-      })
-      .eq('id', transaction.id);
-
-    if (updateError) throw updateError;
-
-    // Update commission payment status
-    // Try to get paymentType from custom_id, fallback to transaction_type
-    let paymentType = null;
-    try {
-      if (transaction.custom_id) {
-        const customData = JSON.parse(transaction.custom_id);
-        paymentType = customData.paymentType || customData.payment_type;
-      }
-    } catch (e) {
-      console.warn('Error parsing custom_id:', e);
-    }
-    
-    // Fallback to transaction_type if custom_id doesn't have paymentType
-    if (!paymentType && transaction.transaction_type) {
-      paymentType = transaction.transaction_type;
-    }
-    
-    let newPaymentStatus = 'paid'; // Default to 'paid' if we can't determine type
-    if (paymentType === 'deposit') {
-      newPaymentStatus = 'deposit_paid';
-    } else if (paymentType === 'full' || paymentType === 'final') {
-      newPaymentStatus = 'fully_paid';
-    } else if (paymentType === 'milestone') {
-      newPaymentStatus = 'deposit_paid'; // Milestones are like deposits
-    }
-
-    const { error: commissionError } = await supabaseAdmin
-      .from('commissions')
-      .update({
-        payment_status: newPaymentStatus
-      })
-      .eq('id', transaction.commission_id);
-
-    if (commissionError) {
-      console.error('Error updating commission:', commissionError);
-      throw new Error('Failed to update commission payment status');
-    }
-
-    // If milestone payment, update milestone status
-    if (paymentType === 'milestone') {
-      let milestoneId = null;
-
-      // Try to get milestone ID from custom_id
-      try {
-        if (transaction.custom_id) {
-          const customData = JSON.parse(transaction.custom_id);
-          milestoneId = customData.milestoneId;
-        }
-      } catch (e) {
-        console.warn('Error parsing custom_id for milestone:', e);
-      }
-
-      // Find the milestone to update
-      let milestoneQuery = supabaseAdmin
-        .from('commission_milestones')
-        .select('id, milestone_number');
-
-      if (milestoneId) {
-        // Use specific milestone ID if provided
-        milestoneQuery = milestoneQuery.eq('id', milestoneId);
-      } else {
-        // Fallback: find first unpaid milestone
-        milestoneQuery = milestoneQuery
-          .eq('commission_id', transaction.commission_id)
-          .eq('payment_status', 'unpaid')
-          .order('milestone_number', { ascending: true })
-          .limit(1);
-      }
-
-      const { data: milestone } = await milestoneQuery.single();
-
-      if (milestone) {
-        await supabaseAdmin
-          .from('commission_milestones')
-          .update({
-            payment_status: 'paid',
-            paid_at: new Date().toISOString(),
-            payment_transaction_id: transaction.id
-          })
-          .eq('id', milestone.id);
-      }
-    }
+    await completeTransaction(transaction, { paypalCaptureId: captureId });
 
     res.json({
       success: true,
@@ -625,7 +491,7 @@ router.post('/capture-order', authenticate, async (req, res) => {
  */
 router.post('/stripe/create-payment-intent', authenticate, async (req, res) => {
   try {
-    if (!stripe) {
+    if (!isStripeConfigured()) {
       return res.status(500).json({
         success: false,
         error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY in environment variables.'
@@ -678,6 +544,14 @@ router.post('/stripe/create-payment-intent', authenticate, async (req, res) => {
       });
     }
 
+    // Milestone payments are frozen while a dispute is open
+    if (paymentType === 'milestone' && await getActiveDispute(commissionId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Milestone payments are on hold while a dispute is open for this commission'
+      });
+    }
+
     // Prevent duplicate payments based on payment type
     if (paymentType === 'deposit' && commission.payment_status === 'deposit_paid') {
       return res.status(400).json({
@@ -749,11 +623,10 @@ router.post('/stripe/create-payment-intent', authenticate, async (req, res) => {
     }
 
     // Calculate platform fee and artist payout
-    const platformFee = calculatedAmount * PLATFORM_FEE_PERCENTAGE;
-    const artistPayout = calculatedAmount - platformFee;
+    const { platformFee, artistPayout } = calculateFees(calculatedAmount, paymentType);
 
     // Create Stripe PaymentIntent
-    const paymentIntent = await stripe.paymentIntents.create({
+    const paymentIntent = await getStripe().paymentIntents.create({
       amount: Math.round(calculatedAmount * 100), // Stripe uses cents
       currency: 'usd',
       payment_method_types: ['card'], // Explicitly specify card payments
@@ -827,7 +700,7 @@ router.post('/stripe/create-payment-intent', authenticate, async (req, res) => {
  */
 router.post('/stripe/confirm-payment', authenticate, async (req, res) => {
   try {
-    if (!stripe) {
+    if (!isStripeConfigured()) {
       return res.status(500).json({
         success: false,
         error: 'Stripe is not configured'
@@ -860,7 +733,7 @@ router.post('/stripe/confirm-payment', authenticate, async (req, res) => {
     }
 
     // Retrieve the PaymentIntent to check its status
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    const paymentIntent = await getStripe().paymentIntents.retrieve(paymentIntentId);
 
     if (paymentIntent.status !== 'succeeded') {
       return res.status(400).json({
@@ -870,77 +743,8 @@ router.post('/stripe/confirm-payment', authenticate, async (req, res) => {
       });
     }
 
-    // Update transaction status
-    const { error: updateError } = await supabaseAdmin
-      .from('payment_transactions')
-      .update({
-        status: 'succeeded',
-        processed_at: new Date().toISOString()
-      })
-      .eq('id', transaction.id);
-
-    if (updateError) throw updateError;
-
-    // Update commission payment status
-    let paymentType = null;
-    try {
-      if (transaction.custom_id) {
-        const customData = JSON.parse(transaction.custom_id);
-        paymentType = customData.paymentType || customData.payment_type;
-      }
-    } catch (e) {
-      console.warn('Error parsing custom_id:', e);
-    }
-
-    if (!paymentType && transaction.transaction_type) {
-      paymentType = transaction.transaction_type;
-    }
-
-    let newPaymentStatus = 'paid';
-    if (paymentType === 'deposit') {
-      newPaymentStatus = 'deposit_paid';
-    } else if (paymentType === 'full' || paymentType === 'final') {
-      newPaymentStatus = 'fully_paid';
-    } else if (paymentType === 'milestone') {
-      newPaymentStatus = 'deposit_paid';
-    }
-
-    const { error: commissionError } = await supabaseAdmin
-      .from('commissions')
-      .update({
-        payment_status: newPaymentStatus
-      })
-      .eq('id', transaction.commission_id);
-
-    if (commissionError) {
-      console.error('Error updating commission:', commissionError);
-      throw new Error('Failed to update commission payment status');
-    }
-
-    // If milestone payment, update milestone status
-    if (paymentType === 'milestone') {
-      let milestoneId = null;
-
-      try {
-        if (transaction.custom_id) {
-          const customData = JSON.parse(transaction.custom_id);
-          milestoneId = customData.milestoneId;
-        }
-      } catch (e) {
-        console.warn('Error parsing custom_id for milestone:', e);
-      }
-
-      if (milestoneId) {
-        await supabaseAdmin
-          .from('commission_milestones')
-          .update({
-            payment_status: 'paid',
-            paid_at: new Date().toISOString(),
-            payment_transaction_id: transaction.id
-          })
-          .eq('id', milestoneId);
-      }
-    }
+    // Mark the payment captured and credit the artist's ledger
+    await completeTransaction(transaction);
 
     res.json({
       success: true,
@@ -960,35 +764,28 @@ router.post('/stripe/confirm-payment', authenticate, async (req, res) => {
 
 /**
  * @route   POST /api/payments/webhook
- * @desc    Handle PayPal webhook events
+ * @desc    Handle PayPal webhook events (signature verified, processed once per event)
  * @access  Public (PayPal)
  */
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+router.post('/webhook', async (req, res) => {
+  let event;
   try {
-    const webhookId = process.env.PAYPAL_WEBHOOK_ID;
-    const headers = req.headers;
-    const body = req.body;
+    event = req.rawBody ? JSON.parse(req.rawBody.toString()) : req.body;
 
-    // Verify webhook signature (simplified - in production use PayPal SDK verification)
-    // For now, we'll process the webhook events
-    
-    const event = JSON.parse(body.toString());
-    
-    console.log('PayPal Webhook Event:', event.event_type);
-
-    switch (event.event_type) {
-      case 'PAYMENT.CAPTURE.COMPLETED':
-        await handlePaymentCapture(event.resource);
-        break;
-      case 'PAYMENT.CAPTURE.DENIED':
-      case 'PAYMENT.CAPTURE.REFUNDED':
-        await handlePaymentFailure(event.resource);
-        break;
-      default:
-        console.log(`Unhandled event type: ${event.event_type}`);
+    const verified = await verifyPaypalWebhook(req.headers, event);
+    if (!verified) {
+      console.warn('Rejected PayPal webhook with invalid signature');
+      return res.status(400).json({ error: 'Invalid webhook signature' });
     }
+  } catch (error) {
+    console.error('Error verifying PayPal webhook:', error);
+    return res.status(400).json({ error: 'Webhook verification failed' });
+  }
+
+  try {
+    const processed = await processWebhookEventOnce('paypal', event.id, event.event_type, () => handlePaypalEvent(event));
 
-    res.status(200).json({ received: true });
+    res.status(200).json({ received: true, duplicate: !processed });
   } catch (error) {
     console.error('Error processing PayPal webhook:', error);
     res.status(500).json({ error: 'Webhook processing failed' });
@@ -996,68 +793,180 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
 });
 
 /**
- * Handle successful payment capture
+ * @route   POST /api/payments/stripe/webhook
+ * @desc    Handle Stripe webhook events (signature verified, processed once per event)
+ * @access  Public (Stripe)
  */
-async function handlePaymentCapture(capture) {
-  const captureId = capture.id;
-  const orderId = capture.supplementary_data?.related_ids?.order_id;
-
-  if (!orderId) {
-    console.error('No order ID found in capture');
-    return;
+router.post('/stripe/webhook', async (req, res) => {
+  let event;
+  try {
+    event = constructStripeEvent(req.rawBody, req.headers['stripe-signature']);
+  } catch (error) {
+    console.error('Error verifying Stripe webhook:', error.message);
+    return res.status(400).json({ error: 'Webhook verification failed' });
   }
 
-  // Update transaction status
-  const { data: transaction, error: transactionError } = await supabaseAdmin
-    .from('payment_transactions')
-    .update({
-      status: 'succeeded',
-      paypal_capture_id: captureId,
-      processed_at: new Date().toISOString()
-    })
-    .eq('paypal_order_id', orderId)
-    .select()
-    .single();
-
-  if (transactionError) {
-    console.error('Error updating transaction:', transactionError);
-    return;
+  try {
+    const processed = await processWebhookEventOnce('stripe', event.id, event.type, () => handleStripeEvent(event));
+
+    res.status(200).json({ received: true, duplicate: !processed });
+  } catch (error) {
+    console.error('Error processing Stripe webhook:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
   }
+});
 
-  // Update commission payment status
-  const metadata = JSON.parse(transaction.custom_id || '{}');
-  const { commissionId, paymentType } = metadata;
+// PayPal refunds link "up" to the capture they refund
+function getRefundedCaptureId(refund) {
+  const upLink = (refund.links || []).find(link => link.rel === 'up' && link.href.includes('/captures/'));
+  return upLink ? upLink.href.split('/captures/')[1].split('/')[0] : null;
+}
 
-  let newPaymentStatus = 'pending';
-  if (paymentType === 'deposit') {
-    newPaymentStatus = 'deposit_paid';
-  } else if (paymentType === 'full' || paymentType === 'final') {
-    newPaymentStatus = 'fully_paid';
-  }
+const PAYPAL_DISPUTE_OUTCOMES = {
+  RESOLVED_BUYER_FAVOUR: 'lost',
+  RESOLVED_SELLER_FAVOUR: 'won',
+  RESOLVED_WITH_PAYOUT: 'won',
+  CANCELED_BY_BUYER: 'won',
+  DENIED: 'won',
+};
 
-  await supabaseAdmin
-    .from('commissions')
-    .update({
-      payment_status: newPaymentStatus,
-      escrow_status: 'held'
-    })
-    .eq('id', commissionId);
+/**
+ * Apply a verified PayPal webhook event
+ */
+async function handlePaypalEvent(event) {
+  const resource = event.resource || {};
+
+  switch (event.event_type) {
+    case 'PAYMENT.CAPTURE.COMPLETED': {
+      const orderId = resource.supplementary_data?.related_ids?.order_id;
+      const transaction = await findTransaction('paypal_order_id', orderId);
+      if (!transaction) break;
+
+      await completeTransaction(transaction, { paypalCaptureId: resource.id });
+      console.log(`Payment captured for commission ${transaction.commission_id}`);
+      return;
+    }
+    case 'PAYMENT.CAPTURE.DENIED':
+    case 'PAYMENT.CAPTURE.DECLINED': {
+      const orderId = resource.supplementary_data?.related_ids?.order_id;
+      const transaction = await findTransaction('paypal_order_id', orderId);
+      if (!transaction) break;
+
+      await failTransaction(transaction, { reason: resource.status_details?.reason || event.event_type });
+      console.log(`Payment failed: ${resource.id}`);
+      return;
+    }
+    case 'PAYMENT.CAPTURE.REFUNDED':
+    case 'PAYMENT.CAPTURE.REVERSED': {
+      const captureId = getRefundedCaptureId(resource) || resource.id;
+      const transaction = await findTransaction('paypal_capture_id', captureId);
+      if (!transaction) break;
+
+      // Refunds issued through /api/refunds are already recorded, so only
+      // the pending row (if any) is settled here
+      await markRefundSettled(resource.id, 'succeeded');
+
+      const refundedTotal = resource.seller_payable_breakdown?.total_refunded_amount?.value
+        ?? parseFloat(transaction.refunded_amount || 0) + parseFloat(resource.amount?.value || 0);
+      await applyRefund(transaction, { refundedTotal });
+      await settleEscrowAfterRefund(transaction.commission_id);
+      console.log(`Payment refunded: ${captureId}`);
+      return;
+    }
+    case 'CUSTOMER.DISPUTE.CREATED':
+    case 'CUSTOMER.DISPUTE.RESOLVED': {
+      const captureId = resource.disputed_transactions?.[0]?.seller_transaction_id;
+      const transaction = await findTransaction('paypal_capture_id', captureId);
+      if (!transaction) break;
+
+      const status = event.event_type === 'CUSTOMER.DISPUTE.CREATED'
+        ? 'open'
+        : PAYPAL_DISPUTE_OUTCOMES[resource.dispute_outcome?.outcome_code] || 'won';
+      await applyChargeback(transaction, {
+        chargebackId: resource.dispute_id,
+        status,
+        amount: resource.dispute_outcome?.amount_refunded?.value ?? resource.dispute_amount?.value
+      });
+      console.log(`Chargeback ${status}: ${resource.dispute_id}`);
+      return;
+    }
+    default:
+      console.log(`Unhandled PayPal event type: ${event.event_type}`);
+      return;
+  }
 
-  console.log(`Payment captured for commission ${commissionId}`);
+  console.warn(`No transaction found for PayPal event ${event.id} (${event.event_type})`);
 }
 
 /**
- * Handle failed payment
+ * Apply a verified Stripe webhook event
  */
-async function handlePaymentFailure(capture) {
-  const captureId = capture.id;
-  
-  await supabaseAdmin
-    .from('payment_transactions')
-    .update({ status: 'failed' })
-    .eq('paypal_capture_id', captureId);
+async function handleStripeEvent(event) {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'payment_intent.succeeded': {
+      const transaction = await findTransaction('stripe_payment_intent_id', object.id);
+      if (!transaction) break;
+
+      await completeTransaction(transaction);
+      console.log(`Payment captured for commission ${transaction.commission_id}`);
+      return;
+    }
+    case 'payment_intent.payment_failed': {
+      const transaction = await findTransaction('stripe_payment_intent_id', object.id);
+      if (!transaction) break;
+
+      await failTransaction(transaction, { reason: object.last_payment_error?.message || null });
+      console.log(`Payment failed: ${object.id}`);
+      return;
+    }
+    case 'charge.refunded': {
+      const transaction = await findTransaction('stripe_payment_intent_id', object.payment_intent);
+      if (!transaction) break;
+
+      for (const refund of object.refunds?.data || []) {
+        if (refund.status === 'succeeded') await markRefundSettled(refund.id, 'succeeded');
+      }
+
+      await applyRefund(transaction, { refundedTotal: object.amount_refunded / 100 });
+      await settleEscrowAfterRefund(transaction.commission_id);
+      console.log(`Payment refunded: ${object.payment_intent}`);
+      return;
+    }
+    case 'charge.refund.updated': {
+      // Settles refunds that were still pending when they were issued
+      if (object.status === 'succeeded') {
+        const refund = await markRefundSettled(object.id, 'succeeded');
+        if (refund) await settleEscrowAfterRefund(refund.commission_id);
+      } else if (['failed', 'canceled'].includes(object.status)) {
+        const refund = await markRefundSettled(object.id, 'failed');
+        if (refund) console.warn(`Refund failed: ${object.id} (${object.failure_reason || 'unknown reason'})`);
+      }
+      return;
+    }
+    case 'charge.dispute.created':
+    case 'charge.dispute.closed': {
+      const transaction = await findTransaction('stripe_payment_intent_id', object.payment_intent);
+      if (!transaction) break;
+
+      const status = event.type === 'charge.dispute.created'
+        ? 'open'
+        : (object.status === 'lost' ? 'lost' : 'won');
+      await applyChargeback(transaction, {
+        chargebackId: object.id,
+        status,
+        amount: object.amount / 100
+      });
+      console.log(`Chargeback ${status}: ${object.id}`);
+      return;
+    }
+    default:
+      console.log(`Unhandled Stripe event type: ${event.type}`);
+      return;
+  }
 
-  console.log(`Payment failed: ${captureId}`);
+  console.warn(`No transaction found for Stripe event ${event.id} (${event.type})`);
 }
 
 /**
@@ -1109,32 +1018,18 @@ router.post('/release-escrow', authenticate, async (req, res) => {
       });
     }
 
-    // Get all succeeded transactions for this commission
-    const { data: transactions, error: transactionsError } = await supabaseAdmin
-      .from('payment_transactions')
-      .select('*')
-      .eq('commission_id', commissionId)
-      .eq('status', 'succeeded')
-      .is('paypal_payout_id', null);
-
-    if (transactionsError) throw transactionsError;
-
-    // In production, you would use PayPal Payouts API to transfer funds to artist
-    // For now, we'll just update the records
-    const payoutPromises = transactions.map(async (transaction) => {
-      // In production:
-      // Use PayPal Payouts API to send money to artist's PayPal account
-      // const payout = await paypal.payouts.PayoutsPostRequest(...)
-      
-      return supabaseAdmin
-        .from('payment_transactions')
-        .update({
-          paypal_payout_id: `payout_${Date.now()}` // Placeholder
-        })
-        .eq('id', transaction.id);
-    });
+    // Escrow stays frozen while a dispute is open
+    const activeDispute = await getActiveDispute(commissionId);
+    if (activeDispute) {
+      return res.status(409).json({
+        success: false,
+        error: 'Escrow cannot be released while a dispute is open for this commission',
+        disputeId: activeDispute.id
+      });
+    }
 
-    await Promise.all(payoutPromises);
+    // Move held funds into the artist's releasable balance
+    const releasedAmount = await releaseCommissionFunds(commissionId);
 
     // Update commission escrow status
     await supabaseAdmin
@@ -1142,9 +1037,13 @@ router.post('/release-escrow', authenticate, async (req, res) => {
       .update({ escrow_status: 'released' })
       .eq('id', commissionId);
 
+    // Send the payout in the background - failed attempts are retried by the pipeline
+    await queueArtistPayout(commission.artist_id);
+
     res.json({
       success: true,
-      message: 'Funds released to artist successfully'
+      message: 'Funds released to artist successfully',
+      data: { releasedAmount }
     });
   } catch (error) {
     console.error('Error releasing escrow:', error);
@@ -1220,7 +1119,7 @@ router.post('/tip', authenticate, async (req, res) => {
       }
     });
 
-    const order = await client().execute(request);
+    const order = await getPaypalClient().execute(request);
 
     // Create transaction record (no platform fee on tips)
     const { data: transaction, error: transactionError } = await supabaseAdmin
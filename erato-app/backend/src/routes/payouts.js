@@ -0,0 +1,188 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/supabase.js';
+import { authenticate, requireArtist } from '../middleware/auth.js';
+import { getArtistBalance } from '../utils/payouts/ledger.js';
+import { PAYOUT_STATUSES, processPayouts } from '../utils/payouts/index.js';
+
+const router = express.Router();
+
+const PAYOUT_METHODS = ['paypal', 'stripe'];
+
+/**
+ * @route   GET /api/payouts/balance
+ * @desc    Get the artist's ledger balance (held, releasable, in transit, paid out)
+ * @access  Private (Artist)
+ */
+router.get('/balance', authenticate, requireArtist, async (req, res) => {
+  try {
+    const artistId = req.user.id;
+
+    const balance = await getArtistBalance(artistId);
+
+    // Lifetime totals from captured payments
+    const { data: transactions, error: transactionsError } = await supabaseAdmin
+      .from('payment_transactions')
+      .select('amount, refunded_amount, platform_fee, artist_payout')
+      .eq('recipient_id', artistId)
+      .neq('transaction_type', 'refund')
+      .in('status', ['succeeded', 'partially_refunded']);
+
+    if (transactionsError) throw transactionsError;
+
+    // Partially refunded payments count for the share that was kept
+    const lifetime = (transactions || []).reduce((totals, tx) => {
+      const amount = parseFloat(tx.amount || 0);
+      const kept = amount > 0 ? (amount - parseFloat(tx.refunded_amount || 0)) / amount : 0;
+      return {
+        gross: totals.gross + amount * kept,
+        platformFees: totals.platformFees + parseFloat(tx.platform_fee || 0) * kept,
+        net: totals.net + parseFloat(tx.artist_payout || 0) * kept
+      };
+    }, { gross: 0, platformFees: 0, net: 0 });
+
+    const { data: artist } = await supabaseAdmin
+      .from('artists')
+      .select('payout_method, paypal_email, stripe_account_id')
+      .eq('id', artistId)
+      .maybeSingle();
+
+    res.json({
+      balance,
+      lifetime: {
+        gross: lifetime.gross.toFixed(2),
+        platformFees: lifetime.platformFees.toFixed(2),
+        net: lifetime.net.toFixed(2)
+      },
+      settings: {
+        payout_method: artist?.payout_method || 'paypal',
+        paypal_email: artist?.paypal_email || null,
+        stripe_connected: !!artist?.stripe_account_id
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching payout balance:', error);
+    res.status(500).json({ error: 'Failed to fetch balance' });
+  }
+});
+
+/**
+ * @route   GET /api/payouts/history
+ * @desc    Get the artist's payouts, newest first
+ * @access  Private (Artist)
+ */
+router.get('/history', authenticate, requireArtist, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    if (status && !PAYOUT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${PAYOUT_STATUSES.join(', ')}` });
+    }
+
+    let query = supabaseAdmin
+      .from('artist_payouts')
+      .select('id, provider, amount, currency, status, attempts, last_error, next_attempt_at, provider_reference, paid_at, failed_at, created_at', { count: 'exact' })
+      .eq('artist_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: payouts, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      payouts: payouts || [],
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching payout history:', error);
+    res.status(500).json({ error: 'Failed to fetch payout history' });
+  }
+});
+
+/**
+ * @route   PUT /api/payouts/settings
+ * @desc    Set where the artist gets paid
+ * @access  Private (Artist)
+ */
+router.put('/settings', authenticate, requireArtist, async (req, res) => {
+  try {
+    const { payout_method, paypal_email, stripe_account_id } = req.body;
+    const updates = {};
+
+    if (payout_method !== undefined) {
+      if (!PAYOUT_METHODS.includes(payout_method)) {
+        return res.status(400).json({ error: `Invalid payout method. Must be one of: ${PAYOUT_METHODS.join(', ')}` });
+      }
+      updates.payout_method = payout_method;
+    }
+
+    if (paypal_email !== undefined) {
+      if (paypal_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(paypal_email)) {
+        return res.status(400).json({ error: 'Invalid PayPal email' });
+      }
+      updates.paypal_email = paypal_email || null;
+    }
+
+    if (stripe_account_id !== undefined) {
+      if (stripe_account_id && !stripe_account_id.startsWith('acct_')) {
+        return res.status(400).json({ error: 'Invalid Stripe account ID' });
+      }
+      updates.stripe_account_id = stripe_account_id || null;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No settings to update' });
+    }
+
+    const { data: artist, error } = await supabaseAdmin
+      .from('artists')
+      .update(updates)
+      .eq('id', req.user.id)
+      .select('payout_method, paypal_email, stripe_account_id')
+      .single();
+
+    if (error) throw error;
+
+    res.json({ settings: artist });
+  } catch (error) {
+    console.error('Error updating payout settings:', error);
+    res.status(500).json({ error: 'Failed to update payout settings' });
+  }
+});
+
+/**
+ * @route   POST /api/payouts/request
+ * @desc    Pay out the artist's releasable balance now
+ * @access  Private (Artist)
+ */
+router.post('/request', authenticate, requireArtist, async (req, res) => {
+  try {
+    const result = await processPayouts({ artistIds: [req.user.id] });
+
+    if (result.created === 0 && result.sent === 0) {
+      return res.status(400).json({
+        error: 'Nothing to pay out. Check your releasable balance and payout settings.'
+      });
+    }
+
+    const balance = await getArtistBalance(req.user.id);
+    res.json({ message: 'Payout started', balance });
+  } catch (error) {
+    console.error('Error requesting payout:', error);
+    res.status(500).json({ error: 'Failed to request payout' });
+  }
+});
+
+export default router;
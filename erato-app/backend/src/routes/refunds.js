@@ -0,0 +1,129 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/supabase.js';
+import { authenticate, hasRole } from '../middleware/auth.js';
+import { getCommissionRole } from '../utils/commissionStateMachine.js';
+import { recordModerationAction } from '../utils/moderation.js';
+import { calculateRefund, issueRefund } from '../utils/refunds.js';
+
+const router = express.Router();
+
+async function getCommissionForUser(commissionId, user) {
+  const { data: commission } = await supabaseAdmin
+    .from('commissions')
+    .select('id, client_id, artist_id, status, escrow_status, cancelled_by, cancellation_type')
+    .eq('id', commissionId)
+    .maybeSingle();
+
+  if (!commission) return { error: { status: 404, message: 'Commission not found' } };
+
+  const role = getCommissionRole(commission, user.id) || (hasRole(user, 'admin', 'moderator') ? 'moderator' : null);
+  if (!role) return { error: { status: 403, message: 'Access denied' } };
+
+  return { commission, role };
+}
+
+// Who cancelled decides which of the artist's terms apply
+function getCancellationInitiator(commission) {
+  if (commission.cancelled_by === commission.client_id) return 'client';
+  if (commission.cancelled_by === commission.artist_id) return 'artist';
+  return commission.cancelled_by ? 'moderator' : 'client';
+}
+
+/**
+ * @route   GET /api/refunds/commission/:commissionId/quote
+ * @desc    Preview the refund the artist's cancellation terms allow
+ * @access  Private (Client, Artist or Moderator)
+ */
+router.get('/commission/:commissionId/quote', authenticate, async (req, res) => {
+  try {
+    const { commission, error } = await getCommissionForUser(req.params.commissionId, req.user);
+    if (error) return res.status(error.status).json({ error: error.message });
+
+    // Before cancelling, show the client what a client cancellation would refund
+    const initiatedBy = commission.status === 'cancelled' ? getCancellationInitiator(commission) : 'client';
+    const quote = await calculateRefund(commission, { initiatedBy });
+
+    res.json({ quote });
+  } catch (error) {
+    console.error('Error calculating refund:', error);
+    res.status(500).json({ error: 'Failed to calculate refund' });
+  }
+});
+
+/**
+ * @route   GET /api/refunds/commission/:commissionId
+ * @desc    List refunds issued on a commission
+ * @access  Private (Client, Artist or Moderator)
+ */
+router.get('/commission/:commissionId', authenticate, async (req, res) => {
+  try {
+    const { error } = await getCommissionForUser(req.params.commissionId, req.user);
+    if (error) return res.status(error.status).json({ error: error.message });
+
+    const { data: refunds, error: refundsError } = await supabaseAdmin
+      .from('payment_transactions')
+      .select('*')
+      .eq('commission_id', req.params.commissionId)
+      .eq('transaction_type', 'refund')
+      .order('created_at', { ascending: false });
+
+    if (refundsError) throw refundsError;
+
+    res.json({ refunds: refunds || [] });
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({ error: 'Failed to fetch refunds' });
+  }
+});
+
+/**
+ * @route   POST /api/refunds/commission/:commissionId
+ * @desc    Issue a refund. Without an amount, refunds what the cancellation
+ *          terms allow (cancelled commissions only). Artists and moderators
+ *          may refund a specific amount at any time.
+ * @access  Private (Client, Artist or Moderator)
+ */
+router.post('/commission/:commissionId', authenticate, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const { commission, role, error } = await getCommissionForUser(req.params.commissionId, req.user);
+    if (error) return res.status(error.status).json({ error: error.message });
+
+    if (amount != null && role === 'client') {
+      return res.status(403).json({ error: 'Clients receive the refund set by the cancellation terms' });
+    }
+
+    if (amount == null && commission.status !== 'cancelled') {
+      return res.status(400).json({ error: 'Only cancelled commissions can be refunded under the cancellation terms' });
+    }
+
+    const result = await issueRefund({
+      commission,
+      actorId: req.user.id,
+      initiatedBy: getCancellationInitiator(commission),
+      amount: amount ?? null,
+      reason: reason || null
+    });
+
+    if (role === 'moderator') {
+      await recordModerationAction(req.user, {
+        action: 'refund_issued',
+        targetType: 'commission',
+        targetId: commission.id,
+        reason: reason || null,
+        metadata: { amount: amount ?? null, refunded: result.refunded, failed: result.failed }
+      });
+    }
+
+    res.status(result.failed > 0 ? 502 : 201).json({
+      ...result,
+      ...(result.failed > 0 && { error: 'One or more refunds could not be issued. Please try again.' })
+    });
+  } catch (error) {
+    console.error('Error issuing refund:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
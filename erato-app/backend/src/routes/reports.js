@@ -0,0 +1,81 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/supabase.js';
+import { authenticate } from '../middleware/auth.js';
+import { REPORT_REASONS, REPORT_TARGET_TYPES, createReport } from '../utils/reports.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/reports/reasons
+ * @desc    Report categories and reportable target types
+ * @access  Public
+ */
+router.get('/reasons', (req, res) => {
+  res.json({ reasons: REPORT_REASONS, targetTypes: REPORT_TARGET_TYPES });
+});
+
+/**
+ * @route   POST /api/reports
+ * @desc    Report a user, artwork, message, review, commission request or board
+ * @access  Private
+ */
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { target_type: targetType, target_id: targetId, reason, details } = req.body;
+
+    const { report } = await createReport(req.user, { targetType, targetId, reason, details });
+
+    // Whether the report hid the content is for moderators, not the reporter
+    res.status(201).json({
+      report: {
+        id: report.id,
+        target_type: report.target_type,
+        target_id: report.target_id,
+        reason: report.reason,
+        status: report.status,
+        created_at: report.created_at
+      },
+      message: 'Thanks for your report. Our moderators will review it.'
+    });
+  } catch (error) {
+    console.error('Error creating report:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/reports/mine
+ * @desc    Reports the current user has filed and their outcome
+ * @access  Private
+ */
+router.get('/mine', authenticate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    const { data: reports, error, count } = await supabaseAdmin
+      .from('reports')
+      .select('id, target_type, target_id, reason, details, status, created_at, resolved_at', { count: 'exact' })
+      .eq('reporter_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    res.json({
+      reports: reports || [],
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
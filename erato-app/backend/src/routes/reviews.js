@@ -145,6 +145,7 @@ router.get('/artist/:artistId', async (req, res) => {
       .select('*')
       .eq('artist_id', artistId)
       .eq('review_type', 'client_to_artist')
+      .is('removed_at', null)
       .order('created_at', { ascending: false })
       .limit(20);
 
@@ -218,6 +219,7 @@ router.get('/client/:clientId', async (req, res) => {
       .select('*')
       .eq('client_id', clientId)
       .eq('review_type', 'artist_to_client')
+      .is('removed_at', null)
       .order('created_at', { ascending: false })
       .limit(10);
 
@@ -475,6 +477,7 @@ router.get('/user/:userId', async (req, res) => {
       .select('*')
       .eq('artist_id', userId)
       .eq('review_type', 'artist_to_client')
+      .is('removed_at', null)
       .order('created_at', { ascending: false });
 
     if (error) throw error;
@@ -1,6 +1,11 @@
 import express from 'express';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { addRelation, getUserRelations, removeRelation } from '../utils/blocks.js';
+import { cache, cacheKeys } from '../utils/cache.js';
+import { ArtistRepo, UserRepo } from '../repositories/index.js';
+import { USER_PUBLIC_PROFILE } from '../repositories/selects.js';
+import { publishPresence } from '../utils/realtime.js';
 
 const router = express.Router();
 
@@ -8,27 +13,23 @@ const router = express.Router();
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
     // Try cache first (5 minute TTL for profiles)
-    const { cache, cacheKeys } = await import('../utils/cache.js');
     const cacheKey = cacheKeys.userProfile(req.params.id);
     const cached = await cache.get(cacheKey);
     if (cached) {
       return res.json(cached);
     }
 
-    const { data: user, error: userError } = await supabaseAdmin
-      .from('users')
-      .select('id, username, email, full_name, avatar_url, banner_url, bio, user_type, created_at')
-      .eq('id', req.params.id)
-      .single();
+    const user = await UserRepo.findById(
+      req.params.id,
+      `${USER_PUBLIC_PROFILE}, email, user_type, created_at`
+    );
 
-    if (userError) throw userError;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
     // Check if this is an artist
-    const { data: artist } = await supabaseAdmin
-      .from('artists')
-      .select('*')
-      .eq('id', req.params.id)
-      .single();
+    const artist = await ArtistRepo.findById(req.params.id);
 
     let response = { ...user };
 
@@ -97,49 +98,43 @@ router.get('/:id', optionalAuth, async (req, res) => {
 // Update own profile
 router.put('/me', authenticate, async (req, res) => {
   try {
-    const { full_name, bio, avatar_url, banner_url, username } = req.body;
+    const { full_name, bio, avatar_url, banner_url, username, show_online_status } = req.body;
 
     const updates = {};
     if (full_name !== undefined) updates.full_name = full_name;
     if (bio !== undefined) updates.bio = bio;
     if (avatar_url !== undefined) updates.avatar_url = avatar_url;
     if (banner_url !== undefined) updates.banner_url = banner_url;
+
+    if (show_online_status !== undefined) {
+      if (typeof show_online_status !== 'boolean') {
+        return res.status(400).json({ error: 'show_online_status must be true or false' });
+      }
+      updates.show_online_status = show_online_status;
+    }
     
     // Check if username is being changed and if it's unique
     if (username !== undefined && username.trim() !== '') {
       const trimmedUsername = username.trim();
       
       // Check if username already exists for another user
-      const { data: existingUser } = await supabaseAdmin
-        .from('users')
-        .select('id')
-        .eq('username', trimmedUsername)
-        .neq('id', req.user.id)
-        .single();
+      const existingUser = await UserRepo.findByUsername(trimmedUsername, 'id');
       
-      if (existingUser) {
+      if (existingUser && existingUser.id !== req.user.id) {
         return res.status(400).json({ error: 'Username is already taken' });
       }
       
       updates.username = trimmedUsername;
     }
 
-    const { data, error } = await supabaseAdmin
-      .from('users')
-      .update(updates)
-      .eq('id', req.user.id)
-      .select()
-      .single();
+    // Also drops the cached user and profile
+    const data = await UserRepo.update(req.user.id, updates);
 
-    if (error) {
-      console.error('Database error updating profile:', error);
-      throw error;
+    // Contacts see the user appear, or go offline when they hide
+    if (show_online_status !== undefined && show_online_status !== (req.user.show_online_status !== false)) {
+      await publishPresence(req.user.id, { force: true });
     }
 
-    // Invalidate cache for this user
-    const { cache, cacheKeys } = await import('../utils/cache.js');
-    await cache.del(cacheKeys.userProfile(req.user.id));
-
     res.json(data);
   } catch (error) {
     console.error('Error updating profile:', error);
@@ -161,13 +156,7 @@ router.put('/me/artist', authenticate, async (req, res) => {
     } = req.body;
 
     // Check if artist profile exists
-    const { data: existing } = await supabaseAdmin
-      .from('artists')
-      .select('id')
-      .eq('id', req.user.id)
-      .single();
-
-    if (!existing) {
+    if (!(await ArtistRepo.isArtist(req.user.id))) {
       return res.status(404).json({ error: 'Artist profile not found' });
     }
 
@@ -198,18 +187,7 @@ router.put('/me/artist', authenticate, async (req, res) => {
       console.log('Portfolio images to save (count:', updates.portfolio_images.length, '):', updates.portfolio_images);
     }
 
-    const { data, error } = await supabaseAdmin
-      .from('artists')
-      .update(updates)
-      .eq('id', req.user.id)
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Database error updating artist profile:', error);
-      console.error('Error details:', JSON.stringify(error, null, 2));
-      throw error;
-    }
+    const data = await ArtistRepo.update(req.user.id, updates);
 
     console.log('Database update successful. Raw response:', JSON.stringify(data, null, 2));
 
@@ -233,8 +211,7 @@ router.put('/me/artist', authenticate, async (req, res) => {
       data.portfolio_images = [];
     }
 
-    // Invalidate cache for this user's profile to ensure fresh data on next fetch
-    const { cache, cacheKeys } = await import('../utils/cache.js');
+    // The user profile embeds the artist row, so drop it as well
     await cache.del(cacheKeys.userProfile(req.user.id));
     console.log('Cache invalidated for user:', req.user.id);
 
@@ -272,43 +249,21 @@ router.post('/me/artist/onboarding', authenticate, async (req, res) => {
     }
 
     // Check if artist profile exists
-    let { data: existing } = await supabaseAdmin
-      .from('artists')
-      .select('id')
-      .eq('id', req.user.id)
-      .single();
-
     // If artist profile doesn't exist, create it
-    if (!existing) {
-      const { data: newArtist, error: createError } = await supabaseAdmin
-        .from('artists')
-        .insert({
-          id: req.user.id,
-          commission_status: 'open',
-          portfolio_images: filteredImages, // Set portfolio images on creation
-        })
-        .select()
-        .single();
-
-      if (createError) {
-        console.error('Error creating artist profile:', createError);
-        throw createError;
-      }
-      existing = newArtist;
+    if (!(await ArtistRepo.isArtist(req.user.id))) {
+      await ArtistRepo.create({
+        id: req.user.id,
+        commission_status: 'open',
+        portfolio_images: filteredImages, // Set portfolio images on creation
+      });
     }
 
     // Update artist profile with portfolio images and mark onboarding as complete
-    const { data, error } = await supabaseAdmin
-      .from('artists')
-      .update({
-        portfolio_images: filteredImages, // Use filtered images
-        onboarding_completed: true
-      })
-      .eq('id', req.user.id)
-      .select()
-      .single();
-
-    if (error) throw error;
+    const data = await ArtistRepo.update(req.user.id, {
+      portfolio_images: filteredImages, // Use filtered images
+      onboarding_completed: true
+    });
+    await cache.del(cacheKeys.userProfile(req.user.id));
 
     res.json({
       message: 'Onboarding completed successfully',
@@ -379,6 +334,9 @@ router.get('/:id/boards', optionalAuth, async (req, res) => {
     // If not viewing own profile, only show public boards
     const isOwnProfile = req.user && req.user.id === userId;
     if (!isOwnProfile) {
+      if (req.blocks?.hidden.includes(userId)) {
+        return res.json([]);
+      }
       query = query.eq('is_public', true);
     }
 
@@ -404,4 +362,65 @@ router.get('/:id/boards', optionalAuth, async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// Get users the current user has blocked or muted
+router.get('/me/blocks', authenticate, async (req, res) => {
+  try {
+    const { blocked, muted } = await getUserRelations(req.user.id);
+    const ids = [...new Set([...blocked, ...muted])];
+
+    const usersById = await UserRepo.mapByIds(ids);
+    res.json({
+      blocked: blocked.map(id => usersById.get(id)).filter(Boolean),
+      muted: muted.map(id => usersById.get(id)).filter(Boolean)
+    });
+  } catch (error) {
+    console.error('Error fetching blocked users:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Block a user: no contact either way and no artworks in each other's discovery
+router.post('/:id/block', authenticate, async (req, res) => {
+  try {
+    await addRelation(req.user.id, req.params.id, 'block');
+    res.json({ message: 'User blocked' });
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Unblock a user
+router.delete('/:id/block', authenticate, async (req, res) => {
+  try {
+    await removeRelation(req.user.id, req.params.id, 'block');
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mute a user: stop notifications from their activity without blocking them
+router.post('/:id/mute', authenticate, async (req, res) => {
+  try {
+    await addRelation(req.user.id, req.params.id, 'mute');
+    res.json({ message: 'User muted' });
+  } catch (error) {
+    console.error('Error muting user:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Unmute a user
+router.delete('/:id/mute', authenticate, async (req, res) => {
+  try {
+    await removeRelation(req.user.id, req.params.id, 'mute');
+    res.json({ message: 'User unmuted' });
+  } catch (error) {
+    console.error('Error unmuting user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,7 +1,8 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
 import { supabaseAdmin } from '../config/supabase.js';
 import multer from 'multer';
+import { getPendingVerifications, reviewVerification } from '../utils/moderation.js';
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
@@ -215,34 +216,12 @@ router.get('/my-submissions', authenticate, async (req, res) => {
 
 /**
  * @route   GET /api/verification/pending
- * @desc    Get all pending verification submissions (Admin only)
- * @access  Private (Admin)
+ * @desc    Get all pending verification submissions (Staff only)
+ * @access  Private (Admin, Moderator, Support)
  */
-router.get('/pending', authenticate, async (req, res) => {
+router.get('/pending', authenticate, requireRole('admin', 'moderator', 'support'), async (req, res) => {
   try {
-    // TODO: Add admin role check
-    // For now, this is open to all authenticated users
-    // In production, add: if (!req.user.isAdmin) return res.status(403)...
-
-    const { data, error } = await supabaseAdmin
-      .from('verification_submissions')
-      .select(`
-        *,
-        artists (
-          id,
-          user_id,
-          bio,
-          users (
-            username,
-            email,
-            profile_picture
-          )
-        )
-      `)
-      .eq('status', 'pending')
-      .order('submitted_at', { ascending: true });
-
-    if (error) throw error;
+    const data = await getPendingVerifications();
 
     res.json({
       success: true,
@@ -256,70 +235,14 @@ router.get('/pending', authenticate, async (req, res) => {
 
 /**
  * @route   POST /api/verification/review/:submissionId
- * @desc    Approve or reject a verification submission (Admin only)
- * @access  Private (Admin)
+ * @desc    Approve or reject a verification submission (Moderators only)
+ * @access  Private (Admin, Moderator)
  */
-router.post('/review/:submissionId', authenticate, async (req, res) => {
+router.post('/review/:submissionId', authenticate, requireRole('admin', 'moderator'), async (req, res) => {
   try {
-    const { submissionId } = req.params;
     const { action, adminNotes } = req.body; // action: 'approve' or 'reject'
-    const reviewerId = req.user.id;
-
-    // TODO: Add admin role check
-    // For now, this is open to all authenticated users
-    // In production, add: if (!req.user.isAdmin) return res.status(403)...
-
-    if (!['approve', 'reject'].includes(action)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Action must be either "approve" or "reject"'
-      });
-    }
-
-    // Get submission
-    const { data: submission, error: submissionError } = await supabaseAdmin
-      .from('verification_submissions')
-      .select('artist_id, verification_type')
-      .eq('id', submissionId)
-      .single();
-
-    if (submissionError) throw submissionError;
-
-    // Update submission
-    const { data: updatedSubmission, error: updateError } = await supabaseAdmin
-      .from('verification_submissions')
-      .update({
-        status: action === 'approve' ? 'approved' : 'rejected',
-        admin_notes: adminNotes,
-        reviewed_at: new Date().toISOString(),
-        reviewed_by: reviewerId
-      })
-      .eq('id', submissionId)
-      .select()
-      .single();
 
-    if (updateError) throw updateError;
-
-    // Update artist verification status
-    if (action === 'approve') {
-      await supabaseAdmin
-        .from('artists')
-        .update({
-          verified: true,
-          verification_status: 'verified',
-          verification_type: submission.verification_type,
-          verified_at: new Date().toISOString()
-        })
-        .eq('id', submission.artist_id);
-    } else {
-      await supabaseAdmin
-        .from('artists')
-        .update({
-          verification_status: 'rejected',
-          verification_notes: adminNotes
-        })
-        .eq('id', submission.artist_id);
-    }
+    const updatedSubmission = await reviewVerification(req.user, req.params.submissionId, { action, adminNotes });
 
     res.json({
       success: true,
@@ -328,7 +251,7 @@ router.post('/review/:submissionId', authenticate, async (req, res) => {
     });
   } catch (error) {
     console.error('Error reviewing verification:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -415,10 +338,32 @@ router.get('/stats/:artistId', async (req, res) => {
       ? reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length
       : 0;
 
+    // Disputes on this artist's commissions that ended in a refund count against the badge
+    const { data: artistCommissions, error: artistCommissionsError } = await supabaseAdmin
+      .from('commissions')
+      .select('id')
+      .eq('artist_id', artistId);
+
+    if (artistCommissionsError) throw artistCommissionsError;
+
+    const commissionIds = (artistCommissions || []).map(c => c.id);
+    const { count: lostDisputes, error: disputesError } = commissionIds.length > 0
+      ? await supabaseAdmin
+          .from('commission_disputes')
+          .select('id', { count: 'exact', head: true })
+          .in('commission_id', commissionIds)
+          .eq('status', 'resolved')
+          .in('resolution', ['full_refund', 'partial_refund'])
+      : { count: 0, error: null };
+
+    if (disputesError) throw disputesError;
+
+    const eligibleForPaymentBadge = completedCommissions >= 5 && averageRating >= 4.0 && !lostDisputes;
+
     // Calculate verification progress
     const verificationProgress = {
       portfolio: artist.verification_type === 'portfolio' && artist.verified,
-      payment: completedCommissions >= 5 && averageRating >= 4.0
+      payment: eligibleForPaymentBadge
     };
 
     res.json({
@@ -431,7 +376,8 @@ router.get('/stats/:artistId', async (req, res) => {
         stats: {
           completedCommissions,
           averageRating: averageRating.toFixed(1),
-          eligibleForPaymentBadge: completedCommissions >= 5 && averageRating >= 4.0
+          lostDisputes: lostDisputes || 0,
+          eligibleForPaymentBadge
         },
         progress: verificationProgress
       }
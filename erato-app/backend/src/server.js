@@ -1,46 +1,16 @@
-import express from 'express';
-import cors from 'cors';
-import helmet from 'helmet';
-import compression from 'compression';
-import morgan from 'morgan';
 import dotenv from 'dotenv';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 
-// Import routes
-import authRoutes from './routes/auth.js';
-import artistRoutes from './routes/artists.js';
-import artworkRoutes from './routes/artworks.js';
-import boardRoutes from './routes/boards.js';
-import swipeRoutes from './routes/swipes.js';
-import messageRoutes from './routes/messages.js';
-import commissionRoutes from './routes/commissions.js';
-import userRoutes from './routes/users.js';
-import uploadRoutes from './routes/uploads.js';
-import reviewRoutes from './routes/reviews.js';
-import notificationRoutes from './routes/notifications.js';
-import commissionPackageRoutes from './routes/commissionPackages.js';
-import commissionRequestRoutes from './routes/commissionRequests.js';
-// New feature routes
-import formBuilderRoutes from './routes/formBuilder.js';
-import referencesRoutes from './routes/references.js';
-import verificationRoutes from './routes/verification.js';
-import paymentsRoutes from './routes/payments.js';
-import reviewEnhancementsRoutes from './routes/reviewEnhancements.js';
-import userPreferencesRoutes from './routes/userPreferences.js';
-import engagementRoutes from './routes/engagement.js';
-import milestonesRoutes from './routes/milestones.js';
-
-// Import middleware
-import { errorHandler } from './middleware/errorHandler.js';
-import { rateLimiter } from './middleware/rateLimiter.js';
-import { performanceMonitor } from './middleware/performance.js';
-import './utils/cache.js'; // Initialize Redis connection
+import { createApp } from './app.js';
+import redis from './utils/cache.js'; // Initialize Redis connection
+import { attachRealtime } from './utils/realtime.js';
+import { startWorker } from './jobs/index.js';
 
 // Load environment variables
 dotenv.config();
 
-const app = express();
+const app = createApp();
 const httpServer = createServer(app);
 
 // Socket.io setup for real-time messaging
@@ -81,163 +51,9 @@ try {
   // Socket.io will work without Redis adapter, just won't be scalable across multiple servers
 }
 
-// Middleware
-// Trust proxy - configure to trust only the first proxy (more secure)
-// Set to 1 to trust only the first proxy, or specific IPs if behind a known proxy
-app.set('trust proxy', 1);
-app.use(helmet());
-app.use(compression({
-  level: 6, // Compression level (1-9, 6 is good balance)
-  threshold: 1024, // Only compress responses > 1KB
-}));
-// CORS configuration - support both domain and localhost
-const corsOptions = {
-  origin: (origin, callback) => {
-    // Allow requests with no origin (like mobile apps or curl requests)
-    if (!origin) return callback(null, true);
-    const allowedOrigins = process.env.FRONTEND_URL 
-      ? process.env.FRONTEND_URL.split(',').map(url => url.trim())
-      : ['http://localhost:19006', 'https://api.verrocio.com'];
-    
-    if (allowedOrigins.includes(origin) || allowedOrigins.some(allowed => origin.startsWith(allowed))) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
-    }
-  },
-  credentials: true,
-};
-app.use(cors(corsOptions));
-app.use(performanceMonitor); // Add performance monitoring before routes
-app.use(morgan('dev'));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Health check endpoint (before rate limiting for monitoring services)
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
-
-// Development-only: Reset rate limits endpoint (must be BEFORE rate limiter)
-if (process.env.NODE_ENV !== 'production' || process.env.ALLOW_RATE_LIMIT_RESET === 'true') {
-  app.post('/dev/reset-rate-limit', (req, res) => {
-    // Note: This endpoint won't actually clear the rate limit store
-    // The easiest way is to wait for the window to expire (now 1 minute in dev)
-    // or restart the server. The new limits will apply after the current window expires.
-    res.json({ 
-      message: 'Rate limit info',
-      currentWindow: '1 minute (development mode)',
-      maxRequests: '1000 per minute (development mode)',
-      note: 'If you\'re still rate limited, wait 1 minute for the window to reset, or restart the server.',
-      timestamp: new Date().toISOString(),
-    });
-  });
-}
-
-// Apply rate limiting to all routes (except health check and dev endpoints)
-app.use(rateLimiter);
-
-// Make io available to routes via app.locals
-app.locals.io = io;
-
-// API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/artists', artistRoutes);
-app.use('/api/artworks', artworkRoutes);
-app.use('/api/boards', boardRoutes);
-app.use('/api/swipes', swipeRoutes);
-app.use('/api/messages', messageRoutes);
-app.use('/api/commissions', commissionRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/uploads', uploadRoutes);
-app.use('/api/reviews', reviewRoutes);
-app.use('/api/notifications', notificationRoutes);
-app.use('/api/commission-packages', commissionPackageRoutes);
-app.use('/api/commission-requests', commissionRequestRoutes);
-// New feature routes
-app.use('/api/form-builder', formBuilderRoutes);
-app.use('/api/references', referencesRoutes);
-app.use('/api/verification', verificationRoutes);
-app.use('/api/payments', paymentsRoutes);
-app.use('/api/review-enhancements', reviewEnhancementsRoutes);
-app.use('/api/user-preferences', userPreferencesRoutes);
-app.use('/api/engagement', engagementRoutes);
-app.use('/api/milestones', milestonesRoutes);
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
-
-// Error handler (must be last)
-app.use(errorHandler);
-
-// Socket.io connection handling with authentication
-io.use(async (socket, next) => {
-  try {
-    const token = socket.handshake.auth?.token;
-    if (!token) {
-      return next(new Error('Authentication token required'));
-    }
-
-    // Verify JWT token
-    const jwt = (await import('jsonwebtoken')).default;
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    socket.userId = decoded.userId;
-    next();
-  } catch (error) {
-    console.error('Socket authentication error:', error);
-    next(new Error('Authentication failed'));
-  }
-});
-
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id, 'userId:', socket.userId);
-
-  // Join a conversation room
-  socket.on('join-conversation', (conversationId) => {
-    socket.join(`conversation-${conversationId}`);
-    console.log(`User ${socket.userId} (${socket.id}) joined conversation-${conversationId}`);
-  });
-
-  // Join user's notification room
-  socket.on('join-notifications', async (user) => {
-    userId = user.id;
-    socket.join(`notifications-${userId}`);
-    
-    // Subscribe to Redis pub/sub for real-time notifications
-    try {
-      const { FeedService } = await import('./utils/redisServices.js');
-      const subscriber = FeedService.subscribeToFeed(userId, (update) => {
-        socket.emit('notification', update);
-      });
-      
-      socket.on('disconnect', () => {
-        subscriber.disconnect();
-      });
-    } catch (error) {
-      console.error('Error setting up notification subscription:', error);
-    }
-  });
-
-  // Send message
-  socket.on('send-message', (data) => {
-    io.to(`conversation-${data.conversationId}`).emit('new-message', data);
-  });
-
-  // Typing indicator
-  socket.on('typing', (data) => {
-    socket.to(`conversation-${data.conversationId}`).emit('user-typing', {
-      userId: data.userId,
-      isTyping: data.isTyping,
-    });
-  });
-
-  // Disconnect
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+// Authentication, rooms and the connection handlers live in utils/realtime.js;
+// routes and jobs emit through it rather than through this io instance
+attachRealtime(io);
 
 // Start server
 const PORT = process.env.PORT || 3000;
@@ -248,5 +64,12 @@ httpServer.listen(PORT, '0.0.0.0', () => {
   console.log(`🔗 API: http://localhost:${PORT}`);
 });
 
+// Background jobs run in the worker (npm run worker). JOB_WORKER=inline
+// runs them here instead, for a single-process development setup; with
+// several API processes every one of them would be a consumer.
+if (process.env.JOB_WORKER === 'inline') {
+  startWorker();
+}
+
 export { io };
 export default app;
@@ -0,0 +1,358 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { getDeclineReasonLabel } from './declines.js';
+
+// ============================================================================
+// ARTIST ANALYTICS
+// Earnings and business metrics for one artist over a date range, bucketed
+// by day, week or month. Every bucket and the range total are computed the
+// same way, so the JSON series and the CSV export carry the same columns.
+//
+// Request metrics (acceptance, response time, repeat clients and the funnel)
+// follow the requests made in a bucket; money follows when it was captured
+// or refunded, and completions follow when the work was completed.
+// Declines are also broken down by the reason the artist gave.
+// ============================================================================
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+export const MAX_PERIODS = 400;
+
+const PAYMENT_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+const ACCEPTED_STATUSES = ['accepted', 'in_progress', 'completed'];
+// PostgREST caps every response at its max-rows setting (1000 by default)
+// without saying so, so rows are read in pages no larger than that
+const PAGE_ROWS = 1000;
+
+// CSV column order; also the keys of every row
+export const ANALYTICS_COLUMNS = [
+  'period',
+  'gross',
+  'platform_fees',
+  'tips',
+  'refunds',
+  'net',
+  'artwork_views',
+  'requests',
+  'accepted',
+  'declined',
+  'acceptance_rate',
+  'decline_rate',
+  'average_response_hours',
+  'requests_completed',
+  'completed',
+  'average_commission_value',
+  'on_time_rate',
+  'repeat_client_rate',
+];
+
+/**
+ * Default interval for a range: daily up to two months, weekly up to a
+ * year, monthly beyond.
+ */
+export function defaultInterval(from, to) {
+  const days = (to - from) / DAY;
+  if (days <= 62) return 'day';
+  if (days <= 366) return 'week';
+  return 'month';
+}
+
+// Start of the UTC day, ISO week (Monday) or month containing `ms`
+function periodStart(ms, interval) {
+  const date = new Date(ms);
+  date.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    date.setUTCDate(1);
+  }
+  return date.getTime();
+}
+
+function nextPeriod(ms, interval) {
+  const date = new Date(ms);
+  if (interval === 'day') date.setUTCDate(date.getUTCDate() + 1);
+  if (interval === 'week') date.setUTCDate(date.getUTCDate() + 7);
+  if (interval === 'month') date.setUTCMonth(date.getUTCMonth() + 1);
+  return date.getTime();
+}
+
+/**
+ * Period start times covering [from, to].
+ */
+export function listPeriods(from, to, interval) {
+  const periods = [];
+  for (let start = periodStart(from, interval); start <= to; start = nextPeriod(start, interval)) {
+    periods.push(start);
+  }
+  return periods;
+}
+
+const time = value => (value ? new Date(value).getTime() : null);
+const money = value => Math.round(value * 100) / 100;
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+const mean = values => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+// ----------------------------------------------------------------------------
+// Loading
+// ----------------------------------------------------------------------------
+
+// Every row `buildQuery()` selects, fetched a page at a time in id order
+async function selectAll(buildQuery) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_ROWS) {
+    const { data, error } = await buildQuery()
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_ROWS - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_ROWS) return rows;
+  }
+}
+
+function loadCommissions(artistId, to) {
+  return selectAll(() => supabaseAdmin
+    .from('commissions')
+    .select('id, client_id, status, decline_reason, final_price, deadline, created_at, responded_at, updated_at')
+    .eq('artist_id', artistId)
+    .lte('created_at', new Date(to).toISOString()));
+}
+
+// When the artist answered each request, whether they took it on, and when
+// the work was completed. Filtered through the commission rather than by a
+// list of ids, which would not fit in a URL for a busy artist.
+async function loadStatusTimes(artistId) {
+  const times = new Map();
+
+  const data = await selectAll(() => supabaseAdmin
+    .from('commission_status_history')
+    .select('commission_id, from_status, to_status, actor_role, created_at, commissions!inner(artist_id)')
+    .eq('commissions.artist_id', artistId));
+
+  for (const entry of data) {
+    const entryTimes = times.get(entry.commission_id) || {};
+    if (entry.from_status === 'pending' && entry.actor_role === 'artist') {
+      entryTimes.respondedAt = Math.min(entryTimes.respondedAt ?? Infinity, time(entry.created_at));
+      if (ACCEPTED_STATUSES.includes(entry.to_status)) entryTimes.accepted = true;
+    }
+    if (entry.to_status === 'completed') {
+      entryTimes.completedAt = time(entry.created_at);
+    }
+    times.set(entry.commission_id, entryTimes);
+  }
+
+  return times;
+}
+
+async function loadPayments(artistId, from, to) {
+  const [payments, refunds] = await Promise.all([
+    selectAll(() => supabaseAdmin
+      .from('payment_transactions')
+      .select('transaction_type, amount, platform_fee, status, created_at, processed_at')
+      .eq('recipient_id', artistId)
+      .neq('transaction_type', 'refund')
+      .in('status', PAYMENT_STATUSES)
+      .lte('created_at', new Date(to).toISOString())),
+    selectAll(() => supabaseAdmin
+      .from('payment_transactions')
+      .select('amount, created_at, processed_at')
+      .eq('payer_id', artistId)
+      .eq('transaction_type', 'refund')
+      .eq('status', 'succeeded')
+      .lte('created_at', new Date(to).toISOString())),
+  ]);
+
+  const inRange = tx => {
+    const at = time(tx.processed_at) ?? time(tx.created_at);
+    return at >= from && at <= to ? { ...tx, at } : null;
+  };
+
+  return {
+    payments: payments.map(inRange).filter(Boolean),
+    refunds: refunds.map(inRange).filter(Boolean),
+  };
+}
+
+async function loadViewTimes(artistId, from, to) {
+  const data = await selectAll(() => supabaseAdmin
+    .from('user_engagement')
+    .select('created_at, artworks!inner(artist_id)')
+    .eq('artworks.artist_id', artistId)
+    .eq('engagement_type', 'view')
+    .gte('created_at', new Date(from).toISOString())
+    .lte('created_at', new Date(to).toISOString()));
+
+  return data.map(view => time(view.created_at));
+}
+
+// ----------------------------------------------------------------------------
+// Metrics
+// ----------------------------------------------------------------------------
+
+function summarize({ period, payments, refunds, views, requests, completions }) {
+  const gross = payments.filter(tx => tx.transaction_type !== 'tip').reduce((sum, tx) => sum + parseFloat(tx.amount || 0), 0);
+  const platformFees = payments.reduce((sum, tx) => sum + parseFloat(tx.platform_fee || 0), 0);
+  const tips = payments.filter(tx => tx.transaction_type === 'tip').reduce((sum, tx) => sum + parseFloat(tx.amount || 0), 0);
+  const refunded = refunds.reduce((sum, tx) => sum + parseFloat(tx.amount || 0), 0);
+
+  const accepted = requests.filter(r => r.outcome === 'accepted').length;
+  const declined = requests.filter(r => r.outcome === 'declined').length;
+  const responseHours = requests.filter(r => r.respondedAt).map(r => (r.respondedAt - r.createdAt) / (60 * 60 * 1000));
+
+  const withDeadline = completions.filter(c => c.deadline);
+  const clients = new Set(requests.map(r => r.clientId));
+  const returning = new Set(requests.filter(r => r.returningClient).map(r => r.clientId)).size;
+
+  const value = mean(completions.filter(c => c.finalPrice !== null).map(c => c.finalPrice));
+  const hours = mean(responseHours);
+
+  return {
+    period,
+    gross: money(gross),
+    platform_fees: money(platformFees),
+    tips: money(tips),
+    refunds: money(refunded),
+    net: money(gross + tips - platformFees - refunded),
+    artwork_views: views.length,
+    requests: requests.length,
+    accepted,
+    declined,
+    acceptance_rate: ratio(accepted, accepted + declined),
+    decline_rate: ratio(declined, accepted + declined),
+    average_response_hours: hours === null ? null : Math.round(hours * 10) / 10,
+    requests_completed: requests.filter(r => r.completed).length,
+    completed: completions.length,
+    average_commission_value: value === null ? null : money(value),
+    on_time_rate: ratio(withDeadline.filter(c => c.completedAt <= c.deadline).length, withDeadline.length),
+    repeat_client_rate: ratio(returning, clients.size),
+  };
+}
+
+/**
+ * Analytics for one artist between `from` and `to` (ms timestamps).
+ * Returns { range, summary, series, funnel, decline_reasons }.
+ */
+export async function getArtistAnalytics(artistId, { from, to, interval = defaultInterval(from, to) }) {
+  const commissions = await loadCommissions(artistId, to);
+  const [statusTimes, { payments, refunds }, views] = await Promise.all([
+    loadStatusTimes(artistId),
+    loadPayments(artistId, from, to),
+    loadViewTimes(artistId, from, to),
+  ]);
+
+  // A client is returning if they had commissioned the artist before
+  const firstRequestAt = new Map();
+  for (const c of commissions) {
+    const at = time(c.created_at);
+    if (!firstRequestAt.has(c.client_id) || at < firstRequestAt.get(c.client_id)) {
+      firstRequestAt.set(c.client_id, at);
+    }
+  }
+
+  const requests = [];
+  const completions = [];
+
+  for (const c of commissions) {
+    const createdAt = time(c.created_at);
+    const times = statusTimes.get(c.id) || {};
+    const completedAt = times.completedAt ?? (c.status === 'completed' ? time(c.updated_at) : null);
+
+    if (createdAt >= from) {
+      requests.push({
+        createdAt,
+        clientId: c.client_id,
+        respondedAt: time(c.responded_at) ?? times.respondedAt ?? null,
+        // Cancelled work still counts as accepted if the artist took it on
+        outcome: c.status === 'declined'
+          ? 'declined'
+          : ACCEPTED_STATUSES.includes(c.status) || times.accepted ? 'accepted' : null,
+        declineReason: c.status === 'declined' ? c.decline_reason || null : null,
+        completed: c.status === 'completed',
+        returningClient: firstRequestAt.get(c.client_id) < createdAt,
+      });
+    }
+
+    if (completedAt !== null && completedAt >= from && completedAt <= to) {
+      completions.push({
+        completedAt,
+        deadline: time(c.deadline),
+        finalPrice: c.final_price !== null && c.final_price !== undefined ? parseFloat(c.final_price) : null,
+      });
+    }
+  }
+
+  const periods = listPeriods(from, to, interval);
+  const inPeriod = (start, end) => at => at >= start && at < end;
+
+  const series = periods.map((start, i) => {
+    const within = inPeriod(start, periods[i + 1] ?? Infinity);
+    return summarize({
+      period: new Date(start).toISOString().slice(0, 10),
+      payments: payments.filter(tx => within(tx.at)),
+      refunds: refunds.filter(tx => within(tx.at)),
+      views: views.filter(within),
+      requests: requests.filter(r => within(r.createdAt)),
+      completions: completions.filter(c => within(c.completedAt)),
+    });
+  });
+
+  const summary = summarize({ period: 'total', payments, refunds, views, requests, completions });
+
+  // Declines from before reasons were recorded count as 'unspecified'
+  const declineCounts = new Map();
+  for (const r of requests.filter(r => r.outcome === 'declined')) {
+    const reason = r.declineReason || 'unspecified';
+    declineCounts.set(reason, (declineCounts.get(reason) || 0) + 1);
+  }
+  const declineReasons = [...declineCounts.entries()]
+    .map(([reason, count]) => ({
+      reason,
+      label: reason === 'unspecified' ? 'No reason given' : getDeclineReasonLabel(reason),
+      count,
+      share: ratio(count, summary.declined),
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    range: { from: new Date(from).toISOString(), to: new Date(to).toISOString(), interval },
+    summary,
+    series,
+    funnel: {
+      artwork_views: summary.artwork_views,
+      requests: summary.requests,
+      accepted: summary.accepted,
+      completed: summary.requests_completed,
+      view_to_request_rate: ratio(summary.requests, summary.artwork_views),
+      request_to_accept_rate: ratio(summary.accepted, summary.requests),
+      accept_to_complete_rate: ratio(summary.requests_completed, summary.accepted),
+    },
+    decline_reasons: declineReasons,
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One line per period, then the range total.
+ */
+export function analyticsToCsv({ series, summary }) {
+  const lines = [ANALYTICS_COLUMNS.join(',')];
+  for (const row of [...series, summary]) {
+    lines.push(ANALYTICS_COLUMNS.map(column => csvValue(row[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export default {
+  ANALYTICS_INTERVALS,
+  ANALYTICS_COLUMNS,
+  defaultInterval,
+  listPeriods,
+  getArtistAnalytics,
+  analyticsToCsv,
+};
@@ -0,0 +1,696 @@
+import { randomUUID } from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { ArtistRepo, CommissionRepo, UserRepo } from '../repositories/index.js';
+// Shared client from cache.js (a live binding, so an injected client is picked up)
+import redis, { cache, cacheKeys } from './cache.js';
+import { queueNotification, queuePush } from '../jobs/notifications.js';
+import { isDrop, openDrop, settleDrop } from './slotDrops.js';
+
+// ============================================================================
+// ARTIST COMMISSION SETTINGS
+// One schema for everything an artist configures about taking commissions:
+// queue slots, waitlist, open/closed state, will/won't-draw lists, terms,
+// cancellation terms and auto-close rules. Values live in
+// artist_commission_settings; every change is diffed into
+// artist_settings_history with who made it and why.
+//
+// is_open drives artists.commission_status (which discovery filters on), so
+// opening and closing always goes through updateArtistSettings().
+//
+// Scheduled windows (artist_commission_windows) open commissions at a set
+// time, optionally for a limited number of requests, and close them again
+// at closes_at. They are applied by delayed jobs and by the scheduler sweep;
+// status guards make applying a window twice harmless. A window with a
+// first-come or lottery `allocation` is a slot drop (see slotDrops.js).
+//
+// A request outside a drop counts the artist's taken slots and then inserts,
+// so it holds the artist's slot lock (lockSlots) in between; otherwise two
+// requests could both see the last slot free and both take it.
+// ============================================================================
+
+const SETTINGS_TTL = 300;
+const MAX_UPCOMING_WINDOWS = 10;
+
+// Schedules a window may start this far in the past (clock skew, slow forms)
+const WINDOW_GRACE = 60 * 1000;
+
+// `public` fields are shown on the artist's profile
+export const SETTINGS_SCHEMA = {
+  is_open: { type: 'boolean', default: true, public: true },
+  status_message: { type: 'string', maxLength: 280, nullable: true, default: null, public: true },
+  max_queue_slots: { type: 'integer', min: 1, max: 100, default: 5, public: true },
+  allow_waitlist: { type: 'boolean', default: false, public: true },
+  auto_promote_waitlist: { type: 'boolean', default: true },
+  will_draw: { type: 'list', maxItems: 50, maxLength: 100, default: [], public: true },
+  wont_draw: { type: 'list', maxItems: 50, maxLength: 100, default: [], public: true },
+  terms_of_service: { type: 'string', maxLength: 10000, nullable: true, default: null, public: true },
+  avg_response_hours: { type: 'integer', min: 1, max: 720, nullable: true, default: null, public: true },
+  cancellation_fee_percentage: { type: 'number', min: 0, max: 100, default: 0, public: true },
+  deposit_refundable: { type: 'boolean', default: true, public: true },
+  // Close when every slot is taken
+  auto_close_when_full: { type: 'boolean', default: false },
+  // Close after this many requests since commissions last opened
+  auto_close_after_requests: { type: 'integer', min: 1, max: 1000, nullable: true, default: null },
+};
+
+// Returned by GET /settings but set by the service, not the artist
+const READ_ONLY_FIELDS = ['id', 'artist_id', 'opened_at', 'open_request_limit', 'created_at', 'updated_at'];
+
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([field, rule]) => [field, rule.default])
+);
+
+export const WINDOW_STATUSES = ['scheduled', 'open', 'closed', 'cancelled'];
+// 'open' windows take requests as usual; the others are slot drops
+export const WINDOW_ALLOCATIONS = ['open', 'first_come', 'lottery'];
+
+// ----------------------------------------------------------------------------
+// Validation
+// ----------------------------------------------------------------------------
+
+function validateField(field, rule, value) {
+  if (value === null || value === undefined || value === '') {
+    if (rule.nullable) return { value: null };
+    if (rule.type === 'list') return { value: [] };
+    return { error: `${field} is required` };
+  }
+
+  switch (rule.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: `${field} must be true or false` };
+      return { value };
+
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+        return { error: `${field} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}` };
+      }
+      if (number < rule.min || number > rule.max) {
+        return { error: `${field} must be between ${rule.min} and ${rule.max}` };
+      }
+      return { value: number };
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') return { error: `${field} must be text` };
+      const text = value.trim();
+      if (text.length > rule.maxLength) return { error: `${field} must be at most ${rule.maxLength} characters` };
+      return { value: text || (rule.nullable ? null : '') };
+    }
+
+    case 'list': {
+      // Older clients send a comma-separated string
+      const items = typeof value === 'string' ? value.split(',') : value;
+      if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+        return { error: `${field} must be a list of text` };
+      }
+      const cleaned = [...new Set(items.map(item => item.trim()).filter(Boolean))];
+      if (cleaned.length > rule.maxItems) return { error: `${field} can have at most ${rule.maxItems} entries` };
+      if (cleaned.some(item => item.length > rule.maxLength)) {
+        return { error: `${field} entries must be at most ${rule.maxLength} characters` };
+      }
+      return { value: cleaned };
+    }
+
+    default:
+      return { error: `${field} cannot be set` };
+  }
+}
+
+/**
+ * Check a partial settings object against SETTINGS_SCHEMA. Returns
+ * { values, errors } where errors is [{ field, message }].
+ */
+export function validateSettings(input) {
+  const values = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: [{ field: null, message: 'Settings object is required' }] };
+  }
+
+  for (const [field, value] of Object.entries(input)) {
+    if (READ_ONLY_FIELDS.includes(field)) continue;
+
+    const rule = SETTINGS_SCHEMA[field];
+    if (!rule) {
+      errors.push({ field, message: `Unknown setting: ${field}` });
+      continue;
+    }
+
+    const result = validateField(field, rule, value);
+    if (result.error) errors.push({ field, message: result.error });
+    else values[field] = result.value;
+  }
+
+  return { values, errors };
+}
+
+// ----------------------------------------------------------------------------
+// Reading
+// ----------------------------------------------------------------------------
+
+async function loadSettingsRow(artistId) {
+  const { data, error } = await supabaseAdmin
+    .from('artist_commission_settings')
+    .select('*')
+    .eq('artist_id', artistId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+function withDefaults(artistId, row) {
+  const settings = { artist_id: artistId };
+  for (const [field, rule] of Object.entries(SETTINGS_SCHEMA)) {
+    const value = row?.[field];
+    settings[field] = value === null || value === undefined ? rule.default : value;
+    if (rule.type === 'number' && settings[field] !== null) settings[field] = parseFloat(settings[field]);
+  }
+  settings.opened_at = row?.opened_at ?? null;
+  settings.open_request_limit = row?.open_request_limit ?? null;
+  settings.updated_at = row?.updated_at ?? null;
+  return settings;
+}
+
+/**
+ * Every setting for the artist, with defaults filled in.
+ */
+export async function getArtistSettings(artistId) {
+  const cacheKey = cacheKeys.artistSettings(artistId);
+  const cached = await cache.get(cacheKey);
+  if (cached) return cached;
+
+  const settings = withDefaults(artistId, await loadSettingsRow(artistId));
+  await cache.set(cacheKey, settings, SETTINGS_TTL);
+  return settings;
+}
+
+/**
+ * The settings shown on the artist's public profile.
+ */
+export async function getPublicSettings(artistId) {
+  const settings = await getArtistSettings(artistId);
+  return Object.fromEntries(
+    Object.entries(SETTINGS_SCHEMA)
+      .filter(([, rule]) => rule.public)
+      .map(([field]) => [field, settings[field]])
+  );
+}
+
+async function countWaitlist(artistId) {
+  const { count, error } = await supabaseAdmin
+    .from('commissions')
+    .select('id', { count: 'exact', head: true })
+    .eq('artist_id', artistId)
+    .eq('status', 'pending')
+    .eq('queue_status', 'waitlist');
+
+  if (error) throw error;
+  return count || 0;
+}
+
+const SLOT_LOCK_TTL_MS = 10 * 1000;
+const SLOT_LOCK_ATTEMPTS = 40;
+const SLOT_LOCK_RETRY_MS = 50;
+
+// Deletes the lock only if it still holds our token, so a holder that
+// outlived the TTL can't release someone else's lock
+export const RELEASE_SLOT_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Take the artist's slot lock, waiting up to ~2s for another request to
+ * finish with it. Returns a function that releases it.
+ */
+export async function lockSlots(artistId) {
+  const key = `artist:${artistId}:slot-lock`;
+  const token = randomUUID();
+
+  for (let attempt = 0; attempt < SLOT_LOCK_ATTEMPTS; attempt++) {
+    if (await redis.set(key, token, 'PX', SLOT_LOCK_TTL_MS, 'NX')) {
+      return () => redis.eval(RELEASE_SLOT_LOCK_SCRIPT, 1, key, token);
+    }
+    await new Promise(resolve => setTimeout(resolve, SLOT_LOCK_RETRY_MS));
+  }
+
+  throw new AppError('This artist is busy with another request, please try again', 409);
+}
+
+/**
+ * Slots used and left, and whether the artist takes new requests right now.
+ */
+export async function getQueueStatus(artistId) {
+  const [settings, slotsUsed, waitlistCount, nextWindow] = await Promise.all([
+    getArtistSettings(artistId),
+    CommissionRepo.countActive(artistId),
+    countWaitlist(artistId),
+    getNextWindow(artistId),
+  ]);
+
+  const isFull = slotsUsed >= settings.max_queue_slots;
+
+  return {
+    is_open: settings.is_open,
+    status_message: settings.status_message,
+    slots_total: settings.max_queue_slots,
+    slots_used: slotsUsed,
+    slots_available: Math.max(0, settings.max_queue_slots - slotsUsed),
+    is_full: isFull,
+    allow_waitlist: settings.allow_waitlist,
+    waitlist_count: waitlistCount,
+    accepting_requests: settings.is_open && (!isFull || settings.allow_waitlist),
+    next_window: nextWindow
+      ? {
+          id: nextWindow.id,
+          opens_at: nextWindow.opens_at,
+          closes_at: nextWindow.closes_at,
+          slots: nextWindow.slots,
+          allocation: nextWindow.allocation,
+        }
+      : null,
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Updating
+// ----------------------------------------------------------------------------
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+async function notifyFavoritesOpened(artistId) {
+  const { data: favorites, error } = await supabaseAdmin
+    .from('favorite_artists')
+    .select('user_id')
+    .eq('artist_id', artistId);
+
+  if (error) throw error;
+  if (!favorites || favorites.length === 0) return;
+
+  const artistUser = await UserRepo.findById(artistId, 'username, full_name');
+  const name = artistUser?.username || 'An artist';
+
+  for (const favorite of favorites) {
+    await queueNotification(favorite.user_id, {
+      type: 'favorite_artist_opened',
+      title: 'Favorite Artist Opened Commissions! 🎨',
+      message: `${name} you favorited is now accepting commissions`,
+      action: { type: 'view_artist', id: artistId },
+      priority: 'high',
+      actorId: artistId,
+    });
+  }
+
+  // One batched push for everyone who favorited the artist
+  await queuePush(favorites.map(favorite => favorite.user_id), {
+    title: 'Favorite artist opened',
+    body: `${name} is now accepting commissions`,
+    data: { type: 'artist', artistId },
+    actorId: artistId,
+    notificationType: 'favorite_artist_opened',
+  });
+}
+
+// Keep artists.commission_status in step with is_open. 'limited' survives
+// as long as commissions stay open.
+async function syncCommissionStatus(artistId, isOpen, requested) {
+  const artist = await ArtistRepo.findById(artistId, 'commission_status');
+  if (!artist) return null;
+
+  const from = artist.commission_status;
+  const to = requested
+    ?? (!isOpen ? 'closed' : from === 'closed' || !from ? 'open' : from);
+
+  if (to === from) return null;
+
+  await ArtistRepo.update(artistId, { commission_status: to });
+  if (from === 'closed') await notifyFavoritesOpened(artistId);
+  return { from, to };
+}
+
+/**
+ * Apply validated changes for an artist and record them in the history.
+ *
+ * Options:
+ * - changedBy:        user making the change, null for the system
+ * - source:           'artist', 'profile', 'window' or 'auto_close'
+ * - commissionStatus: set artists.commission_status explicitly ('limited')
+ * - requestLimit:     requests this opening accepts before closing again
+ *
+ * Returns the updated settings.
+ */
+export async function updateArtistSettings(artistId, changes, {
+  changedBy = null,
+  source = 'artist',
+  commissionStatus,
+  requestLimit,
+} = {}) {
+  const row = await loadSettingsRow(artistId);
+  const current = withDefaults(artistId, row);
+  const now = new Date().toISOString();
+
+  const diff = {};
+  for (const [field, value] of Object.entries(changes)) {
+    if (!sameValue(current[field], value)) diff[field] = { from: current[field], to: value };
+  }
+
+  const isOpen = changes.is_open ?? (commissionStatus ? commissionStatus !== 'closed' : current.is_open);
+  if (isOpen !== current.is_open && !diff.is_open) diff.is_open = { from: current.is_open, to: isOpen };
+
+  const values = Object.fromEntries(Object.entries(diff).map(([field, { to }]) => [field, to]));
+  const opening = isOpen && !current.is_open;
+
+  // Every opening starts a new count for auto_close_after_requests
+  if (opening || requestLimit !== undefined || (isOpen && !current.opened_at)) {
+    values.opened_at = now;
+    values.open_request_limit = requestLimit ?? null;
+  }
+
+  if (Object.keys(values).length > 0 || !row) {
+    const { error } = await supabaseAdmin
+      .from('artist_commission_settings')
+      .upsert({ artist_id: artistId, ...values, updated_at: now }, { onConflict: 'artist_id' });
+
+    if (error) throw error;
+    await cache.del(cacheKeys.artistSettings(artistId));
+  }
+
+  if (diff.is_open || commissionStatus) {
+    const status = await syncCommissionStatus(artistId, isOpen, commissionStatus);
+    if (status) diff.commission_status = status;
+  }
+
+  // Closing by hand also ends a window that is running
+  if (diff.is_open && !isOpen && source !== 'window') {
+    const { data: closed, error } = await supabaseAdmin
+      .from('artist_commission_windows')
+      .update({ status: 'closed', updated_at: now })
+      .eq('artist_id', artistId)
+      .eq('status', 'open')
+      .select();
+
+    if (error) throw error;
+    for (const window of (closed || []).filter(isDrop)) await settleDrop(window);
+  }
+
+  if (Object.keys(diff).length > 0) {
+    const { error } = await supabaseAdmin
+      .from('artist_settings_history')
+      .insert({ artist_id: artistId, changed_by: changedBy, source, changes: diff });
+
+    if (error) throw error;
+  }
+
+  return getArtistSettings(artistId);
+}
+
+/**
+ * A page of setting changes, newest first.
+ */
+export async function getSettingsHistory(artistId, { limit = 50, before } = {}) {
+  let query = supabaseAdmin
+    .from('artist_settings_history')
+    .select('id, changed_by, source, changes, created_at')
+    .eq('artist_id', artistId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (before) query = query.lt('created_at', before);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+async function closeAutomatically(artistId, reason) {
+  await updateArtistSettings(artistId, { is_open: false }, { source: 'auto_close' });
+
+  await queueNotification(artistId, {
+    type: 'commissions_closed',
+    title: 'Commissions Closed',
+    message: reason,
+    action: { type: 'commission_settings' },
+    priority: 'normal',
+  });
+}
+
+/**
+ * Close commissions if the artist's auto-close rules say so. Called after
+ * each new request. Returns true if commissions were closed.
+ */
+export async function applyAutoClose(artistId) {
+  const settings = await getArtistSettings(artistId);
+  if (!settings.is_open) return false;
+
+  if (settings.auto_close_when_full) {
+    const slotsUsed = await CommissionRepo.countActive(artistId);
+    if (slotsUsed >= settings.max_queue_slots) {
+      await closeAutomatically(artistId, 'Your commission slots are full, so commissions were closed');
+      return true;
+    }
+  }
+
+  const limit = settings.open_request_limit ?? settings.auto_close_after_requests;
+  if (limit && settings.opened_at) {
+    const { count, error } = await supabaseAdmin
+      .from('commissions')
+      .select('id', { count: 'exact', head: true })
+      .eq('artist_id', artistId)
+      .gte('created_at', settings.opened_at);
+
+    if (error) throw error;
+    if ((count || 0) >= limit) {
+      await closeAutomatically(artistId, `You received ${limit} request${limit === 1 ? '' : 's'}, so commissions were closed`);
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// ----------------------------------------------------------------------------
+// Scheduled windows
+// ----------------------------------------------------------------------------
+
+/**
+ * Scheduled and running windows, soonest first.
+ */
+export async function listWindows(artistId, { includePast = false } = {}) {
+  let query = supabaseAdmin
+    .from('artist_commission_windows')
+    .select('*')
+    .eq('artist_id', artistId)
+    .order('opens_at', { ascending: true });
+
+  if (!includePast) query = query.in('status', ['scheduled', 'open']);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+async function getNextWindow(artistId) {
+  const { data, error } = await supabaseAdmin
+    .from('artist_commission_windows')
+    .select('id, opens_at, closes_at, slots, allocation')
+    .eq('artist_id', artistId)
+    .eq('status', 'scheduled')
+    .order('opens_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Schedule a window. `closesAt` and `slots` are optional: without
+ * `closesAt` commissions stay open until closed by hand or by `slots`.
+ * A drop (`allocation` 'first_come' or 'lottery') must have `slots`.
+ */
+export async function scheduleWindow(artistId, {
+  opensAt,
+  closesAt = null,
+  slots = null,
+  allocation = 'open',
+}, { now = Date.now() } = {}) {
+  if (!WINDOW_ALLOCATIONS.includes(allocation)) {
+    throw new AppError(`allocation must be one of: ${WINDOW_ALLOCATIONS.join(', ')}`, 400);
+  }
+  if (allocation !== 'open' && (slots === null || slots === undefined)) {
+    throw new AppError('A drop needs a number of slots', 400);
+  }
+
+  const opens = Date.parse(opensAt);
+  if (!opensAt || Number.isNaN(opens)) throw new AppError('opens_at must be a date', 400);
+  if (opens < now - WINDOW_GRACE) throw new AppError('opens_at must be in the future', 400);
+
+  const closes = closesAt ? Date.parse(closesAt) : null;
+  if (closesAt && Number.isNaN(closes)) throw new AppError('closes_at must be a date', 400);
+  if (closes !== null && closes <= opens) throw new AppError('closes_at must be after opens_at', 400);
+
+  if (slots !== null && slots !== undefined) {
+    const rule = SETTINGS_SCHEMA.auto_close_after_requests;
+    if (!Number.isInteger(slots) || slots < rule.min || slots > rule.max) {
+      throw new AppError(`slots must be a whole number between ${rule.min} and ${rule.max}`, 400);
+    }
+  }
+
+  const windows = await listWindows(artistId);
+  if (windows.filter(w => w.status === 'scheduled').length >= MAX_UPCOMING_WINDOWS) {
+    throw new AppError(`You can schedule up to ${MAX_UPCOMING_WINDOWS} windows`, 400);
+  }
+
+  const overlapping = windows.find(w => {
+    const start = new Date(w.opens_at).getTime();
+    const end = w.closes_at ? new Date(w.closes_at).getTime() : Infinity;
+    return opens < end && start < (closes ?? Infinity);
+  });
+  if (overlapping) throw new AppError('This window overlaps another scheduled window', 409);
+
+  const { data, error } = await supabaseAdmin
+    .from('artist_commission_windows')
+    .insert({
+      artist_id: artistId,
+      opens_at: new Date(opens).toISOString(),
+      closes_at: closes === null ? null : new Date(closes).toISOString(),
+      slots: slots ?? null,
+      allocation,
+      status: 'scheduled',
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Cancel a window that has not opened yet.
+ */
+export async function cancelWindow(artistId, windowId) {
+  const { data, error } = await supabaseAdmin
+    .from('artist_commission_windows')
+    .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+    .eq('id', windowId)
+    .eq('artist_id', artistId)
+    .eq('status', 'scheduled')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data) return data;
+
+  const { data: existing } = await supabaseAdmin
+    .from('artist_commission_windows')
+    .select('status')
+    .eq('id', windowId)
+    .eq('artist_id', artistId)
+    .maybeSingle();
+
+  if (!existing) throw new AppError('Window not found', 404);
+  throw new AppError(`Window is already ${existing.status}`, 409);
+}
+
+// Move a window from one status to the next; false if something else did first
+async function advanceWindow(window, from, to) {
+  const { data, error } = await supabaseAdmin
+    .from('artist_commission_windows')
+    .update({ status: to, updated_at: new Date().toISOString() })
+    .eq('id', window.id)
+    .eq('status', from)
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data;
+}
+
+/**
+ * Close a running window and tell the artist. A lottery never opened
+ * commissions, so it leaves is_open alone. Returns false if the window was
+ * not open.
+ */
+export async function closeWindow(window, { message = 'Your scheduled commission window has ended' } = {}) {
+  if (!(await advanceWindow(window, 'open', 'closed'))) return false;
+
+  if (window.allocation !== 'lottery') {
+    await updateArtistSettings(window.artist_id, { is_open: false }, { source: 'window' });
+  }
+  await queueNotification(window.artist_id, {
+    type: 'commissions_closed',
+    title: 'Commissions Closed',
+    message,
+    action: { type: 'commission_settings' },
+    priority: 'normal',
+  });
+  return true;
+}
+
+/**
+ * Open or close commissions for a window whose time has come. Returns the
+ * window's status afterwards, or null if it does not exist.
+ */
+export async function applyWindow(windowId, { now = Date.now() } = {}) {
+  const { data: window, error } = await supabaseAdmin
+    .from('artist_commission_windows')
+    .select('*')
+    .eq('id', windowId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!window) return null;
+
+  let status = window.status;
+
+  if (status === 'scheduled' && new Date(window.opens_at).getTime() <= now) {
+    if (await advanceWindow(window, 'scheduled', 'open')) {
+      // A drop hands out its slots through Redis claims, not a request count
+      if (window.allocation !== 'lottery') {
+        await updateArtistSettings(window.artist_id, { is_open: true }, {
+          source: 'window',
+          requestLimit: isDrop(window) ? null : window.slots ?? null,
+        });
+      }
+      if (isDrop(window)) await openDrop({ ...window, status: 'open' });
+    }
+    // A lottery is drawn and closed as soon as it opens
+    status = window.allocation === 'lottery' ? 'closed' : 'open';
+  }
+
+  if (status === 'open' && window.closes_at && new Date(window.closes_at).getTime() <= now) {
+    await closeWindow(window);
+    status = 'closed';
+  }
+
+  // Also picks up registrations a failed settle left behind when the job
+  // is retried
+  if (status === 'closed' && isDrop(window)) await settleDrop(window);
+
+  return status;
+}
+
+export default {
+  SETTINGS_SCHEMA,
+  DEFAULT_SETTINGS,
+  validateSettings,
+  getArtistSettings,
+  getPublicSettings,
+  getQueueStatus,
+  lockSlots,
+  updateArtistSettings,
+  getSettingsHistory,
+  applyAutoClose,
+  listWindows,
+  scheduleWindow,
+  cancelWindow,
+  closeWindow,
+  applyWindow,
+};
@@ -0,0 +1,147 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { cache, cacheKeys } from './cache.js';
+
+// ============================================================================
+// BLOCKS AND MUTES
+// A block cuts contact both ways: no new conversations, messages, commission
+// requests or bids, and neither side sees the other's artworks in discovery.
+// A mute only silences the muted user's activity notifications (messages,
+// requests, bids); commission, payment and moderation notices still arrive.
+// ============================================================================
+
+export const RELATION_TYPES = ['block', 'mute'];
+
+const EMPTY_RELATIONS = { blocked: [], blockedBy: [], muted: [], hidden: [] };
+
+/**
+ * Everyone a user has blocked or muted and everyone who has blocked them.
+ * `hidden` is the union of both block directions. Cached next to the user
+ * for the same 15 minutes.
+ */
+export async function getUserRelations(userId) {
+  if (!userId) return EMPTY_RELATIONS;
+
+  const cacheKey = cacheKeys.userBlocks(userId);
+  const cached = await cache.get(cacheKey);
+  if (cached) return cached;
+
+  const { data: rows, error } = await supabaseAdmin
+    .from('user_blocks')
+    .select('user_id, target_id, type')
+    .or(`user_id.eq.${userId},target_id.eq.${userId}`);
+
+  if (error) throw error;
+
+  const relations = { blocked: [], blockedBy: [], muted: [], hidden: [] };
+  for (const row of rows || []) {
+    if (row.user_id === userId) {
+      relations[row.type === 'block' ? 'blocked' : 'muted'].push(row.target_id);
+    } else if (row.type === 'block') {
+      relations.blockedBy.push(row.user_id);
+    }
+  }
+  relations.hidden = [...new Set([...relations.blocked, ...relations.blockedBy])];
+
+  await cache.set(cacheKey, relations, 900);
+  return relations;
+}
+
+/**
+ * True if either user has blocked the other.
+ */
+export async function isBlockedBetween(userId, otherUserId) {
+  if (!userId || !otherUserId || userId === otherUserId) return false;
+
+  const relations = await getUserRelations(userId);
+  return relations.hidden.includes(otherUserId);
+}
+
+/**
+ * Throw a 403 if the user has a block with any of the others.
+ */
+export async function assertNotBlocked(userId, otherUserIds) {
+  const relations = await getUserRelations(userId);
+  const ids = Array.isArray(otherUserIds) ? otherUserIds : [otherUserIds];
+
+  if (ids.some(id => relations.hidden.includes(id))) {
+    throw new AppError('You cannot interact with this user', 403);
+  }
+}
+
+/**
+ * True if the recipient has muted the user who caused a notification.
+ */
+export async function hasMuted(recipientId, actorId) {
+  if (!recipientId || !actorId) return false;
+
+  try {
+    const relations = await getUserRelations(recipientId);
+    return relations.muted.includes(actorId);
+  } catch (error) {
+    // Never lose a notification because the mute list couldn't be read
+    console.error('Error checking mute list:', error);
+    return false;
+  }
+}
+
+async function invalidateRelations(...userIds) {
+  await Promise.all(userIds.map(id => cache.del(cacheKeys.userBlocks(id))));
+}
+
+/**
+ * Block or mute another user. Idempotent.
+ */
+export async function addRelation(userId, targetId, type) {
+  if (!RELATION_TYPES.includes(type)) {
+    throw new AppError(`type must be one of: ${RELATION_TYPES.join(', ')}`, 400);
+  }
+  if (userId === targetId) {
+    throw new AppError(`You cannot ${type} yourself`, 400);
+  }
+
+  const { data: target } = await supabaseAdmin
+    .from('users')
+    .select('id')
+    .eq('id', targetId)
+    .maybeSingle();
+
+  if (!target) throw new AppError('User not found', 404);
+
+  const { error } = await supabaseAdmin
+    .from('user_blocks')
+    .upsert(
+      { user_id: userId, target_id: targetId, type },
+      { onConflict: 'user_id,target_id,type', ignoreDuplicates: true }
+    );
+
+  if (error) throw error;
+
+  await invalidateRelations(userId, targetId);
+}
+
+/**
+ * Unblock or unmute another user.
+ */
+export async function removeRelation(userId, targetId, type) {
+  const { error } = await supabaseAdmin
+    .from('user_blocks')
+    .delete()
+    .eq('user_id', userId)
+    .eq('target_id', targetId)
+    .eq('type', type);
+
+  if (error) throw error;
+
+  await invalidateRelations(userId, targetId);
+}
+
+export default {
+  RELATION_TYPES,
+  getUserRelations,
+  isBlockedBetween,
+  assertNotBlocked,
+  hasMuted,
+  addRelation,
+  removeRelation,
+};
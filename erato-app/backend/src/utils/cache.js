@@ -25,12 +25,14 @@ const redisConfig = process.env.REDIS_URL
       lazyConnect: true,
     };
 
-const redis = new Redis(redisConfig);
+let redis = new Redis(redisConfig);
 
-// Connect to Redis
-redis.connect().catch((err) => {
-  console.warn('⚠️  Redis connection failed, caching disabled:', err.message);
-});
+// Connect to Redis (tests swap in an in-memory client instead)
+if (process.env.NODE_ENV !== 'test') {
+  redis.connect().catch((err) => {
+    console.warn('⚠️  Redis connection failed, caching disabled:', err.message);
+  });
+}
 
 redis.on('connect', () => {
   console.log('✅ Connected to Redis');
@@ -108,13 +110,25 @@ export const cache = {
 // Export redis client for use in other services (after cache is defined)
 cache._client = redis;
 
+// Replace the client used by the cache and every service that imports it
+export function setRedisClient(client) {
+  redis = client;
+  cache._client = client;
+}
+
 // Cache key generators
 export const cacheKeys = {
   // User cache keys
   user: (userId) => `user:${userId}`,
   userBoards: (userId) => `user:${userId}:boards`,
   userProfile: (userId) => `user:${userId}:profile`,
+  userBlocks: (userId) => `user:${userId}:blocks`,
+  notificationPrefs: (userId) => `user:${userId}:notification_prefs`,
   
+  // Notification center (first page) and unread counter
+  notifications: (userId) => `notifications:${userId}:recent`,
+  notificationsUnread: (userId) => `unread:${userId}`,
+
   // Messages cache keys
   conversations: (userId) => `conversations:${userId}`,
 
@@ -122,6 +136,7 @@ export const cacheKeys = {
   artist: (artistId) => `artist:${artistId}`,
   artistArtworks: (artistId) => `artist:${artistId}:artworks`,
   artistBoards: (artistId) => `artist:${artistId}:boards`,
+  artistSettings: (artistId) => `artist:${artistId}:settings`,
 
   // Artwork cache keys
   artwork: (artworkId) => `artwork:${artworkId}`,
@@ -182,5 +197,5 @@ export const cacheMiddleware = (duration = 3600, keyGenerator = null) => {
   };
 };
 
-export default redis;
+export { redis as default };
 
@@ -0,0 +1,134 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { CommissionRepo, ConversationRepo, MessageRepo } from '../repositories/index.js';
+import { queuePush } from '../jobs/notifications.js';
+import { WAITLIST_STATUSES, nextWaitlistPosition } from './waitlist.js';
+import { publishMessage } from './realtime.js';
+
+// ============================================================================
+// COMMISSION INTAKE
+// Creating a commission request: the pending commission, its reference
+// images, the conversation with the artist and the request message in it,
+// and the artist's push. Used by POST /api/commissions/request and by slot
+// drops, which create requests for registered clients.
+// ============================================================================
+
+/**
+ * Create a pending commission request from `client` to `artistId`.
+ *
+ * Options:
+ * - pkg:        validated commission_packages row, or null
+ * - waitlisted: add the request to the back of the artist's waitlist
+ *
+ * Returns { commission, conversation }.
+ */
+export async function createCommissionRequest({
+  client,
+  artistId,
+  artworkId = null,
+  details,
+  clientNote = null,
+  budget = null,
+  deadline = null,
+  pkg = null,
+  selectedAddons = [],
+  referenceImages = [],
+  waitlisted = false,
+}) {
+  const addons = Array.isArray(selectedAddons) ? selectedAddons : [];
+
+  const commission = await CommissionRepo.create({
+    client_id: client.id,
+    artist_id: artistId,
+    artwork_id: artworkId || null,
+    details,
+    client_note: clientNote || null,
+    budget: budget || null,
+    deadline_text: deadline || null,
+    status: 'pending',
+    package_id: pkg?.id || null,
+    selected_addons: addons,
+    final_price: pkg?.base_price || null,
+    ...(waitlisted && {
+      queue_status: WAITLIST_STATUSES.WAITING,
+      queue_position: await nextWaitlistPosition(artistId)
+    })
+  });
+
+  // Add reference images to commission files
+  if (referenceImages && referenceImages.length > 0) {
+    const fileInserts = referenceImages.map(imageUrl => ({
+      commission_id: commission.id,
+      uploader_id: client.id,
+      file_url: imageUrl,
+      file_name: `Reference - ${imageUrl.split('/').pop()}`,
+      file_type: 'image'
+    }));
+
+    const { error: filesError } = await supabaseAdmin
+      .from('commission_files')
+      .insert(fileInserts);
+
+    if (filesError) {
+      console.error('Error adding reference images to commission:', filesError);
+    }
+  }
+
+  // Reuse the client's existing conversation with this artist, linked to the new commission
+  let conversation = await ConversationRepo.findWithParticipants([client.id, artistId]);
+
+  if (conversation) {
+    await ConversationRepo.update(conversation.id, { commission_id: commission.id });
+  } else {
+    conversation = await ConversationRepo.create({
+      participantIds: [client.id, artistId],
+      commissionId: commission.id
+    });
+  }
+
+  // Send initial message
+  const initialMessage = await MessageRepo.create({
+    conversation_id: conversation.id,
+    sender_id: client.id,
+    message_type: 'commission_request',
+    content: details,
+    metadata: {
+      commission_id: commission.id,
+      artwork_id: artworkId || null,
+      title: clientNote || null,
+      budget: budget || null,
+      deadline: deadline || null,
+      package: pkg
+        ? {
+            id: pkg.id,
+            name: pkg.name,
+            base_price: pkg.base_price,
+            estimated_delivery_days: pkg.estimated_delivery_days,
+            revision_count: pkg.revision_count
+          }
+        : null,
+      selected_addons: addons
+    }
+  });
+  await ConversationRepo.invalidateLists([client.id, artistId]);
+
+  if (initialMessage) {
+    await publishMessage(initialMessage);
+  }
+
+  // Push to the artist (sent from the job queue)
+  await queuePush(artistId, {
+    title: waitlisted ? 'New waitlist request' : 'New commission request',
+    body: waitlisted
+      ? `${client.username || 'A client'} joined your waitlist`
+      : `${client.username || 'A client'} sent you a commission request`,
+    data: { type: 'commission', commissionId: commission.id },
+    actorId: client.id,
+    notificationType: 'new_commission_request',
+  });
+
+  return { commission, conversation };
+}
+
+export default {
+  createCommissionRequest,
+};
@@ -0,0 +1,566 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { queueNotification, queuePush } from '../jobs/notifications.js';
+import { queueWaitlistPromotion } from '../jobs/waitlist.js';
+import { calculateRefund, issueRefund, settleEscrowAfterRefund } from './refunds.js';
+import { getDeclineReasonLabel } from './declines.js';
+import { publishCommissionStatus } from './realtime.js';
+
+// ============================================================================
+// COMMISSION STATE MACHINE
+// Single source of truth for commission statuses, who may move a commission
+// between them, and what happens when they do. Every transition is recorded
+// in commission_status_history so disputes can be reconstructed later.
+// ============================================================================
+
+export const COMMISSION_STATES = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted', // Legacy rows only - accepting moves straight to in_progress
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled',
+};
+
+export const TERMINAL_STATES = [
+  COMMISSION_STATES.COMPLETED,
+  COMMISSION_STATES.DECLINED,
+  COMMISSION_STATES.CANCELLED,
+];
+
+// Statuses clients may send that are synonyms for a declared state
+const STATUS_ALIASES = {
+  rejected: COMMISSION_STATES.DECLINED,
+};
+
+// Milestone completion above which a client can no longer cancel on their own
+const CLIENT_CANCEL_MAX_COMPLETION = 50;
+
+/**
+ * Transition table keyed by current status, then by requested status.
+ * - to:      status the commission actually ends up in
+ * - roles:   who may trigger it ('client', 'artist', 'moderator', 'system')
+ * - guards:  checks that must pass before the transition is applied
+ * - effects: side effects run after the status has been written
+ */
+// Clients accept by accepting the artist's quote, never directly
+const ACCEPT = {
+  to: COMMISSION_STATES.IN_PROGRESS,
+  roles: ['artist', 'client', 'system'],
+  guards: ['clientAcceptsQuote'],
+  effects: ['generateMilestones', 'notifyAccepted'],
+};
+
+const TRANSITIONS = {
+  [COMMISSION_STATES.PENDING]: {
+    accepted: ACCEPT,
+    in_progress: ACCEPT,
+    declined: {
+      to: COMMISSION_STATES.DECLINED,
+      roles: ['artist', 'system'],
+      effects: ['notifyDeclined', 'promoteWaitlist'],
+    },
+    cancelled: {
+      to: COMMISSION_STATES.CANCELLED,
+      roles: ['client', 'artist', 'system'],
+      effects: ['notifyCancelled', 'promoteWaitlist'],
+    },
+  },
+  [COMMISSION_STATES.ACCEPTED]: {
+    in_progress: {
+      to: COMMISSION_STATES.IN_PROGRESS,
+      roles: ['artist'],
+      effects: ['generateMilestones'],
+    },
+    // Only the artist or a moderator can cancel legacy accepted rows
+    cancelled: {
+      to: COMMISSION_STATES.CANCELLED,
+      roles: ['artist', 'moderator'],
+      effects: ['holdEscrowForRefund', 'refundCancelledWork', 'notifyCancelled', 'promoteWaitlist'],
+    },
+  },
+  [COMMISSION_STATES.IN_PROGRESS]: {
+    completed: {
+      to: COMMISSION_STATES.COMPLETED,
+      roles: ['artist'],
+      effects: ['notifyCompleted', 'createPendingReviews', 'promoteWaitlist'],
+    },
+    cancelled: {
+      to: COMMISSION_STATES.CANCELLED,
+      roles: ['client', 'artist', 'moderator', 'system'],
+      guards: ['clientCancellationPolicy'],
+      effects: ['holdEscrowForRefund', 'refundCancelledWork', 'notifyCancelled', 'promoteWaitlist'],
+    },
+  },
+  [COMMISSION_STATES.COMPLETED]: {},
+  [COMMISSION_STATES.DECLINED]: {},
+  [COMMISSION_STATES.CANCELLED]: {},
+};
+
+/**
+ * Map a requested status onto the canonical status name.
+ */
+export function normalizeStatus(status) {
+  return STATUS_ALIASES[status] || status;
+}
+
+/**
+ * Look up the transition for moving from `fromStatus` to `requestedStatus`.
+ * Returns null when the move is not declared.
+ */
+export function getTransition(fromStatus, requestedStatus) {
+  const fromTransitions = TRANSITIONS[fromStatus];
+  if (!fromTransitions) return null;
+  return fromTransitions[normalizeStatus(requestedStatus)] || null;
+}
+
+/**
+ * Statuses a given role may request from the current status.
+ */
+export function getAvailableTransitions(fromStatus, role) {
+  const fromTransitions = TRANSITIONS[fromStatus] || {};
+  return Object.entries(fromTransitions)
+    .filter(([, transition]) => transition.roles.includes(role))
+    .map(([requested, transition]) => ({ requested, to: transition.to }));
+}
+
+/**
+ * Resolve the actor's role on a commission ('artist', 'client' or null).
+ * commission.artist_id IS the user_id (not a separate artists table ID).
+ */
+export function getCommissionRole(commission, userId) {
+  if (String(commission.artist_id) === String(userId)) return 'artist';
+  if (String(commission.client_id) === String(userId)) return 'client';
+  return null;
+}
+
+export function isValidStatus(status) {
+  return Object.values(COMMISSION_STATES).includes(normalizeStatus(status));
+}
+
+// ----------------------------------------------------------------------------
+// Guards
+// ----------------------------------------------------------------------------
+
+const guards = {
+  // A client's acceptance has to come with the quote they accepted
+  async clientAcceptsQuote({ actorRole, updates }) {
+    if (actorRole === 'client' && !updates.accepted_quote_id) {
+      throw new AppError('Clients accept a commission by accepting the artist\'s quote', 403);
+    }
+  },
+
+  // Clients may cancel in-progress work only while at most half of the
+  // milestones have been paid; artists and the system are not limited.
+  async clientCancellationPolicy({ commission, actorRole }) {
+    if (actorRole !== 'client') return;
+
+    const { data: milestones, error } = await supabaseAdmin
+      .from('commission_milestones')
+      .select('id, payment_status, milestone_number')
+      .eq('commission_id', commission.id)
+      .order('milestone_number', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching milestones:', error);
+      throw new AppError('Error checking milestone status', 500);
+    }
+
+    if (!milestones || milestones.length === 0) return;
+
+    const totalMilestones = milestones.length;
+    const paidMilestones = milestones.filter(m => m.payment_status === 'paid').length;
+    const completionPercentage = (paidMilestones / totalMilestones) * 100;
+
+    if (completionPercentage > CLIENT_CANCEL_MAX_COMPLETION) {
+      const error = new AppError(`Cannot cancel commission after ${CLIENT_CANCEL_MAX_COMPLETION}% milestone completion`, 403);
+      error.details = {
+        completionPercentage: completionPercentage.toFixed(1),
+        paidMilestones,
+        totalMilestones,
+        message: 'Please contact the artist directly to discuss cancellation options.'
+      };
+      throw error;
+    }
+  },
+};
+
+// ----------------------------------------------------------------------------
+// Side effects
+// ----------------------------------------------------------------------------
+
+async function getUsernames(commission) {
+  const { data: users } = await supabaseAdmin
+    .from('users')
+    .select('id, username')
+    .in('id', [commission.artist_id, commission.client_id]);
+
+  const byId = new Map((users || []).map(u => [u.id, u.username]));
+  return {
+    artistName: byId.get(commission.artist_id),
+    clientName: byId.get(commission.client_id),
+  };
+}
+
+const effects = {
+  // Generate the milestone payment plan from templates when work starts
+  async generateMilestones({ commission }) {
+    if (!commission.final_price) return;
+
+    const { data: existing } = await supabaseAdmin
+      .from('commission_milestones')
+      .select('id')
+      .eq('commission_id', commission.id)
+      .limit(1);
+
+    if (existing && existing.length > 0) return;
+
+    const { data: templates, error: templatesError } = await supabaseAdmin
+      .from('milestone_stage_templates')
+      .select('*')
+      .order('typical_order', { ascending: true });
+
+    if (templatesError || !templates || templates.length === 0) return;
+
+    const totalPrice = parseFloat(commission.final_price);
+    const milestones = templates.map((template, index) => {
+      const percentage = parseFloat(template.default_percentage);
+      const amount = (totalPrice * percentage) / 100;
+
+      return {
+        commission_id: commission.id,
+        milestone_number: index + 1,
+        stage: template.stage,
+        title: template.display_name,
+        description: template.description,
+        amount: amount.toFixed(2),
+        percentage: percentage.toFixed(2),
+        payment_status: 'unpaid',
+        payment_required_before_work: true,
+        is_locked: index !== 0 // Only first milestone is unlocked
+      };
+    });
+
+    const { data: createdMilestones, error: insertError } = await supabaseAdmin
+      .from('commission_milestones')
+      .insert(milestones)
+      .select();
+
+    if (insertError || !createdMilestones || createdMilestones.length === 0) {
+      console.error('Error creating milestones:', insertError);
+      return;
+    }
+
+    await supabaseAdmin
+      .from('commissions')
+      .update({ current_milestone_id: createdMilestones[0].id })
+      .eq('id', commission.id);
+
+    console.log(`✓ Generated ${createdMilestones.length} milestones for commission ${commission.id}`);
+  },
+
+  // Funds still in escrow on a cancelled commission wait for a refund decision
+  async holdEscrowForRefund({ commission }) {
+    if (commission.escrow_status !== 'held') return;
+
+    await supabaseAdmin
+      .from('commissions')
+      .update({ escrow_status: 'refund_pending' })
+      .eq('id', commission.id);
+  },
+
+  // Refund what the artist's cancellation terms allow. Dispute resolutions
+  // issue their own refund, and a failed refund can be retried via /api/refunds.
+  async refundCancelledWork({ commission, actorRole, actorId }) {
+    if (commission.cancellation_type === 'dispute_resolution') return;
+
+    const quote = await calculateRefund(commission, { initiatedBy: actorRole });
+    if (quote.refundable <= 0) {
+      await settleEscrowAfterRefund(commission.id);
+      return;
+    }
+
+    await issueRefund({ commission, actorId, initiatedBy: actorRole, reason: 'Commission cancelled' });
+  },
+
+  async notifyAccepted({ commission, names }) {
+    await queueNotification(commission.client_id, {
+      type: 'commission_accepted',
+      title: 'Commission Accepted! 🎨',
+      message: `${names.artistName || 'An artist'} has accepted your commission request`,
+      action: { type: 'view_commission', id: commission.id },
+      priority: 'high',
+    });
+    await queuePush(commission.client_id, {
+      title: 'Commission accepted',
+      body: `${names.artistName || 'An artist'} accepted your request`,
+      data: { type: 'commission', commissionId: commission.id },
+      notificationType: 'commission_accepted',
+    });
+  },
+
+  async notifyDeclined({ commission, names }) {
+    const reason = commission.decline_reason ? `: ${getDeclineReasonLabel(commission.decline_reason)}` : '';
+
+    let suggestion = '';
+    if (commission.suggested_artist_id) {
+      const { data: suggested } = await supabaseAdmin
+        .from('users')
+        .select('username')
+        .eq('id', commission.suggested_artist_id)
+        .maybeSingle();
+      suggestion = `. They suggested ${suggested?.username || 'another artist'} instead`;
+    }
+
+    await queueNotification(commission.client_id, {
+      type: 'commission_declined',
+      title: 'Commission Declined',
+      message: `${names.artistName || 'An artist'} has declined your commission request${reason}${suggestion}`,
+      action: commission.suggested_artist_id
+        ? { type: 'view_artist', id: commission.suggested_artist_id }
+        : { type: 'view_commissions' },
+      priority: 'normal',
+    });
+    await queuePush(commission.client_id, {
+      title: 'Commission declined',
+      body: `${names.artistName || 'An artist'} declined your request`,
+      data: { type: 'commissions' },
+      notificationType: 'commission_declined',
+    });
+  },
+
+  async notifyCompleted({ commission, names }) {
+    await queueNotification(commission.client_id, {
+      type: 'commission_completed',
+      title: 'Commission Completed! ✨',
+      message: `Your commission from ${names.artistName || 'an artist'} has been completed`,
+      action: { type: 'view_commission', id: commission.id },
+      priority: 'high',
+    });
+    await queuePush(commission.client_id, {
+      title: 'Commission completed',
+      body: `Your commission from ${names.artistName || 'an artist'} is done`,
+      data: { type: 'commission', commissionId: commission.id },
+      notificationType: 'commission_completed',
+    });
+  },
+
+  // The scheduler's review_prompt rule asks both sides to review them later
+  async createPendingReviews({ commission }) {
+    const { error } = await supabaseAdmin.from('pending_reviews').insert([
+      {
+        commission_id: commission.id,
+        user_id: commission.artist_id,
+        review_type: 'artist_to_client',
+      },
+      {
+        commission_id: commission.id,
+        user_id: commission.client_id,
+        review_type: 'client_to_artist',
+      },
+    ]);
+
+    if (error) console.error('Error creating pending reviews:', error);
+  },
+
+  // The slot this commission held may go to the next client on the waitlist
+  async promoteWaitlist({ commission }) {
+    await queueWaitlistPromotion(commission.artist_id);
+  },
+
+  // Notify whichever party did not trigger the cancellation
+  async notifyCancelled({ commission, actorRole, names }) {
+    const recipientId = actorRole === 'client' ? commission.artist_id : commission.client_id;
+    const actorName = actorRole === 'client'
+      ? names.clientName || 'A client'
+      : actorRole === 'artist'
+        ? names.artistName || 'The artist'
+        : 'Verro';
+
+    await queueNotification(recipientId, {
+      type: 'commission_cancelled',
+      title: 'Commission Cancelled',
+      message: `${actorName} has cancelled the commission`,
+      action: { type: 'view_commission', id: commission.id },
+      priority: 'normal',
+    });
+    await queuePush(recipientId, {
+      title: 'Commission cancelled',
+      body: `${actorName} cancelled the commission`,
+      data: { type: 'commission', commissionId: commission.id },
+      notificationType: 'commission_cancelled',
+    });
+  },
+};
+
+// ----------------------------------------------------------------------------
+// History
+// ----------------------------------------------------------------------------
+
+/**
+ * Append an entry to the commission's status audit trail.
+ */
+export async function recordStatusChange({
+  commissionId,
+  fromStatus,
+  toStatus,
+  requestedStatus = toStatus,
+  actorId = null,
+  actorRole,
+  reason = null,
+  metadata = {},
+}) {
+  const { data, error } = await supabaseAdmin
+    .from('commission_status_history')
+    .insert({
+      commission_id: commissionId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      requested_status: requestedStatus,
+      actor_id: actorId,
+      actor_role: actorRole,
+      reason,
+      metadata,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error recording commission status history:', error);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Get the full status trail for a commission, oldest first.
+ */
+export async function getStatusHistory(commissionId) {
+  const { data, error } = await supabaseAdmin
+    .from('commission_status_history')
+    .select('*')
+    .eq('commission_id', commissionId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// ----------------------------------------------------------------------------
+// Transition runner
+// ----------------------------------------------------------------------------
+
+async function writeStatus(commission, values) {
+  const { data, error } = await supabaseAdmin
+    .from('commissions')
+    .update(values)
+    .eq('id', commission.id)
+    .eq('status', commission.status) // Optimistic lock against concurrent transitions
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Validate and apply a status transition.
+ *
+ * @param {object}  options
+ * @param {object}  options.commission      Current commission row (needs id, status, artist_id, client_id)
+ * @param {string}  options.requestedStatus Status the actor asked for
+ * @param {string}  options.actorId         User triggering the change (null for system)
+ * @param {string}  options.actorRole       'client' | 'artist' | 'moderator' | 'system'
+ * @param {string}  [options.reason]        Free-text reason stored in the history
+ * @param {object}  [options.updates]       Extra columns written with the status
+ * @param {object}  [options.metadata]      Extra context stored in the history
+ * @param {function} [options.write]        Writes `values` in place of the default conditional
+ *                                          update; resolves to the updated row, or null if the
+ *                                          commission moved on
+ * @returns {Promise<{ commission: object, transition: object, history: object }>}
+ */
+export async function transitionCommission({
+  commission,
+  requestedStatus,
+  actorId = null,
+  actorRole,
+  reason = null,
+  updates = {},
+  metadata = {},
+  write = null,
+}) {
+  if (!isValidStatus(requestedStatus)) {
+    throw new AppError('Invalid status', 400);
+  }
+
+  const transition = getTransition(commission.status, requestedStatus);
+  if (!transition) {
+    throw new AppError(`Cannot change commission from ${commission.status} to ${normalizeStatus(requestedStatus)}`, 400);
+  }
+
+  if (!transition.roles.includes(actorRole)) {
+    const message = actorRole === 'client'
+      ? 'Clients can only cancel commissions'
+      : 'You are not allowed to make this status change';
+    throw new AppError(message, 403);
+  }
+
+  for (const guardName of transition.guards || []) {
+    await guards[guardName]({ commission, actorRole, actorId, updates });
+  }
+
+  const values = {
+    ...updates,
+    status: transition.to,
+    updated_at: new Date().toISOString()
+  };
+  const updated = write ? await write(values) : await writeStatus(commission, values);
+
+  if (!updated) {
+    throw new AppError('Commission status changed in the meantime, please refresh and try again', 409);
+  }
+
+  const history = await recordStatusChange({
+    commissionId: commission.id,
+    fromStatus: commission.status,
+    toStatus: transition.to,
+    requestedStatus,
+    actorId,
+    actorRole,
+    reason,
+    metadata,
+  });
+
+  if (transition.effects?.length) {
+    const names = await getUsernames(commission);
+    for (const effectName of transition.effects) {
+      try {
+        await effects[effectName]({ commission: { ...commission, ...updates }, actorRole, actorId, names });
+      } catch (error) {
+        // Side effects never roll back a status change that has already been written
+        console.error(`Commission transition effect ${effectName} failed:`, error);
+      }
+    }
+  }
+
+  await publishCommissionStatus({ ...commission, ...updated }, {
+    previousStatus: commission.status,
+    actorRole,
+  });
+
+  return { commission: updated, transition, history };
+}
+
+export default {
+  COMMISSION_STATES,
+  TERMINAL_STATES,
+  normalizeStatus,
+  getTransition,
+  getAvailableTransitions,
+  getCommissionRole,
+  isValidStatus,
+  recordStatusChange,
+  getStatusHistory,
+  transitionCommission,
+};
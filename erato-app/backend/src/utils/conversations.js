@@ -0,0 +1,334 @@
+import { AppError } from '../middleware/errorHandler.js';
+import { ArtistRepo, ConversationRepo, MessageRepo, UserRepo } from '../repositories/index.js';
+import { queueNotification } from '../jobs/notifications.js';
+import { assertNotBlocked } from './blocks.js';
+import { publishConversationUpdated, publishMessage } from './realtime.js';
+import { removeConversationAttachments } from './richMessages.js';
+
+// ============================================================================
+// GROUP CONVERSATIONS AND MUTING
+// A group is a conversation between three or more people, e.g. two artists
+// collaborating on a client's commission. It has an optional title and
+// admins: whoever created it starts as its only admin, admins add and
+// remove participants, rename the group and make others admins. Anyone can
+// leave; when the last admin does, the longest-standing member takes over.
+//
+// Every change is written to the conversation as a `system` message (so it
+// shows in the timeline and in history) and announced over Socket.io as
+// conversation:updated.
+//
+// Any participant of any conversation can mute it, indefinitely or until a
+// time. Muted conversations still count unread messages but send no
+// notifications or pushes (see jobs/messages.js).
+// ============================================================================
+
+export const GROUP_ROLES = ['admin', 'member'];
+
+export const MAX_GROUP_PARTICIPANTS = parseInt(process.env.GROUP_CONVERSATION_MAX_PARTICIPANTS) || 20;
+
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * A group title as stored: trimmed, or null for none.
+ */
+export function validateTitle(title) {
+  if (title === undefined || title === null) return null;
+  if (typeof title !== 'string') throw new AppError('title must be a string', 400);
+
+  const value = title.trim();
+  if (value.length > MAX_TITLE_LENGTH) {
+    throw new AppError(`title must be at most ${MAX_TITLE_LENGTH} characters`, 400);
+  }
+  return value || null;
+}
+
+/**
+ * Whether a participant row is muted at `now`.
+ */
+export function isMuted(participant, now = new Date()) {
+  if (!participant?.muted) return false;
+  return !participant.muted_until || new Date(participant.muted_until) > now;
+}
+
+// Clients can only bring in artists they already have a conversation with,
+// the same rule as starting a conversation
+async function assertCanInvite(actorId, userIds) {
+  if (userIds.includes(actorId)) throw new AppError('You are already in this conversation', 400);
+
+  await assertNotBlocked(actorId, userIds);
+
+  const users = await UserRepo.findManyByIds(userIds, 'id');
+  if (users.length !== userIds.length) throw new AppError('User not found', 404);
+
+  if (await ArtistRepo.isArtist(actorId)) return;
+
+  const artists = await ArtistRepo.findManyByIds(userIds, 'id');
+  if (artists.length === 0) return;
+
+  const contacts = await ConversationRepo.findContactIds(actorId);
+  if (artists.some(artist => !contacts.includes(artist.id))) {
+    throw new AppError('You can only add artists you\'ve chatted with before', 403);
+  }
+}
+
+function parseUserIds(userIds) {
+  if (!Array.isArray(userIds) || userIds.length === 0 || userIds.some(id => typeof id !== 'string' || !id)) {
+    throw new AppError('user_ids must be a list of user ids', 400);
+  }
+  return [...new Set(userIds)];
+}
+
+async function loadGroup(conversationId) {
+  const conversation = await ConversationRepo.findById(conversationId, 'id, is_group, title, created_by');
+  if (!conversation) throw new AppError('Conversation not found', 404);
+  return conversation;
+}
+
+async function requireParticipant(conversationId, userId) {
+  const participant = await ConversationRepo.findParticipant(conversationId, userId);
+  if (!participant) throw new AppError('Conversation not found', 404);
+  return participant;
+}
+
+async function requireAdmin(conversationId, userId) {
+  const conversation = await loadGroup(conversationId);
+  const participant = await requireParticipant(conversationId, userId);
+  if (!conversation.is_group) throw new AppError('Only group conversations can be changed', 400);
+  if (participant.role !== 'admin') throw new AppError('Only group admins can do that', 403);
+  return conversation;
+}
+
+const displayName = (user) => user?.username || user?.full_name || 'Someone';
+
+function listNames(names) {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+// Record a change in the timeline and tell everyone about it
+async function announce(conversationId, actorId, change, { userIds = [], content, alsoTo = [] }) {
+  const message = await MessageRepo.create({
+    conversation_id: conversationId,
+    sender_id: actorId,
+    message_type: 'system',
+    content,
+    metadata: { event: change, user_ids: userIds },
+  });
+
+  await ConversationRepo.touch(conversationId);
+  const participants = await ConversationRepo.findParticipants(conversationId, 'user_id, role');
+  await ConversationRepo.invalidateLists(participants.map(p => p.user_id));
+
+  await publishMessage({ ...message, reply_to: null, reactions: [] });
+
+  const conversation = await ConversationRepo.findById(conversationId, 'id, is_group, title');
+  await publishConversationUpdated(conversationId, {
+    change,
+    actor_id: actorId,
+    user_ids: userIds,
+    conversation: { ...conversation, participants },
+  }, { alsoTo });
+
+  return message;
+}
+
+/**
+ * Start a group with `participantIds` (everyone but the creator).
+ */
+export async function createGroup(creatorId, { participantIds, title }) {
+  const others = parseUserIds(participantIds);
+  const groupTitle = validateTitle(title);
+
+  if (others.length < 2) throw new AppError('A group needs at least two other people', 400);
+  if (others.length + 1 > MAX_GROUP_PARTICIPANTS) {
+    throw new AppError(`Groups can have at most ${MAX_GROUP_PARTICIPANTS} participants`, 400);
+  }
+  await assertCanInvite(creatorId, others);
+
+  const conversation = await ConversationRepo.create({
+    participantIds: [creatorId, ...others],
+    isGroup: true,
+    title: groupTitle,
+    createdBy: creatorId,
+  });
+
+  const creator = await UserRepo.findById(creatorId, 'username, full_name');
+  await announce(conversation.id, creatorId, 'created', {
+    userIds: others,
+    content: groupTitle ? `${displayName(creator)} created "${groupTitle}"` : `${displayName(creator)} created the group`,
+  });
+  await notifyAdded(conversation, { ...creator, id: creatorId }, others);
+
+  return conversation;
+}
+
+async function notifyAdded(conversation, actor, userIds) {
+  for (const userId of userIds) {
+    await queueNotification(userId, {
+      type: 'added_to_conversation',
+      title: `${displayName(actor)} added you to ${conversation.title ? `"${conversation.title}"` : 'a group'}`,
+      message: 'Open the conversation to say hi',
+      action: { type: 'view_conversation', id: conversation.id },
+      priority: 'normal',
+      actorId: actor.id,
+    });
+  }
+}
+
+/**
+ * Add people to a group. Admins only.
+ */
+export async function addParticipants(conversationId, actorId, userIds) {
+  const ids = parseUserIds(userIds);
+  const conversation = await requireAdmin(conversationId, actorId);
+
+  const current = await ConversationRepo.findParticipantIds(conversationId);
+  const added = ids.filter(id => !current.includes(id));
+  if (added.length === 0) throw new AppError('Everyone is already in this group', 400);
+  if (current.length + added.length > MAX_GROUP_PARTICIPANTS) {
+    throw new AppError(`Groups can have at most ${MAX_GROUP_PARTICIPANTS} participants`, 400);
+  }
+  await assertCanInvite(actorId, added);
+
+  await ConversationRepo.addParticipants(conversationId, added);
+
+  const users = await UserRepo.findManyByIds([actorId, ...added], 'id, username, full_name');
+  const actor = users.find(user => user.id === actorId);
+  const names = added.map(id => displayName(users.find(user => user.id === id)));
+  await announce(conversationId, actorId, 'participants_added', {
+    userIds: added,
+    content: `${displayName(actor)} added ${listNames(names)}`,
+  });
+  await notifyAdded({ ...conversation, id: conversationId }, { ...actor, id: actorId }, added);
+
+  return added;
+}
+
+/**
+ * Take `userId` out of a group: an admin removing someone, or anyone
+ * leaving. Leaving the last admin's seat hands it to the longest-standing
+ * member; the group is deleted when nobody is left.
+ */
+export async function removeParticipant(conversationId, actorId, userId) {
+  const conversation = await loadGroup(conversationId);
+  const actor = await requireParticipant(conversationId, actorId);
+  if (!conversation.is_group) throw new AppError('Only group conversations can be changed', 400);
+
+  const leaving = actorId === userId;
+  if (!leaving && actor.role !== 'admin') throw new AppError('Only group admins can do that', 403);
+  if (!leaving) await requireParticipant(conversationId, userId);
+
+  await ConversationRepo.removeParticipant(conversationId, userId);
+
+  const remaining = await ConversationRepo.findParticipants(conversationId, 'user_id, role');
+  if (remaining.length === 0) {
+    await removeConversationAttachments(conversationId);
+    await ConversationRepo.delete(conversationId);
+    await publishConversationUpdated(conversationId, {
+      change: 'participant_left',
+      actor_id: actorId,
+      user_ids: [userId],
+      conversation: { ...conversation, participants: [] },
+    }, { alsoTo: [userId] });
+    return;
+  }
+  if (!remaining.some(participant => participant.role === 'admin')) {
+    await ConversationRepo.updateParticipant(conversationId, remaining[0].user_id, { role: 'admin' });
+  }
+
+  const users = await UserRepo.findManyByIds([actorId, userId], 'id, username, full_name');
+  const name = (id) => displayName(users.find(user => user.id === id));
+  await announce(conversationId, actorId, leaving ? 'participant_left' : 'participant_removed', {
+    userIds: [userId],
+    content: leaving ? `${name(userId)} left` : `${name(actorId)} removed ${name(userId)}`,
+    alsoTo: [userId],
+  });
+}
+
+/**
+ * Rename a group, or clear its title with null. Admins only.
+ */
+export async function renameGroup(conversationId, actorId, title) {
+  await requireAdmin(conversationId, actorId);
+  const groupTitle = validateTitle(title);
+
+  await ConversationRepo.update(conversationId, { title: groupTitle });
+
+  const actor = await UserRepo.findById(actorId, 'username, full_name');
+  await announce(conversationId, actorId, 'title_changed', {
+    content: groupTitle
+      ? `${displayName(actor)} renamed the group to "${groupTitle}"`
+      : `${displayName(actor)} removed the group name`,
+  });
+
+  return groupTitle;
+}
+
+/**
+ * Make a participant an admin or a member. Admins only, and a group always
+ * keeps at least one admin.
+ */
+export async function setRole(conversationId, actorId, userId, role) {
+  if (!GROUP_ROLES.includes(role)) throw new AppError(`role must be one of ${GROUP_ROLES.join(', ')}`, 400);
+
+  await requireAdmin(conversationId, actorId);
+  const participant = await requireParticipant(conversationId, userId);
+  if (participant.role === role) return participant;
+
+  if (role === 'member') {
+    const admins = (await ConversationRepo.findParticipants(conversationId, 'user_id, role'))
+      .filter(p => p.role === 'admin');
+    if (admins.length === 1) throw new AppError('A group needs at least one admin', 400);
+  }
+
+  const updated = await ConversationRepo.updateParticipant(conversationId, userId, { role });
+
+  const users = await UserRepo.findManyByIds([actorId, userId], 'id, username, full_name');
+  const name = (id) => displayName(users.find(user => user.id === id));
+  await announce(conversationId, actorId, 'role_changed', {
+    userIds: [userId],
+    content: role === 'admin'
+      ? `${name(actorId)} made ${name(userId)} an admin`
+      : `${name(actorId)} removed ${name(userId)} as an admin`,
+  });
+
+  return updated;
+}
+
+/**
+ * Mute or unmute a conversation for `userId`. `until` is optional; without
+ * it the conversation stays muted until unmuted.
+ */
+export async function setMute(conversationId, userId, { muted, until }) {
+  if (typeof muted !== 'boolean') throw new AppError('muted must be true or false', 400);
+
+  let mutedUntil = null;
+  if (muted && until !== undefined && until !== null) {
+    const date = new Date(until);
+    if (Number.isNaN(date.getTime())) throw new AppError('until must be a date', 400);
+    if (date <= new Date()) throw new AppError('until must be in the future', 400);
+    mutedUntil = date.toISOString();
+  }
+
+  await requireParticipant(conversationId, userId);
+  const participant = await ConversationRepo.updateParticipant(conversationId, userId, {
+    muted,
+    muted_until: mutedUntil,
+  });
+  await ConversationRepo.invalidateLists([userId]);
+
+  return { muted: isMuted(participant), muted_until: participant.muted_until };
+}
+
+export default {
+  GROUP_ROLES,
+  MAX_GROUP_PARTICIPANTS,
+  validateTitle,
+  isMuted,
+  createGroup,
+  addParticipants,
+  removeParticipant,
+  renameGroup,
+  setRole,
+  setMute,
+};
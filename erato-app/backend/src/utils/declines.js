@@ -0,0 +1,175 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { ArtistRepo } from '../repositories/index.js';
+
+// ============================================================================
+// DECLINES
+// Declining a request keeps the commission: it moves to `declined` with a
+// reason from DECLINE_REASONS, an optional note and an optional suggestion
+// of another artist, and is archived out of the default commission lists.
+// The conversation and its history stay with both parties.
+//
+// The list of reasons can be replaced with COMMISSION_DECLINE_REASONS, a
+// comma-separated list of `code=Label` entries. After the retention period
+// (SCHEDULE_DECLINED_PURGE_HOURS, see jobs/scheduler.js) what the client
+// sent with the request is purged; the row itself stays so response metrics
+// still count it.
+// ============================================================================
+
+export const DEFAULT_DECLINE_REASONS = [
+  { code: 'schedule_full', label: 'My schedule is full' },
+  { code: 'out_of_scope', label: "This isn't something I draw" },
+  { code: 'budget', label: 'The budget is too low for this request' },
+  { code: 'timeline', label: 'The deadline is too tight' },
+  { code: 'content', label: "I don't take on this kind of content" },
+  { code: 'other', label: 'Other' },
+];
+
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Reasons an artist can pick from, after the environment override.
+ */
+export function getDeclineReasons() {
+  const configured = (process.env.COMMISSION_DECLINE_REASONS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [code, ...label] = entry.split('=');
+      return { code: code.trim(), label: label.join('=').trim() || code.trim() };
+    })
+    .filter(reason => /^[a-z0-9_]+$/.test(reason.code));
+
+  return configured.length > 0 ? configured : DEFAULT_DECLINE_REASONS;
+}
+
+export function getDeclineReasonLabel(code) {
+  return getDeclineReasons().find(reason => reason.code === code)?.label
+    || DEFAULT_DECLINE_REASONS.find(reason => reason.code === code)?.label
+    || code;
+}
+
+/**
+ * Check an artist's decline and build the commission updates for it.
+ * `reason` is required; `suggestedArtistId` must be another artist.
+ */
+export async function buildDeclineUpdates(commission, { reason, note = null, suggestedArtistId = null, now = Date.now() }) {
+  const codes = getDeclineReasons().map(r => r.code);
+  if (!reason || !codes.includes(reason)) {
+    throw new AppError(`decline_reason must be one of: ${codes.join(', ')}`, 400);
+  }
+
+  if (note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    throw new AppError(`The note can be at most ${MAX_NOTE_LENGTH} characters`, 400);
+  }
+
+  if (suggestedArtistId) {
+    if (suggestedArtistId === commission.artist_id || suggestedArtistId === commission.client_id) {
+      throw new AppError('Suggest a different artist', 400);
+    }
+    if (!(await ArtistRepo.findById(suggestedArtistId, 'id'))) {
+      throw new AppError('Suggested artist not found', 404);
+    }
+  }
+
+  const at = new Date(now).toISOString();
+  return {
+    decline_reason: reason,
+    artist_response: note?.trim() || null,
+    suggested_artist_id: suggestedArtistId || null,
+    declined_at: at,
+    archived_at: at,
+  };
+}
+
+// Bucket and path of a public Supabase Storage URL, or null for files
+// hosted anywhere else
+function storageObject(url) {
+  const match = typeof url === 'string' && url.match(/\/storage\/v1\/object\/public\/([^/]+)\/(.+)$/);
+  return match ? { bucket: match[1], path: decodeURIComponent(match[2]) } : null;
+}
+
+// Delete the stored objects behind a commission's files, except any another
+// commission still lists (a request's references are copied to the
+// commission made from each bid)
+async function removeStoredFiles(commissionId) {
+  const { data: files, error } = await supabaseAdmin
+    .from('commission_files')
+    .select('file_url')
+    .eq('commission_id', commissionId);
+
+  if (error) throw error;
+
+  const urls = [...new Set((files || []).map(f => f.file_url).filter(storageObject))];
+  if (urls.length === 0) return;
+
+  const { data: shared, error: sharedError } = await supabaseAdmin
+    .from('commission_files')
+    .select('file_url')
+    .in('file_url', urls)
+    .neq('commission_id', commissionId);
+
+  if (sharedError) throw sharedError;
+
+  const inUse = new Set((shared || []).map(f => f.file_url));
+  const byBucket = new Map();
+  for (const url of urls.filter(u => !inUse.has(u))) {
+    const { bucket, path } = storageObject(url);
+    byBucket.set(bucket, [...(byBucket.get(bucket) || []), path]);
+  }
+
+  for (const [bucket, paths] of byBucket) {
+    const { error: removeError } = await supabaseAdmin.storage.from(bucket).remove(paths);
+    if (removeError) throw removeError;
+  }
+}
+
+/**
+ * Remove what the client sent with a declined request once it is past
+ * retention: the details, note, budget, reference files (rows and stored
+ * objects) and the request message's text. Status, reason and timestamps
+ * are kept for metrics.
+ */
+export async function purgeDeclinedCommission(commissionId, { now = Date.now() } = {}) {
+  // Objects first: while the rows remain, a failed purge can be run again
+  await removeStoredFiles(commissionId);
+
+  const { error: filesError } = await supabaseAdmin
+    .from('commission_files')
+    .delete()
+    .eq('commission_id', commissionId);
+
+  if (filesError) throw filesError;
+
+  const { error: messageError } = await supabaseAdmin
+    .from('messages')
+    .update({ content: '[removed]' })
+    .eq('message_type', 'commission_request')
+    .contains('metadata', { commission_id: commissionId });
+
+  if (messageError) throw messageError;
+
+  const { error } = await supabaseAdmin
+    .from('commissions')
+    .update({
+      details: '[removed]',
+      client_note: null,
+      budget: null,
+      artist_response: null,
+      purged_at: new Date(now).toISOString(),
+    })
+    .eq('id', commissionId)
+    .eq('status', 'declined')
+    .is('purged_at', null);
+
+  if (error) throw error;
+}
+
+export default {
+  DEFAULT_DECLINE_REASONS,
+  getDeclineReasons,
+  getDeclineReasonLabel,
+  buildDeclineUpdates,
+  purgeDeclinedCommission,
+};
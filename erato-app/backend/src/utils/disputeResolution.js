@@ -0,0 +1,228 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { TERMINAL_STATES, transitionCommission } from './commissionStateMachine.js';
+import {
+  ACTIVE_DISPUTE_STATUSES,
+  DISPUTE_RESOLUTIONS,
+  notifyDisputeParties,
+  recordDisputeEvent,
+} from './disputes.js';
+import { recordModerationAction } from './moderation.js';
+import { releaseCommissionFunds } from './payouts/ledger.js';
+import { queueArtistPayout } from '../jobs/payouts.js';
+import { issueRefund } from './refunds.js';
+
+// ============================================================================
+// DISPUTE RESOLUTION
+// Moderator actions on a dispute, shared by /api/disputes and /api/admin.
+// ============================================================================
+
+const RESOLUTION_LABELS = {
+  full_refund: 'a full refund to the client',
+  partial_refund: 'a partial refund to the client',
+  release_to_artist: 'release of the funds to the artist',
+};
+
+export async function getDisputeWithCommission(disputeId) {
+  const { data: dispute, error } = await supabaseAdmin
+    .from('commission_disputes')
+    .select('*, commission:commissions(id, client_id, artist_id, status, escrow_status, final_price)')
+    .eq('id', disputeId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return dispute;
+}
+
+/**
+ * Assign a dispute to a moderator and mark it under review.
+ */
+export async function startDisputeReview(dispute, moderator) {
+  const moderatorId = moderator.id;
+
+  if (dispute.status !== 'open') {
+    throw new AppError(`Dispute is ${dispute.status}`, 400);
+  }
+
+  const { data: updated, error } = await supabaseAdmin
+    .from('commission_disputes')
+    .update({
+      status: 'under_review',
+      assigned_moderator_id: moderatorId,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', dispute.id)
+    .eq('status', 'open')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!updated) throw new AppError('Dispute changed in the meantime, please refresh', 409);
+
+  await recordDisputeEvent(dispute.id, { actorId: moderatorId, eventType: 'under_review' });
+
+  await notifyDisputeParties(dispute.commission, {
+    type: 'dispute_under_review',
+    title: 'Dispute Under Review',
+    message: 'A moderator is now reviewing the dispute on your commission',
+    disputeId: dispute.id
+  });
+
+  await recordModerationAction(moderator, {
+    action: 'dispute_review_started',
+    targetType: 'dispute',
+    targetId: dispute.id,
+    metadata: { commission_id: dispute.commission_id }
+  });
+
+  return updated;
+}
+
+/**
+ * Resolve a dispute with a full refund, partial refund or release to the artist.
+ * Refund resolutions cancel the commission and refund through the original
+ * provider; a release moves the escrowed funds to the artist's balance.
+ *
+ * @returns {Promise<{ dispute: object, refund: object|null }>}
+ */
+export async function resolveDispute({ dispute, moderator, resolution, refundAmount: refundAmountInput, notes = null }) {
+  const moderatorId = moderator.id;
+
+  if (!DISPUTE_RESOLUTIONS.includes(resolution)) {
+    throw new AppError(`resolution must be one of: ${DISPUTE_RESOLUTIONS.join(', ')}`, 400);
+  }
+
+  if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+    throw new AppError('This dispute is already closed', 400);
+  }
+
+  const commission = dispute.commission;
+
+  // Amount the client has paid and not had refunded yet (tips are not refundable through disputes)
+  const { data: transactions, error: transactionsError } = await supabaseAdmin
+    .from('payment_transactions')
+    .select('amount, refunded_amount, transaction_type')
+    .eq('commission_id', commission.id)
+    .in('status', ['succeeded', 'partially_refunded']);
+
+  if (transactionsError) throw transactionsError;
+
+  const totalPaid = (transactions || [])
+    .filter(t => t.transaction_type !== 'tip')
+    .reduce((sum, t) => sum + parseFloat(t.amount || 0) - parseFloat(t.refunded_amount || 0), 0);
+
+  let refundAmount = 0;
+  if (resolution === 'full_refund') {
+    refundAmount = totalPaid;
+  } else if (resolution === 'partial_refund') {
+    refundAmount = parseFloat(refundAmountInput);
+    if (!refundAmount || refundAmount <= 0 || refundAmount >= totalPaid) {
+      const error = new AppError('refund_amount must be greater than 0 and less than the amount paid', 400);
+      error.details = { amount_paid: totalPaid.toFixed(2) };
+      throw error;
+    }
+  }
+
+  const { data: updated, error } = await supabaseAdmin
+    .from('commission_disputes')
+    .update({
+      status: 'resolved',
+      resolution,
+      refund_amount: refundAmount.toFixed(2),
+      resolution_notes: notes || null,
+      resolved_by: moderatorId,
+      closed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', dispute.id)
+    .in('status', ACTIVE_DISPUTE_STATUSES) // Only one moderator's resolution wins
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!updated) throw new AppError('This dispute was resolved in the meantime', 409);
+
+  // Refunds end the commission; a release leaves the work where it is
+  if (resolution !== 'release_to_artist' && !TERMINAL_STATES.includes(commission.status)) {
+    await transitionCommission({
+      commission,
+      requestedStatus: 'cancelled',
+      actorId: moderatorId,
+      actorRole: 'moderator',
+      reason: `Dispute resolved: ${resolution}`,
+      updates: {
+        cancelled_by: moderatorId,
+        cancellation_type: 'dispute_resolution',
+        cancellation_reason: notes || null
+      },
+      metadata: { dispute_id: dispute.id }
+    });
+  }
+
+  const escrowStatus = resolution === 'release_to_artist' ? 'released' : 'refund_pending';
+  if (commission.escrow_status === 'held' || commission.escrow_status === 'refund_pending') {
+    await supabaseAdmin
+      .from('commissions')
+      .update({ escrow_status: escrowStatus })
+      .eq('id', commission.id);
+  }
+
+  if (resolution === 'release_to_artist') {
+    await releaseCommissionFunds(commission.id);
+    await queueArtistPayout(commission.artist_id);
+  }
+
+  // Send the refund through the original provider; a failure can be retried
+  // by a moderator through POST /api/refunds/commission/:commissionId
+  let refund = null;
+  if (resolution !== 'release_to_artist' && refundAmount > 0) {
+    try {
+      refund = await issueRefund({
+        commission,
+        actorId: moderatorId,
+        initiatedBy: 'moderator',
+        amount: refundAmount,
+        reason: `Dispute resolved: ${resolution}`,
+        allowDuringDispute: true
+      });
+    } catch (refundError) {
+      console.error('Error issuing dispute refund:', refundError);
+      refund = { error: refundError.message };
+    }
+  }
+
+  await recordDisputeEvent(dispute.id, {
+    actorId: moderatorId,
+    eventType: 'resolved',
+    message: notes || null,
+    metadata: { resolution, refund_amount: refundAmount.toFixed(2) }
+  });
+
+  await notifyDisputeParties(commission, {
+    type: 'dispute_resolved',
+    title: 'Dispute Resolved',
+    message: `The dispute on your commission was resolved with ${RESOLUTION_LABELS[resolution]}`,
+    disputeId: dispute.id
+  });
+
+  await recordModerationAction(moderator, {
+    action: 'dispute_resolved',
+    targetType: 'dispute',
+    targetId: dispute.id,
+    reason: notes || null,
+    metadata: {
+      commission_id: commission.id,
+      resolution,
+      refund_amount: refundAmount.toFixed(2),
+      refund_failed: !!refund?.error || refund?.failed > 0
+    }
+  });
+
+  return { dispute: updated, refund };
+}
+
+export default {
+  getDisputeWithCommission,
+  startDisputeReview,
+  resolveDispute,
+};
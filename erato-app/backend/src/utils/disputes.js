@@ -0,0 +1,163 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { queueNotification, queuePush } from '../jobs/notifications.js';
+
+// ============================================================================
+// COMMISSION DISPUTES
+// A dispute freezes escrow release and milestone payments on its commission
+// until a moderator resolves it or the opener withdraws it.
+// ============================================================================
+
+export const DISPUTE_STATUSES = ['open', 'under_review', 'resolved', 'withdrawn'];
+export const ACTIVE_DISPUTE_STATUSES = ['open', 'under_review'];
+
+export const DISPUTE_REASONS = [
+  'not_delivered',
+  'not_as_described',
+  'quality',
+  'missed_deadline',
+  'non_payment',
+  'communication',
+  'other',
+];
+
+export const DISPUTE_RESOLUTIONS = ['full_refund', 'partial_refund', 'release_to_artist'];
+
+/**
+ * Get the open or under-review dispute for a commission, if any.
+ */
+export async function getActiveDispute(commissionId) {
+  const { data, error } = await supabaseAdmin
+    .from('commission_disputes')
+    .select('*')
+    .eq('commission_id', commissionId)
+    .in('status', ACTIVE_DISPUTE_STATUSES)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Append an entry to the dispute timeline.
+ */
+export async function recordDisputeEvent(disputeId, { actorId = null, eventType, message = null, metadata = {} }) {
+  const { error } = await supabaseAdmin
+    .from('commission_dispute_events')
+    .insert({
+      dispute_id: disputeId,
+      actor_id: actorId,
+      event_type: eventType,
+      message,
+      metadata,
+    });
+
+  if (error) console.error('Error recording dispute event:', error);
+}
+
+/**
+ * Validate evidence IDs against the commission and attach them to the dispute.
+ * Evidence reuses uploads that already exist: commission_references rows and
+ * commission_progress_updates images. Notes without any IDs are stored as a
+ * `note` row of their own.
+ */
+export async function attachEvidence(dispute, userId, { referenceIds = [], progressUpdateIds = [], notes = null } = {}) {
+  const rows = [];
+
+  if (referenceIds.length > 0) {
+    const { data: references, error } = await supabaseAdmin
+      .from('commission_references')
+      .select('id, file_url, title')
+      .eq('commission_id', dispute.commission_id)
+      .in('id', referenceIds);
+
+    if (error) throw error;
+    if ((references || []).length !== referenceIds.length) {
+      throw new AppError('One or more references do not belong to this commission', 400);
+    }
+
+    references.forEach(ref => rows.push({
+      dispute_id: dispute.id,
+      submitted_by: userId,
+      evidence_type: 'reference',
+      reference_id: ref.id,
+      file_url: ref.file_url,
+      notes,
+    }));
+  }
+
+  if (progressUpdateIds.length > 0) {
+    const { data: updates, error } = await supabaseAdmin
+      .from('commission_progress_updates')
+      .select('id, image_url')
+      .eq('commission_id', dispute.commission_id)
+      .in('id', progressUpdateIds);
+
+    if (error) throw error;
+    if ((updates || []).length !== progressUpdateIds.length) {
+      throw new AppError('One or more progress updates do not belong to this commission', 400);
+    }
+
+    updates.forEach(update => rows.push({
+      dispute_id: dispute.id,
+      submitted_by: userId,
+      evidence_type: 'progress_update',
+      progress_update_id: update.id,
+      file_url: update.image_url,
+      notes,
+    }));
+  }
+
+  if (rows.length === 0 && notes) {
+    rows.push({
+      dispute_id: dispute.id,
+      submitted_by: userId,
+      evidence_type: 'note',
+      notes,
+    });
+  }
+
+  if (rows.length === 0) return [];
+
+  const { data, error } = await supabaseAdmin
+    .from('commission_dispute_evidence')
+    .insert(rows)
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Notify both parties of a commission about a dispute update (in-app + push).
+ */
+export async function notifyDisputeParties(commission, { type, title, message, disputeId, excludeUserId = null }) {
+  const recipients = [commission.client_id, commission.artist_id].filter(id => id && id !== excludeUserId);
+
+  await Promise.all(recipients.map(async (userId) => {
+    await queueNotification(userId, {
+      type,
+      title,
+      message,
+      action: { type: 'view_dispute', id: disputeId, commissionId: commission.id },
+      priority: 'high',
+    });
+    await queuePush(userId, {
+      title,
+      body: message,
+      data: { type: 'dispute', disputeId, commissionId: commission.id },
+      notificationType: type,
+    });
+  }));
+}
+
+export default {
+  DISPUTE_STATUSES,
+  ACTIVE_DISPUTE_STATUSES,
+  DISPUTE_REASONS,
+  DISPUTE_RESOLUTIONS,
+  getActiveDispute,
+  recordDisputeEvent,
+  attachEvidence,
+  notifyDisputeParties,
+};
@@ -0,0 +1,48 @@
+// ============================================================================
+// EMAIL
+// Sends plain-text email through an HTTP email API (Resend's by default:
+// POST { from, to, subject, text } with a bearer key). Used for the
+// notification digest.
+//
+// EMAIL_API_KEY turns email on; without it isEmailConfigured() is false and
+// nothing is sent. EMAIL_API_URL overrides the endpoint (tests point it at a
+// local stub) and EMAIL_FROM is the sender.
+// ============================================================================
+
+const DEFAULT_EMAIL_API_URL = 'https://api.resend.com/emails';
+const DEFAULT_FROM = 'Erato <notifications@erato.app>';
+
+export function isEmailConfigured() {
+  return Boolean(process.env.EMAIL_API_KEY);
+}
+
+/**
+ * Send one email. `idempotencyKey` makes a retried send a no-op at the
+ * provider. Throws when the API refuses it, so the job queue retries.
+ */
+export async function sendEmail({ to, subject, text, idempotencyKey = null }) {
+  if (!isEmailConfigured()) {
+    throw new Error('Email is not configured (EMAIL_API_KEY)');
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${process.env.EMAIL_API_KEY}`,
+  };
+  if (idempotencyKey) {
+    headers['Idempotency-Key'] = idempotencyKey;
+  }
+
+  const response = await fetch(process.env.EMAIL_API_URL || DEFAULT_EMAIL_API_URL, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ from: process.env.EMAIL_FROM || DEFAULT_FROM, to, subject, text }),
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`Email API failed (${response.status}): ${body}`);
+  }
+}
+
+export default { isEmailConfigured, sendEmail };
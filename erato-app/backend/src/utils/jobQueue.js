@@ -0,0 +1,324 @@
+import { randomUUID } from 'crypto';
+// Shared client from cache.js (a live binding, so an injected client is picked up)
+import redis from './cache.js';
+
+// ============================================================================
+// BACKGROUND JOB QUEUE
+// Jobs are JSON records under `job:<id>`. Their ids move between three keys:
+//
+//   jobs:waiting  sorted set scored by the time the job may run (delayed and
+//                 scheduled jobs simply carry a later score)
+//   jobs:active   sorted set scored by the claim's visibility deadline
+//   jobs:dead     list of jobs that used up their attempts, newest first
+//
+// A dead job's record moves to `job:dead:<id>`, so its jobId is free again:
+// a recurring sweep that failed for good is still enqueued on its next run.
+//
+// A job record and its place in jobs:waiting are written by one Lua script,
+// so a crash can never leave a record that nothing will run (and that would
+// block every later enqueue under its jobId).
+//
+// A worker owns a job only if its ZREM from jobs:waiting succeeds, so two
+// workers can never both claim it. The id is added to jobs:active before
+// that, so a worker dying mid-claim leaves the job visible to the reaper
+// rather than losing it. A job whose worker does not finish before the
+// deadline is put back (or buried) by reapExpired(), which makes delivery
+// at-least-once: handlers must be safe to run twice.
+//
+// Handlers are registered per job type with register(); src/jobs registers
+// the app's handlers and src/worker.js runs them.
+// ============================================================================
+
+const KEYS = {
+  waiting: 'jobs:waiting',
+  active: 'jobs:active',
+  dead: 'jobs:dead',
+  job: (id) => `job:${id}`,
+  deadJob: (id) => `job:dead:${id}`,
+};
+
+const DEFAULT_VISIBILITY_TIMEOUT_MS = 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const CLAIM_BATCH = 10;
+const DEAD_LIST_LIMIT = 1000;
+const DEAD_TTL = 14 * 24 * 60 * 60;
+
+// Retry delay after a failed attempt: 5s, 10s, 20s, ... capped at 10 minutes
+function retryDelay(attempts) {
+  return Math.min(5000 * 2 ** (attempts - 1), 10 * 60 * 1000);
+}
+
+// KEYS: job record, jobs:waiting. ARGV: job JSON, run-at score, job id.
+// Returns 0 when a job is already queued under that id.
+export const ENQUEUE_SCRIPT = `
+if not redis.call('SET', KEYS[1], ARGV[1], 'NX') then
+  return 0
+end
+redis.call('ZADD', KEYS[2], ARGV[2], ARGV[3])
+return 1
+`;
+
+const handlers = new Map();
+
+export class JobQueue {
+  /**
+   * Register the handler for a job type. `run(data, job)` may throw to have
+   * the job retried.
+   */
+  static register(type, run, { visibilityTimeout = DEFAULT_VISIBILITY_TIMEOUT_MS, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+    handlers.set(type, { run, visibilityTimeout, maxAttempts });
+  }
+
+  static registeredTypes() {
+    return [...handlers.keys()];
+  }
+
+  /**
+   * Queue a job. `delay` (ms) or `runAt` (Date or ISO string) hold it back.
+   * With a `jobId`, a job still queued under that id is left alone, which
+   * makes enqueueing idempotent. Returns the job id.
+   */
+  static async enqueue(type, data = {}, { delay = 0, runAt = null, jobId = null, maxAttempts = null } = {}) {
+    const id = jobId || `${type}:${randomUUID()}`;
+    const runAtMs = runAt ? new Date(runAt).getTime() : Date.now() + delay;
+
+    const job = {
+      id,
+      type,
+      data,
+      attempts: 0,
+      maxAttempts: maxAttempts || handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      status: 'waiting',
+      createdAt: new Date().toISOString(),
+      runAt: new Date(runAtMs).toISOString(),
+      lastError: null,
+    };
+
+    await redis.eval(ENQUEUE_SCRIPT, 2, KEYS.job(id), KEYS.waiting, JSON.stringify(job), runAtMs, id);
+    return id;
+  }
+
+  static async getJob(id) {
+    const raw = await redis.get(KEYS.job(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  static async getDeadJob(id) {
+    const raw = await redis.get(KEYS.deadJob(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  static async saveJob(job, ttl = null) {
+    if (ttl) {
+      await redis.set(KEYS.job(job.id), JSON.stringify(job), 'EX', ttl);
+    } else {
+      await redis.set(KEYS.job(job.id), JSON.stringify(job));
+    }
+  }
+
+  /**
+   * Claim the next job that is due, or null if there is none.
+   */
+  static async claim(now = Date.now()) {
+    const ids = await redis.zrangebyscore(KEYS.waiting, '-inf', now, 'LIMIT', 0, CLAIM_BATCH);
+
+    for (const id of ids) {
+      const job = await this.getJob(id);
+      const visibilityTimeout = handlers.get(job?.type)?.visibilityTimeout || DEFAULT_VISIBILITY_TIMEOUT_MS;
+
+      await redis.zadd(KEYS.active, now + visibilityTimeout, id);
+      if (!(await redis.zrem(KEYS.waiting, id))) {
+        // Another worker got there first; it has set its own deadline
+        continue;
+      }
+
+      if (!job) {
+        await redis.zrem(KEYS.active, id);
+        continue;
+      }
+
+      job.attempts += 1;
+      job.status = 'active';
+      await this.saveJob(job);
+      return job;
+    }
+
+    return null;
+  }
+
+  static async complete(job) {
+    await redis.zrem(KEYS.active, job.id);
+    await redis.del(KEYS.job(job.id));
+  }
+
+  static async fail(job, error) {
+    // Already put back by the reaper after its deadline passed
+    if (!(await redis.zrem(KEYS.active, job.id))) return;
+    await this.retryOrBury(job, error?.message || String(error));
+  }
+
+  static async retryOrBury(job, message, now = Date.now()) {
+    job.lastError = message;
+
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      job.failedAt = new Date(now).toISOString();
+      await redis.set(KEYS.deadJob(job.id), JSON.stringify(job), 'EX', DEAD_TTL);
+      await redis.del(KEYS.job(job.id));
+      await redis.lpush(KEYS.dead, job.id);
+      await redis.ltrim(KEYS.dead, 0, DEAD_LIST_LIMIT - 1);
+      console.error(`Job ${job.id} failed for good after ${job.attempts} attempts: ${message}`);
+      return;
+    }
+
+    const runAt = now + retryDelay(job.attempts);
+    job.status = 'waiting';
+    job.runAt = new Date(runAt).toISOString();
+    await this.saveJob(job);
+    await redis.zadd(KEYS.waiting, runAt, job.id);
+  }
+
+  /**
+   * Put back jobs whose worker passed the visibility deadline, counting it
+   * as a failed attempt.
+   */
+  static async reapExpired(now = Date.now()) {
+    const ids = await redis.zrangebyscore(KEYS.active, '-inf', now);
+    let reaped = 0;
+
+    for (const id of ids) {
+      if (!(await redis.zrem(KEYS.active, id))) continue;
+
+      const job = await this.getJob(id);
+      if (!job || job.status !== 'active') continue;
+
+      await this.retryOrBury(job, 'Visibility timeout expired', now);
+      reaped++;
+    }
+
+    return reaped;
+  }
+
+  static async process(job) {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      await redis.zrem(KEYS.active, job.id);
+      job.attempts = job.maxAttempts;
+      await this.retryOrBury(job, `No handler registered for ${job.type}`);
+      return;
+    }
+
+    try {
+      await handler.run(job.data, job);
+      await this.complete(job);
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      await this.fail(job, error);
+    }
+  }
+
+  /**
+   * Run due jobs one after another, up to `limit`. Returns how many ran.
+   */
+  static async runOnce({ limit = CLAIM_BATCH } = {}) {
+    await this.reapExpired();
+
+    let processed = 0;
+    while (processed < limit) {
+      const job = await this.claim();
+      if (!job) break;
+      await this.process(job);
+      processed++;
+    }
+    return processed;
+  }
+
+  /**
+   * Keep running jobs with `concurrency` parallel loops, sleeping
+   * `pollInterval` ms whenever the queue is empty. Resolves the returned
+   * stop() once in-flight jobs have finished.
+   */
+  static work({ concurrency = 1, pollInterval = 1000 } = {}) {
+    let stopped = false;
+    const sleepers = new Set();
+
+    const loop = async () => {
+      while (!stopped) {
+        let processed = 0;
+        try {
+          processed = await this.runOnce({ limit: 1 });
+        } catch (error) {
+          console.error('Job worker error:', error);
+        }
+
+        if (processed === 0 && !stopped) {
+          await new Promise(resolve => {
+            const wake = () => {
+              clearTimeout(timer);
+              sleepers.delete(wake);
+              resolve();
+            };
+            const timer = setTimeout(wake, pollInterval);
+            sleepers.add(wake);
+          });
+        }
+      }
+    };
+
+    const loops = Array.from({ length: concurrency }, loop);
+
+    return {
+      stop: async () => {
+        stopped = true;
+        sleepers.forEach(wake => wake());
+        await Promise.all(loops);
+      },
+    };
+  }
+
+  static async stats(now = Date.now()) {
+    const [waiting, due, active, dead] = await Promise.all([
+      redis.zcard(KEYS.waiting),
+      redis.zrangebyscore(KEYS.waiting, '-inf', now),
+      redis.zcard(KEYS.active),
+      redis.llen(KEYS.dead),
+    ]);
+
+    return { ready: due.length, delayed: waiting - due.length, active, dead };
+  }
+
+  static async listDead({ limit = 50, offset = 0 } = {}) {
+    const ids = await redis.lrange(KEYS.dead, offset, offset + limit - 1);
+    const jobs = await Promise.all(ids.map(id => this.getDeadJob(id)));
+    return jobs.filter(Boolean);
+  }
+
+  /**
+   * Give a dead job a fresh set of attempts. Returns false if it is not in
+   * the dead letter list. If a job has been queued under the same id since,
+   * that one stands and the dead record is just dropped.
+   */
+  static async retryDead(id) {
+    if (!(await redis.lrem(KEYS.dead, 0, id))) return false;
+
+    const job = await this.getDeadJob(id);
+    if (!job) return false;
+
+    const now = Date.now();
+    job.attempts = 0;
+    job.status = 'waiting';
+    job.runAt = new Date(now).toISOString();
+    delete job.failedAt;
+    await redis.eval(ENQUEUE_SCRIPT, 2, KEYS.job(id), KEYS.waiting, JSON.stringify(job), now, id);
+    await redis.del(KEYS.deadJob(id));
+    return true;
+  }
+
+  static async deleteDead(id) {
+    if (!(await redis.lrem(KEYS.dead, 0, id))) return false;
+    await redis.del(KEYS.deadJob(id));
+    return true;
+  }
+}
+
+export default JobQueue;
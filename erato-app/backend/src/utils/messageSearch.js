@@ -0,0 +1,193 @@
+import { AppError } from '../middleware/errorHandler.js';
+import { ConversationRepo, MessageRepo, UserRepo } from '../repositories/index.js';
+
+// ============================================================================
+// MESSAGE SEARCH
+// Full-text search over every conversation a user takes part in, using
+// Postgres text search on messages.content (websearch syntax: quoted
+// phrases, `or`, `-word`). Results come newest first, `limit` at a time,
+// with a `next_before` cursor for the next page. The cursor carries the last
+// hit's id as well as its time, so messages sent in the same instant are not
+// skipped at a page boundary; `before` also takes a plain date.
+//
+// Each hit carries a snippet of its text around the first match, with the
+// matched words' offsets so clients can highlight them. Opening a hit goes
+// through GET /conversations/:id/messages?around=<message id>, which returns
+// the messages on either side of it.
+// ============================================================================
+
+/**
+ * Message types a search can be narrowed to, by the name clients use.
+ */
+export const SEARCH_TYPES = {
+  text: ['text'],
+  image: ['image'],
+  file: ['file'],
+  voice: ['voice'],
+  commission: ['commission_request', 'progress_update', 'quote'],
+};
+
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const SNIPPET_RADIUS = 60;
+
+const isUuidLike = (value) => typeof value === 'string' && /^[0-9a-f-]{32,36}$/i.test(value);
+
+function encodeCursor(message) {
+  return Buffer.from(`${message.created_at}|${message.id}`).toString('base64url');
+}
+
+// `{ at, id }` from a next_before cursor, or `{ at, id: null }` for a date
+function parseBefore(value) {
+  if (value === undefined || value === '') return null;
+  const [at, id] = Buffer.from(String(value), 'base64url').toString().split('|');
+  if (id && isUuidLike(id) && !Number.isNaN(Date.parse(at))) return { at, id };
+  return { at: parseDate(value, 'before'), id: null };
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new AppError(`${name} must be a date`, 400);
+  return date.toISOString();
+}
+
+/**
+ * Check the query string of a search request. A search needs words to look
+ * for, a filter to browse by, or both.
+ */
+export function parseSearchFilters(query) {
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new AppError(`q must be at most ${MAX_QUERY_LENGTH} characters`, 400);
+  }
+
+  const types = query.type ? String(query.type).split(',').map(type => type.trim()).filter(Boolean) : [];
+  const unknown = types.find(type => !SEARCH_TYPES[type]);
+  if (unknown) {
+    throw new AppError(`type must be one of ${Object.keys(SEARCH_TYPES).join(', ')}`, 400);
+  }
+
+  for (const name of ['conversation_id', 'sender_id']) {
+    if (query[name] !== undefined && !isUuidLike(query[name])) throw new AppError(`${name} is invalid`, 400);
+  }
+
+  const filters = {
+    text,
+    conversationId: query.conversation_id || null,
+    senderId: query.sender_id || null,
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to'),
+    messageTypes: types.flatMap(type => SEARCH_TYPES[type]),
+    before: parseBefore(query.before),
+    limit: Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+  };
+
+  if (!filters.text && !filters.conversationId && !filters.senderId && types.length === 0 && !filters.from && !filters.to) {
+    throw new AppError('Give q or at least one filter', 400);
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new AppError('from must be before to', 400);
+  }
+
+  return filters;
+}
+
+/**
+ * The words of a websearch query worth highlighting: lower case, without
+ * quotes, `or` and excluded (-word) terms.
+ */
+export function searchTerms(text) {
+  return [...new Set(
+    text
+      .toLowerCase()
+      .replace(/"/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && word !== 'or' && !word.startsWith('-'))
+      .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+      .filter(Boolean)
+  )];
+}
+
+/**
+ * A piece of `content` around the first match of `terms`, and where the
+ * matches are in it: `{ text, highlights: [{ start, end }] }`. Words match
+ * from their start, so "color" also highlights "colors".
+ */
+export function buildSnippet(content, terms, { radius = SNIPPET_RADIUS } = {}) {
+  const source = content || '';
+  const matches = [];
+
+  for (const term of terms) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}[\\p{L}\\p{N}]*`, 'giu');
+    for (const match of source.matchAll(pattern)) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  // Overlapping matches of different terms become one
+  matches.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const match of matches) {
+    const last = merged[merged.length - 1];
+    if (last && match.start <= last.end) last.end = Math.max(last.end, match.end);
+    else merged.push({ ...match });
+  }
+
+  const first = merged[0] || { start: 0, end: 0 };
+  const start = Math.max(0, first.start - radius);
+  const end = Math.min(source.length, first.end + radius + (merged.length ? 0 : radius));
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+  const shift = prefix.length - start;
+
+  return {
+    text: `${prefix}${source.slice(start, end)}${suffix}`,
+    highlights: merged
+      .filter(match => match.start >= start && match.end <= end)
+      .map(match => ({ start: match.start + shift, end: match.end + shift })),
+  };
+}
+
+/**
+ * Search the messages `userId` can see. Returns
+ * `{ results: [{ message, sender, snippet }], next_before }`.
+ */
+export async function searchMessages(userId, filters) {
+  const conversationIds = await ConversationRepo.findConversationIds(userId);
+  const searchable = filters.conversationId
+    ? conversationIds.filter(id => id === filters.conversationId)
+    : conversationIds;
+
+  if (filters.conversationId && searchable.length === 0) {
+    throw new AppError('Conversation not found', 404);
+  }
+  if (searchable.length === 0) return { results: [], next_before: null };
+
+  const rows = await MessageRepo.search(searchable, { ...filters, limit: filters.limit + 1 });
+  const page = rows.slice(0, filters.limit);
+
+  const senders = await UserRepo.findManyByIds(page.map(message => message.sender_id));
+  const sendersById = new Map(senders.map(sender => [sender.id, sender]));
+  const terms = searchTerms(filters.text);
+
+  return {
+    results: page.map(message => ({
+      message,
+      sender: sendersById.get(message.sender_id) || null,
+      snippet: buildSnippet(message.content, terms),
+    })),
+    next_before: rows.length > filters.limit ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+export default {
+  SEARCH_TYPES,
+  parseSearchFilters,
+  searchTerms,
+  buildSnippet,
+  searchMessages,
+};
@@ -0,0 +1,416 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { ROLES, roleRank } from '../middleware/auth.js';
+import { cache, cacheKeys } from './cache.js';
+import { invalidateLater } from '../jobs/cache.js';
+import { queueNotification } from '../jobs/notifications.js';
+import { UserRepo } from '../repositories/index.js';
+
+// ============================================================================
+// MODERATION
+// Staff actions on users and content. Every action goes through
+// recordModerationAction so the audit log is complete.
+// ============================================================================
+
+export const ACCOUNT_STATUSES = ['active', 'suspended', 'banned'];
+
+export const VERIFICATION_ACTIONS = ['approve', 'reject'];
+
+// Content that can be taken down: where it lives, who posted it, and the
+// caches that show it
+export const TAKEDOWN_TARGETS = {
+  artwork: {
+    table: 'artworks',
+    columns: 'id, artist_id',
+    owner: (row) => row.artist_id,
+    cacheKeys: (row) => [cacheKeys.artwork(row.id)],
+    cachePatterns: (row) => ['artworks:list:*', 'feed:*', `artist:${row.artist_id}:artworks`],
+  },
+  review: {
+    table: 'reviews',
+    columns: 'id, client_id, artist_id, review_type',
+    owner: (row) => (row.review_type === 'artist_to_client' ? row.artist_id : row.client_id),
+    cacheKeys: () => [],
+    cachePatterns: () => [],
+  },
+  commission_package: {
+    table: 'commission_packages',
+    columns: 'id, artist_id',
+    owner: (row) => row.artist_id,
+    cacheKeys: (row) => [`artist:${row.artist_id}:packages`],
+    cachePatterns: () => [],
+  },
+  message: {
+    table: 'messages',
+    columns: 'id, sender_id, conversation_id',
+    owner: (row) => row.sender_id,
+    cacheKeys: () => [],
+    cachePatterns: () => [],
+  },
+  board: {
+    table: 'boards',
+    columns: 'id, user_id',
+    owner: (row) => row.user_id,
+    cacheKeys: (row) => [cacheKeys.board(row.id), cacheKeys.boardArtworks(row.id), cacheKeys.userBoards(row.user_id)],
+    cachePatterns: () => [],
+  },
+  commission_request: {
+    table: 'commission_requests',
+    columns: 'id, client_id',
+    owner: (row) => row.client_id,
+    cacheKeys: () => [],
+    cachePatterns: () => [],
+  },
+};
+
+/**
+ * Append an entry to the moderation audit log. Failures are logged but never
+ * block the action itself. A null actor records an automatic action.
+ */
+export async function recordModerationAction(actor, { action, targetType, targetId, reason = null, metadata = {} }) {
+  const { error } = await supabaseAdmin
+    .from('moderation_audit_log')
+    .insert({
+      actor_id: actor?.id || null,
+      actor_role: actor ? actor.role : 'system',
+      action,
+      target_type: targetType,
+      target_id: targetId,
+      reason,
+      metadata,
+    });
+
+  if (error) console.error('Error recording moderation action:', error);
+}
+
+/**
+ * Staff can only act on accounts ranked below their own role.
+ */
+export function canModerateUser(actor, target) {
+  return actor.id !== target.id && roleRank(actor.role) > roleRank(target.role);
+}
+
+export async function getPendingVerifications() {
+  const { data, error } = await supabaseAdmin
+    .from('verification_submissions')
+    .select(`
+      *,
+      artists (
+        id,
+        user_id,
+        bio,
+        users (
+          username,
+          email,
+          profile_picture
+        )
+      )
+    `)
+    .eq('status', 'pending')
+    .order('submitted_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Approve or reject a verification submission and update the artist's badge.
+ */
+export async function reviewVerification(actor, submissionId, { action, adminNotes = null }) {
+  if (!VERIFICATION_ACTIONS.includes(action)) {
+    throw new AppError('Action must be either "approve" or "reject"', 400);
+  }
+
+  const { data: submission, error: submissionError } = await supabaseAdmin
+    .from('verification_submissions')
+    .select('artist_id, verification_type, status')
+    .eq('id', submissionId)
+    .maybeSingle();
+
+  if (submissionError) throw submissionError;
+  if (!submission) throw new AppError('Submission not found', 404);
+
+  const { data: updatedSubmission, error: updateError } = await supabaseAdmin
+    .from('verification_submissions')
+    .update({
+      status: action === 'approve' ? 'approved' : 'rejected',
+      admin_notes: adminNotes,
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: actor.id
+    })
+    .eq('id', submissionId)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  if (action === 'approve') {
+    await supabaseAdmin
+      .from('artists')
+      .update({
+        verified: true,
+        verification_status: 'verified',
+        verification_type: submission.verification_type,
+        verified_at: new Date().toISOString()
+      })
+      .eq('id', submission.artist_id);
+  } else {
+    await supabaseAdmin
+      .from('artists')
+      .update({
+        verification_status: 'rejected',
+        verification_notes: adminNotes
+      })
+      .eq('id', submission.artist_id);
+  }
+
+  await recordModerationAction(actor, {
+    action: action === 'approve' ? 'verification_approved' : 'verification_rejected',
+    targetType: 'verification_submission',
+    targetId: submissionId,
+    reason: adminNotes,
+    metadata: {
+      artist_id: submission.artist_id,
+      verification_type: submission.verification_type,
+      previous_status: submission.status
+    }
+  });
+
+  return updatedSubmission;
+}
+
+async function getModeratableUser(actor, userId) {
+  const target = await UserRepo.findById(userId, 'id, username, role, account_status, suspended_until');
+  if (!target) throw new AppError('User not found', 404);
+
+  if (!canModerateUser(actor, target)) {
+    throw new AppError('You cannot moderate this account', 403);
+  }
+
+  return target;
+}
+
+// UserRepo.update drops the cached row authenticate reads, so the change applies now
+const updateUser = (userId, updates) => UserRepo.update(
+  userId,
+  updates,
+  'id, username, role, account_status, suspended_until, suspension_reason, banned_at'
+);
+
+/**
+ * Suspend, ban or reinstate an account. Suspensions without `until` last
+ * until someone reinstates the account.
+ */
+export async function setAccountStatus(actor, userId, { status, until = null, reason = null }) {
+  if (!ACCOUNT_STATUSES.includes(status)) {
+    throw new AppError(`status must be one of: ${ACCOUNT_STATUSES.join(', ')}`, 400);
+  }
+
+  if (status !== 'active' && !reason) {
+    throw new AppError('A reason is required', 400);
+  }
+
+  let suspendedUntil = null;
+  if (status === 'suspended' && until) {
+    suspendedUntil = new Date(until);
+    if (isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date()) {
+      throw new AppError('until must be a date in the future', 400);
+    }
+  }
+
+  const target = await getModeratableUser(actor, userId);
+
+  // Only admins can issue or lift a ban
+  if ((status === 'banned' || target.account_status === 'banned') && actor.role !== 'admin') {
+    throw new AppError('Only admins can ban or unban accounts', 403);
+  }
+
+  const updated = await updateUser(userId, {
+    account_status: status,
+    suspended_until: suspendedUntil ? suspendedUntil.toISOString() : null,
+    suspension_reason: status === 'active' ? null : reason,
+    banned_at: status === 'banned' ? new Date().toISOString() : null,
+    ...(status !== 'active' && { is_online: false })
+  });
+
+  const action = { active: 'user_reinstated', suspended: 'user_suspended', banned: 'user_banned' }[status];
+  await recordModerationAction(actor, {
+    action,
+    targetType: 'user',
+    targetId: userId,
+    reason,
+    metadata: {
+      previous_status: target.account_status || 'active',
+      suspended_until: updated.suspended_until
+    }
+  });
+
+  return updated;
+}
+
+/**
+ * Change a user's staff role.
+ */
+export async function setUserRole(actor, userId, role, { reason = null } = {}) {
+  if (!ROLES.includes(role)) {
+    throw new AppError(`role must be one of: ${ROLES.join(', ')}`, 400);
+  }
+
+  if (roleRank(role) >= roleRank(actor.role)) {
+    throw new AppError('You cannot grant a role equal to or above your own', 403);
+  }
+
+  const target = await getModeratableUser(actor, userId);
+
+  const updated = await updateUser(userId, { role });
+
+  await recordModerationAction(actor, {
+    action: 'role_changed',
+    targetType: 'user',
+    targetId: userId,
+    reason,
+    metadata: { previous_role: target.role || 'user', role }
+  });
+
+  return updated;
+}
+
+async function invalidateContentCaches(target, row) {
+  await Promise.all(target.cacheKeys(row).map(key => cache.del(key)));
+  await invalidateLater(target.cachePatterns(row));
+}
+
+/**
+ * Hide a piece of content from everyone and tell its owner why. A null actor
+ * means the content was hidden automatically and is waiting for review.
+ */
+export async function takeDownContent(actor, { contentType, contentId, reason }) {
+  const target = TAKEDOWN_TARGETS[contentType];
+  if (!target) {
+    throw new AppError(`content_type must be one of: ${Object.keys(TAKEDOWN_TARGETS).join(', ')}`, 400);
+  }
+  if (!reason) {
+    throw new AppError('A reason is required', 400);
+  }
+
+  const { data: row, error } = await supabaseAdmin
+    .from(target.table)
+    .select(`${target.columns}, removed_at`)
+    .eq('id', contentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!row) throw new AppError('Content not found', 404);
+  if (row.removed_at) throw new AppError('Content has already been taken down', 409);
+
+  const { data: takedown, error: takedownError } = await supabaseAdmin
+    .from('content_takedowns')
+    .insert({
+      content_type: contentType,
+      content_id: contentId,
+      owner_id: target.owner(row),
+      reason,
+      removed_by: actor?.id || null
+    })
+    .select()
+    .single();
+
+  if (takedownError) throw takedownError;
+
+  const { error: updateError } = await supabaseAdmin
+    .from(target.table)
+    .update({ removed_at: takedown.created_at })
+    .eq('id', contentId);
+
+  if (updateError) throw updateError;
+
+  await invalidateContentCaches(target, row);
+
+  await recordModerationAction(actor, {
+    action: 'content_removed',
+    targetType: contentType,
+    targetId: contentId,
+    reason,
+    metadata: { takedown_id: takedown.id, owner_id: takedown.owner_id }
+  });
+
+  if (takedown.owner_id) {
+    const label = contentType.replace('_', ' ');
+    await queueNotification(takedown.owner_id, {
+      type: 'content_removed',
+      title: actor ? 'Content Removed' : 'Content Hidden',
+      message: actor
+        ? `A moderator removed your ${label}: ${reason}`
+        : `Your ${label} has been hidden while a moderator reviews reports about it`,
+      action: { type: 'view_takedown', id: takedown.id },
+      priority: 'high',
+    });
+  }
+
+  return takedown;
+}
+
+/**
+ * Undo a takedown, e.g. after an appeal.
+ */
+export async function restoreContent(actor, takedownId, { reason = null } = {}) {
+  const { data: takedown, error } = await supabaseAdmin
+    .from('content_takedowns')
+    .select('*')
+    .eq('id', takedownId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!takedown) throw new AppError('Takedown not found', 404);
+  if (takedown.restored_at) throw new AppError('Content has already been restored', 409);
+
+  const target = TAKEDOWN_TARGETS[takedown.content_type];
+
+  const { data: row, error: updateError } = await supabaseAdmin
+    .from(target.table)
+    .update({ removed_at: null })
+    .eq('id', takedown.content_id)
+    .select(target.columns)
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+
+  const { data: updated, error: takedownError } = await supabaseAdmin
+    .from('content_takedowns')
+    .update({
+      restored_at: new Date().toISOString(),
+      restored_by: actor.id,
+      restore_reason: reason
+    })
+    .eq('id', takedownId)
+    .select()
+    .single();
+
+  if (takedownError) throw takedownError;
+
+  if (row) await invalidateContentCaches(target, row);
+
+  await recordModerationAction(actor, {
+    action: 'content_restored',
+    targetType: takedown.content_type,
+    targetId: takedown.content_id,
+    reason,
+    metadata: { takedown_id: takedownId }
+  });
+
+  return updated;
+}
+
+export default {
+  ACCOUNT_STATUSES,
+  VERIFICATION_ACTIONS,
+  TAKEDOWN_TARGETS,
+  recordModerationAction,
+  canModerateUser,
+  getPendingVerifications,
+  reviewVerification,
+  setAccountStatus,
+  setUserRole,
+  takeDownContent,
+  restoreContent,
+};
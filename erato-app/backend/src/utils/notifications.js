@@ -0,0 +1,487 @@
+import { createHash } from 'crypto';
+// Shared client from cache.js (a live binding, so an injected client is picked up)
+import redis, { cache, cacheKeys } from './cache.js';
+import { hasMuted } from './blocks.js';
+import { sendEmail } from './email.js';
+// Imported directly rather than through repositories/index.js, which pulls in
+// modules that depend on this one
+import { NotificationRepo } from '../repositories/notificationRepo.js';
+import { UserRepo } from '../repositories/userRepo.js';
+
+// ============================================================================
+// NOTIFICATION CENTER
+// Notifications are stored in Postgres. Redis holds the first page of each
+// user's list, their unread count and their preferences, and carries the
+// `feed:<userId>` pub/sub channel Socket.io forwards to the client.
+//
+// Each type can be switched on or off per channel: `in_app` (the stored
+// notification and its real-time event), `push` and `email_digest`. Quiet
+// hours hold back push only. A type with email digest on but in-app off is
+// still stored, with `in_app` false, so the digest job can send it; the
+// notification center never shows those rows. Notifications published with
+// a `groupKey` fold into the recipient's unread notification with the same
+// key instead of adding a new entry.
+// ============================================================================
+
+export const NOTIFICATION_CHANNELS = ['in_app', 'push', 'email_digest'];
+
+export const NOTIFICATION_TYPES = {
+  new_message: 'messages',
+  added_to_conversation: 'messages',
+  new_commission_request: 'commissions',
+  commission_accepted: 'commissions',
+  commission_declined: 'commissions',
+  commission_completed: 'commissions',
+  commission_cancelled: 'commissions',
+  approval_requested: 'commissions',
+  checkpoint_approved: 'commissions',
+  checkpoint_rejected: 'commissions',
+  revision_requested: 'commissions',
+  milestone_approval_needed: 'commissions',
+  milestone_plan_confirmed: 'commissions',
+  review_prompt: 'commissions',
+  deadline_reminder: 'commissions',
+  deadline_overdue: 'commissions',
+  approval_reminder: 'commissions',
+  commissions_closed: 'commissions',
+  waitlist_promoted: 'commissions',
+  waitlist_confirmed: 'commissions',
+  drop_open: 'commissions',
+  drop_won: 'commissions',
+  drop_lost: 'commissions',
+  new_bid: 'requests',
+  bid_accepted: 'requests',
+  request_cancelled: 'requests',
+  request_expired: 'requests',
+  payment_chargeback: 'payments',
+  payout_paid: 'payments',
+  payout_failed: 'payments',
+  dispute_opened: 'disputes',
+  dispute_updated: 'disputes',
+  dispute_under_review: 'disputes',
+  dispute_resolved: 'disputes',
+  dispute_withdrawn: 'disputes',
+  favorite_artist_opened: 'social',
+  content_removed: 'account',
+  report_resolved: 'account',
+};
+
+const DEFAULT_PREFERENCE = { in_app: true, push: true, email_digest: false };
+const PRIORITIES = ['low', 'normal', 'high'];
+
+const PAGE_SIZE = 20;
+const RECENT_TTL = 300; // first page
+const UNREAD_TTL = 30 * 24 * 60 * 60;
+const PREFS_TTL = 900;
+
+// Concurrent events for one group each retry their bump this many times
+const GROUP_BUMP_ATTEMPTS = 5;
+
+export const feedChannel = (userId) => `feed:${userId}`;
+
+function encodeCursor(row) {
+  return Buffer.from(`${row.last_event_at}|${row.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  const [at, id] = Buffer.from(cursor, 'base64url').toString().split('|');
+  if (!id || Number.isNaN(Date.parse(at))) return null;
+  return { at, id };
+}
+
+// Minutes since midnight for 'HH:MM' or 'HH:MM:SS'
+function minutesOf(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether `now` falls inside the quiet hours window in the user's timezone.
+ * Windows may wrap past midnight (22:00 to 07:00).
+ */
+export function isQuietHours(settings, now = new Date()) {
+  if (!settings?.start || !settings?.end) return false;
+
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-GB', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      timeZone: settings.timezone || 'UTC',
+    }).formatToParts(now);
+  } catch {
+    return false;
+  }
+
+  const part = type => Number(parts.find(p => p.type === type)?.value || 0);
+  const current = part('hour') * 60 + part('minute');
+  const start = minutesOf(settings.start);
+  const end = minutesOf(settings.end);
+
+  if (start === end) return false;
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+// Columns for a new notification row
+function notificationRow(userId, notification, now) {
+  return {
+    user_id: userId,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message ?? null,
+    action: notification.action
+      ?? (notification.link ? { type: 'link', link: notification.link, ...notification.data } : null),
+    priority: PRIORITIES.includes(notification.priority) ? notification.priority : 'normal',
+    actor_id: notification.actorId ?? null,
+    group_key: notification.groupKey ?? null,
+    group_count: 1,
+    created_at: now,
+    last_event_at: now,
+  };
+}
+
+/**
+ * API shape of a stored notification.
+ */
+function toNotification(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    message: row.message,
+    action: row.action,
+    priority: row.priority,
+    actor_id: row.actor_id,
+    group_key: row.group_key,
+    count: row.group_count,
+    read: Boolean(row.read_at),
+    read_at: row.read_at,
+    created_at: row.created_at,
+    timestamp: Date.parse(row.last_event_at),
+  };
+}
+
+export class NotificationService {
+  // Store and deliver a notification. Pass actorId for notifications caused
+  // by another user so they are dropped if the recipient has muted that user.
+  // With `groupKey`, the notification folds into the recipient's unread one
+  // with the same key; `groupTitle` then replaces the title, with `{count}`
+  // standing for the number of grouped events.
+  static async publish(userId, notification) {
+    try {
+      return await this.deliver(userId, notification);
+    } catch (error) {
+      console.error('Error publishing notification:', error);
+      return null;
+    }
+  }
+
+  // publish() without the error handling, for the job queue to retry on
+  static async deliver(userId, notification) {
+    if (await hasMuted(userId, notification.actorId)) {
+      return null;
+    }
+
+    const preference = await this.getPreference(userId, notification.type);
+    if (!preference.in_app && !preference.email_digest) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const digestStatus = preference.email_digest ? 'pending' : null;
+
+    // Digest only: no group, unread count or real-time event
+    if (!preference.in_app) {
+      await NotificationRepo.create({
+        ...notificationRow(userId, notification, now),
+        group_key: null,
+        digest_status: digestStatus,
+        in_app: false,
+      });
+      return null;
+    }
+
+    let row = null;
+    let grouped = false;
+    if (notification.groupKey) {
+      row = await this.bumpGroup(userId, notification, now, digestStatus);
+      grouped = Boolean(row);
+    }
+
+    if (!row) {
+      try {
+        row = await NotificationRepo.create({
+          ...notificationRow(userId, notification, now),
+          digest_status: digestStatus,
+        });
+      } catch (error) {
+        // Another event for the same group got there first
+        if (error.code !== '23505' || !notification.groupKey) throw error;
+        row = await this.bumpGroup(userId, notification, now, digestStatus);
+        grouped = true;
+        if (!row) throw error;
+      }
+    }
+
+    if (!grouped) {
+      await this.incrementUnreadCount(userId);
+    }
+    await cache.del(cacheKeys.notifications(userId));
+
+    const notificationData = toNotification(row);
+
+    // Publish to real-time channel for Socket.io
+    await redis.publish(feedChannel(userId), JSON.stringify(notificationData));
+
+    return notificationData;
+  }
+
+  // Fold an event into the open group; null when there is none. The write
+  // only lands if the count is still the one read, so concurrent events
+  // each add one instead of overwriting each other.
+  static async bumpGroup(userId, notification, now, digestStatus) {
+    for (let attempt = 0; attempt < GROUP_BUMP_ATTEMPTS; attempt++) {
+      const open = await NotificationRepo.findOpenGroup(userId, notification.groupKey);
+      if (!open) return null;
+
+      const count = open.group_count + 1;
+      const row = await NotificationRepo.bumpGroup(open.id, open.group_count, {
+        group_count: count,
+        title: notification.groupTitle
+          ? notification.groupTitle.replace('{count}', count)
+          : notification.title,
+        message: notification.message ?? open.message,
+        actor_id: notification.actorId ?? open.actor_id,
+        last_event_at: now,
+        digest_status: digestStatus ?? open.digest_status,
+      });
+      if (row) return row;
+    }
+
+    throw new Error(`Notification group ${notification.groupKey} kept changing`);
+  }
+
+  // A page of notifications, newest activity first. `cursor` is the
+  // `nextCursor` of the previous page. The unfiltered first page is cached.
+  static async getNotifications(userId, { limit = PAGE_SIZE, cursor = null, types = null, unreadOnly = false } = {}) {
+    const before = decodeCursor(cursor);
+    const cacheable = !before && !types?.length && !unreadOnly && limit === PAGE_SIZE;
+
+    if (cacheable) {
+      const cached = await cache.get(cacheKeys.notifications(userId));
+      if (cached) return cached;
+    }
+
+    const rows = await NotificationRepo.list(userId, { limit: limit + 1, before, types, unreadOnly });
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    const result = {
+      notifications: page.map(toNotification),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    };
+
+    if (cacheable) {
+      await cache.set(cacheKeys.notifications(userId), result, RECENT_TTL);
+    }
+    return result;
+  }
+
+  // Returns false if the notification was not found or already read
+  static async markAsRead(userId, notificationId) {
+    const updated = await NotificationRepo.markRead(userId, notificationId);
+    if (!updated) return false;
+
+    await this.decrementUnreadCount(userId);
+    await cache.del(cacheKeys.notifications(userId));
+    return true;
+  }
+
+  static async markAllAsRead(userId) {
+    await NotificationRepo.markAllRead(userId);
+    await redis.set(cacheKeys.notificationsUnread(userId), 0, 'EX', UNREAD_TTL);
+    await cache.del(cacheKeys.notifications(userId));
+  }
+
+  // Unread count, rebuilt from the database when Redis has lost it
+  static async getUnreadCount(userId) {
+    const key = cacheKeys.notificationsUnread(userId);
+    try {
+      const cached = await redis.get(key);
+      if (cached !== null) return Math.max(parseInt(cached, 10) || 0, 0);
+    } catch (error) {
+      console.error('Error getting unread count:', error);
+    }
+
+    const count = await NotificationRepo.countUnread(userId);
+    try {
+      await redis.set(key, count, 'EX', UNREAD_TTL);
+    } catch (error) {
+      console.error('Error caching unread count:', error);
+    }
+    return count;
+  }
+
+  // The counters only move while cached; a missing one is rebuilt on read
+  static async incrementUnreadCount(userId) {
+    const key = cacheKeys.notificationsUnread(userId);
+    try {
+      if (await redis.exists(key)) {
+        await redis.incr(key);
+      }
+    } catch (error) {
+      console.error('Error incrementing unread count:', error);
+    }
+  }
+
+  static async decrementUnreadCount(userId) {
+    const key = cacheKeys.notificationsUnread(userId);
+    try {
+      if (await redis.exists(key)) {
+        const count = await redis.decr(key);
+        if (count < 0) await redis.del(key);
+      }
+    } catch (error) {
+      console.error('Error decrementing unread count:', error);
+    }
+  }
+
+  static async resetUnreadCount(userId) {
+    try {
+      await redis.del(cacheKeys.notificationsUnread(userId));
+    } catch (error) {
+      console.error('Error resetting unread count:', error);
+    }
+  }
+
+  /**
+   * Every known type with its channel choices (stored or default), plus the
+   * user's quiet hours or null.
+   */
+  static async getPreferences(userId) {
+    const cacheKey = cacheKeys.notificationPrefs(userId);
+    const cached = await cache.get(cacheKey);
+    if (cached) return cached;
+
+    const [rows, settings] = await Promise.all([
+      NotificationRepo.findPreferences(userId),
+      NotificationRepo.findSettings(userId),
+    ]);
+    const stored = new Map(rows.map(row => [row.type, row]));
+
+    const result = {
+      preferences: Object.entries(NOTIFICATION_TYPES).map(([type, category]) => {
+        const row = stored.get(type) || DEFAULT_PREFERENCE;
+        return {
+          type,
+          category,
+          in_app: row.in_app,
+          push: row.push,
+          email_digest: row.email_digest,
+        };
+      }),
+      quiet_hours: settings?.quiet_hours_start
+        ? {
+          start: settings.quiet_hours_start.slice(0, 5),
+          end: settings.quiet_hours_end.slice(0, 5),
+          timezone: settings.timezone,
+        }
+        : null,
+    };
+
+    await cache.set(cacheKey, result, PREFS_TTL);
+    return result;
+  }
+
+  /**
+   * Save channel choices for some types and, when `quietHours` is given
+   * (null clears it), the quiet hours window. Input is validated by the route.
+   */
+  static async updatePreferences(userId, { preferences = [], quietHours } = {}) {
+    if (preferences.length > 0) {
+      await NotificationRepo.upsertPreferences(userId, preferences);
+    }
+
+    if (quietHours !== undefined) {
+      await NotificationRepo.upsertSettings(userId, {
+        quiet_hours_start: quietHours?.start ?? null,
+        quiet_hours_end: quietHours?.end ?? null,
+        timezone: quietHours?.timezone || 'UTC',
+      });
+    }
+
+    await cache.del(cacheKeys.notificationPrefs(userId));
+    return this.getPreferences(userId);
+  }
+
+  static async getPreference(userId, type) {
+    try {
+      const { preferences } = await this.getPreferences(userId);
+      return preferences.find(p => p.type === type) || DEFAULT_PREFERENCE;
+    } catch (error) {
+      console.error('Error loading notification preferences:', error);
+      return DEFAULT_PREFERENCE;
+    }
+  }
+
+  /**
+   * Whether `type` may be sent to the user over `channel` right now.
+   */
+  static async allows(userId, type, channel) {
+    const preference = await this.getPreference(userId, type);
+    if (!preference[channel]) return false;
+
+    if (channel === 'push') {
+      const { quiet_hours: quietHours } = await this.getPreferences(userId).catch(() => ({}));
+      if (isQuietHours(quietHours)) return false;
+    }
+    return true;
+  }
+
+  // Notifications waiting for the user's email digest, oldest first
+  static async getPendingDigest(userId) {
+    const rows = await NotificationRepo.findPendingDigest(userId);
+    return rows.map(toNotification);
+  }
+
+  static async markDigestSent(notificationIds) {
+    await NotificationRepo.markDigestSent(notificationIds);
+  }
+
+  /**
+   * Email the user everything waiting for their digest and mark it sent.
+   * Returns how many notifications went out. A retry after a lost response
+   * sends the same idempotency key, so the provider drops the repeat.
+   */
+  static async sendDigest(userId) {
+    const pending = await NotificationRepo.findPendingDigest(userId);
+    if (pending.length === 0) return 0;
+
+    const user = await UserRepo.findById(userId, 'id, email, username');
+    if (user?.email) {
+      const ids = pending.map(row => row.id);
+      await sendEmail({
+        to: user.email,
+        subject: pending.length === 1
+          ? pending[0].title
+          : `${pending.length} updates on Erato`,
+        text: [
+          `Hi ${user.username},`,
+          '',
+          ...pending.map(row => (row.message ? `- ${row.title}: ${row.message}` : `- ${row.title}`)),
+        ].join('\n'),
+        idempotencyKey: `digest-${createHash('sha256').update([...ids].sort().join(',')).digest('hex')}`,
+      });
+    }
+
+    // Users without an address have nowhere to send it; don't keep it pending
+    await NotificationRepo.markDigestSent(pending.map(row => row.id));
+    return user?.email ? pending.length : 0;
+  }
+}
+
+export default NotificationService;
@@ -0,0 +1,105 @@
+import * as paypal from '@paypal/checkout-server-sdk';
+import Stripe from 'stripe';
+
+// ============================================================================
+// PAYMENT CLIENTS
+// The Stripe and PayPal checkout clients every payment, refund and payout
+// path goes through. setPaymentClients() swaps them out, which is how tests
+// run the payment flows without reaching either provider.
+// ============================================================================
+
+let stripeClient = null;
+let paypalClient = null;
+
+/**
+ * True when a Stripe client is injected or STRIPE_SECRET_KEY is set.
+ */
+export function isStripeConfigured() {
+  return !!stripeClient || !!process.env.STRIPE_SECRET_KEY;
+}
+
+export function getStripe() {
+  if (!stripeClient) {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error('Stripe is not configured. Please set STRIPE_SECRET_KEY in environment variables.');
+    }
+    stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripeClient;
+}
+
+// PayPal environment setup
+function paypalEnvironment() {
+  const clientId = process.env.PAYPAL_CLIENT_ID;
+  const clientSecret = process.env.PAYPAL_CLIENT_SECRET;
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  // Debug logging (don't log full secrets in production)
+  console.log('PayPal Environment Setup:');
+  console.log('- NODE_ENV:', process.env.NODE_ENV);
+  console.log('- Is Production:', isProduction);
+  console.log('- Client ID exists:', !!clientId);
+  console.log('- Client ID length:', clientId ? clientId.length : 0);
+  console.log('- Client ID starts with:', clientId ? clientId.substring(0, 5) + '...' : 'N/A');
+  console.log('- Client Secret exists:', !!clientSecret);
+  console.log('- Client Secret length:', clientSecret ? clientSecret.length : 0);
+  
+  // Check if credentials might be for wrong environment
+  // Sandbox Client IDs typically start with "Ae..." but so do Live ones
+  // The best way to check is to try the API call, but we can warn about common issues
+  if (clientId && clientSecret) {
+    const trimmedClientId = clientId.trim();
+    const trimmedSecret = clientSecret.trim();
+    
+    // PayPal Client IDs are typically 80 characters
+    if (trimmedClientId.length !== 80 || trimmedSecret.length !== 80) {
+      console.warn('⚠️  Warning: PayPal credentials length is unusual. Expected 80 characters each.');
+    }
+    
+    // Check for common formatting issues
+    if (clientId !== trimmedClientId || clientSecret !== trimmedSecret) {
+      console.warn('⚠️  Warning: PayPal credentials have leading/trailing whitespace - trimming...');
+    }
+  }
+
+  // Validate credentials are present
+  if (!clientId || !clientSecret) {
+    throw new Error('PayPal credentials are missing. Please set PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET environment variables.');
+  }
+
+  // Check for common issues
+  if (clientId.trim() !== clientId || clientSecret.trim() !== clientSecret) {
+    console.warn('⚠️  Warning: PayPal credentials may have leading/trailing whitespace');
+  }
+
+  if (isProduction) {
+    console.log('Using PayPal LIVE environment');
+    return new paypal.core.LiveEnvironment(clientId.trim(), clientSecret.trim());
+  }
+  console.log('Using PayPal SANDBOX environment');
+  return new paypal.core.SandboxEnvironment(clientId.trim(), clientSecret.trim());
+}
+
+/**
+ * PayPal checkout client. Built per call unless one has been injected, so
+ * credential changes are picked up without a restart.
+ */
+export function getPaypalClient() {
+  return paypalClient || new paypal.core.PayPalHttpClient(paypalEnvironment());
+}
+
+/**
+ * Replace the Stripe and/or PayPal client. Pass null to go back to the
+ * clients built from environment variables.
+ */
+export function setPaymentClients({ stripe, paypal: paypalOverride } = {}) {
+  if (stripe !== undefined) stripeClient = stripe;
+  if (paypalOverride !== undefined) paypalClient = paypalOverride;
+}
+
+export default {
+  isStripeConfigured,
+  getStripe,
+  getPaypalClient,
+  setPaymentClients,
+};
@@ -0,0 +1,311 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { queueNotification, queuePush } from '../jobs/notifications.js';
+import { holdFunds, reverseFunds } from './payouts/ledger.js';
+import { publishMilestoneUpdate } from './realtime.js';
+
+// ============================================================================
+// PAYMENT EVENTS
+// The single place that moves a payment_transactions row through its states
+// and keeps the commission's payment_status / escrow_status in step with it.
+// Used by the capture/confirm routes and by the PayPal and Stripe webhooks,
+// so the order in which they arrive doesn't matter.
+// ============================================================================
+
+const PAYMENT_STATUS_BY_TYPE = {
+  deposit: 'deposit_paid',
+  full: 'fully_paid',
+  final: 'fully_paid',
+  milestone: 'deposit_paid', // Milestones are like deposits
+};
+
+function parseCustomId(transaction) {
+  try {
+    return transaction.custom_id ? JSON.parse(transaction.custom_id) : {};
+  } catch (e) {
+    console.warn('Error parsing custom_id:', e);
+    return {};
+  }
+}
+
+function getPaymentType(transaction) {
+  const customData = parseCustomId(transaction);
+  return customData.paymentType || customData.payment_type || transaction.transaction_type;
+}
+
+/**
+ * Find a transaction by one of its provider references.
+ */
+export async function findTransaction(column, value) {
+  if (!value) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from('payment_transactions')
+    .select('*')
+    .eq(column, value)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Mark a payment as captured: update the transaction, the commission's
+ * payment status, the paid milestone and credit the artist's ledger.
+ * Only a pending (or previously failed) transaction is completed, so a
+ * replayed or late capture event never revives a refunded payment or pays
+ * another milestone. Returns false when there was nothing to complete.
+ */
+export async function completeTransaction(transaction, { paypalCaptureId = null } = {}) {
+  const updates = {
+    status: 'succeeded',
+    processed_at: new Date().toISOString()
+  };
+  if (paypalCaptureId) updates.paypal_capture_id = paypalCaptureId;
+
+  // A failed Stripe intent can still succeed on a later attempt
+  const { data: completed, error: updateError } = await supabaseAdmin
+    .from('payment_transactions')
+    .update(updates)
+    .eq('id', transaction.id)
+    .in('status', ['pending', 'failed'])
+    .select('id')
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  if (!completed) return false;
+
+  const paymentType = getPaymentType(transaction);
+
+  // Tips don't change what has been paid for the commission itself
+  if (paymentType !== 'tip') {
+    const { error: commissionError } = await supabaseAdmin
+      .from('commissions')
+      .update({
+        payment_status: PAYMENT_STATUS_BY_TYPE[paymentType] || 'paid'
+      })
+      .eq('id', transaction.commission_id);
+
+    if (commissionError) {
+      console.error('Error updating commission:', commissionError);
+      throw new Error('Failed to update commission payment status');
+    }
+  }
+
+  if (paymentType === 'milestone') {
+    const { milestoneId } = parseCustomId(transaction);
+
+    let milestoneQuery = supabaseAdmin
+      .from('commission_milestones')
+      .select('id, milestone_number');
+
+    if (milestoneId) {
+      milestoneQuery = milestoneQuery.eq('id', milestoneId);
+    } else {
+      // Fallback: first unpaid milestone
+      milestoneQuery = milestoneQuery
+        .eq('commission_id', transaction.commission_id)
+        .eq('payment_status', 'unpaid')
+        .order('milestone_number', { ascending: true })
+        .limit(1);
+    }
+
+    const { data: milestone } = await milestoneQuery.maybeSingle();
+
+    if (milestone) {
+      const { data: paid } = await supabaseAdmin
+        .from('commission_milestones')
+        .update({
+          payment_status: 'paid',
+          paid_at: new Date().toISOString(),
+          payment_transaction_id: transaction.id
+        })
+        .eq('id', milestone.id)
+        .select()
+        .maybeSingle();
+
+      await publishMilestoneUpdate({ id: transaction.commission_id }, { change: 'paid', milestone: paid });
+    }
+  }
+
+  // Credit the artist's ledger (idempotent per transaction)
+  await holdFunds({ ...transaction, status: 'succeeded' });
+  return true;
+}
+
+/**
+ * Mark a pending payment as failed. Captured payments are never downgraded.
+ */
+export async function failTransaction(transaction, { reason = null } = {}) {
+  if (transaction.status !== 'pending') return;
+
+  const { error } = await supabaseAdmin
+    .from('payment_transactions')
+    .update({
+      status: 'failed',
+      failure_reason: reason,
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', transaction.id)
+    .eq('status', 'pending');
+
+  if (error) throw error;
+}
+
+/**
+ * Record a refund. `refundedTotal` is the cumulative amount refunded on the
+ * transaction as reported by the provider.
+ */
+export async function applyRefund(transaction, { refundedTotal }) {
+  const amount = parseFloat(transaction.amount) || 0;
+  const total = Math.min(parseFloat(refundedTotal) || 0, amount);
+  if (total <= 0 || total <= parseFloat(transaction.refunded_amount || 0)) return;
+
+  const { error } = await supabaseAdmin
+    .from('payment_transactions')
+    .update({
+      status: total >= amount ? 'refunded' : 'partially_refunded',
+      refunded_amount: total.toFixed(2),
+      refunded_at: new Date().toISOString()
+    })
+    .eq('id', transaction.id);
+
+  if (error) throw error;
+
+  await reverseFunds(transaction, total);
+  await syncCommissionPaymentState(transaction.commission_id);
+}
+
+/**
+ * Settle a refund that the provider reported as pending when it was issued.
+ * Returns the refund row, or null if it wasn't pending (or isn't ours).
+ */
+export async function markRefundSettled(providerRefundId, status) {
+  if (!providerRefundId) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from('payment_transactions')
+    .update({
+      status,
+      processed_at: new Date().toISOString()
+    })
+    .eq('provider_refund_id', providerRefundId)
+    .eq('transaction_type', 'refund')
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Record a chargeback opened or closed by the payer's bank or PayPal.
+ * A lost chargeback is a refund of the disputed amount.
+ */
+export async function applyChargeback(transaction, { chargebackId, status, amount = null }) {
+  const { error } = await supabaseAdmin
+    .from('payment_transactions')
+    .update({
+      chargeback_id: chargebackId,
+      chargeback_status: status
+    })
+    .eq('id', transaction.id);
+
+  if (error) throw error;
+
+  if (status === 'lost') {
+    const disputed = amount != null ? parseFloat(amount) : parseFloat(transaction.amount);
+    await applyRefund(
+      { ...transaction, chargeback_status: status },
+      { refundedTotal: parseFloat(transaction.refunded_amount || 0) + disputed }
+    );
+  } else {
+    await syncCommissionPaymentState(transaction.commission_id);
+  }
+
+  if (status === 'open' || status === 'lost') {
+    const title = status === 'open' ? 'Payment Disputed' : 'Chargeback Lost';
+    const message = status === 'open'
+      ? 'The client\'s payment provider opened a chargeback. Funds for this commission are frozen until it is settled.'
+      : 'A chargeback on this commission was settled in the client\'s favour and the payment was reversed.';
+
+    await queueNotification(transaction.recipient_id, {
+      type: 'payment_chargeback',
+      title,
+      message,
+      action: { type: 'view_commission', id: transaction.commission_id },
+      priority: 'high',
+    });
+    await queuePush(transaction.recipient_id, {
+      title,
+      body: message,
+      data: { type: 'commission', commissionId: transaction.commission_id },
+      notificationType: 'payment_chargeback',
+    });
+  }
+}
+
+/**
+ * Derive the commission's escrow and payment status from its transactions:
+ * an open chargeback freezes escrow, and once every payment is refunded the
+ * commission is refunded. Otherwise a frozen escrow goes back to held/released.
+ */
+export async function syncCommissionPaymentState(commissionId) {
+  if (!commissionId) return;
+
+  const { data: commission, error: commissionError } = await supabaseAdmin
+    .from('commissions')
+    .select('id, escrow_status, payment_status')
+    .eq('id', commissionId)
+    .maybeSingle();
+
+  if (commissionError) throw commissionError;
+  if (!commission) return;
+
+  const { data: transactions, error } = await supabaseAdmin
+    .from('payment_transactions')
+    .select('id, status, transaction_type, chargeback_status')
+    .eq('commission_id', commissionId)
+    .neq('transaction_type', 'tip')
+    .in('status', ['succeeded', 'partially_refunded', 'refunded']);
+
+  if (error) throw error;
+  if (!transactions || transactions.length === 0) return;
+
+  const updates = {};
+
+  if (transactions.some(tx => tx.chargeback_status === 'open')) {
+    updates.escrow_status = 'disputed';
+  } else if (transactions.every(tx => tx.status === 'refunded')) {
+    updates.escrow_status = 'refunded';
+    updates.payment_status = 'refunded';
+  } else if (commission.escrow_status === 'disputed') {
+    const { count } = await supabaseAdmin
+      .from('artist_ledger_entries')
+      .select('id', { count: 'exact', head: true })
+      .eq('commission_id', commissionId)
+      .eq('entry_type', 'release');
+
+    updates.escrow_status = count > 0 ? 'released' : 'held';
+  }
+
+  const changed = Object.entries(updates).some(([key, value]) => commission[key] !== value);
+  if (!changed) return;
+
+  const { error: updateError } = await supabaseAdmin
+    .from('commissions')
+    .update(updates)
+    .eq('id', commissionId);
+
+  if (updateError) throw updateError;
+}
+
+export default {
+  findTransaction,
+  completeTransaction,
+  failTransaction,
+  applyRefund,
+  markRefundSettled,
+  applyChargeback,
+  syncCommissionPaymentState,
+};
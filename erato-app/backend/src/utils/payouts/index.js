@@ -0,0 +1,405 @@
+import { supabaseAdmin } from '../../config/supabase.js';
+import { queueNotification, queuePush } from '../../jobs/notifications.js';
+import { recordLedgerEntry, releaseReservation, reserveReleasable } from './ledger.js';
+import paypalPayoutProvider from './providers/paypal.js';
+import stripePayoutProvider from './providers/stripe.js';
+import fakePayoutProvider from './providers/fake.js';
+
+// ============================================================================
+// PAYOUT PIPELINE
+// Turns releasable ledger balances into payouts and sends them in batches
+// through a pluggable provider. A provider implements:
+//
+//   name                          - identifier stored on the payout
+//   getDestination(artist)        - account to pay, or null if not set up
+//   sendBatch(batchId, items)     - { providerBatchId, results: [{ payoutId, status, reference, error, retryable }] }
+//   checkBatch(providerBatchId)   - optional, same result shape, for asynchronous providers
+//
+// where status is 'paid', 'processing' or 'failed'.
+//
+// A payout's batch id is saved on it before the provider is called and is
+// reused, with the payout ids, as the provider's idempotency key, so sending
+// the same payout again (a retry, or a run that crashed mid-send) never pays
+// twice. The sweep runs in the job worker (jobs/payouts.js).
+// ============================================================================
+
+export const PAYOUT_STATUSES = ['pending', 'processing', 'retrying', 'paid', 'failed'];
+
+const MAX_PAYOUT_ATTEMPTS = parseInt(process.env.PAYOUT_MAX_ATTEMPTS) || 5;
+const MIN_PAYOUT_AMOUNT = parseFloat(process.env.PAYOUT_MIN_AMOUNT) || 1;
+// A payout still 'processing' without a provider batch this long after it was
+// claimed was never sent (or its result was lost) and is sent again
+const STALE_PROCESSING_MS = parseInt(process.env.PAYOUT_STALE_PROCESSING_MS) || 15 * 60 * 1000;
+const PAYOUT_CURRENCY = 'USD';
+
+const providers = new Map([
+  [paypalPayoutProvider.name, paypalPayoutProvider],
+  [stripePayoutProvider.name, stripePayoutProvider],
+  [fakePayoutProvider.name, fakePayoutProvider],
+]);
+
+export function registerPayoutProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+export function getPayoutProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown payout provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * PAYOUT_PROVIDER overrides every artist's choice (e.g. 'fake' in tests).
+ */
+function resolveProviderName(artist) {
+  return process.env.PAYOUT_PROVIDER || artist?.payout_method || 'paypal';
+}
+
+// Exponential backoff between attempts: 5m, 10m, 20m, ... capped at 6h
+function nextAttemptAt(attempts) {
+  const delayMinutes = Math.min(5 * 2 ** (attempts - 1), 360);
+  return new Date(Date.now() + delayMinutes * 60 * 1000).toISOString();
+}
+
+async function notifyArtist(artistId, { type, title, message }) {
+  await queueNotification(artistId, {
+    type,
+    title,
+    message,
+    action: { type: 'view_payouts' },
+    priority: 'normal',
+  });
+  await queuePush(artistId, {
+    title,
+    body: message,
+    data: { type: 'payout' },
+    notificationType: type,
+  });
+}
+
+/**
+ * Create a pending payout for each artist whose releasable balance is above
+ * the minimum and who has a destination for their provider. The balance is
+ * reserved in the ledger first, so concurrent runs cannot both pay it.
+ */
+export async function createPayouts({ artistIds = null } = {}) {
+  let artistQuery = supabaseAdmin
+    .from('artist_ledger_entries')
+    .select('artist_id')
+    .eq('to_bucket', 'releasable')
+    .eq('status', 'available');
+
+  if (artistIds) {
+    artistQuery = artistQuery.in('artist_id', artistIds);
+  }
+
+  const { data: candidates, error } = await artistQuery;
+  if (error) throw error;
+
+  const uniqueArtistIds = [...new Set((candidates || []).map(c => c.artist_id))];
+  if (uniqueArtistIds.length === 0) return [];
+
+  const { data: artists, error: artistsError } = await supabaseAdmin
+    .from('artists')
+    .select('id, payout_method, paypal_email, stripe_account_id')
+    .in('id', uniqueArtistIds);
+
+  if (artistsError) throw artistsError;
+
+  const created = [];
+  for (const artist of artists || []) {
+    const provider = getPayoutProvider(resolveProviderName(artist));
+    const destination = provider.getDestination(artist);
+    if (!destination) continue;
+
+    const reservation = await reserveReleasable(artist.id);
+    if (!reservation) continue;
+
+    if (reservation.amount < MIN_PAYOUT_AMOUNT) {
+      await releaseReservation(reservation.id);
+      continue;
+    }
+
+    const { data: payout, error: payoutError } = await supabaseAdmin
+      .from('artist_payouts')
+      .insert({
+        id: reservation.id,
+        artist_id: artist.id,
+        provider: provider.name,
+        destination,
+        amount: reservation.amount.toFixed(2),
+        currency: PAYOUT_CURRENCY,
+        status: 'pending',
+        attempts: 0
+      })
+      .select()
+      .single();
+
+    if (payoutError) {
+      await releaseReservation(reservation.id);
+      throw payoutError;
+    }
+
+    await recordLedgerEntry({
+      artistId: artist.id,
+      entryType: 'payout',
+      fromBucket: 'releasable',
+      toBucket: 'in_transit',
+      amount: reservation.amount,
+      payoutId: payout.id,
+      description: `Payout via ${provider.name}`,
+      status: 'reserved',
+    });
+
+    created.push(payout);
+  }
+
+  return created;
+}
+
+/**
+ * Apply one provider result to its payout and the ledger.
+ */
+async function applyPayoutResult(payout, result, providerBatchId) {
+  const now = new Date().toISOString();
+
+  if (result.status === 'paid') {
+    await supabaseAdmin
+      .from('artist_payouts')
+      .update({
+        status: 'paid',
+        provider_batch_id: providerBatchId || payout.provider_batch_id,
+        provider_reference: result.reference || null,
+        last_error: null,
+        paid_at: now,
+        updated_at: now
+      })
+      .eq('id', payout.id);
+
+    await recordLedgerEntry({
+      artistId: payout.artist_id,
+      entryType: 'payout_paid',
+      fromBucket: 'in_transit',
+      toBucket: 'paid_out',
+      amount: parseFloat(payout.amount),
+      payoutId: payout.id,
+      description: 'Payout completed',
+    });
+
+    await notifyArtist(payout.artist_id, {
+      type: 'payout_paid',
+      title: 'Payout Sent 💸',
+      message: `$${parseFloat(payout.amount).toFixed(2)} has been sent to your ${payout.provider === 'stripe' ? 'Stripe' : 'PayPal'} account`,
+    });
+    return;
+  }
+
+  if (result.status === 'processing') {
+    await supabaseAdmin
+      .from('artist_payouts')
+      .update({
+        status: 'processing',
+        provider_batch_id: providerBatchId || payout.provider_batch_id,
+        updated_at: now
+      })
+      .eq('id', payout.id);
+    return;
+  }
+
+  // Failed: retry later if the provider says it is worth it
+  if (result.retryable && payout.attempts < MAX_PAYOUT_ATTEMPTS) {
+    await supabaseAdmin
+      .from('artist_payouts')
+      .update({
+        status: 'retrying',
+        last_error: result.error || null,
+        next_attempt_at: nextAttemptAt(payout.attempts),
+        updated_at: now
+      })
+      .eq('id', payout.id);
+    return;
+  }
+
+  await supabaseAdmin
+    .from('artist_payouts')
+    .update({
+      status: 'failed',
+      last_error: result.error || null,
+      failed_at: now,
+      updated_at: now
+    })
+    .eq('id', payout.id);
+
+  // Money goes back to the releasable balance so a later payout can pick it up
+  await recordLedgerEntry({
+    artistId: payout.artist_id,
+    entryType: 'payout_failed',
+    fromBucket: 'in_transit',
+    toBucket: 'releasable',
+    amount: parseFloat(payout.amount),
+    payoutId: payout.id,
+    description: 'Payout failed - returned to balance',
+  });
+
+  await notifyArtist(payout.artist_id, {
+    type: 'payout_failed',
+    title: 'Payout Failed',
+    message: 'We could not send your payout. Please check your payout settings.',
+  });
+}
+
+/**
+ * Send every due payout, grouped into one batch per provider. Retries keep
+ * the batch they were first sent in.
+ */
+async function sendDuePayouts({ artistIds = null } = {}) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_PROCESSING_MS).toISOString();
+
+  let query = supabaseAdmin
+    .from('artist_payouts')
+    .select('*')
+    .or([
+      'status.eq.pending',
+      `and(status.eq.retrying,next_attempt_at.lte.${now.toISOString()})`,
+      `and(status.eq.processing,provider_batch_id.is.null,last_attempt_at.lt.${staleBefore})`,
+    ].join(','))
+    .order('created_at', { ascending: true });
+
+  if (artistIds) {
+    query = query.in('artist_id', artistIds);
+  }
+
+  const { data: duePayouts, error } = await query;
+  if (error) throw error;
+
+  // New payouts share one batch per provider, named after the first of them
+  const newBatchIds = new Map();
+  for (const payout of duePayouts || []) {
+    if (!payout.batch_id && !newBatchIds.has(payout.provider)) {
+      newBatchIds.set(payout.provider, `batch_${payout.provider}_${payout.id}`);
+    }
+  }
+
+  const batches = new Map();
+  for (const payout of duePayouts || []) {
+    const batchId = payout.batch_id || newBatchIds.get(payout.provider);
+
+    // Claim the payout and save its batch before anything is sent. The
+    // attempts check makes the claim conditional, so concurrent runs (or
+    // reclaims of a stale payout) don't send it twice.
+    const { data: claimed } = await supabaseAdmin
+      .from('artist_payouts')
+      .update({
+        status: 'processing',
+        batch_id: batchId,
+        attempts: payout.attempts + 1,
+        last_attempt_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', payout.id)
+      .eq('status', payout.status)
+      .eq('attempts', payout.attempts)
+      .select()
+      .maybeSingle();
+
+    if (!claimed) continue;
+
+    const key = `${claimed.provider}:${batchId}`;
+    if (!batches.has(key)) batches.set(key, []);
+    batches.get(key).push(claimed);
+  }
+
+  let sent = 0;
+  for (const payouts of batches.values()) {
+    const { provider: providerName, batch_id: batchId } = payouts[0];
+    const provider = getPayoutProvider(providerName);
+    const payoutMap = new Map(payouts.map(p => [p.id, p]));
+
+    let batchResult;
+    try {
+      batchResult = await provider.sendBatch(batchId, payouts.map(p => ({
+        payoutId: p.id,
+        amount: parseFloat(p.amount),
+        currency: p.currency,
+        destination: p.destination,
+      })));
+    } catch (sendError) {
+      console.error(`Payout batch via ${providerName} failed:`, sendError);
+      batchResult = {
+        providerBatchId: null,
+        results: payouts.map(p => ({ payoutId: p.id, status: 'failed', error: sendError.message, retryable: true })),
+      };
+    }
+
+    for (const result of batchResult.results) {
+      const payout = payoutMap.get(result.payoutId);
+      if (payout) {
+        await applyPayoutResult(payout, result, batchResult.providerBatchId);
+        sent++;
+      }
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Poll asynchronous providers for payouts that are still processing.
+ */
+async function reconcileProcessingPayouts() {
+  const { data: processing, error } = await supabaseAdmin
+    .from('artist_payouts')
+    .select('*')
+    .eq('status', 'processing')
+    .not('provider_batch_id', 'is', null);
+
+  if (error) throw error;
+
+  const byBatch = new Map();
+  for (const payout of processing || []) {
+    const key = `${payout.provider}:${payout.provider_batch_id}`;
+    if (!byBatch.has(key)) byBatch.set(key, []);
+    byBatch.get(key).push(payout);
+  }
+
+  for (const payouts of byBatch.values()) {
+    const { provider: providerName, provider_batch_id: providerBatchId } = payouts[0];
+    const provider = getPayoutProvider(providerName);
+    if (!provider.checkBatch) continue;
+
+    try {
+      const results = await provider.checkBatch(providerBatchId);
+      const payoutMap = new Map(payouts.map(p => [p.id, p]));
+      for (const result of results) {
+        const payout = payoutMap.get(result.payoutId);
+        if (payout && result.status !== 'processing') {
+          await applyPayoutResult(payout, result, providerBatchId);
+        }
+      }
+    } catch (checkError) {
+      console.error(`Error checking payout batch ${providerBatchId}:`, checkError);
+    }
+  }
+}
+
+/**
+ * Run the whole pipeline: create payouts from releasable balances, send what
+ * is due (including retries) and reconcile batches still in flight.
+ */
+export async function processPayouts({ artistIds = null } = {}) {
+  const created = await createPayouts({ artistIds });
+  const sent = await sendDuePayouts({ artistIds });
+  await reconcileProcessingPayouts();
+  return { created: created.length, sent };
+}
+
+export default {
+  PAYOUT_STATUSES,
+  registerPayoutProvider,
+  getPayoutProvider,
+  createPayouts,
+  processPayouts,
+};
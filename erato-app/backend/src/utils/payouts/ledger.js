@@ -0,0 +1,283 @@
+import { randomUUID } from 'crypto';
+import { supabaseAdmin } from '../../config/supabase.js';
+
+// ============================================================================
+// ARTIST LEDGER
+// Every movement of an artist's net earnings is one row that moves an amount
+// from one bucket to another. A bucket's balance is everything moved into it
+// minus everything moved out of it.
+//
+//   (payment captured) -> held -> releasable -> in_transit -> paid_out
+//                                      ^              |
+//                                      +-- failed ----+
+//
+// Entries that move money into or out of the releasable balance start
+// 'available' and become 'reserved' once a payout has claimed them, so two
+// payout runs can never pay out the same money.
+// ============================================================================
+
+// Platform fee percentage (e.g., 10% = 0.10)
+export const PLATFORM_FEE_PERCENTAGE = 0.10;
+
+export const LEDGER_BUCKETS = ['held', 'releasable', 'in_transit', 'paid_out'];
+
+/**
+ * Split a gross amount into platform fee and artist payout.
+ * Tips carry no platform fee.
+ */
+export function calculateFees(amount, transactionType) {
+  const gross = parseFloat(amount) || 0;
+  const platformFee = transactionType === 'tip' ? 0 : gross * PLATFORM_FEE_PERCENTAGE;
+  return {
+    gross,
+    platformFee,
+    artistPayout: gross - platformFee,
+  };
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Write one ledger movement. Entries tied to a transaction are unique per
+ * (transaction_id, entry_type), so replaying a capture or release is a no-op.
+ */
+export async function recordLedgerEntry({
+  artistId,
+  entryType,
+  fromBucket = null,
+  toBucket = null,
+  amount,
+  commissionId = null,
+  transactionId = null,
+  payoutId = null,
+  description = null,
+  status = 'available',
+}) {
+  const { data, error } = await supabaseAdmin
+    .from('artist_ledger_entries')
+    .insert({
+      artist_id: artistId,
+      entry_type: entryType,
+      from_bucket: fromBucket,
+      to_bucket: toBucket,
+      amount: roundCents(amount).toFixed(2),
+      commission_id: commissionId,
+      transaction_id: transactionId,
+      payout_id: payoutId,
+      description,
+      status,
+    })
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    // Unique violation: this movement was already recorded
+    if (error.code === '23505') return null;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Credit the artist's net share of a captured payment.
+ * Commission payments are held in escrow; tips are releasable immediately.
+ */
+export async function holdFunds(transaction) {
+  if (!transaction?.recipient_id) return null;
+
+  const { artistPayout } = calculateFees(transaction.amount, transaction.transaction_type);
+  const net = transaction.artist_payout != null ? parseFloat(transaction.artist_payout) : artistPayout;
+  const isTip = transaction.transaction_type === 'tip';
+
+  const entry = await recordLedgerEntry({
+    artistId: transaction.recipient_id,
+    entryType: 'hold',
+    toBucket: isTip ? 'releasable' : 'held',
+    amount: net,
+    commissionId: transaction.commission_id,
+    transactionId: transaction.id,
+    description: isTip ? 'Tip received' : 'Payment held in escrow',
+  });
+
+  if (entry && !isTip) {
+    await supabaseAdmin
+      .from('commissions')
+      .update({ escrow_status: 'held' })
+      .eq('id', transaction.commission_id);
+  }
+
+  return entry;
+}
+
+/**
+ * Move everything still held for a commission into the artist's releasable
+ * balance (holds minus any refunds already taken out of escrow).
+ * Returns the total amount released.
+ */
+export async function releaseCommissionFunds(commissionId) {
+  const { data: entries, error } = await supabaseAdmin
+    .from('artist_ledger_entries')
+    .select('artist_id, transaction_id, entry_type, from_bucket, to_bucket, amount')
+    .eq('commission_id', commissionId)
+    .in('entry_type', ['hold', 'refund']);
+
+  if (error) throw error;
+
+  const holds = (entries || []).filter(entry => entry.entry_type === 'hold' && entry.to_bucket === 'held');
+
+  let released = 0;
+  for (const hold of holds) {
+    const refundedFromEscrow = (entries || [])
+      .filter(entry => entry.entry_type === 'refund'
+        && entry.from_bucket === 'held'
+        && entry.transaction_id === hold.transaction_id)
+      .reduce((sum, entry) => sum + parseFloat(entry.amount), 0);
+
+    const amount = roundCents(parseFloat(hold.amount) - refundedFromEscrow);
+    if (amount <= 0) continue;
+
+    const entry = await recordLedgerEntry({
+      artistId: hold.artist_id,
+      entryType: 'release',
+      fromBucket: 'held',
+      toBucket: 'releasable',
+      amount,
+      commissionId,
+      transactionId: hold.transaction_id,
+      description: 'Escrow released',
+    });
+    if (entry) released += amount;
+  }
+
+  return roundCents(released);
+}
+
+/**
+ * Take a refunded payment back out of the artist's balance.
+ * `refundedTotal` is the cumulative gross amount refunded on the transaction,
+ * so replaying the same refund (or a later partial one) only moves the difference.
+ * Funds come out of escrow if they are still held, otherwise out of the
+ * releasable balance (which can go negative if they were already paid out).
+ */
+export async function reverseFunds(transaction, refundedTotal) {
+  const { data: entries, error } = await supabaseAdmin
+    .from('artist_ledger_entries')
+    .select('entry_type, amount')
+    .eq('transaction_id', transaction.id);
+
+  if (error) throw error;
+
+  const hold = (entries || []).find(entry => entry.entry_type === 'hold');
+  if (!hold) return null;
+
+  const net = parseFloat(hold.amount);
+  const gross = parseFloat(transaction.amount) || 0;
+  const target = gross > 0 ? Math.min(net, net * (refundedTotal / gross)) : 0;
+  const alreadyReversed = (entries || [])
+    .filter(entry => entry.entry_type === 'refund')
+    .reduce((sum, entry) => sum + parseFloat(entry.amount), 0);
+
+  const amount = roundCents(target - alreadyReversed);
+  if (amount <= 0) return null;
+
+  const isReleased = transaction.transaction_type === 'tip'
+    || (entries || []).some(entry => entry.entry_type === 'release');
+
+  return recordLedgerEntry({
+    artistId: transaction.recipient_id,
+    entryType: 'refund',
+    fromBucket: isReleased ? 'releasable' : 'held',
+    amount,
+    commissionId: transaction.commission_id,
+    transactionId: transaction.id,
+    description: 'Payment refunded',
+  });
+}
+
+/**
+ * Claim every available entry that moves money into or out of the artist's
+ * releasable balance. Entries another run claimed first are skipped by the
+ * conditional update. Returns { id, amount } where `id` names the reservation
+ * (and becomes the payout's id), or null if nothing was claimed.
+ */
+export async function reserveReleasable(artistId) {
+  const { data: entries, error } = await supabaseAdmin
+    .from('artist_ledger_entries')
+    .select('id')
+    .eq('artist_id', artistId)
+    .eq('status', 'available')
+    .or('to_bucket.eq.releasable,from_bucket.eq.releasable');
+
+  if (error) throw error;
+  if (!entries?.length) return null;
+
+  const reservationId = randomUUID();
+  const { data: reserved, error: reserveError } = await supabaseAdmin
+    .from('artist_ledger_entries')
+    .update({ status: 'reserved', reserved_for: reservationId })
+    .in('id', entries.map(entry => entry.id))
+    .eq('status', 'available')
+    .select('from_bucket, to_bucket, amount');
+
+  if (reserveError) throw reserveError;
+  if (!reserved?.length) return null;
+
+  const amount = reserved.reduce((sum, entry) => {
+    const value = parseFloat(entry.amount);
+    return sum + (entry.to_bucket === 'releasable' ? value : 0) - (entry.from_bucket === 'releasable' ? value : 0);
+  }, 0);
+
+  return { id: reservationId, amount: roundCents(amount) };
+}
+
+/**
+ * Hand a reservation's entries back, e.g. when the amount is too small to pay.
+ */
+export async function releaseReservation(reservationId) {
+  const { error } = await supabaseAdmin
+    .from('artist_ledger_entries')
+    .update({ status: 'available', reserved_for: null })
+    .eq('reserved_for', reservationId)
+    .eq('status', 'reserved');
+
+  if (error) throw error;
+}
+
+/**
+ * Current balance of every bucket for an artist.
+ */
+export async function getArtistBalance(artistId) {
+  const { data: entries, error } = await supabaseAdmin
+    .from('artist_ledger_entries')
+    .select('from_bucket, to_bucket, amount')
+    .eq('artist_id', artistId);
+
+  if (error) throw error;
+
+  const balance = Object.fromEntries(LEDGER_BUCKETS.map(bucket => [bucket, 0]));
+  (entries || []).forEach(entry => {
+    const amount = parseFloat(entry.amount);
+    if (entry.to_bucket) balance[entry.to_bucket] += amount;
+    if (entry.from_bucket) balance[entry.from_bucket] -= amount;
+  });
+
+  return Object.fromEntries(
+    Object.entries(balance).map(([bucket, amount]) => [bucket, roundCents(amount)])
+  );
+}
+
+export default {
+  PLATFORM_FEE_PERCENTAGE,
+  LEDGER_BUCKETS,
+  calculateFees,
+  recordLedgerEntry,
+  holdFunds,
+  releaseCommissionFunds,
+  reverseFunds,
+  reserveReleasable,
+  releaseReservation,
+  getArtistBalance,
+};
@@ -0,0 +1,43 @@
+// Local fake payout provider for tests and development.
+// Records every batch in memory and can be told to fail upcoming items.
+
+export const fakePayoutProvider = {
+  name: 'fake',
+  batches: [],
+  failures: [],
+
+  getDestination(artist) {
+    return artist?.paypal_email || artist?.stripe_account_id || `fake:${artist?.id}`;
+  },
+
+  /**
+   * Make the next `count` payout items fail. Retryable by default.
+   */
+  failNext(count = 1, { retryable = true, error = 'Simulated payout failure' } = {}) {
+    for (let i = 0; i < count; i++) {
+      this.failures.push({ retryable, error });
+    }
+  },
+
+  reset() {
+    this.batches = [];
+    this.failures = [];
+  },
+
+  async sendBatch(batchId, items) {
+    this.batches.push({ batchId, items });
+
+    return {
+      providerBatchId: batchId,
+      results: items.map(item => {
+        const failure = this.failures.shift();
+        if (failure) {
+          return { payoutId: item.payoutId, status: 'failed', ...failure };
+        }
+        return { payoutId: item.payoutId, status: 'paid', reference: `fake_${item.payoutId}` };
+      }),
+    };
+  },
+};
+
+export default fakePayoutProvider;
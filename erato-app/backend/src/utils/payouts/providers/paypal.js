@@ -0,0 +1,100 @@
+import { getPaypalAccessToken, paypalApiBase } from '../../paypalApi.js';
+
+// PayPal Payouts provider
+// https://developer.paypal.com/docs/api/payments.payouts-batch/v1/
+// Payout batches are processed asynchronously by PayPal: items come back as
+// 'processing' and are reconciled later through checkBatch().
+//
+// batchId is saved on the payouts before this is called and reused on every
+// retry. It is sent as PayPal-Request-Id, so a retry of a batch PayPal already
+// accepted gets the original response back instead of paying again.
+
+// PayPal item statuses that will not change any more
+const ITEM_STATUS_MAP = {
+  SUCCESS: 'paid',
+  FAILED: 'failed',
+  RETURNED: 'failed',
+  BLOCKED: 'failed',
+  REFUNDED: 'failed',
+  REVERSED: 'failed',
+  DENIED: 'failed',
+};
+
+export const paypalPayoutProvider = {
+  name: 'paypal',
+
+  // Artists need a PayPal email to receive PayPal payouts
+  getDestination(artist) {
+    return artist?.paypal_email || null;
+  },
+
+  async sendBatch(batchId, items) {
+    const accessToken = await getPaypalAccessToken();
+
+    const response = await fetch(`${paypalApiBase()}/v1/payments/payouts`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        'PayPal-Request-Id': batchId,
+      },
+      body: JSON.stringify({
+        sender_batch_header: {
+          sender_batch_id: batchId,
+          email_subject: 'You have a payout from Verro',
+          email_message: 'Your commission earnings have been sent to your PayPal account.',
+        },
+        items: items.map(item => ({
+          recipient_type: 'EMAIL',
+          receiver: item.destination,
+          sender_item_id: item.payoutId,
+          amount: {
+            value: item.amount.toFixed(2),
+            currency: item.currency,
+          },
+          note: 'Verro commission earnings',
+        })),
+      }),
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      // 5xx and rate limits are worth retrying, validation errors are not
+      const retryable = response.status >= 500 || response.status === 429;
+      const message = body?.message || `PayPal payout request failed (${response.status})`;
+      return {
+        providerBatchId: null,
+        results: items.map(item => ({ payoutId: item.payoutId, status: 'failed', error: message, retryable })),
+      };
+    }
+
+    return {
+      providerBatchId: body.batch_header?.payout_batch_id || null,
+      results: items.map(item => ({ payoutId: item.payoutId, status: 'processing' })),
+    };
+  },
+
+  async checkBatch(providerBatchId) {
+    const accessToken = await getPaypalAccessToken();
+
+    const response = await fetch(`${paypalApiBase()}/v1/payments/payouts/${providerBatchId}`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+
+    if (!response.ok) {
+      throw new Error(`PayPal payout status request failed (${response.status})`);
+    }
+
+    const body = await response.json();
+    return (body.items || []).map(item => ({
+      payoutId: item.payout_item?.sender_item_id,
+      status: ITEM_STATUS_MAP[item.transaction_status] || 'processing',
+      reference: item.payout_item_id,
+      error: item.errors?.message || null,
+      retryable: false,
+    }));
+  },
+};
+
+export default paypalPayoutProvider;
@@ -0,0 +1,49 @@
+import { getStripe } from '../../paymentClients.js';
+
+// Stripe Connect transfers provider
+// Transfers to a connected account settle synchronously from the platform
+// balance, so results are final as soon as the API call returns.
+
+export const stripePayoutProvider = {
+  name: 'stripe',
+
+  // Artists need a connected Stripe account to receive transfers
+  getDestination(artist) {
+    return artist?.stripe_account_id || null;
+  },
+
+  async sendBatch(batchId, items) {
+    const stripe = getStripe();
+
+    const results = [];
+    for (const item of items) {
+      try {
+        const transfer = await stripe.transfers.create(
+          {
+            amount: Math.round(item.amount * 100), // Stripe uses cents
+            currency: item.currency.toLowerCase(),
+            destination: item.destination,
+            transfer_group: batchId,
+            metadata: { payoutId: item.payoutId },
+          },
+          // Every attempt at the same payout reuses the key, so it never transfers twice
+          { idempotencyKey: `payout-${item.payoutId}` }
+        );
+
+        results.push({ payoutId: item.payoutId, status: 'paid', reference: transfer.id });
+      } catch (error) {
+        results.push({
+          payoutId: item.payoutId,
+          status: 'failed',
+          error: error.message,
+          // Card/account errors need artist action; API/connection errors can be retried
+          retryable: ['StripeAPIError', 'StripeConnectionError', 'StripeRateLimitError'].includes(error.type),
+        });
+      }
+    }
+
+    return { providerBatchId: batchId, results };
+  },
+};
+
+export default stripePayoutProvider;
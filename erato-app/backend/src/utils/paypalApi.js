@@ -0,0 +1,37 @@
+// Minimal PayPal REST helpers for the APIs the checkout SDK doesn't cover
+// (Payouts, webhook signature verification).
+
+const PAYPAL_API_BASE = {
+  live: 'https://api-m.paypal.com',
+  sandbox: 'https://api-m.sandbox.paypal.com',
+};
+
+export function paypalApiBase() {
+  if (process.env.PAYPAL_API_BASE) return process.env.PAYPAL_API_BASE;
+  return process.env.NODE_ENV === 'production' ? PAYPAL_API_BASE.live : PAYPAL_API_BASE.sandbox;
+}
+
+export async function getPaypalAccessToken() {
+  const clientId = process.env.PAYPAL_CLIENT_ID?.trim();
+  const clientSecret = process.env.PAYPAL_CLIENT_SECRET?.trim();
+
+  if (!clientId || !clientSecret) {
+    throw new Error('PayPal credentials are missing. Please set PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET environment variables.');
+  }
+
+  const response = await fetch(`${paypalApiBase()}/v1/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: 'grant_type=client_credentials',
+  });
+
+  if (!response.ok) {
+    throw new Error(`PayPal authentication failed (${response.status})`);
+  }
+
+  const { access_token: accessToken } = await response.json();
+  return accessToken;
+}
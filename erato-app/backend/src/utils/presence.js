@@ -0,0 +1,109 @@
+import redis from './cache.js';
+import { UserRepo } from '../repositories/index.js';
+
+// ============================================================================
+// PRESENCE
+// Who is online, driven by Socket.io connections rather than HTTP requests.
+// Each connected socket is a member of its user's presence:<id> sorted set,
+// scored with the time it expires. The Socket.io heartbeat pushes that out
+// by PRESENCE_TTL_SECONDS and a disconnect removes it, so a user is online
+// while any member is unexpired and the sockets of a server that died drop
+// off on their own.
+//
+// users.is_online and last_seen are written only when a user comes online
+// or their last socket goes. Users who turned show_online_status off are
+// reported offline with no last seen to everyone else.
+// ============================================================================
+
+const PRESENCE_TTL_SECONDS = parseInt(process.env.PRESENCE_TTL_SECONDS) || 90;
+
+const presenceKey = (userId) => `presence:${userId}`;
+
+// Unexpired sockets of a user, dropping the expired ones
+async function countSockets(userId, now) {
+  const key = presenceKey(userId);
+  await redis.zremrangebyscore(key, '-inf', now);
+  return redis.zcard(key);
+}
+
+async function touch(userId, socketId, now) {
+  const key = presenceKey(userId);
+  await redis.zadd(key, now + PRESENCE_TTL_SECONDS * 1000, socketId);
+  await redis.expire(key, PRESENCE_TTL_SECONDS);
+}
+
+/**
+ * A socket connected. Returns true if that brought the user online.
+ */
+export async function trackSocket(userId, socketId, { now = Date.now() } = {}) {
+  const wasOnline = (await countSockets(userId, now)) > 0;
+  await touch(userId, socketId, now);
+
+  if (wasOnline) return false;
+  await UserRepo.update(userId, { is_online: true }, 'id');
+  return true;
+}
+
+/**
+ * Heartbeat from a connected socket.
+ */
+export async function refreshSocket(userId, socketId, { now = Date.now() } = {}) {
+  await touch(userId, socketId, now);
+}
+
+/**
+ * A socket disconnected. Returns the user's last seen time if that was
+ * their last socket, otherwise null.
+ */
+export async function untrackSocket(userId, socketId, { now = Date.now() } = {}) {
+  await redis.zrem(presenceKey(userId), socketId);
+  if ((await countSockets(userId, now)) > 0) return null;
+
+  const lastSeen = new Date(now).toISOString();
+  await UserRepo.update(userId, { is_online: false, last_seen: lastSeen }, 'id');
+  return lastSeen;
+}
+
+/**
+ * Presence of these users as others may see it, keyed by user id:
+ * `{ online, last_seen }`.
+ */
+export async function getPresence(userIds, { now = Date.now() } = {}) {
+  const users = await UserRepo.findManyByIds(userIds, 'id, last_seen, show_online_status');
+  const presence = new Map();
+
+  for (const user of users) {
+    if (user.show_online_status === false) {
+      presence.set(user.id, { online: false, last_seen: null });
+      continue;
+    }
+
+    const live = await redis.zrangebyscore(presenceKey(user.id), now, '+inf');
+    presence.set(user.id, { online: live.length > 0, last_seen: user.last_seen || null });
+  }
+
+  return presence;
+}
+
+/**
+ * Overwrite is_online / last_seen on user objects (e.g. participants read
+ * from the database) with their visible presence.
+ */
+export async function withPresence(users, { now } = {}) {
+  const list = users.filter(Boolean);
+  if (list.length === 0) return users;
+
+  const presence = await getPresence(list.map(user => user.id), { now });
+  return users.map(user => {
+    const state = user && presence.get(user.id);
+    return state ? { ...user, is_online: state.online, last_seen: state.last_seen } : user;
+  });
+}
+
+export default {
+  trackSocket,
+  refreshSocket,
+  untrackSocket,
+  getPresence,
+  withPresence,
+};
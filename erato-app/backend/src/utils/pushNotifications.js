@@ -1,68 +1,222 @@
-import { cache } from './cache.js';
+import { hasMuted } from './blocks.js';
+import { NotificationService } from './notifications.js';
+// Imported directly rather than through repositories/index.js, which pulls in
+// modules that depend on this one
+import { PushDeviceRepo } from '../repositories/pushDeviceRepo.js';
+
+// ============================================================================
+// PUSH NOTIFICATIONS
+// Sends through the Expo push API to every device a user has registered
+// (push_devices). Expo answers each message with a ticket; the receipt for
+// it is ready about 15 minutes later, and checkPushReceipts() collects those
+// and prunes tokens whose app was uninstalled.
+//
+// EXPO_PUSH_API_URL overrides the API base (tests point it at a local stub).
+// EXPO_ACCESS_TOKEN is sent when the Expo project requires one.
+// ============================================================================
+
+const DEFAULT_EXPO_PUSH_API_URL = 'https://exp.host/--/api/v2/push';
+
+// Expo limits
+const SEND_CHUNK_SIZE = 100;
+const RECEIPT_CHUNK_SIZE = 1000;
+
+const RECEIPT_DELAY_MS = 15 * 60 * 1000;
+const RECEIPT_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+export function isExpoPushToken(token) {
+  return typeof token === 'string' && /^Expo(nent)?PushToken\[.+\]$/.test(token);
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+async function expoRequest(path, body) {
+  const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+  if (process.env.EXPO_ACCESS_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.EXPO_ACCESS_TOKEN}`;
+  }
 
-const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+  const response = await fetch(`${process.env.EXPO_PUSH_API_URL || DEFAULT_EXPO_PUSH_API_URL}${path}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Expo push API ${path} failed (${response.status}): ${text}`);
+  }
+
+  return response.json();
+}
 
 /**
- * Send a push notification to a user if they have a stored Expo token.
- * Falls back silently if no token exists or the token is invalid.
+ * Send messages ({ to, userId, ...expo fields }) in chunks of 100. Tokens
+ * Expo rejects as not registered are removed; accepted tickets are stored
+ * for the receipt check. Returns the number of messages Expo accepted.
  */
-export async function sendPushToUser(userId, { title, body, data = {}, sound = 'default', priority = 'high' } = {}) {
-  try {
-    const tokenData = await cache.get(`push_tokens:${userId}`);
-    const pushToken = tokenData?.token;
-
-    if (!pushToken || !pushToken.startsWith('ExponentPushToken')) {
-      return false;
+async function sendMessages(messages) {
+  let accepted = 0;
+
+  for (const batch of chunk(messages, SEND_CHUNK_SIZE)) {
+    let result;
+    try {
+      result = await expoRequest('/send', batch.map(({ userId, ...message }) => message));
+    } catch (error) {
+      console.error('Expo push send failed:', error.message);
+      continue;
     }
 
-    const payload = {
-      to: pushToken,
-      title: title || 'Notice',
-      body: body || '',
-      sound,
-      priority,
-      data,
-    };
-
-    const response = await fetch(EXPO_PUSH_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
+    const tickets = [];
+    const deadTokens = [];
+    (result?.data || []).forEach((ticket, i) => {
+      const message = batch[i];
+      if (!message) return;
+
+      if (ticket.status === 'ok') {
+        accepted++;
+        if (ticket.id) tickets.push({ id: ticket.id, token: message.to, user_id: message.userId });
+      } else if (ticket.details?.error === 'DeviceNotRegistered') {
+        deadTokens.push(message.to);
+      } else {
+        console.error('Expo push error:', ticket);
+      }
     });
 
-    if (!response.ok) {
-      const text = await response.text();
-      console.error('Expo push send failed:', text);
-      return false;
+    try {
+      await PushDeviceRepo.createTickets(tickets);
+      await PushDeviceRepo.deleteTokens(deadTokens);
+    } catch (error) {
+      console.error('Error recording push tickets:', error);
     }
+  }
 
-    const result = await response.json();
-    if (result?.data?.status === 'error') {
-      console.error('Expo push error:', result?.data);
-      return false;
-    }
+  return accepted;
+}
 
-    return true;
-  } catch (error) {
-    console.error('Error sending push notification:', error);
+// Whether a push may go to this user: not muted, and allowed by their
+// preferences for the type (if given)
+async function canPush(userId, actorId, notificationType) {
+  if (await hasMuted(userId, actorId)) {
     return false;
   }
+  if (notificationType && !(await NotificationService.allows(userId, notificationType, 'push'))) {
+    return false;
+  }
+  return true;
 }
 
+function toMessage(token, userId, { title, body, data, sound, priority }) {
+  return {
+    to: token,
+    userId,
+    title: title || 'Notice',
+    body: body || '',
+    sound,
+    priority,
+    data,
+  };
+}
 
+/**
+ * Send a push notification to every device a user has registered.
+ * Returns false if none was delivered, including when the user has no
+ * devices. Skipped when the recipient has muted `actorId`, and when
+ * `notificationType` is given and the recipient has turned push off for it
+ * or is in quiet hours.
+ */
+export async function sendPushToUser(userId, options = {}) {
+  return (await sendPushToUsers([userId], options)) > 0;
+}
 
+/**
+ * Send the same push notification to many users in as few Expo requests as
+ * possible. Same options and checks as sendPushToUser. Returns the number of
+ * devices reached.
+ */
+export async function sendPushToUsers(userIds, { title, body, data = {}, sound = 'default', priority = 'high', actorId = null, notificationType = null } = {}) {
+  try {
+    const recipients = [];
+    for (const userId of new Set(userIds)) {
+      if (await canPush(userId, actorId, notificationType)) {
+        recipients.push(userId);
+      }
+    }
+    if (recipients.length === 0) return 0;
 
+    const devices = await PushDeviceRepo.findByUsers(recipients);
+    const messages = devices
+      .filter(device => isExpoPushToken(device.token))
+      .map(device => toMessage(device.token, device.user_id, { title, body, data, sound, priority }));
 
+    if (messages.length === 0) return 0;
+    return await sendMessages(messages);
+  } catch (error) {
+    console.error('Error sending push notification:', error);
+    return 0;
+  }
+}
 
+/**
+ * Fetch receipts for tickets old enough to have one and drop the tokens of
+ * devices that are no longer registered. Tickets are deleted once their
+ * receipt is in, or after a day when Expo no longer has it.
+ */
+export async function checkPushReceipts({ now = Date.now() } = {}) {
+  const summary = { checked: 0, pruned: 0 };
+
+  const tickets = await PushDeviceRepo.findTickets({
+    before: new Date(now - RECEIPT_DELAY_MS).toISOString(),
+  });
+
+  for (const batch of chunk(tickets, RECEIPT_CHUNK_SIZE)) {
+    let receipts;
+    try {
+      const result = await expoRequest('/getReceipts', { ids: batch.map(ticket => ticket.id) });
+      receipts = result?.data || {};
+    } catch (error) {
+      console.error('Expo push receipts failed:', error.message);
+      continue;
+    }
 
+    const done = [];
+    const deadTokens = new Set();
+    for (const ticket of batch) {
+      const receipt = receipts[ticket.id];
+      if (!receipt) {
+        // Not ready yet, or Expo has discarded it
+        if (now - Date.parse(ticket.created_at) > RECEIPT_EXPIRY_MS) done.push(ticket.id);
+        continue;
+      }
+
+      done.push(ticket.id);
+      if (receipt.status === 'error') {
+        if (receipt.details?.error === 'DeviceNotRegistered') {
+          deadTokens.add(ticket.token);
+        } else {
+          console.error('Expo push receipt error:', receipt);
+        }
+      }
+    }
 
+    await PushDeviceRepo.deleteTokens([...deadTokens]);
+    await PushDeviceRepo.deleteTickets(done);
+    summary.checked += done.length;
+    summary.pruned += deadTokens.size;
+  }
 
+  return summary;
+}
 
-
-
-
-
-
-
-
-
+export default {
+  sendPushToUser,
+  sendPushToUsers,
+  checkPushReceipts,
+  isExpoPushToken,
+};
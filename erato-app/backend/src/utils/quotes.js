@@ -0,0 +1,365 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { ConversationRepo, MessageRepo } from '../repositories/index.js';
+import { transitionCommission } from './commissionStateMachine.js';
+import { queueMessageFanout } from '../jobs/messages.js';
+import { publishMessage } from './realtime.js';
+
+// ============================================================================
+// QUOTES
+// Before a commission is accepted the artist can answer the request with a
+// priced quote made of line items, and both sides can go back and forth
+// with counter-offers. Each round is a commission_quotes row (round 1, 2,
+// ...) and a 'quote' message in the commission's conversation.
+//
+// Only the latest round is ever pending. The side that did not make it
+// accepts, rejects or counters it; the side that did may revise it. An
+// accepted quote sets final_price and accepted_quote_id and starts the
+// commission, whose milestone plan is then generated from the quoted total.
+// Closing the round and starting the commission is one transaction (the
+// accept_commission_quote function), so neither happens without the other.
+// ============================================================================
+
+export const LINE_ITEM_TYPES = {
+  base: 'Base price',
+  addon: 'Add-on',
+  rush_fee: 'Rush fee',
+  commercial_license: 'Commercial-use license',
+  other: 'Other',
+};
+
+export const QUOTE_STATUSES = ['pending', 'accepted', 'rejected', 'countered', 'superseded', 'expired'];
+
+const MAX_LINE_ITEMS = 20;
+const MAX_LABEL_LENGTH = 200;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_AMOUNT = 100000;
+const MAX_VALID_DAYS = 30;
+
+const QUOTE_COLUMNS = 'id, commission_id, round, author_id, author_role, line_items, total, note, status, valid_until, responded_by, responded_at, response_reason, created_at';
+
+const formatAmount = (amount) => `$${Number(amount).toFixed(2)}`;
+
+/**
+ * Check line items and work out the total. Each item is
+ * { type, label, amount }; the label defaults to the type's name.
+ */
+export function validateLineItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('A quote needs at least one line item', 400);
+  }
+  if (items.length > MAX_LINE_ITEMS) {
+    throw new AppError(`A quote can have at most ${MAX_LINE_ITEMS} line items`, 400);
+  }
+
+  const lineItems = items.map((item, index) => {
+    const position = `Line item ${index + 1}`;
+    if (!item || typeof item !== 'object') throw new AppError(`${position} is invalid`, 400);
+
+    if (!LINE_ITEM_TYPES[item.type]) {
+      throw new AppError(`${position}: type must be one of ${Object.keys(LINE_ITEM_TYPES).join(', ')}`, 400);
+    }
+
+    const label = typeof item.label === 'string' && item.label.trim()
+      ? item.label.trim()
+      : LINE_ITEM_TYPES[item.type];
+    if (label.length > MAX_LABEL_LENGTH) {
+      throw new AppError(`${position}: label must be at most ${MAX_LABEL_LENGTH} characters`, 400);
+    }
+
+    const amount = Number(item.amount);
+    if (!Number.isFinite(amount) || amount < 0 || amount > MAX_AMOUNT) {
+      throw new AppError(`${position}: amount must be between 0 and ${MAX_AMOUNT}`, 400);
+    }
+    if (Math.round(amount * 100) !== amount * 100) {
+      throw new AppError(`${position}: amount can have at most two decimal places`, 400);
+    }
+
+    return { type: item.type, label, amount };
+  });
+
+  if (lineItems.filter(item => item.type === 'base').length > 1) {
+    throw new AppError('A quote can have only one base price', 400);
+  }
+
+  // Sum in cents so 0.1 + 0.2 stays 0.30
+  const total = lineItems.reduce((sum, item) => sum + Math.round(item.amount * 100), 0) / 100;
+  if (total <= 0) throw new AppError('A quote must come to more than $0', 400);
+
+  return { lineItems, total };
+}
+
+/**
+ * Every round for a commission, oldest first. Pending rounds past their
+ * valid_until are shown as expired.
+ */
+export async function listQuotes(commissionId, { now = Date.now() } = {}) {
+  const { data, error } = await supabaseAdmin
+    .from('commission_quotes')
+    .select(QUOTE_COLUMNS)
+    .eq('commission_id', commissionId)
+    .order('round', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(quote => (isExpired(quote, now) ? { ...quote, status: 'expired' } : quote));
+}
+
+function isExpired(quote, now) {
+  return quote.status === 'pending' && !!quote.valid_until && new Date(quote.valid_until).getTime() <= now;
+}
+
+/**
+ * Line items to start the artist's first quote from: the requested
+ * package's base price and the add-ons the client picked.
+ */
+export async function suggestLineItems(commission) {
+  if (!commission.package_id) return [];
+
+  const { data: pkg, error } = await supabaseAdmin
+    .from('commission_packages')
+    .select('id, name, base_price')
+    .eq('id', commission.package_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!pkg) return [];
+
+  const items = [{ type: 'base', label: pkg.name || LINE_ITEM_TYPES.base, amount: Number(pkg.base_price) || 0 }];
+
+  // Older clients stored add-ons as objects, newer ones as ids
+  const addonIds = (commission.selected_addons || [])
+    .map(addon => (addon && typeof addon === 'object' ? addon.id : addon))
+    .filter(Boolean);
+
+  if (addonIds.length > 0) {
+    const { data: addons, error: addonsError } = await supabaseAdmin
+      .from('commission_package_addons')
+      .select('id, name, price')
+      .in('id', addonIds);
+
+    if (addonsError) throw addonsError;
+    for (const addon of addons || []) {
+      items.push({ type: 'addon', label: addon.name || LINE_ITEM_TYPES.addon, amount: Number(addon.price) || 0 });
+    }
+  }
+
+  return items;
+}
+
+// ----------------------------------------------------------------------------
+// Conversation
+// ----------------------------------------------------------------------------
+
+// Post a round or a response into the commission's conversation
+async function postToConversation(commission, senderId, { content, metadata }) {
+  const conversation = await ConversationRepo.findByCommission(commission.id);
+  if (!conversation) return null;
+
+  const message = await MessageRepo.create({
+    conversation_id: conversation.id,
+    sender_id: senderId,
+    message_type: 'quote',
+    content,
+    metadata: { commission_id: commission.id, ...metadata },
+  });
+
+  await publishMessage(message);
+
+  try {
+    await queueMessageFanout(message);
+  } catch (error) {
+    console.error('Error queueing message fan-out:', error);
+  }
+
+  return message;
+}
+
+// ----------------------------------------------------------------------------
+// Rounds
+// ----------------------------------------------------------------------------
+
+async function getLatestQuote(commissionId) {
+  const { data, error } = await supabaseAdmin
+    .from('commission_quotes')
+    .select(QUOTE_COLUMNS)
+    .eq('commission_id', commissionId)
+    .order('round', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Move a pending round on; false if it was answered in the meantime
+async function closeRound(quote, status, { respondedBy = null, reason = null } = {}) {
+  const { data, error } = await supabaseAdmin
+    .from('commission_quotes')
+    .update({
+      status,
+      responded_by: respondedBy,
+      responded_at: new Date().toISOString(),
+      response_reason: reason,
+    })
+    .eq('id', quote.id)
+    .eq('status', 'pending')
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data;
+}
+
+// The updated commission, or null if the quote or commission changed first
+async function acceptQuote(quote, respondedBy, commissionStatus) {
+  const { data, error } = await supabaseAdmin.rpc('accept_commission_quote', {
+    p_quote_id: quote.id,
+    p_responded_by: respondedBy,
+    p_status: commissionStatus,
+  });
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+function assertNegotiable(commission) {
+  if (commission.status !== 'pending') {
+    throw new AppError('Quotes can only be sent before the commission is accepted', 409);
+  }
+  if (['waitlist', 'promoted'].includes(commission.queue_status)) {
+    throw new AppError('This request is still on the waitlist', 409);
+  }
+}
+
+/**
+ * Send a quote (artist) or a counter-offer (either side) for a pending
+ * commission. A new round from the side that made the pending one revises
+ * it; from the other side it counters it.
+ *
+ * Options: lineItems, note, validDays (1-30, artist quotes only).
+ */
+export async function sendQuote({ commission, actorId, actorRole, lineItems: items, note = null, validDays = null, now = Date.now() }) {
+  assertNegotiable(commission);
+
+  const { lineItems, total } = validateLineItems(items);
+
+  if (note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    throw new AppError(`note must be text of at most ${MAX_NOTE_LENGTH} characters`, 400);
+  }
+  if (validDays !== null && (!Number.isInteger(validDays) || validDays < 1 || validDays > MAX_VALID_DAYS)) {
+    throw new AppError(`valid_days must be a whole number between 1 and ${MAX_VALID_DAYS}`, 400);
+  }
+
+  const latest = await getLatestQuote(commission.id);
+  const pending = latest?.status === 'pending' && !isExpired(latest, now) ? latest : null;
+
+  if (actorRole === 'client' && !pending) {
+    throw new AppError('There is no quote to counter', 409);
+  }
+
+  if (latest?.status === 'pending') {
+    const status = !pending ? 'expired' : pending.author_role === actorRole ? 'superseded' : 'countered';
+    if (!(await closeRound(latest, status, { respondedBy: status === 'countered' ? actorId : null }))) {
+      throw new AppError('The quote was answered in the meantime, please refresh and try again', 409);
+    }
+  }
+
+  const round = (latest?.round || 0) + 1;
+  const { data: quote, error } = await supabaseAdmin
+    .from('commission_quotes')
+    .insert({
+      commission_id: commission.id,
+      round,
+      author_id: actorId,
+      author_role: actorRole,
+      line_items: lineItems,
+      total,
+      note: note?.trim() || null,
+      status: 'pending',
+      valid_until: validDays ? new Date(now + validDays * 24 * 60 * 60 * 1000).toISOString() : null,
+    })
+    .select(QUOTE_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  const kind = round === 1 ? 'quote' : pending && pending.author_role !== actorRole ? 'counter' : 'revision';
+  const intro = { quote: 'Sent a quote', counter: 'Made a counter-offer', revision: 'Revised the quote' }[kind];
+
+  await postToConversation(commission, actorId, {
+    content: `${intro}: ${formatAmount(total)}`,
+    metadata: { quote_id: quote.id, round, kind, line_items: lineItems, total, note: quote.note, valid_until: quote.valid_until },
+  });
+
+  return quote;
+}
+
+/**
+ * Accept or reject the pending round. Accepting starts the commission at
+ * the quoted price.
+ */
+export async function respondToQuote({ commission, quoteId, actorId, actorRole, action, reason = null, now = Date.now() }) {
+  if (!['accept', 'reject'].includes(action)) throw new AppError('action must be accept or reject', 400);
+  if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_NOTE_LENGTH)) {
+    throw new AppError(`reason must be text of at most ${MAX_NOTE_LENGTH} characters`, 400);
+  }
+  assertNegotiable(commission);
+
+  const latest = await getLatestQuote(commission.id);
+  if (!latest || latest.id !== quoteId) {
+    const { data: quote } = await supabaseAdmin
+      .from('commission_quotes')
+      .select('id')
+      .eq('id', quoteId)
+      .eq('commission_id', commission.id)
+      .maybeSingle();
+
+    if (!quote) throw new AppError('Quote not found', 404);
+    throw new AppError('This quote has been replaced by a newer one', 409);
+  }
+  if (latest.status !== 'pending') throw new AppError(`This quote was already ${latest.status}`, 409);
+  if (latest.author_role === actorRole) throw new AppError('You cannot respond to your own quote', 403);
+
+  if (isExpired(latest, now)) {
+    await closeRound(latest, 'expired');
+    throw new AppError('This quote has expired', 409);
+  }
+
+  const status = action === 'accept' ? 'accepted' : 'rejected';
+  let updated = commission;
+
+  if (action === 'accept') {
+    ({ commission: updated } = await transitionCommission({
+      commission,
+      requestedStatus: 'accepted',
+      actorId,
+      actorRole,
+      reason: `Quote accepted at ${formatAmount(latest.total)}`,
+      updates: { final_price: latest.total, accepted_quote_id: latest.id },
+      metadata: { quote_id: latest.id, round: latest.round },
+      // Closes the round and starts the commission together, or neither
+      write: values => acceptQuote(latest, actorId, values.status),
+    }));
+  } else if (!(await closeRound(latest, status, { respondedBy: actorId, reason }))) {
+    throw new AppError('The quote was answered in the meantime, please refresh and try again', 409);
+  }
+
+  await postToConversation(commission, actorId, {
+    content: action === 'accept'
+      ? `Accepted the quote: ${formatAmount(latest.total)}`
+      : `Declined the quote${reason ? `: ${reason}` : ''}`,
+    metadata: { quote_id: latest.id, round: latest.round, kind: status, total: latest.total, reason },
+  });
+
+  return { quote: { ...latest, status, responded_by: actorId, response_reason: reason }, commission: updated };
+}
+
+export default {
+  LINE_ITEM_TYPES,
+  QUOTE_STATUSES,
+  validateLineItems,
+  listQuotes,
+  suggestLineItems,
+  sendQuote,
+  respondToQuote,
+};
@@ -0,0 +1,492 @@
+import jwt from 'jsonwebtoken';
+import redis from './cache.js';
+import { feedChannel } from './notifications.js';
+import { getPresence, refreshSocket, trackSocket, untrackSocket } from './presence.js';
+import { acknowledgeDelivery } from './receipts.js';
+import { getAccountRestriction } from '../middleware/auth.js';
+import { CommissionRepo, ConversationRepo, UserRepo } from '../repositories/index.js';
+
+// ============================================================================
+// REALTIME
+// Socket.io events and who may receive them. A socket's identity is the
+// user in its handshake JWT and nothing else. Every socket joins its own
+// user room on connect; a conversation room can only be joined by one of
+// the conversation's participants.
+//
+// Clients never broadcast to each other. Everything in EVENTS is emitted
+// here, by the server, after the change it describes has been written,
+// wrapped in an envelope carrying REALTIME_VERSION. Clients send the
+// version they speak in the handshake and are refused if it differs; bump
+// it when a payload changes shape and update frontend/lib/socket.js with it.
+//
+// The job worker has no Socket.io server of its own, so events raised there
+// are published on RELAY_CHANNEL and every API server emits them to its own
+// sockets. Notifications arrive the same way on their feed:<userId>
+// channels, through one pattern subscription per server.
+// ============================================================================
+
+export const REALTIME_VERSION = 1;
+
+/**
+ * Server-to-client events.
+ */
+export const EVENTS = {
+  MESSAGE_NEW: 'message:new',
+  MESSAGE_UPDATED: 'message:updated',
+  MESSAGE_DELETED: 'message:deleted',
+  MESSAGE_REACTIONS: 'message:reactions',
+  MESSAGE_DELIVERED: 'message:delivered',
+  MESSAGE_READ: 'message:read',
+  CONVERSATION_UPDATED: 'conversation:updated',
+  COMMISSION_STATUS: 'commission:status',
+  MILESTONE_UPDATED: 'milestone:updated',
+  TYPING: 'conversation:typing',
+  PRESENCE: 'presence:update',
+  NOTIFICATION: 'notification',
+};
+
+/**
+ * Client-to-server commands. Joining answers through the ack callback with
+ * `{ ok: true, presence }` (the other participants' Presence) or `{ error }`.
+ * ACKNOWLEDGE_DELIVERY takes `{ conversationId, messageId }` once a
+ * message from someone else has reached the device.
+ */
+export const COMMANDS = {
+  JOIN_CONVERSATION: 'conversation:join',
+  LEAVE_CONVERSATION: 'conversation:leave',
+  TYPING: 'conversation:typing',
+  ACKNOWLEDGE_DELIVERY: 'message:delivered',
+};
+
+/**
+ * @template T
+ * @typedef {object} Envelope
+ * @property {number} v     REALTIME_VERSION the payload was built for
+ * @property {string} type  One of EVENTS
+ * @property {string} at    When the server emitted it (ISO 8601)
+ * @property {T}      data
+ */
+
+/**
+ * @typedef {object} MessageNew        EVENTS.MESSAGE_NEW
+ * @property {string} conversation_id
+ * @property {object} message          The messages row as the REST API returns it
+ *
+ * @typedef {object} MessageUpdated    EVENTS.MESSAGE_UPDATED
+ * @property {string} conversation_id
+ * @property {object} message          The edited message, with its new content and edited_at
+ *
+ * @typedef {object} MessageDeleted    EVENTS.MESSAGE_DELETED
+ * @property {string} conversation_id
+ * @property {string} message_id
+ *
+ * @typedef {object} MessageReactions  EVENTS.MESSAGE_REACTIONS
+ * @property {string} conversation_id
+ * @property {string} message_id
+ * @property {object[]} reactions      All of the message's reactions: [{ emoji, count, user_ids }]
+ *
+ * @typedef {object} MessageDelivered  EVENTS.MESSAGE_DELIVERED
+ * @property {string} conversation_id
+ * @property {string} user_id          Participant whose device has every message up to delivered_at
+ * @property {string} delivered_at
+ *
+ * @typedef {object} MessageRead       EVENTS.MESSAGE_READ
+ * @property {string} conversation_id
+ * @property {string} user_id          Participant who read the conversation
+ * @property {string} read_at
+ *
+ * @typedef {object} ConversationUpdated  EVENTS.CONVERSATION_UPDATED
+ * @property {string} conversation_id
+ * @property {string} change          'created' | 'participants_added' | 'participant_removed' | 'participant_left' | 'title_changed' | 'role_changed'
+ * @property {string} actor_id
+ * @property {string[]} user_ids      Participants the change is about (none for title_changed)
+ * @property {object} conversation    { id, is_group, title, participants: [{ user_id, role }] } after the change
+ *
+ * @typedef {object} CommissionStatus  EVENTS.COMMISSION_STATUS
+ * @property {string} commission_id
+ * @property {string} status
+ * @property {string} previous_status
+ * @property {string} actor_role       'client' | 'artist' | 'moderator' | 'system'
+ *
+ * @typedef {object} MilestoneUpdated  EVENTS.MILESTONE_UPDATED
+ * @property {string} commission_id
+ * @property {?string} milestone_id    null when the change covers the whole plan
+ * @property {string} change           'generated' | 'edited' | 'plan_confirmed' | 'started' | 'submitted' | 'paid'
+ * @property {?object} milestone       The updated row, when there is one
+ *
+ * @typedef {object} Typing            EVENTS.TYPING
+ * @property {string} conversation_id
+ * @property {string} user_id
+ * @property {boolean} is_typing
+ *
+ * @typedef {object} Presence          EVENTS.PRESENCE
+ * @property {string} user_id
+ * @property {boolean} online
+ * @property {?string} last_seen       null while online or when the user hides it
+ */
+
+export const RELAY_CHANNEL = 'realtime:relay';
+
+export const userRoom = (userId) => `user:${userId}`;
+export const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+let server = null;
+let relaySubscriber = null;
+let feedSubscriber = null;
+
+/**
+ * Wrap event data in the versioned envelope.
+ * @template T
+ * @returns {Envelope<T>}
+ */
+export function envelope(type, data) {
+  return { v: REALTIME_VERSION, type, at: new Date().toISOString(), data };
+}
+
+// ----------------------------------------------------------------------------
+// Connections
+// ----------------------------------------------------------------------------
+
+function refuse(next, message, data) {
+  const error = new Error(message);
+  if (data) error.data = data;
+  next(error);
+}
+
+// Same checks as the authenticate middleware, against the handshake token
+async function authenticateSocket(socket, next) {
+  try {
+    const { token, version } = socket.handshake.auth || {};
+    if (!token) return refuse(next, 'Authentication token required');
+
+    if (Number(version) !== REALTIME_VERSION) {
+      return refuse(next, 'Unsupported realtime version', { version: REALTIME_VERSION });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await UserRepo.getById(decoded.userId);
+    if (!user) return refuse(next, 'Authentication failed');
+
+    const restriction = getAccountRestriction(user);
+    if (restriction) return refuse(next, restriction);
+
+    socket.data.userId = user.id;
+    next();
+  } catch (error) {
+    if (error.name !== 'JsonWebTokenError' && error.name !== 'TokenExpiredError') {
+      console.error('Socket authentication error:', error);
+    }
+    refuse(next, 'Authentication failed');
+  }
+}
+
+function handleConnection(socket) {
+  const { userId } = socket.data;
+  socket.join(userRoom(userId));
+
+  trackSocket(userId, socket.id)
+    .then(cameOnline => cameOnline && publishPresence(userId))
+    .catch(error => console.error('Error tracking presence:', error));
+
+  socket.conn?.on('heartbeat', () => {
+    refreshSocket(userId, socket.id).catch(error => console.error('Error refreshing presence:', error));
+  });
+
+  socket.on(COMMANDS.JOIN_CONVERSATION, async (conversationId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      if (typeof conversationId !== 'string' || !(await ConversationRepo.isParticipant(conversationId, userId))) {
+        return reply({ error: 'Conversation not found' });
+      }
+      socket.join(conversationRoom(conversationId));
+
+      const others = (await ConversationRepo.findParticipantIds(conversationId)).filter(id => id !== userId);
+      const presence = await getPresence(others);
+      reply({ ok: true, presence: [...presence].map(([id, state]) => ({ user_id: id, ...state })) });
+    } catch (error) {
+      console.error('Error joining conversation room:', error);
+      reply({ error: 'Could not join the conversation' });
+    }
+  });
+
+  socket.on(COMMANDS.LEAVE_CONVERSATION, (conversationId) => {
+    socket.leave(conversationRoom(conversationId));
+  });
+
+  // Only relayed from sockets that joined the room, and always as this socket's user
+  socket.on(COMMANDS.TYPING, (data) => {
+    const room = conversationRoom(data?.conversationId);
+    if (!socket.rooms.has(room)) return;
+
+    socket.to(room).emit(EVENTS.TYPING, envelope(EVENTS.TYPING, {
+      conversation_id: data.conversationId,
+      user_id: userId,
+      is_typing: !!data.isTyping,
+    }));
+  });
+
+  socket.on(COMMANDS.ACKNOWLEDGE_DELIVERY, async (data) => {
+    try {
+      const deliveredAt = await acknowledgeDelivery(userId, data?.conversationId, data?.messageId);
+      if (deliveredAt) await publishDelivered(data.conversationId, userId, deliveredAt);
+    } catch (error) {
+      console.error('Error acknowledging delivery:', error);
+    }
+  });
+
+  socket.on('disconnect', () => {
+    untrackSocket(userId, socket.id)
+      .then(lastSeen => lastSeen && publishPresence(userId))
+      .catch(error => console.error('Error tracking presence:', error));
+  });
+}
+
+// Events published by processes without a Socket.io server
+function startRelay() {
+  relaySubscriber = redis.duplicate();
+  relaySubscriber.subscribe(RELAY_CHANNEL).catch(error => {
+    console.error('Error subscribing to the realtime relay:', error);
+  });
+  relaySubscriber.on('message', (channel, message) => {
+    if (channel !== RELAY_CHANNEL || !server) return;
+    try {
+      const { rooms, type, payload } = JSON.parse(message);
+      // Local only: every server gets the relayed event from Redis itself
+      (server.local || server).to(rooms).emit(type, payload);
+    } catch (error) {
+      console.error('Error relaying realtime event:', error);
+    }
+  });
+}
+
+// Every user's notifications, to their room on this server
+function startFeed() {
+  feedSubscriber?.disconnect();
+  feedSubscriber = redis.duplicate();
+
+  const prefix = feedChannel('');
+  feedSubscriber.psubscribe(feedChannel('*')).catch(error => {
+    console.error('Error subscribing to notification feeds:', error);
+  });
+  feedSubscriber.on('pmessage', (pattern, channel, message) => {
+    if (!server || !channel.startsWith(prefix)) return;
+    try {
+      const userId = channel.slice(prefix.length);
+      (server.local || server).to(userRoom(userId)).emit(EVENTS.NOTIFICATION, envelope(EVENTS.NOTIFICATION, JSON.parse(message)));
+    } catch (error) {
+      console.error('Error forwarding notification:', error);
+    }
+  });
+}
+
+/**
+ * Install authentication and the connection handlers on a Socket.io server
+ * and make it the one events are emitted through.
+ */
+export function attachRealtime(io, { relay = true } = {}) {
+  server = io;
+  io.use(authenticateSocket);
+  io.on('connection', handleConnection);
+  if (relay && !relaySubscriber) startRelay();
+  startFeed();
+  return io;
+}
+
+// ----------------------------------------------------------------------------
+// Emitting
+// ----------------------------------------------------------------------------
+
+async function emit(rooms, type, data) {
+  if (rooms.length === 0) return;
+  const payload = envelope(type, data);
+
+  if (server) {
+    server.to(rooms).emit(type, payload);
+    return;
+  }
+
+  await redis.publish(RELAY_CHANNEL, JSON.stringify({ rooms, type, payload }));
+}
+
+// Realtime delivery is best effort: the change is already written and
+// clients catch up over REST, so a failed emit never fails the caller
+async function safely(description, fn) {
+  try {
+    await fn();
+  } catch (error) {
+    console.error(`Error emitting ${description}:`, error);
+  }
+}
+
+async function conversationRooms(conversationId) {
+  const participantIds = await ConversationRepo.findParticipantIds(conversationId);
+  return [conversationRoom(conversationId), ...participantIds.map(userRoom)];
+}
+
+async function commissionRooms(commission) {
+  const parties = commission.client_id && commission.artist_id
+    ? commission
+    : await CommissionRepo.findById(commission.id, 'client_id, artist_id');
+  return parties ? [...new Set([parties.client_id, parties.artist_id].filter(Boolean))].map(userRoom) : [];
+}
+
+/**
+ * A new message, to the open conversation and every participant's
+ * conversation list.
+ */
+export function publishMessage(message) {
+  return safely(EVENTS.MESSAGE_NEW, async () => {
+    await emit(await conversationRooms(message.conversation_id), EVENTS.MESSAGE_NEW, {
+      conversation_id: message.conversation_id,
+      message,
+    });
+  });
+}
+
+export function publishMessageUpdated(message) {
+  return safely(EVENTS.MESSAGE_UPDATED, async () => {
+    await emit(await conversationRooms(message.conversation_id), EVENTS.MESSAGE_UPDATED, {
+      conversation_id: message.conversation_id,
+      message,
+    });
+  });
+}
+
+export function publishMessageDeleted(conversationId, messageId) {
+  return safely(EVENTS.MESSAGE_DELETED, async () => {
+    await emit(await conversationRooms(conversationId), EVENTS.MESSAGE_DELETED, {
+      conversation_id: conversationId,
+      message_id: messageId,
+    });
+  });
+}
+
+/**
+ * A message's reactions changed. Carries the full set so clients can
+ * replace theirs.
+ */
+export function publishReactions(conversationId, messageId, reactions) {
+  return safely(EVENTS.MESSAGE_REACTIONS, async () => {
+    await emit(await conversationRooms(conversationId), EVENTS.MESSAGE_REACTIONS, {
+      conversation_id: conversationId,
+      message_id: messageId,
+      reactions,
+    });
+  });
+}
+
+/**
+ * Delivery receipt: every message in the conversation up to `deliveredAt`
+ * has reached `userId`'s device.
+ */
+export function publishDelivered(conversationId, userId, deliveredAt) {
+  return safely(EVENTS.MESSAGE_DELIVERED, async () => {
+    await emit(await conversationRooms(conversationId), EVENTS.MESSAGE_DELIVERED, {
+      conversation_id: conversationId,
+      user_id: userId,
+      delivered_at: deliveredAt,
+    });
+  });
+}
+
+/**
+ * Read receipt: `userId` has read the conversation up to `readAt`.
+ */
+export function publishRead(conversationId, userId, readAt = new Date().toISOString()) {
+  return safely(EVENTS.MESSAGE_READ, async () => {
+    await emit(await conversationRooms(conversationId), EVENTS.MESSAGE_READ, {
+      conversation_id: conversationId,
+      user_id: userId,
+      read_at: readAt,
+    });
+  });
+}
+
+/**
+ * A group's participants, roles or title changed. Goes to everyone in it
+ * after the change and to `alsoTo` (participants who were just removed),
+ * whose sockets then leave the room.
+ */
+export function publishConversationUpdated(conversationId, data, { alsoTo = [] } = {}) {
+  return safely(EVENTS.CONVERSATION_UPDATED, async () => {
+    const rooms = [...await conversationRooms(conversationId), ...alsoTo.map(userRoom)];
+    await emit(rooms, EVENTS.CONVERSATION_UPDATED, { conversation_id: conversationId, ...data });
+    removeFromConversation(conversationId, alsoTo);
+  });
+}
+
+/**
+ * A commission moved between statuses, to its client and artist.
+ */
+export function publishCommissionStatus(commission, { previousStatus, actorRole }) {
+  return safely(EVENTS.COMMISSION_STATUS, async () => {
+    await emit(await commissionRooms(commission), EVENTS.COMMISSION_STATUS, {
+      commission_id: commission.id,
+      status: commission.status,
+      previous_status: previousStatus,
+      actor_role: actorRole,
+    });
+  });
+}
+
+/**
+ * A milestone (or, with no milestone, the whole plan) changed.
+ */
+export function publishMilestoneUpdate(commission, { change, milestone = null }) {
+  return safely(EVENTS.MILESTONE_UPDATED, async () => {
+    await emit(await commissionRooms(commission), EVENTS.MILESTONE_UPDATED, {
+      commission_id: commission.id,
+      milestone_id: milestone?.id || null,
+      change,
+      milestone,
+    });
+  });
+}
+
+/**
+ * A user's presence changed, to everyone they share a conversation with.
+ * Users hiding their status are skipped unless `force` (used when they
+ * turn it off, so contacts see them go offline).
+ */
+export function publishPresence(userId, { force = false } = {}) {
+  return safely(EVENTS.PRESENCE, async () => {
+    const user = await UserRepo.findById(userId, 'id, show_online_status');
+    if (!user || (user.show_online_status === false && !force)) return;
+
+    const state = (await getPresence([userId])).get(userId);
+    const contactIds = await ConversationRepo.findContactIds(userId);
+    await emit(contactIds.map(userRoom), EVENTS.PRESENCE, { user_id: userId, ...state });
+  });
+}
+
+/**
+ * Take users' sockets out of a conversation room, e.g. when they leave it.
+ */
+export function removeFromConversation(conversationId, userIds) {
+  if (!server) return;
+  for (const userId of userIds) {
+    server.in(userRoom(userId)).socketsLeave(conversationRoom(conversationId));
+  }
+}
+
+export default {
+  REALTIME_VERSION,
+  EVENTS,
+  COMMANDS,
+  RELAY_CHANNEL,
+  userRoom,
+  conversationRoom,
+  envelope,
+  attachRealtime,
+  publishMessage,
+  publishMessageUpdated,
+  publishMessageDeleted,
+  publishReactions,
+  publishDelivered,
+  publishRead,
+  publishConversationUpdated,
+  publishPresence,
+  publishCommissionStatus,
+  publishMilestoneUpdate,
+  removeFromConversation,
+};
@@ -0,0 +1,61 @@
+import { ConversationRepo, MessageRepo } from '../repositories/index.js';
+
+// ============================================================================
+// MESSAGE RECEIPTS
+// Delivery and read state are watermarks on conversation_participants:
+// every message created up to last_delivered_at has reached that
+// participant's device, and everything up to last_read_at has been read.
+// Reading implies delivery. A message is delivered (or read) once it is for
+// every participant other than its sender.
+// ============================================================================
+
+const reached = (watermark, createdAt) => !!watermark && new Date(watermark) >= new Date(createdAt);
+
+/**
+ * Delivery state of one message: `{ status, delivered_at, read_at }`, with
+ * status 'sent', 'delivered' or 'read'. The times are when the last
+ * recipient got that far, as of their watermark.
+ */
+export function receiptFor(message, receipts) {
+  const recipients = receipts.filter(r => r.user_id !== message.sender_id);
+  const latest = (times) => times.reduce((max, time) => (new Date(time) > new Date(max) ? time : max));
+
+  if (recipients.length > 0 && recipients.every(r => reached(r.last_read_at, message.created_at))) {
+    const readAt = latest(recipients.map(r => r.last_read_at));
+    return { status: 'read', delivered_at: readAt, read_at: readAt };
+  }
+
+  const delivered = recipients.map(r => [r.last_delivered_at, r.last_read_at].find(t => reached(t, message.created_at)));
+  if (recipients.length > 0 && delivered.every(Boolean)) {
+    return { status: 'delivered', delivered_at: latest(delivered), read_at: null };
+  }
+
+  return { status: 'sent', delivered_at: null, read_at: null };
+}
+
+/**
+ * Add `receipt` to the messages `viewerId` sent.
+ */
+export function withReceipts(messages, receipts, viewerId) {
+  return messages.map(message => (
+    message.sender_id === viewerId ? { ...message, receipt: receiptFor(message, receipts) } : message
+  ));
+}
+
+/**
+ * A participant's device received `messageId`. Moves their delivery
+ * watermark up to it and returns the new watermark, or null if the
+ * acknowledgement was stale, their own message or not theirs to make.
+ */
+export async function acknowledgeDelivery(userId, conversationId, messageId) {
+  const message = await MessageRepo.findById(messageId, 'id, conversation_id, sender_id, created_at');
+  if (!message || message.conversation_id !== conversationId || message.sender_id === userId) return null;
+
+  return ConversationRepo.markDelivered(conversationId, userId, message.created_at);
+}
+
+export default {
+  receiptFor,
+  withReceipts,
+  acknowledgeDelivery,
+};
@@ -1,36 +1,7 @@
-import Redis from 'ioredis';
-import { cache } from './cache.js';
-
-// Get Redis client from cache.js or create new one
-let redis;
-try {
-  // Try to get the client from cache module
-  if (cache && cache._client) {
-    redis = cache._client;
-  } else {
-    // Create new client if not available
-    redis = new Redis({
-      host: process.env.REDIS_HOST || 'localhost',
-      port: process.env.REDIS_PORT || 6379,
-      password: process.env.REDIS_PASSWORD || undefined,
-      retryStrategy: (times) => Math.min(times * 50, 2000),
-      maxRetriesPerRequest: 3,
-      lazyConnect: true,
-    });
-    redis.connect().catch(() => {});
-  }
-} catch (error) {
-  // Fallback: create new client
-  redis = new Redis({
-    host: process.env.REDIS_HOST || 'localhost',
-    port: process.env.REDIS_PORT || 6379,
-    password: process.env.REDIS_PASSWORD || undefined,
-    retryStrategy: (times) => Math.min(times * 50, 2000),
-    maxRetriesPerRequest: 3,
-    lazyConnect: true,
-  });
-  redis.connect().catch(() => {});
-}
+// Shared client from cache.js (a live binding, so an injected client is picked up)
+import redis from './cache.js';
+import { NotificationService } from './notifications.js';
+import { JobQueue } from './jobQueue.js';
 
 // ============================================================================
 // 1. RATE LIMITING STORE (Better than in-memory)
@@ -55,136 +26,9 @@ export class RedisRateLimitStore {
 }
 
 // ============================================================================
-// 2. NOTIFICATIONS SYSTEM (Pub/Sub)
+// 2. NOTIFICATIONS (stored in Postgres, see notifications.js)
 // ============================================================================
-export class NotificationService {
-  // Publish notification
-  static async publish(userId, notification) {
-    try {
-      const key = `notifications:${userId}`;
-      const timestamp = Date.now();
-      
-      const notificationData = {
-        ...notification,
-        id: `${userId}-${timestamp}`,
-        timestamp,
-        read: false,
-      };
-
-      // Store notification in sorted set (sorted by timestamp)
-      await redis.zadd(key, timestamp, JSON.stringify(notificationData));
-      
-      // Keep only last 100 notifications per user
-      await redis.zremrangebyrank(key, 0, -101);
-      
-      // Set expiration (30 days)
-      await redis.expire(key, 30 * 24 * 60 * 60);
-
-      // Publish to real-time channel for Socket.io
-      await redis.publish(`notifications:${userId}`, JSON.stringify(notificationData));
-
-      // Update unread count
-      await this.incrementUnreadCount(userId);
-
-      return notificationData;
-    } catch (error) {
-      console.error('Error publishing notification:', error);
-      return null;
-    }
-  }
-
-  // Get notifications for user
-  static async getNotifications(userId, limit = 20, offset = 0) {
-    try {
-      const key = `notifications:${userId}`;
-      const notifications = await redis.zrevrange(key, offset, offset + limit - 1);
-      return notifications.map(n => JSON.parse(n));
-    } catch (error) {
-      console.error('Error getting notifications:', error);
-      return [];
-    }
-  }
-
-  // Mark notification as read
-  static async markAsRead(userId, notificationId) {
-    try {
-      const key = `notifications:${userId}`;
-      const notifications = await redis.zrevrange(key, 0, -1);
-      
-      for (const notif of notifications) {
-        const data = JSON.parse(notif);
-        if (data.id === notificationId) {
-          data.read = true;
-          await redis.zrem(key, notif);
-          await redis.zadd(key, data.timestamp, JSON.stringify(data));
-          break;
-        }
-      }
-      
-      await this.decrementUnreadCount(userId);
-    } catch (error) {
-      console.error('Error marking notification as read:', error);
-    }
-  }
-
-  // Mark all as read
-  static async markAllAsRead(userId) {
-    try {
-      const key = `notifications:${userId}`;
-      const notifications = await redis.zrevrange(key, 0, -1);
-      
-      for (const notif of notifications) {
-        const data = JSON.parse(notif);
-        data.read = true;
-        await redis.zrem(key, notif);
-        await redis.zadd(key, data.timestamp, JSON.stringify(data));
-      }
-      
-      await redis.set(`unread:${userId}`, 0);
-    } catch (error) {
-      console.error('Error marking all notifications as read:', error);
-    }
-  }
-
-  // Unread count
-  static async getUnreadCount(userId) {
-    try {
-      const count = await redis.get(`unread:${userId}`);
-      return parseInt(count || '0', 10);
-    } catch (error) {
-      console.error('Error getting unread count:', error);
-      return 0;
-    }
-  }
-
-  static async incrementUnreadCount(userId) {
-    try {
-      await redis.incr(`unread:${userId}`);
-      await redis.expire(`unread:${userId}`, 30 * 24 * 60 * 60);
-    } catch (error) {
-      console.error('Error incrementing unread count:', error);
-    }
-  }
-
-  static async decrementUnreadCount(userId) {
-    try {
-      const count = await redis.decr(`unread:${userId}`);
-      if (count <= 0) {
-        await redis.del(`unread:${userId}`);
-      }
-    } catch (error) {
-      console.error('Error decrementing unread count:', error);
-    }
-  }
-
-  static async resetUnreadCount(userId) {
-    try {
-      await redis.del(`unread:${userId}`);
-    } catch (error) {
-      console.error('Error resetting unread count:', error);
-    }
-  }
-}
+export { NotificationService };
 
 // ============================================================================
 // 3. UNREAD MESSAGE COUNTS (Instant access)
@@ -242,6 +86,16 @@ export class MessageCountService {
     }
   }
 
+  static async setUnreadCount(userId, conversationId, count) {
+    try {
+      const key = `unread:messages:${userId}`;
+      await redis.hset(key, conversationId, count);
+      await redis.expire(key, 30 * 24 * 60 * 60); // 30 days
+    } catch (error) {
+      console.error('Error setting unread message count:', error);
+    }
+  }
+
   static async resetUnreadCount(userId, conversationId) {
     try {
       const key = `unread:messages:${userId}`;
@@ -304,98 +158,12 @@ export class SessionService {
       console.error('Error deleting session:', error);
     }
   }
-
-  static async isUserOnline(userId) {
-    try {
-      const key = `session:${userId}`;
-      return await redis.exists(key) === 1;
-    } catch (error) {
-      console.error('Error checking if user is online:', error);
-      return false;
-    }
-  }
 }
 
 // ============================================================================
-// 5. BACKGROUND JOB QUEUE (For async tasks)
+// 5. BACKGROUND JOB QUEUE (see jobQueue.js)
 // ============================================================================
-export class JobQueue {
-  static async addJob(jobType, jobData, priority = 0) {
-    try {
-      const jobId = `job:${Date.now()}:${Math.random().toString(36).substr(2, 9)}`;
-      const job = {
-        id: jobId,
-        type: jobType,
-        data: jobData,
-        priority,
-        createdAt: Date.now(),
-        attempts: 0,
-        status: 'pending',
-      };
-
-      // Add to queue sorted by priority (higher priority first)
-      await redis.zadd(`queue:${jobType}`, priority, JSON.stringify(job));
-      return jobId;
-    } catch (error) {
-      console.error('Error adding job to queue:', error);
-      return null;
-    }
-  }
-
-  static async getNextJob(jobType) {
-    try {
-      const jobs = await redis.zrevrange(`queue:${jobType}`, 0, 0); // Get highest priority
-      if (jobs.length === 0) return null;
-      
-      const job = JSON.parse(jobs[0]);
-      await redis.zrem(`queue:${jobType}`, jobs[0]); // Remove from queue
-      
-      return job;
-    } catch (error) {
-      console.error('Error getting next job:', error);
-      return null;
-    }
-  }
-
-  static async processJobs(jobType, processor, concurrency = 1) {
-    let processing = 0;
-
-    const processNext = async () => {
-      if (processing >= concurrency) return;
-      
-      processing++;
-      const job = await this.getNextJob(jobType);
-      
-      if (job) {
-        try {
-          job.status = 'processing';
-          await processor(job);
-          job.status = 'completed';
-        } catch (error) {
-          console.error(`Job ${job.id} failed:`, error);
-          job.attempts++;
-          if (job.attempts < 3) {
-            // Retry
-            await redis.zadd(`queue:${jobType}`, job.priority - 1, JSON.stringify(job));
-          } else {
-            job.status = 'failed';
-            await redis.lpush(`queue:${jobType}:failed`, JSON.stringify(job));
-          }
-        }
-      }
-      
-      processing--;
-      
-      // Process next job after a short delay
-      if (processing < concurrency) {
-        setTimeout(processNext, 100);
-      }
-    };
-
-    // Start processing
-    setInterval(processNext, 1000);
-  }
-}
+export { JobQueue };
 
 // ============================================================================
 // 6. ANALYTICS & ENGAGEMENT TRACKING
@@ -540,12 +308,8 @@ export class FeedService {
   // Subscribe to feed updates (for Socket.io integration)
   static subscribeToFeed(userId, callback) {
     const subscriber = redis.duplicate();
-    subscriber.subscribe(`feed:${userId}`, (err, count) => {
-      if (err) {
-        console.error('Error subscribing to feed:', err);
-      } else {
-        console.log(`Subscribed to feed updates for user ${userId}`);
-      }
+    subscriber.subscribe(`feed:${userId}`, (err) => {
+      if (err) console.error('Error subscribing to feed:', err);
     });
 
     subscriber.on('message', (channel, message) => {
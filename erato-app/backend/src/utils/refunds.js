@@ -0,0 +1,405 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getPaypalAccessToken, paypalApiBase } from './paypalApi.js';
+import { applyRefund, syncCommissionPaymentState } from './paymentEvents.js';
+import { releaseCommissionFunds } from './payouts/ledger.js';
+import { queueArtistPayout } from '../jobs/payouts.js';
+import { getActiveDispute } from './disputes.js';
+import { getArtistSettings } from './artistSettings.js';
+import { getStripe } from './paymentClients.js';
+
+// ============================================================================
+// REFUNDS
+// Works out how much of a commission's payments can go back to the client
+// under the artist's cancellation terms, and issues it through the provider
+// that took the payment. Each refund is its own payment_transactions row
+// (transaction_type 'refund') pointing at the payment it refunds.
+// ============================================================================
+
+// Refund rows that count against a payment's refundable amount
+const OPEN_REFUND_STATUSES = ['pending', 'succeeded'];
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * The artist's cancellation terms from their commission settings.
+ */
+export async function getRefundTerms(artistId) {
+  const settings = await getArtistSettings(artistId);
+  return {
+    cancellation_fee_percentage: settings.cancellation_fee_percentage,
+    deposit_refundable: settings.deposit_refundable,
+  };
+}
+
+/**
+ * Captured payments on a commission with what is left to refund on each.
+ */
+async function getRefundablePayments(commissionId) {
+  const { data: transactions, error } = await supabaseAdmin
+    .from('payment_transactions')
+    .select('*')
+    .eq('commission_id', commissionId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const refunds = (transactions || []).filter(tx => tx.transaction_type === 'refund');
+  return (transactions || [])
+    .filter(tx => tx.transaction_type !== 'refund' && tx.transaction_type !== 'tip')
+    .filter(tx => ['succeeded', 'partially_refunded'].includes(tx.status))
+    .map(tx => {
+      const refunded = refunds
+        .filter(r => r.refund_of_transaction_id === tx.id && OPEN_REFUND_STATUSES.includes(r.status))
+        .reduce((sum, r) => sum + parseFloat(r.amount), 0);
+      return {
+        transaction: tx,
+        paid: parseFloat(tx.amount),
+        refunded: roundCents(refunded),
+        remaining: roundCents(Math.max(parseFloat(tx.amount) - refunded, 0)),
+      };
+    });
+}
+
+/**
+ * Work out the refund a cancellation entitles the client to.
+ *
+ * Per captured payment:
+ * - milestones whose work the client already approved are never refunded
+ * - when the client cancels, the artist keeps their cancellation fee and,
+ *   if their terms say so, the deposit / first milestone
+ * - when the artist (or a moderator) cancels, undelivered work is refunded in full
+ *
+ * @param {object} commission  needs id and artist_id
+ * @param {object} options
+ * @param {string} options.initiatedBy 'client' | 'artist' | 'moderator' | 'system'
+ */
+export async function calculateRefund(commission, { initiatedBy = 'client' } = {}) {
+  const terms = await getRefundTerms(commission.artist_id);
+  const payments = await getRefundablePayments(commission.id);
+
+  const { data: milestones, error } = await supabaseAdmin
+    .from('commission_milestones')
+    .select(`
+      id,
+      milestone_number,
+      title,
+      payment_transaction_id,
+      progress_update:commission_progress_updates(approval_status)
+    `)
+    .eq('commission_id', commission.id);
+
+  if (error) throw error;
+
+  const clientCancelled = initiatedBy === 'client';
+  const feeRate = clientCancelled ? terms.cancellation_fee_percentage / 100 : 0;
+
+  const items = payments.map(({ transaction, paid, refunded, remaining }) => {
+    const milestone = (milestones || []).find(m => m.payment_transaction_id === transaction.id);
+    const progressUpdate = Array.isArray(milestone?.progress_update) ? milestone.progress_update[0] : milestone?.progress_update;
+    const delivered = progressUpdate?.approval_status === 'approved';
+    const isDeposit = transaction.transaction_type === 'deposit' || milestone?.milestone_number === 1;
+
+    // The fee is a share of what was paid, so earlier partial refunds come
+    // out of the client's part and never out of the retained fee
+    let refundable = Math.max(paid * (1 - feeRate) - refunded, 0);
+    let note = feeRate > 0 ? `${terms.cancellation_fee_percentage}% cancellation fee retained` : null;
+
+    if (delivered) {
+      refundable = 0;
+      note = 'Work already delivered and approved';
+    } else if (clientCancelled && isDeposit && !terms.deposit_refundable) {
+      refundable = 0;
+      note = 'Deposit is non-refundable under the artist\'s terms';
+    }
+
+    return {
+      transaction_id: transaction.id,
+      transaction_type: transaction.transaction_type,
+      milestone_id: milestone?.id || null,
+      description: transaction.description,
+      paid,
+      refunded,
+      refundable: roundCents(Math.min(refundable, remaining)),
+      note,
+    };
+  });
+
+  const totalPaid = items.reduce((sum, item) => sum + item.paid, 0);
+  const alreadyRefunded = items.reduce((sum, item) => sum + item.refunded, 0);
+  const refundable = items.reduce((sum, item) => sum + item.refundable, 0);
+
+  return {
+    terms,
+    initiated_by: initiatedBy,
+    total_paid: roundCents(totalPaid),
+    already_refunded: roundCents(alreadyRefunded),
+    refundable: roundCents(refundable),
+    retained: roundCents(totalPaid - alreadyRefunded - refundable),
+    items,
+  };
+}
+
+/**
+ * Spread an explicit amount over the commission's payments, newest first.
+ */
+async function allocateRefund(commissionId, amount) {
+  const payments = await getRefundablePayments(commissionId);
+  const available = payments.reduce((sum, p) => sum + p.remaining, 0);
+
+  if (amount > available + 0.001) {
+    throw new AppError(`Refund amount exceeds the $${available.toFixed(2)} still refundable`, 400);
+  }
+
+  let left = amount;
+  const items = [];
+  for (const payment of payments) {
+    if (left <= 0) break;
+    const portion = roundCents(Math.min(payment.remaining, left));
+    if (portion <= 0) continue;
+    items.push({ transaction_id: payment.transaction.id, refundable: portion });
+    left = roundCents(left - portion);
+  }
+  return items;
+}
+
+// ----------------------------------------------------------------------------
+// Providers
+// ----------------------------------------------------------------------------
+
+async function refundViaPaypal(transaction, amount, refundId) {
+  if (!transaction.paypal_capture_id) {
+    throw new Error('Payment has no PayPal capture to refund');
+  }
+
+  const accessToken = await getPaypalAccessToken();
+  const response = await fetch(`${paypalApiBase()}/v2/payments/captures/${transaction.paypal_capture_id}/refund`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'PayPal-Request-Id': `refund-${refundId}`, // Makes retries of the same refund safe
+    },
+    body: JSON.stringify({
+      amount: { value: amount.toFixed(2), currency_code: 'USD' },
+      note_to_payer: 'Refund for your Verro commission',
+    }),
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body?.details?.[0]?.description || body?.message || `PayPal refund failed (${response.status})`);
+  }
+
+  return {
+    providerRefundId: body.id,
+    status: body.status === 'COMPLETED' ? 'succeeded' : body.status === 'PENDING' ? 'pending' : 'failed',
+  };
+}
+
+async function refundViaStripe(transaction, amount, refundId) {
+  const refund = await getStripe().refunds.create(
+    {
+      payment_intent: transaction.stripe_payment_intent_id,
+      amount: Math.round(amount * 100),
+      metadata: { refundTransactionId: refundId, commissionId: transaction.commission_id },
+    },
+    { idempotencyKey: `refund-${refundId}` }
+  );
+
+  return {
+    providerRefundId: refund.id,
+    status: refund.status === 'succeeded' ? 'succeeded' : ['failed', 'canceled'].includes(refund.status) ? 'failed' : 'pending',
+  };
+}
+
+/**
+ * Refund part of one captured payment through the provider that took it.
+ */
+async function refundPayment(original, amount, { actorId, reason }) {
+  const provider = original.stripe_payment_intent_id ? 'stripe' : 'paypal';
+
+  const { data: refund, error: insertError } = await supabaseAdmin
+    .from('payment_transactions')
+    .insert({
+      commission_id: original.commission_id,
+      transaction_type: 'refund',
+      amount: amount.toFixed(2),
+      status: 'pending',
+      payer_id: original.recipient_id,
+      recipient_id: original.payer_id,
+      platform_fee: 0,
+      artist_payout: 0,
+      refund_of_transaction_id: original.id,
+      refunded_by: actorId,
+      refund_reason: reason,
+      description: `Refund of ${original.description || 'payment'}`
+    })
+    .select()
+    .single();
+
+  if (insertError) throw insertError;
+
+  let result;
+  try {
+    result = provider === 'stripe'
+      ? await refundViaStripe(original, amount, refund.id)
+      : await refundViaPaypal(original, amount, refund.id);
+  } catch (providerError) {
+    console.error(`Error issuing ${provider} refund:`, providerError);
+    result = { providerRefundId: null, status: 'failed', error: providerError.message };
+  }
+
+  const { data: updated, error: updateError } = await supabaseAdmin
+    .from('payment_transactions')
+    .update({
+      status: result.status,
+      provider_refund_id: result.providerRefundId,
+      failure_reason: result.error || null,
+      processed_at: result.status === 'succeeded' ? new Date().toISOString() : null
+    })
+    .eq('id', refund.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  if (result.status === 'succeeded') {
+    await applyRefund(original, {
+      refundedTotal: parseFloat(original.refunded_amount || 0) + amount
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * Once no refunds are in flight, hand whatever the client isn't getting back
+ * to the artist and close out escrow. Applies to cancelled commissions and to
+ * any commission whose escrow is waiting on a refund (e.g. a resolved dispute).
+ */
+export async function settleEscrowAfterRefund(commissionId) {
+  const { data: commission, error } = await supabaseAdmin
+    .from('commissions')
+    .select('id, artist_id, status, escrow_status')
+    .eq('id', commissionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!commission) return;
+
+  const awaitingRefund = commission.escrow_status === 'refund_pending'
+    || (commission.status === 'cancelled' && commission.escrow_status === 'held');
+  if (!awaitingRefund) return;
+
+  const { count: pendingRefunds } = await supabaseAdmin
+    .from('payment_transactions')
+    .select('id', { count: 'exact', head: true })
+    .eq('commission_id', commissionId)
+    .eq('transaction_type', 'refund')
+    .eq('status', 'pending');
+
+  if (pendingRefunds > 0) return;
+  if (await getActiveDispute(commissionId)) return;
+
+  const released = await releaseCommissionFunds(commissionId);
+  await syncCommissionPaymentState(commissionId);
+
+  const { data: current } = await supabaseAdmin
+    .from('commissions')
+    .select('escrow_status')
+    .eq('id', commissionId)
+    .single();
+
+  if (current?.escrow_status !== 'refunded') {
+    await supabaseAdmin
+      .from('commissions')
+      .update({ escrow_status: 'released' })
+      .eq('id', commissionId);
+  }
+
+  if (released > 0) {
+    await queueArtistPayout(commission.artist_id);
+  }
+}
+
+/**
+ * Issue a refund on a commission.
+ *
+ * @param {object}  options
+ * @param {object}  options.commission   Commission row (id, artist_id, client_id, status)
+ * @param {string}  options.actorId      User issuing the refund (null for system)
+ * @param {string}  options.initiatedBy  Who cancelled: decides which terms apply
+ * @param {number}  [options.amount]     Explicit amount; defaults to what the cancellation terms allow
+ * @param {string}  [options.reason]
+ * @param {boolean} [options.allowDuringDispute=false] Moderators resolving a dispute
+ * @returns {Promise<{ refunds: object[], refunded: number, pending: number, failed: number }>}
+ */
+export async function issueRefund({
+  commission,
+  actorId = null,
+  initiatedBy = 'client',
+  amount = null,
+  reason = null,
+  allowDuringDispute = false,
+}) {
+  if (!allowDuringDispute && await getActiveDispute(commission.id)) {
+    throw new AppError('Refunds are frozen while a dispute is open for this commission', 409);
+  }
+
+  let items;
+  if (amount != null) {
+    const requested = roundCents(parseFloat(amount));
+    if (!requested || requested <= 0) {
+      throw new AppError('Refund amount must be greater than 0', 400);
+    }
+    items = await allocateRefund(commission.id, requested);
+  } else {
+    const quote = await calculateRefund(commission, { initiatedBy });
+    items = quote.items.filter(item => item.refundable > 0);
+  }
+
+  if (items.length === 0) {
+    throw new AppError('Nothing to refund for this commission', 400);
+  }
+
+  const { data: originals, error } = await supabaseAdmin
+    .from('payment_transactions')
+    .select('*')
+    .in('id', items.map(item => item.transaction_id));
+
+  if (error) throw error;
+
+  const refunds = [];
+  for (const item of items) {
+    const original = originals.find(tx => tx.id === item.transaction_id);
+    refunds.push(await refundPayment(original, item.refundable, { actorId, reason }));
+  }
+
+  const totalByStatus = status => roundCents(
+    refunds.filter(r => r.status === status).reduce((sum, r) => sum + parseFloat(r.amount), 0)
+  );
+
+  const result = {
+    refunds,
+    refunded: totalByStatus('succeeded'),
+    pending: totalByStatus('pending'),
+    failed: totalByStatus('failed'),
+  };
+
+  // A failed refund is retried before anything goes to the artist
+  if (result.failed === 0) {
+    await settleEscrowAfterRefund(commission.id);
+  }
+
+  return result;
+}
+
+export default {
+  getRefundTerms,
+  calculateRefund,
+  issueRefund,
+  settleEscrowAfterRefund,
+};
@@ -0,0 +1,238 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { queueNotification } from '../jobs/notifications.js';
+import { TAKEDOWN_TARGETS, recordModerationAction, restoreContent, takeDownContent } from './moderation.js';
+
+// ============================================================================
+// REPORTS
+// Users report other users and content. Each reporter can report a target
+// once; enough open reports hide the content until a moderator reviews it,
+// and every reporter hears the outcome.
+// ============================================================================
+
+export const REPORT_TARGET_TYPES = ['user', 'artwork', 'message', 'review', 'commission_request', 'board'];
+
+export const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'scam',
+  'stolen_artwork',
+  'impersonation',
+  'inappropriate_content',
+  'fake_review',
+  'other',
+];
+
+export const REPORT_OUTCOMES = ['action_taken', 'dismissed'];
+
+// Distinct open reports that hide a target pending review
+const AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 3;
+
+const OUTCOME_MESSAGES = {
+  action_taken: 'Thanks for your report. A moderator reviewed it and took action.',
+  dismissed: 'Thanks for your report. A moderator reviewed it and found no violation of our guidelines.',
+};
+
+/**
+ * Load the reported target and work out who owns it. Message reports are only
+ * accepted from participants of the conversation.
+ */
+async function getReportTarget(targetType, targetId, reporterId) {
+  if (targetType === 'user') {
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('id', targetId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return user ? { ownerId: user.id, removedAt: null } : null;
+  }
+
+  const target = TAKEDOWN_TARGETS[targetType];
+  const { data: row, error } = await supabaseAdmin
+    .from(target.table)
+    .select(`${target.columns}, removed_at`)
+    .eq('id', targetId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!row) return null;
+
+  if (targetType === 'message') {
+    const { data: participation } = await supabaseAdmin
+      .from('conversation_participants')
+      .select('id')
+      .eq('conversation_id', row.conversation_id)
+      .eq('user_id', reporterId)
+      .maybeSingle();
+
+    if (!participation) return null;
+  }
+
+  return { ownerId: target.owner(row), removedAt: row.removed_at };
+}
+
+async function getActiveTakedown(targetType, targetId) {
+  const { data, error } = await supabaseAdmin
+    .from('content_takedowns')
+    .select('*')
+    .eq('content_type', targetType)
+    .eq('content_id', targetId)
+    .is('restored_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * File a report. Returns the report and whether the target was hidden as a result.
+ */
+export async function createReport(reporter, { targetType, targetId, reason, details = null }) {
+  if (!REPORT_TARGET_TYPES.includes(targetType)) {
+    throw new AppError(`target_type must be one of: ${REPORT_TARGET_TYPES.join(', ')}`, 400);
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new AppError(`reason must be one of: ${REPORT_REASONS.join(', ')}`, 400);
+  }
+  if (!targetId) {
+    throw new AppError('target_id is required', 400);
+  }
+
+  const target = await getReportTarget(targetType, targetId, reporter.id);
+  if (!target) {
+    throw new AppError('Reported content not found', 404);
+  }
+  if (target.ownerId === reporter.id) {
+    throw new AppError('You cannot report yourself or your own content', 400);
+  }
+
+  const { data: report, error } = await supabaseAdmin
+    .from('reports')
+    .insert({
+      reporter_id: reporter.id,
+      target_type: targetType,
+      target_id: targetId,
+      target_owner_id: target.ownerId,
+      reason,
+      details: details ? String(details).slice(0, 2000) : null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new AppError('You have already reported this', 409);
+    }
+    throw error;
+  }
+
+  // Accounts are never hidden automatically; a moderator decides on suspensions
+  let autoHidden = false;
+  if (targetType !== 'user' && !target.removedAt) {
+    const { count, error: countError } = await supabaseAdmin
+      .from('reports')
+      .select('id', { count: 'exact', head: true })
+      .eq('target_type', targetType)
+      .eq('target_id', targetId)
+      .eq('status', 'open');
+
+    if (countError) throw countError;
+
+    if (count >= AUTO_HIDE_THRESHOLD) {
+      try {
+        await takeDownContent(null, {
+          contentType: targetType,
+          contentId: targetId,
+          reason: `Hidden automatically after ${count} reports`
+        });
+        autoHidden = true;
+      } catch (hideError) {
+        // A concurrent report may have hidden it already
+        if (hideError.status !== 409 && hideError.code !== '23505') throw hideError;
+      }
+    }
+  }
+
+  return { report, autoHidden };
+}
+
+/**
+ * Close every open report on a target. `action_taken` takes the content down
+ * if it isn't already; `dismissed` restores content that was hidden
+ * automatically. Reporters are notified either way.
+ */
+export async function resolveReports(actor, { targetType, targetId, outcome, notes = null }) {
+  if (!REPORT_OUTCOMES.includes(outcome)) {
+    throw new AppError(`outcome must be one of: ${REPORT_OUTCOMES.join(', ')}`, 400);
+  }
+
+  const { data: resolved, error } = await supabaseAdmin
+    .from('reports')
+    .update({
+      status: outcome,
+      resolved_by: actor.id,
+      resolved_at: new Date().toISOString(),
+      resolution_notes: notes
+    })
+    .eq('target_type', targetType)
+    .eq('target_id', targetId)
+    .eq('status', 'open')
+    .select('id, reporter_id, reason');
+
+  if (error) throw error;
+  if (!resolved || resolved.length === 0) {
+    throw new AppError('No open reports for this target', 404);
+  }
+
+  let takedown = null;
+  if (targetType !== 'user') {
+    const active = await getActiveTakedown(targetType, targetId);
+
+    if (outcome === 'action_taken' && !active) {
+      takedown = await takeDownContent(actor, {
+        contentType: targetType,
+        contentId: targetId,
+        reason: notes || `Removed after review of ${resolved.length} report(s)`
+      });
+    } else if (outcome === 'dismissed' && active && !active.removed_by) {
+      takedown = await restoreContent(actor, active.id, { reason: notes || 'Reports dismissed' });
+    } else {
+      takedown = active;
+    }
+  }
+
+  await recordModerationAction(actor, {
+    action: outcome === 'action_taken' ? 'reports_actioned' : 'reports_dismissed',
+    targetType,
+    targetId,
+    reason: notes,
+    metadata: {
+      report_ids: resolved.map(r => r.id),
+      reasons: [...new Set(resolved.map(r => r.reason))],
+      takedown_id: takedown?.id || null
+    }
+  });
+
+  await Promise.all(resolved.map(report =>
+    queueNotification(report.reporter_id, {
+      type: 'report_resolved',
+      title: 'Report Reviewed',
+      message: OUTCOME_MESSAGES[outcome],
+      action: { type: 'view_report', id: report.id },
+      priority: 'normal',
+    }).catch(err => console.error('Error notifying reporter:', err))
+  ));
+
+  return { resolved: resolved.length, takedown };
+}
+
+export default {
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  REPORT_OUTCOMES,
+  createReport,
+  resolveReports,
+};
@@ -0,0 +1,309 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { MessageRepo } from '../repositories/index.js';
+
+// ============================================================================
+// RICH MESSAGES
+// What participants can do with messages besides sending text and images:
+// reply to (and quote) an earlier message, edit their own text messages for
+// MESSAGE_EDIT_WINDOW_MINUTES with every earlier version kept in
+// message_edits, react with emoji, and send files and voice notes.
+//
+// Attachments are uploaded through the API, checked against the type and
+// size limits below and stored in the message-attachments bucket. The
+// message keeps their public URL and what was checked in `metadata`:
+// { url, path, name, mime_type, size } plus duration_ms for voice notes.
+//
+// Other message types (commission_request, progress_update, quote) are
+// posted by the server, never by clients.
+// ============================================================================
+
+export const SENDABLE_MESSAGE_TYPES = ['text', 'image'];
+export const ATTACHMENT_MESSAGE_TYPES = ['file', 'voice'];
+
+export const ATTACHMENT_BUCKET = 'message-attachments';
+
+const MB = 1024 * 1024;
+
+export const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+
+export const ATTACHMENT_LIMITS = {
+  file: { maxBytes: (parseInt(process.env.MESSAGE_FILE_MAX_MB) || 50) * MB },
+  voice: {
+    maxBytes: (parseInt(process.env.VOICE_NOTE_MAX_MB) || 10) * MB,
+    maxDurationSeconds: parseInt(process.env.VOICE_NOTE_MAX_SECONDS) || 300,
+  },
+};
+
+// Accepted extensions with the MIME types devices report for them. Pickers
+// fall back to a generic type for formats they don't know (PSD, CLIP), so
+// that is accepted for any listed extension. Nothing a browser would run
+// when opening the public URL (HTML, SVG) is accepted.
+const FILE_TYPES = {
+  pdf: ['application/pdf'],
+  zip: ['application/zip', 'application/x-zip-compressed'],
+  psd: ['image/vnd.adobe.photoshop', 'application/x-photoshop', 'application/photoshop'],
+  ai: ['application/postscript', 'application/illustrator'],
+  clip: [],
+  procreate: ['application/zip'],
+  kra: ['application/x-krita'],
+  tif: ['image/tiff'],
+  tiff: ['image/tiff'],
+  png: ['image/png'],
+  jpg: ['image/jpeg'],
+  jpeg: ['image/jpeg'],
+  txt: ['text/plain'],
+};
+
+const VOICE_TYPES = {
+  m4a: ['audio/mp4', 'audio/x-m4a', 'audio/m4a', 'audio/aac'],
+  aac: ['audio/aac'],
+  mp3: ['audio/mpeg'],
+  ogg: ['audio/ogg'],
+  webm: ['audio/webm'],
+  wav: ['audio/wav', 'audio/x-wav'],
+};
+
+const GENERIC_MIME_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+
+const MAX_FILE_NAME_LENGTH = 200;
+const PREVIEW_LENGTH = 100;
+
+// One emoji, with any skin tone, variation selectors and ZWJ sequences
+const EMOJI_PATTERN = /^(\p{Extended_Pictographic}|\p{Regional_Indicator}{2})(\p{Emoji_Modifier}|️|⃣|‍(\p{Extended_Pictographic}|\p{Emoji_Modifier}|️))*$/u;
+const MAX_EMOJI_LENGTH = 32;
+
+const formatSize = (bytes) => `${Math.round(bytes / MB)} MB`;
+
+/**
+ * One-line summary of a message, for notifications, conversation lists
+ * and reply quotes.
+ */
+export function messagePreview(message) {
+  switch (message.message_type) {
+    case 'image':
+      return 'Sent an image';
+    case 'file':
+      return `Sent a file: ${message.metadata?.name || 'attachment'}`;
+    case 'voice':
+      return 'Sent a voice note';
+    default: {
+      const content = message.content || '';
+      return content.substring(0, PREVIEW_LENGTH) + (content.length > PREVIEW_LENGTH ? '...' : '');
+    }
+  }
+}
+
+/**
+ * Check that `replyToId` is a visible message in the conversation.
+ * Returns the id, or null when there is nothing to reply to.
+ */
+export async function validateReplyTarget(conversationId, replyToId) {
+  if (replyToId === undefined || replyToId === null || replyToId === '') return null;
+
+  const target = await MessageRepo.findById(replyToId, 'id, conversation_id, removed_at');
+  if (!target || target.conversation_id !== conversationId || target.removed_at) {
+    throw new AppError('The message being replied to is not in this conversation', 400);
+  }
+  return target.id;
+}
+
+/**
+ * Check an uploaded file (as multer hands it over) against the limits of
+ * `messageType`. Returns the attachment metadata to keep on the message.
+ */
+export function validateAttachment(messageType, file, { durationMs } = {}) {
+  if (!ATTACHMENT_MESSAGE_TYPES.includes(messageType)) {
+    throw new AppError(`message_type must be one of ${ATTACHMENT_MESSAGE_TYPES.join(', ')}`, 400);
+  }
+  if (!file) throw new AppError('No file uploaded', 400);
+
+  const limits = ATTACHMENT_LIMITS[messageType];
+  const types = messageType === 'voice' ? VOICE_TYPES : FILE_TYPES;
+
+  const name = (file.originalname || '').trim();
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  if (!name || name.length > MAX_FILE_NAME_LENGTH) {
+    throw new AppError(`File name must be between 1 and ${MAX_FILE_NAME_LENGTH} characters`, 400);
+  }
+  if (!types[extension]) {
+    throw new AppError(`Unsupported file type. Allowed: ${Object.keys(types).join(', ')}`, 400);
+  }
+  if (!types[extension].includes(file.mimetype) && !GENERIC_MIME_TYPES.includes(file.mimetype)) {
+    throw new AppError(`${file.mimetype} does not match a .${extension} file`, 400);
+  }
+
+  if (file.size === 0) throw new AppError('File is empty', 400);
+  if (file.size > limits.maxBytes) {
+    throw new AppError(`File is larger than ${formatSize(limits.maxBytes)}`, 413);
+  }
+
+  const metadata = { name, mime_type: file.mimetype, size: file.size };
+
+  if (messageType === 'voice') {
+    const duration = Number(durationMs);
+    if (!Number.isInteger(duration) || duration <= 0) {
+      throw new AppError('duration_ms is required for voice notes', 400);
+    }
+    if (duration > limits.maxDurationSeconds * 1000) {
+      throw new AppError(`Voice notes can be at most ${limits.maxDurationSeconds} seconds`, 400);
+    }
+    metadata.duration_ms = duration;
+  }
+
+  return metadata;
+}
+
+/**
+ * Upload a validated attachment. Returns its { url, path }.
+ */
+export async function storeAttachment(conversationId, file) {
+  const extension = file.originalname.split('.').pop().toLowerCase();
+  const randomString = Math.random().toString(36).substring(7);
+  const path = `${conversationId}/${Date.now()}-${randomString}.${extension}`;
+
+  const { error } = await supabaseAdmin.storage
+    .from(ATTACHMENT_BUCKET)
+    .upload(path, file.buffer, { contentType: file.mimetype, upsert: false });
+  if (error) throw new AppError(`Failed to store attachment: ${error.message}`, 500);
+
+  const { data } = supabaseAdmin.storage.from(ATTACHMENT_BUCKET).getPublicUrl(path);
+  return { url: data.publicUrl, path };
+}
+
+/**
+ * Delete a message's stored attachment, if it has one. Best effort: the
+ * message is gone either way.
+ */
+export async function removeAttachment(message) {
+  if (!ATTACHMENT_MESSAGE_TYPES.includes(message.message_type) || !message.metadata?.path) return;
+
+  const { error } = await supabaseAdmin.storage.from(ATTACHMENT_BUCKET).remove([message.metadata.path]);
+  if (error) console.error('Error removing message attachment:', error);
+}
+
+/**
+ * Delete every stored attachment in a conversation that is about to be
+ * deleted. Unlike removeAttachment() a failure stops the deletion, since
+ * nothing would point at the files afterwards.
+ */
+export async function removeConversationAttachments(conversationId) {
+  const { data, error } = await supabaseAdmin
+    .from('messages')
+    .select('message_type, metadata')
+    .eq('conversation_id', conversationId)
+    .in('message_type', ATTACHMENT_MESSAGE_TYPES);
+
+  if (error) throw error;
+
+  const paths = (data || []).map(message => message.metadata?.path).filter(Boolean);
+  if (paths.length === 0) return;
+
+  const { error: removeError } = await supabaseAdmin.storage.from(ATTACHMENT_BUCKET).remove(paths);
+  if (removeError) throw removeError;
+}
+
+/**
+ * Change the text of `messageId`, keeping what it said before. Only the
+ * sender can edit, only text messages, and only within the edit window.
+ */
+export async function editMessage(messageId, userId, content, { now = new Date() } = {}) {
+  const text = typeof content === 'string' ? content.trim() : '';
+  if (!text) throw new AppError('content is required', 400);
+
+  const message = await MessageRepo.findById(messageId);
+  if (!message || message.removed_at) throw new AppError('Message not found', 404);
+  if (message.sender_id !== userId) throw new AppError('Cannot edit another user\'s message', 403);
+  if (message.message_type !== 'text') throw new AppError('Only text messages can be edited', 400);
+
+  const deadline = new Date(message.created_at).getTime() + MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000;
+  if (now.getTime() > deadline) {
+    throw new AppError(`Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending`, 400);
+  }
+  if (text === message.content) return message;
+
+  const editedAt = now.toISOString();
+  await MessageRepo.recordEdit(message.id, message.content, editedAt);
+  return MessageRepo.update(message.id, { content: text, edited_at: editedAt });
+}
+
+/**
+ * The emoji as stored, or a 400 if it isn't exactly one emoji.
+ */
+export function validateEmoji(emoji) {
+  const value = typeof emoji === 'string' ? emoji.trim() : '';
+  if (!value || value.length > MAX_EMOJI_LENGTH || !EMOJI_PATTERN.test(value)) {
+    throw new AppError('emoji must be a single emoji', 400);
+  }
+  return value;
+}
+
+/**
+ * Reactions grouped by emoji, in the order each was first used:
+ * [{ emoji, count, user_ids }].
+ */
+export function summarizeReactions(reactions) {
+  const byEmoji = new Map();
+  for (const reaction of reactions) {
+    if (!byEmoji.has(reaction.emoji)) byEmoji.set(reaction.emoji, []);
+    byEmoji.get(reaction.emoji).push(reaction.user_id);
+  }
+  return [...byEmoji].map(([emoji, userIds]) => ({ emoji, count: userIds.length, user_ids: userIds }));
+}
+
+export async function reactionsFor(messageId) {
+  return summarizeReactions(await MessageRepo.listReactions([messageId]));
+}
+
+/**
+ * Add `reply_to` (a quote of the message replied to, or null once it is
+ * gone) and `reactions` to messages as the API returns them.
+ */
+export async function withRichContent(messages) {
+  if (messages.length === 0) return messages;
+
+  const replyIds = messages.map(message => message.reply_to_id).filter(Boolean);
+  const targets = new Map(
+    (await MessageRepo.findManyByIds(replyIds, 'id, sender_id, message_type, content, image_url, metadata, removed_at'))
+      .filter(target => !target.removed_at)
+      .map(target => [target.id, target])
+  );
+
+  const reactions = await MessageRepo.listReactions(messages.map(message => message.id));
+
+  return messages.map(message => {
+    const target = message.reply_to_id && targets.get(message.reply_to_id);
+    return {
+      ...message,
+      reply_to: target
+        ? {
+          id: target.id,
+          sender_id: target.sender_id,
+          message_type: target.message_type,
+          preview: messagePreview(target),
+          image_url: target.image_url,
+        }
+        : null,
+      reactions: summarizeReactions(reactions.filter(reaction => reaction.message_id === message.id)),
+    };
+  });
+}
+
+export default {
+  SENDABLE_MESSAGE_TYPES,
+  ATTACHMENT_MESSAGE_TYPES,
+  ATTACHMENT_BUCKET,
+  ATTACHMENT_LIMITS,
+  MESSAGE_EDIT_WINDOW_MINUTES,
+  messagePreview,
+  validateReplyTarget,
+  validateAttachment,
+  storeAttachment,
+  removeAttachment,
+  removeConversationAttachments,
+  editMessage,
+  validateEmoji,
+  summarizeReactions,
+  reactionsFor,
+  withRichContent,
+};
@@ -0,0 +1,532 @@
+import { randomInt } from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { ArtistRepo, UserRepo } from '../repositories/index.js';
+// Shared client from cache.js (a live binding, so an injected client is picked up)
+import redis from './cache.js';
+import { closeWindow } from './artistSettings.js';
+import { createCommissionRequest } from './commissionIntake.js';
+import { queueNotification, queuePush } from '../jobs/notifications.js';
+
+// ============================================================================
+// SLOT DROPS
+// A drop is a scheduled window (artist_commission_windows) whose slots are
+// handed out by its `allocation`:
+//
+//   first_come  requests made while the drop is open take the slots in order
+//   lottery     clients register before opens_at and winners are drawn
+//               when it opens
+//
+// Every slot is claimed through Redis. SADD on drop:<id>:claimants lets a
+// client in once, INCR on drop:<id>:claims numbers their claim, and only
+// claims numbered within `slots` get one. Both are single atomic commands,
+// so concurrent requests can never take more slots than the drop has,
+// however many arrive between a count and an insert. A claim that misses
+// out gives its number back straight away, and one whose request then
+// fails is released, so the counter only ever holds slots actually taken.
+//
+// Clients register interest (commission_drop_registrations) with the
+// request they want to make. Registrants hear when a first-come drop opens;
+// a lottery turns winning registrations into requests. When a drop ends,
+// everyone who registered or requested and missed out is put on the
+// artist's waitlist and told so.
+// ============================================================================
+
+export const DROP_ALLOCATIONS = ['first_come', 'lottery'];
+export const REGISTRATION_STATUSES = ['registered', 'won', 'lost', 'withdrawn'];
+
+// Claim keys outlive any drop; they only need to stop late double claims
+const CLAIM_TTL = 7 * 24 * 60 * 60;
+const MAX_DETAILS_LENGTH = 5000;
+
+const claimKeys = (windowId) => ({
+  claimants: `drop:${windowId}:claimants`,
+  claims: `drop:${windowId}:claims`,
+});
+
+export const isDrop = (window) => DROP_ALLOCATIONS.includes(window?.allocation);
+
+async function getDrop(windowId) {
+  const { data, error } = await supabaseAdmin
+    .from('artist_commission_windows')
+    .select('*')
+    .eq('id', windowId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!isDrop(data)) throw new AppError('Drop not found', 404);
+  return data;
+}
+
+/**
+ * The artist's drop that is open right now, if any.
+ */
+export async function getOpenDrop(artistId) {
+  const { data, error } = await supabaseAdmin
+    .from('artist_commission_windows')
+    .select('*')
+    .eq('artist_id', artistId)
+    .eq('status', 'open')
+    .in('allocation', DROP_ALLOCATIONS)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// ----------------------------------------------------------------------------
+// Claims
+// ----------------------------------------------------------------------------
+
+/**
+ * Try to take one of the drop's slots for a client. Returns
+ * { claimed, number, last } where `last` is true for the claim that took
+ * the final slot, or { claimed: false, duplicate: true } if the client has
+ * already claimed in this drop.
+ */
+export async function claimSlot(window, clientId) {
+  const keys = claimKeys(window.id);
+
+  const added = await redis.sadd(keys.claimants, clientId);
+  await redis.expire(keys.claimants, CLAIM_TTL);
+  if (!added) return { claimed: false, duplicate: true };
+
+  const number = await redis.incr(keys.claims);
+  await redis.expire(keys.claims, CLAIM_TTL);
+
+  if (number > window.slots) {
+    await redis.decr(keys.claims);
+    return { claimed: false, number, last: false };
+  }
+
+  return { claimed: true, number, last: number === window.slots };
+}
+
+/**
+ * Undo a claim whose request could not be created: the client may claim
+ * again and a claimed slot goes back to the drop.
+ */
+export async function releaseSlot(window, clientId, claim) {
+  const keys = claimKeys(window.id);
+
+  await redis.srem(keys.claimants, clientId);
+  if (claim.claimed) await redis.decr(keys.claims);
+}
+
+/**
+ * Slots the drop has left.
+ */
+export async function remainingSlots(window) {
+  if (window.status === 'scheduled') return window.slots;
+  if (window.status !== 'open') return 0;
+
+  const claims = parseInt(await redis.get(claimKeys(window.id).claims) || '0', 10);
+  return Math.max(0, window.slots - claims);
+}
+
+// ----------------------------------------------------------------------------
+// Registration
+// ----------------------------------------------------------------------------
+
+async function findRegistration(windowId, clientId) {
+  const { data, error } = await supabaseAdmin
+    .from('commission_drop_registrations')
+    .select('*')
+    .eq('window_id', windowId)
+    .eq('client_id', clientId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Register a client's interest in a drop that has not opened yet, with the
+ * request to make if they get a slot.
+ */
+export async function registerForDrop(windowId, clientId, { details, clientNote = null, budget = null } = {}) {
+  const drop = await getDrop(windowId);
+  if (drop.status !== 'scheduled') throw new AppError('Registration for this drop has closed', 409);
+  if (drop.artist_id === clientId) throw new AppError('You cannot register for your own drop', 400);
+  if (await ArtistRepo.isArtist(clientId)) {
+    throw new AppError('Artists cannot request commissions from other artists', 403);
+  }
+
+  if (typeof details !== 'string' || !details.trim()) throw new AppError('details are required', 400);
+  if (details.length > MAX_DETAILS_LENGTH) {
+    throw new AppError(`details must be at most ${MAX_DETAILS_LENGTH} characters`, 400);
+  }
+
+  const values = {
+    details: details.trim(),
+    client_note: clientNote || null,
+    budget: budget || null,
+    status: 'registered',
+    updated_at: new Date().toISOString(),
+  };
+
+  const existing = await findRegistration(windowId, clientId);
+  if (existing?.status === 'registered') throw new AppError('You are already registered for this drop', 409);
+
+  const { data, error } = existing
+    ? await supabaseAdmin
+      .from('commission_drop_registrations')
+      .update(values)
+      .eq('id', existing.id)
+      .select()
+      .single()
+    : await supabaseAdmin
+      .from('commission_drop_registrations')
+      .insert({ window_id: windowId, artist_id: drop.artist_id, client_id: clientId, ...values })
+      .select()
+      .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Withdraw a registration before the drop opens.
+ */
+export async function withdrawRegistration(windowId, clientId) {
+  const drop = await getDrop(windowId);
+  if (drop.status !== 'scheduled') throw new AppError('This drop has already opened', 409);
+
+  const { data, error } = await supabaseAdmin
+    .from('commission_drop_registrations')
+    .update({ status: 'withdrawn', updated_at: new Date().toISOString() })
+    .eq('window_id', windowId)
+    .eq('client_id', clientId)
+    .eq('status', 'registered')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new AppError('You are not registered for this drop', 404);
+  return data;
+}
+
+async function countRegistrations(windowIds) {
+  if (windowIds.length === 0) return new Map();
+
+  const { data, error } = await supabaseAdmin
+    .from('commission_drop_registrations')
+    .select('window_id, client_id')
+    .in('window_id', windowIds)
+    .eq('status', 'registered');
+
+  if (error) throw error;
+
+  const counts = new Map(windowIds.map(id => [id, { count: 0, clients: new Set() }]));
+  for (const row of data || []) {
+    const entry = counts.get(row.window_id);
+    entry.count++;
+    entry.clients.add(row.client_id);
+  }
+  return counts;
+}
+
+/**
+ * The artist's upcoming and open drops, with how many clients registered
+ * and, given a viewer, whether they did.
+ */
+export async function listDrops(artistId, { viewerId = null } = {}) {
+  const { data, error } = await supabaseAdmin
+    .from('artist_commission_windows')
+    .select('id, artist_id, opens_at, closes_at, slots, allocation, status')
+    .eq('artist_id', artistId)
+    .in('allocation', DROP_ALLOCATIONS)
+    .in('status', ['scheduled', 'open'])
+    .order('opens_at', { ascending: true });
+
+  if (error) throw error;
+
+  const drops = data || [];
+  const counts = await countRegistrations(drops.map(d => d.id));
+
+  return Promise.all(drops.map(async drop => ({
+    ...drop,
+    slots_remaining: await remainingSlots(drop),
+    registration_count: counts.get(drop.id).count,
+    registered: viewerId ? counts.get(drop.id).clients.has(viewerId) : false,
+  })));
+}
+
+/**
+ * Everyone who registered for one of the artist's drops, oldest first.
+ */
+export async function listRegistrations(artistId, windowId) {
+  const drop = await getDrop(windowId);
+  if (drop.artist_id !== artistId) throw new AppError('Drop not found', 404);
+
+  const { data, error } = await supabaseAdmin
+    .from('commission_drop_registrations')
+    .select('id, client_id, details, client_note, budget, status, commission_id, created_at')
+    .eq('window_id', windowId)
+    .neq('status', 'withdrawn')
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  const clients = await UserRepo.mapByIds((data || []).map(r => r.client_id));
+  return (data || []).map(r => ({ ...r, client: clients.get(r.client_id) || null }));
+}
+
+// ----------------------------------------------------------------------------
+// Outcomes
+// ----------------------------------------------------------------------------
+
+async function artistName(artistId) {
+  const artist = await UserRepo.findById(artistId, 'username');
+  return artist?.username || 'The artist';
+}
+
+async function notifyOutcome(clientId, drop, { won, commissionId }) {
+  const name = await artistName(drop.artist_id);
+  const type = won ? 'drop_won' : 'drop_lost';
+  const message = won
+    ? `You got a slot in ${name}'s commission drop! Your request has been sent.`
+    : `${name}'s commission drop is full. You've been added to their waitlist.`;
+
+  await queueNotification(clientId, {
+    type,
+    title: won ? 'You Got a Slot! 🎉' : 'Drop Slots Taken',
+    message,
+    action: { type: 'view_commission', id: commissionId },
+    priority: won ? 'high' : 'normal',
+    actorId: drop.artist_id,
+  });
+  await queuePush(clientId, {
+    title: won ? 'You got a slot' : 'Drop slots taken',
+    body: message,
+    data: { type: 'commission', commissionId },
+    actorId: drop.artist_id,
+    notificationType: type,
+  });
+}
+
+// Move a registration on from 'registered'; false if something else did first
+async function resolveRegistration(registration, status, commissionId = null) {
+  const { data, error } = await supabaseAdmin
+    .from('commission_drop_registrations')
+    .update({ status, commission_id: commissionId, updated_at: new Date().toISOString() })
+    .eq('id', registration.id)
+    .eq('status', 'registered')
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data;
+}
+
+// Undo resolveRegistration() when the request could not be sent, so the
+// registration is settled again later rather than left without one
+async function reopenRegistration(registration, status) {
+  const { error } = await supabaseAdmin
+    .from('commission_drop_registrations')
+    .update({ status: 'registered', commission_id: null, updated_at: new Date().toISOString() })
+    .eq('id', registration.id)
+    .eq('status', status);
+
+  if (error) throw error;
+}
+
+// Send the registration's request and link it; null if the client is gone
+async function requestFromRegistration(registration, drop, { waitlisted }) {
+  const client = await UserRepo.findById(registration.client_id, 'id, username');
+  if (!client) return null;
+
+  const { commission } = await createCommissionRequest({
+    client,
+    artistId: drop.artist_id,
+    details: registration.details,
+    clientNote: registration.client_note,
+    budget: registration.budget,
+    waitlisted,
+  });
+
+  const { error } = await supabaseAdmin
+    .from('commission_drop_registrations')
+    .update({ commission_id: commission.id })
+    .eq('id', registration.id);
+
+  if (error) throw error;
+  return commission;
+}
+
+/**
+ * Record the outcome of a request made during a first-come drop: resolve
+ * the client's registration, tell a client who missed out, and end the
+ * drop once its last slot is taken.
+ */
+export async function recordDropRequest(drop, clientId, commission, claim) {
+  const registration = await findRegistration(drop.id, clientId);
+  if (registration?.status === 'registered') {
+    await resolveRegistration(registration, claim.claimed ? 'won' : 'lost', commission.id);
+  }
+
+  if (!claim.claimed) await notifyOutcome(clientId, drop, { won: false, commissionId: commission.id });
+  if (claim.last) await endDrop(drop);
+}
+
+/**
+ * Put everyone still registered for an ended drop on the waitlist. A request
+ * that fails leaves its registration for the next settle and, once the rest
+ * are done, fails the settle so the job running it is retried.
+ */
+export async function settleDrop(drop) {
+  const { data: registrations, error } = await supabaseAdmin
+    .from('commission_drop_registrations')
+    .select('*')
+    .eq('window_id', drop.id)
+    .eq('status', 'registered')
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  let failure = null;
+  for (const registration of registrations || []) {
+    // Resolving first means two settles never send the same request twice
+    if (!(await resolveRegistration(registration, 'lost'))) continue;
+
+    let commission;
+    try {
+      commission = await requestFromRegistration(registration, drop, { waitlisted: true });
+    } catch (error) {
+      console.error(`Error settling drop registration ${registration.id}:`, error);
+      await reopenRegistration(registration, 'lost');
+      failure = failure || error;
+      continue;
+    }
+
+    if (commission) await notifyOutcome(registration.client_id, drop, { won: false, commissionId: commission.id });
+  }
+
+  if (failure) throw failure;
+}
+
+/**
+ * Close a drop and settle its registrations.
+ */
+export async function endDrop(drop, { message = 'Every slot in your commission drop has been claimed' } = {}) {
+  await closeWindow(drop, { message });
+  await settleDrop(drop);
+}
+
+async function notifyDropOpen(drop) {
+  const { data: registrations, error } = await supabaseAdmin
+    .from('commission_drop_registrations')
+    .select('client_id')
+    .eq('window_id', drop.id)
+    .eq('status', 'registered');
+
+  if (error) throw error;
+  if (!registrations || registrations.length === 0) return;
+
+  const name = await artistName(drop.artist_id);
+  const clientIds = registrations.map(r => r.client_id);
+
+  for (const clientId of clientIds) {
+    await queueNotification(clientId, {
+      type: 'drop_open',
+      title: 'Commission Drop Is Live! 🎨',
+      message: `${name}'s drop is open with ${drop.slots} slot${drop.slots === 1 ? '' : 's'}. Request now to claim one.`,
+      action: { type: 'view_artist', id: drop.artist_id },
+      priority: 'high',
+      actorId: drop.artist_id,
+    });
+  }
+
+  await queuePush(clientIds, {
+    title: 'Commission drop is live',
+    body: `${name}'s drop is open. Request now to claim a slot.`,
+    data: { type: 'artist', artistId: drop.artist_id },
+    actorId: drop.artist_id,
+    notificationType: 'drop_open',
+  });
+}
+
+/**
+ * Draw a lottery drop's winners from its registrations, in random order.
+ * Winners' requests are sent; the rest are settled onto the waitlist when
+ * the drop closes. A winner whose request fails gives the slot back and the
+ * draw carries on, so the drop is always closed and settled.
+ */
+export async function drawLottery(drop) {
+  const { data, error } = await supabaseAdmin
+    .from('commission_drop_registrations')
+    .select('*')
+    .eq('window_id', drop.id)
+    .eq('status', 'registered');
+
+  if (error) throw error;
+
+  // Fisher-Yates with a CSPRNG
+  const entrants = [...(data || [])];
+  for (let i = entrants.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [entrants[i], entrants[j]] = [entrants[j], entrants[i]];
+  }
+
+  let winners = 0;
+  for (const registration of entrants) {
+    const claim = await claimSlot(drop, registration.client_id);
+    if (claim.duplicate) continue;
+    if (!claim.claimed) break;
+
+    let commission = null;
+    try {
+      if (await resolveRegistration(registration, 'won')) {
+        try {
+          commission = await requestFromRegistration(registration, drop, { waitlisted: false });
+        } catch (error) {
+          await reopenRegistration(registration, 'won');
+          throw error;
+        }
+      }
+    } catch (error) {
+      console.error(`Error drawing drop registration ${registration.id}:`, error);
+    }
+
+    if (!commission) {
+      await releaseSlot(drop, registration.client_id, claim);
+      continue;
+    }
+
+    winners++;
+    await notifyOutcome(registration.client_id, drop, { won: true, commissionId: commission.id });
+  }
+
+  await endDrop(drop, {
+    message: `Your commission drop lottery was drawn: ${winners} client${winners === 1 ? '' : 's'} got a slot`,
+  });
+}
+
+/**
+ * Run a drop that has just opened: announce a first-come drop to its
+ * registrants, or draw a lottery.
+ */
+export async function openDrop(drop) {
+  if (drop.allocation === 'lottery') return drawLottery(drop);
+  return notifyDropOpen(drop);
+}
+
+export default {
+  DROP_ALLOCATIONS,
+  REGISTRATION_STATUSES,
+  isDrop,
+  getOpenDrop,
+  claimSlot,
+  releaseSlot,
+  remainingSlots,
+  registerForDrop,
+  withdrawRegistration,
+  listDrops,
+  listRegistrations,
+  recordDropRequest,
+  settleDrop,
+  endDrop,
+  drawLottery,
+  openDrop,
+};
@@ -0,0 +1,389 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { CommissionRepo, UserRepo } from '../repositories/index.js';
+import { getArtistSettings, lockSlots } from './artistSettings.js';
+import { transitionCommission } from './commissionStateMachine.js';
+import { queueNotification, queuePush } from '../jobs/notifications.js';
+
+// ============================================================================
+// WAITLIST
+// Requests made while an artist's slots are full wait as pending commissions
+// with queue_status 'waitlist', ordered by queue_position. When a slot frees
+// up the first entry is promoted: it holds the slot (queue_status
+// 'promoted') until the client confirms, which makes it an ordinary pending
+// request ('active'), or the hold runs out and the scheduler's
+// waitlist_hold_expiry rule cancels it and promotes the next entry.
+//
+// Promotion is automatic unless the artist turns auto_promote_waitlist off,
+// in which case they promote, reorder and skip entries from the queue
+// dashboard. Either way an entry is only promoted into a free slot, counted
+// under the artist's slot lock so a new request or another promotion can't
+// take the same slot.
+// Hold length is WAITLIST_HOLD_HOURS (default 48).
+// ============================================================================
+
+export const WAITLIST_STATUSES = {
+  WAITING: 'waitlist',
+  PROMOTED: 'promoted',
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  LEFT: 'left',
+};
+
+const DEFAULT_HOLD_HOURS = 48;
+
+function holdMs() {
+  const hours = parseFloat(process.env.WAITLIST_HOLD_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_HOLD_HOURS) * 60 * 60 * 1000;
+}
+
+const WAITLIST_COLUMNS = 'id, client_id, artist_id, status, details, client_note, budget, queue_status, queue_position, promoted_at, promotion_expires_at, created_at';
+
+/**
+ * Waiting and promoted entries for an artist in order. Waiting entries get
+ * a 1-based `position`; promoted entries hold a slot and have none.
+ */
+export async function getWaitlist(artistId) {
+  const { data, error } = await CommissionRepo
+    .query(WAITLIST_COLUMNS)
+    .eq('artist_id', artistId)
+    .eq('status', 'pending')
+    .in('queue_status', [WAITLIST_STATUSES.WAITING, WAITLIST_STATUSES.PROMOTED])
+    .order('queue_position', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  let position = 0;
+  return (data || []).map(entry => ({
+    ...entry,
+    position: entry.queue_status === WAITLIST_STATUSES.WAITING ? ++position : null,
+  }));
+}
+
+/**
+ * queue_position for a new entry at the end of the artist's waitlist.
+ */
+export async function nextWaitlistPosition(artistId) {
+  const { data, error } = await CommissionRepo
+    .query('queue_position')
+    .eq('artist_id', artistId)
+    .eq('status', 'pending')
+    .in('queue_status', [WAITLIST_STATUSES.WAITING, WAITLIST_STATUSES.PROMOTED])
+    .order('queue_position', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return (data?.queue_position || 0) + 1;
+}
+
+/**
+ * The client's waitlist entries across artists, with their position.
+ */
+export async function getClientWaitlist(clientId) {
+  const { data, error } = await CommissionRepo
+    .query('artist_id')
+    .eq('client_id', clientId)
+    .eq('status', 'pending')
+    .in('queue_status', [WAITLIST_STATUSES.WAITING, WAITLIST_STATUSES.PROMOTED]);
+
+  if (error) throw error;
+
+  const artistIds = [...new Set((data || []).map(c => c.artist_id))];
+  const [waitlists, artists] = await Promise.all([
+    Promise.all(artistIds.map(getWaitlist)),
+    UserRepo.mapByIds(artistIds),
+  ]);
+
+  return waitlists
+    .flat()
+    .filter(entry => entry.client_id === clientId)
+    .map(entry => ({ ...entry, artist: artists.get(entry.artist_id) || null }));
+}
+
+async function getEntry(commissionId) {
+  const entry = await CommissionRepo.findById(commissionId);
+  if (!entry || entry.status !== 'pending' || ![WAITLIST_STATUSES.WAITING, WAITLIST_STATUSES.PROMOTED].includes(entry.queue_status)) {
+    throw new AppError('Waitlist entry not found', 404);
+  }
+  return entry;
+}
+
+// ----------------------------------------------------------------------------
+// Promotion
+// ----------------------------------------------------------------------------
+
+/**
+ * Give a waiting entry the next slot and ask the client to confirm.
+ * Returns the promoted entry, or null if it was no longer waiting.
+ */
+export async function promoteEntry(entry, { now = Date.now() } = {}) {
+  const expiresAt = new Date(now + holdMs()).toISOString();
+
+  const { data: promoted, error } = await supabaseAdmin
+    .from('commissions')
+    .update({
+      queue_status: WAITLIST_STATUSES.PROMOTED,
+      promoted_at: new Date(now).toISOString(),
+      promotion_expires_at: expiresAt,
+      updated_at: new Date(now).toISOString(),
+    })
+    .eq('id', entry.id)
+    .eq('status', 'pending')
+    .eq('queue_status', WAITLIST_STATUSES.WAITING)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!promoted) return null;
+
+  const artist = await UserRepo.findById(entry.artist_id, 'username');
+  const name = artist?.username || 'The artist';
+
+  await queueNotification(entry.client_id, {
+    type: 'waitlist_promoted',
+    title: 'A Slot Opened Up! 🎉',
+    message: `${name} has a slot for you. Confirm by ${new Date(expiresAt).toUTCString()} to keep it.`,
+    action: { type: 'view_commission', id: entry.id },
+    priority: 'high',
+    actorId: entry.artist_id,
+  });
+  await queuePush(entry.client_id, {
+    title: 'A slot opened up',
+    body: `${name} has a slot for you. Confirm to keep it.`,
+    data: { type: 'commission', commissionId: entry.id },
+    actorId: entry.artist_id,
+    notificationType: 'waitlist_promoted',
+  });
+
+  return promoted;
+}
+
+// Slots not taken by active commissions or promoted entries
+async function freeSlots(artistId, settings) {
+  return settings.max_queue_slots - await CommissionRepo.countActive(artistId);
+}
+
+/**
+ * Promote waiting entries into the artist's free slots, unless the artist
+ * has turned auto-promotion off. Returns the promoted entries.
+ */
+export async function promoteNext(artistId, { now = Date.now() } = {}) {
+  const settings = await getArtistSettings(artistId);
+  if (!settings.auto_promote_waitlist) return [];
+
+  const unlockSlots = await lockSlots(artistId);
+  try {
+    let free = await freeSlots(artistId, settings);
+    if (free <= 0) return [];
+
+    const promoted = [];
+    for (const entry of await getWaitlist(artistId)) {
+      if (free <= 0) break;
+      if (entry.queue_status !== WAITLIST_STATUSES.WAITING) continue;
+
+      const result = await promoteEntry(entry, { now });
+      if (result) {
+        promoted.push(result);
+        free--;
+      }
+    }
+
+    return promoted;
+  } finally {
+    await unlockSlots().catch(err => console.error('Error releasing slot lock:', err));
+  }
+}
+
+/**
+ * Client confirms a promotion: the entry becomes an ordinary pending request.
+ */
+export async function confirmPromotion(commissionId, clientId, { now = Date.now() } = {}) {
+  const entry = await getEntry(commissionId);
+  if (entry.client_id !== clientId) throw new AppError('Not your waitlist entry', 403);
+  if (entry.queue_status !== WAITLIST_STATUSES.PROMOTED) {
+    throw new AppError('You have not been offered a slot yet', 409);
+  }
+  if (new Date(entry.promotion_expires_at).getTime() <= now) {
+    await expireHold(entry);
+    throw new AppError('Your hold on this slot has expired', 409);
+  }
+
+  const { data: confirmed, error } = await supabaseAdmin
+    .from('commissions')
+    .update({
+      queue_status: WAITLIST_STATUSES.ACTIVE,
+      queue_position: null,
+      promotion_expires_at: null,
+      updated_at: new Date(now).toISOString(),
+    })
+    .eq('id', entry.id)
+    .eq('queue_status', WAITLIST_STATUSES.PROMOTED)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!confirmed) throw new AppError('Waitlist entry changed in the meantime, please refresh and try again', 409);
+
+  const client = await UserRepo.findById(clientId, 'username');
+  await queueNotification(entry.artist_id, {
+    type: 'waitlist_confirmed',
+    title: 'Waitlist Slot Confirmed',
+    message: `${client?.username || 'A client'} confirmed their slot from your waitlist`,
+    action: { type: 'view_commission', id: entry.id },
+    priority: 'normal',
+    actorId: clientId,
+  });
+
+  return confirmed;
+}
+
+/**
+ * Cancel a promoted entry whose hold ran out. Cancelling frees the slot,
+ * which promotes the next entry.
+ */
+export async function expireHold(entry) {
+  try {
+    await transitionCommission({
+      commission: entry,
+      requestedStatus: 'cancelled',
+      actorRole: 'system',
+      reason: 'Waitlist hold expired without confirmation',
+      updates: { queue_status: WAITLIST_STATUSES.EXPIRED },
+      metadata: { rule: 'waitlist_hold_expiry' },
+    });
+  } catch (error) {
+    // Confirmed or cancelled since it was read
+    if (error.status !== 409) throw error;
+  }
+}
+
+/**
+ * Client leaves the waitlist, withdrawing the request.
+ */
+export async function leaveWaitlist(commissionId, clientId) {
+  const entry = await getEntry(commissionId);
+  if (entry.client_id !== clientId) throw new AppError('Not your waitlist entry', 403);
+
+  const { commission } = await transitionCommission({
+    commission: entry,
+    requestedStatus: 'cancelled',
+    actorId: clientId,
+    actorRole: 'client',
+    reason: 'Left the waitlist',
+    updates: { queue_status: WAITLIST_STATUSES.LEFT },
+  });
+
+  return commission;
+}
+
+// ----------------------------------------------------------------------------
+// Artist controls
+// ----------------------------------------------------------------------------
+
+/**
+ * Put the artist's waiting entries in the given order. `commissionIds` must
+ * list every waiting entry exactly once.
+ */
+export async function reorderWaitlist(artistId, commissionIds) {
+  const entries = await getWaitlist(artistId);
+  const ids = new Set(entries.filter(e => e.queue_status === WAITLIST_STATUSES.WAITING).map(e => e.id));
+
+  if (!Array.isArray(commissionIds)
+    || commissionIds.length !== ids.size
+    || new Set(commissionIds).size !== ids.size
+    || commissionIds.some(id => !ids.has(id))) {
+    throw new AppError('commission_ids must list every waitlist entry once', 400);
+  }
+
+  // Promoted entries keep their place ahead of everyone waiting
+  const start = Math.max(0, ...entries
+    .filter(e => e.queue_status === WAITLIST_STATUSES.PROMOTED)
+    .map(e => e.queue_position || 0));
+
+  for (const [index, id] of commissionIds.entries()) {
+    const { error } = await supabaseAdmin
+      .from('commissions')
+      .update({ queue_position: start + index + 1 })
+      .eq('id', id)
+      .eq('artist_id', artistId);
+
+    if (error) throw error;
+  }
+
+  return getWaitlist(artistId);
+}
+
+async function getArtistEntry(artistId, commissionId) {
+  const entry = await getEntry(commissionId);
+  if (entry.artist_id !== artistId) throw new AppError('Waitlist entry not found', 404);
+  return entry;
+}
+
+/**
+ * Move an entry to the back of the waitlist. A promoted entry loses its
+ * hold and the slot goes to the next entry.
+ */
+export async function skipEntry(artistId, commissionId) {
+  const entry = await getArtistEntry(artistId, commissionId);
+  const position = await nextWaitlistPosition(artistId);
+
+  const { error } = await supabaseAdmin
+    .from('commissions')
+    .update({
+      queue_status: WAITLIST_STATUSES.WAITING,
+      queue_position: position,
+      promoted_at: null,
+      promotion_expires_at: null,
+    })
+    .eq('id', entry.id)
+    .eq('queue_status', entry.queue_status);
+
+  if (error) throw error;
+
+  if (entry.queue_status === WAITLIST_STATUSES.PROMOTED) {
+    await promoteNext(artistId);
+  }
+
+  return getWaitlist(artistId);
+}
+
+/**
+ * Promote a particular entry, ahead of its turn if need be. There has to be
+ * a free slot to offer.
+ */
+export async function promoteWaitlistEntry(artistId, commissionId) {
+  const entry = await getArtistEntry(artistId, commissionId);
+  if (entry.queue_status === WAITLIST_STATUSES.PROMOTED) {
+    throw new AppError('This client has already been offered a slot', 409);
+  }
+
+  const unlockSlots = await lockSlots(artistId);
+  try {
+    if (await freeSlots(artistId, await getArtistSettings(artistId)) <= 0) {
+      throw new AppError('All your slots are taken; finish or cancel a commission before offering one', 409);
+    }
+
+    const promoted = await promoteEntry(entry);
+    if (!promoted) throw new AppError('Waitlist entry changed in the meantime, please refresh and try again', 409);
+    return promoted;
+  } finally {
+    await unlockSlots().catch(err => console.error('Error releasing slot lock:', err));
+  }
+}
+
+export default {
+  WAITLIST_STATUSES,
+  getWaitlist,
+  nextWaitlistPosition,
+  getClientWaitlist,
+  promoteEntry,
+  promoteNext,
+  confirmPromotion,
+  expireHold,
+  leaveWaitlist,
+  reorderWaitlist,
+  skipEntry,
+  promoteWaitlistEntry,
+};
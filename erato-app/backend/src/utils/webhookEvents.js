@@ -0,0 +1,163 @@
+import Stripe from 'stripe';
+import { supabaseAdmin } from '../config/supabase.js';
+import { getPaypalAccessToken, paypalApiBase } from './paypalApi.js';
+
+// ============================================================================
+// WEBHOOK EVENTS
+// Signature verification for PayPal and Stripe, and a processed-events table
+// so a replayed or duplicated delivery is acknowledged without running twice.
+// ============================================================================
+
+// An event left 'processing' this long (the process handling it died) may be
+// claimed by the provider's next delivery
+const PROCESSING_LEASE_MS = parseInt(process.env.WEBHOOK_PROCESSING_LEASE_MS) || 5 * 60 * 1000;
+
+/**
+ * Verify a PayPal webhook through PayPal's verify-webhook-signature API.
+ * https://developer.paypal.com/docs/api/webhooks/v1/#verify-webhook-signature_post
+ */
+export async function verifyPaypalWebhook(headers, event) {
+  const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+  if (!webhookId) {
+    throw new Error('PayPal webhooks are not configured. Please set PAYPAL_WEBHOOK_ID in environment variables.');
+  }
+
+  const requiredHeaders = [
+    'paypal-auth-algo',
+    'paypal-cert-url',
+    'paypal-transmission-id',
+    'paypal-transmission-sig',
+    'paypal-transmission-time',
+  ];
+  if (requiredHeaders.some(header => !headers[header])) {
+    return false;
+  }
+
+  const accessToken = await getPaypalAccessToken();
+  const response = await fetch(`${paypalApiBase()}/v1/notifications/verify-webhook-signature`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      auth_algo: headers['paypal-auth-algo'],
+      cert_url: headers['paypal-cert-url'],
+      transmission_id: headers['paypal-transmission-id'],
+      transmission_sig: headers['paypal-transmission-sig'],
+      transmission_time: headers['paypal-transmission-time'],
+      webhook_id: webhookId,
+      webhook_event: event,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`PayPal webhook verification request failed (${response.status})`);
+  }
+
+  const { verification_status: verificationStatus } = await response.json();
+  return verificationStatus === 'SUCCESS';
+}
+
+/**
+ * Verify a Stripe webhook signature and return the parsed event.
+ * Throws if the signature doesn't match the raw body.
+ */
+export function constructStripeEvent(rawBody, signature) {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!process.env.STRIPE_SECRET_KEY || !secret) {
+    throw new Error('Stripe webhooks are not configured. Please set STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET in environment variables.');
+  }
+
+  return Stripe.webhooks.constructEvent(rawBody, signature, secret);
+}
+
+/**
+ * Claim an event for processing. Returns false if it was already processed
+ * or another delivery is processing it right now; a previously failed event,
+ * or one whose processing lease ran out, is claimed again so the provider's
+ * retry can succeed.
+ */
+export async function claimWebhookEvent(provider, eventId, eventType) {
+  const { error } = await supabaseAdmin
+    .from('processed_webhook_events')
+    .insert({
+      provider,
+      event_id: eventId,
+      event_type: eventType,
+      status: 'processing',
+      attempts: 1,
+    });
+
+  if (!error) return true;
+  if (error.code !== '23505') throw error;
+
+  const { data: existing } = await supabaseAdmin
+    .from('processed_webhook_events')
+    .select('status, attempts, updated_at')
+    .eq('provider', provider)
+    .eq('event_id', eventId)
+    .single();
+
+  const leaseExpired = existing?.status === 'processing'
+    && new Date(existing.updated_at).getTime() < Date.now() - PROCESSING_LEASE_MS;
+  if (existing?.status !== 'failed' && !leaseExpired) return false;
+
+  const { data: reclaimed } = await supabaseAdmin
+    .from('processed_webhook_events')
+    .update({
+      status: 'processing',
+      attempts: existing.attempts + 1,
+      updated_at: new Date().toISOString()
+    })
+    .eq('provider', provider)
+    .eq('event_id', eventId)
+    .eq('status', existing.status)
+    .eq('attempts', existing.attempts) // Only one retry wins the claim
+    .select()
+    .maybeSingle();
+
+  return !!reclaimed;
+}
+
+export async function completeWebhookEvent(provider, eventId, { error = null } = {}) {
+  const { error: updateError } = await supabaseAdmin
+    .from('processed_webhook_events')
+    .update({
+      status: error ? 'failed' : 'processed',
+      last_error: error ? error.message : null,
+      processed_at: error ? null : new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('provider', provider)
+    .eq('event_id', eventId);
+
+  if (updateError) console.error('Error updating webhook event:', updateError);
+}
+
+/**
+ * Run a handler at most once per event. Returns true if it ran, false for a
+ * duplicate. Handler errors are recorded and rethrown so the provider retries.
+ */
+export async function processWebhookEventOnce(provider, eventId, eventType, handler) {
+  const claimed = await claimWebhookEvent(provider, eventId, eventType);
+  if (!claimed) return false;
+
+  try {
+    await handler();
+  } catch (error) {
+    await completeWebhookEvent(provider, eventId, { error });
+    throw error;
+  }
+
+  await completeWebhookEvent(provider, eventId);
+  return true;
+}
+
+export default {
+  verifyPaypalWebhook,
+  constructStripeEvent,
+  claimWebhookEvent,
+  completeWebhookEvent,
+  processWebhookEventOnce,
+};
@@ -0,0 +1,26 @@
+// Background job worker: `npm run worker`. The only process that runs jobs
+// unless an API server is started with JOB_WORKER=inline.
+import 'dotenv/config';
+
+import './utils/cache.js'; // Initialize Redis connection
+import { startWorker } from './jobs/index.js';
+
+const worker = startWorker();
+console.log(`🛠️  Job worker started (pid ${process.pid})`);
+
+let stopping = false;
+async function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  console.log(`${signal} received, finishing in-flight jobs...`);
+
+  // Jobs still running after the grace period are picked up again once
+  // their visibility timeout expires
+  const grace = setTimeout(() => process.exit(1), parseInt(process.env.JOB_SHUTDOWN_GRACE_MS) || 30000);
+  await worker.stop();
+  clearTimeout(grace);
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,32 @@
+import request from 'supertest';
+import { authHeader, createTestContext } from './helpers/context.js';
+
+describe('admin user search', () => {
+  let ctx;
+  let support;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    support = ctx.create.staff('support');
+    ctx.create.client({ username: 'inkwell' });
+    ctx.create.client({ username: 'paperfox' });
+  });
+
+  const search = (term) => request(ctx.app)
+    .get('/api/admin/users')
+    .query({ search: term })
+    .set(authHeader(support));
+
+  it('matches usernames and emails', async () => {
+    const res = await search('inkw');
+
+    expect(res.status).toBe(200);
+    expect(res.body.users.map(u => u.username)).toEqual(['inkwell']);
+  });
+
+  it('rejects search terms that would add filters of their own', async () => {
+    const res = await search('x%,role.eq.admin');
+
+    expect(res.status).toBe(400);
+  });
+});
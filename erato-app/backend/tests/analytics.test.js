@@ -0,0 +1,147 @@
+import request from 'supertest';
+import { authHeader, createTestContext } from './helpers/context.js';
+
+describe('artist analytics', () => {
+  let ctx;
+  let artist;
+  let client;
+  let returning;
+
+  const day = n => `2026-03-${String(n).padStart(2, '0')}T12:00:00.000Z`;
+
+  const get = (user, query = {}) => request(ctx.app)
+    .get(`/api/analytics/artists/${artist.id}`)
+    .query({ from: '2026-03-01', to: '2026-03-07T23:59:59Z', ...query })
+    .set(authHeader(user));
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    artist = ctx.create.artist();
+    client = ctx.create.client();
+    returning = ctx.create.client();
+
+    // An earlier commission makes `returning` a repeat client
+    ctx.create.commission(returning, artist, { status: 'completed', created_at: '2026-01-10T00:00:00.000Z' });
+
+    const completed = ctx.create.commission(client, artist, {
+      status: 'completed',
+      final_price: 200,
+      deadline: day(5),
+      created_at: day(1),
+      responded_at: day(2),
+    });
+    const late = ctx.create.commission(returning, artist, {
+      status: 'completed',
+      final_price: 100,
+      deadline: day(3),
+      created_at: day(1),
+    });
+    ctx.create.commission(client, artist, { status: 'declined', created_at: day(2), responded_at: day(2).replace('12:00', '16:00') });
+    ctx.create.commission(ctx.create.client(), artist, { status: 'pending', created_at: day(6) });
+
+    ctx.db.seed('commission_status_history', [
+      { commission_id: late.id, from_status: 'pending', to_status: 'in_progress', actor_role: 'artist', created_at: day(3) },
+      { commission_id: completed.id, from_status: 'in_progress', to_status: 'completed', actor_role: 'artist', created_at: day(4) },
+      { commission_id: late.id, from_status: 'in_progress', to_status: 'completed', actor_role: 'artist', created_at: day(5) },
+    ]);
+
+    ctx.db.seed('payment_transactions', [
+      { recipient_id: artist.id, payer_id: client.id, transaction_type: 'deposit', amount: 100, platform_fee: 10, status: 'succeeded', created_at: day(1), processed_at: day(2) },
+      { recipient_id: artist.id, payer_id: client.id, transaction_type: 'final', amount: 100, platform_fee: 10, status: 'partially_refunded', created_at: day(4), processed_at: day(4) },
+      { recipient_id: artist.id, payer_id: client.id, transaction_type: 'tip', amount: 15, platform_fee: 0, status: 'succeeded', created_at: day(5), processed_at: day(5) },
+      { recipient_id: artist.id, payer_id: client.id, transaction_type: 'milestone', amount: 50, platform_fee: 5, status: 'pending', created_at: day(5) },
+      { recipient_id: artist.id, payer_id: client.id, transaction_type: 'deposit', amount: 80, platform_fee: 8, status: 'succeeded', created_at: '2026-02-20T00:00:00.000Z' },
+      { recipient_id: client.id, payer_id: artist.id, transaction_type: 'refund', amount: 25, status: 'succeeded', created_at: day(6), processed_at: day(6) },
+    ]);
+
+    const artwork = ctx.db.seed('artworks', { artist_id: artist.id, title: 'Piece' });
+    ctx.db.seed('user_engagement', [1, 1, 2, 3, 6].map(n => ({ artwork_id: artwork.id, engagement_type: 'view', created_at: day(n) }))
+      .concat({ artwork_id: artwork.id, engagement_type: 'like', created_at: day(1) }));
+  });
+
+  it('summarizes earnings and commission metrics for the range', async () => {
+    const res = await get(artist);
+
+    expect(res.status).toBe(200);
+    expect(res.body.range.interval).toBe('day');
+    expect(res.body.summary).toEqual({
+      period: 'total',
+      gross: 200,
+      platform_fees: 20,
+      tips: 15,
+      refunds: 25,
+      net: 170,
+      artwork_views: 5,
+      requests: 4,
+      accepted: 2,
+      declined: 1,
+      acceptance_rate: 0.6667,
+      decline_rate: 0.3333,
+      average_response_hours: 25.3,
+      requests_completed: 2,
+      completed: 2,
+      average_commission_value: 150,
+      on_time_rate: 0.5,
+      repeat_client_rate: 0.6667,
+    });
+    expect(res.body.funnel).toEqual({
+      artwork_views: 5,
+      requests: 4,
+      accepted: 2,
+      completed: 2,
+      view_to_request_rate: 0.8,
+      request_to_accept_rate: 0.5,
+      accept_to_complete_rate: 1,
+    });
+    expect(res.body.decline_reasons).toEqual([
+      { reason: 'unspecified', label: 'No reason given', count: 1, share: 1 },
+    ]);
+  });
+
+  it('reads past the row cap on each response', async () => {
+    ctx.db.maxRows = 1000;
+    const artwork = ctx.db.table('artworks')[0];
+    ctx.db.seed('user_engagement', Array.from({ length: 1200 }, () => ({ artwork_id: artwork.id, engagement_type: 'view', created_at: day(4) })));
+
+    const res = await get(artist);
+
+    expect(res.body.summary).toMatchObject({ artwork_views: 1205, requests: 4, accepted: 2, completed: 2 });
+  });
+
+  it('buckets the series by interval', async () => {
+    const { body: daily } = await get(artist);
+    expect(daily.series.map(row => row.period)).toEqual(['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06', '2026-03-07']);
+    expect(daily.series.map(row => row.gross)).toEqual([0, 100, 0, 100, 0, 0, 0]);
+    expect(daily.series[0]).toMatchObject({ requests: 2, artwork_views: 2, acceptance_rate: 1 });
+    expect(daily.series[6]).toMatchObject({ requests: 0, acceptance_rate: null, average_commission_value: null });
+
+    const { body: weekly } = await get(artist, { interval: 'week' });
+    expect(weekly.series.map(row => [row.period, row.requests])).toEqual([['2026-02-23', 2], ['2026-03-02', 2]]);
+  });
+
+  it('exports the series and total as CSV', async () => {
+    const res = await get(artist, { format: 'csv' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="analytics-2026-03-01-to-2026-03-07.csv"');
+
+    const lines = res.text.trim().split('\n');
+    expect(lines[0]).toMatch(/^period,gross,platform_fees,tips,refunds,net,artwork_views,requests,/);
+    expect(lines).toHaveLength(9);
+    expect(lines[2]).toMatch(/^2026-03-02,100,10,0,0,90,1,1,0,1,0,1,4,/);
+    expect(lines[8]).toMatch(/^total,200,20,15,25,170,5,4,/);
+  });
+
+  it('validates the query', async () => {
+    expect((await get(artist, { from: 'yesterday' })).status).toBe(400);
+    expect((await get(artist, { from: '2026-04-01' })).status).toBe(400);
+    expect((await get(artist, { interval: 'hour' })).status).toBe(400);
+    expect((await get(artist, { from: '2020-01-01', interval: 'day' })).status).toBe(400);
+  });
+
+  it('is only visible to the artist and admins', async () => {
+    expect((await get(client)).status).toBe(403);
+    expect((await get(ctx.create.staff('admin'))).status).toBe(200);
+  });
+});
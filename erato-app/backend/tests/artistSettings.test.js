@@ -0,0 +1,225 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+import { runScheduler } from '../src/jobs/scheduler.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('artist settings', () => {
+  let ctx;
+  let artist;
+  let client;
+
+  const getSettings = () => request(ctx.app).get('/api/artists/settings').set(authHeader(artist));
+  const putSettings = settings => request(ctx.app)
+    .put('/api/artists/settings')
+    .set(authHeader(artist))
+    .send({ settings });
+  const requestCommission = (user = client) => request(ctx.app)
+    .post('/api/commissions/request')
+    .set(authHeader(user))
+    .send({ artist_id: artist.id, details: 'A portrait please' });
+  const commissionStatus = () => ctx.db.find('artists', a => a.id === artist.id).commission_status;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    artist = ctx.create.artist();
+    client = ctx.create.client();
+  });
+
+  describe('GET/PUT /api/artists/settings', () => {
+    it('returns defaults until the artist saves settings', async () => {
+      const res = await getSettings();
+
+      expect(res.status).toBe(200);
+      expect(res.body.settings).toMatchObject({ is_open: true, max_queue_slots: 5, will_draw: [], deposit_refundable: true });
+      expect(res.body.windows).toEqual([]);
+    });
+
+    it('validates against the schema', async () => {
+      const res = await putSettings({ max_queue_slots: 0, queue_slots: 3, will_draw: 'cats' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map(e => e.field)).toEqual(['max_queue_slots', 'queue_slots']);
+      expect(ctx.db.table('artist_commission_settings')).toHaveLength(0);
+    });
+
+    it('saves partial updates and records what changed', async () => {
+      await putSettings({ max_queue_slots: 3, will_draw: 'cats, dogs,cats' });
+      const res = await putSettings({ terms_of_service: '  No refunds after sketch  ', max_queue_slots: 3 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.settings).toMatchObject({
+        max_queue_slots: 3,
+        will_draw: ['cats', 'dogs'],
+        terms_of_service: 'No refunds after sketch',
+      });
+
+      const history = await request(ctx.app).get('/api/artists/settings/history').set(authHeader(artist));
+      expect(history.body.history.map(h => Object.keys(h.changes))).toEqual([
+        ['terms_of_service'],
+        ['max_queue_slots', 'will_draw'],
+      ]);
+      expect(history.body.history[1]).toMatchObject({
+        source: 'artist',
+        changed_by: artist.id,
+        changes: { max_queue_slots: { from: 5, to: 3 } },
+      });
+    });
+
+    it('is only for artists', async () => {
+      const res = await request(ctx.app).get('/api/artists/settings').set(authHeader(client));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('opening and closing', () => {
+    it('keeps the artist commission status in step', async () => {
+      await putSettings({ is_open: false });
+      expect(commissionStatus()).toBe('closed');
+
+      const res = await requestCommission();
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Commissions are closed');
+
+      await putSettings({ is_open: true });
+      expect(commissionStatus()).toBe('open');
+    });
+
+    it('tells favorites when commissions open', async () => {
+      ctx.db.seed('favorite_artists', { user_id: client.id, artist_id: artist.id });
+      await putSettings({ is_open: false });
+      await putSettings({ is_open: true });
+      await settle();
+
+      expect(ctx.db.table('notifications').filter(n => n.user_id === client.id && n.type === 'favorite_artist_opened')).toHaveLength(1);
+    });
+
+    it('goes through the settings service from the profile update', async () => {
+      const res = await request(ctx.app)
+        .put(`/api/artists/${artist.id}`)
+        .set(authHeader(artist))
+        .send({ commissionStatus: 'closed' });
+
+      expect(res.status).toBe(200);
+      expect((await getSettings()).body.settings.is_open).toBe(false);
+      expect(ctx.db.find('artist_settings_history', h => h.artist_id === artist.id)).toMatchObject({
+        source: 'profile',
+        changes: { is_open: { from: true, to: false }, commission_status: { from: 'open', to: 'closed' } },
+      });
+    });
+
+    it('closes automatically when the last slot is taken', async () => {
+      await putSettings({ max_queue_slots: 2, auto_close_when_full: true });
+
+      expect((await requestCommission()).status).toBe(201);
+      expect(commissionStatus()).toBe('open');
+      expect((await requestCommission(ctx.create.client())).status).toBe(201);
+      await settle();
+
+      expect(commissionStatus()).toBe('closed');
+      expect(ctx.db.find('artist_settings_history', h => h.source === 'auto_close').changes.is_open).toEqual({ from: true, to: false });
+      expect(ctx.db.table('notifications').filter(n => n.user_id === artist.id && n.type === 'commissions_closed')).toHaveLength(1);
+    });
+  });
+
+  describe('public endpoints', () => {
+    it('shows public settings only', async () => {
+      await putSettings({ will_draw: ['cats'], auto_close_after_requests: 10 });
+
+      const res = await request(ctx.app).get(`/api/artists/${artist.id}/public-settings`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.settings.will_draw).toEqual(['cats']);
+      expect(res.body.settings).not.toHaveProperty('auto_close_after_requests');
+      expect(res.body.settings).not.toHaveProperty('auto_promote_waitlist');
+    });
+
+    it('reports slots used and the next window', async () => {
+      await putSettings({ max_queue_slots: 2 });
+      ctx.create.commission(client, artist, { status: 'in_progress' });
+      ctx.create.commission(client, artist, { status: 'completed' });
+      const opensAt = new Date(Date.now() + HOUR).toISOString();
+      ctx.db.seed('artist_commission_windows', { artist_id: artist.id, opens_at: opensAt, closes_at: null, slots: 5 });
+
+      const res = await request(ctx.app).get(`/api/artists/${artist.id}/queue-status`);
+
+      expect(res.body.queue).toMatchObject({
+        slots_total: 2,
+        slots_used: 1,
+        slots_available: 1,
+        is_full: false,
+        accepting_requests: true,
+        next_window: { opens_at: opensAt, closes_at: null, slots: 5 },
+      });
+    });
+
+    it('returns 404 for unknown artists', async () => {
+      const res = await request(ctx.app).get(`/api/artists/${client.id}/queue-status`);
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('scheduled windows', () => {
+    let now;
+    const at = offset => new Date(now + offset).toISOString();
+    const schedule = body => request(ctx.app)
+      .post('/api/artists/settings/windows')
+      .set(authHeader(artist))
+      .send(body);
+
+    beforeEach(async () => {
+      now = Date.now();
+      await putSettings({ is_open: false });
+    });
+
+    it('opens for a number of slots and closes when they are taken', async () => {
+      const res = await schedule({ opens_at: at(HOUR), slots: 2 });
+      expect(res.status).toBe(201);
+
+      await runScheduler({ now: now + 2 * HOUR });
+      expect(commissionStatus()).toBe('open');
+
+      await requestCommission();
+      expect(commissionStatus()).toBe('open');
+      await requestCommission(ctx.create.client());
+
+      expect(commissionStatus()).toBe('closed');
+      expect(ctx.db.find('artist_commission_windows', w => w.id === res.body.window.id).status).toBe('closed');
+    });
+
+    it('closes at the end of the window', async () => {
+      const { body } = await schedule({ opens_at: at(HOUR), closes_at: at(3 * HOUR) });
+
+      await runScheduler({ now: now + 2 * HOUR });
+      expect(commissionStatus()).toBe('open');
+
+      await runScheduler({ now: now + 4 * HOUR });
+      expect(commissionStatus()).toBe('closed');
+      expect(ctx.db.find('artist_commission_windows', w => w.id === body.window.id).status).toBe('closed');
+      expect(ctx.db.table('artist_settings_history').filter(h => h.source === 'window')).toHaveLength(2);
+    });
+
+    it('rejects windows in the past or overlapping another', async () => {
+      expect((await schedule({ opens_at: at(-HOUR) })).status).toBe(400);
+      expect((await schedule({ opens_at: at(HOUR), closes_at: at(HOUR) })).status).toBe(400);
+
+      expect((await schedule({ opens_at: at(HOUR), closes_at: at(3 * HOUR) })).status).toBe(201);
+      expect((await schedule({ opens_at: at(2 * HOUR) })).status).toBe(409);
+      expect((await schedule({ opens_at: at(4 * HOUR), slots: 1.5 })).status).toBe(400);
+    });
+
+    it('cancels windows that have not opened', async () => {
+      const { body } = await schedule({ opens_at: at(HOUR) });
+
+      const cancel = () => request(ctx.app)
+        .delete(`/api/artists/settings/windows/${body.window.id}`)
+        .set(authHeader(artist));
+
+      expect((await cancel()).status).toBe(200);
+      expect((await cancel()).status).toBe(409);
+
+      await runScheduler({ now: now + 2 * HOUR });
+      expect(commissionStatus()).toBe('closed');
+    });
+  });
+});
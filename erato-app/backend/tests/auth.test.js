@@ -0,0 +1,78 @@
+import request from 'supertest';
+import { authHeader, createTestContext } from './helpers/context.js';
+
+describe('auth', () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+  });
+
+  const register = (overrides = {}) => request(ctx.app)
+    .post('/api/auth/register')
+    .send({
+      email: 'mira@example.com',
+      username: 'mira',
+      password: 'correct-horse',
+      fullName: 'Mira Ito',
+      userType: 'artist',
+      ...overrides,
+    });
+
+  it('registers an artist with a matching artist profile', async () => {
+    const res = await register();
+
+    expect(res.status).toBe(201);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.user).toMatchObject({ email: 'mira@example.com', username: 'mira', userType: 'artist' });
+    expect(ctx.db.find('artists', a => a.id === res.body.user.id)).toMatchObject({ commission_status: 'open' });
+  });
+
+  it('rejects a duplicate email', async () => {
+    await register();
+    const res = await register({ username: 'someone-else' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Email already exists');
+  });
+
+  it('logs in by username and returns a usable token', async () => {
+    await register({ userType: 'client' });
+
+    const login = await request(ctx.app)
+      .post('/api/auth/login')
+      .send({ email: 'mira', password: 'correct-horse' });
+
+    expect(login.status).toBe(200);
+
+    const me = await request(ctx.app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${login.body.token}`);
+
+    expect(me.status).toBe(200);
+    expect(me.body.user.username).toBe('mira');
+  });
+
+  it('rejects a wrong password', async () => {
+    await register();
+
+    const res = await request(ctx.app)
+      .post('/api/auth/login')
+      .send({ email: 'mira@example.com', password: 'wrong-password' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('refuses requests from suspended accounts', async () => {
+    const user = ctx.create.client({ account_status: 'suspended' });
+
+    const res = await request(ctx.app).get('/api/auth/me').set(authHeader(user));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('requires a token', async () => {
+    const res = await request(ctx.app).get('/api/auth/me');
+    expect(res.status).toBe(401);
+  });
+});
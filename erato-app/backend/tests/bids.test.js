@@ -0,0 +1,107 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+
+describe('commission request bids', () => {
+  let ctx;
+  let client;
+  let artist;
+  let rival;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+    rival = ctx.create.artist();
+  });
+
+  const postRequest = (user = client, overrides = {}) => request(ctx.app)
+    .post('/api/commission-requests')
+    .set(authHeader(user))
+    .send({
+      title: 'Dragon reference sheet',
+      description: 'Front, back and side views of my dragon OC.',
+      budget_min: 80,
+      budget_max: 150,
+      reference_images: ['https://cdn.example.com/refs/dragon.png'],
+      ...overrides,
+    });
+
+  const bid = (requestId, user, amount = 120) => request(ctx.app)
+    .post(`/api/commission-requests/${requestId}/bids`)
+    .set(authHeader(user))
+    .send({ bid_amount: amount, estimated_delivery_days: 14, message: 'Happy to take this on' });
+
+  it('lets clients, but not artists, post requests', async () => {
+    expect((await postRequest()).status).toBe(201);
+    expect((await postRequest(artist)).status).toBe(403);
+  });
+
+  it('takes one bid per artist and notifies the client', async () => {
+    const { body: posted } = await postRequest();
+
+    const first = await bid(posted.id, artist);
+    expect(first.status).toBe(201);
+    expect(first.body).toMatchObject({ artist_id: artist.id, status: 'pending' });
+
+    const duplicate = await bid(posted.id, artist, 90);
+    expect(duplicate.status).toBe(400);
+
+    expect((await bid(posted.id, client)).status).toBe(403);
+
+    await settle();
+    expect(ctx.db.table('notifications').filter(n => n.user_id === client.id)).toHaveLength(1);
+  });
+
+  it('turns the accepted bid into a commission and rejects the rest', async () => {
+    const { body: posted } = await postRequest();
+    const { body: winning } = await bid(posted.id, artist, 120);
+    const { body: losing } = await bid(posted.id, rival, 100);
+
+    const res = await request(ctx.app)
+      .patch(`/api/commission-requests/${posted.id}/bids/${winning.id}/accept`)
+      .set(authHeader(client));
+
+    expect(res.status).toBe(200);
+
+    const commission = ctx.db.find('commissions', c => c.id === res.body.commission_id);
+    expect(commission).toMatchObject({
+      client_id: client.id,
+      artist_id: artist.id,
+      status: 'pending',
+      title: 'Dragon reference sheet',
+      details: 'Front, back and side views of my dragon OC.',
+      final_price: 120,
+      deadline_text: '14 days',
+    });
+    expect(ctx.db.table('commission_files', f => f.commission_id === commission.id)).toHaveLength(1);
+
+    expect(ctx.db.find('commission_request_bids', b => b.id === losing.id).status).toBe('rejected');
+    expect(ctx.db.find('commission_requests', r => r.id === posted.id)).toMatchObject({ status: 'awarded', awarded_to: artist.id });
+
+    const participants = ctx.db.table('conversation_participants', p => p.conversation_id === res.body.conversation_id);
+    expect(participants.map(p => p.user_id).sort()).toEqual([client.id, artist.id].sort());
+  });
+
+  it('closes the request to further bids once awarded', async () => {
+    const { body: posted } = await postRequest();
+    const { body: winning } = await bid(posted.id, artist);
+
+    await request(ctx.app)
+      .patch(`/api/commission-requests/${posted.id}/bids/${winning.id}/accept`)
+      .set(authHeader(client));
+
+    const late = await bid(posted.id, rival);
+    expect(late.status).toBe(400);
+  });
+
+  it('only lets the request creator accept', async () => {
+    const { body: posted } = await postRequest();
+    const { body: pending } = await bid(posted.id, artist);
+
+    const res = await request(ctx.app)
+      .patch(`/api/commission-requests/${posted.id}/bids/${pending.id}/accept`)
+      .set(authHeader(rival));
+
+    expect(res.status).toBe(403);
+  });
+});
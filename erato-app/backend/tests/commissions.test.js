@@ -0,0 +1,194 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+import { transitionCommission } from '../src/utils/commissionStateMachine.js';
+import { lockSlots } from '../src/utils/artistSettings.js';
+
+describe('commission lifecycle', () => {
+  let ctx;
+  let client;
+  let artist;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+    ctx.create.milestoneTemplates();
+  });
+
+  const setStatus = (user, commission, status, body = {}) => request(ctx.app)
+    .patch(`/api/commissions/${commission.id}/status`)
+    .set(authHeader(user))
+    .send({ status, ...body });
+
+  describe('POST /api/commissions/request', () => {
+    it('creates a pending commission with a conversation and opening message', async () => {
+      const res = await request(ctx.app)
+        .post('/api/commissions/request')
+        .set(authHeader(client))
+        .send({ artist_id: artist.id, details: 'A portrait of my cat', budget: 120 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.commission).toMatchObject({ client_id: client.id, artist_id: artist.id, status: 'pending' });
+
+      const participants = ctx.db.table('conversation_participants', p => p.conversation_id === res.body.conversation.id);
+      expect(participants.map(p => p.user_id).sort()).toEqual([client.id, artist.id].sort());
+
+      const [message] = ctx.db.table('messages', m => m.conversation_id === res.body.conversation.id);
+      expect(message).toMatchObject({ message_type: 'commission_request', content: 'A portrait of my cat' });
+      expect(ctx.io.emittedTo(`user:${artist.id}`, 'message:new')).toHaveLength(1);
+    });
+
+    it('reuses an existing conversation between the two users', async () => {
+      const conversation = ctx.create.conversation([client, artist]);
+
+      const res = await request(ctx.app)
+        .post('/api/commissions/request')
+        .set(authHeader(client))
+        .send({ artist_id: artist.id, details: 'Another one' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.conversation.id).toBe(conversation.id);
+      expect(ctx.db.table('conversations')).toHaveLength(1);
+    });
+
+    it('does not let artists commission other artists', async () => {
+      const otherArtist = ctx.create.artist();
+
+      const res = await request(ctx.app)
+        .post('/api/commissions/request')
+        .set(authHeader(otherArtist))
+        .send({ artist_id: artist.id, details: 'Art trade?' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('refuses requests when the artist has closed commissions', async () => {
+      ctx.db.seed('artist_commission_settings', { artist_id: artist.id, is_open: false });
+
+      const res = await request(ctx.app)
+        .post('/api/commissions/request')
+        .set(authHeader(client))
+        .send({ artist_id: artist.id, details: 'Please?' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Commissions are closed');
+    });
+
+    it('waits for the slot lock before counting slots', async () => {
+      ctx.db.seed('artist_commission_settings', { artist_id: artist.id, max_queue_slots: 1 });
+
+      // Another request holds the lock while it takes the last slot
+      const unlock = await lockSlots(artist.id);
+      const pending = request(ctx.app)
+        .post('/api/commissions/request')
+        .set(authHeader(client))
+        .send({ artist_id: artist.id, details: 'Me first' })
+        .then(res => res);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      ctx.create.commission(ctx.create.client(), artist);
+      await unlock();
+
+      const res = await pending;
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Commission slots are full');
+    });
+  });
+
+  describe('PATCH /api/commissions/:id/status', () => {
+    it('moves an accepted commission to in_progress and generates milestones', async () => {
+      const commission = ctx.create.commission(client, artist, { final_price: 200 });
+
+      const res = await setStatus(artist, commission, 'accepted');
+      await settle();
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('in_progress');
+
+      const milestones = ctx.db.table('commission_milestones', m => m.commission_id === commission.id);
+      expect(milestones.map(m => Number(m.amount))).toEqual([60, 60, 80]);
+      expect(milestones.map(m => m.is_locked)).toEqual([false, true, true]);
+
+      const history = ctx.db.table('commission_status_history', h => h.commission_id === commission.id);
+      expect(history).toContainEqual(expect.objectContaining({ from_status: 'pending', to_status: 'in_progress', actor_role: 'artist' }));
+
+      expect(ctx.db.table('notifications').filter(n => n.user_id === client.id)).toHaveLength(1);
+    });
+
+    it('only lets the artist accept', async () => {
+      const commission = ctx.create.commission(client, artist);
+
+      const res = await setStatus(client, commission, 'accepted');
+
+      expect(res.status).toBe(403);
+      expect(ctx.db.find('commissions', c => c.id === commission.id).status).toBe('pending');
+    });
+
+    it('does not let clients cancel a legacy accepted commission', async () => {
+      const commission = ctx.create.commission(client, artist, { status: 'accepted' });
+
+      const res = await setStatus(client, commission, 'cancelled');
+
+      expect(res.status).toBe(403);
+      expect(ctx.db.find('commissions', c => c.id === commission.id).status).toBe('accepted');
+    });
+
+    it('refuses a decline when the commission moved on in the meantime', async () => {
+      const commission = ctx.create.commission(client, artist);
+      const stale = { ...commission };
+      ctx.db.patch('commissions', c => c.id === commission.id, { status: 'cancelled' });
+
+      await expect(transitionCommission({
+        commission: stale,
+        requestedStatus: 'declined',
+        actorId: artist.id,
+        actorRole: 'artist',
+      })).rejects.toMatchObject({ status: 409 });
+      expect(ctx.db.table('commission_status_history', h => h.commission_id === commission.id)).toHaveLength(0);
+    });
+
+    it('rejects transitions out of a terminal state', async () => {
+      const commission = ctx.create.commission(client, artist, { status: 'completed' });
+
+      const res = await setStatus(artist, commission, 'in_progress');
+
+      expect(res.status).toBe(400);
+    });
+
+    it('lets the artist complete in-progress work', async () => {
+      const commission = ctx.create.commission(client, artist, { status: 'in_progress' });
+
+      const res = await setStatus(artist, commission, 'completed');
+      await settle();
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('completed');
+      expect(ctx.db.table('pending_reviews', r => r.commission_id === commission.id)).toHaveLength(2);
+    });
+
+    it('blocks a client cancellation once most milestones are paid', async () => {
+      const commission = ctx.create.commission(client, artist, { status: 'in_progress' });
+      ctx.db.seed('commission_milestones', [1, 2, 3].map(n => ({
+        commission_id: commission.id,
+        milestone_number: n,
+        amount: 30,
+        payment_status: n < 3 ? 'paid' : 'unpaid',
+      })));
+
+      const res = await setStatus(client, commission, 'cancelled', { cancellation_reason: 'Changed my mind' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.details).toMatchObject({ paidMilestones: 2, totalMilestones: 3 });
+    });
+
+    it('keeps participants out of commissions that are not theirs', async () => {
+      const commission = ctx.create.commission(client, artist);
+      const stranger = ctx.create.client();
+
+      const res = await request(ctx.app)
+        .get(`/api/commissions/${commission.id}`)
+        .set(authHeader(stranger));
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
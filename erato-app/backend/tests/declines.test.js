@@ -0,0 +1,131 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+import { runScheduler } from '../src/jobs/scheduler.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('declining commissions', () => {
+  let ctx;
+  let artist;
+  let client;
+  let commission;
+  let conversation;
+  let referenceUrl;
+
+  const decline = (body, user = artist) => request(ctx.app)
+    .patch(`/api/commissions/${commission.id}/status`)
+    .set(authHeader(user))
+    .send({ status: 'declined', ...body });
+  const current = () => ctx.db.find('commissions', c => c.id === commission.id);
+
+  beforeEach(async () => {
+    ctx = createTestContext();
+    artist = ctx.create.artist();
+    client = ctx.create.client();
+
+    const references = ctx.db.storage.from('artworks');
+    await references.upload('ref-1.png', Buffer.from('png'));
+    referenceUrl = references.getPublicUrl('ref-1.png').data.publicUrl;
+
+    const res = await request(ctx.app)
+      .post('/api/commissions/request')
+      .set(authHeader(client))
+      .send({ artist_id: artist.id, details: 'My dragon', client_note: 'Dragon', reference_images: [referenceUrl, 'https://cdn.test/ref.png'] });
+    ({ commission, conversation } = res.body);
+    await settle();
+  });
+
+  it('keeps the commission and conversation, archived with the reason', async () => {
+    const res = await decline({ decline_reason: 'schedule_full', artist_response: 'Booked until spring' });
+    await settle();
+
+    expect(res.status).toBe(200);
+    expect(current()).toMatchObject({
+      status: 'declined',
+      decline_reason: 'schedule_full',
+      artist_response: 'Booked until spring',
+      archived_at: expect.any(String),
+    });
+    expect(ctx.db.find('conversations', c => c.id === conversation.id)).toBeTruthy();
+    expect(ctx.db.table('messages', m => m.conversation_id === conversation.id)).toHaveLength(1);
+
+    const [notification] = ctx.db.table('notifications', n => n.user_id === client.id && n.type === 'commission_declined');
+    expect(notification.message).toContain('My schedule is full');
+
+    const history = ctx.db.table('commission_status_history', h => h.commission_id === commission.id);
+    expect(history[0]).toMatchObject({ to_status: 'declined', metadata: expect.objectContaining({ decline_reason: 'schedule_full' }) });
+  });
+
+  it('moves declined requests out of the default lists', async () => {
+    await decline({ decline_reason: 'budget' });
+
+    const list = query => request(ctx.app).get('/api/commissions').query(query).set(authHeader(client));
+
+    expect((await list({})).body.commissions).toEqual([]);
+    expect((await list({ archived: 'true' })).body.commissions.map(c => c.id)).toEqual([commission.id]);
+    expect((await list({ status: 'declined' })).body.commissions.map(c => c.id)).toEqual([commission.id]);
+  });
+
+  it('needs a reason from the configured list', async () => {
+    expect((await decline({})).status).toBe(400);
+    expect((await decline({ decline_reason: 'bored' })).status).toBe(400);
+
+    const reasons = await request(ctx.app).get('/api/commissions/decline-reasons').set(authHeader(artist));
+    expect(reasons.body.reasons.map(r => r.code)).toContain('schedule_full');
+
+    process.env.COMMISSION_DECLINE_REASONS = 'style=Not my style,booked=Fully booked';
+    try {
+      const configured = await request(ctx.app).get('/api/commissions/decline-reasons').set(authHeader(artist));
+      expect(configured.body.reasons).toEqual([
+        { code: 'style', label: 'Not my style' },
+        { code: 'booked', label: 'Fully booked' },
+      ]);
+      expect((await decline({ decline_reason: 'schedule_full' })).status).toBe(400);
+      expect((await decline({ decline_reason: 'style' })).status).toBe(200);
+    } finally {
+      delete process.env.COMMISSION_DECLINE_REASONS;
+    }
+  });
+
+  it('can point the client to another artist', async () => {
+    const other = ctx.create.artist();
+
+    expect((await decline({ decline_reason: 'out_of_scope', suggested_artist_id: artist.id })).status).toBe(400);
+    expect((await decline({ decline_reason: 'out_of_scope', suggested_artist_id: client.id })).status).toBe(400);
+
+    await decline({ decline_reason: 'out_of_scope', suggested_artist_id: other.id });
+    await settle();
+
+    expect(current().suggested_artist_id).toBe(other.id);
+    const [notification] = ctx.db.table('notifications', n => n.user_id === client.id && n.type === 'commission_declined');
+    expect(notification.message).toContain(`They suggested ${other.username} instead`);
+    expect(notification.action).toEqual({ type: 'view_artist', id: other.id });
+  });
+
+  it('purges the request content after retention but keeps it for metrics', async () => {
+    await decline({ decline_reason: 'content' });
+
+    await runScheduler({ now: Date.now() + 30 * DAY });
+    expect(current().purged_at).toBeNull();
+
+    const actions = await request(ctx.app)
+      .get(`/api/commissions/${commission.id}/scheduled-actions`)
+      .set(authHeader(artist));
+    expect(actions.body.actions).toContainEqual(expect.objectContaining({ rule: 'declined_purge', status: 'scheduled' }));
+
+    await runScheduler({ now: Date.now() + 181 * DAY });
+
+    expect(current()).toMatchObject({ status: 'declined', details: '[removed]', client_note: null, purged_at: expect.any(String) });
+    expect(ctx.db.table('commission_files', f => f.commission_id === commission.id)).toEqual([]);
+    expect(ctx.db.storage.files.has('artworks/ref-1.png')).toBe(false);
+    expect(ctx.db.find('messages', m => m.conversation_id === conversation.id).content).toBe('[removed]');
+
+    const analytics = await request(ctx.app)
+      .get(`/api/analytics/artists/${artist.id}`)
+      .set(authHeader(artist));
+    expect(analytics.body.summary.declined).toBe(1);
+    expect(analytics.body.decline_reasons).toEqual([
+      { reason: 'content', label: "I don't take on this kind of content", count: 1, share: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,61 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+import { getDisputeWithCommission, resolveDispute } from '../src/utils/disputeResolution.js';
+
+describe('commission disputes', () => {
+  let ctx;
+  let client;
+  let artist;
+  let moderator;
+  let commission;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+    moderator = ctx.create.staff('moderator');
+    commission = ctx.create.commission(client, artist, { status: 'in_progress' });
+  });
+
+  const openDispute = (body = {}) => request(ctx.app)
+    .post('/api/disputes')
+    .set(authHeader(client))
+    .send({ commission_id: commission.id, reason: 'not_delivered', description: 'Nothing after a month', ...body });
+
+  it('removes the dispute when its evidence is rejected so the client can retry', async () => {
+    const res = await openDispute({ reference_ids: ['not-a-reference'] });
+
+    expect(res.status).toBe(400);
+    expect(ctx.db.table('commission_disputes')).toHaveLength(0);
+
+    const retry = await openDispute();
+    expect(retry.status).toBe(201);
+  });
+
+  it('stores notes without uploads as evidence', async () => {
+    const { body: { dispute } } = await openDispute();
+
+    const res = await request(ctx.app)
+      .post(`/api/disputes/${dispute.id}/evidence`)
+      .set(authHeader(artist))
+      .send({ notes: 'I sent the sketch by email' });
+
+    expect(res.status).toBe(201);
+    expect(ctx.db.table('commission_dispute_evidence', e => e.dispute_id === dispute.id)).toEqual([
+      expect.objectContaining({ evidence_type: 'note', notes: 'I sent the sketch by email', submitted_by: artist.id }),
+    ]);
+  });
+
+  it('lets only one moderator resolve a dispute', async () => {
+    const { body: { dispute: opened } } = await openDispute();
+    const dispute = await getDisputeWithCommission(opened.id);
+
+    await resolveDispute({ dispute, moderator, resolution: 'release_to_artist' });
+    await expect(resolveDispute({ dispute, moderator, resolution: 'full_refund' }))
+      .rejects.toMatchObject({ status: 409 });
+    await settle();
+
+    expect(ctx.db.find('commission_disputes', d => d.id === dispute.id).resolution).toBe('release_to_artist');
+    expect(ctx.db.find('commissions', c => c.id === commission.id).status).toBe('in_progress');
+  });
+});
@@ -0,0 +1,236 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+import { runScheduler } from '../src/jobs/scheduler.js';
+import { claimSlot } from '../src/utils/slotDrops.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('slot drops', () => {
+  let ctx;
+  let artist;
+  let now;
+
+  const at = offset => new Date(now + offset).toISOString();
+  const scheduleDrop = body => request(ctx.app)
+    .post('/api/artists/settings/windows')
+    .set(authHeader(artist))
+    .send({ opens_at: at(HOUR), ...body });
+  const register = (client, windowId, details = 'A knight on a horse') => request(ctx.app)
+    .post(`/api/artists/drops/${windowId}/registration`)
+    .set(authHeader(client))
+    .send({ details });
+  const requestCommission = client => request(ctx.app)
+    .post('/api/commissions/request')
+    .set(authHeader(client))
+    .send({ artist_id: artist.id, details: 'Whatever slot you have' });
+  const commissionsOf = client => ctx.db.table('commissions').filter(c => c.client_id === client.id);
+  const notificationsOf = (user, type) => ctx.db.table('notifications').filter(n => n.user_id === user.id && n.type === type);
+  const windowStatus = id => ctx.db.find('artist_commission_windows', w => w.id === id).status;
+  const isOpen = () => ctx.db.find('artist_commission_settings', s => s.artist_id === artist.id).is_open;
+
+  beforeEach(async () => {
+    now = Date.now();
+    ctx = createTestContext();
+    artist = ctx.create.artist();
+    await request(ctx.app)
+      .put('/api/artists/settings')
+      .set(authHeader(artist))
+      .send({ settings: { is_open: false } });
+  });
+
+  it('needs slots and a known allocation', async () => {
+    expect((await scheduleDrop({ allocation: 'first_come' })).status).toBe(400);
+    expect((await scheduleDrop({ allocation: 'raffle', slots: 2 })).status).toBe(400);
+    expect((await scheduleDrop({ allocation: 'lottery', slots: 2 })).status).toBe(201);
+  });
+
+  describe('first come', () => {
+    let drop;
+    let clients;
+
+    beforeEach(async () => {
+      clients = Array.from({ length: 5 }, () => ctx.create.client());
+      drop = (await scheduleDrop({ allocation: 'first_come', slots: 2 })).body.window;
+    });
+
+    it('never gives out more slots than the drop has', async () => {
+      await runScheduler({ now: now + 2 * HOUR });
+      expect(isOpen()).toBe(true);
+
+      const claims = await Promise.all(clients.map(c => claimSlot(drop, c.id)));
+      expect(claims.filter(c => c.claimed).map(c => c.number)).toEqual([1, 2]);
+      expect(claims.filter(c => c.last)).toHaveLength(1);
+      expect((await claimSlot(drop, clients[0].id)).duplicate).toBe(true);
+    });
+
+    it('closes once the last slot is taken', async () => {
+      await runScheduler({ now: now + 2 * HOUR });
+
+      const responses = await Promise.all(clients.slice(0, 4).map(requestCommission));
+      await settle();
+
+      // Late requests either lost the claim or found the drop already over
+      const accepted = responses.filter(r => r.status === 201).map(r => r.body.commission);
+      expect(accepted.filter(c => !c.queue_status)).toHaveLength(2);
+      for (const response of responses.filter(r => r.status !== 201)) {
+        expect(response.body.error).toBe('Commissions are closed');
+      }
+      for (const loser of accepted.filter(c => c.queue_status === 'waitlist')) {
+        expect(notificationsOf({ id: loser.client_id }, 'drop_lost')).toHaveLength(1);
+      }
+
+      expect(windowStatus(drop.id)).toBe('closed');
+      expect(isOpen()).toBe(false);
+    });
+
+    it('tells registrants when it opens and waitlists the ones who miss out', async () => {
+      await register(clients[0], drop.id);
+      await register(clients[1], drop.id);
+
+      await runScheduler({ now: now + 2 * HOUR });
+      await settle();
+      expect(notificationsOf(clients[0], 'drop_open')).toHaveLength(1);
+
+      await requestCommission(clients[0]);
+      await requestCommission(clients[2]);
+      await settle();
+
+      // clients[1] registered but never requested
+      expect(commissionsOf(clients[1])).toEqual([
+        expect.objectContaining({ details: 'A knight on a horse', queue_status: 'waitlist' }),
+      ]);
+      expect(notificationsOf(clients[1], 'drop_lost')).toHaveLength(1);
+      expect(ctx.db.table('commission_drop_registrations').map(r => [r.client_id, r.status])).toEqual([
+        [clients[0].id, 'won'],
+        [clients[1].id, 'lost'],
+      ]);
+    });
+
+    it('lets a client claim once', async () => {
+      await runScheduler({ now: now + 2 * HOUR });
+
+      expect((await requestCommission(clients[0])).status).toBe(201);
+      const again = await requestCommission(clients[0]);
+
+      expect(again.status).toBe(409);
+      expect(commissionsOf(clients[0])).toHaveLength(1);
+    });
+
+    it('gives a slot back when the request behind the claim fails', async () => {
+      await runScheduler({ now: now + 2 * HOUR });
+      ctx.db.failNext('commissions', 'insert');
+
+      expect((await requestCommission(clients[0])).status).toBe(500);
+
+      const retry = await requestCommission(clients[0]);
+      await requestCommission(clients[1]);
+
+      expect(retry.status).toBe(201);
+      expect(retry.body.commission.queue_status).toBeFalsy();
+      expect(commissionsOf(clients[1])).toEqual([expect.objectContaining({ queue_status: null })]);
+      expect(windowStatus(drop.id)).toBe('closed');
+    });
+
+    it('settles registrants when the artist closes early', async () => {
+      await register(clients[0], drop.id);
+      await runScheduler({ now: now + 2 * HOUR });
+
+      await request(ctx.app)
+        .put('/api/artists/settings')
+        .set(authHeader(artist))
+        .send({ settings: { is_open: false } });
+
+      expect(windowStatus(drop.id)).toBe('closed');
+      expect(commissionsOf(clients[0])[0].queue_status).toBe('waitlist');
+    });
+  });
+
+  describe('lottery', () => {
+    it('draws winners at open and waitlists the rest', async () => {
+      const clients = Array.from({ length: 3 }, () => ctx.create.client());
+      const { body } = await scheduleDrop({ allocation: 'lottery', slots: 1 });
+      for (const client of clients) await register(client, body.window.id);
+
+      expect((await requestCommission(clients[0])).status).toBe(400);
+
+      await runScheduler({ now: now + 2 * HOUR });
+      await settle();
+
+      const outcomes = clients.map(c => commissionsOf(c)[0].queue_status ?? 'won');
+      expect(outcomes.filter(o => o === 'won')).toHaveLength(1);
+      expect(outcomes.filter(o => o === 'waitlist')).toHaveLength(2);
+
+      const winner = clients[outcomes.indexOf('won')];
+      expect(notificationsOf(winner, 'drop_won')).toHaveLength(1);
+      expect(ctx.db.table('notifications').filter(n => n.type === 'drop_lost')).toHaveLength(2);
+
+      // A lottery hands out its slots without opening commissions
+      expect(windowStatus(body.window.id)).toBe('closed');
+      expect(isOpen()).toBe(false);
+    });
+
+    it('keeps drawing when a winner\'s request fails, and waitlists them at close', async () => {
+      const clients = Array.from({ length: 3 }, () => ctx.create.client());
+      const { body } = await scheduleDrop({ allocation: 'lottery', slots: 2 });
+      for (const client of clients) await register(client, body.window.id);
+
+      ctx.db.failNext('commissions', 'insert');
+      await runScheduler({ now: now + 2 * HOUR });
+      await settle();
+
+      const outcomes = clients.map(c => commissionsOf(c)[0].queue_status ?? 'won');
+      expect(outcomes.filter(o => o === 'won')).toHaveLength(2);
+      expect(outcomes.filter(o => o === 'waitlist')).toHaveLength(1);
+
+      const registrations = ctx.db.table('commission_drop_registrations');
+      expect(registrations.map(r => r.status).sort()).toEqual(['lost', 'won', 'won']);
+      expect(registrations.every(r => r.commission_id)).toBe(true);
+      expect(windowStatus(body.window.id)).toBe('closed');
+    });
+  });
+
+  describe('registration', () => {
+    let drop;
+    let client;
+
+    beforeEach(async () => {
+      client = ctx.create.client();
+      drop = (await scheduleDrop({ allocation: 'lottery', slots: 3 })).body.window;
+    });
+
+    it('shows drops with registrations and the viewer\'s own', async () => {
+      await register(client, drop.id);
+      await register(ctx.create.client(), drop.id);
+
+      const res = await request(ctx.app).get(`/api/artists/${artist.id}/drops`).set(authHeader(client));
+
+      expect(res.body.drops).toEqual([
+        expect.objectContaining({ id: drop.id, allocation: 'lottery', slots_remaining: 3, registration_count: 2, registered: true }),
+      ]);
+
+      const registrations = await request(ctx.app)
+        .get(`/api/artists/settings/windows/${drop.id}/registrations`)
+        .set(authHeader(artist));
+      expect(registrations.body.registrations).toHaveLength(2);
+    });
+
+    it('can be withdrawn and redone before the drop opens', async () => {
+      expect((await register(client, drop.id)).status).toBe(201);
+      expect((await register(client, drop.id)).status).toBe(409);
+
+      const withdraw = await request(ctx.app)
+        .delete(`/api/artists/drops/${drop.id}/registration`)
+        .set(authHeader(client));
+      expect(withdraw.status).toBe(200);
+      expect((await register(client, drop.id, 'Changed my mind')).status).toBe(201);
+
+      await runScheduler({ now: now + 2 * HOUR });
+      expect((await register(ctx.create.client(), drop.id)).status).toBe(409);
+    });
+
+    it('needs details and is for clients only', async () => {
+      expect((await register(client, drop.id, '  ')).status).toBe(400);
+      expect((await register(ctx.create.artist(), drop.id)).status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+import { ConversationRepo } from '../src/repositories/index.js';
+
+describe('conversations', () => {
+  let ctx;
+  let client;
+  let artist;
+  let collaborator;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+    collaborator = ctx.create.artist();
+    // The client has worked with both artists before
+    ctx.create.conversation([client, artist]);
+    ctx.create.conversation([client, collaborator]);
+  });
+
+  const api = (method, user, path) => request(ctx.app)[method](`/api/messages${path}`).set(authHeader(user));
+  const startGroup = (user, body) => api('post', user, '/conversations').send({ is_group: true, ...body });
+  const participantsOf = (conversationId) => ctx.db.table('conversation_participants')
+    .filter(p => p.conversation_id === conversationId)
+    .map(({ user_id: userId, role }) => ({ user_id: userId, role }));
+  const systemMessages = (conversationId) => ctx.db.table('messages')
+    .filter(m => m.conversation_id === conversationId && m.message_type === 'system')
+    .map(m => m.content);
+
+  describe('direct conversations', () => {
+    it('are found by their participant set, whoever starts them', async () => {
+      const existing = ctx.db.find('conversations', c => c.participant_hash === ConversationRepo.participantHash([artist.id, client.id]));
+
+      const res = await api('post', artist, '/conversations').send({ participant_id: client.id });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ existed: true, conversation: { id: existing.id } });
+      expect(ConversationRepo.participantHash([client.id, artist.id])).toBe(ConversationRepo.participantHash([artist.id, client.id, artist.id]));
+    });
+
+    it('never resolve to a group with the same people', async () => {
+      const { body: group } = await startGroup(client, { participant_ids: [artist.id, collaborator.id] });
+
+      const res = await api('post', artist, '/conversations').send({ participant_ids: [client.id, collaborator.id] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.conversation.id).not.toBe(group.conversation.id);
+      expect(await ConversationRepo.findWithParticipants([client.id, artist.id, collaborator.id])).toMatchObject({ id: res.body.conversation.id });
+    });
+
+    it('return the conversation created in the meantime instead of a duplicate', async () => {
+      const first = await ConversationRepo.create({ participantIds: [artist.id, collaborator.id] });
+      const second = await ConversationRepo.create({ participantIds: [collaborator.id, artist.id] });
+
+      expect(second.id).toBe(first.id);
+      expect(participantsOf(first.id)).toHaveLength(2);
+    });
+
+    it('are keyed by the people left after someone leaves a commission conversation', async () => {
+      const commission = ctx.create.commission(client, artist);
+      const trio = ctx.create.conversation([client, artist, collaborator], { commission_id: commission.id });
+
+      await api('delete', collaborator, `/conversations/${trio.id}`);
+
+      // The older client-artist conversation keeps the hash
+      expect(ctx.db.find('conversations', c => c.id === trio.id).participant_hash).toBeNull();
+
+      await api('delete', client, `/conversations/${trio.id}`);
+      expect(ctx.db.find('conversations', c => c.id === trio.id).participant_hash).toBe(ConversationRepo.participantHash([artist.id]));
+    });
+  });
+
+  describe('groups', () => {
+    it('start with a title, the creator as admin and a note in the timeline', async () => {
+      const res = await startGroup(client, { participant_ids: [artist.id, collaborator.id], title: '  Duo piece  ' });
+      await settle();
+
+      expect(res.status).toBe(201);
+      const group = res.body.conversation;
+      expect(group).toMatchObject({ is_group: true, title: 'Duo piece', created_by: client.id, participant_hash: null });
+      expect(participantsOf(group.id)).toEqual([
+        { user_id: client.id, role: 'admin' },
+        { user_id: artist.id, role: 'member' },
+        { user_id: collaborator.id, role: 'member' },
+      ]);
+      expect(systemMessages(group.id)).toEqual([`${client.username} created "Duo piece"`]);
+      expect(ctx.db.table('notifications').filter(n => n.type === 'added_to_conversation').map(n => n.user_id).sort())
+        .toEqual([artist.id, collaborator.id].sort());
+
+      const { body: details } = await api('get', artist, `/conversations/${group.id}`);
+      expect(details).toMatchObject({ is_group: true, title: 'Duo piece', role: 'member', muted: false });
+      expect(details.participants.map(p => p.role)).toEqual(['admin', 'member', 'member']);
+    });
+
+    it('need two other people the creator may contact', async () => {
+      const stranger = ctx.create.artist();
+
+      expect((await startGroup(client, { participant_ids: [artist.id] })).status).toBe(400);
+      expect((await startGroup(client, { participant_ids: [artist.id, stranger.id] })).status).toBe(403);
+      expect((await startGroup(client, { participant_ids: [artist.id, collaborator.id], title: 'x'.repeat(101) })).status).toBe(400);
+      expect(ctx.db.table('conversations').filter(c => c.is_group)).toHaveLength(0);
+    });
+
+    describe('once started', () => {
+      let group;
+      let friend;
+
+      beforeEach(async () => {
+        friend = ctx.create.client();
+        group = (await startGroup(artist, { participant_ids: [client.id, collaborator.id] })).body.conversation;
+      });
+
+      const updates = () => ctx.io.emittedTo(`conversation:${group.id}`, 'conversation:updated').map(e => e.payload.data);
+
+      it('let admins add people and announce it', async () => {
+        const res = await api('post', artist, `/conversations/${group.id}/participants`).send({ user_ids: [friend.id, client.id] });
+
+        expect(res.status).toBe(201);
+        expect(res.body.added).toEqual([friend.id]);
+        expect(systemMessages(group.id).pop()).toBe(`${artist.username} added ${friend.username}`);
+        expect(updates().pop()).toMatchObject({
+          change: 'participants_added',
+          actor_id: artist.id,
+          user_ids: [friend.id],
+          conversation: { id: group.id, is_group: true, participants: expect.arrayContaining([{ user_id: friend.id, role: 'member' }]) },
+        });
+
+        const denied = await api('post', client, `/conversations/${group.id}/participants`).send({ user_ids: [ctx.create.client().id] });
+        expect(denied.status).toBe(403);
+      });
+
+      it('let admins remove people, who are told and taken out of the room', async () => {
+        const res = await api('delete', artist, `/conversations/${group.id}/participants/${client.id}`);
+
+        expect(res.status).toBe(200);
+        expect(participantsOf(group.id).map(p => p.user_id)).not.toContain(client.id);
+        expect(systemMessages(group.id).pop()).toBe(`${artist.username} removed ${client.username}`);
+        expect(ctx.io.emittedTo(`user:${client.id}`, 'conversation:updated').pop().payload.data)
+          .toMatchObject({ change: 'participant_removed', user_ids: [client.id] });
+
+        expect((await api('delete', collaborator, `/conversations/${group.id}/participants/${artist.id}`)).status).toBe(403);
+      });
+
+      it('hand the admin role on when the last admin leaves', async () => {
+        const res = await api('delete', artist, `/conversations/${group.id}`);
+
+        expect(res.status).toBe(200);
+        expect(ctx.db.find('conversations', c => c.id === group.id)).toBeTruthy();
+        expect(participantsOf(group.id)).toEqual([
+          { user_id: client.id, role: 'admin' },
+          { user_id: collaborator.id, role: 'member' },
+        ]);
+        expect(systemMessages(group.id).pop()).toBe(`${artist.username} left`);
+      });
+
+      it('are renamed and get new admins from admins, keeping at least one', async () => {
+        expect((await api('patch', client, `/conversations/${group.id}`).send({ title: 'Nope' })).status).toBe(403);
+
+        const renamed = await api('patch', artist, `/conversations/${group.id}`).send({ title: 'Collab' });
+        expect(renamed.body).toEqual({ id: group.id, title: 'Collab' });
+        expect(updates().pop()).toMatchObject({ change: 'title_changed', conversation: { title: 'Collab' } });
+
+        expect((await api('patch', artist, `/conversations/${group.id}/participants/${artist.id}`).send({ role: 'member' })).status).toBe(400);
+
+        const promoted = await api('patch', artist, `/conversations/${group.id}/participants/${client.id}`).send({ role: 'admin' });
+        expect(promoted.body).toEqual({ user_id: client.id, role: 'admin' });
+        expect(systemMessages(group.id).pop()).toBe(`${artist.username} made ${client.username} an admin`);
+        expect((await api('patch', artist, `/conversations/${group.id}/participants/${artist.id}`).send({ role: 'member' })).status).toBe(200);
+      });
+
+      it('are listed with everyone in them, and system notes are not unread', async () => {
+        const { body } = await api('get', client, '/conversations');
+
+        const listed = body.conversations.find(c => c.id === group.id);
+        expect(listed).toMatchObject({ is_group: true, role: 'member', unread_count: 0 });
+        expect(listed.participants.map(p => p.id).sort()).toEqual([artist.id, collaborator.id].sort());
+      });
+    });
+  });
+
+  describe('muting', () => {
+    let conversation;
+
+    beforeEach(() => {
+      conversation = ctx.db.find('conversations', c => c.participant_hash === ConversationRepo.participantHash([client.id, artist.id]));
+    });
+
+    const mute = (user, body) => api('put', user, `/conversations/${conversation.id}/mute`).send(body);
+    const send = (user, content) => api('post', user, `/conversations/${conversation.id}/messages`).send({ content });
+
+    it('keeps unread counts but silences notifications until unmuted', async () => {
+      const res = await mute(artist, { muted: true });
+      await send(client, 'Quick question');
+      await settle();
+
+      expect(res.body).toEqual({ muted: true, muted_until: null });
+      expect(ctx.db.find('conversation_participants', p => p.conversation_id === conversation.id && p.user_id === artist.id).unread_count).toBe(1);
+      expect(ctx.db.table('notifications').filter(n => n.user_id === artist.id)).toHaveLength(0);
+
+      await mute(artist, { muted: false });
+      await send(client, 'Another one');
+      await settle();
+      expect(ctx.db.table('notifications').filter(n => n.user_id === artist.id)).toHaveLength(1);
+    });
+
+    it('can run out', async () => {
+      const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      expect((await mute(artist, { muted: true, until })).body).toEqual({ muted: true, muted_until: until });
+      expect((await mute(artist, { muted: true, until: '2000-01-01' })).status).toBe(400);
+      expect((await mute(artist, { muted: 'yes' })).status).toBe(400);
+      expect((await mute(collaborator, { muted: true })).status).toBe(404);
+
+      ctx.db.patch('conversation_participants', p => p.user_id === artist.id && p.conversation_id === conversation.id, {
+        muted_until: new Date(Date.now() - 1000).toISOString(),
+      });
+      await send(client, 'Are you back?');
+      await settle();
+      expect(ctx.db.table('notifications').filter(n => n.user_id === artist.id)).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,395 @@
+import jwt from 'jsonwebtoken';
+import { setSupabaseClients } from '../../src/config/supabase.js';
+import { setRedisClient } from '../../src/utils/cache.js';
+import { setPaymentClients } from '../../src/utils/paymentClients.js';
+import { createApp } from '../../src/app.js';
+import { registerJobs } from '../../src/jobs/index.js';
+import { ENQUEUE_SCRIPT, JobQueue } from '../../src/utils/jobQueue.js';
+import { RELEASE_SLOT_LOCK_SCRIPT } from '../../src/utils/artistSettings.js';
+import { ConversationRepo } from '../../src/repositories/conversationRepo.js';
+import { REALTIME_VERSION, attachRealtime } from '../../src/utils/realtime.js';
+import { FakeSupabase } from './fakeSupabase.js';
+import { FakeRedis } from './fakeRedis.js';
+import { FakePaypalClient, FakeStripe } from './fakePayments.js';
+
+// ============================================================================
+// TEST CONTEXT
+// Wires the in-memory stand-ins into the app and provides factories for the
+// rows most tests need. Call createTestContext() in beforeEach so every test
+// starts from an empty database and cache.
+// ============================================================================
+
+const now = () => new Date().toISOString();
+
+registerJobs();
+
+FakeRedis.defineScript(ENQUEUE_SCRIPT, (redis, [jobKey, waitingKey], [job, score, id]) => {
+  if (redis.store.get(jobKey) !== undefined) return 0;
+  // Neither write awaits anything, so nothing runs in between
+  redis.set(jobKey, job);
+  redis.zadd(waitingKey, Number(score), id);
+  return 1;
+});
+
+FakeRedis.defineScript(RELEASE_SLOT_LOCK_SCRIPT, (redis, [key], [token]) => {
+  if (redis.store.get(key)?.value !== token) return 0;
+  return redis.store.delete(key) ? 1 : 0;
+});
+
+// Column defaults and unique constraints the routes rely on
+export const TABLES = {
+  users: {
+    defaults: { user_type: 'client', role: 'user', account_status: 'active', avatar_url: '', full_name: null, bio: null, is_online: false, last_seen: null, show_online_status: true },
+    unique: [['email'], ['username']],
+  },
+  artists: {
+    defaults: { commission_status: 'open', rating: 0, total_reviews: 0 },
+  },
+  artist_commission_settings: {
+    unique: [['artist_id']],
+  },
+  artist_settings_history: {
+    defaults: { created_at: now },
+  },
+  artist_commission_windows: {
+    defaults: { status: 'scheduled', allocation: 'open', updated_at: now },
+  },
+  commission_drop_registrations: {
+    defaults: { status: 'registered', commission_id: null, created_at: now, updated_at: now },
+    unique: [['window_id', 'client_id']],
+  },
+  commissions: {
+    defaults: {
+      status: 'pending',
+      payment_status: 'unpaid',
+      escrow_status: 'none',
+      milestone_plan_confirmed: false,
+      deposit_percentage: 50,
+      total_paid: 0,
+      current_milestone_id: null,
+      accepted_quote_id: null,
+      decline_reason: null,
+      suggested_artist_id: null,
+      declined_at: null,
+      archived_at: null,
+      purged_at: null,
+      removed_at: null,
+      queue_status: null,
+      updated_at: now,
+    },
+  },
+  commission_quotes: {
+    defaults: { note: null, valid_until: null, responded_by: null, responded_at: null, response_reason: null, created_at: now },
+    unique: [['commission_id', 'round']],
+  },
+  commission_milestones: {
+    defaults: { payment_status: 'unpaid', is_locked: false, progress_update_id: null, updated_at: now },
+    unique: [['commission_id', 'milestone_number']],
+  },
+  commission_progress_updates: {
+    defaults: { requires_approval: false, approval_status: null, created_at: now },
+  },
+  pending_reviews: {
+    defaults: { created_at: now },
+  },
+  scheduled_action_runs: {
+    defaults: { created_at: now },
+    unique: [['rule', 'target_id', 'due_at']],
+  },
+  commission_requests: {
+    defaults: { status: 'open', removed_at: null, reference_images: [], preferred_styles: [] },
+  },
+  commission_request_bids: {
+    defaults: { status: 'pending' },
+    unique: [['request_id', 'artist_id']],
+  },
+  conversations: {
+    defaults: { commission_id: null, participant_hash: null, is_group: false, title: null, created_by: null, removed_at: null, updated_at: now },
+    unique: [['participant_hash']],
+  },
+  conversation_participants: {
+    defaults: { role: 'member', joined_at: now, muted: false, muted_until: null, unread_count: 0, last_read_at: now, last_delivered_at: null },
+    unique: [['conversation_id', 'user_id']],
+  },
+  messages: {
+    defaults: { message_type: 'text', image_url: null, metadata: null, reply_to_id: null, edited_at: null, removed_at: null },
+  },
+  message_edits: {
+    defaults: { edited_at: now },
+  },
+  message_reactions: {
+    unique: [['message_id', 'user_id', 'emoji']],
+  },
+  notifications: {
+    defaults: { in_app: true, digest_status: null, read_at: null },
+  },
+  payment_transactions: {
+    defaults: { status: 'pending', refunded_amount: 0 },
+  },
+  processed_webhook_events: {
+    defaults: { created_at: now, updated_at: now },
+    unique: [['provider', 'event_id']],
+  },
+  artist_ledger_entries: {
+    defaults: { status: 'available', reserved_for: null, payout_id: null, created_at: now },
+    unique: [
+      // Partial refunds write one 'refund' entry each
+      { columns: ['transaction_id', 'entry_type'], where: entry => entry.entry_type !== 'refund' },
+      ['payout_id', 'entry_type'],
+    ],
+  },
+  artist_payouts: {
+    defaults: { batch_id: null, provider_batch_id: null, next_attempt_at: null, last_attempt_at: null, created_at: now, updated_at: now },
+  },
+  reports: {
+    defaults: { status: 'open' },
+    unique: [['reporter_id', 'target_type', 'target_id']],
+  },
+  user_blocks: {
+    unique: [['user_id', 'target_id', 'type']],
+  },
+};
+
+// artists share their primary key with users
+export const RELATIONS = {
+  'users.artists': { type: 'one', localKey: 'id', foreignKey: 'id' },
+  'artists.users': { type: 'one', localKey: 'id', foreignKey: 'id' },
+  'artists.user': { type: 'one', localKey: 'id', foreignKey: 'id' },
+};
+
+// Mirrors the seeded milestone_stage_templates
+export const MILESTONE_TEMPLATES = [
+  { stage: 'sketch', display_name: 'Sketch', description: 'Initial sketch', default_percentage: 30, typical_order: 1 },
+  { stage: 'line_art', display_name: 'Line Art', description: 'Clean line art', default_percentage: 30, typical_order: 2 },
+  { stage: 'final', display_name: 'Final', description: 'Finished piece', default_percentage: 40, typical_order: 3 },
+];
+
+/**
+ * A connected Socket.io socket. trigger() calls the handler registered for a
+ * client command the way the server would on receipt.
+ */
+export class FakeSocket {
+  constructor(io, auth) {
+    this.io = io;
+    this.id = `socket-${++io.opened}`;
+    this.handshake = { auth };
+    this.data = {};
+    this.rooms = new Set([this.id]);
+    this.handlers = {};
+    this.emitted = [];
+  }
+
+  join(room) {
+    this.rooms.add(room);
+  }
+
+  leave(room) {
+    this.rooms.delete(room);
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  emit(event, payload) {
+    this.emitted.push({ event, payload });
+  }
+
+  // Broadcast to a room, except this socket
+  to(room) {
+    return {
+      emit: (event, payload) => this.io.emitted.push({ rooms: [room], event, payload, except: this.id }),
+    };
+  }
+
+  async trigger(event, ...args) {
+    return this.handlers[event]?.(...args);
+  }
+
+  disconnect() {
+    this.handlers.disconnect?.();
+    this.io.sockets = this.io.sockets.filter(socket => socket !== this);
+  }
+}
+
+/**
+ * Records Socket.io emits made through utils/realtime.js, and runs its
+ * middleware and connection handler for sockets opened with connect().
+ */
+export class FakeIo {
+  constructor() {
+    this.emitted = [];
+    this.middleware = [];
+    this.handlers = {};
+    this.sockets = [];
+    this.opened = 0;
+  }
+
+  get local() {
+    return this;
+  }
+
+  use(fn) {
+    this.middleware.push(fn);
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  to(rooms) {
+    return {
+      emit: (event, payload) => this.emitted.push({ rooms: [rooms].flat(), event, payload }),
+    };
+  }
+
+  in(room) {
+    return {
+      socketsLeave: (leave) => this.sockets
+        .filter(socket => socket.rooms.has(room))
+        .forEach(socket => socket.leave(leave)),
+    };
+  }
+
+  emit(event, payload) {
+    this.emitted.push({ rooms: [], event, payload });
+  }
+
+  /**
+   * Open a socket with this handshake auth. Rejects with the middleware's
+   * error when the connection is refused.
+   */
+  async connect(auth) {
+    const socket = new FakeSocket(this, auth);
+    for (const fn of this.middleware) {
+      await new Promise((resolve, reject) => fn(socket, error => (error ? reject(error) : resolve())));
+    }
+    this.sockets.push(socket);
+    this.handlers.connection?.(socket);
+    return socket;
+  }
+
+  // Events delivered to a room
+  emittedTo(room, event) {
+    return this.emitted.filter(e => e.rooms.includes(room) && (!event || e.event === event));
+  }
+}
+
+// Stand-ins for the SQL functions in migrations/. Each runs without awaiting,
+// so like the real function nothing happens in between its reads and writes.
+const FUNCTIONS = {
+  accept_commission_quote({ p_quote_id, p_responded_by, p_status }, db) {
+    const quote = db.find('commission_quotes', q => q.id === p_quote_id && q.status === 'pending');
+    if (!quote || !db.find('commissions', c => c.id === quote.commission_id && c.status === 'pending')) return [];
+
+    db.patch('commission_quotes', q => q.id === quote.id, {
+      status: 'accepted',
+      responded_by: p_responded_by,
+      responded_at: now(),
+      response_reason: null,
+    });
+    return db.patch('commissions', c => c.id === quote.commission_id, {
+      status: p_status,
+      final_price: quote.total,
+      accepted_quote_id: quote.id,
+      updated_at: now(),
+    });
+  },
+};
+
+export function createTestContext() {
+  const db = new FakeSupabase({ tables: TABLES, relations: RELATIONS, functions: FUNCTIONS });
+  const redis = new FakeRedis();
+  const stripe = new FakeStripe();
+  const paypal = new FakePaypalClient();
+  const io = new FakeIo();
+
+  setSupabaseClients({ admin: db, anon: db });
+  setRedisClient(redis);
+  setPaymentClients({ stripe, paypal });
+
+  const app = createApp();
+  attachRealtime(io, { relay: false });
+
+  let sequence = 0;
+  const nextName = (prefix) => `${prefix}${++sequence}`;
+
+  const factories = {
+    user(overrides = {}) {
+      const username = overrides.username || nextName('user');
+      return db.seed('users', { username, email: `${username}@example.com`, ...overrides });
+    },
+
+    client(overrides = {}) {
+      return factories.user({ user_type: 'client', ...overrides });
+    },
+
+    // commissions.artist_id is the artist's user id
+    artist(overrides = {}, artistOverrides = {}) {
+      const user = factories.user({ user_type: 'artist', username: nextName('artist'), ...overrides });
+      db.seed('artists', { id: user.id, ...artistOverrides });
+      return user;
+    },
+
+    staff(role = 'moderator', overrides = {}) {
+      return factories.user({ role, username: nextName(role), ...overrides });
+    },
+
+    commission(client, artist, overrides = {}) {
+      return db.seed('commissions', {
+        client_id: client.id,
+        artist_id: artist.id,
+        details: 'A portrait of my cat',
+        final_price: 100,
+        ...overrides,
+      });
+    },
+
+    // Direct unless overrides say is_group
+    conversation(users, overrides = {}) {
+      const conversation = db.seed('conversations', {
+        participant_hash: overrides.is_group ? null : ConversationRepo.participantHash(users.map(user => user.id)),
+        ...overrides,
+      });
+      db.seed('conversation_participants', users.map(user => ({ conversation_id: conversation.id, user_id: user.id })));
+      return conversation;
+    },
+
+    milestoneTemplates() {
+      return db.seed('milestone_stage_templates', MILESTONE_TEMPLATES);
+    },
+  };
+
+  return { app, db, redis, stripe, paypal, io, create: factories };
+}
+
+/**
+ * Authorization header for a user, signed like /api/auth does.
+ */
+export function authHeader(user) {
+  const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  return { Authorization: `Bearer ${token}` };
+}
+
+/**
+ * Socket.io handshake auth for a user, as frontend/lib/socket.js sends it.
+ */
+export function socketAuth(user, overrides = {}) {
+  const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  return { token, version: REALTIME_VERSION, ...overrides };
+}
+
+/**
+ * Let fire-and-forget work started by a request (notifications, counters)
+ * finish and run the background jobs it queued, including jobs those jobs
+ * queue, before asserting on it. Delayed jobs stay queued.
+ */
+export async function settle(rounds = 10) {
+  for (let pass = 0; pass < 20; pass++) {
+    for (let i = 0; i < rounds; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    const processed = await JobQueue.runOnce();
+    if (processed === 0) return;
+  }
+}
@@ -0,0 +1,53 @@
+import { createServer } from 'http';
+
+/**
+ * Local stand-in for the Expo push API. Every message sent is accepted with
+ * a ticket unless its token is listed in `unregistered`; `receipts` holds the
+ * receipts /getReceipts answers with. Points EXPO_PUSH_API_URL at itself
+ * until close() is called.
+ */
+export async function startExpoStub() {
+  const stub = {
+    requests: [],
+    unregistered: new Set(),
+    receipts: {},
+    sent: () => stub.requests.filter(r => r.path === '/send').flatMap(r => r.body),
+  };
+  let ticketCount = 0;
+
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || 'null');
+      stub.requests.push({ path: req.url, body, headers: req.headers });
+
+      let data;
+      if (req.url === '/send') {
+        data = body.map(message => (stub.unregistered.has(message.to)
+          ? { status: 'error', message: 'Not registered', details: { error: 'DeviceNotRegistered' } }
+          : { status: 'ok', id: `ticket-${++ticketCount}` }));
+      } else if (req.url === '/getReceipts') {
+        data = Object.fromEntries(body.ids.filter(id => stub.receipts[id]).map(id => [id, stub.receipts[id]]));
+      } else {
+        res.writeHead(404).end();
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const previousUrl = process.env.EXPO_PUSH_API_URL;
+  process.env.EXPO_PUSH_API_URL = `http://127.0.0.1:${server.address().port}`;
+
+  stub.close = async () => {
+    if (previousUrl === undefined) delete process.env.EXPO_PUSH_API_URL;
+    else process.env.EXPO_PUSH_API_URL = previousUrl;
+    await new Promise(resolve => server.close(resolve));
+  };
+
+  return stub;
+}
@@ -0,0 +1,143 @@
+import { randomUUID } from 'crypto';
+
+// ============================================================================
+// FAKE PAYMENT PROVIDERS
+// Stand-ins for the Stripe SDK and the PayPal checkout client, injected with
+// setPaymentClients(). Both keep what was created so tests can settle or
+// fail payments the way the real provider (or its webhooks) would.
+// ============================================================================
+
+const shortId = () => randomUUID().replace(/-/g, '').slice(0, 16);
+
+export class FakeStripe {
+  constructor() {
+    this.intents = new Map();
+    this.refundsIssued = [];
+    this.transfersSent = [];
+
+    this.paymentIntents = {
+      create: async (params) => {
+        const id = `pi_${shortId()}`;
+        const intent = {
+          id,
+          object: 'payment_intent',
+          client_secret: `${id}_secret_${shortId()}`,
+          status: 'requires_payment_method',
+          ...params,
+        };
+        this.intents.set(id, intent);
+        return { ...intent };
+      },
+      retrieve: async (id) => {
+        const intent = this.intents.get(id);
+        if (!intent) throw Object.assign(new Error(`No such payment_intent: '${id}'`), { statusCode: 404 });
+        return { ...intent };
+      },
+    };
+
+    this.refunds = {
+      create: async (params) => {
+        const refund = { id: `re_${shortId()}`, object: 'refund', status: 'succeeded', ...params };
+        this.refundsIssued.push(refund);
+        return { ...refund };
+      },
+    };
+
+    this.transfersByKey = new Map();
+
+    this.transfers = {
+      // Like Stripe, a repeated idempotency key gets the first response back
+      create: async (params, { idempotencyKey = null } = {}) => {
+        if (idempotencyKey && this.transfersByKey.has(idempotencyKey)) {
+          return { ...this.transfersByKey.get(idempotencyKey) };
+        }
+        const transfer = { id: `tr_${shortId()}`, object: 'transfer', ...params };
+        this.transfersSent.push(transfer);
+        if (idempotencyKey) this.transfersByKey.set(idempotencyKey, transfer);
+        return { ...transfer };
+      },
+    };
+  }
+
+  /**
+   * Move a payment intent to `succeeded` (or another status), as if the
+   * client had confirmed it.
+   */
+  settle(id, status = 'succeeded') {
+    const intent = this.intents.get(id);
+    if (!intent) throw new Error(`Unknown payment intent ${id}`);
+    intent.status = status;
+    return { ...intent };
+  }
+}
+
+/**
+ * Mimics PayPalHttpClient.execute() for the checkout order requests.
+ */
+export class FakePaypalClient {
+  constructor() {
+    this.orders = new Map();
+    this.requests = [];
+    this.captureFailures = [];
+  }
+
+  /**
+   * Make the next capture come back with this status instead of COMPLETED.
+   */
+  failNextCapture(status = 'DECLINED') {
+    this.captureFailures.push(status);
+  }
+
+  async execute(request) {
+    this.requests.push({ verb: request.verb, path: request.path, body: request.body });
+
+    if (request.verb === 'POST' && request.path === '/v2/checkout/orders?') {
+      return this.createOrder(request.body);
+    }
+
+    const capture = request.path.match(/^\/v2\/checkout\/orders\/([^/]+)\/capture\??$/);
+    if (request.verb === 'POST' && capture) {
+      return this.captureOrder(decodeURIComponent(capture[1]));
+    }
+
+    throw new Error(`FakePaypalClient: unsupported request ${request.verb} ${request.path}`);
+  }
+
+  createOrder(body) {
+    const id = shortId().toUpperCase();
+    const order = {
+      id,
+      status: 'CREATED',
+      intent: body.intent,
+      purchase_units: body.purchase_units,
+      links: [
+        { rel: 'self', href: `https://api.sandbox.paypal.test/v2/checkout/orders/${id}`, method: 'GET' },
+        { rel: 'approve', href: `https://www.sandbox.paypal.test/checkoutnow?token=${id}`, method: 'GET' },
+      ],
+    };
+    this.orders.set(id, order);
+    return { statusCode: 201, result: structuredClone(order) };
+  }
+
+  captureOrder(id) {
+    const order = this.orders.get(id);
+    if (!order) {
+      throw Object.assign(new Error('RESOURCE_NOT_FOUND'), { statusCode: 404 });
+    }
+    if (order.status === 'COMPLETED') {
+      throw Object.assign(new Error('UNPROCESSABLE_ENTITY: ORDER_ALREADY_CAPTURED'), { statusCode: 422 });
+    }
+
+    order.status = this.captureFailures.shift() || 'COMPLETED';
+    const captureId = `CAP${shortId().toUpperCase()}`;
+    const result = {
+      id,
+      status: order.status,
+      purchase_units: order.purchase_units.map(unit => ({
+        ...unit,
+        payments: { captures: [{ id: captureId, status: order.status, amount: unit.amount }] },
+      })),
+    };
+    return { statusCode: 201, result };
+  }
+}
@@ -0,0 +1,509 @@
+import { EventEmitter } from 'events';
+
+// ============================================================================
+// FAKE REDIS
+// In-memory stand-in for the ioredis client: strings, hashes, lists, sets,
+// sorted sets, HyperLogLog (kept as a set), expirations and pub/sub.
+// Replies follow ioredis: strings for values, numbers for counters.
+// duplicate() returns a client sharing the same data and channels. Lua
+// scripts cannot run here: eval() runs the JavaScript stand-in registered
+// for the script's source with FakeRedis.defineScript().
+// ============================================================================
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.').replace(/\[([^\]]*)\]/g, '[$1]')}$`);
+}
+
+class FakeRedisStore {
+  constructor() {
+    this.values = new Map();
+    this.expiries = new Map();
+    this.bus = new EventEmitter();
+    this.bus.setMaxListeners(0);
+  }
+
+  purge(key) {
+    const expiresAt = this.expiries.get(key);
+    if (expiresAt !== undefined && expiresAt <= Date.now()) {
+      this.values.delete(key);
+      this.expiries.delete(key);
+    }
+  }
+
+  get(key) {
+    this.purge(key);
+    return this.values.get(key);
+  }
+
+  set(key, entry) {
+    this.values.set(key, entry);
+  }
+
+  delete(key) {
+    this.purge(key);
+    this.expiries.delete(key);
+    return this.values.delete(key);
+  }
+
+  keys() {
+    [...this.values.keys()].forEach(key => this.purge(key));
+    return [...this.values.keys()];
+  }
+}
+
+export class FakeRedis extends EventEmitter {
+  constructor(store = new FakeRedisStore()) {
+    super();
+    this.store = store;
+    this.status = 'ready';
+    this.subscriptions = new Set();
+    this.patternSubscriptions = new Set();
+    this.published = [];
+    this.onMessage = (channel, message) => {
+      if (this.subscriptions.has(channel)) this.emit('message', channel, message);
+      for (const pattern of this.patternSubscriptions) {
+        if (globToRegExp(pattern).test(channel)) this.emit('pmessage', pattern, channel, message);
+      }
+    };
+    this.store.bus.on('message', this.onMessage);
+  }
+
+  // -- connection -----------------------------------------------------------
+
+  async connect() { this.status = 'ready'; }
+  async ping() { return 'PONG'; }
+
+  async quit() {
+    this.disconnect();
+    return 'OK';
+  }
+
+  disconnect() {
+    this.status = 'end';
+    this.store.bus.off('message', this.onMessage);
+  }
+
+  duplicate() {
+    return new FakeRedis(this.store);
+  }
+
+  async flushall() {
+    this.store.values.clear();
+    this.store.expiries.clear();
+    return 'OK';
+  }
+
+  // -- typed access ---------------------------------------------------------
+
+  read(key, type) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+    if (entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry.value;
+  }
+
+  write(key, type, create) {
+    let entry = this.store.get(key);
+    if (!entry) {
+      entry = { type, value: create() };
+      this.store.set(key, entry);
+    } else if (entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry.value;
+  }
+
+  // -- keys -----------------------------------------------------------------
+
+  async del(...keys) {
+    return keys.flat().filter(key => this.store.delete(key)).length;
+  }
+
+  async exists(...keys) {
+    return keys.flat().filter(key => this.store.get(key) !== undefined).length;
+  }
+
+  async keys(pattern) {
+    const matcher = globToRegExp(pattern);
+    return this.store.keys().filter(key => matcher.test(key));
+  }
+
+  async expire(key, seconds) {
+    if (this.store.get(key) === undefined) return 0;
+    this.store.expiries.set(key, Date.now() + seconds * 1000);
+    return 1;
+  }
+
+  async pexpire(key, milliseconds) {
+    if (this.store.get(key) === undefined) return 0;
+    this.store.expiries.set(key, Date.now() + milliseconds);
+    return 1;
+  }
+
+  async ttl(key) {
+    if (this.store.get(key) === undefined) return -2;
+    const expiresAt = this.store.expiries.get(key);
+    return expiresAt === undefined ? -1 : Math.ceil((expiresAt - Date.now()) / 1000);
+  }
+
+  async persist(key) {
+    return this.store.expiries.delete(key) ? 1 : 0;
+  }
+
+  // -- strings --------------------------------------------------------------
+
+  async get(key) {
+    return this.read(key, 'string');
+  }
+
+  async set(key, value, ...args) {
+    const options = args.map(a => (typeof a === 'string' ? a.toUpperCase() : a));
+    const exists = this.store.get(key) !== undefined;
+    if ((options.includes('NX') && exists) || (options.includes('XX') && !exists)) return null;
+
+    this.store.set(key, { type: 'string', value: String(value) });
+    this.store.expiries.delete(key);
+
+    const ex = options.indexOf('EX');
+    const px = options.indexOf('PX');
+    if (ex !== -1) await this.expire(key, Number(options[ex + 1]));
+    if (px !== -1) await this.pexpire(key, Number(options[px + 1]));
+    return 'OK';
+  }
+
+  async setex(key, seconds, value) {
+    return this.set(key, value, 'EX', seconds);
+  }
+
+  async mget(...keys) {
+    return Promise.all(keys.flat().map(key => this.get(key)));
+  }
+
+  async incrby(key, amount) {
+    const current = parseInt(this.read(key, 'string') ?? '0', 10);
+    const next = current + Number(amount);
+    const expiresAt = this.store.expiries.get(key);
+    this.store.set(key, { type: 'string', value: String(next) });
+    if (expiresAt !== undefined) this.store.expiries.set(key, expiresAt);
+    return next;
+  }
+
+  async incr(key) { return this.incrby(key, 1); }
+  async decr(key) { return this.incrby(key, -1); }
+  async decrby(key, amount) { return this.incrby(key, -amount); }
+
+  // -- hashes ---------------------------------------------------------------
+
+  async hset(key, ...args) {
+    const hash = this.write(key, 'hash', () => new Map());
+    const pairs = [];
+    if (args.length === 1 && typeof args[0] === 'object') {
+      pairs.push(...Object.entries(args[0]));
+    } else {
+      for (let i = 0; i < args.length; i += 2) pairs.push([args[i], args[i + 1]]);
+    }
+    let added = 0;
+    for (const [field, value] of pairs) {
+      if (!hash.has(String(field))) added++;
+      hash.set(String(field), String(value));
+    }
+    return added;
+  }
+
+  async hmset(key, ...args) {
+    await this.hset(key, ...args);
+    return 'OK';
+  }
+
+  async hget(key, field) {
+    return this.read(key, 'hash')?.get(String(field)) ?? null;
+  }
+
+  async hmget(key, ...fields) {
+    const hash = this.read(key, 'hash');
+    return fields.flat().map(field => hash?.get(String(field)) ?? null);
+  }
+
+  async hgetall(key) {
+    return Object.fromEntries(this.read(key, 'hash') || []);
+  }
+
+  async hdel(key, ...fields) {
+    const hash = this.read(key, 'hash');
+    if (!hash) return 0;
+    const removed = fields.flat().filter(field => hash.delete(String(field))).length;
+    if (hash.size === 0) this.store.delete(key);
+    return removed;
+  }
+
+  async hexists(key, field) {
+    return this.read(key, 'hash')?.has(String(field)) ? 1 : 0;
+  }
+
+  async hincrby(key, field, amount) {
+    const hash = this.write(key, 'hash', () => new Map());
+    const next = parseInt(hash.get(String(field)) ?? '0', 10) + Number(amount);
+    hash.set(String(field), String(next));
+    return next;
+  }
+
+  async hkeys(key) {
+    return [...(this.read(key, 'hash')?.keys() || [])];
+  }
+
+  async hlen(key) {
+    return this.read(key, 'hash')?.size || 0;
+  }
+
+  // -- lists ----------------------------------------------------------------
+
+  async lpush(key, ...values) {
+    const list = this.write(key, 'list', () => []);
+    values.flat().forEach(value => list.unshift(String(value)));
+    return list.length;
+  }
+
+  async rpush(key, ...values) {
+    const list = this.write(key, 'list', () => []);
+    list.push(...values.flat().map(String));
+    return list.length;
+  }
+
+  async lpop(key) {
+    const list = this.read(key, 'list');
+    const value = list?.shift() ?? null;
+    if (list && list.length === 0) this.store.delete(key);
+    return value;
+  }
+
+  async rpop(key) {
+    const list = this.read(key, 'list');
+    const value = list?.pop() ?? null;
+    if (list && list.length === 0) this.store.delete(key);
+    return value;
+  }
+
+  async llen(key) {
+    return this.read(key, 'list')?.length || 0;
+  }
+
+  async lrange(key, start, stop) {
+    const list = this.read(key, 'list') || [];
+    const end = stop < 0 ? list.length + stop : stop;
+    return list.slice(start < 0 ? Math.max(list.length + start, 0) : start, end + 1);
+  }
+
+  async ltrim(key, start, stop) {
+    const list = this.read(key, 'list');
+    if (!list) return 'OK';
+    const kept = await this.lrange(key, start, stop);
+    list.splice(0, list.length, ...kept);
+    return 'OK';
+  }
+
+  async lrem(key, count, value) {
+    const list = this.read(key, 'list');
+    if (!list) return 0;
+    let removed = 0;
+    for (let i = 0; i < list.length && (count === 0 || removed < Math.abs(count)); i++) {
+      if (list[i] === String(value)) {
+        list.splice(i--, 1);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // -- sets -----------------------------------------------------------------
+
+  async sadd(key, ...members) {
+    const set = this.write(key, 'set', () => new Set());
+    return members.flat().filter(member => !set.has(String(member)) && set.add(String(member))).length;
+  }
+
+  async srem(key, ...members) {
+    const set = this.read(key, 'set');
+    if (!set) return 0;
+    return members.flat().filter(member => set.delete(String(member))).length;
+  }
+
+  async smembers(key) {
+    return [...(this.read(key, 'set') || [])];
+  }
+
+  async sismember(key, member) {
+    return this.read(key, 'set')?.has(String(member)) ? 1 : 0;
+  }
+
+  async scard(key) {
+    return this.read(key, 'set')?.size || 0;
+  }
+
+  // -- sorted sets ----------------------------------------------------------
+
+  sorted(key) {
+    const zset = this.read(key, 'zset');
+    if (!zset) return [];
+    return [...zset.entries()]
+      .map(([member, score]) => ({ member, score }))
+      .sort((a, b) => a.score - b.score || (a.member < b.member ? -1 : a.member > b.member ? 1 : 0));
+  }
+
+  async zadd(key, ...args) {
+    const zset = this.write(key, 'zset', () => new Map());
+    let added = 0;
+    for (let i = 0; i < args.length; i += 2) {
+      const member = String(args[i + 1]);
+      if (!zset.has(member)) added++;
+      zset.set(member, Number(args[i]));
+    }
+    return added;
+  }
+
+  async zincrby(key, amount, member) {
+    const zset = this.write(key, 'zset', () => new Map());
+    const next = (zset.get(String(member)) || 0) + Number(amount);
+    zset.set(String(member), next);
+    return String(next);
+  }
+
+  async zrem(key, ...members) {
+    const zset = this.read(key, 'zset');
+    if (!zset) return 0;
+    return members.flat().filter(member => zset.delete(String(member))).length;
+  }
+
+  async zscore(key, member) {
+    const score = this.read(key, 'zset')?.get(String(member));
+    return score === undefined ? null : String(score);
+  }
+
+  async zcard(key) {
+    return this.read(key, 'zset')?.size || 0;
+  }
+
+  slice(entries, start, stop, withScores) {
+    const end = stop < 0 ? entries.length + stop : stop;
+    const from = start < 0 ? Math.max(entries.length + start, 0) : start;
+    const selected = entries.slice(from, end + 1);
+    return withScores
+      ? selected.flatMap(({ member, score }) => [member, String(score)])
+      : selected.map(({ member }) => member);
+  }
+
+  async zrange(key, start, stop, ...options) {
+    return this.slice(this.sorted(key), start, stop, options.includes('WITHSCORES'));
+  }
+
+  async zrevrange(key, start, stop, ...options) {
+    return this.slice(this.sorted(key).reverse(), start, stop, options.includes('WITHSCORES'));
+  }
+
+  async zrangebyscore(key, min, max, ...options) {
+    const low = min === '-inf' ? -Infinity : Number(min);
+    const high = max === '+inf' ? Infinity : Number(max);
+    let entries = this.sorted(key).filter(({ score }) => score >= low && score <= high);
+    const limit = options.findIndex(o => String(o).toUpperCase() === 'LIMIT');
+    if (limit !== -1) {
+      const offset = Number(options[limit + 1]);
+      const count = Number(options[limit + 2]);
+      entries = entries.slice(offset, count < 0 ? undefined : offset + count);
+    }
+    return this.slice(entries, 0, -1, options.includes('WITHSCORES'));
+  }
+
+  async zremrangebyrank(key, start, stop) {
+    const zset = this.read(key, 'zset');
+    if (!zset) return 0;
+    const members = this.slice(this.sorted(key), start, stop, false);
+    members.forEach(member => zset.delete(member));
+    return members.length;
+  }
+
+  async zremrangebyscore(key, min, max) {
+    const zset = this.read(key, 'zset');
+    if (!zset) return 0;
+    const members = await this.zrangebyscore(key, min, max);
+    members.forEach(member => zset.delete(member));
+    return members.length;
+  }
+
+  async zrank(key, member) {
+    const index = this.sorted(key).findIndex(entry => entry.member === String(member));
+    return index === -1 ? null : index;
+  }
+
+  async zrevrank(key, member) {
+    const index = this.sorted(key).reverse().findIndex(entry => entry.member === String(member));
+    return index === -1 ? null : index;
+  }
+
+  // -- HyperLogLog (exact, which is fine for tests) -------------------------
+
+  async pfadd(key, ...elements) {
+    const set = this.write(key, 'hll', () => new Set());
+    const before = set.size;
+    elements.flat().forEach(element => set.add(String(element)));
+    return set.size > before ? 1 : 0;
+  }
+
+  async pfcount(...keys) {
+    const union = new Set();
+    keys.flat().forEach(key => (this.read(key, 'hll') || []).forEach(element => union.add(element)));
+    return union.size;
+  }
+
+  // -- scripting ------------------------------------------------------------
+
+  /**
+   * Register `run(client, keys, args)` as the stand-in for a Lua script. It
+   * must not await, so that it runs atomically like the script would.
+   */
+  static defineScript(source, run) {
+    FakeRedis.scripts.set(source, run);
+  }
+
+  async eval(source, numberOfKeys, ...rest) {
+    const run = FakeRedis.scripts.get(source);
+    if (!run) throw new Error('FakeRedis: no stand-in defined for this script');
+    return run(this, rest.slice(0, numberOfKeys).map(String), rest.slice(numberOfKeys).map(String));
+  }
+
+  // -- pub/sub --------------------------------------------------------------
+
+  async publish(channel, message) {
+    this.published.push({ channel, message });
+    const receivers = this.store.bus.listenerCount('message');
+    this.store.bus.emit('message', channel, String(message));
+    return receivers;
+  }
+
+  async subscribe(...channels) {
+    channels.flat().forEach(channel => this.subscriptions.add(channel));
+    return this.subscriptions.size;
+  }
+
+  async unsubscribe(...channels) {
+    const list = channels.flat();
+    (list.length ? list : [...this.subscriptions]).forEach(channel => this.subscriptions.delete(channel));
+    return this.subscriptions.size;
+  }
+
+  async psubscribe(...patterns) {
+    patterns.flat().forEach(pattern => this.patternSubscriptions.add(pattern));
+    return this.patternSubscriptions.size;
+  }
+
+  async punsubscribe(...patterns) {
+    const list = patterns.flat();
+    (list.length ? list : [...this.patternSubscriptions]).forEach(pattern => this.patternSubscriptions.delete(pattern));
+    return this.patternSubscriptions.size;
+  }
+}
+
+FakeRedis.scripts = new Map();
+
+export default FakeRedis;
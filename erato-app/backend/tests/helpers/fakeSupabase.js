@@ -0,0 +1,831 @@
+import { randomUUID } from 'crypto';
+
+// ============================================================================
+// FAKE SUPABASE
+// In-memory stand-in for the parts of the Supabase client the backend uses:
+// the PostgREST query builder (filters, ordering, ranges, counts, embedded
+// resources, unique constraints), rpc(), Storage and Auth.
+//
+// Embedded resources (`alias:table!hint(columns)`) are resolved from
+// explicit `relations`, from a foreign key hint (`reports_reporter_id_fkey`)
+// or by convention: `<alias>_id` / `<singular table>_id` on the parent is a
+// many-to-one link, `<singular parent>_id` on the child is one-to-many.
+// ============================================================================
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+const singular = (table) => {
+  if (table.endsWith('ies')) return `${table.slice(0, -3)}y`;
+  if (table.endsWith('s')) return table.slice(0, -1);
+  return table;
+};
+
+const isNumeric = (value) =>
+  typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+
+function compare(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  if (a instanceof Date || b instanceof Date) return new Date(a) - new Date(b);
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function looseEqual(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return String(a) === String(b);
+}
+
+function likeToRegExp(pattern, flags) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, flags);
+}
+
+function containsValue(haystack, needle) {
+  if (haystack === null || haystack === undefined) return false;
+  if (Array.isArray(haystack)) {
+    const values = Array.isArray(needle) ? needle : [needle];
+    return values.every(v => haystack.some(h => looseEqual(h, v)));
+  }
+  if (typeof haystack === 'object') {
+    return Object.entries(needle || {}).every(([key, value]) =>
+      typeof value === 'object' && value !== null
+        ? containsValue(haystack[key], value)
+        : looseEqual(haystack[key], value));
+  }
+  return String(haystack).includes(String(needle));
+}
+
+// Values inside or()/filter() strings arrive as text
+function parseFilterValue(op, raw) {
+  if (raw === 'null') return null;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (/^".*"$/.test(raw)) return raw.slice(1, -1);
+  if (op === 'in') return raw.replace(/^\(|\)$/g, '').split(',').map(v => v.trim().replace(/^"|"$/g, ''));
+  if (['cs', 'cd', 'ov', 'contains', 'containedBy', 'overlaps'].includes(op) && /^\{.*\}$/.test(raw)) {
+    return raw.slice(1, -1).split(',').filter(Boolean).map(v => v.trim().replace(/^"|"$/g, ''));
+  }
+  return raw;
+}
+
+const OPERATORS = {
+  eq: (a, b) => looseEqual(a, b),
+  neq: (a, b) => a !== null && a !== undefined && !looseEqual(a, b),
+  gt: (a, b) => a !== null && a !== undefined && compare(a, b) > 0,
+  gte: (a, b) => a !== null && a !== undefined && compare(a, b) >= 0,
+  lt: (a, b) => a !== null && a !== undefined && compare(a, b) < 0,
+  lte: (a, b) => a !== null && a !== undefined && compare(a, b) <= 0,
+  like: (a, b) => a !== null && a !== undefined && likeToRegExp(b).test(String(a)),
+  ilike: (a, b) => a !== null && a !== undefined && likeToRegExp(b, 'i').test(String(a)),
+  is: (a, b) => (b === null ? a === null || a === undefined : a === b),
+  in: (a, b) => (b || []).some(v => looseEqual(a, v)),
+  cs: (a, b) => containsValue(a, b),
+  cd: (a, b) => Array.isArray(a) && a.every(v => (b || []).some(w => looseEqual(v, w))),
+  ov: (a, b) => Array.isArray(a) && a.some(v => (b || []).some(w => looseEqual(v, w))),
+};
+OPERATORS.contains = OPERATORS.cs;
+OPERATORS.containedBy = OPERATORS.cd;
+OPERATORS.overlaps = OPERATORS.ov;
+
+function getPath(row, path) {
+  return path.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    if (Array.isArray(value)) return value.map(v => v?.[key]);
+    return value[key];
+  }, row);
+}
+
+function splitTopLevel(input, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of input) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a PostgREST logic tree: `a.eq.1,and(b.gt.2,c.is.null)`
+ */
+function parseLogic(expression) {
+  return splitTopLevel(expression).map(part => {
+    const group = part.match(/^(and|or|not\.and|not\.or)\((.*)\)$/s);
+    if (group) {
+      const negate = group[1].startsWith('not.');
+      return {
+        type: negate ? group[1].slice(4) : group[1],
+        negate,
+        conditions: parseLogic(group[2]),
+      };
+    }
+
+    const firstDot = part.indexOf('.');
+    const column = part.slice(0, firstDot);
+    let rest = part.slice(firstDot + 1);
+    let negate = false;
+    if (rest.startsWith('not.')) {
+      negate = true;
+      rest = rest.slice(4);
+    }
+    const secondDot = rest.indexOf('.');
+    const op = rest.slice(0, secondDot);
+    const value = parseFilterValue(op, rest.slice(secondDot + 1));
+    return { type: 'filter', column, op, value, negate };
+  });
+}
+
+function evaluateLogic(row, node) {
+  if (node.type === 'filter') {
+    const operator = OPERATORS[node.op];
+    if (!operator) throw new Error(`FakeSupabase: unsupported operator "${node.op}"`);
+    const result = operator(getPath(row, node.column), node.value);
+    return node.negate ? !result : result;
+  }
+  const results = node.conditions.map(c => evaluateLogic(row, c));
+  const result = node.type === 'and' ? results.every(Boolean) : results.some(Boolean);
+  return node.negate ? !result : result;
+}
+
+function filterColumns(node) {
+  if (node.type === 'filter') return [node.column];
+  return (node.conditions || []).flatMap(filterColumns);
+}
+
+/**
+ * Parse a select string into column and embedded resource nodes.
+ */
+function parseSelect(columns) {
+  const source = (columns || '*').replace(/\s+/g, ' ').trim();
+  return splitTopLevel(source).map(part => {
+    const embed = part.match(/^(?:([\w]+):)?([\w]+)(?:!([\w]+))?(?:!([\w]+))?\s*\((.*)\)$/s);
+    if (embed) {
+      const [, alias, table, hintA, hintB, inner] = embed;
+      const hints = [hintA, hintB].filter(Boolean);
+      return {
+        type: 'embed',
+        alias: alias || table,
+        table,
+        inner: hints.includes('inner'),
+        hint: hints.find(h => h !== 'inner' && h !== 'left') || null,
+        nodes: parseSelect(inner),
+      };
+    }
+
+    const renamed = part.match(/^(\w+):(?!:)(.+)$/);
+    const column = (renamed ? renamed[2] : part).split('::')[0].trim();
+    return { type: 'column', column, alias: renamed ? renamed[1] : column };
+  });
+}
+
+export function postgrestError(code, message, details = null) {
+  return { code, message, details, hint: null };
+}
+
+class FakeQueryBuilder {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.operation = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.limitCount = null;
+    this.mode = 'many';
+    this.countMode = null;
+    this.headOnly = false;
+    this.payload = null;
+    this.options = {};
+  }
+
+  // -- operations -----------------------------------------------------------
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.operation === 'select') {
+      this.columns = columns;
+      this.countMode = count;
+      this.headOnly = head;
+    } else {
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(values, options = {}) {
+    this.operation = 'insert';
+    this.payload = values;
+    this.options = options;
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.operation = 'upsert';
+    this.payload = values;
+    this.options = options;
+    return this;
+  }
+
+  update(values, options = {}) {
+    this.operation = 'update';
+    this.payload = values;
+    this.options = options;
+    return this;
+  }
+
+  delete(options = {}) {
+    this.operation = 'delete';
+    this.options = options;
+    return this;
+  }
+
+  // -- filters --------------------------------------------------------------
+
+  addFilter(column, op, value, negate = false) {
+    this.filters.push({ type: 'filter', column, op, value, negate });
+    return this;
+  }
+
+  eq(column, value) { return this.addFilter(column, 'eq', value); }
+  neq(column, value) { return this.addFilter(column, 'neq', value); }
+  gt(column, value) { return this.addFilter(column, 'gt', value); }
+  gte(column, value) { return this.addFilter(column, 'gte', value); }
+  lt(column, value) { return this.addFilter(column, 'lt', value); }
+  lte(column, value) { return this.addFilter(column, 'lte', value); }
+  like(column, value) { return this.addFilter(column, 'like', value); }
+  ilike(column, value) { return this.addFilter(column, 'ilike', value); }
+  is(column, value) { return this.addFilter(column, 'is', value); }
+  in(column, values) { return this.addFilter(column, 'in', values); }
+  contains(column, value) { return this.addFilter(column, 'cs', value); }
+  containedBy(column, value) { return this.addFilter(column, 'cd', value); }
+  overlaps(column, value) { return this.addFilter(column, 'ov', value); }
+
+  not(column, op, value) {
+    return this.addFilter(column, op, typeof value === 'string' ? parseFilterValue(op, value) : value, true);
+  }
+
+  filter(column, op, value) {
+    if (op.startsWith('not.')) {
+      const innerOp = op.slice(4);
+      return this.addFilter(column, innerOp, typeof value === 'string' ? parseFilterValue(innerOp, value) : value, true);
+    }
+    return this.addFilter(column, op, typeof value === 'string' ? parseFilterValue(op, value) : value);
+  }
+
+  match(query) {
+    Object.entries(query).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  or(expression) {
+    this.filters.push({ type: 'or', negate: false, conditions: parseLogic(expression) });
+    return this;
+  }
+
+  textSearch(column, query) {
+    const terms = String(query).toLowerCase().split(/[\s&|']+/).filter(Boolean);
+    this.filters.push({
+      type: 'custom',
+      test: row => terms.every(term => String(getPath(row, column) || '').toLowerCase().includes(term)),
+    });
+    return this;
+  }
+
+  // -- modifiers ------------------------------------------------------------
+
+  order(column, { ascending = true, nullsFirst = !ascending, foreignTable = null } = {}) {
+    if (!foreignTable) this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(count, { foreignTable = null } = {}) {
+    if (!foreignTable) this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  returns() { return this; }
+  abortSignal() { return this; }
+  throwOnError() { this.throws = true; return this; }
+
+  // -- execution ------------------------------------------------------------
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(result => {
+        if (this.throws && result.error) throw result.error;
+        return result;
+      })
+      .then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.then(undefined, reject);
+  }
+
+  finally(callback) {
+    return this.then(
+      value => { callback(); return value; },
+      error => { callback(); throw error; }
+    );
+  }
+
+  matches(row) {
+    return this.filters.every(filter => {
+      if (filter.type === 'custom') return filter.test(row);
+      return evaluateLogic(row, filter);
+    });
+  }
+
+  execute() {
+    try {
+      this.db.log.push({ table: this.table, operation: this.operation });
+      const failure = this.db.takeFailure(this.table, this.operation);
+      if (failure) return { data: null, error: failure, count: null, status: 400 };
+
+      switch (this.operation) {
+        case 'insert': return this.finish(this.db.insertRows(this.table, this.payload));
+        case 'upsert': return this.finish(this.db.upsertRows(this.table, this.payload, this.options));
+        case 'update': return this.finish(this.db.updateRows(this.table, row => this.matches(row), this.payload));
+        case 'delete': return this.finish(this.db.deleteRows(this.table, row => this.matches(row)));
+        default: return this.runSelect();
+      }
+    } catch (error) {
+      if (error.code) return { data: null, error, count: null, status: 409 };
+      throw error;
+    }
+  }
+
+  // Mutations only return rows when .select() was chained
+  finish(rows) {
+    if (!this.returning) {
+      return { data: null, error: null, count: null, status: 201 };
+    }
+    const nodes = parseSelect(this.columns);
+    const projected = rows.map(row => this.db.project(this.table, row, nodes)).filter(Boolean);
+    return this.shape(projected, projected.length);
+  }
+
+  runSelect() {
+    const nodes = parseSelect(this.columns);
+    const needsEmbedded = this.filters.some(f => filterColumns(f).some(c => c.includes('.')))
+      || nodes.some(n => n.type === 'embed' && n.inner);
+
+    let rows = this.db.rows(this.table).map(row => ({ row, projected: null }));
+
+    if (needsEmbedded) {
+      rows = rows
+        .map(entry => ({ ...entry, projected: this.db.project(this.table, entry.row, nodes) }))
+        .filter(entry => entry.projected)
+        .filter(entry => this.matches({ ...entry.row, ...entry.projected }));
+    } else {
+      rows = rows.filter(entry => this.matches(entry.row));
+    }
+
+    for (const { column, ascending, nullsFirst } of [...this.orders].reverse()) {
+      rows.sort((x, y) => {
+        const a = getPath(x.row, column);
+        const b = getPath(y.row, column);
+        const aNull = a === null || a === undefined;
+        const bNull = b === null || b === undefined;
+        if (aNull || bNull) {
+          if (aNull && bNull) return 0;
+          return (aNull ? -1 : 1) * (nullsFirst ? 1 : -1);
+        }
+        return ascending ? compare(a, b) : compare(b, a);
+      });
+    }
+
+    const count = rows.length;
+    if (this.rangeFrom !== null) rows = rows.slice(this.rangeFrom, this.rangeTo + 1);
+    if (this.limitCount !== null) rows = rows.slice(0, this.limitCount);
+    // PostgREST's max-rows setting cuts the response short without an error
+    if (this.db.maxRows !== null) rows = rows.slice(0, this.db.maxRows);
+
+    if (this.headOnly) {
+      return { data: null, error: null, count: this.countMode ? count : null, status: 200 };
+    }
+
+    const projected = rows.map(entry => entry.projected || this.db.project(this.table, entry.row, nodes));
+    return this.shape(projected, count);
+  }
+
+  shape(rows, count) {
+    const result = { data: rows, error: null, count: this.countMode ? count : null, status: 200 };
+
+    if (this.mode === 'single' || this.mode === 'maybeSingle') {
+      if (rows.length === 1) return { ...result, data: rows[0] };
+      if (rows.length === 0 && this.mode === 'maybeSingle') return { ...result, data: null };
+      return {
+        data: null,
+        error: postgrestError(
+          'PGRST116',
+          'JSON object requested, multiple (or no) rows returned',
+          `The result contains ${rows.length} rows`
+        ),
+        count: null,
+        status: 406,
+      };
+    }
+
+    return result;
+  }
+}
+
+class FakeStorageBucket {
+  constructor(storage, bucket) {
+    this.storage = storage;
+    this.bucket = bucket;
+  }
+
+  key(path) {
+    return `${this.bucket}/${path}`;
+  }
+
+  async upload(path, body, { contentType = null, upsert = false } = {}) {
+    if (this.storage.files.has(this.key(path)) && !upsert) {
+      return { data: null, error: { statusCode: '409', error: 'Duplicate', message: 'The resource already exists' } };
+    }
+    this.storage.files.set(this.key(path), { body, contentType });
+    return { data: { path, id: randomUUID(), fullPath: this.key(path) }, error: null };
+  }
+
+  getPublicUrl(path) {
+    return { data: { publicUrl: `${this.storage.baseUrl}/storage/v1/object/public/${this.key(path)}` } };
+  }
+
+  async createSignedUrl(path, expiresIn) {
+    if (!this.storage.files.has(this.key(path))) {
+      return { data: null, error: { statusCode: '404', message: 'Object not found' } };
+    }
+    return { data: { signedUrl: `${this.storage.baseUrl}/storage/v1/object/sign/${this.key(path)}?expires=${expiresIn}` }, error: null };
+  }
+
+  async download(path) {
+    const file = this.storage.files.get(this.key(path));
+    if (!file) return { data: null, error: { statusCode: '404', message: 'Object not found' } };
+    return { data: new Blob([file.body], { type: file.contentType || undefined }), error: null };
+  }
+
+  async remove(paths) {
+    const removed = paths.filter(path => this.storage.files.delete(this.key(path)));
+    return { data: removed.map(name => ({ name })), error: null };
+  }
+
+  async list(prefix = '') {
+    const files = [...this.storage.files.keys()]
+      .filter(key => key.startsWith(this.key(prefix)))
+      .map(key => ({ name: key.slice(this.key('').length) }));
+    return { data: files, error: null };
+  }
+}
+
+class FakeAuth {
+  constructor(db) {
+    this.db = db;
+    this.users = new Map();
+    this.admin = {
+      createUser: async ({ email, password, email_confirm: emailConfirm = false }) => {
+        if ([...this.users.values()].some(u => u.email === email)) {
+          return { data: { user: null }, error: { status: 422, message: 'A user with this email address has already been registered' } };
+        }
+        const user = { id: randomUUID(), email, password, email_confirmed_at: emailConfirm ? new Date().toISOString() : null };
+        this.users.set(user.id, user);
+        return { data: { user: this.publicUser(user) }, error: null };
+      },
+      listUsers: async () => ({ data: { users: [...this.users.values()].map(u => this.publicUser(u)) }, error: null }),
+      deleteUser: async (id) => {
+        this.users.delete(id);
+        return { data: {}, error: null };
+      },
+      updateUserById: async (id, attributes) => {
+        const user = this.users.get(id);
+        if (!user) return { data: { user: null }, error: { status: 404, message: 'User not found' } };
+        Object.assign(user, attributes);
+        return { data: { user: this.publicUser(user) }, error: null };
+      },
+    };
+  }
+
+  publicUser({ password, ...user }) {
+    return { ...user };
+  }
+
+  async signInWithPassword({ email, password }) {
+    const user = [...this.users.values()].find(u => u.email === email);
+    if (!user || user.password !== password) {
+      return { data: { user: null, session: null }, error: { status: 400, message: 'Invalid login credentials' } };
+    }
+    return {
+      data: { user: this.publicUser(user), session: { access_token: `fake-${user.id}`, user: this.publicUser(user) } },
+      error: null,
+    };
+  }
+
+  async signOut() {
+    return { error: null };
+  }
+
+  async resetPasswordForEmail() {
+    return { data: {}, error: null };
+  }
+
+  async updateUser(attributes) {
+    return { data: { user: attributes }, error: null };
+  }
+
+  async getUser(token) {
+    const id = String(token || '').replace(/^fake-/, '');
+    const user = this.users.get(id);
+    return user
+      ? { data: { user: this.publicUser(user) }, error: null }
+      : { data: { user: null }, error: { status: 401, message: 'Invalid token' } };
+  }
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.tables]    Per-table { defaults, unique } (unique: column lists, or
+ *                                     { columns, where } for a partial index)
+ * @param {object} [options.relations] `parent.child` -> { type: 'one' | 'many', localKey, foreignKey }
+ * @param {object} [options.functions] rpc name -> (args, db) => data
+ */
+export class FakeSupabase {
+  constructor({ tables = {}, relations = {}, functions = {}, baseUrl = 'http://supabase.test', maxRows = null } = {}) {
+    this.schema = tables;
+    this.maxRows = maxRows;
+    this.relations = relations;
+    this.functions = { ...functions };
+    this.data = new Map();
+    this.failures = [];
+    this.log = [];
+    this.storage = {
+      baseUrl,
+      files: new Map(),
+      from: (bucket) => new FakeStorageBucket(this.storage, bucket),
+    };
+    this.auth = new FakeAuth(this);
+  }
+
+  from(table) {
+    return new FakeQueryBuilder(this, table);
+  }
+
+  async rpc(name, args = {}) {
+    const fn = this.functions[name];
+    if (!fn) {
+      return { data: null, error: postgrestError('PGRST202', `Could not find the function public.${name}`) };
+    }
+    try {
+      return { data: clone(await fn(args, this)), error: null };
+    } catch (error) {
+      return { data: null, error: error.code ? error : postgrestError('P0001', error.message) };
+    }
+  }
+
+  // -- test helpers ---------------------------------------------------------
+
+  /**
+   * Insert rows directly, applying defaults. Returns the stored rows.
+   */
+  seed(table, rows) {
+    const inserted = this.insertRows(table, rows);
+    return Array.isArray(rows) ? inserted : inserted[0];
+  }
+
+  /**
+   * Current rows of a table (copies), optionally filtered.
+   */
+  table(name, predicate = null) {
+    const rows = this.rows(name).map(clone);
+    return predicate ? rows.filter(predicate) : rows;
+  }
+
+  find(name, predicate) {
+    return this.table(name, predicate)[0] || null;
+  }
+
+  /**
+   * Change stored rows in place, e.g. to fast-forward a payment.
+   */
+  patch(name, predicate, values) {
+    return this.updateRows(name, predicate, values).map(clone);
+  }
+
+  /**
+   * Make the next matching query return `error` instead of running.
+   */
+  failNext(table, operation = 'select', error = postgrestError('XX000', 'Simulated database failure')) {
+    this.failures.push({ table, operation, error });
+  }
+
+  reset() {
+    this.data.clear();
+    this.failures = [];
+    this.log = [];
+    this.storage.files.clear();
+    this.auth.users.clear();
+  }
+
+  // -- storage engine -------------------------------------------------------
+
+  rows(table) {
+    if (!this.data.has(table)) this.data.set(table, []);
+    return this.data.get(table);
+  }
+
+  takeFailure(table, operation) {
+    const index = this.failures.findIndex(f => f.table === table && f.operation === operation);
+    if (index === -1) return null;
+    return this.failures.splice(index, 1)[0].error;
+  }
+
+  withDefaults(table, row) {
+    const now = new Date().toISOString();
+    const defaults = this.schema[table]?.defaults || {};
+    const resolved = Object.fromEntries(
+      Object.entries(defaults).map(([key, value]) => [key, typeof value === 'function' ? value(row) : clone(value)])
+    );
+    return { id: randomUUID(), created_at: now, ...resolved, ...clone(row) };
+  }
+
+  // { columns, where }; `where` limits a partial index to the rows it accepts
+  uniqueKeys(table) {
+    return [['id'], ...(this.schema[table]?.unique || [])]
+      .map(key => (Array.isArray(key) ? { columns: key, where: null } : key));
+  }
+
+  // NULLs never collide, as in Postgres
+  findConflict(table, row, keys, ignore = null, where = null) {
+    if (where && !where(row)) return undefined;
+    return this.rows(table).find(existing => existing !== ignore && (!where || where(existing)) && keys.every(key =>
+      row[key] !== null && row[key] !== undefined && looseEqual(existing[key], row[key])));
+  }
+
+  assertUnique(table, row, ignore = null) {
+    for (const { columns, where } of this.uniqueKeys(table)) {
+      if (this.findConflict(table, row, columns, ignore, where)) {
+        throw postgrestError(
+          '23505',
+          `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`,
+          `Key (${columns.join(', ')}) already exists.`
+        );
+      }
+    }
+  }
+
+  insertRows(table, values) {
+    const rows = (Array.isArray(values) ? values : [values]).map(value => this.withDefaults(table, value));
+    // All or nothing, like a single INSERT statement
+    rows.forEach((row, index) => {
+      this.assertUnique(table, row);
+      const batchDuplicate = rows.slice(0, index).find(other =>
+        this.uniqueKeys(table).some(({ columns, where }) => (!where || (where(row) && where(other)))
+          && columns.every(key => row[key] != null && looseEqual(other[key], row[key]))));
+      if (batchDuplicate) {
+        throw postgrestError('23505', `duplicate key value violates unique constraint on "${table}"`);
+      }
+    });
+    this.rows(table).push(...rows);
+    return rows;
+  }
+
+  upsertRows(table, values, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    const keys = onConflict.split(',').map(k => k.trim());
+    const result = [];
+    for (const value of Array.isArray(values) ? values : [values]) {
+      const existing = this.findConflict(table, value, keys);
+      if (!existing) {
+        result.push(...this.insertRows(table, value));
+      } else if (!ignoreDuplicates) {
+        const updated = { ...existing, ...clone(value) };
+        this.assertUnique(table, updated, existing);
+        Object.assign(existing, updated);
+        result.push(existing);
+      }
+    }
+    return result;
+  }
+
+  updateRows(table, predicate, values) {
+    const matched = this.rows(table).filter(predicate);
+    for (const row of matched) {
+      this.assertUnique(table, { ...row, ...values }, row);
+    }
+    matched.forEach(row => Object.assign(row, clone(values)));
+    return matched;
+  }
+
+  deleteRows(table, predicate) {
+    const rows = this.rows(table);
+    const removed = rows.filter(predicate);
+    this.data.set(table, rows.filter(row => !removed.includes(row)));
+    return removed;
+  }
+
+  // -- embedding ------------------------------------------------------------
+
+  /**
+   * Work out how `child` hangs off `parent`: { type, localKey, foreignKey }.
+   */
+  resolveRelation(parent, node, parentRow) {
+    const explicit = this.relations[`${parent}.${node.alias}`] || this.relations[`${parent}.${node.table}`];
+    if (explicit) return explicit;
+
+    if (node.hint) {
+      const fk = node.hint.replace(/_fkey$/, '');
+      if (node.hint.endsWith('_fkey') && fk.startsWith(`${parent}_`)) {
+        return { type: 'one', localKey: fk.slice(parent.length + 1), foreignKey: 'id' };
+      }
+      if (node.hint.endsWith('_fkey') && fk.startsWith(`${node.table}_`)) {
+        const column = fk.slice(node.table.length + 1);
+        return { type: column === 'id' ? 'one' : 'many', localKey: 'id', foreignKey: column };
+      }
+      return { type: 'one', localKey: node.hint, foreignKey: 'id' };
+    }
+
+    const parentRows = this.rows(parent);
+    const hasColumn = (column) => column in parentRow || parentRows.some(row => column in row);
+    for (const column of [`${node.alias}_id`, `${singular(node.table)}_id`]) {
+      if (hasColumn(column)) return { type: 'one', localKey: column, foreignKey: 'id' };
+    }
+
+    const backReference = `${singular(parent)}_id`;
+    if (this.rows(node.table).some(row => backReference in row)) {
+      return { type: 'many', localKey: 'id', foreignKey: backReference };
+    }
+
+    return { type: 'one', localKey: `${singular(node.table)}_id`, foreignKey: 'id' };
+  }
+
+  /**
+   * Shape a row according to parsed select nodes. Returns null when an
+   * `!inner` embed has no match.
+   */
+  project(table, row, nodes) {
+    const result = {};
+
+    for (const node of nodes) {
+      if (node.type === 'column') {
+        if (node.column === '*') {
+          Object.assign(result, clone(row));
+        } else if (node.column === 'count') {
+          result.count = 1;
+        } else {
+          result[node.alias] = clone(row[node.column] ?? null);
+        }
+        continue;
+      }
+
+      const relation = this.resolveRelation(table, node, row);
+      const localValue = row[relation.localKey];
+      const matches = localValue === null || localValue === undefined
+        ? []
+        : this.rows(node.table).filter(child => looseEqual(child[relation.foreignKey], localValue));
+
+      const countOnly = node.nodes.length === 1 && node.nodes[0].type === 'column' && node.nodes[0].column === 'count';
+      if (countOnly) {
+        result[node.alias] = [{ count: matches.length }];
+        continue;
+      }
+
+      const projected = matches
+        .map(child => this.project(node.table, child, node.nodes))
+        .filter(Boolean);
+
+      if (node.inner && projected.length === 0) return null;
+      result[node.alias] = relation.type === 'one' ? projected[0] || null : projected;
+    }
+
+    return result;
+  }
+}
+
+export default FakeSupabase;
@@ -0,0 +1,252 @@
+import http from 'http';
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+import { JobQueue } from '../src/utils/jobQueue.js';
+import { queueImageProcessing, readImageSize, thumbnailUrlFor, toAspectRatio } from '../src/jobs/images.js';
+import { recomputeTrending } from '../src/jobs/trending.js';
+
+function pngHeader(width, height) {
+  const buffer = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+describe('job queue', () => {
+  let ctx;
+  let runs;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    runs = [];
+    JobQueue.register('test.record', data => { runs.push(data); });
+    JobQueue.register('test.fail', () => { throw new Error('boom'); }, { maxAttempts: 2 });
+    JobQueue.register('test.slow', () => {}, { visibilityTimeout: 1000 });
+  });
+
+  it('hands each job to only one worker', async () => {
+    await JobQueue.enqueue('test.record', { n: 1 });
+    await JobQueue.enqueue('test.record', { n: 2 });
+
+    const [a, b, c] = await Promise.all([JobQueue.claim(), JobQueue.claim(), JobQueue.claim()]);
+    const claimed = [a, b, c].filter(Boolean);
+
+    expect(claimed).toHaveLength(2);
+    expect(new Set(claimed.map(job => job.id)).size).toBe(2);
+    expect(await JobQueue.stats()).toMatchObject({ ready: 0, active: 2 });
+  });
+
+  it('holds delayed jobs until they are due', async () => {
+    await JobQueue.enqueue('test.record', { n: 1 }, { delay: 60000 });
+
+    expect(await JobQueue.runOnce()).toBe(0);
+    expect(await JobQueue.stats()).toMatchObject({ ready: 0, delayed: 1 });
+
+    const job = await JobQueue.claim(Date.now() + 61000);
+    expect(job.data).toEqual({ n: 1 });
+  });
+
+  it('queues a job id only once while it is pending', async () => {
+    await JobQueue.enqueue('test.record', { n: 1 }, { jobId: 'only-once' });
+    await JobQueue.enqueue('test.record', { n: 2 }, { jobId: 'only-once' });
+    await settle();
+
+    expect(runs).toEqual([{ n: 1 }]);
+  });
+
+  it('retries failed jobs with backoff and then dead-letters them', async () => {
+    const id = await JobQueue.enqueue('test.fail');
+
+    await JobQueue.runOnce();
+    const retried = await JobQueue.getJob(id);
+    expect(retried).toMatchObject({ status: 'waiting', attempts: 1, lastError: 'boom' });
+    expect(new Date(retried.runAt).getTime()).toBeGreaterThan(Date.now());
+
+    await JobQueue.process(await JobQueue.claim(Date.now() + 10000));
+    expect(await JobQueue.getJob(id)).toBeNull();
+    expect(await JobQueue.getDeadJob(id)).toMatchObject({ status: 'dead', attempts: 2 });
+    expect((await JobQueue.listDead()).map(job => job.id)).toEqual([id]);
+  });
+
+  it('queues a fixed job id again after it was dead-lettered', async () => {
+    let fail = true;
+    JobQueue.register('test.sweep', data => {
+      if (fail) throw new Error('down');
+      runs.push(data);
+    }, { maxAttempts: 1 });
+
+    await JobQueue.enqueue('test.sweep', { n: 1 }, { jobId: 'test.sweep' });
+    await JobQueue.runOnce();
+    expect(await JobQueue.getDeadJob('test.sweep')).toMatchObject({ status: 'dead' });
+
+    fail = false;
+    await JobQueue.enqueue('test.sweep', { n: 2 }, { jobId: 'test.sweep' });
+    await settle();
+
+    expect(runs).toEqual([{ n: 2 }]);
+  });
+
+  it('puts back jobs whose worker went past the visibility timeout', async () => {
+    const id = await JobQueue.enqueue('test.slow');
+    await JobQueue.claim();
+
+    expect(await JobQueue.reapExpired(Date.now() + 500)).toBe(0);
+    expect(await JobQueue.reapExpired(Date.now() + 2000)).toBe(1);
+    expect(await JobQueue.getJob(id)).toMatchObject({ status: 'waiting', attempts: 1, lastError: 'Visibility timeout expired' });
+    expect(await JobQueue.stats()).toMatchObject({ active: 0, delayed: 1 });
+  });
+
+  it('dead-letters jobs without a handler', async () => {
+    const id = await JobQueue.enqueue('test.unknown');
+    await JobQueue.runOnce();
+
+    expect(await JobQueue.getDeadJob(id)).toMatchObject({ status: 'dead', lastError: 'No handler registered for test.unknown' });
+  });
+
+  describe('admin endpoints', () => {
+    let admin;
+    let deadId;
+
+    beforeEach(async () => {
+      admin = ctx.create.staff('admin');
+      deadId = await JobQueue.enqueue('test.record', { n: 1 }, { maxAttempts: 1 });
+      const job = await JobQueue.claim();
+      await JobQueue.retryOrBury(job, 'gave up');
+    });
+
+    it('lists, retries and discards dead jobs', async () => {
+      const stats = await request(ctx.app).get('/api/admin/jobs').set(authHeader(admin));
+      expect(stats.body.stats).toMatchObject({ dead: 1 });
+      expect(stats.body.types).toContain('messages.fanout');
+
+      const dead = await request(ctx.app).get('/api/admin/jobs/dead').set(authHeader(admin));
+      expect(dead.body.jobs).toEqual([expect.objectContaining({ id: deadId, lastError: 'gave up' })]);
+
+      expect((await request(ctx.app).post(`/api/admin/jobs/dead/${deadId}/retry`).set(authHeader(admin))).status).toBe(200);
+      await settle();
+      expect(runs).toEqual([{ n: 1 }]);
+
+      const missing = await request(ctx.app).delete(`/api/admin/jobs/dead/${deadId}`).set(authHeader(admin));
+      expect(missing.status).toBe(404);
+    });
+
+    it('discards a dead job', async () => {
+      const res = await request(ctx.app).delete(`/api/admin/jobs/dead/${deadId}`).set(authHeader(admin));
+      expect(res.status).toBe(200);
+      expect(await JobQueue.getDeadJob(deadId)).toBeNull();
+      expect(await JobQueue.stats()).toMatchObject({ dead: 0 });
+
+      await JobQueue.enqueue('test.record', { n: 2 }, { jobId: deadId });
+      await settle();
+      expect(runs).toEqual([{ n: 2 }]);
+    });
+
+    it('is admin only', async () => {
+      const moderator = ctx.create.staff('moderator');
+      const res = await request(ctx.app).get('/api/admin/jobs/dead').set(authHeader(moderator));
+      expect(res.status).toBe(403);
+    });
+  });
+});
+
+describe('jobs', () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+  });
+
+  it('fans out new messages through the queue', async () => {
+    const sender = ctx.create.client();
+    const recipient = ctx.create.artist();
+    const conversation = ctx.create.conversation([sender, recipient]);
+
+    const res = await request(ctx.app)
+      .post(`/api/messages/conversations/${conversation.id}/messages`)
+      .set(authHeader(sender))
+      .send({ content: 'Hello!' });
+
+    expect(res.status).toBe(201);
+    expect(await JobQueue.stats()).toMatchObject({ ready: 1 });
+
+    await settle();
+    expect(ctx.db.table('notifications').filter(n => n.user_id === recipient.id)).toHaveLength(1);
+    expect(ctx.db.table('notifications').filter(n => n.user_id === sender.id)).toHaveLength(0);
+  });
+
+  it('ranks trending artworks by weighted engagement in the window', async () => {
+    const artist = ctx.create.artist();
+    const [a, b, removed] = ctx.db.seed('artworks', [
+      { artist_id: artist.id, title: 'A', removed_at: null },
+      { artist_id: artist.id, title: 'B', removed_at: null },
+      { artist_id: artist.id, title: 'Removed', removed_at: new Date().toISOString() },
+    ]);
+    const now = Date.now();
+    const at = ago => new Date(now - ago).toISOString();
+
+    ctx.db.seed('user_engagement', [
+      { artwork_id: a.id, engagement_type: 'view', created_at: at(1000) },
+      { artwork_id: a.id, engagement_type: 'view', created_at: at(2000) },
+      { artwork_id: b.id, engagement_type: 'save', created_at: at(3000) },
+      { artwork_id: removed.id, engagement_type: 'share', created_at: at(1000) },
+      { artwork_id: a.id, engagement_type: 'share', created_at: at(2 * 60 * 60 * 1000) },
+    ]);
+
+    expect(await recomputeTrending({ timeWindow: 'hour', now })).toBe(2);
+    const rows = ctx.db.table('trending_artworks').sort((x, y) => x.rank - y.rank);
+    expect(rows.map(r => [r.artwork_id, r.rank, r.score])).toEqual([[b.id, 1, 4], [a.id, 2, 2]]);
+
+    await recomputeTrending({ timeWindow: 'hour', now });
+    expect(ctx.db.table('trending_artworks')).toHaveLength(2);
+  });
+
+  describe('image processing', () => {
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      server = http.createServer((req, res) => {
+        res.writeHead(req.url === '/missing.png' ? 404 : 206, { 'Content-Type': 'image/png' });
+        res.end(pngHeader(1200, 800));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(() => new Promise(resolve => server.close(resolve)));
+
+    it('reads image sizes and builds thumbnail URLs', () => {
+      expect(readImageSize(pngHeader(640, 480))).toEqual({ width: 640, height: 480 });
+      expect(readImageSize(Buffer.from('not an image'))).toBeNull();
+      expect(toAspectRatio({ width: 1920, height: 1080 })).toBe('16:9');
+      expect(thumbnailUrlFor('https://x.supabase.co/storage/v1/object/public/artworks/a.png'))
+        .toBe('https://x.supabase.co/storage/v1/render/image/public/artworks/a.png?width=400&resize=contain');
+      expect(thumbnailUrlFor('https://example.com/a.png')).toBeNull();
+    });
+
+    it('fills in the aspect ratio of new artworks', async () => {
+      const artist = ctx.create.artist();
+      const artwork = ctx.db.seed('artworks', { artist_id: artist.id, title: 'A', image_url: `${baseUrl}/a.png` });
+
+      await queueImageProcessing(artwork.id, { setAspectRatio: true });
+      await settle();
+
+      expect(ctx.db.find('artworks', a => a.id === artwork.id).aspect_ratio).toBe('3:2');
+    });
+
+    it('retries images that cannot be fetched', async () => {
+      const artist = ctx.create.artist();
+      const artwork = ctx.db.seed('artworks', { artist_id: artist.id, title: 'A', image_url: `${baseUrl}/missing.png` });
+
+      await queueImageProcessing(artwork.id, { setAspectRatio: true });
+      await settle();
+
+      const job = await JobQueue.getJob(`artworks.process_image:${artwork.id}`);
+      expect(job).toMatchObject({ status: 'waiting', attempts: 1 });
+      expect(job.lastError).toMatch(/404/);
+    });
+  });
+});
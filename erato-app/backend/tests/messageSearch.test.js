@@ -0,0 +1,144 @@
+import request from 'supertest';
+import { authHeader, createTestContext } from './helpers/context.js';
+import { buildSnippet, searchTerms } from '../src/utils/messageSearch.js';
+
+describe('message search', () => {
+  let ctx;
+  let client;
+  let artist;
+  let otherArtist;
+  let conversation;
+  let otherConversation;
+
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+    otherArtist = ctx.create.artist();
+    conversation = ctx.create.conversation([client, artist]);
+    otherConversation = ctx.create.conversation([client, otherArtist]);
+  });
+
+  const post = (conversationId, sender, content, minutes, values = {}) => ctx.db.seed('messages', {
+    conversation_id: conversationId,
+    sender_id: sender.id,
+    content,
+    created_at: minutesAgo(minutes),
+    ...values,
+  });
+
+  const search = (user, query) => request(ctx.app)
+    .get('/api/messages/search')
+    .query(query)
+    .set(authHeader(user));
+
+  it('finds messages in every conversation the user is in, newest first', async () => {
+    const older = post(conversation.id, artist, 'Let me know which colors you want', 30);
+    const newer = post(otherConversation.id, client, 'We agreed on the colors: teal and gold', 10);
+    post(conversation.id, client, 'Sounds good', 5);
+    // Not the user's conversation
+    post(ctx.create.conversation([artist, otherArtist]).id, artist, 'colors for someone else', 1);
+
+    const res = await search(client, { q: 'colors' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.map(r => r.message.id)).toEqual([newer.id, older.id]);
+    expect(res.body.results[0].sender).toMatchObject({ id: client.id, username: client.username });
+    expect(res.body.results[0].snippet).toEqual({
+      text: 'We agreed on the colors: teal and gold',
+      highlights: [{ start: 17, end: 23 }],
+    });
+    expect(res.body.next_before).toBeNull();
+  });
+
+  it('filters by conversation, sender, date and type', async () => {
+    const sketch = post(conversation.id, artist, 'Sketch attached', 60 * 24 * 3, { message_type: 'image', image_url: 'https://cdn.test/s.png' });
+    const update = post(conversation.id, artist, 'WIP: lineart done', 60, { message_type: 'progress_update' });
+    const fromClient = post(conversation.id, client, 'Lineart looks great', 30);
+    post(otherConversation.id, otherArtist, 'Lineart for the other piece', 20);
+
+    const ids = async (query) => (await search(client, query)).body.results.map(r => r.message.id);
+
+    expect(await ids({ q: 'lineart', conversation_id: conversation.id })).toEqual([fromClient.id, update.id]);
+    expect(await ids({ q: 'lineart', sender_id: artist.id })).toEqual([update.id]);
+    expect(await ids({ conversation_id: conversation.id, type: 'image' })).toEqual([sketch.id]);
+    expect(await ids({ type: 'commission,image' })).toEqual([update.id, sketch.id]);
+    expect(await ids({ conversation_id: conversation.id, from: minutesAgo(120), to: minutesAgo(45) })).toEqual([update.id]);
+  });
+
+  it('pages through hits with next_before', async () => {
+    const hits = [50, 40, 30, 20, 10].map(minutes => post(conversation.id, artist, `Invoice #${minutes}`, minutes));
+
+    const first = await search(client, { q: 'invoice', limit: 2 });
+    const second = await search(client, { q: 'invoice', limit: 2, before: first.body.next_before });
+
+    expect(first.body.results.map(r => r.message.id)).toEqual([hits[4].id, hits[3].id]);
+    expect(second.body.results.map(r => r.message.id)).toEqual([hits[2].id, hits[1].id]);
+    expect(second.body.next_before).toEqual(expect.any(String));
+
+    const byDate = await search(client, { q: 'invoice', before: hits[2].created_at });
+    expect(byDate.body.results.map(r => r.message.id)).toEqual([hits[1].id, hits[0].id]);
+  });
+
+  it('does not skip hits sent in the same instant at a page boundary', async () => {
+    const at = minutesAgo(10);
+    const hits = [1, 2, 3].map(n => post(conversation.id, artist, `Invoice #${n}`, 10, { created_at: at }));
+
+    const seen = [];
+    let before;
+    do {
+      const { body } = await search(client, { q: 'invoice', limit: 2, ...(before && { before }) });
+      seen.push(...body.results.map(r => r.message.id));
+      before = body.next_before;
+    } while (before);
+
+    expect(seen.sort()).toEqual(hits.map(h => h.id).sort());
+  });
+
+  it('rejects empty searches, unknown types and conversations the user is not in', async () => {
+    const stranger = ctx.create.conversation([artist, otherArtist]);
+
+    expect((await search(client, {})).status).toBe(400);
+    expect((await search(client, { q: 'hi', type: 'stickers' })).status).toBe(400);
+    expect((await search(client, { q: 'hi', from: 'yesterday-ish' })).status).toBe(400);
+    expect((await search(client, { q: 'hi', conversation_id: stranger.id })).status).toBe(404);
+  });
+
+  it('opens a conversation around a hit and pages from there', async () => {
+    const thread = Array.from({ length: 9 }, (_, i) => post(conversation.id, i % 2 ? client : artist, `Message ${i}`, 90 - i * 10));
+    const messagesAround = (query) => request(ctx.app)
+      .get(`/api/messages/conversations/${conversation.id}/messages`)
+      .query(query)
+      .set(authHeader(client));
+
+    const res = await messagesAround({ around: thread[4].id, limit: 4 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.messages.map(m => m.content)).toEqual(['Message 2', 'Message 3', 'Message 4', 'Message 5']);
+    expect(res.body).toMatchObject({ has_more_before: true, has_more_after: true });
+
+    const later = await messagesAround({ after: thread[5].created_at, limit: 2 });
+    expect(later.body.messages.map(m => m.content)).toEqual(['Message 6', 'Message 7']);
+
+    const elsewhere = post(otherConversation.id, client, 'Elsewhere', 1);
+    expect((await messagesAround({ around: elsewhere.id })).status).toBe(404);
+  });
+
+  describe('snippets', () => {
+    it('cut long messages around the first match and highlight every term', () => {
+      const content = `${'a '.repeat(100)}the Color palette and colour notes ${'b '.repeat(100)}`;
+
+      const snippet = buildSnippet(content, searchTerms('"color palette" -sketch or notes'), { radius: 10 });
+
+      expect(snippet.text.startsWith('…')).toBe(true);
+      expect(snippet.text.endsWith('…')).toBe(true);
+      expect(snippet.highlights.map(({ start, end }) => snippet.text.slice(start, end))).toEqual(['Color', 'palette']);
+    });
+
+    it('start at the beginning when nothing matches word for word', () => {
+      expect(buildSnippet('Multicolored', ['color'])).toEqual({ text: 'Multicolored', highlights: [] });
+    });
+  });
+});
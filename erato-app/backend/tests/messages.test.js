@@ -0,0 +1,151 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+import { handlers } from '../src/jobs/messages.js';
+
+describe('messaging', () => {
+  let ctx;
+  let client;
+  let artist;
+  let conversation;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+    conversation = ctx.create.conversation([client, artist]);
+  });
+
+  const send = (user, body, conversationId = conversation.id) => request(ctx.app)
+    .post(`/api/messages/conversations/${conversationId}/messages`)
+    .set(authHeader(user))
+    .send(body);
+
+  const conversations = (user) => request(ctx.app)
+    .get('/api/messages/conversations')
+    .set(authHeader(user));
+
+  it('delivers a message in real time and counts it as unread for the recipient', async () => {
+    const res = await send(client, { content: 'Hi! Are you open for commissions?' });
+    await settle();
+
+    expect(res.status).toBe(201);
+    expect(ctx.io.emittedTo(`conversation:${conversation.id}`, 'message:new')).toEqual([
+      expect.objectContaining({
+        rooms: expect.arrayContaining([`user:${client.id}`, `user:${artist.id}`]),
+        payload: expect.objectContaining({ v: 1, data: { conversation_id: conversation.id, message: res.body } }),
+      }),
+    ]);
+
+    const participant = ctx.db.find('conversation_participants', p => p.conversation_id === conversation.id && p.user_id === artist.id);
+    expect(participant.unread_count).toBe(1);
+    expect(await ctx.redis.hget(`unread:messages:${artist.id}`, conversation.id)).toBe('1');
+
+    const { body } = await conversations(artist);
+    expect(body.conversations).toHaveLength(1);
+    expect(body.conversations[0]).toMatchObject({
+      unread_count: 1,
+      latest_message: expect.objectContaining({ content: 'Hi! Are you open for commissions?' }),
+      other_participant: expect.objectContaining({ id: client.id }),
+    });
+  });
+
+  it('counts a message once when its fan-out job runs again', async () => {
+    const res = await send(client, { content: 'Hello' });
+    await settle();
+
+    await handlers['messages.fanout'].run({
+      messageId: res.body.id,
+      conversationId: conversation.id,
+      senderId: client.id,
+      messageType: 'text',
+      content: 'Hello',
+    });
+
+    const participant = ctx.db.find('conversation_participants', p => p.conversation_id === conversation.id && p.user_id === artist.id);
+    expect(participant.unread_count).toBe(1);
+    expect(await ctx.redis.hget(`unread:messages:${artist.id}`, conversation.id)).toBe('1');
+  });
+
+  it('clears the unread count once the recipient reads the thread', async () => {
+    await send(client, { content: 'Ping' });
+    await settle();
+
+    const res = await request(ctx.app)
+      .get(`/api/messages/conversations/${conversation.id}/messages`)
+      .set(authHeader(artist));
+
+    expect(res.status).toBe(200);
+    expect(res.body.messages.map(m => m.content)).toEqual(['Ping']);
+
+    const { body } = await conversations(artist);
+    expect(body.conversations[0].unread_count).toBe(0);
+  });
+
+  it('drops the cached conversation list when a new message arrives', async () => {
+    await conversations(artist);
+    expect(await ctx.redis.exists(`conversations:${artist.id}`)).toBe(1);
+
+    await send(client, { content: 'New message' });
+    await settle();
+
+    expect(await ctx.redis.exists(`conversations:${artist.id}`)).toBe(0);
+  });
+
+  it('requires content or an image', async () => {
+    expect((await send(client, {})).status).toBe(400);
+    expect((await send(client, { message_type: 'image' })).status).toBe(400);
+    expect((await send(client, { message_type: 'image', image_url: 'https://cdn.example.com/wip.png' })).status).toBe(201);
+  });
+
+  it('keeps non-participants out', async () => {
+    const stranger = ctx.create.client();
+
+    expect((await send(stranger, { content: 'Hello?' })).status).toBe(403);
+
+    const read = await request(ctx.app)
+      .get(`/api/messages/conversations/${conversation.id}/messages`)
+      .set(authHeader(stranger));
+    expect(read.status).toBe(403);
+  });
+
+  it('stops messages between users who have blocked each other', async () => {
+    ctx.db.seed('user_blocks', { user_id: artist.id, target_id: client.id, type: 'block' });
+
+    const res = await send(client, { content: 'Why did you block me?' });
+
+    expect(res.status).toBe(403);
+    expect(ctx.db.table('messages')).toHaveLength(0);
+  });
+
+  it('does not notify a recipient who muted the sender', async () => {
+    ctx.db.seed('user_blocks', { user_id: artist.id, target_id: client.id, type: 'mute' });
+
+    expect((await send(client, { content: 'Still there?' })).status).toBe(201);
+    await settle();
+
+    expect(ctx.db.table('notifications').filter(n => n.user_id === artist.id)).toHaveLength(0);
+  });
+
+  describe('starting conversations', () => {
+    it('does not let clients cold-message artists', async () => {
+      const newArtist = ctx.create.artist();
+
+      const res = await request(ctx.app)
+        .post('/api/messages/conversations')
+        .set(authHeader(client))
+        .send({ participant_id: newArtist.id });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('returns the existing conversation instead of creating a duplicate', async () => {
+      const res = await request(ctx.app)
+        .post('/api/messages/conversations')
+        .set(authHeader(artist))
+        .send({ participant_id: client.id });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ existed: true, conversation: { id: conversation.id } });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+
+describe('milestones', () => {
+  let ctx;
+  let client;
+  let artist;
+  let commission;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+    ctx.create.milestoneTemplates();
+    commission = ctx.create.commission(client, artist, { status: 'in_progress', final_price: 100 });
+  });
+
+  const generate = (user = artist) => request(ctx.app)
+    .post(`/api/milestones/commission/${commission.id}/generate`)
+    .set(authHeader(user));
+
+  const confirm = (user = client) => request(ctx.app)
+    .post(`/api/milestones/commission/${commission.id}/confirm`)
+    .set(authHeader(user));
+
+  const start = (milestone, user = artist) => request(ctx.app)
+    .post(`/api/milestones/${milestone.id}/start`)
+    .set(authHeader(user));
+
+  it('generates a plan from the stage templates', async () => {
+    const res = await generate();
+
+    expect(res.status).toBe(201);
+    expect(res.body.milestones.map(m => m.stage)).toEqual(['sketch', 'line_art', 'final']);
+    expect(ctx.db.find('commissions', c => c.id === commission.id).current_milestone_id).toBe(res.body.milestones[0].id);
+
+    const again = await generate();
+    expect(again.status).toBe(400);
+  });
+
+  it('only lets the artist generate and the client confirm', async () => {
+    expect((await generate(client)).status).toBe(403);
+
+    await generate();
+    expect((await confirm(artist)).status).toBe(403);
+    expect((await confirm()).status).toBe(200);
+    expect(ctx.db.find('commissions', c => c.id === commission.id).milestone_plan_confirmed).toBe(true);
+
+    await settle();
+    expect(ctx.db.table('notifications').filter(n => n.user_id === artist.id)).toHaveLength(1);
+  });
+
+  it('refuses to confirm a plan that does not add up to 100%', async () => {
+    const { body } = await generate();
+    await request(ctx.app)
+      .put(`/api/milestones/${body.milestones[2].id}`)
+      .set(authHeader(artist))
+      .send({ percentage: 20 });
+
+    const res = await confirm();
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/must add up to 100%/);
+  });
+
+  describe('starting work', () => {
+    let milestones;
+
+    beforeEach(async () => {
+      ({ body: { milestones } } = await generate());
+      await confirm();
+    });
+
+    it('requires the milestone to be paid first', async () => {
+      const res = await start(milestones[0]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.requires_payment).toBe(true);
+    });
+
+    it('starts a paid milestone', async () => {
+      ctx.db.patch('commission_milestones', m => m.id === milestones[0].id, { payment_status: 'paid' });
+
+      const res = await start(milestones[0]);
+
+      expect(res.status).toBe(200);
+    });
+
+    it('keeps later milestones locked', async () => {
+      const res = await start(milestones[1]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/locked/);
+    });
+
+    it('waits for the previous checkpoint to be approved', async () => {
+      ctx.db.patch('commission_milestones', m => m.commission_id === commission.id, { payment_status: 'paid', is_locked: false });
+
+      const completed = await request(ctx.app)
+        .post(`/api/milestones/${milestones[0].id}/complete`)
+        .set(authHeader(artist))
+        .send({ image_url: 'https://cdn.example.com/sketch.png' });
+
+      expect(completed.status).toBe(201);
+      expect(completed.body.progress_update).toMatchObject({ requires_approval: true, approval_status: 'pending' });
+
+      const blocked = await start(milestones[1]);
+      expect(blocked.status).toBe(400);
+      expect(blocked.body.requires_approval).toBe(true);
+
+      const approved = await request(ctx.app)
+        .patch(`/api/commissions/${commission.id}/progress/${completed.body.progress_update.id}/approve`)
+        .set(authHeader(client))
+        .send({ approval_status: 'approved' });
+      expect(approved.status).toBe(200);
+
+      expect((await start(milestones[1])).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,288 @@
+import { createServer } from 'http';
+import request from 'supertest';
+import { authHeader, createTestContext, settle, socketAuth } from './helpers/context.js';
+import { startExpoStub } from './helpers/expoStub.js';
+import { queueDigestSweep } from '../src/jobs/notifications.js';
+import { NotificationService, isQuietHours } from '../src/utils/notifications.js';
+import { sendPushToUser } from '../src/utils/pushNotifications.js';
+
+describe('notifications', () => {
+  let ctx;
+  let client;
+  let artist;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+  });
+
+  const list = (user, query = {}) => request(ctx.app)
+    .get('/api/notifications')
+    .query(query)
+    .set(authHeader(user));
+
+  const updatePreferences = (user, body) => request(ctx.app)
+    .put('/api/notifications/preferences')
+    .set(authHeader(user))
+    .send(body);
+
+  const sendMessage = (conversation, content) => request(ctx.app)
+    .post(`/api/messages/conversations/${conversation.id}/messages`)
+    .set(authHeader(client))
+    .send({ content });
+
+  it('stores published notifications', async () => {
+    const notification = await NotificationService.publish(client.id, {
+      type: 'payout_paid',
+      title: 'Payout sent',
+      action: { type: 'view_payouts' },
+      priority: 'high',
+    });
+
+    expect(ctx.db.find('notifications', n => n.id === notification.id)).toMatchObject({
+      user_id: client.id,
+      type: 'payout_paid',
+      priority: 'high',
+    });
+    expect(notification.read).toBe(false);
+    expect(ctx.redis.published).toContainEqual({
+      channel: `feed:${client.id}`,
+      message: JSON.stringify(notification),
+    });
+  });
+
+  it('delivers new notifications to the user\'s open sockets', async () => {
+    await ctx.io.connect(socketAuth(client));
+    await ctx.io.connect(socketAuth(client));
+
+    const notification = await NotificationService.publish(client.id, { type: 'payout_paid', title: 'Payout sent' });
+
+    // One emit to the user's room reaches every socket they have open
+    expect(ctx.io.emittedTo(`user:${client.id}`, 'notification')).toEqual([
+      expect.objectContaining({ payload: expect.objectContaining({ type: 'notification', data: notification }) }),
+    ]);
+  });
+
+  it('counts every event when a group is bumped concurrently', async () => {
+    const open = ctx.db.seed('notifications', {
+      user_id: artist.id, type: 'new_message', title: 'New message', priority: 'normal',
+      group_key: 'conversation:1', group_count: 1, last_event_at: new Date().toISOString(),
+    });
+
+    await Promise.all([1, 2, 3, 4].map(() => NotificationService.deliver(artist.id, {
+      type: 'new_message',
+      title: 'New message',
+      groupKey: 'conversation:1',
+      groupTitle: '{count} new messages',
+    })));
+
+    expect(ctx.db.table('notifications', n => n.user_id === artist.id)).toEqual([
+      expect.objectContaining({ id: open.id, group_count: 5, title: '5 new messages' }),
+    ]);
+  });
+
+  it('pages through notifications by cursor, newest activity first', async () => {
+    const seed = (title, at) => ctx.db.seed('notifications', {
+      user_id: client.id, type: 'payout_paid', title, priority: 'normal', group_count: 1, read_at: null, last_event_at: at,
+    });
+    seed('Oldest', '2026-03-01T10:00:00.000Z');
+    seed('Tied A', '2026-03-02T10:00:00.000Z');
+    seed('Tied B', '2026-03-02T10:00:00.000Z');
+    seed('Newer', '2026-03-03T10:00:00.000Z');
+    seed('Newest', '2026-03-04T10:00:00.000Z');
+
+    const first = await list(client, { limit: 2 });
+    expect(first.status).toBe(200);
+    expect(first.body.unreadCount).toBe(5);
+    expect(first.body.notifications.map(n => n.title)).toEqual(['Newest', 'Newer']);
+
+    const second = await list(client, { limit: 2, cursor: first.body.nextCursor });
+    const third = await list(client, { limit: 2, cursor: second.body.nextCursor });
+    expect(second.body.notifications.map(n => n.title).sort()).toEqual(['Tied A', 'Tied B']);
+    expect(third.body.notifications.map(n => n.title)).toEqual(['Oldest']);
+    expect(third.body.nextCursor).toBeNull();
+  });
+
+  it('filters by type and unread state', async () => {
+    await NotificationService.publish(client.id, { type: 'payout_paid', title: 'Paid' });
+    const bid = await NotificationService.publish(client.id, { type: 'new_bid', title: 'Bid' });
+    await NotificationService.publish(client.id, { type: 'dispute_opened', title: 'Dispute' });
+
+    const byType = await list(client, { type: 'new_bid,dispute_opened' });
+    expect(byType.body.notifications.map(n => n.title).sort()).toEqual(['Bid', 'Dispute']);
+
+    await request(ctx.app)
+      .patch(`/api/notifications/${bid.id}/read`)
+      .set(authHeader(client));
+
+    const unread = await list(client, { unread: 'true' });
+    expect(unread.body.notifications.map(n => n.title).sort()).toEqual(['Dispute', 'Paid']);
+    expect(unread.body.unreadCount).toBe(2);
+  });
+
+  it('collapses unread messages from a conversation into one notification', async () => {
+    const conversation = ctx.create.conversation([client, artist]);
+    for (const content of ['Hi', 'Are you open?', 'For a cat portrait']) {
+      await sendMessage(conversation, content);
+      await settle();
+    }
+
+    const { body } = await list(artist);
+    expect(body.unreadCount).toBe(1);
+    expect(body.notifications).toHaveLength(1);
+    expect(body.notifications[0]).toMatchObject({
+      type: 'new_message',
+      title: `3 new messages from ${client.username}`,
+      message: 'For a cat portrait',
+      count: 3,
+    });
+
+    // Reading it closes the group; the next message starts a new one
+    await request(ctx.app).patch('/api/notifications/read-all').set(authHeader(artist));
+    await sendMessage(conversation, 'Still there?');
+    await settle();
+
+    const after = await list(artist);
+    expect(after.body.unreadCount).toBe(1);
+    expect(after.body.notifications.map(n => n.count).sort()).toEqual([1, 3]);
+  });
+
+  it('stores nothing for types the user has turned off in-app', async () => {
+    const res = await updatePreferences(artist, { preferences: [{ type: 'new_message', in_app: false }] });
+    expect(res.status).toBe(200);
+    expect(res.body.preferences.find(p => p.type === 'new_message')).toMatchObject({
+      in_app: false,
+      push: true,
+      email_digest: false,
+    });
+
+    await sendMessage(ctx.create.conversation([client, artist]), 'Hello?');
+    await settle();
+
+    expect(ctx.db.table('notifications').filter(n => n.user_id === artist.id)).toHaveLength(0);
+  });
+
+  it('queues notifications for the email digest when the user opts in', async () => {
+    await updatePreferences(client, { preferences: [{ type: 'payout_paid', email_digest: true }] });
+    await NotificationService.publish(client.id, { type: 'payout_paid', title: 'Paid' });
+    await NotificationService.publish(client.id, { type: 'payout_failed', title: 'Failed' });
+
+    const pending = await NotificationService.getPendingDigest(client.id);
+    expect(pending.map(n => n.title)).toEqual(['Paid']);
+
+    await NotificationService.markDigestSent(pending.map(n => n.id));
+    expect(await NotificationService.getPendingDigest(client.id)).toHaveLength(0);
+  });
+
+  it('keeps digest-only notifications out of the notification center', async () => {
+    await updatePreferences(client, { preferences: [{ type: 'payout_paid', in_app: false, email_digest: true }] });
+
+    expect(await NotificationService.publish(client.id, { type: 'payout_paid', title: 'Paid' })).toBeNull();
+
+    const { body } = await list(client);
+    expect(body.notifications).toHaveLength(0);
+    expect(body.unreadCount).toBe(0);
+    expect((await NotificationService.getPendingDigest(client.id)).map(n => n.title)).toEqual(['Paid']);
+  });
+
+  describe('email digest', () => {
+    let server;
+    let emails;
+
+    beforeEach(async () => {
+      emails = [];
+      server = createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+          emails.push({ headers: req.headers, body: JSON.parse(raw) });
+          res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"id":"email_1"}');
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      process.env.EMAIL_API_URL = `http://127.0.0.1:${server.address().port}`;
+      process.env.EMAIL_API_KEY = 'email-key';
+    });
+
+    afterEach(async () => {
+      delete process.env.EMAIL_API_URL;
+      delete process.env.EMAIL_API_KEY;
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('emails each user their pending notifications once', async () => {
+      await updatePreferences(client, { preferences: [{ type: 'payout_paid', email_digest: true }] });
+      await NotificationService.publish(client.id, { type: 'payout_paid', title: 'Paid', message: '$90 is on its way' });
+      await NotificationService.publish(client.id, { type: 'payout_paid', title: 'Paid again' });
+
+      await queueDigestSweep();
+      await settle();
+
+      expect(emails).toHaveLength(1);
+      expect(emails[0].headers.authorization).toBe('Bearer email-key');
+      expect(emails[0].body).toMatchObject({ to: client.email, subject: '2 updates on Erato' });
+      expect(emails[0].body.text).toContain('- Paid: $90 is on its way');
+      expect(await NotificationService.getPendingDigest(client.id)).toHaveLength(0);
+
+      await queueDigestSweep();
+      await settle();
+      expect(emails).toHaveLength(1);
+    });
+  });
+
+  it('rejects unknown types and malformed quiet hours', async () => {
+    const unknownType = await updatePreferences(client, { preferences: [{ type: 'nope', push: false }] });
+    const badHours = await updatePreferences(client, { quiet_hours: { start: '25:00', end: '07:00' } });
+    const badZone = await updatePreferences(client, { quiet_hours: { start: '22:00', end: '07:00', timezone: 'Mars/Base' } });
+
+    expect(unknownType.status).toBe(400);
+    expect(badHours.status).toBe(400);
+    expect(badZone.status).toBe(400);
+  });
+
+  describe('push', () => {
+    let expo;
+
+    beforeEach(async () => {
+      expo = await startExpoStub();
+      ctx.db.seed('push_devices', { user_id: client.id, token: 'ExponentPushToken[client]', platform: 'ios' });
+    });
+
+    afterEach(() => expo.close());
+
+    const push = () => sendPushToUser(client.id, {
+      title: 'Commission accepted',
+      notificationType: 'commission_accepted',
+    });
+
+    it('holds back push during quiet hours', async () => {
+      const hour = new Date().getUTCHours();
+      const pad = h => String((h + 24) % 24).padStart(2, '0');
+      await updatePreferences(client, {
+        quiet_hours: { start: `${pad(hour - 1)}:00`, end: `${pad(hour + 1)}:00`, timezone: 'UTC' },
+      });
+
+      expect(await push()).toBe(false);
+
+      await updatePreferences(client, { quiet_hours: null });
+      expect(await push()).toBe(true);
+      expect(expo.sent()).toHaveLength(1);
+    });
+
+    it('skips types the user has turned push off for', async () => {
+      await updatePreferences(client, { preferences: [{ type: 'commission_accepted', push: false }] });
+
+      expect(await push()).toBe(false);
+      expect(expo.sent()).toHaveLength(0);
+    });
+  });
+
+  it('handles quiet hours that wrap past midnight', () => {
+    const settings = { start: '22:00', end: '07:00', timezone: 'America/New_York' };
+
+    expect(isQuietHours(settings, new Date('2026-01-15T04:00:00Z'))).toBe(true); // 23:00 local
+    expect(isQuietHours(settings, new Date('2026-01-15T11:30:00Z'))).toBe(true); // 06:30 local
+    expect(isQuietHours(settings, new Date('2026-01-15T17:00:00Z'))).toBe(false); // 12:00 local
+  });
+});
@@ -0,0 +1,273 @@
+import request from 'supertest';
+import Stripe from 'stripe';
+import { authHeader, createTestContext } from './helpers/context.js';
+
+describe('payments', () => {
+  let ctx;
+  let client;
+  let artist;
+  let commission;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+    commission = ctx.create.commission(client, artist, { status: 'in_progress', final_price: 200 });
+  });
+
+  const stripeWebhook = (event) => {
+    const payload = JSON.stringify(event);
+    const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+
+    return request(ctx.app)
+      .post('/api/payments/stripe/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', signature)
+      .send(payload);
+  };
+
+  const ledger = () => ctx.db.table('artist_ledger_entries', e => e.commission_id === commission.id);
+
+  describe('PayPal', () => {
+    const createOrder = (body = {}) => request(ctx.app)
+      .post('/api/payments/create-order')
+      .set(authHeader(client))
+      .send({ commissionId: commission.id, paymentType: 'deposit', ...body });
+
+    it('creates an order for the deposit and records a pending transaction', async () => {
+      const res = await createOrder();
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ amount: 100, approvalUrl: expect.stringContaining(res.body.data.orderId) });
+      expect(ctx.db.find('payment_transactions', t => t.id === res.body.data.transactionId)).toMatchObject({
+        status: 'pending',
+        paypal_order_id: res.body.data.orderId,
+        recipient_id: artist.id,
+      });
+    });
+
+    it('captures the order, marks the deposit paid and holds the artist payout', async () => {
+      const { body: { data: order } } = await createOrder();
+
+      const res = await request(ctx.app)
+        .post('/api/payments/capture-order')
+        .set(authHeader(client))
+        .send({ orderId: order.orderId });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('COMPLETED');
+      expect(ctx.db.find('payment_transactions', t => t.id === order.transactionId)).toMatchObject({
+        status: 'succeeded',
+        paypal_capture_id: res.body.data.captureId,
+      });
+      expect(ctx.db.find('commissions', c => c.id === commission.id)).toMatchObject({
+        payment_status: 'deposit_paid',
+        escrow_status: 'held',
+      });
+      expect(ledger()).toEqual([expect.objectContaining({ entry_type: 'hold', artist_id: artist.id })]);
+    });
+
+    it('treats a second capture of the same order as already captured', async () => {
+      const { body: { data: order } } = await createOrder();
+      const capture = () => request(ctx.app)
+        .post('/api/payments/capture-order')
+        .set(authHeader(client))
+        .send({ orderId: order.orderId });
+
+      await capture();
+      const again = await capture();
+
+      expect(again.status).toBe(200);
+      expect(again.body.data.alreadyCaptured).toBe(true);
+      expect(ledger()).toHaveLength(1);
+    });
+
+    it('leaves the transaction pending when the capture is declined', async () => {
+      const { body: { data: order } } = await createOrder();
+      ctx.paypal.failNextCapture('DECLINED');
+
+      const res = await request(ctx.app)
+        .post('/api/payments/capture-order')
+        .set(authHeader(client))
+        .send({ orderId: order.orderId });
+
+      expect(res.status).toBe(400);
+      expect(ctx.db.find('payment_transactions', t => t.id === order.transactionId).status).toBe('pending');
+      expect(ledger()).toHaveLength(0);
+    });
+
+    it('only lets the client pay', async () => {
+      const res = await request(ctx.app)
+        .post('/api/payments/create-order')
+        .set(authHeader(artist))
+        .send({ commissionId: commission.id, paymentType: 'full' });
+
+      expect(res.status).toBe(403);
+      expect(ctx.paypal.requests).toHaveLength(0);
+    });
+
+    it('rejects webhooks without PayPal signature headers', async () => {
+      const res = await request(ctx.app)
+        .post('/api/payments/webhook')
+        .send({ id: 'WH-1', event_type: 'PAYMENT.CAPTURE.COMPLETED', resource: {} });
+
+      expect(res.status).toBe(400);
+      expect(ctx.db.table('processed_webhook_events')).toHaveLength(0);
+    });
+  });
+
+  describe('Stripe', () => {
+    it('pays a milestone through a payment intent and confirmation', async () => {
+      const [milestone] = ctx.db.seed('commission_milestones', [
+        { commission_id: commission.id, milestone_number: 1, title: 'Sketch', amount: '60.00', percentage: '30.00' },
+        { commission_id: commission.id, milestone_number: 2, title: 'Final', amount: '140.00', percentage: '70.00', is_locked: true },
+      ]);
+
+      const intent = await request(ctx.app)
+        .post('/api/payments/stripe/create-payment-intent')
+        .set(authHeader(client))
+        .send({ commissionId: commission.id, paymentType: 'milestone', milestoneId: milestone.id });
+
+      expect(intent.status).toBe(200);
+      expect(ctx.stripe.intents.get(intent.body.data.paymentIntentId)).toMatchObject({ amount: 6000, currency: 'usd' });
+
+      const confirmEarly = () => request(ctx.app)
+        .post('/api/payments/stripe/confirm-payment')
+        .set(authHeader(client))
+        .send({ paymentIntentId: intent.body.data.paymentIntentId });
+
+      expect((await confirmEarly()).status).toBe(400);
+
+      ctx.stripe.settle(intent.body.data.paymentIntentId);
+      const confirmed = await confirmEarly();
+
+      expect(confirmed.status).toBe(200);
+      expect(ctx.db.find('commission_milestones', m => m.id === milestone.id)).toMatchObject({
+        payment_status: 'paid',
+        payment_transaction_id: intent.body.data.transactionId,
+      });
+    });
+
+    it('refuses to charge a locked milestone', async () => {
+      const milestone = ctx.db.seed('commission_milestones', {
+        commission_id: commission.id, milestone_number: 2, title: 'Final', amount: '140.00', is_locked: true,
+      });
+
+      const res = await request(ctx.app)
+        .post('/api/payments/stripe/create-payment-intent')
+        .set(authHeader(client))
+        .send({ commissionId: commission.id, paymentType: 'milestone', milestoneId: milestone.id });
+
+      expect(res.status).toBe(400);
+      expect(ctx.stripe.intents.size).toBe(0);
+    });
+
+    it('completes a payment from a signed webhook exactly once', async () => {
+      const { body: { data } } = await request(ctx.app)
+        .post('/api/payments/stripe/create-payment-intent')
+        .set(authHeader(client))
+        .send({ commissionId: commission.id, paymentType: 'full' });
+
+      const event = {
+        id: 'evt_1',
+        type: 'payment_intent.succeeded',
+        data: { object: { id: data.paymentIntentId, object: 'payment_intent' } },
+      };
+
+      const first = await stripeWebhook(event);
+      const second = await stripeWebhook(event);
+
+      expect(first.body).toEqual({ received: true, duplicate: false });
+      expect(second.body).toEqual({ received: true, duplicate: true });
+      expect(ctx.db.find('commissions', c => c.id === commission.id).payment_status).toBe('fully_paid');
+      expect(ledger()).toHaveLength(1);
+    });
+
+    it('does not revive a refunded payment from a late capture event', async () => {
+      const { body: { data } } = await request(ctx.app)
+        .post('/api/payments/stripe/create-payment-intent')
+        .set(authHeader(client))
+        .send({ commissionId: commission.id, paymentType: 'full' });
+      ctx.db.patch('payment_transactions', t => t.id === data.transactionId, { status: 'refunded', refunded_amount: 200 });
+
+      const res = await stripeWebhook({
+        id: 'evt_late',
+        type: 'payment_intent.succeeded',
+        data: { object: { id: data.paymentIntentId, object: 'payment_intent' } },
+      });
+
+      expect(res.status).toBe(200);
+      expect(ctx.db.find('payment_transactions', t => t.id === data.transactionId).status).toBe('refunded');
+      expect(ctx.db.find('commissions', c => c.id === commission.id).payment_status).toBe('unpaid');
+      expect(ledger()).toHaveLength(0);
+    });
+
+    it('takes each partial refund back out of the artist\'s balance', async () => {
+      const { body: { data } } = await request(ctx.app)
+        .post('/api/payments/stripe/create-payment-intent')
+        .set(authHeader(client))
+        .send({ commissionId: commission.id, paymentType: 'full' });
+      await stripeWebhook({
+        id: 'evt_paid',
+        type: 'payment_intent.succeeded',
+        data: { object: { id: data.paymentIntentId, object: 'payment_intent' } },
+      });
+
+      for (const [id, refunded] of [['evt_refund_1', 5000], ['evt_refund_2', 8000]]) {
+        const res = await stripeWebhook({
+          id,
+          type: 'charge.refunded',
+          data: { object: { object: 'charge', payment_intent: data.paymentIntentId, amount_refunded: refunded } },
+        });
+        expect(res.status).toBe(200);
+      }
+
+      expect(ctx.db.find('payment_transactions', t => t.id === data.transactionId)).toMatchObject({
+        status: 'partially_refunded',
+        refunded_amount: '80.00',
+      });
+      expect(ledger().map(e => e.entry_type)).toEqual(['hold', 'refund', 'refund']);
+    });
+
+    it('processes an event again once a crashed delivery has held it past its lease', async () => {
+      const { body: { data } } = await request(ctx.app)
+        .post('/api/payments/stripe/create-payment-intent')
+        .set(authHeader(client))
+        .send({ commissionId: commission.id, paymentType: 'full' });
+      const event = {
+        id: 'evt_stuck',
+        type: 'payment_intent.succeeded',
+        data: { object: { id: data.paymentIntentId, object: 'payment_intent' } },
+      };
+      const stuck = ctx.db.seed('processed_webhook_events', {
+        provider: 'stripe',
+        event_id: 'evt_stuck',
+        event_type: event.type,
+        status: 'processing',
+        attempts: 1,
+        updated_at: new Date().toISOString(),
+      });
+
+      expect((await stripeWebhook(event)).body).toEqual({ received: true, duplicate: true });
+
+      ctx.db.patch('processed_webhook_events', e => e.id === stuck.id, {
+        updated_at: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+      });
+      const res = await stripeWebhook(event);
+
+      expect(res.body).toEqual({ received: true, duplicate: false });
+      expect(ctx.db.find('processed_webhook_events', e => e.id === stuck.id)).toMatchObject({ status: 'processed', attempts: 2 });
+      expect(ledger()).toHaveLength(1);
+    });
+
+    it('rejects webhooks with a bad signature', async () => {
+      const res = await request(ctx.app)
+        .post('/api/payments/stripe/webhook')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', 't=1,v1=bogus')
+        .send(JSON.stringify({ id: 'evt_forged', type: 'payment_intent.succeeded' }));
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { createTestContext } from './helpers/context.js';
+import { createPayouts, processPayouts } from '../src/utils/payouts/index.js';
+import { getArtistBalance, recordLedgerEntry } from '../src/utils/payouts/ledger.js';
+
+describe('payout pipeline', () => {
+  let ctx;
+  let artist;
+
+  beforeEach(async () => {
+    ctx = createTestContext();
+    artist = ctx.create.artist({}, { payout_method: 'stripe', stripe_account_id: 'acct_artist' });
+    await recordLedgerEntry({
+      artistId: artist.id,
+      entryType: 'release',
+      fromBucket: 'held',
+      toBucket: 'releasable',
+      amount: 90,
+      description: 'Escrow released',
+    });
+  });
+
+  const payouts = () => ctx.db.table('artist_payouts', p => p.artist_id === artist.id);
+
+  // The next transfer goes through at Stripe but the response is lost
+  const loseNextTransferResponse = () => {
+    const create = ctx.stripe.transfers.create;
+    ctx.stripe.transfers.create = async (...args) => {
+      ctx.stripe.transfers.create = create;
+      await create(...args);
+      throw Object.assign(new Error('Connection reset'), { type: 'StripeConnectionError' });
+    };
+  };
+
+  it('pays a releasable balance once when runs overlap', async () => {
+    await Promise.all([createPayouts(), createPayouts(), createPayouts({ artistIds: [artist.id] })]);
+
+    expect(payouts()).toEqual([expect.objectContaining({ amount: '90.00', status: 'pending' })]);
+    expect(await getArtistBalance(artist.id)).toMatchObject({ releasable: 0, in_transit: 90 });
+  });
+
+  it('leaves balances below the minimum available for a later payout', async () => {
+    ctx.db.patch('artist_ledger_entries', e => e.artist_id === artist.id, { amount: '0.50' });
+
+    expect(await createPayouts()).toEqual([]);
+    expect(ctx.db.table('artist_ledger_entries', e => e.artist_id === artist.id).map(e => e.status)).toEqual(['available']);
+  });
+
+  it('retries with the same idempotency key so a lost response is not paid twice', async () => {
+    loseNextTransferResponse();
+    await processPayouts();
+
+    const [payout] = payouts();
+    expect(payout).toMatchObject({ status: 'retrying', attempts: 1, batch_id: expect.any(String) });
+
+    ctx.db.patch('artist_payouts', p => p.id === payout.id, { next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+    await processPayouts();
+
+    expect(payouts()).toEqual([expect.objectContaining({ status: 'paid', attempts: 2, batch_id: payout.batch_id })]);
+    expect(ctx.stripe.transfersSent).toHaveLength(1);
+    expect(await getArtistBalance(artist.id)).toMatchObject({ in_transit: 0, paid_out: 90 });
+  });
+
+  it('sends a payout again when a run died after claiming it', async () => {
+    const [payout] = await createPayouts();
+    ctx.db.patch('artist_payouts', p => p.id === payout.id, {
+      status: 'processing',
+      attempts: 1,
+      batch_id: `batch_stripe_${payout.id}`,
+      last_attempt_at: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    });
+
+    await processPayouts();
+
+    expect(payouts()).toEqual([expect.objectContaining({ status: 'paid', attempts: 2 })]);
+    expect(ctx.stripe.transfersSent).toEqual([expect.objectContaining({ transfer_group: `batch_stripe_${payout.id}` })]);
+  });
+
+  it('does not touch a payout another run is still sending', async () => {
+    const [payout] = await createPayouts();
+    ctx.db.patch('artist_payouts', p => p.id === payout.id, {
+      status: 'processing',
+      attempts: 1,
+      last_attempt_at: new Date().toISOString(),
+    });
+
+    await processPayouts();
+
+    expect(payouts()).toEqual([expect.objectContaining({ status: 'processing', attempts: 1 })]);
+    expect(ctx.stripe.transfersSent).toHaveLength(0);
+  });
+});
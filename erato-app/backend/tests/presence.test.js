@@ -0,0 +1,153 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle, socketAuth } from './helpers/context.js';
+import { getPresence } from '../src/utils/presence.js';
+
+describe('presence and receipts', () => {
+  let ctx;
+  let client;
+  let artist;
+  let conversation;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+    conversation = ctx.create.conversation([client, artist]);
+  });
+
+  const connect = async (user) => {
+    const socket = await ctx.io.connect(socketAuth(user));
+    await settle();
+    return socket;
+  };
+  const presenceEvents = (user) => ctx.io.emittedTo(`user:${user.id}`, 'presence:update').map(e => e.payload.data);
+  const participant = (user) => request(ctx.app)
+    .get(`/api/messages/conversations/${conversation.id}`)
+    .set(authHeader(user))
+    .then(res => res.body.participants.find(p => p.id !== user.id));
+
+  describe('presence', () => {
+    it('follows socket connections rather than requests', async () => {
+      await request(ctx.app).get('/api/messages/conversations').set(authHeader(artist));
+      expect((await getPresence([artist.id])).get(artist.id).online).toBe(false);
+
+      const first = await connect(artist);
+      const second = await connect(artist);
+      expect(await participant(client)).toMatchObject({ is_online: true });
+      expect(presenceEvents(client)).toEqual([{ user_id: artist.id, online: true, last_seen: null }]);
+
+      first.disconnect();
+      await settle();
+      expect((await getPresence([artist.id])).get(artist.id).online).toBe(true);
+
+      second.disconnect();
+      await settle();
+
+      const lastSeen = ctx.db.find('users', u => u.id === artist.id).last_seen;
+      expect(lastSeen).toEqual(expect.any(String));
+      expect(await participant(client)).toMatchObject({ is_online: false, last_seen: lastSeen });
+      expect(presenceEvents(client)).toEqual([
+        { user_id: artist.id, online: true, last_seen: null },
+        { user_id: artist.id, online: false, last_seen: lastSeen },
+      ]);
+    });
+
+    it('lets sockets of a server that went away expire', async () => {
+      await connect(artist);
+
+      const later = Date.now() + 5 * 60 * 1000;
+      expect((await getPresence([artist.id], { now: later })).get(artist.id).online).toBe(false);
+    });
+
+    it('hides the status of users who turn it off', async () => {
+      await connect(artist);
+      ctx.io.emitted = [];
+
+      const res = await request(ctx.app)
+        .put('/api/users/me')
+        .set(authHeader(artist))
+        .send({ show_online_status: false });
+      await settle();
+
+      expect(res.status).toBe(200);
+      expect(presenceEvents(client)).toEqual([{ user_id: artist.id, online: false, last_seen: null }]);
+      expect(await participant(client)).toMatchObject({ is_online: false, last_seen: null });
+
+      const list = await request(ctx.app).get('/api/messages/conversations').set(authHeader(client));
+      expect(list.body.conversations[0].other_participant).toMatchObject({ is_online: false, last_seen: null });
+
+      // Coming and going no longer announces anything
+      await connect(artist);
+      expect(presenceEvents(client)).toHaveLength(1);
+    });
+
+    it('sends the other participants\' presence when joining a conversation', async () => {
+      await connect(artist);
+      const socket = await connect(client);
+
+      const replies = [];
+      await socket.trigger('conversation:join', conversation.id, reply => replies.push(reply));
+
+      expect(replies).toEqual([{ ok: true, presence: [{ user_id: artist.id, online: true, last_seen: null }] }]);
+    });
+
+    it('only takes true or false', async () => {
+      const res = await request(ctx.app)
+        .put('/api/users/me')
+        .set(authHeader(artist))
+        .send({ show_online_status: 'no' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('receipts', () => {
+    const send = (content) => request(ctx.app)
+      .post(`/api/messages/conversations/${conversation.id}/messages`)
+      .set(authHeader(client))
+      .send({ content });
+    const ownMessages = async () => (await request(ctx.app)
+      .get(`/api/messages/conversations/${conversation.id}/messages`)
+      .set(authHeader(client))).body.messages.filter(m => m.sender_id === client.id);
+
+    it('moves a message from sent to delivered to read', async () => {
+      const { body: message } = await send('Is the sketch ready?');
+      expect((await ownMessages())[0].receipt).toEqual({ status: 'sent', delivered_at: null, read_at: null });
+
+      const socket = await connect(artist);
+      await socket.trigger('message:delivered', { conversationId: conversation.id, messageId: message.id });
+
+      expect(ctx.io.emittedTo(`user:${client.id}`, 'message:delivered').map(e => e.payload.data)).toEqual([
+        { conversation_id: conversation.id, user_id: artist.id, delivered_at: message.created_at },
+      ]);
+      expect((await ownMessages())[0].receipt).toMatchObject({ status: 'delivered', delivered_at: message.created_at });
+
+      await request(ctx.app)
+        .get(`/api/messages/conversations/${conversation.id}/messages`)
+        .set(authHeader(artist));
+
+      const [read] = ctx.io.emittedTo(`user:${client.id}`, 'message:read').filter(e => e.payload.data.user_id === artist.id);
+      expect((await ownMessages())[0].receipt).toEqual({
+        status: 'read',
+        delivered_at: read.payload.data.read_at,
+        read_at: read.payload.data.read_at,
+      });
+    });
+
+    it('ignores acknowledgements for own, unknown or stale messages', async () => {
+      const { body: message } = await send('Hello');
+      const sender = await connect(client);
+      const outsider = await connect(ctx.create.client());
+
+      await sender.trigger('message:delivered', { conversationId: conversation.id, messageId: message.id });
+      await outsider.trigger('message:delivered', { conversationId: conversation.id, messageId: message.id });
+      await outsider.trigger('message:delivered', { conversationId: conversation.id, messageId: 'missing' });
+
+      const recipient = await connect(artist);
+      await recipient.trigger('message:delivered', { conversationId: conversation.id, messageId: message.id });
+      await recipient.trigger('message:delivered', { conversationId: conversation.id, messageId: message.id });
+
+      expect(ctx.io.emitted.filter(e => e.event === 'message:delivered')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+import { startExpoStub } from './helpers/expoStub.js';
+import { checkPushReceipts, sendPushToUser, sendPushToUsers } from '../src/utils/pushNotifications.js';
+import { queuePushReceiptCheck } from '../src/jobs/notifications.js';
+
+describe('push notifications', () => {
+  let ctx;
+  let expo;
+  let client;
+
+  beforeEach(async () => {
+    ctx = createTestContext();
+    expo = await startExpoStub();
+    client = ctx.create.client();
+  });
+
+  afterEach(() => expo.close());
+
+  const register = (user, token, extra = {}) => request(ctx.app)
+    .post('/api/notifications/token')
+    .set(authHeader(user))
+    .send({ token, ...extra });
+
+  const devicesOf = user => ctx.db.table('push_devices').filter(d => d.user_id === user.id);
+
+  describe('device registry', () => {
+    it('keeps one device per token and lists them', async () => {
+      await register(client, 'ExponentPushToken[phone]', { platform: 'ios', device_name: 'Phone' });
+      await register(client, 'ExponentPushToken[tablet]', { platform: 'android' });
+      const again = await register(client, 'ExponentPushToken[phone]', { platform: 'ios' });
+
+      expect(again.status).toBe(200);
+      expect(devicesOf(client).map(d => d.token).sort()).toEqual(['ExponentPushToken[phone]', 'ExponentPushToken[tablet]']);
+
+      const { body } = await request(ctx.app).get('/api/notifications/devices').set(authHeader(client));
+      expect(body.devices).toHaveLength(2);
+    });
+
+    it('moves a token to the account that registered it last', async () => {
+      const other = ctx.create.client();
+      await register(client, 'ExponentPushToken[shared]');
+      await register(other, 'ExponentPushToken[shared]');
+
+      expect(devicesOf(client)).toHaveLength(0);
+      expect(devicesOf(other)).toHaveLength(1);
+    });
+
+    it('rejects tokens that are not Expo push tokens', async () => {
+      const res = await register(client, 'not-a-token');
+
+      expect(res.status).toBe(400);
+      expect(ctx.db.table('push_devices')).toHaveLength(0);
+    });
+
+    it('unregisters a device', async () => {
+      await register(client, 'ExponentPushToken[phone]');
+
+      const res = await request(ctx.app)
+        .delete('/api/notifications/token')
+        .set(authHeader(client))
+        .send({ token: 'ExponentPushToken[phone]' });
+
+      expect(res.status).toBe(200);
+      expect(devicesOf(client)).toHaveLength(0);
+    });
+  });
+
+  describe('sending', () => {
+    it('reaches every device of every recipient in one request', async () => {
+      const friend = ctx.create.client();
+      ctx.db.seed('push_devices', { user_id: client.id, token: 'ExponentPushToken[phone]' });
+      ctx.db.seed('push_devices', { user_id: client.id, token: 'ExponentPushToken[tablet]' });
+      ctx.db.seed('push_devices', { user_id: friend.id, token: 'ExponentPushToken[friend]' });
+
+      const reached = await sendPushToUsers([client.id, friend.id], { title: 'Hello', body: 'World' });
+
+      expect(reached).toBe(3);
+      expect(expo.requests).toHaveLength(1);
+      expect(expo.sent().map(m => m.to).sort()).toEqual([
+        'ExponentPushToken[friend]',
+        'ExponentPushToken[phone]',
+        'ExponentPushToken[tablet]',
+      ]);
+      expect(expo.sent()[0]).toMatchObject({ title: 'Hello', body: 'World' });
+      expect(ctx.db.table('push_tickets')).toHaveLength(3);
+    });
+
+    it('returns false for users without devices', async () => {
+      expect(await sendPushToUser(client.id, { title: 'Hello' })).toBe(false);
+      expect(expo.requests).toHaveLength(0);
+    });
+
+    it('drops tokens Expo rejects as not registered', async () => {
+      ctx.db.seed('push_devices', { user_id: client.id, token: 'ExponentPushToken[phone]' });
+      ctx.db.seed('push_devices', { user_id: client.id, token: 'ExponentPushToken[old]' });
+      expo.unregistered.add('ExponentPushToken[old]');
+
+      expect(await sendPushToUser(client.id, { title: 'Hello' })).toBe(true);
+      expect(devicesOf(client).map(d => d.token)).toEqual(['ExponentPushToken[phone]']);
+    });
+  });
+
+  describe('receipts', () => {
+    const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+    beforeEach(() => {
+      ctx.db.seed('push_devices', { user_id: client.id, token: 'ExponentPushToken[phone]' });
+      ctx.db.seed('push_devices', { user_id: client.id, token: 'ExponentPushToken[gone]' });
+    });
+
+    it('prunes devices whose receipt says they are no longer registered', async () => {
+      ctx.db.seed('push_tickets', { id: 't-ok', token: 'ExponentPushToken[phone]', user_id: client.id, created_at: minutesAgo(20) });
+      ctx.db.seed('push_tickets', { id: 't-gone', token: 'ExponentPushToken[gone]', user_id: client.id, created_at: minutesAgo(20) });
+      expo.receipts = {
+        't-ok': { status: 'ok' },
+        't-gone': { status: 'error', details: { error: 'DeviceNotRegistered' } },
+      };
+
+      const summary = await checkPushReceipts();
+
+      expect(summary).toEqual({ checked: 2, pruned: 1 });
+      expect(devicesOf(client).map(d => d.token)).toEqual(['ExponentPushToken[phone]']);
+      expect(ctx.db.table('push_tickets')).toHaveLength(0);
+    });
+
+    it('waits for receipts to be ready and gives up on them after a day', async () => {
+      ctx.db.seed('push_tickets', { id: 't-new', token: 'ExponentPushToken[phone]', user_id: client.id, created_at: minutesAgo(5) });
+      ctx.db.seed('push_tickets', { id: 't-pending', token: 'ExponentPushToken[phone]', user_id: client.id, created_at: minutesAgo(30) });
+      ctx.db.seed('push_tickets', { id: 't-expired', token: 'ExponentPushToken[phone]', user_id: client.id, created_at: minutesAgo(25 * 60) });
+
+      await checkPushReceipts();
+
+      expect(expo.requests[0].body.ids.sort()).toEqual(['t-expired', 't-pending']);
+      expect(ctx.db.table('push_tickets').map(t => t.id).sort()).toEqual(['t-new', 't-pending']);
+    });
+
+    it('are checked by a queued job', async () => {
+      ctx.db.seed('push_tickets', { id: 't-gone', token: 'ExponentPushToken[gone]', user_id: client.id, created_at: minutesAgo(20) });
+      expo.receipts = { 't-gone': { status: 'error', details: { error: 'DeviceNotRegistered' } } };
+
+      await queuePushReceiptCheck();
+      await settle();
+
+      expect(devicesOf(client).map(d => d.token)).toEqual(['ExponentPushToken[phone]']);
+    });
+  });
+});
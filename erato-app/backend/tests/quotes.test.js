@@ -0,0 +1,180 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+import { respondToQuote } from '../src/utils/quotes.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('commission quotes', () => {
+  let ctx;
+  let artist;
+  let client;
+  let commission;
+
+  const quotesUrl = () => `/api/commissions/${commission.id}/quotes`;
+  const sendQuote = (user, lineItems, extra = {}) => request(ctx.app)
+    .post(quotesUrl())
+    .set(authHeader(user))
+    .send({ line_items: lineItems, ...extra });
+  const respond = (user, quoteId, action, body = {}) => request(ctx.app)
+    .post(`${quotesUrl()}/${quoteId}/${action}`)
+    .set(authHeader(user))
+    .send(body);
+  const current = () => ctx.db.find('commissions', c => c.id === commission.id);
+  const quoteMessages = () => ctx.db.table('messages').filter(m => m.message_type === 'quote');
+
+  const artistQuote = [
+    { type: 'base', label: 'Full body', amount: 120 },
+    { type: 'rush_fee', amount: 30 },
+    { type: 'commercial_license', amount: 50.5 },
+  ];
+
+  beforeEach(async () => {
+    ctx = createTestContext();
+    ctx.create.milestoneTemplates();
+    artist = ctx.create.artist();
+    client = ctx.create.client();
+
+    const pkg = ctx.db.seed('commission_packages', {
+      artist_id: artist.id, name: 'Full body', base_price: 120, is_active: true,
+    });
+    const addon = ctx.db.seed('commission_package_addons', { package_id: pkg.id, name: 'Background', price: 25 });
+
+    const res = await request(ctx.app)
+      .post('/api/commissions/request')
+      .set(authHeader(client))
+      .send({ artist_id: artist.id, details: 'My knight', package_id: pkg.id, selected_addons: [addon.id] });
+    commission = res.body.commission;
+    await settle();
+  });
+
+  it('suggests line items from the requested package', async () => {
+    const res = await request(ctx.app).get(quotesUrl()).set(authHeader(artist));
+
+    expect(res.body).toEqual({
+      quotes: [],
+      suggested_line_items: [
+        { type: 'base', label: 'Full body', amount: 120 },
+        { type: 'addon', label: 'Background', amount: 25 },
+      ],
+    });
+  });
+
+  it('starts the commission at the accepted price', async () => {
+    const sent = await sendQuote(artist, artistQuote, { note: 'Rush as asked', valid_days: 7 });
+    await settle();
+
+    expect(sent.status).toBe(201);
+    expect(sent.body.quote).toMatchObject({ round: 1, total: 200.5, status: 'pending' });
+    expect(quoteMessages()).toEqual([
+      expect.objectContaining({ sender_id: artist.id, content: 'Sent a quote: $200.50' }),
+    ]);
+
+    const accepted = await respond(client, sent.body.quote.id, 'accept');
+    await settle();
+
+    expect(accepted.status).toBe(200);
+    expect(current()).toMatchObject({ status: 'in_progress', final_price: 200.5, accepted_quote_id: sent.body.quote.id });
+
+    const milestones = ctx.db.table('commission_milestones').filter(m => m.commission_id === commission.id);
+    const split = milestones.reduce((sum, m) => sum + Number(m.amount), 0);
+    expect(split).toBeCloseTo(200.5, 1);
+    expect(quoteMessages().map(m => m.content)).toEqual(['Sent a quote: $200.50', 'Accepted the quote: $200.50']);
+    expect(ctx.db.find('commission_status_history', h => h.commission_id === commission.id && h.to_status === 'in_progress'))
+      .toMatchObject({ actor_id: client.id, actor_role: 'client' });
+  });
+
+  it('leaves the quote open when the commission moved on before the acceptance', async () => {
+    const sent = await sendQuote(artist, artistQuote);
+    const stale = current();
+    ctx.db.patch('commissions', c => c.id === commission.id, { status: 'cancelled' });
+
+    await expect(respondToQuote({
+      commission: stale,
+      quoteId: sent.body.quote.id,
+      actorId: client.id,
+      actorRole: 'client',
+      action: 'accept',
+    })).rejects.toMatchObject({ status: 409 });
+
+    expect(ctx.db.find('commission_quotes', q => q.id === sent.body.quote.id).status).toBe('pending');
+    expect(current()).toMatchObject({ status: 'cancelled', accepted_quote_id: null });
+  });
+
+  it('keeps every round of a negotiation', async () => {
+    const first = await sendQuote(artist, artistQuote);
+    const counter = await sendQuote(client, [{ type: 'base', amount: 150 }], { note: 'Skip the license?' });
+
+    // The artist's quote can no longer be accepted once it was countered
+    expect((await respond(client, first.body.quote.id, 'accept')).status).toBe(409);
+
+    await respond(artist, counter.body.quote.id, 'accept');
+    await settle();
+
+    const res = await request(ctx.app).get(quotesUrl()).set(authHeader(client));
+    expect(res.body.quotes.map(q => [q.round, q.author_role, q.status, q.total])).toEqual([
+      [1, 'artist', 'countered', 200.5],
+      [2, 'client', 'accepted', 150],
+    ]);
+    expect(current()).toMatchObject({ status: 'in_progress', final_price: 150 });
+    expect(quoteMessages().map(m => m.metadata.kind)).toEqual(['quote', 'counter', 'accepted']);
+  });
+
+  it('lets the artist revise a quote and quote again after a rejection', async () => {
+    const first = await sendQuote(artist, artistQuote);
+    const revised = await sendQuote(artist, [{ type: 'base', amount: 140 }]);
+
+    const rejected = await respond(client, revised.body.quote.id, 'reject', { reason: 'Over my budget' });
+    expect(rejected.status).toBe(200);
+    expect(current().status).toBe('pending');
+
+    expect((await sendQuote(artist, [{ type: 'base', amount: 110 }])).status).toBe(201);
+
+    const statuses = ctx.db.table('commission_quotes').map(q => [q.id === first.body.quote.id, q.status]);
+    expect(statuses).toEqual([[true, 'superseded'], [false, 'rejected'], [false, 'pending']]);
+    expect(quoteMessages().map(m => m.content)).toContain('Declined the quote: Over my budget');
+  });
+
+  it('only lets the other side answer a quote, and only while it is open', async () => {
+    // Clients counter quotes; they don't open the negotiation
+    expect((await sendQuote(client, [{ type: 'base', amount: 90 }])).status).toBe(409);
+
+    const sent = await sendQuote(artist, artistQuote, { valid_days: 2 });
+    expect((await respond(artist, sent.body.quote.id, 'accept')).status).toBe(403);
+    expect((await respond(client, 'missing', 'accept')).status).toBe(404);
+
+    const outsider = ctx.create.client();
+    expect((await request(ctx.app).get(quotesUrl()).set(authHeader(outsider))).status).toBe(403);
+
+    ctx.db.patch('commission_quotes', q => q.id === sent.body.quote.id, {
+      valid_until: new Date(Date.now() - DAY).toISOString(),
+    });
+    expect((await respond(client, sent.body.quote.id, 'accept')).status).toBe(409);
+    expect(current().status).toBe('pending');
+  });
+
+  it('rejects malformed line items', async () => {
+    const cases = [
+      [],
+      [{ type: 'tip', amount: 10 }],
+      [{ type: 'base', amount: -5 }],
+      [{ type: 'base', amount: 10.123 }],
+      [{ type: 'base', amount: 10 }, { type: 'base', amount: 20 }],
+      [{ type: 'other', amount: 0 }],
+    ];
+
+    for (const lineItems of cases) {
+      expect((await sendQuote(artist, lineItems)).status).toBe(400);
+    }
+    expect((await sendQuote(artist, artistQuote, { valid_days: 90 })).status).toBe(400);
+    expect(ctx.db.table('commission_quotes')).toHaveLength(0);
+  });
+
+  it('closes once the commission has been accepted', async () => {
+    await request(ctx.app)
+      .patch(`/api/commissions/${commission.id}/status`)
+      .set(authHeader(artist))
+      .send({ status: 'accepted' });
+
+    expect((await sendQuote(artist, artistQuote)).status).toBe(409);
+  });
+});
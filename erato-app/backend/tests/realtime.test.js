@@ -0,0 +1,163 @@
+import request from 'supertest';
+import { authHeader, createTestContext, socketAuth } from './helpers/context.js';
+
+describe('realtime', () => {
+  let ctx;
+  let client;
+  let artist;
+  let conversation;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+    conversation = ctx.create.conversation([client, artist]);
+  });
+
+  const join = async (socket, conversationId) => {
+    const replies = [];
+    await socket.trigger('conversation:join', conversationId, reply => replies.push(reply));
+    return replies[0];
+  };
+
+  describe('connecting', () => {
+    it('needs a valid token for an active account', async () => {
+      await expect(ctx.io.connect({ version: 1 })).rejects.toThrow('Authentication token required');
+      await expect(ctx.io.connect(socketAuth(client, { token: 'not-a-jwt' }))).rejects.toThrow('Authentication failed');
+
+      const banned = ctx.create.client({ account_status: 'banned' });
+      await expect(ctx.io.connect(socketAuth(banned))).rejects.toThrow('This account has been banned');
+    });
+
+    it('refuses clients speaking another version of the protocol', async () => {
+      const refused = ctx.io.connect(socketAuth(client, { version: undefined }));
+
+      await expect(refused).rejects.toThrow('Unsupported realtime version');
+      await expect(refused).rejects.toMatchObject({ data: { version: 1 } });
+    });
+
+    it('puts the socket in its own user room, whatever the client claims', async () => {
+      const socket = await ctx.io.connect(socketAuth(client, { userId: artist.id }));
+
+      expect(socket.data.userId).toBe(client.id);
+      expect(socket.rooms.has(`user:${client.id}`)).toBe(true);
+      expect(socket.rooms.has(`user:${artist.id}`)).toBe(false);
+    });
+  });
+
+  describe('conversation rooms', () => {
+    it('can only be joined by participants', async () => {
+      const outsider = await ctx.io.connect(socketAuth(ctx.create.client()));
+      const socket = await ctx.io.connect(socketAuth(client));
+
+      expect(await join(outsider, conversation.id)).toEqual({ error: 'Conversation not found' });
+      expect(outsider.rooms.has(`conversation:${conversation.id}`)).toBe(false);
+
+      expect(await join(socket, conversation.id)).toMatchObject({ ok: true });
+      expect(socket.rooms.has(`conversation:${conversation.id}`)).toBe(true);
+    });
+
+    it('relays typing only from joined sockets, as the socket\'s user', async () => {
+      const socket = await ctx.io.connect(socketAuth(client));
+
+      await socket.trigger('conversation:typing', { conversationId: conversation.id, isTyping: true });
+      expect(ctx.io.emittedTo(`conversation:${conversation.id}`)).toEqual([]);
+
+      await join(socket, conversation.id);
+      await socket.trigger('conversation:typing', { conversationId: conversation.id, isTyping: true, userId: artist.id });
+
+      expect(ctx.io.emittedTo(`conversation:${conversation.id}`, 'conversation:typing')).toEqual([
+        expect.objectContaining({
+          except: socket.id,
+          payload: expect.objectContaining({
+            v: 1,
+            data: { conversation_id: conversation.id, user_id: client.id, is_typing: true },
+          }),
+        }),
+      ]);
+    });
+
+    it('drops the sockets of a user who leaves the conversation', async () => {
+      const commission = ctx.create.commission(client, artist);
+      ctx.db.find('conversations', c => c.id === conversation.id).commission_id = commission.id;
+      const socket = await ctx.io.connect(socketAuth(client));
+      await join(socket, conversation.id);
+
+      const res = await request(ctx.app)
+        .delete(`/api/messages/conversations/${conversation.id}`)
+        .set(authHeader(client));
+
+      expect(res.status).toBe(200);
+      expect(socket.rooms.has(`conversation:${conversation.id}`)).toBe(false);
+    });
+  });
+
+  describe('server events', () => {
+    const payloadsOf = (room, event) => ctx.io.emittedTo(room, event).map(e => e.payload.data);
+
+    it('announces deleted messages and read receipts', async () => {
+      const sent = await request(ctx.app)
+        .post(`/api/messages/conversations/${conversation.id}/messages`)
+        .set(authHeader(client))
+        .send({ content: 'Wrong chat, sorry' });
+
+      await request(ctx.app)
+        .delete(`/api/messages/conversations/${conversation.id}/messages/${sent.body.id}`)
+        .set(authHeader(client));
+      await request(ctx.app)
+        .post(`/api/messages/conversations/${conversation.id}/read`)
+        .set(authHeader(artist));
+
+      expect(payloadsOf(`user:${artist.id}`, 'message:deleted')).toEqual([
+        { conversation_id: conversation.id, message_id: sent.body.id },
+      ]);
+      expect(payloadsOf(`conversation:${conversation.id}`, 'message:read')).toEqual([
+        { conversation_id: conversation.id, user_id: artist.id, read_at: expect.any(String) },
+      ]);
+    });
+
+    it('does not let outsiders send read receipts', async () => {
+      const res = await request(ctx.app)
+        .post(`/api/messages/conversations/${conversation.id}/read`)
+        .set(authHeader(ctx.create.client()));
+
+      expect(res.status).toBe(403);
+      expect(ctx.io.emitted).toEqual([]);
+    });
+
+    it('tells both parties when a commission changes status', async () => {
+      const commission = ctx.create.commission(client, artist);
+
+      await request(ctx.app)
+        .patch(`/api/commissions/${commission.id}/status`)
+        .set(authHeader(client))
+        .send({ status: 'cancelled' });
+
+      const expected = { commission_id: commission.id, status: 'cancelled', previous_status: 'pending', actor_role: 'client' };
+      expect(payloadsOf(`user:${client.id}`, 'commission:status')).toEqual([expected]);
+      expect(payloadsOf(`user:${artist.id}`, 'commission:status')).toEqual([expected]);
+    });
+
+    it('tells both parties about milestone changes', async () => {
+      ctx.create.milestoneTemplates();
+      const commission = ctx.create.commission(client, artist, { status: 'in_progress' });
+
+      const { body } = await request(ctx.app)
+        .post(`/api/milestones/commission/${commission.id}/generate`)
+        .set(authHeader(artist));
+      await request(ctx.app)
+        .put(`/api/milestones/${body.milestones[0].id}`)
+        .set(authHeader(artist))
+        .send({ title: 'Rough sketch' });
+
+      expect(payloadsOf(`user:${client.id}`, 'milestone:updated')).toEqual([
+        { commission_id: commission.id, milestone_id: null, change: 'generated', milestone: null },
+        expect.objectContaining({
+          milestone_id: body.milestones[0].id,
+          change: 'edited',
+          milestone: expect.objectContaining({ title: 'Rough sketch' }),
+        }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+
+describe('refunds', () => {
+  let ctx;
+  let client;
+  let artist;
+  let commission;
+  let payment;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+    ctx.db.seed('artist_commission_settings', { artist_id: artist.id, cancellation_fee_percentage: 20 });
+    commission = ctx.create.commission(client, artist, {
+      status: 'cancelled',
+      cancelled_by: client.id,
+      final_price: 200,
+    });
+    payment = ctx.db.seed('payment_transactions', {
+      commission_id: commission.id,
+      transaction_type: 'full',
+      amount: '200.00',
+      status: 'succeeded',
+      payer_id: client.id,
+      recipient_id: artist.id,
+      stripe_payment_intent_id: 'pi_paid',
+    });
+  });
+
+  const refund = (user, body = {}) => request(ctx.app)
+    .post(`/api/refunds/commission/${commission.id}`)
+    .set(authHeader(user))
+    .send(body);
+
+  const quote = async () => (await request(ctx.app)
+    .get(`/api/refunds/commission/${commission.id}/quote`)
+    .set(authHeader(client))).body.quote;
+
+  const refundedToClient = () => ctx.stripe.refundsIssued.reduce((sum, r) => sum + r.amount, 0) / 100;
+
+  it('refunds what the terms allow and keeps the cancellation fee', async () => {
+    const res = await refund(client);
+    await settle();
+
+    expect(res.status).toBe(201);
+    expect(res.body.refunded).toBe(160);
+    expect(ctx.db.find('payment_transactions', t => t.id === payment.id)).toMatchObject({ status: 'partially_refunded' });
+  });
+
+  it('takes earlier partial refunds out of the client\'s share, not the fee', async () => {
+    expect((await refund(artist, { amount: 50 })).status).toBe(201);
+    expect(await quote()).toMatchObject({ already_refunded: 50, refundable: 110, retained: 40 });
+
+    expect((await refund(client)).body.refunded).toBe(110);
+    expect(refundedToClient()).toBe(160);
+  });
+
+  it('never refunds into the fee however many partial refunds came first', async () => {
+    for (const amount of [30, 30, 30]) {
+      expect((await refund(artist, { amount })).status).toBe(201);
+    }
+
+    expect((await refund(client)).body.refunded).toBe(70);
+    expect(await quote()).toMatchObject({ refundable: 0, retained: 40 });
+
+    const again = await refund(client);
+    expect(again.status).toBe(400);
+    expect(refundedToClient()).toBe(160);
+  });
+
+  it('refunds nothing under the terms once explicit refunds passed the fee cap', async () => {
+    expect((await refund(artist, { amount: 180 })).status).toBe(201);
+
+    const res = await refund(client);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Nothing to refund for this commission');
+    expect(refundedToClient()).toBe(180);
+  });
+});
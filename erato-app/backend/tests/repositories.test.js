@@ -0,0 +1,106 @@
+import request from 'supertest';
+import { authHeader, createTestContext } from './helpers/context.js';
+import { CommissionRepo, ConversationRepo, UserRepo } from '../src/repositories/index.js';
+
+describe('repositories', () => {
+  let ctx;
+  let client;
+  let artist;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+  });
+
+  describe('UserRepo', () => {
+    it('serves users from cache until they are updated', async () => {
+      await UserRepo.getById(client.id);
+      expect(await ctx.redis.exists(`user:${client.id}`)).toBe(1);
+
+      const res = await request(ctx.app)
+        .put('/api/auth/profile')
+        .set(authHeader(client))
+        .send({ bio: 'Collector of cat portraits' });
+
+      expect(res.status).toBe(200);
+      expect(await ctx.redis.exists(`user:${client.id}`)).toBe(0);
+      expect((await UserRepo.getById(client.id)).bio).toBe('Collector of cat portraits');
+    });
+  });
+
+  describe('ArtistRepo', () => {
+    it('drops the cached artist profile when the artist updates it', async () => {
+      await request(ctx.app).get(`/api/artists/${artist.id}`);
+      expect(await ctx.redis.exists(`artist:${artist.id}`)).toBe(1);
+
+      await request(ctx.app)
+        .put(`/api/artists/${artist.id}`)
+        .set(authHeader(artist))
+        .send({ commissionStatus: 'closed' });
+
+      const { body } = await request(ctx.app).get(`/api/artists/${artist.id}`);
+      expect(body.commission_status).toBe('closed');
+    });
+  });
+
+  describe('CommissionRepo', () => {
+    it('counts only commissions that take up a queue slot', async () => {
+      ctx.create.commission(client, artist, { status: 'pending' });
+      ctx.create.commission(client, artist, { status: 'in_progress' });
+      ctx.create.commission(client, artist, { status: 'completed' });
+
+      expect(await CommissionRepo.countActive(artist.id)).toBe(2);
+    });
+
+    it('turns requests away once the artist queue is full', async () => {
+      for (let i = 0; i < 5; i++) {
+        ctx.create.commission(ctx.create.client(), artist, { status: 'accepted' });
+      }
+
+      const res = await request(ctx.app)
+        .post('/api/commissions/request')
+        .set(authHeader(client))
+        .send({ artist_id: artist.id, details: 'A portrait of my cat' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Commission slots are full');
+    });
+  });
+
+  describe('ConversationRepo', () => {
+    it('finds conversations by participants, optionally requiring an exact match', async () => {
+      const friend = ctx.create.client();
+      const group = ctx.create.conversation([client, artist, friend]);
+      const direct = ctx.create.conversation([client, artist]);
+
+      expect((await ConversationRepo.findWithParticipants([client.id, friend.id])).id).toBe(group.id);
+      expect((await ConversationRepo.findWithParticipants([client.id, artist.id], { exact: true })).id).toBe(direct.id);
+      expect(await ConversationRepo.findWithParticipants([client.id, friend.id], { exact: true })).toBeNull();
+    });
+
+    it('links a new commission request to the existing conversation', async () => {
+      const conversation = ctx.create.conversation([client, artist]);
+
+      const res = await request(ctx.app)
+        .post('/api/commissions/request')
+        .set(authHeader(client))
+        .send({ artist_id: artist.id, details: 'A portrait of my cat' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.conversation.id).toBe(conversation.id);
+      expect(ctx.db.find('conversations', c => c.id === conversation.id).commission_id).toBe(res.body.commission.id);
+    });
+
+    it('deletes a conversation with its messages and participants', async () => {
+      const conversation = ctx.create.conversation([client, artist]);
+      ctx.db.seed('messages', { conversation_id: conversation.id, sender_id: client.id, content: 'Hi' });
+
+      await ConversationRepo.delete(conversation.id);
+
+      expect(ctx.db.table('conversations')).toHaveLength(0);
+      expect(ctx.db.table('conversation_participants')).toHaveLength(0);
+      expect(ctx.db.table('messages')).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,234 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+
+describe('rich messages', () => {
+  let ctx;
+  let client;
+  let artist;
+  let conversation;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+    conversation = ctx.create.conversation([client, artist]);
+  });
+
+  const base = () => `/api/messages/conversations/${conversation.id}`;
+  const send = (user, body) => request(ctx.app).post(`${base()}/messages`).set(authHeader(user)).send(body);
+  const messages = async (user) => (await request(ctx.app).get(`${base()}/messages`).set(authHeader(user))).body.messages;
+  const payloadsOf = (event) => ctx.io.emittedTo(`conversation:${conversation.id}`, event).map(e => e.payload.data);
+
+  describe('replies', () => {
+    it('quote the message they answer', async () => {
+      const { body: question } = await send(client, { content: 'Can you do a full-body piece?' });
+      const res = await send(artist, { content: 'Yes!', reply_to_id: question.id });
+
+      expect(res.status).toBe(201);
+      const quote = { id: question.id, sender_id: client.id, message_type: 'text', preview: 'Can you do a full-body piece?', image_url: null };
+      expect(res.body.reply_to).toEqual(quote);
+      expect(payloadsOf('message:new')[1].message.reply_to).toEqual(quote);
+      expect((await messages(client))[1].reply_to).toEqual(quote);
+    });
+
+    it('must point at a message in the same conversation', async () => {
+      const other = ctx.create.conversation([client, ctx.create.artist()]);
+      const elsewhere = ctx.db.seed('messages', { conversation_id: other.id, sender_id: client.id, content: 'Hi' });
+
+      const res = await send(client, { content: 'Replying', reply_to_id: elsewhere.id });
+
+      expect(res.status).toBe(400);
+      expect(ctx.db.table('messages')).toHaveLength(1);
+    });
+  });
+
+  describe('edits', () => {
+    const edit = (user, messageId, content) => request(ctx.app)
+      .patch(`${base()}/messages/${messageId}`)
+      .set(authHeader(user))
+      .send({ content });
+
+    it('change the text and keep what it said before', async () => {
+      const { body: sent } = await send(client, { content: 'See you tmrw' });
+
+      const res = await edit(client, sent.id, 'See you tomorrow');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ content: 'See you tomorrow', edited_at: expect.any(String) });
+      expect(payloadsOf('message:updated')).toEqual([{ conversation_id: conversation.id, message: res.body }]);
+
+      const history = await request(ctx.app).get(`${base()}/messages/${sent.id}/edits`).set(authHeader(artist));
+      expect(history.body).toEqual({
+        current: { content: 'See you tomorrow', edited_at: res.body.edited_at },
+        edits: [{ previous_content: 'See you tmrw', edited_at: res.body.edited_at }],
+      });
+    });
+
+    it('are only for the sender\'s own text messages within the window', async () => {
+      const { body: sent } = await send(client, { content: 'Original' });
+      const { body: image } = await send(client, { message_type: 'image', image_url: 'https://cdn.test/a.png' });
+
+      expect((await edit(artist, sent.id, 'Hijacked')).status).toBe(403);
+      expect((await edit(client, image.id, 'Caption')).status).toBe(400);
+      expect((await edit(client, sent.id, '   ')).status).toBe(400);
+
+      ctx.db.patch('messages', m => m.id === sent.id, { created_at: new Date(Date.now() - 16 * 60 * 1000).toISOString() });
+      expect((await edit(client, sent.id, 'Too late')).status).toBe(400);
+
+      expect(ctx.db.find('messages', m => m.id === sent.id).content).toBe('Original');
+      expect(ctx.db.table('message_edits')).toHaveLength(0);
+    });
+  });
+
+  describe('reactions', () => {
+    const react = (user, messageId, emoji) => request(ctx.app)
+      .post(`${base()}/messages/${messageId}/reactions`)
+      .set(authHeader(user))
+      .send({ emoji });
+    const unreact = (user, messageId, emoji) => request(ctx.app)
+      .delete(`${base()}/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`)
+      .set(authHeader(user));
+
+    it('are grouped by emoji and announced as they change', async () => {
+      const { body: sent } = await send(artist, { content: 'Sketch is done!' });
+
+      await react(client, sent.id, '❤️');
+      await react(artist, sent.id, '❤️');
+      await react(client, sent.id, '👍🏽');
+      const again = await react(client, sent.id, '❤️');
+
+      const hearts = { emoji: '❤️', count: 2, user_ids: [client.id, artist.id] };
+      expect(again.body.reactions).toEqual([hearts, { emoji: '👍🏽', count: 1, user_ids: [client.id] }]);
+      // Reacting twice with the same emoji changes nothing
+      expect(payloadsOf('message:reactions')).toHaveLength(3);
+
+      const res = await unreact(client, sent.id, '👍🏽');
+      expect(res.body.reactions).toEqual([hearts]);
+      expect(payloadsOf('message:reactions').pop()).toEqual({ conversation_id: conversation.id, message_id: sent.id, reactions: [hearts] });
+      expect((await messages(client))[0].reactions).toEqual([hearts]);
+    });
+
+    it('take a single emoji from a participant', async () => {
+      const { body: sent } = await send(artist, { content: 'Hello' });
+
+      expect((await react(client, sent.id, 'lol')).status).toBe(400);
+      expect((await react(client, sent.id, '👍👍')).status).toBe(400);
+      expect((await react(ctx.create.client(), sent.id, '👍')).status).toBe(403);
+      expect(ctx.db.table('message_reactions')).toHaveLength(0);
+    });
+  });
+
+  describe('attachments', () => {
+    const attach = (user, file, fields = {}) => {
+      const req = request(ctx.app).post(`${base()}/attachments`).set(authHeader(user));
+      Object.entries(fields).forEach(([key, value]) => req.field(key, value));
+      return req.attach('file', file.buffer || Buffer.from('bytes'), { filename: file.name, contentType: file.type });
+    };
+
+    it('stores deliverables and sends them as file messages', async () => {
+      const res = await attach(artist, { name: 'final.psd', type: 'application/octet-stream' }, { content: 'Layered file' });
+      await settle();
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({
+        message_type: 'file',
+        content: 'Layered file',
+        metadata: {
+          name: 'final.psd',
+          mime_type: 'application/octet-stream',
+          size: 5,
+          path: expect.stringMatching(new RegExp(`^${conversation.id}/.*\\.psd$`)),
+          url: expect.stringContaining('/message-attachments/'),
+        },
+      });
+      expect(ctx.db.storage.files.has(`message-attachments/${res.body.metadata.path}`)).toBe(true);
+      expect(payloadsOf('message:new')[0].message.id).toBe(res.body.id);
+      expect(ctx.db.find('notifications', n => n.user_id === client.id)).toMatchObject({ message: 'Sent a file: final.psd' });
+    });
+
+    it('sends voice notes with their duration', async () => {
+      const res = await attach(client, { name: 'note.m4a', type: 'audio/mp4' }, { message_type: 'voice', duration_ms: '4200' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ message_type: 'voice', content: '', metadata: { duration_ms: 4200 } });
+
+      const tooLong = await attach(client, { name: 'note.m4a', type: 'audio/mp4' }, { message_type: 'voice', duration_ms: '600000' });
+      const noDuration = await attach(client, { name: 'note.m4a', type: 'audio/mp4' }, { message_type: 'voice' });
+      const notAudio = await attach(client, { name: 'note.pdf', type: 'application/pdf' }, { message_type: 'voice', duration_ms: '1000' });
+      expect([tooLong.status, noDuration.status, notAudio.status]).toEqual([400, 400, 400]);
+    });
+
+    it('turns away unsupported and oversized files', async () => {
+      const script = await attach(client, { name: 'run.sh', type: 'text/x-shellscript' });
+      const disguised = await attach(client, { name: 'invoice.pdf', type: 'text/html' });
+      const oversized = await attach(client, {
+        name: 'note.m4a',
+        type: 'audio/mp4',
+        buffer: Buffer.alloc(11 * 1024 * 1024),
+      }, { message_type: 'voice', duration_ms: '1000' });
+
+      const svg = await attach(client, { name: 'sketch.svg', type: 'image/svg+xml', buffer: Buffer.from('<svg onload="alert(1)"/>') });
+
+      expect(script.status).toBe(400);
+      expect(disguised.status).toBe(400);
+      expect(svg.status).toBe(400);
+      expect(oversized.status).toBe(413);
+      expect(ctx.db.storage.files.size).toBe(0);
+      expect(ctx.db.table('messages')).toHaveLength(0);
+    });
+
+    it('turns away outsiders before reading the upload', async () => {
+      const outsider = ctx.create.client();
+
+      // Refused for not being in the conversation, not for what was sent
+      const res = await attach(outsider, { name: 'run.sh', type: 'text/x-shellscript' });
+
+      expect(res.status).toBe(403);
+      expect(ctx.db.storage.files.size).toBe(0);
+    });
+
+    it('does not keep the file when the message cannot be saved', async () => {
+      ctx.db.failNext('messages', 'insert');
+
+      const res = await attach(artist, { name: 'refs.zip', type: 'application/zip' });
+
+      expect(res.status).toBe(500);
+      expect(ctx.db.storage.files.size).toBe(0);
+    });
+
+    it('are removed from storage with their message', async () => {
+      const { body: sent } = await attach(artist, { name: 'refs.zip', type: 'application/zip' });
+
+      await request(ctx.app).delete(`${base()}/messages/${sent.id}`).set(authHeader(artist));
+
+      expect(ctx.db.storage.files.size).toBe(0);
+    });
+
+    it('are removed from storage with their conversation', async () => {
+      await attach(artist, { name: 'refs.zip', type: 'application/zip' });
+
+      const res = await request(ctx.app).delete(base()).set(authHeader(client));
+
+      expect(res.status).toBe(200);
+      expect(ctx.db.table('conversations')).toHaveLength(0);
+      expect(ctx.db.storage.files.size).toBe(0);
+    });
+
+    it('are removed from storage when the last member leaves a group', async () => {
+      conversation = ctx.create.conversation([client, artist], { is_group: true, title: 'Collab' });
+      await attach(artist, { name: 'refs.zip', type: 'application/zip' });
+
+      await request(ctx.app).delete(base()).set(authHeader(client));
+      expect(ctx.db.storage.files.size).toBe(1);
+
+      await request(ctx.app).delete(base()).set(authHeader(artist));
+      expect(ctx.db.storage.files.size).toBe(0);
+    });
+  });
+
+  it('only lets clients send text and images directly', async () => {
+    const res = await send(client, { message_type: 'commission_request', content: 'Fake request' });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,205 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+import { getScheduleRules, runScheduler } from '../src/jobs/scheduler.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('scheduler', () => {
+  let ctx;
+  let client;
+  let artist;
+  let now;
+
+  const at = offset => new Date(now + offset).toISOString();
+  const notificationsOf = (user, type) => ctx.db.table('notifications')
+    .filter(n => n.user_id === user.id && n.type === type);
+
+  const sweep = async (offset = 0) => {
+    const summary = await runScheduler({ now: now + offset });
+    await settle();
+    return summary;
+  };
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    client = ctx.create.client();
+    artist = ctx.create.artist();
+    now = Date.now();
+  });
+
+  afterEach(() => {
+    delete process.env.SCHEDULE_DEADLINE_REMINDER_HOURS;
+    delete process.env.SCHEDULE_STALE_PENDING_ENABLED;
+  });
+
+  describe('deadlines', () => {
+    it('reminds the artist once before the deadline and again when it passes', async () => {
+      const commission = ctx.create.commission(client, artist, { status: 'in_progress', deadline: at(30 * HOUR) });
+
+      await sweep();
+      await sweep();
+      expect(notificationsOf(artist, 'deadline_reminder')).toHaveLength(1);
+      expect(notificationsOf(artist, 'deadline_reminder')[0].message).toBe('A commission is due in 30 hours');
+      expect(notificationsOf(artist, 'deadline_overdue')).toHaveLength(0);
+
+      await sweep(31 * HOUR);
+      expect(notificationsOf(artist, 'deadline_overdue')).toHaveLength(1);
+      expect(ctx.db.table('scheduled_action_runs').filter(r => r.commission_id === commission.id)).toHaveLength(2);
+    });
+
+    it('reminds again after the deadline moves', async () => {
+      const commission = ctx.create.commission(client, artist, { status: 'in_progress', deadline: at(30 * HOUR) });
+      await sweep();
+
+      ctx.db.patch('commissions', c => c.id === commission.id, { deadline: at(40 * HOUR) });
+      await sweep();
+
+      expect(notificationsOf(artist, 'deadline_reminder')).toHaveLength(2);
+    });
+
+    it('pages past a full batch of reminders that already went out', async () => {
+      const commissions = Array.from({ length: 201 }, (_, i) => ctx.create.commission(client, artist, {
+        status: 'in_progress',
+        deadline: at(10 * HOUR + i * 1000),
+      }));
+      ctx.db.seed('scheduled_action_runs', commissions.slice(0, 200).map(c => ({
+        rule: 'deadline_reminder',
+        target_id: c.id,
+        commission_id: c.id,
+        due_at: new Date(new Date(c.deadline).getTime() - 48 * HOUR).toISOString(),
+      })));
+
+      const summary = await runScheduler({ now });
+
+      expect(summary.deadline_reminder).toBe(1);
+      expect(ctx.db.table('scheduled_action_runs', r => r.target_id === commissions[200].id)).toHaveLength(1);
+    });
+
+    it('leaves finished commissions alone', async () => {
+      ctx.create.commission(client, artist, { status: 'completed', deadline: at(-HOUR) });
+      await sweep();
+
+      expect(ctx.db.table('notifications')).toHaveLength(0);
+    });
+
+    it('takes the reminder offset from the environment', async () => {
+      process.env.SCHEDULE_DEADLINE_REMINDER_HOURS = '12';
+      ctx.create.commission(client, artist, { status: 'in_progress', deadline: at(30 * HOUR) });
+
+      await sweep();
+      expect(notificationsOf(artist, 'deadline_reminder')).toHaveLength(0);
+
+      await sweep(20 * HOUR);
+      expect(notificationsOf(artist, 'deadline_reminder')).toHaveLength(1);
+    });
+  });
+
+  it('nudges the client about a checkpoint waiting for approval', async () => {
+    const commission = ctx.create.commission(client, artist, { status: 'in_progress' });
+    ctx.db.seed('commission_progress_updates', [
+      { commission_id: commission.id, update_type: 'approval_checkpoint', approval_status: 'pending', created_at: at(-50 * HOUR) },
+      { commission_id: commission.id, update_type: 'approval_checkpoint', approval_status: 'approved', created_at: at(-50 * HOUR) },
+      { commission_id: commission.id, update_type: 'approval_checkpoint', approval_status: 'pending', created_at: at(-HOUR) },
+    ]);
+
+    expect((await sweep()).approval_nudge).toBe(1);
+    expect(notificationsOf(client, 'approval_reminder')).toHaveLength(1);
+  });
+
+  it('closes open requests past their deadline', async () => {
+    const [expired, current] = ctx.db.seed('commission_requests', [
+      { client_id: client.id, title: 'Old request', deadline: at(-HOUR) },
+      { client_id: client.id, title: 'New request', deadline: at(HOUR) },
+    ]);
+
+    await sweep();
+
+    expect(ctx.db.find('commission_requests', r => r.id === expired.id).status).toBe('closed');
+    expect(ctx.db.find('commission_requests', r => r.id === current.id).status).toBe('open');
+    expect(notificationsOf(client, 'request_expired')[0].message).toBe('Your request "Old request" passed its deadline and was closed');
+  });
+
+  describe('stale pending commissions', () => {
+    it('cancels commissions the artist never answered', async () => {
+      const stale = ctx.create.commission(client, artist, { created_at: at(-15 * 24 * HOUR) });
+      const fresh = ctx.create.commission(client, artist, { created_at: at(-HOUR) });
+
+      await sweep();
+
+      expect(ctx.db.find('commissions', c => c.id === stale.id).status).toBe('cancelled');
+      expect(ctx.db.find('commissions', c => c.id === fresh.id).status).toBe('pending');
+      expect(ctx.db.find('commission_status_history', h => h.commission_id === stale.id))
+        .toMatchObject({ actor_role: 'system', to_status: 'cancelled' });
+      expect(notificationsOf(client, 'commission_cancelled')).toHaveLength(1);
+    });
+
+    it('leaves waitlist entries and promoted holds waiting', async () => {
+      const waiting = ctx.create.commission(client, artist, { created_at: at(-15 * 24 * HOUR), queue_status: 'waitlist' });
+      const promoted = ctx.create.commission(client, artist, {
+        created_at: at(-15 * 24 * HOUR),
+        queue_status: 'promoted',
+        promotion_expires_at: at(HOUR),
+      });
+      const queued = ctx.create.commission(client, artist, { created_at: at(-15 * 24 * HOUR), queue_status: 'active' });
+
+      await sweep();
+
+      expect(ctx.db.find('commissions', c => c.id === waiting.id).status).toBe('pending');
+      expect(ctx.db.find('commissions', c => c.id === promoted.id).status).toBe('pending');
+      expect(ctx.db.find('commissions', c => c.id === queued.id).status).toBe('cancelled');
+    });
+
+    it('can be turned off', async () => {
+      process.env.SCHEDULE_STALE_PENDING_ENABLED = 'false';
+      const stale = ctx.create.commission(client, artist, { created_at: at(-15 * 24 * HOUR) });
+
+      expect(await sweep()).not.toHaveProperty('stale_pending');
+      expect(ctx.db.find('commissions', c => c.id === stale.id).status).toBe('pending');
+      expect(getScheduleRules().find(rule => rule.name === 'stale_pending').enabled).toBe(false);
+    });
+  });
+
+  it('prompts for reviews a day after completion', async () => {
+    const commission = ctx.create.commission(client, artist, { status: 'in_progress' });
+    await request(ctx.app)
+      .patch(`/api/commissions/${commission.id}/status`)
+      .set(authHeader(artist))
+      .send({ status: 'completed' });
+    await settle();
+
+    expect(notificationsOf(client, 'review_prompt')).toHaveLength(0);
+
+    await sweep(25 * HOUR);
+    expect(notificationsOf(client, 'review_prompt')[0]).toMatchObject({
+      message: `How was your experience with ${artist.username}? Leave a review!`,
+    });
+    expect(notificationsOf(artist, 'review_prompt')).toHaveLength(1);
+  });
+
+  describe('GET /api/commissions/:id/scheduled-actions', () => {
+    it('lists done and upcoming actions for participants', async () => {
+      const commission = ctx.create.commission(client, artist, { status: 'in_progress', deadline: at(30 * HOUR) });
+      await sweep();
+
+      const res = await request(ctx.app)
+        .get(`/api/commissions/${commission.id}/scheduled-actions`)
+        .set(authHeader(client));
+
+      expect(res.status).toBe(200);
+      expect(res.body.actions.map(a => [a.rule, a.status])).toEqual([
+        ['deadline_reminder', 'done'],
+        ['deadline_overdue', 'scheduled'],
+      ]);
+      expect(res.body.actions[1].due_at).toBe(at(30 * HOUR));
+    });
+
+    it('is limited to the commission participants', async () => {
+      const commission = ctx.create.commission(client, artist);
+      const res = await request(ctx.app)
+        .get(`/api/commissions/${commission.id}/scheduled-actions`)
+        .set(authHeader(ctx.create.client()));
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
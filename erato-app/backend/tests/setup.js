@@ -0,0 +1,24 @@
+// Runs before each test file. The app reads these at import time, so they
+// have to be in place before anything under src/ is loaded.
+process.env.NODE_ENV = 'test';
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_ANON_KEY = 'anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role-key';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.DISABLE_RATE_LIMIT = 'true';
+process.env.STRIPE_SECRET_KEY = 'sk_test_fake';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+process.env.PAYPAL_CLIENT_ID = 'paypal-client';
+process.env.PAYPAL_CLIENT_SECRET = 'paypal-secret';
+process.env.PAYPAL_WEBHOOK_ID = 'WH-TEST';
+process.env.REDIS_PORT = '1';
+
+// Nothing in the suite should reach the network; stub servers started by a
+// test on the loopback interface are fine
+const realFetch = global.fetch;
+global.fetch = async (url, options) => {
+  if (/^http:\/\/(127\.0\.0\.1|localhost)[:/]/.test(String(url))) {
+    return realFetch(url, options);
+  }
+  throw new Error(`Unexpected network request in tests: ${url}`);
+};
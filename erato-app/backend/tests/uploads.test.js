@@ -0,0 +1,43 @@
+import request from 'supertest';
+import { authHeader, createTestContext } from './helpers/context.js';
+
+describe('uploads', () => {
+  let ctx;
+  let artist;
+
+  beforeEach(() => {
+    ctx = createTestContext();
+    artist = ctx.create.artist();
+  });
+
+  it('stores artwork in the artworks bucket and returns its public URL', async () => {
+    const res = await request(ctx.app)
+      .post('/api/uploads/artwork')
+      .set(authHeader(artist))
+      .attach('file', Buffer.from('fake png bytes'), { filename: 'piece.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.url).toBe(`http://supabase.test/storage/v1/object/public/artworks/${res.body.fileName}`);
+
+    const { data } = await ctx.db.storage.from('artworks').list();
+    expect(data.map(f => f.name)).toEqual([res.body.fileName]);
+  });
+
+  it('rejects files that are not images', async () => {
+    const res = await request(ctx.app)
+      .post('/api/uploads/artwork')
+      .set(authHeader(artist))
+      .attach('file', Buffer.from('#!/bin/sh'), { filename: 'run.sh', contentType: 'text/x-shellscript' });
+
+    expect(res.status).toBeGreaterThanOrEqual(400);
+    expect(ctx.db.storage.files.size).toBe(0);
+  });
+
+  it('requires a file', async () => {
+    const res = await request(ctx.app)
+      .post('/api/uploads/artwork')
+      .set(authHeader(artist));
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,218 @@
+import request from 'supertest';
+import { authHeader, createTestContext, settle } from './helpers/context.js';
+import { runScheduler } from '../src/jobs/scheduler.js';
+import { promoteNext } from '../src/utils/waitlist.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('waitlist', () => {
+  let ctx;
+  let artist;
+  let clients;
+  let working;
+
+  const requestCommission = client => request(ctx.app)
+    .post('/api/commissions/request')
+    .set(authHeader(client))
+    .send({ artist_id: artist.id, details: 'Put me on the list' });
+  const commissionOf = client => ctx.db.find('commissions', c => c.client_id === client.id && c.artist_id === artist.id);
+  const notificationsOf = (user, type) => ctx.db.table('notifications').filter(n => n.user_id === user.id && n.type === type);
+  const waitlistOrder = async () => {
+    const res = await request(ctx.app).get(`/api/commissions/queue/artist/${artist.id}`).set(authHeader(artist));
+    return res.body.waitlist.map(entry => [entry.client_id, entry.queue_status, entry.position]);
+  };
+
+  beforeEach(async () => {
+    ctx = createTestContext();
+    artist = ctx.create.artist();
+    clients = [ctx.create.client(), ctx.create.client(), ctx.create.client()];
+    ctx.db.seed('artist_commission_settings', { artist_id: artist.id, max_queue_slots: 1, allow_waitlist: true });
+    working = ctx.create.commission(ctx.create.client(), artist, { status: 'in_progress' });
+
+    for (const client of clients.slice(0, 2)) {
+      await requestCommission(client);
+    }
+  });
+
+  it('queues requests made while the artist is full, in order', async () => {
+    const res = await requestCommission(clients[2]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.waitlist_position).toBe(3);
+    expect(await waitlistOrder()).toEqual([
+      [clients[0].id, 'waitlist', 1],
+      [clients[1].id, 'waitlist', 2],
+      [clients[2].id, 'waitlist', 3],
+    ]);
+
+    const status = await request(ctx.app).get(`/api/artists/${artist.id}/queue-status`);
+    expect(status.body.queue).toMatchObject({ slots_used: 1, waitlist_count: 3 });
+  });
+
+  it('offers a freed slot to the next client, who confirms it', async () => {
+    await request(ctx.app)
+      .patch(`/api/commissions/${working.id}/status`)
+      .set(authHeader(artist))
+      .send({ status: 'completed' });
+    await settle();
+
+    expect(commissionOf(clients[0])).toMatchObject({ queue_status: 'promoted' });
+    expect(commissionOf(clients[1]).queue_status).toBe('waitlist');
+    expect(notificationsOf(clients[0], 'waitlist_promoted')).toHaveLength(1);
+
+    const res = await request(ctx.app)
+      .post(`/api/commissions/${commissionOf(clients[0]).id}/waitlist/confirm`)
+      .set(authHeader(clients[0]));
+    await settle();
+
+    expect(res.status).toBe(200);
+    expect(commissionOf(clients[0])).toMatchObject({ queue_status: 'active', status: 'pending' });
+    expect(notificationsOf(artist, 'waitlist_confirmed')).toHaveLength(1);
+  });
+
+  it('waits for the artist when auto-promotion is off', async () => {
+    await request(ctx.app)
+      .put('/api/artists/settings')
+      .set(authHeader(artist))
+      .send({ settings: { auto_promote_waitlist: false } });
+    await request(ctx.app)
+      .patch(`/api/commissions/${working.id}/status`)
+      .set(authHeader(artist))
+      .send({ status: 'completed' });
+    await settle();
+
+    expect(commissionOf(clients[0]).queue_status).toBe('waitlist');
+
+    // Someone new still joins behind the people already waiting
+    expect((await requestCommission(clients[2])).body.waitlist_position).toBe(3);
+  });
+
+  it('only offers a slot the artist actually has free', async () => {
+    const res = await request(ctx.app)
+      .post(`/api/commissions/queue/waitlist/${commissionOf(clients[1]).id}/promote`)
+      .set(authHeader(artist));
+
+    expect(res.status).toBe(409);
+    expect(commissionOf(clients[1]).queue_status).toBe('waitlist');
+  });
+
+  it('promotes no more entries than there are free slots when promotions overlap', async () => {
+    await requestCommission(clients[2]);
+    await requestCommission(ctx.create.client());
+    ctx.db.patch('artist_commission_settings', s => s.artist_id === artist.id, { max_queue_slots: 3 });
+    await ctx.redis.del(`artist:${artist.id}:settings`);
+
+    await Promise.all([promoteNext(artist.id), promoteNext(artist.id)]);
+
+    const promoted = ctx.db.table('commissions').filter(c => c.queue_status === 'promoted');
+    expect(promoted.map(c => c.client_id).sort()).toEqual([clients[0].id, clients[1].id].sort());
+  });
+
+  it('lists the hold expiry in the promoted entry\'s scheduled actions', async () => {
+    ctx.db.patch('commissions', c => c.id === working.id, { status: 'completed' });
+    await request(ctx.app)
+      .post(`/api/commissions/queue/waitlist/${commissionOf(clients[0]).id}/promote`)
+      .set(authHeader(artist));
+
+    const res = await request(ctx.app)
+      .get(`/api/commissions/${commissionOf(clients[0]).id}/scheduled-actions`)
+      .set(authHeader(clients[0]));
+
+    expect(res.body.actions).toContainEqual(expect.objectContaining({ rule: 'waitlist_hold_expiry', status: 'scheduled' }));
+    expect(res.body.actions).not.toContainEqual(expect.objectContaining({ rule: 'stale_pending' }));
+  });
+
+  it('releases a hold that is not confirmed in time', async () => {
+    ctx.db.patch('commissions', c => c.id === working.id, { status: 'completed' });
+    await request(ctx.app)
+      .post(`/api/commissions/queue/waitlist/${commissionOf(clients[0]).id}/promote`)
+      .set(authHeader(artist));
+
+    await runScheduler({ now: Date.now() + 49 * HOUR });
+    await settle();
+
+    expect(commissionOf(clients[0])).toMatchObject({ status: 'cancelled', queue_status: 'expired' });
+    expect(commissionOf(clients[1]).queue_status).toBe('promoted');
+  });
+
+  it('lets clients see their place and leave', async () => {
+    const mine = await request(ctx.app).get('/api/commissions/waitlist/mine').set(authHeader(clients[1]));
+    expect(mine.body.entries).toEqual([
+      expect.objectContaining({ position: 2, artist: expect.objectContaining({ id: artist.id }) }),
+    ]);
+
+    const other = await request(ctx.app)
+      .delete(`/api/commissions/${commissionOf(clients[1]).id}/waitlist`)
+      .set(authHeader(clients[0]));
+    expect(other.status).toBe(403);
+
+    const left = await request(ctx.app)
+      .delete(`/api/commissions/${commissionOf(clients[0]).id}/waitlist`)
+      .set(authHeader(clients[0]));
+    await settle();
+
+    expect(left.status).toBe(200);
+    expect(commissionOf(clients[0])).toMatchObject({ status: 'cancelled', queue_status: 'left' });
+    expect(await waitlistOrder()).toEqual([[clients[1].id, 'waitlist', 1]]);
+  });
+
+  describe('artist controls', () => {
+    beforeEach(async () => {
+      await requestCommission(clients[2]);
+    });
+
+    it('reorders the waitlist', async () => {
+      const ids = [clients[2], clients[0], clients[1]].map(c => commissionOf(c).id);
+      const res = await request(ctx.app)
+        .put('/api/commissions/queue/waitlist/order')
+        .set(authHeader(artist))
+        .send({ commission_ids: ids });
+
+      expect(res.status).toBe(200);
+      expect(res.body.waitlist.map(e => e.id)).toEqual(ids);
+
+      const partial = await request(ctx.app)
+        .put('/api/commissions/queue/waitlist/order')
+        .set(authHeader(artist))
+        .send({ commission_ids: ids.slice(1) });
+      expect(partial.status).toBe(400);
+    });
+
+    it('skips an entry to the back of the line', async () => {
+      await request(ctx.app)
+        .post(`/api/commissions/queue/waitlist/${commissionOf(clients[0]).id}/skip`)
+        .set(authHeader(artist));
+
+      expect(await waitlistOrder()).toEqual([
+        [clients[1].id, 'waitlist', 1],
+        [clients[2].id, 'waitlist', 2],
+        [clients[0].id, 'waitlist', 3],
+      ]);
+    });
+
+    it('passes a skipped hold on to the next client', async () => {
+      ctx.db.patch('commissions', c => c.id === working.id, { status: 'completed' });
+      await request(ctx.app)
+        .post(`/api/commissions/queue/waitlist/${commissionOf(clients[0]).id}/promote`)
+        .set(authHeader(artist));
+
+      await request(ctx.app)
+        .post(`/api/commissions/queue/waitlist/${commissionOf(clients[0]).id}/skip`)
+        .set(authHeader(artist));
+
+      expect(await waitlistOrder()).toEqual([
+        [clients[1].id, 'promoted', null],
+        [clients[2].id, 'waitlist', 1],
+        [clients[0].id, 'waitlist', 2],
+      ]);
+    });
+
+    it('only lets the artist manage their own waitlist', async () => {
+      const res = await request(ctx.app)
+        .post(`/api/commissions/queue/waitlist/${commissionOf(clients[0]).id}/promote`)
+        .set(authHeader(ctx.create.artist()));
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
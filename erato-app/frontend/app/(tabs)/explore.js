@@ -208,6 +208,7 @@ export default function CommissionDashboard() {
   const isArtist = user?.user_type === 'artist' || (user?.artists && (Array.isArray(user.artists) ? user.artists.length > 0 : !!user.artists));
 
   const [commissions, setCommissions] = useState([]);
+  const [declinedCommissions, setDeclinedCommissions] = useState([]);
   const [commissionsLoading, setCommissionsLoading] = useState(false);
   const [selectedCommission, setSelectedCommission] = useState(null);
   const [showCommissionModal, setShowCommissionModal] = useState(false);
@@ -240,6 +241,10 @@ export default function CommissionDashboard() {
   const [paymentData, setPaymentData] = useState(null);
   const [showFinalPriceModal, setShowFinalPriceModal] = useState(false);
   const [finalPriceInput, setFinalPriceInput] = useState('');
+  const [declineTargets, setDeclineTargets] = useState([]); // Commission ids the decline modal applies to
+  const [declineReasons, setDeclineReasons] = useState([]);
+  const [declineReason, setDeclineReason] = useState(null);
+  const [declineNote, setDeclineNote] = useState('');
   const [commissionFiles, setCommissionFiles] = useState([]); // Store reference images for Details tab
   const [selectedImageIndex, setSelectedImageIndex] = useState(null); // For image viewer
   const [showImageViewer, setShowImageViewer] = useState(false);
@@ -314,10 +319,20 @@ export default function CommissionDashboard() {
     setCommissionsLoading(true);
     try {
       const type = isArtist ? 'received' : 'sent';
-      const response = await axios.get(`${API_URL}/commissions?type=${type}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      // Declined commissions are archived, so they come from their own list
+      const [response, declinedResponse] = await Promise.all([
+        axios.get(`${API_URL}/commissions?type=${type}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        }),
+        axios.get(`${API_URL}/commissions?type=${type}&status=declined`, {
+          headers: { Authorization: `Bearer ${token}` }
+        }),
+      ]);
       const allCommissions = response.data.commissions || [];
+      setDeclinedCommissions(declinedResponse.data.commissions || []);
+      if (declinedResponse.data.commissions?.length) {
+        loadDeclineReasons();
+      }
       
       // Debug: Log commission data structure
       if (allCommissions.length > 0) {
@@ -507,11 +522,13 @@ export default function CommissionDashboard() {
 
   const filteredCommissions = selectedFilter === 'all'
     ? commissions
+    : selectedFilter === 'declined'
+    ? declinedCommissions
     : selectedFilter === 'active'
     ? commissions.filter(c => c.status === 'in_progress' || c.status === 'accepted')
     : commissions.filter(c => c.status === selectedFilter);
 
-  const handleUpdateStatus = async (commissionId, newStatus, closeModal = false) => {
+  const handleUpdateStatus = async (commissionId, newStatus, closeModal = false, extra = {}) => {
     // Prevent multiple simultaneous updates
     if (updatingStatus.has(commissionId)) {
       console.log('Update already in progress for commission:', commissionId);
@@ -531,7 +548,7 @@ export default function CommissionDashboard() {
       console.log('Sending API request to update status...');
       const response = await axios.patch(
         `${API_URL}/commissions/${commissionId}/status`,
-        { status: newStatus },
+        { status: newStatus, ...extra },
         { headers: { Authorization: `Bearer ${token}` } }
       );
 
@@ -670,6 +687,74 @@ export default function CommissionDashboard() {
     }
   };
 
+  const loadDeclineReasons = async () => {
+    if (declineReasons.length > 0) return;
+    try {
+      const response = await axios.get(`${API_URL}/commissions/decline-reasons`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setDeclineReasons(response.data.reasons || []);
+    } catch (error) {
+      console.error('Error loading decline reasons:', error);
+    }
+  };
+
+  // Declining asks for a reason first
+  const openDeclineModal = async (commissionIds) => {
+    setDeclineTargets(commissionIds);
+    setDeclineReason(null);
+    setDeclineNote('');
+    await loadDeclineReasons();
+  };
+
+  const handleConfirmDecline = async () => {
+    if (!declineReason) {
+      Toast.show({
+        type: 'info',
+        text1: 'Pick a reason',
+        text2: 'Let the client know why you are declining',
+        visibilityTime: 2000,
+      });
+      return;
+    }
+
+    const targets = declineTargets;
+    const body = { decline_reason: declineReason, artist_response: declineNote.trim() || undefined };
+    setDeclineTargets([]);
+
+    if (targets.length === 1) {
+      await handleUpdateStatus(targets[0], 'declined', true, body);
+      return;
+    }
+
+    try {
+      await Promise.all(targets.map(id =>
+        axios.patch(
+          `${API_URL}/commissions/${id}/status`,
+          { status: 'declined', ...body },
+          { headers: { Authorization: `Bearer ${token}` } }
+        )
+      ));
+      await loadCommissions();
+      setSelectedCommissions(new Set());
+      setBatchMode(false);
+      Toast.show({
+        type: 'success',
+        text1: 'Success',
+        text2: `${targets.length} commissions declined`,
+        visibilityTime: 2000,
+      });
+    } catch (error) {
+      console.error('Batch decline error:', error);
+      Toast.show({
+        type: 'error',
+        text1: 'Error',
+        text2: 'Failed to decline some commissions',
+        visibilityTime: 2000,
+      });
+    }
+  };
+
   const handleBatchAction = async (action) => {
     if (selectedCommissions.size === 0) {
       Toast.show({
@@ -681,6 +766,11 @@ export default function CommissionDashboard() {
       return;
     }
 
+    if (action === 'declined') {
+      openDeclineModal(Array.from(selectedCommissions));
+      return;
+    }
+
     Alert.alert(
       `${action} ${selectedCommissions.size} commissions?`,
       'This action will be applied to all selected commissions.',
@@ -1077,13 +1167,14 @@ export default function CommissionDashboard() {
             showsHorizontalScrollIndicator={false}
             contentContainerStyle={styles.pinterestFilterContent}
           >
-            {['all', 'pending', 'active', 'completed'].map((status) => {
+            {['all', 'pending', 'active', 'completed', 'declined'].map((status) => {
               const isSelected = selectedFilter === status;
               const statusLabels = {
                 all: 'All',
                 pending: 'Pending',
                 active: 'Active',
-                completed: 'Completed'
+                completed: 'Completed',
+                declined: 'Declined'
               };
               return (
                 <TouchableOpacity
@@ -1769,6 +1860,36 @@ export default function CommissionDashboard() {
                     )}
                   </View>
 
+                  {/* Why the artist declined */}
+                  {selectedCommission.status === 'declined' && selectedCommission.decline_reason && (
+                    <View style={styles.detailSection}>
+                      <Text style={styles.detailSectionTitle}>Declined</Text>
+                      <View style={styles.detailDescriptionCard}>
+                        <Text style={styles.detailDescriptionText}>
+                          {declineReasons.find(r => r.code === selectedCommission.decline_reason)?.label || selectedCommission.decline_reason}
+                        </Text>
+                        {selectedCommission.artist_response ? (
+                          <Text style={[styles.detailDescriptionText, { marginTop: spacing.sm }]}>
+                            {selectedCommission.artist_response}
+                          </Text>
+                        ) : null}
+                      </View>
+                      {!isArtist && selectedCommission.suggested_artist_id && (
+                        <TouchableOpacity
+                          style={[styles.declineReasonChip, { alignSelf: 'flex-start', marginTop: spacing.sm }]}
+                          onPress={() => {
+                            const artistId = selectedCommission.suggested_artist_id;
+                            setShowCommissionModal(false);
+                            setSelectedCommission(null);
+                            setTimeout(() => router.push(`/artist/${artistId}`), 200);
+                          }}
+                        >
+                          <Text style={styles.declineReasonText}>See the artist they suggested</Text>
+                        </TouchableOpacity>
+                      )}
+                    </View>
+                  )}
+
                   {/* Reference Images from commission_files */}
                   {commissionFiles.length > 0 && (
                     <View style={styles.detailSection}>
@@ -2168,33 +2289,7 @@ export default function CommissionDashboard() {
                           return;
                         }
 
-                        const commissionId = selectedCommission.id;
-                        console.log('📢 Showing decline alert...');
-
-                        Alert.alert(
-                          'Decline Commission',
-                          'Are you sure you want to decline this commission? This action cannot be undone.',
-                          [
-                            {
-                              text: 'Cancel',
-                              style: 'cancel',
-                              onPress: () => console.log('Decline cancelled'),
-                            },
-                            {
-                              text: 'Decline',
-                              style: 'destructive',
-                              onPress: async () => {
-                                console.log('Decline confirmed, calling handleUpdateStatus...');
-                                try {
-                                  await handleUpdateStatus(commissionId, 'declined', true);
-                                  console.log('handleUpdateStatus completed successfully');
-                                } catch (error) {
-                                  console.error('handleUpdateStatus failed:', error);
-                                }
-                              },
-                            },
-                          ]
-                        );
+                        openDeclineModal([selectedCommission.id]);
                       }}
                       disabled={updatingStatus.has(selectedCommission.id)}
                     >
@@ -2435,6 +2530,85 @@ export default function CommissionDashboard() {
         </KeyboardAvoidingView>
       </Modal>
 
+      {/* Decline Modal */}
+      <Modal
+        visible={declineTargets.length > 0}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setDeclineTargets([])}
+      >
+        <KeyboardAvoidingView
+          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+          style={styles.finalPriceModalOverlay}
+        >
+          <TouchableOpacity
+            activeOpacity={1}
+            onPress={() => setDeclineTargets([])}
+            style={styles.finalPriceModalOverlay}
+          >
+            <TouchableOpacity activeOpacity={1} onPress={(e) => e.stopPropagation()}>
+              <View style={styles.finalPriceModalContent}>
+                <View style={styles.finalPriceModalHeader}>
+                  <Text style={styles.finalPriceModalTitle}>
+                    {declineTargets.length > 1 ? `Decline ${declineTargets.length} Requests` : 'Decline Request'}
+                  </Text>
+                  <TouchableOpacity onPress={() => setDeclineTargets([])}>
+                    <Ionicons name="close" size={26} color={colors.text.primary} />
+                  </TouchableOpacity>
+                </View>
+
+                <View style={styles.finalPriceModalBody}>
+                  <Text style={styles.finalPriceDescription}>
+                    The client keeps the conversation and sees the reason you pick.
+                  </Text>
+
+                  <View style={styles.declineReasonList}>
+                    {declineReasons.map(reason => (
+                      <TouchableOpacity
+                        key={reason.code}
+                        style={[styles.declineReasonChip, declineReason === reason.code && styles.declineReasonChipActive]}
+                        onPress={() => setDeclineReason(reason.code)}
+                      >
+                        <Text style={[styles.declineReasonText, declineReason === reason.code && styles.declineReasonTextActive]}>
+                          {reason.label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+
+                  <Text style={styles.finalPriceLabel}>Note (optional)</Text>
+                  <TextInput
+                    style={styles.declineNoteInput}
+                    value={declineNote}
+                    onChangeText={setDeclineNote}
+                    placeholder="Anything else the client should know"
+                    placeholderTextColor={colors.text.disabled}
+                    multiline
+                    maxLength={1000}
+                  />
+                </View>
+
+                <View style={[styles.finalPriceModalFooter, { paddingBottom: Math.max(insets.bottom, spacing.lg) }]}>
+                  <TouchableOpacity
+                    style={styles.finalPriceCancelButton}
+                    onPress={() => setDeclineTargets([])}
+                  >
+                    <Text style={styles.finalPriceCancelText}>Cancel</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.finalPriceConfirmButton, styles.declineConfirmButton]}
+                    onPress={handleConfirmDecline}
+                  >
+                    <Ionicons name="close-circle" size={20} color={colors.text.primary} />
+                    <Text style={styles.finalPriceConfirmText}>Decline</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            </TouchableOpacity>
+          </TouchableOpacity>
+        </KeyboardAvoidingView>
+      </Modal>
+
       <ReviewModal
         visible={showReviewModal}
         onClose={() => {
@@ -4593,6 +4767,45 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '700',
   },
+  declineConfirmButton: {
+    backgroundColor: colors.status.error,
+  },
+  declineReasonList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+    marginVertical: spacing.md,
+  },
+  declineReasonChip: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  declineReasonChipActive: {
+    backgroundColor: colors.status.error + '20',
+    borderColor: colors.status.error,
+  },
+  declineReasonText: {
+    ...typography.body,
+    color: colors.text.secondary,
+    fontSize: 14,
+  },
+  declineReasonTextActive: {
+    color: colors.text.primary,
+    fontWeight: '600',
+  },
+  declineNoteInput: {
+    ...typography.body,
+    color: colors.text.primary,
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    padding: spacing.md,
+    marginTop: spacing.sm,
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
 
   // Pinterest-Style Stats Cards
   pinterestStatsSection: {
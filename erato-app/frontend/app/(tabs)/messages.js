@@ -21,7 +21,7 @@ import axios from 'axios';
 import Constants from 'expo-constants';
 import { useAuthStore } from '../../store';
 import { colors, spacing, typography, borderRadius, shadows, DEFAULT_AVATAR, components } from '../../constants/theme';
-import { initSocket, getSocket } from '../../lib/socket';
+import { initSocket, subscribe, acknowledgeDelivery, EVENTS } from '../../lib/socket';
 import { showAlert } from '../../components/StyledAlert';
 
 const API_URL = Constants.expoConfig?.extra?.EXPO_PUBLIC_API_URL || process.env.EXPO_PUBLIC_API_URL;
@@ -69,13 +69,13 @@ export default function MessagesScreen() {
     const socket = initSocket(token);
     socketRef.current = socket;
 
-    // Join all conversation rooms when socket connects
-    socket.on('connect', () => {
-      console.log('Socket connected in conversations list');
-    });
+    // Messages in any of the user's conversations reach their user room
+    const unsubscribeNew = subscribe(EVENTS.MESSAGE_NEW, ({ message }) => {
+      // Lets the sender see it was delivered
+      if (message.sender_id !== user?.id) {
+        acknowledgeDelivery(message.conversation_id, message.id);
+      }
 
-    // Listen for new messages to update conversation list
-    socket.on('new-message', (message) => {
       setConversations(prev => {
         // Find if this conversation exists in the list
         const conversationIndex = prev.findIndex(conv => conv.id === message.conversation_id);
@@ -94,12 +94,10 @@ export default function MessagesScreen() {
         // Create updated conversation
         const updatedConversation = {
           ...conversation,
-          latest_message: {
-            ...message,
-            content: message.message_type === 'image' ? 'Sent an image' : message.content,
-          },
-          // Update unread count if message is from other user
-          unread_count: isFromCurrentUser 
+          // getMessagePreview describes images, files and voice notes
+          latest_message: message,
+          // Update unread count if message is from other user (group notes don't count)
+          unread_count: isFromCurrentUser || message.message_type === 'system'
             ? conversation.unread_count 
             : (conversation.unread_count || 0) + 1,
         };
@@ -113,12 +111,24 @@ export default function MessagesScreen() {
       });
     });
 
+    const unsubscribePresence = subscribe(EVENTS.PRESENCE, ({ user_id, online, last_seen }) => {
+      setConversations(prev => prev.map(conv => (
+        conv.other_participant?.id === user_id
+          ? { ...conv, other_participant: { ...conv.other_participant, is_online: online, last_seen } }
+          : conv
+      )));
+    });
+
+    // Group renamed, people added or removed (including the user)
+    const unsubscribeConversation = subscribe(EVENTS.CONVERSATION_UPDATED, () => {
+      fetchConversations();
+    });
+
     // Cleanup
     return () => {
-      if (socket) {
-        socket.off('new-message');
-        socket.off('connect');
-      }
+      unsubscribeNew();
+      unsubscribePresence();
+      unsubscribeConversation();
     };
   }, [token, user, fetchConversations]);
 
@@ -158,15 +168,18 @@ export default function MessagesScreen() {
     await fetchConversations();
   };
 
-  const handleDeleteConversation = (conversationId) => {
+  // Deleting a group only takes the user out of it
+  const handleDeleteConversation = (conversationId, isGroup = false) => {
     showAlert({
-      title: 'Delete Conversation',
-      message: 'Are you sure you want to delete this conversation? This will remove all messages.',
+      title: isGroup ? 'Leave Group' : 'Delete Conversation',
+      message: isGroup
+        ? 'You will stop getting messages from this group.'
+        : 'Are you sure you want to delete this conversation? This will remove all messages.',
       type: 'warning',
       buttons: [
         { text: 'Cancel', style: 'cancel' },
         {
-          text: 'Delete',
+          text: isGroup ? 'Leave' : 'Delete',
           style: 'destructive',
           onPress: async () => {
             try {
@@ -176,8 +189,8 @@ export default function MessagesScreen() {
               await fetchConversations();
               Toast.show({
                 type: 'success',
-                text1: 'Deleted',
-                text2: 'Conversation deleted successfully',
+                text1: isGroup ? 'Left group' : 'Deleted',
+                text2: isGroup ? undefined : 'Conversation deleted successfully',
                 visibilityTime: 2000,
               });
             } catch (error) {
@@ -220,27 +233,32 @@ export default function MessagesScreen() {
       return 'No messages yet';
     }
 
-    if (conv.latest_message.message_type === 'commission_request') {
-      return 'Commission request';
+    switch (conv.latest_message.message_type) {
+      case 'commission_request':
+        return 'Commission request';
+      case 'image':
+        return 'Sent an image';
+      case 'file':
+        return 'Sent a file';
+      case 'voice':
+        return 'Sent a voice note';
+      default:
+        return conv.latest_message.content;
     }
-
-    return conv.latest_message.content;
   };
 
   const getConversationTitle = (conv) => {
+    if (conv.is_group) {
+      return conv.title || (conv.participants || []).map(p => p.username).join(', ') || 'Group';
+    }
     if (conv.other_participant) {
       return conv.other_participant.full_name || conv.other_participant.username;
     }
     return 'Unknown User';
   };
 
-  const isUserOnline = (participant) => {
-    if (!participant || !participant.last_seen) return false;
-    const lastSeen = new Date(participant.last_seen);
-    const now = new Date();
-    const diffMinutes = (now - lastSeen) / 1000 / 60;
-    return diffMinutes < 5;
-  };
+  // Presence comes from the server's socket tracking, kept current by presence events
+  const isUserOnline = (participant) => !!participant?.is_online;
 
   // Filter conversations based on active tab - memoized for performance
   const filteredConversations = useMemo(() => {
@@ -402,7 +420,7 @@ export default function MessagesScreen() {
 
   const renderConversation = React.useCallback(({ item }) => {
     const hasUnread = item.unread_count > 0;
-    const isOnline = isUserOnline(item.other_participant);
+    const isOnline = !item.is_group && isUserOnline(item.other_participant);
     const hasCommission = item.commissions && item.commissions.length > 0;
 
     return (
@@ -417,17 +435,23 @@ export default function MessagesScreen() {
           );
           router.push(`/messages/${item.id}`);
         }}
-        onLongPress={() => handleDeleteConversation(item.id)}
+        onLongPress={() => handleDeleteConversation(item.id, item.is_group)}
         activeOpacity={0.7}
       >
         <View style={styles.cardContent}>
           <View style={styles.avatarContainer}>
             <View style={styles.avatarWrapper}>
-              <Image
-                source={{ uri: item.other_participant?.avatar_url || DEFAULT_AVATAR }}
-                style={styles.avatar}
-                contentFit="cover"
-              />
+              {item.is_group ? (
+                <View style={[styles.avatar, styles.groupAvatar]}>
+                  <Ionicons name="people" size={26} color={colors.text.secondary} />
+                </View>
+              ) : (
+                <Image
+                  source={{ uri: item.other_participant?.avatar_url || DEFAULT_AVATAR }}
+                  style={styles.avatar}
+                  contentFit="cover"
+                />
+              )}
               {isOnline && (
                 <View style={styles.onlineIndicator}>
                   <View style={styles.onlineDot} />
@@ -450,6 +474,9 @@ export default function MessagesScreen() {
                 {hasCommission && (
                   <Ionicons name="pricetag" size={14} color={colors.primary} style={{ marginLeft: spacing.xs }} />
                 )}
+                {item.muted && (
+                  <Ionicons name="notifications-off-outline" size={14} color={colors.text.disabled} style={{ marginLeft: spacing.xs }} />
+                )}
               </View>
               {item.latest_message && (
                 <View style={styles.timeContainer}>
@@ -487,6 +514,18 @@ export default function MessagesScreen() {
       <View style={[styles.header, { paddingTop: insets.top + spacing.lg }]}>
         <Text style={styles.headerTitle}>Messages</Text>
         <View style={styles.headerActions}>
+          <TouchableOpacity
+            style={styles.headerButton}
+            onPress={() => router.push('/messages/new-group')}
+          >
+            <Ionicons name="people-outline" size={24} color={colors.text.primary} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.headerButton}
+            onPress={() => router.push('/messages/search')}
+          >
+            <Ionicons name="search-outline" size={24} color={colors.text.primary} />
+          </TouchableOpacity>
           <TouchableOpacity
             style={styles.headerButton}
             onPress={() => setShowArtistSearch(true)}
@@ -857,6 +896,11 @@ const styles = StyleSheet.create({
     borderRadius: IS_SMALL_SCREEN ? 28 : 30,
     backgroundColor: colors.background,
   },
+  groupAvatar: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.surface,
+  },
   onlineIndicator: {
     position: 'absolute',
     bottom: -2,
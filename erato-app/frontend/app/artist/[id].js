@@ -12,6 +12,7 @@ import {
   Modal,
   StatusBar,
   Linking,
+  TextInput,
 } from 'react-native';
 import Toast from 'react-native-toast-message';
 import { showAlert } from '../../components/StyledAlert';
@@ -42,6 +43,10 @@ export default function ArtistProfileScreen() {
   const [isPackagesLoading, setIsPackagesLoading] = useState(false);
   const [selectedPackage, setSelectedPackage] = useState(null);
   const [queueStatus, setQueueStatus] = useState(null);
+  const [drops, setDrops] = useState([]);
+  const [registeringDrop, setRegisteringDrop] = useState(null);
+  const [dropDetails, setDropDetails] = useState('');
+  const [isDropSubmitting, setIsDropSubmitting] = useState(false);
   const [boards, setBoards] = useState([]);
   const [createdBoard, setCreatedBoard] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
@@ -294,8 +299,8 @@ export default function ArtistProfileScreen() {
   const fetchCommissionSettings = async (artistId) => {
     setSettingsLoading(true);
     try {
-      const response = await axios.get(`${API_URL}/commission-packages/settings/${artistId}`);
-      setCommissionSettings(response.data);
+      const response = await axios.get(`${API_URL}/artists/${artistId}/public-settings`);
+      setCommissionSettings(response.data.settings);
     } catch (err) {
       console.error('Error fetching commission settings:', err);
       setCommissionSettings(null);
@@ -328,12 +333,13 @@ export default function ArtistProfileScreen() {
       await fetchArtistPackages(id, headers);
       await fetchCommissionSettings(id);
       try {
-        const queueResponse = await axios.get(`${API_URL}/commission-packages/queue/${id}`, { headers });
-        setQueueStatus(queueResponse.data);
+        const queueResponse = await axios.get(`${API_URL}/artists/${id}/queue-status`, { headers });
+        setQueueStatus(queueResponse.data.queue);
       } catch (err) {
         console.error('Error fetching queue status:', err);
         setQueueStatus(null);
       }
+      await fetchDrops(headers);
 
       // Fetch artist's artworks (uploaded by this artist)
       try {
@@ -423,6 +429,71 @@ export default function ArtistProfileScreen() {
     }
   };
 
+  const fetchDrops = async (headers) => {
+    try {
+      const response = await axios.get(`${API_URL}/artists/${id}/drops`, { headers });
+      setDrops(response.data.drops || []);
+    } catch (err) {
+      console.error('Error fetching drops:', err);
+      setDrops([]);
+    }
+  };
+
+  const handleRegisterForDrop = async () => {
+    if (!dropDetails.trim()) {
+      Toast.show({
+        type: 'error',
+        text1: 'Details Required',
+        text2: 'Describe what you would like commissioned',
+      });
+      return;
+    }
+
+    setIsDropSubmitting(true);
+    try {
+      const headers = { Authorization: `Bearer ${token}` };
+      await axios.post(
+        `${API_URL}/artists/drops/${registeringDrop.id}/registration`,
+        { details: dropDetails.trim() },
+        { headers }
+      );
+      Toast.show({
+        type: 'success',
+        text1: 'Registered',
+        text2: registeringDrop.allocation === 'lottery'
+          ? 'You are in the draw for this drop'
+          : 'We will let you know when the drop opens',
+      });
+      setRegisteringDrop(null);
+      setDropDetails('');
+      await fetchDrops(headers);
+    } catch (err) {
+      console.error('Error registering for drop:', err);
+      Toast.show({
+        type: 'error',
+        text1: 'Registration Failed',
+        text2: err.response?.data?.error || 'Please try again',
+      });
+    } finally {
+      setIsDropSubmitting(false);
+    }
+  };
+
+  const handleWithdrawFromDrop = async (drop) => {
+    try {
+      const headers = { Authorization: `Bearer ${token}` };
+      await axios.delete(`${API_URL}/artists/drops/${drop.id}/registration`, { headers });
+      await fetchDrops(headers);
+    } catch (err) {
+      console.error('Error withdrawing from drop:', err);
+      Toast.show({
+        type: 'error',
+        text1: 'Withdraw Failed',
+        text2: err.response?.data?.error || 'Please try again',
+      });
+    }
+  };
+
   const handleCloseModal = () => {
     if (selectedPortfolioIndex === null || isClosingModal.current) {
       return;
@@ -859,7 +930,7 @@ export default function ArtistProfileScreen() {
                   <Ionicons name="people" size={14} color={colors.text.primary} />
                 </View>
                 <Text style={styles.pinterestQueueText}>
-                  {Math.max(0, queueStatus.current || 0)}/{queueStatus.max || 0}
+                  {Math.max(0, queueStatus.slots_used || 0)}/{queueStatus.slots_total || 0}
                 </Text>
                 {queueStatus.is_full && queueStatus.allow_waitlist && (
                   <Text style={styles.pinterestQueueWaitlist}>+ Waitlist</Text>
@@ -868,6 +939,33 @@ export default function ArtistProfileScreen() {
             )}
           </View>
 
+          {/* Upcoming and open slot drops */}
+          {drops.map(drop => (
+            <View key={drop.id} style={styles.dropCard}>
+              <View style={styles.dropInfo}>
+                <Text style={styles.dropTitle}>
+                  {drop.status === 'open' ? 'Drop open now' : 'Commission drop'} · {drop.slots} slot{drop.slots === 1 ? '' : 's'}
+                </Text>
+                <Text style={styles.dropMeta}>
+                  {drop.allocation === 'lottery' ? 'Lottery' : 'First come, first served'}
+                  {drop.status === 'open'
+                    ? ` · ${drop.slots_remaining} left`
+                    : ` · Opens ${new Date(drop.opens_at).toLocaleString()}`}
+                  {drop.registration_count > 0 ? ` · ${drop.registration_count} registered` : ''}
+                </Text>
+              </View>
+              {!isOwnProfile && user?.user_type !== 'artist' && !user?.artists && drop.status === 'scheduled' && (
+                <TouchableOpacity
+                  style={[styles.dropButton, drop.registered && styles.dropButtonRegistered]}
+                  onPress={() => (drop.registered ? handleWithdrawFromDrop(drop) : setRegisteringDrop(drop))}
+                  activeOpacity={0.7}
+                >
+                  <Text style={styles.dropButtonText}>{drop.registered ? 'Registered ✓' : 'Register'}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+
           {/* Action Buttons - Pinterest-style */}
           {!isOwnProfile && (
             <View style={styles.pinterestActionButtons}>
@@ -1341,6 +1439,46 @@ export default function ArtistProfileScreen() {
           </View>
         </Modal>
 
+        {/* Drop Registration Modal */}
+        <Modal
+          visible={!!registeringDrop}
+          transparent
+          animationType="slide"
+          onRequestClose={() => setRegisteringDrop(null)}
+        >
+          <View style={styles.pkgModalOverlay}>
+            <View style={styles.pkgModal}>
+              <View style={styles.pkgModalHeader}>
+                <Text style={styles.pkgModalTitle}>Register for drop</Text>
+                <TouchableOpacity onPress={() => setRegisteringDrop(null)}>
+                  <Ionicons name="close" size={22} color={colors.text.primary} />
+                </TouchableOpacity>
+              </View>
+              <Text style={styles.dropMeta}>
+                {registeringDrop?.allocation === 'lottery'
+                  ? 'Winners are drawn when the drop opens. Your request is sent if you win, otherwise you join the waitlist.'
+                  : 'You will be notified when the drop opens. If you miss out, this request joins the waitlist.'}
+              </Text>
+              <TextInput
+                style={styles.dropInput}
+                value={dropDetails}
+                onChangeText={setDropDetails}
+                placeholder="What would you like commissioned?"
+                placeholderTextColor={colors.text.disabled}
+                multiline
+                maxLength={5000}
+              />
+              <TouchableOpacity
+                style={[styles.pkgCtaButton, isDropSubmitting && styles.pkgCtaDisabled]}
+                onPress={handleRegisterForDrop}
+                disabled={isDropSubmitting}
+              >
+                <Text style={styles.pkgCtaText}>{isDropSubmitting ? 'Registering...' : 'Register'}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </Modal>
+
         {/* Similar Artists Modal */}
         <Modal
           visible={showSimilarArtists}
@@ -2599,6 +2737,54 @@ const styles = StyleSheet.create({
   pkgCtaTextDisabled: {
     color: colors.text.secondary,
   },
+  dropCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    marginTop: spacing.md,
+    padding: spacing.md,
+    borderRadius: borderRadius.lg,
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  dropInfo: {
+    flex: 1,
+  },
+  dropTitle: {
+    ...typography.body,
+    color: colors.text.primary,
+    fontWeight: '700',
+  },
+  dropMeta: {
+    ...typography.caption,
+    color: colors.text.secondary,
+    marginTop: spacing.xs,
+  },
+  dropButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.full,
+    backgroundColor: colors.primary,
+  },
+  dropButtonRegistered: {
+    backgroundColor: colors.surfaceLight,
+  },
+  dropButtonText: {
+    ...typography.button,
+    color: colors.text.primary,
+  },
+  dropInput: {
+    ...typography.body,
+    color: colors.text.primary,
+    minHeight: 100,
+    marginTop: spacing.md,
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    textAlignVertical: 'top',
+  },
   boardCard: {
     width: ITEM_WIDTH,
     marginBottom: spacing.md,
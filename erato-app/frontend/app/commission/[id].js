@@ -41,6 +41,8 @@ export default function CommissionDetails() {
   const [completionImage, setCompletionImage] = useState(null);
   const [additionalImages, setAdditionalImages] = useState([]);
   const [uploading, setUploading] = useState(false);
+  const [waitlistEntry, setWaitlistEntry] = useState(null);
+  const [updatingWaitlist, setUpdatingWaitlist] = useState(false);
 
   const isArtist = commission?.artist_id === user?.id;
   const isClient = commission?.client_id === user?.id;
@@ -56,6 +58,18 @@ export default function CommissionDetails() {
       );
       setCommission(commissionResponse.data);
 
+      // Load the client's place on the artist's waitlist
+      const onWaitlist = ['waitlist', 'promoted'].includes(commissionResponse.data.queue_status);
+      if (onWaitlist && commissionResponse.data.client_id === user?.id) {
+        const waitlistResponse = await axios.get(
+          `${API_URL}/commissions/waitlist/mine`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        setWaitlistEntry(waitlistResponse.data.entries.find(entry => entry.id === id) || null);
+      } else {
+        setWaitlistEntry(null);
+      }
+
       // Load milestones
       const milestonesResponse = await axios.get(
         `${API_URL}/milestones/commission/${id}`,
@@ -78,7 +92,7 @@ export default function CommissionDetails() {
         text2: error.response?.data?.error || 'Please try again',
       });
     }
-  }, [id, token]);
+  }, [id, token, user?.id]);
 
   useEffect(() => {
     loadCommissionData().then(() => setLoading(false));
@@ -197,6 +211,60 @@ export default function CommissionDetails() {
     }
   };
 
+  const handleConfirmWaitlistSlot = async () => {
+    setUpdatingWaitlist(true);
+    try {
+      await axios.post(
+        `${API_URL}/commissions/${id}/waitlist/confirm`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      Toast.show({
+        type: 'success',
+        text1: 'Slot Confirmed',
+        text2: 'Your request is now with the artist',
+      });
+      await loadCommissionData();
+    } catch (error) {
+      console.error('Error confirming waitlist slot:', error);
+      Toast.show({
+        type: 'error',
+        text1: 'Confirmation Failed',
+        text2: error.response?.data?.error || 'Please try again',
+      });
+      await loadCommissionData();
+    } finally {
+      setUpdatingWaitlist(false);
+    }
+  };
+
+  const handleLeaveWaitlist = async () => {
+    setUpdatingWaitlist(true);
+    try {
+      await axios.delete(
+        `${API_URL}/commissions/${id}/waitlist`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      Toast.show({
+        type: 'success',
+        text1: 'Left Waitlist',
+        text2: 'Your request has been withdrawn',
+      });
+      await loadCommissionData();
+    } catch (error) {
+      console.error('Error leaving waitlist:', error);
+      Toast.show({
+        type: 'error',
+        text1: 'Failed to leave waitlist',
+        text2: error.response?.data?.error || 'Please try again',
+      });
+    } finally {
+      setUpdatingWaitlist(false);
+    }
+  };
+
   const renderMilestoneCard = (milestone) => {
     const isPaid = milestone.payment_status === 'paid';
     const isLocked = milestone.is_locked;
@@ -309,7 +377,7 @@ export default function CommissionDetails() {
           <Text style={styles.infoLabel}>Status</Text>
           <Text style={styles.infoValue}>{commission.status.replace('_', ' ')}</Text>
 
-          {commission.queue_position && (
+          {commission.queue_position && !waitlistEntry && (
             <>
               <Text style={styles.infoLabel}>Queue Position</Text>
               <Text style={styles.infoValue}>#{commission.queue_position}</Text>
@@ -324,6 +392,40 @@ export default function CommissionDetails() {
           )}
         </View>
 
+        {/* Waitlist */}
+        {waitlistEntry && (
+          <View style={styles.infoCard}>
+            {waitlistEntry.queue_status === 'promoted' ? (
+              <>
+                <Text style={styles.infoLabel}>A slot opened up</Text>
+                <Text style={styles.infoValue}>
+                  Confirm by {new Date(waitlistEntry.promotion_expires_at).toLocaleString()}
+                </Text>
+                <TouchableOpacity
+                  style={styles.completeButton}
+                  disabled={updatingWaitlist}
+                  onPress={handleConfirmWaitlistSlot}
+                >
+                  <Ionicons name="checkmark-circle-outline" size={20} color={colors.white} />
+                  <Text style={styles.completeButtonText}>Confirm Slot</Text>
+                </TouchableOpacity>
+              </>
+            ) : (
+              <>
+                <Text style={styles.infoLabel}>Waitlist Position</Text>
+                <Text style={styles.infoValue}>#{waitlistEntry.position}</Text>
+              </>
+            )}
+            <TouchableOpacity
+              style={styles.leaveWaitlistButton}
+              disabled={updatingWaitlist}
+              onPress={handleLeaveWaitlist}
+            >
+              <Text style={styles.leaveWaitlistText}>Leave Waitlist</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
         {/* Milestones */}
         <Text style={styles.sectionTitle}>Milestones</Text>
         {milestones.length === 0 ? (
@@ -607,6 +709,16 @@ const styles = StyleSheet.create({
     color: colors.white,
     fontWeight: '600',
   },
+  leaveWaitlistButton: {
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    marginTop: spacing.sm,
+  },
+  leaveWaitlistText: {
+    ...typography.body,
+    color: colors.error,
+    fontWeight: '600',
+  },
   emptySection: {
     alignItems: 'center',
     padding: spacing.xl,
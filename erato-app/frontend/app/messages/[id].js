@@ -15,10 +15,12 @@ import {
   RefreshControl,
   Animated,
   Keyboard,
+  Linking,
 } from 'react-native';
 import Toast from 'react-native-toast-message';
 import { Image } from 'expo-image';
 import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
 import { router, useLocalSearchParams, useFocusEffect } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
@@ -28,7 +30,7 @@ import { useAuthStore } from '../../store';
 import { colors, spacing, typography, borderRadius, shadows, DEFAULT_AVATAR, components } from '../../constants/theme';
 import { uploadImage } from '../../utils/imageUpload';
 import ReviewModal from '../../components/ReviewModal';
-import { initSocket, getSocket, disconnectSocket } from '../../lib/socket';
+import { initSocket, subscribe, joinConversation, EVENTS } from '../../lib/socket';
 import { showAlert } from '../../components/StyledAlert';
 import PaymentOptions from '../../components/PaymentOptions';
 import PaymentMethodSelector from '../../components/PaymentMethodSelector';
@@ -42,12 +44,56 @@ import ReferenceBoard from '../../components/ReferenceBoard';
 
 const { width, height } = Dimensions.get('window');
 const API_URL = Constants.expoConfig?.extra?.EXPO_PUBLIC_API_URL || process.env.EXPO_PUBLIC_API_URL;
+
+// Line item types a quote can have (see backend src/utils/quotes.js)
+const QUOTE_ITEM_TYPES = {
+  base: 'Base price',
+  addon: 'Add-on',
+  rush_fee: 'Rush fee',
+  commercial_license: 'Commercial-use license',
+  other: 'Other',
+};
+
+// One-tap reactions in the message menu
+const QUICK_REACTIONS = ['❤️', '👍', '😂', '😮', '😢', '🔥'];
+
+// Same window as MESSAGE_EDIT_WINDOW_MINUTES in backend src/utils/richMessages.js
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatDuration = (ms) => {
+  const seconds = Math.round((ms || 0) / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Delivery state of an own message from the other participants' watermarks,
+// the same rules as receiptFor in backend/src/utils/receipts.js
+const getReceipt = (message, receipts) => {
+  const recipients = receipts.filter(r => r.user_id !== message.sender_id);
+  if (recipients.length === 0) return { status: 'sent' };
+
+  const reached = (time) => !!time && new Date(time) >= new Date(message.created_at);
+  if (recipients.every(r => reached(r.last_read_at))) {
+    const readAt = recipients.map(r => r.last_read_at).sort().pop();
+    return { status: 'read', read_at: readAt };
+  }
+  if (recipients.every(r => reached(r.last_delivered_at) || reached(r.last_read_at))) {
+    return { status: 'delivered' };
+  }
+  return { status: 'sent' };
+};
+
 const STATUS_BAR_HEIGHT = Constants.statusBarHeight || 44;
 const IS_SMALL_SCREEN = width < 400;
 const IS_VERY_SMALL_SCREEN = width < 380;
 
 export default function ConversationScreen() {
-  const { id } = useLocalSearchParams();
+  const { id, around } = useLocalSearchParams();
   const { user, token } = useAuthStore();
   const insets = useSafeAreaInsets();
 
@@ -55,6 +101,14 @@ export default function ConversationScreen() {
   const [newMessage, setNewMessage] = useState('');
   const [loading, setLoading] = useState(true);
   const [otherUser, setOtherUser] = useState(null);
+  // { is_group, title, role, muted, participants } from the conversation details
+  const [conversationInfo, setConversationInfo] = useState(null);
+  // Other participants' delivery and read watermarks
+  const [receipts, setReceipts] = useState([]);
+  // Message the long-press menu is open for, and what the composer is doing
+  const [actionMessage, setActionMessage] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
   const [commission, setCommission] = useState(null);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
   const [selectedCommissionDetails, setSelectedCommissionDetails] = useState(null);
@@ -62,6 +116,12 @@ export default function ConversationScreen() {
   const [pendingReviewCommission, setPendingReviewCommission] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
   const [progressUpdates, setProgressUpdates] = useState([]);
+  const [quotes, setQuotes] = useState([]);
+  const [suggestedQuoteItems, setSuggestedQuoteItems] = useState([]);
+  const [showQuoteModal, setShowQuoteModal] = useState(false);
+  const [quoteItems, setQuoteItems] = useState([]);
+  const [quoteNote, setQuoteNote] = useState('');
+  const [isSendingQuote, setIsSendingQuote] = useState(false);
   const [showProgressActions, setShowProgressActions] = useState(false);
   const [showRevisionModal, setShowRevisionModal] = useState(false);
   const [commissionFiles, setCommissionFiles] = useState([]);
@@ -78,6 +138,11 @@ export default function ConversationScreen() {
   const [selectedImageForViewer, setSelectedImageForViewer] = useState(null);
   const [showImageViewer, setShowImageViewer] = useState(false);
   const flatListRef = useRef(null);
+  // Opened from search: show the messages around this one until the user
+  // jumps to the latest
+  const anchorMessageRef = useRef(around || null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [hasNewerMessages, setHasNewerMessages] = useState(false);
   const socketRef = useRef(null);
   
   // Animation values
@@ -87,27 +152,40 @@ export default function ConversationScreen() {
 
   // Initialize Socket.io connection for real-time messaging
   useEffect(() => {
-    if (!token) return;
+    if (!token || !id) return;
 
-    // Initialize socket connection
     const socket = initSocket(token);
     socketRef.current = socket;
 
-    // Join conversation room
-    if (id && socket.connected) {
-      socket.emit('join-conversation', id);
-    }
+    const applyPresence = ({ user_id, online, last_seen }) => {
+      setOtherUser(prev => (prev && prev.id === user_id ? { ...prev, is_online: online, last_seen } : prev));
+    };
 
-    // Handle socket connection
-    socket.on('connect', () => {
-      console.log('Socket connected in conversation');
-      if (id) {
-        socket.emit('join-conversation', id);
-      }
+    // Typing indicators come through the conversation room; joining also
+    // reports who is online
+    const leaveConversation = joinConversation(id, (reply) => {
+      reply.presence?.forEach(applyPresence);
     });
 
-    // Listen for new messages
-    socket.on('new-message', (message) => {
+    const updateReceipt = (userId, changes) => {
+      setReceipts(prev => (prev.some(r => r.user_id === userId)
+        ? prev.map(r => (r.user_id === userId ? { ...r, ...changes } : r))
+        : [...prev, { user_id: userId, ...changes }]));
+    };
+
+    // New messages arrive for all of the user's conversations
+    const unsubscribeNew = subscribe(EVENTS.MESSAGE_NEW, ({ conversation_id, message }) => {
+      if (conversation_id !== id) return;
+
+      // Read while the conversation is open
+      if (message.sender_id !== user?.id) {
+        axios.post(
+          `${API_URL}/messages/conversations/${id}/read`,
+          {},
+          { headers: { Authorization: `Bearer ${token}` } }
+        ).catch(error => console.error('Error marking messages as read:', error));
+      }
+
       setMessages(prev => {
         // Check for exact ID match first (most common case)
         if (prev.some(m => m.id === message.id)) {
@@ -120,7 +198,8 @@ export default function ConversationScreen() {
             m.id?.startsWith('temp-') && 
             m.sender_id === user?.id &&
             ((m.message_type === 'text' && m.content === message.content) ||
-             (m.message_type === 'image' && m.image_url && message.image_url))
+             (m.message_type === 'image' && m.image_url && message.image_url) ||
+             (m.message_type === 'file' && m.metadata?.name === message.metadata?.name))
           );
           
           if (tempMessage) {
@@ -137,12 +216,61 @@ export default function ConversationScreen() {
       setTimeout(() => flatListRef.current?.scrollToEnd({ animated: true }), 100);
     });
 
+    const unsubscribeDeleted = subscribe(EVENTS.MESSAGE_DELETED, ({ conversation_id, message_id }) => {
+      if (conversation_id !== id) return;
+      setMessages(prev => prev.filter(m => m.id !== message_id));
+    });
+
+    const unsubscribeUpdated = subscribe(EVENTS.MESSAGE_UPDATED, ({ conversation_id, message }) => {
+      if (conversation_id !== id) return;
+      setMessages(prev => prev.map(m => (m.id === message.id ? { ...m, ...message } : m)));
+    });
+
+    const unsubscribeReactions = subscribe(EVENTS.MESSAGE_REACTIONS, ({ conversation_id, message_id, reactions }) => {
+      if (conversation_id !== id) return;
+      setMessages(prev => prev.map(m => (m.id === message_id ? { ...m, reactions } : m)));
+    });
+
+    const unsubscribeStatus = subscribe(EVENTS.COMMISSION_STATUS, ({ commission_id, status }) => {
+      setCommission(prev => (prev && prev.id === commission_id ? { ...prev, status } : prev));
+    });
+
+    const unsubscribeDelivered = subscribe(EVENTS.MESSAGE_DELIVERED, ({ conversation_id, user_id, delivered_at }) => {
+      if (conversation_id === id && user_id !== user?.id) updateReceipt(user_id, { last_delivered_at: delivered_at });
+    });
+
+    const unsubscribeRead = subscribe(EVENTS.MESSAGE_READ, ({ conversation_id, user_id, read_at }) => {
+      if (conversation_id === id && user_id !== user?.id) updateReceipt(user_id, { last_read_at: read_at });
+    });
+
+    const unsubscribePresence = subscribe(EVENTS.PRESENCE, applyPresence);
+
+    // Group participants, roles or title changed
+    const unsubscribeConversation = subscribe(EVENTS.CONVERSATION_UPDATED, ({ conversation_id, change, user_ids }) => {
+      if (conversation_id !== id) return;
+
+      if (user_ids?.includes(user?.id) && (change === 'participant_removed' || change === 'participant_left')) {
+        if (change === 'participant_removed') {
+          Toast.show({ type: 'info', text1: 'You were removed from this group', visibilityTime: 3000 });
+        }
+        router.back();
+        return;
+      }
+      fetchConversationDetails();
+    });
+
     // Cleanup on unmount
     return () => {
-      if (socket) {
-        socket.off('new-message');
-        socket.off('connect');
-      }
+      unsubscribeNew();
+      unsubscribeDeleted();
+      unsubscribeUpdated();
+      unsubscribeReactions();
+      unsubscribeStatus();
+      unsubscribeDelivered();
+      unsubscribeRead();
+      unsubscribePresence();
+      unsubscribeConversation();
+      leaveConversation();
     };
   }, [id, token]);
 
@@ -242,6 +370,7 @@ export default function ConversationScreen() {
 
       const otherParticipant = response.data.participants?.find(p => p.id !== user?.id);
       setOtherUser(otherParticipant);
+      setConversationInfo(response.data);
 
       if (response.data.commission_id) {
         const commissionResponse = await axios.get(
@@ -262,6 +391,20 @@ export default function ConversationScreen() {
           console.error('Error fetching progress updates:', err);
         }
 
+        // Fetch quote rounds while the price is still being agreed
+        if (commissionData.status === 'pending') {
+          try {
+            const quotesResponse = await axios.get(
+              `${API_URL}/commissions/${response.data.commission_id}/quotes`,
+              { headers: { Authorization: `Bearer ${token}` } }
+            );
+            setQuotes(quotesResponse.data.quotes || []);
+            setSuggestedQuoteItems(quotesResponse.data.suggested_line_items || []);
+          } catch (err) {
+            console.error('Error fetching quotes:', err);
+          }
+        }
+
         // Fetch commission files (including reference images)
         try {
           const filesResponse = await axios.get(
@@ -338,8 +481,10 @@ export default function ConversationScreen() {
   };
 
   const fetchMessages = async () => {
+    const anchor = anchorMessageRef.current;
     try {
       const response = await axios.get(`${API_URL}/messages/conversations/${id}/messages`, {
+        params: anchor ? { around: anchor } : undefined,
         headers: { Authorization: `Bearer ${token}` }
       });
       const msgs = response.data.messages || [];
@@ -361,7 +506,23 @@ export default function ConversationScreen() {
       }
 
       setMessages(filteredMsgs);
+      setReceipts(response.data.receipts || []);
+      setHasNewerMessages(!!anchor && !!response.data.has_more_after);
+
+      if (anchor) {
+        const index = filteredMsgs.findIndex(m => m.id === anchor);
+        if (index >= 0) {
+          setHighlightedMessageId(anchor);
+          setTimeout(() => flatListRef.current?.scrollToIndex({ index, animated: false, viewPosition: 0.5 }), 100);
+          setTimeout(() => setHighlightedMessageId(null), 3000);
+        }
+      }
     } catch (error) {
+      if (anchor && error.response?.status === 404) {
+        // The message is gone - open the conversation as usual
+        anchorMessageRef.current = null;
+        return fetchMessages();
+      }
       console.error('Error fetching messages:', error);
     } finally {
       setLoading(false);
@@ -614,11 +775,45 @@ export default function ConversationScreen() {
     }
   };
 
+  const saveEdit = async () => {
+    const message = editingMessage;
+    const content = newMessage.trim();
+    setEditingMessage(null);
+    setNewMessage('');
+
+    try {
+      const response = await axios.patch(
+        `${API_URL}/messages/conversations/${id}/messages/${message.id}`,
+        { content },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setMessages(prev => prev.map(m => (m.id === message.id ? { ...m, ...response.data } : m)));
+    } catch (error) {
+      console.error('Error editing message:', error);
+      Toast.show({
+        type: 'error',
+        text1: 'Error',
+        text2: error.response?.data?.error || 'Failed to edit message',
+        visibilityTime: 3000,
+      });
+    }
+  };
+
+  const jumpToLatest = () => {
+    anchorMessageRef.current = null;
+    setHasNewerMessages(false);
+    fetchMessages();
+  };
+
   const sendMessage = async () => {
     if (!newMessage.trim()) return;
+    if (editingMessage) return saveEdit();
 
     const messageContent = newMessage.trim();
+    const replyTo = replyingTo;
     setNewMessage('');
+    setReplyingTo(null);
+    if (anchorMessageRef.current) jumpToLatest();
 
     // Optimistic update - add message immediately for instant feedback
     const tempId = `temp-${Date.now()}`;
@@ -628,6 +823,7 @@ export default function ConversationScreen() {
       sender_id: user?.id,
       conversation_id: id,
       message_type: 'text',
+      reply_to: replyTo ? { id: replyTo.id, sender_id: replyTo.sender_id, preview: getMessagePreview(replyTo) } : null,
       created_at: new Date().toISOString(),
       isPending: true,
     };
@@ -637,7 +833,7 @@ export default function ConversationScreen() {
     try {
       await axios.post(
         `${API_URL}/messages/conversations/${id}/messages`,
-        { content: messageContent },
+        { content: messageContent, reply_to_id: replyTo?.id },
         { headers: { Authorization: `Bearer ${token}` } }
       );
 
@@ -659,6 +855,7 @@ export default function ConversationScreen() {
       // Remove temp message on error and restore input
       setMessages(prev => prev.filter(m => m.id !== tempId));
       setNewMessage(messageContent);
+      setReplyingTo(replyTo);
       Toast.show({
         type: 'error',
         text1: 'Error',
@@ -669,6 +866,141 @@ export default function ConversationScreen() {
   };
 
 
+  // Deliverables (PSD, PDF, ZIP, ...) go up through the attachments endpoint,
+  // which checks their type and size
+  const handleFilePick = async () => {
+    const result = await DocumentPicker.getDocumentAsync({ copyToCacheDirectory: true });
+    if (result.canceled || !result.assets?.[0]) return;
+
+    const asset = result.assets[0];
+    const replyTo = replyingTo;
+    setReplyingTo(null);
+
+    const tempMessage = {
+      id: `temp-file-${Date.now()}`,
+      sender_id: user?.id,
+      conversation_id: id,
+      message_type: 'file',
+      content: '',
+      metadata: { name: asset.name, size: asset.size },
+      created_at: new Date().toISOString(),
+      isPending: true,
+    };
+    setMessages(prev => [...prev, tempMessage]);
+    setTimeout(() => flatListRef.current?.scrollToEnd({ animated: true }), 100);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', {
+        uri: asset.uri,
+        name: asset.name,
+        type: asset.mimeType || 'application/octet-stream',
+      });
+      formData.append('message_type', 'file');
+      if (replyTo) formData.append('reply_to_id', replyTo.id);
+
+      await axios.post(
+        `${API_URL}/messages/conversations/${id}/attachments`,
+        formData,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      // Socket.io will emit the real message, which will replace the temp one
+      setTimeout(() => {
+        setMessages(prev => prev.filter(m => m.id !== tempMessage.id));
+      }, 1000);
+    } catch (error) {
+      console.error('Error sending file:', error);
+      setMessages(prev => prev.filter(m => m.id !== tempMessage.id));
+      Toast.show({
+        type: 'error',
+        text1: 'Error',
+        text2: error.response?.data?.error || 'Failed to send file. Please try again.',
+        visibilityTime: 3000,
+      });
+    }
+  };
+
+  const handleAttach = () => {
+    showAlert({
+      title: 'Send',
+      type: 'info',
+      buttons: [
+        { text: 'Photo', onPress: () => handleImagePick() },
+        { text: 'File', onPress: handleFilePick },
+        { text: 'Cancel', style: 'cancel' },
+      ],
+    });
+  };
+
+  const toggleReaction = async (message, emoji) => {
+    const mine = message.reactions?.find(r => r.emoji === emoji)?.user_ids.includes(user?.id);
+    const url = `${API_URL}/messages/conversations/${id}/messages/${message.id}/reactions`;
+    const headers = { Authorization: `Bearer ${token}` };
+
+    try {
+      const response = mine
+        ? await axios.delete(`${url}/${encodeURIComponent(emoji)}`, { headers })
+        : await axios.post(url, { emoji }, { headers });
+      setMessages(prev => prev.map(m => (m.id === message.id ? { ...m, reactions: response.data.reactions } : m)));
+    } catch (error) {
+      console.error('Error updating reaction:', error);
+    }
+  };
+
+  const canEdit = (message) => message.sender_id === user?.id &&
+    message.message_type === 'text' &&
+    Date.now() - new Date(message.created_at).getTime() < MESSAGE_EDIT_WINDOW_MS;
+
+  const startEdit = (message) => {
+    setReplyingTo(null);
+    setEditingMessage(message);
+    setNewMessage(message.content);
+  };
+
+  const showEditHistory = async (message) => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/messages/conversations/${id}/messages/${message.id}/edits`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      const versions = response.data.edits
+        .map(edit => `${formatTime(edit.edited_at)}: ${edit.previous_content}`)
+        .join('\n\n');
+      showAlert({ title: 'Edit history', message: versions || 'No earlier versions', type: 'info' });
+    } catch (error) {
+      console.error('Error loading edit history:', error);
+    }
+  };
+
+  const openAttachment = (message) => {
+    if (message.metadata?.url) Linking.openURL(message.metadata.url);
+  };
+
+  const getMessagePreview = (message) => {
+    if (message.message_type === 'image') return 'Image';
+    if (message.message_type === 'file') return message.metadata?.name || 'File';
+    if (message.message_type === 'voice') return 'Voice note';
+    return message.content;
+  };
+
+  const isGroup = !!conversationInfo?.is_group;
+
+  const getSenderName = (senderId) => {
+    if (senderId === user?.id) return 'You';
+    const sender = conversationInfo?.participants?.find(p => p.id === senderId) || otherUser;
+    return sender?.username || sender?.full_name || 'Them';
+  };
+
+  const getConversationTitle = () => {
+    if (!isGroup) return otherUser?.username || 'Unknown';
+    if (conversationInfo.title) return conversationInfo.title;
+    return conversationInfo.participants
+      .filter(p => p.id !== user?.id)
+      .map(p => p.username)
+      .join(', ');
+  };
+
   const formatTime = (timestamp) => {
     const date = new Date(timestamp);
     const now = new Date();
@@ -685,16 +1017,18 @@ export default function ConversationScreen() {
     }
   };
 
-  const isUserOnline = (user) => {
-    if (!user) return false;
-    if (user.is_online) return true;
-    if (user.last_seen) {
-      const lastSeen = new Date(user.last_seen);
-      const now = new Date();
-      const diffMinutes = (now - lastSeen) / 1000 / 60;
-      return diffMinutes < 5;
-    }
-    return false;
+  // Presence comes from the server's socket tracking, kept current by presence events
+  const isUserOnline = (user) => !!user?.is_online;
+
+  const formatPresence = (user) => {
+    if (isUserOnline(user)) return 'Active now';
+    if (user?.last_seen) return `Last seen ${formatTime(user.last_seen)}`;
+    return 'Offline';
+  };
+
+  const formatReceipt = (receipt) => {
+    if (receipt.status === 'read') return `Seen ${formatTime(receipt.read_at)}`;
+    return receipt.status === 'delivered' ? 'Delivered' : 'Sent';
   };
 
   const formatDayHeader = (timestamp) => {
@@ -738,6 +1072,105 @@ export default function ConversationScreen() {
     }
   };
 
+  const formatPrice = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+  const quoteTotal = quoteItems.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
+
+  // Open the quote editor, starting from a previous round or the package's prices
+  const openQuoteComposer = (lineItems = []) => {
+    const items = lineItems.length > 0 ? lineItems : [{ type: 'base', label: QUOTE_ITEM_TYPES.base, amount: '' }];
+    setQuoteItems(items.map(item => ({ ...item, amount: item.amount === '' ? '' : String(item.amount) })));
+    setQuoteNote('');
+    setShowQuoteModal(true);
+  };
+
+  const updateQuoteItem = (index, changes) => {
+    setQuoteItems(prev => prev.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const handleSendQuote = async () => {
+    if (quoteItems.length === 0 || quoteTotal <= 0) {
+      Toast.show({
+        type: 'error',
+        text1: 'Missing price',
+        text2: 'Add at least one line item with an amount',
+        visibilityTime: 3000,
+      });
+      return;
+    }
+
+    setIsSendingQuote(true);
+    try {
+      await axios.post(
+        `${API_URL}/commissions/${commission?.id}/quotes`,
+        {
+          line_items: quoteItems.map(item => ({
+            type: item.type,
+            label: item.label,
+            amount: parseFloat(item.amount) || 0,
+          })),
+          note: quoteNote.trim() || null,
+        },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setShowQuoteModal(false);
+      await Promise.all([fetchMessages(), fetchConversationDetails()]);
+    } catch (error) {
+      console.error('Error sending quote:', error);
+      Toast.show({
+        type: 'error',
+        text1: 'Error',
+        text2: error.response?.data?.error || 'Failed to send quote',
+        visibilityTime: 3000,
+      });
+    } finally {
+      setIsSendingQuote(false);
+    }
+  };
+
+  const handleRespondToQuote = (quote, action) => {
+    const accepting = action === 'accept';
+
+    showAlert({
+      title: accepting ? 'Accept Quote' : 'Decline Quote',
+      message: accepting
+        ? `Agree to ${formatPrice(quote.total)} and start the commission?`
+        : 'You can still send a counter-offer afterwards.',
+      type: accepting ? 'info' : 'warning',
+      buttons: [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: accepting ? 'Accept' : 'Decline',
+          style: accepting ? 'default' : 'destructive',
+          onPress: async () => {
+            try {
+              await axios.post(
+                `${API_URL}/commissions/${commission?.id}/quotes/${quote.id}/${action}`,
+                {},
+                { headers: { Authorization: `Bearer ${token}` } }
+              );
+              await Promise.all([fetchMessages(), fetchConversationDetails()]);
+              Toast.show({
+                type: 'success',
+                text1: accepting ? 'Quote accepted' : 'Quote declined',
+                text2: accepting ? 'The commission has started' : undefined,
+                visibilityTime: 2000,
+              });
+            } catch (error) {
+              console.error('Error responding to quote:', error);
+              Toast.show({
+                type: 'error',
+                text1: 'Error',
+                text2: error.response?.data?.error || 'Failed to respond to quote',
+                visibilityTime: 3000,
+              });
+            }
+          },
+        },
+      ],
+    });
+  };
+
   const handleDeleteMessage = async (messageId) => {
     showAlert({
       title: 'Delete Message',
@@ -904,6 +1337,102 @@ export default function ConversationScreen() {
     );
   };
 
+  const renderQuote = (item, index) => {
+    const metadata = item.metadata || {};
+    const isOwn = item.sender_id === user?.id;
+
+    // Accepting or declining a round is shown as a one-line update
+    if (metadata.kind === 'accepted' || metadata.kind === 'rejected') {
+      const accepted = metadata.kind === 'accepted';
+      return (
+        <>
+          {shouldShowDayHeader(item, index) && renderDayHeader(item.created_at)}
+          <View style={[styles.progressUpdateCard, isOwn && styles.progressUpdateCardOwn]}>
+            <View style={[styles.progressUpdateHeader, { marginBottom: 0 }]}>
+              <Ionicons
+                name={accepted ? 'checkmark-circle' : 'close-circle'}
+                size={18}
+                color={accepted ? colors.status.success : colors.status.error}
+              />
+              <Text style={styles.progressUpdateTitle}>
+                {accepted ? `Quote accepted at ${formatPrice(metadata.total)}` : 'Quote declined'}
+              </Text>
+            </View>
+            {!accepted && metadata.reason ? (
+              <Text style={styles.revisionNotes}>{metadata.reason}</Text>
+            ) : null}
+          </View>
+        </>
+      );
+    }
+
+    const quote = quotes.find(q => q.id === metadata.quote_id);
+    const title = { counter: 'Counter-offer', revision: 'Revised Quote' }[metadata.kind] || 'Quote';
+    const canRespond = quote?.status === 'pending' && !isOwn && commission?.status === 'pending';
+
+    return (
+      <>
+        {shouldShowDayHeader(item, index) && renderDayHeader(item.created_at)}
+        <View style={[styles.progressUpdateCard, isOwn && styles.progressUpdateCardOwn]}>
+          <View style={styles.progressUpdateHeader}>
+            <Ionicons name="pricetag-outline" size={18} color={colors.primary} />
+            <Text style={styles.progressUpdateTitle}>{title}</Text>
+            <Text style={styles.quoteRound}>Round {metadata.round}</Text>
+          </View>
+          {(metadata.line_items || []).map((lineItem, i) => (
+            <View key={i} style={styles.quoteLine}>
+              <Text style={styles.quoteLineLabel}>{lineItem.label}</Text>
+              <Text style={styles.quoteLineAmount}>{formatPrice(lineItem.amount)}</Text>
+            </View>
+          ))}
+          <View style={[styles.quoteLine, styles.quoteTotalLine]}>
+            <Text style={styles.progressUpdateTitle}>Total</Text>
+            <Text style={styles.progressUpdateTitle}>{formatPrice(metadata.total)}</Text>
+          </View>
+          {metadata.note ? <Text style={styles.revisionNotes}>{metadata.note}</Text> : null}
+          {metadata.valid_until && quote?.status === 'pending' ? (
+            <Text style={styles.approvalStatusText}>
+              Valid until {new Date(metadata.valid_until).toLocaleDateString()}
+            </Text>
+          ) : null}
+          {canRespond && (
+            <View style={styles.approvalActions}>
+              <TouchableOpacity
+                style={[styles.approvalButton, styles.approveButton]}
+                onPress={() => handleRespondToQuote(quote, 'accept')}
+              >
+                <Ionicons name="checkmark" size={16} color={colors.text.primary} />
+                <Text style={styles.approvalButtonText}>Accept</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.approvalButton, styles.counterButton]}
+                onPress={() => openQuoteComposer(quote.line_items)}
+              >
+                <Ionicons name="swap-horizontal" size={16} color={colors.text.primary} />
+                <Text style={styles.approvalButtonText}>Counter</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.approvalButton, styles.rejectButton]}
+                onPress={() => handleRespondToQuote(quote, 'reject')}
+              >
+                <Ionicons name="close" size={16} color={colors.text.primary} />
+                <Text style={styles.approvalButtonText}>Decline</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+          {quote && quote.status !== 'pending' && quote.status !== 'accepted' && (
+            <View style={styles.approvalStatus}>
+              <Ionicons name="time-outline" size={16} color={colors.text.secondary} />
+              <Text style={styles.approvalStatusText}>
+                {{ countered: 'Countered', superseded: 'Replaced by a revised quote', rejected: 'Declined', expired: 'Expired' }[quote.status]}
+              </Text>
+            </View>
+          )}
+        </View>
+      </>
+    );
+  };
+
   const renderCommissionRequest = (item, index) => {
     const metadata = item.metadata || {};
     const isArtist = user?.id !== item.sender_id;
@@ -946,6 +1475,20 @@ export default function ConversationScreen() {
       return renderProgressUpdate(item, index);
     }
 
+    if (item.message_type === 'quote') {
+      return renderQuote(item, index);
+    }
+
+    // Group changes: who joined, left, renamed the group...
+    if (item.message_type === 'system') {
+      return (
+        <>
+          {shouldShowDayHeader(item, index) && renderDayHeader(item.created_at)}
+          <Text style={styles.systemMessage}>{item.content}</Text>
+        </>
+      );
+    }
+
     const isOwn = item.sender_id === user?.id;
     const prevMessage = index > 0 ? messages[index - 1] : null;
     const nextMessage = index < messages.length - 1 ? messages[index + 1] : null;
@@ -956,7 +1499,6 @@ export default function ConversationScreen() {
       nextMessage.sender_id !== item.sender_id ||
       (new Date(nextMessage.created_at) - new Date(item.created_at)) > 1000 * 60 * 5;
 
-    const isRead = item.is_read && isOwn;
     const isPending = item.isPending;
     
     // Check if this is the most recent message from the current user
@@ -970,11 +1512,75 @@ export default function ConversationScreen() {
       return false;
     })();
 
+    // In groups, name the sender above the first of their messages
+    const senderLabel = isGroup && !isOwn && showTime && (
+      <Text style={styles.groupSenderName}>{getSenderName(item.sender_id)}</Text>
+    );
+
+    const replyQuote = item.reply_to && (
+      <View style={[styles.replyQuote, isOwn && styles.replyQuoteOwn]}>
+        <Text style={styles.replyQuoteSender}>{getSenderName(item.reply_to.sender_id)}</Text>
+        <Text style={styles.replyQuoteText} numberOfLines={2}>{item.reply_to.preview}</Text>
+      </View>
+    );
+
+    const reactionRow = item.reactions?.length > 0 && (
+      <View style={[styles.reactionRow, isOwn && styles.reactionRowOwn]}>
+        {item.reactions.map(reaction => (
+          <TouchableOpacity
+            key={reaction.emoji}
+            style={[styles.reactionChip, reaction.user_ids.includes(user?.id) && styles.reactionChipMine]}
+            onPress={() => toggleReaction(item, reaction.emoji)}
+          >
+            <Text style={styles.reactionChipText}>{reaction.emoji} {reaction.count}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+
+    const renderBubbleContent = () => {
+      if (item.message_type === 'file' || item.message_type === 'voice') {
+        const isVoice = item.message_type === 'voice';
+        return (
+          <>
+            <TouchableOpacity style={styles.attachmentRow} onPress={() => openAttachment(item)} disabled={isPending}>
+              <Ionicons
+                name={isVoice ? 'play-circle' : 'document-attach-outline'}
+                size={isVoice ? 28 : 24}
+                color={colors.text.primary}
+              />
+              <View style={styles.attachmentInfo}>
+                <Text style={[styles.messageText, isOwn && styles.messageTextOwn]} numberOfLines={1}>
+                  {isVoice ? 'Voice note' : item.metadata?.name}
+                </Text>
+                <Text style={styles.attachmentMeta}>
+                  {isVoice ? formatDuration(item.metadata?.duration_ms) : formatFileSize(item.metadata?.size)}
+                </Text>
+              </View>
+            </TouchableOpacity>
+            {!!item.content && (
+              <Text style={[styles.messageText, isOwn && styles.messageTextOwn, styles.attachmentCaption]}>
+                {item.content}
+              </Text>
+            )}
+          </>
+        );
+      }
+
+      return (
+        <Text style={[styles.messageText, isOwn && styles.messageTextOwn]}>
+          {item.content}
+        </Text>
+      );
+    };
+
     return (
       <>
         {shouldShowDayHeader(item, index) && renderDayHeader(item.created_at)}
         {item.image_url ? (
-          <View style={[styles.imageMessageWrapper, isOwn && styles.imageMessageWrapperOwn]}>
+          <View style={[styles.imageMessageWrapper, isOwn && styles.imageMessageWrapperOwn, item.id === highlightedMessageId && styles.highlightedMessage]}>
+            {senderLabel}
+            {replyQuote}
             <TouchableOpacity
               onPress={() => {
                 // Open full screen image viewer
@@ -982,7 +1588,7 @@ export default function ConversationScreen() {
                 setShowImageViewer(true);
               }}
               onLongPress={() => {
-                if (isOwn && !isPending) handleDeleteMessage(item.id);
+                if (!isPending) setActionMessage(item);
               }}
               activeOpacity={0.9}
               style={styles.imageMessageTouchable}
@@ -993,10 +1599,11 @@ export default function ConversationScreen() {
                 contentFit="cover"
               />
             </TouchableOpacity>
+            {reactionRow}
             {isOwn && !isPending && isMostRecentOwnMessage && (
               <View style={styles.messageStatusContainer}>
                 <Text style={styles.messageStatusText}>
-                  {isRead ? 'Read' : 'Delivered'}
+                  {formatReceipt(getReceipt(item, receipts))}
                 </Text>
               </View>
             )}
@@ -1004,24 +1611,30 @@ export default function ConversationScreen() {
         ) : (
           <View style={[styles.messageWrapper, isOwn && styles.messageWrapperOwn]}>
             <View style={styles.textMessageContainer}>
+              {senderLabel}
               <TouchableOpacity
                 onLongPress={() => {
-                  if (isOwn && !isPending) handleDeleteMessage(item.id);
+                  if (!isPending) setActionMessage(item);
                 }}
                 activeOpacity={0.7}
                 style={styles.messageTouchable}
                 disabled={isPending}
               >
-                <View style={[styles.messageBubble, isOwn ? styles.messageBubbleOwn : styles.messageBubbleOther, isPending && styles.pendingMessage]}>
-                  <Text style={[styles.messageText, isOwn && styles.messageTextOwn]}>
-                    {item.content}
-                  </Text>
+                <View style={[styles.messageBubble, isOwn ? styles.messageBubbleOwn : styles.messageBubbleOther, isPending && styles.pendingMessage, item.id === highlightedMessageId && styles.highlightedMessage]}>
+                  {replyQuote}
+                  {renderBubbleContent()}
                 </View>
               </TouchableOpacity>
+              {!!item.edited_at && (
+                <TouchableOpacity onPress={() => showEditHistory(item)}>
+                  <Text style={styles.editedLabel}>Edited</Text>
+                </TouchableOpacity>
+              )}
+              {reactionRow}
               {isOwn && !isPending && isMostRecentOwnMessage && (
                 <View style={styles.messageStatusContainer}>
                   <Text style={styles.messageStatusText}>
-                    {isRead ? 'Read' : 'Delivered'}
+                    {formatReceipt(getReceipt(item, receipts))}
                   </Text>
                 </View>
               )}
@@ -1030,7 +1643,7 @@ export default function ConversationScreen() {
         )}
       </>
     );
-  }, [messages, user, progressUpdates, handleDeleteMessage, renderCommissionRequest, renderProgressUpdate, renderDayHeader, shouldShowDayHeader]);
+  }, [messages, receipts, highlightedMessageId, conversationInfo, user, otherUser, progressUpdates, quotes, handleDeleteMessage, renderCommissionRequest, renderProgressUpdate, renderQuote, renderDayHeader, shouldShowDayHeader]);
 
   if (loading) {
     return (
@@ -1234,18 +1847,37 @@ export default function ConversationScreen() {
                     </View>
                   )}
 
-                  {/* Payment Options for Pending Commissions */}
-                  {commission.status === 'pending' && commission.client_id === user?.id && (
+                  {/* Quote for Pending Commissions */}
+                  {commission.status === 'pending' && commission.artist_id === user?.id && (
                     <View style={styles.modalSection}>
                       <TouchableOpacity
                         style={styles.paymentButton}
                         onPress={() => {
+                          const latest = quotes[quotes.length - 1];
                           setShowDetailsModal(false);
-                          setShowPaymentOptions(true);
+                          openQuoteComposer(latest ? latest.line_items : suggestedQuoteItems);
                         }}
                       >
-                        <Ionicons name="card-outline" size={20} color={colors.text.primary} />
-                        <Text style={styles.paymentButtonText}>Make Payment</Text>
+                        <Ionicons name="pricetag-outline" size={20} color={colors.text.primary} />
+                        <Text style={styles.paymentButtonText}>
+                          {quotes.length > 0 ? 'Send New Quote' : 'Send Quote'}
+                        </Text>
+                      </TouchableOpacity>
+                    </View>
+                  )}
+
+                  {/* Payment Options for Pending Commissions */}
+                  {commission.status === 'pending' && commission.client_id === user?.id && (
+                    <View style={styles.modalSection}>
+                      <TouchableOpacity
+                        style={styles.paymentButton}
+                        onPress={() => {
+                          setShowDetailsModal(false);
+                          setShowPaymentOptions(true);
+                        }}
+                      >
+                        <Ionicons name="card-outline" size={20} color={colors.text.primary} />
+                        <Text style={styles.paymentButtonText}>Make Payment</Text>
                       </TouchableOpacity>
                     </View>
                   )}
@@ -1411,6 +2043,71 @@ export default function ConversationScreen() {
         }
       />
 
+      {/* Message actions */}
+      <Modal
+        visible={!!actionMessage}
+        animationType="fade"
+        transparent
+        onRequestClose={() => setActionMessage(null)}
+      >
+        <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPress={() => setActionMessage(null)}>
+          {actionMessage && (
+            <View style={[styles.modalContent, styles.messageActionsSheet, { paddingBottom: insets.bottom + spacing.md }]}>
+              <View style={styles.quickReactions}>
+                {QUICK_REACTIONS.map(emoji => (
+                  <TouchableOpacity
+                    key={emoji}
+                    style={styles.quickReactionButton}
+                    onPress={() => {
+                      toggleReaction(actionMessage, emoji);
+                      setActionMessage(null);
+                    }}
+                  >
+                    <Text style={styles.quickReactionEmoji}>{emoji}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <TouchableOpacity
+                style={styles.messageActionButton}
+                onPress={() => {
+                  setEditingMessage(null);
+                  setReplyingTo(actionMessage);
+                  setActionMessage(null);
+                }}
+              >
+                <Ionicons name="arrow-undo-outline" size={20} color={colors.text.primary} />
+                <Text style={styles.messageActionText}>Reply</Text>
+              </TouchableOpacity>
+              {canEdit(actionMessage) && (
+                <TouchableOpacity
+                  style={styles.messageActionButton}
+                  onPress={() => {
+                    startEdit(actionMessage);
+                    setActionMessage(null);
+                  }}
+                >
+                  <Ionicons name="create-outline" size={20} color={colors.text.primary} />
+                  <Text style={styles.messageActionText}>Edit</Text>
+                </TouchableOpacity>
+              )}
+              {actionMessage.sender_id === user?.id && (
+                <TouchableOpacity
+                  style={styles.messageActionButton}
+                  onPress={() => {
+                    const messageId = actionMessage.id;
+                    setActionMessage(null);
+                    handleDeleteMessage(messageId);
+                  }}
+                >
+                  <Ionicons name="trash-outline" size={20} color={colors.status.error} />
+                  <Text style={[styles.messageActionText, styles.messageActionTextDestructive]}>Delete</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+        </TouchableOpacity>
+      </Modal>
+
       {/* References Modal */}
       <Modal
         visible={showReferences}
@@ -1497,6 +2194,89 @@ export default function ConversationScreen() {
         </View>
       </Modal>
 
+      {/* Quote Modal */}
+      <Modal
+        visible={showQuoteModal}
+        animationType="slide"
+        transparent={false}
+        onRequestClose={() => setShowQuoteModal(false)}
+      >
+        <View style={styles.revisionModalContainer}>
+          <View style={styles.revisionModalHeader}>
+            <TouchableOpacity onPress={() => setShowQuoteModal(false)}>
+              <Ionicons name="close" size={24} color={colors.text.primary} />
+            </TouchableOpacity>
+            <Text style={styles.revisionModalTitle}>
+              {commission?.artist_id === user?.id ? 'Quote' : 'Counter-offer'}
+            </Text>
+            <TouchableOpacity onPress={handleSendQuote} disabled={isSendingQuote}>
+              <Text style={styles.revisionModalSubmit}>{isSendingQuote ? 'Sending...' : 'Send'}</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.revisionNotesContainer}>
+            {quoteItems.map((item, index) => (
+              <View key={index} style={styles.quoteEditRow}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.approvalStatusText}>{QUOTE_ITEM_TYPES[item.type]}</Text>
+                  <TextInput
+                    style={styles.quoteInput}
+                    value={item.label}
+                    onChangeText={(label) => updateQuoteItem(index, { label })}
+                    placeholder="Description"
+                    placeholderTextColor={colors.text.disabled}
+                    maxLength={200}
+                  />
+                </View>
+                <TextInput
+                  style={[styles.quoteInput, styles.quoteAmountInput]}
+                  value={item.amount}
+                  onChangeText={(amount) => updateQuoteItem(index, { amount: amount.replace(/[^0-9.]/g, '') })}
+                  placeholder="0.00"
+                  placeholderTextColor={colors.text.disabled}
+                  keyboardType="decimal-pad"
+                />
+                <TouchableOpacity onPress={() => setQuoteItems(prev => prev.filter((_, i) => i !== index))}>
+                  <Ionicons name="trash-outline" size={20} color={colors.status.error} />
+                </TouchableOpacity>
+              </View>
+            ))}
+
+            <View style={styles.quoteAddRow}>
+              {['addon', 'rush_fee', 'commercial_license', 'other']
+                .concat(quoteItems.some(item => item.type === 'base') ? [] : ['base'])
+                .map(type => (
+                  <TouchableOpacity
+                    key={type}
+                    style={styles.quoteAddChip}
+                    onPress={() => setQuoteItems(prev => [...prev, { type, label: QUOTE_ITEM_TYPES[type], amount: '' }])}
+                  >
+                    <Ionicons name="add" size={14} color={colors.primary} />
+                    <Text style={styles.quoteAddChipText}>{QUOTE_ITEM_TYPES[type]}</Text>
+                  </TouchableOpacity>
+                ))}
+            </View>
+
+            <View style={[styles.quoteLine, styles.quoteTotalLine]}>
+              <Text style={styles.revisionNotesLabel}>Total</Text>
+              <Text style={styles.revisionNotesLabel}>{formatPrice(quoteTotal)}</Text>
+            </View>
+
+            <Text style={styles.revisionNotesLabel}>Note</Text>
+            <TextInput
+              style={styles.revisionNotesInput}
+              value={quoteNote}
+              onChangeText={setQuoteNote}
+              placeholder="Anything the other side should know about this price..."
+              placeholderTextColor={colors.text.disabled}
+              multiline
+              textAlignVertical="top"
+              maxLength={2000}
+            />
+          </ScrollView>
+        </View>
+      </Modal>
+
       <KeyboardAvoidingView
         style={styles.container}
         behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
@@ -1519,7 +2299,9 @@ export default function ConversationScreen() {
           <TouchableOpacity
             style={styles.headerInfo}
             onPress={() => {
-              if (otherUser?.id) {
+              if (isGroup) {
+                router.push(`/messages/info/${id}`);
+              } else if (otherUser?.id) {
                 // Navigate with a small delay to ensure smooth transition
                 setTimeout(() => {
                   console.log('Profile navigation - otherUser:', JSON.stringify(otherUser, null, 2));
@@ -1546,7 +2328,19 @@ export default function ConversationScreen() {
             }}
             activeOpacity={0.7}
           >
-            {otherUser && (
+            {isGroup ? (
+              <>
+                <View style={[styles.headerAvatar, styles.groupAvatar]}>
+                  <Ionicons name="people" size={20} color={colors.text.secondary} />
+                </View>
+                <View style={styles.headerTextContainer}>
+                  <Text style={styles.headerName} numberOfLines={1}>{getConversationTitle()}</Text>
+                  <Text style={styles.headerStatus}>
+                    {conversationInfo.participants.length} members
+                  </Text>
+                </View>
+              </>
+            ) : otherUser && (
               <>
                 <View style={styles.headerAvatarContainer}>
                   <Image
@@ -1559,12 +2353,28 @@ export default function ConversationScreen() {
                 <View style={styles.headerTextContainer}>
                   <Text style={styles.headerName}>{otherUser.username || 'Unknown'}</Text>
                   <Text style={styles.headerStatus}>
-                    {isUserOnline(otherUser) ? 'Active now' : 'Offline'}
+                    {formatPresence(otherUser)}
                   </Text>
                 </View>
               </>
             )}
           </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.referencesButton}
+            onPress={() => router.push({ pathname: '/messages/search', params: { conversationId: id } })}
+          >
+            <Ionicons name="search-outline" size={22} color={colors.text.primary} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.referencesButton}
+            onPress={() => router.push(`/messages/info/${id}`)}
+          >
+            <Ionicons
+              name={conversationInfo?.muted ? 'notifications-off-outline' : 'information-circle-outline'}
+              size={22}
+              color={colors.text.primary}
+            />
+          </TouchableOpacity>
           {commission && (
             <TouchableOpacity
               style={styles.referencesButton}
@@ -1591,7 +2401,12 @@ export default function ConversationScreen() {
           }}
           contentContainerStyle={styles.messagesList}
           style={styles.messagesFlatList}
-          onContentSizeChange={() => flatListRef.current?.scrollToEnd({ animated: false })}
+          onContentSizeChange={() => {
+            if (!anchorMessageRef.current) flatListRef.current?.scrollToEnd({ animated: false });
+          }}
+          onScrollToIndexFailed={({ index, averageItemLength }) => {
+            flatListRef.current?.scrollToOffset({ offset: index * averageItemLength, animated: false });
+          }}
           refreshControl={
             <RefreshControl
               refreshing={refreshing}
@@ -1613,6 +2428,13 @@ export default function ConversationScreen() {
           }
         />
 
+        {hasNewerMessages && (
+          <TouchableOpacity style={styles.jumpToLatestButton} onPress={jumpToLatest}>
+            <Ionicons name="arrow-down" size={16} color={colors.text.primary} />
+            <Text style={styles.jumpToLatestText}>Jump to latest</Text>
+          </TouchableOpacity>
+        )}
+
         {/* Progress Actions Menu */}
         {showProgressActions && commission && commission.status === 'in_progress' && (
           <View style={styles.progressActionsMenu}>
@@ -1637,6 +2459,34 @@ export default function ConversationScreen() {
           </View>
         )}
 
+        {/* Replying to / editing */}
+        {(replyingTo || editingMessage) && (
+          <View style={styles.composerContext}>
+            <Ionicons
+              name={editingMessage ? 'create-outline' : 'arrow-undo-outline'}
+              size={18}
+              color={colors.primary}
+            />
+            <View style={styles.composerContextText}>
+              <Text style={styles.replyQuoteSender}>
+                {editingMessage ? 'Editing message' : `Replying to ${getSenderName(replyingTo.sender_id)}`}
+              </Text>
+              <Text style={styles.replyQuoteText} numberOfLines={1}>
+                {getMessagePreview(editingMessage || replyingTo)}
+              </Text>
+            </View>
+            <TouchableOpacity
+              onPress={() => {
+                if (editingMessage) setNewMessage('');
+                setEditingMessage(null);
+                setReplyingTo(null);
+              }}
+            >
+              <Ionicons name="close" size={20} color={colors.text.secondary} />
+            </TouchableOpacity>
+          </View>
+        )}
+
         {/* Input */}
         <Animated.View
           style={[
@@ -1662,7 +2512,7 @@ export default function ConversationScreen() {
               <Ionicons name="layers-outline" size={24} color={colors.primary} />
             </TouchableOpacity>
           )}
-          <TouchableOpacity style={styles.attachButton} onPress={handleImagePick}>
+          <TouchableOpacity style={styles.attachButton} onPress={handleAttach}>
             <Ionicons name="add" size={28} color={colors.text.primary} />
           </TouchableOpacity>
           <View style={styles.inputWrapper}>
@@ -1940,6 +2790,49 @@ const styles = StyleSheet.create({
   messageBubbleOther: {
     backgroundColor: colors.surface,
   },
+  systemMessage: {
+    ...typography.small,
+    color: colors.text.disabled,
+    fontSize: 12,
+    textAlign: 'center',
+    marginVertical: spacing.sm,
+    paddingHorizontal: spacing.xl,
+  },
+  groupSenderName: {
+    ...typography.small,
+    color: colors.text.secondary,
+    fontSize: 12,
+    fontWeight: '600',
+    marginBottom: 2,
+    marginLeft: spacing.xs,
+  },
+  groupAvatar: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.surface,
+  },
+  highlightedMessage: {
+    borderWidth: 2,
+    borderColor: colors.primary,
+  },
+  jumpToLatestButton: {
+    position: 'absolute',
+    alignSelf: 'center',
+    bottom: 90,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.full,
+    backgroundColor: colors.surface,
+    ...shadows.small,
+  },
+  jumpToLatestText: {
+    ...typography.small,
+    color: colors.text.primary,
+    fontWeight: '600',
+  },
   messageText: {
     ...typography.body,
     color: colors.text.secondary,
@@ -2295,6 +3188,127 @@ const styles = StyleSheet.create({
   pendingMessage: {
     opacity: 0.5,
   },
+  // Replies, edits, reactions and attachments
+  replyQuote: {
+    borderLeftWidth: 3,
+    borderLeftColor: colors.primary,
+    backgroundColor: colors.background,
+    borderRadius: borderRadius.sm,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    marginBottom: spacing.xs,
+  },
+  replyQuoteOwn: {
+    borderLeftColor: colors.text.primary,
+  },
+  replyQuoteSender: {
+    ...typography.small,
+    color: colors.primary,
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  replyQuoteText: {
+    ...typography.small,
+    color: colors.text.secondary,
+    fontSize: 12,
+  },
+  editedLabel: {
+    ...typography.small,
+    color: colors.text.disabled,
+    fontSize: 11,
+    marginTop: 2,
+    paddingRight: spacing.xs,
+  },
+  reactionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+    marginTop: spacing.xs,
+  },
+  reactionRowOwn: {
+    justifyContent: 'flex-end',
+  },
+  reactionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 2,
+    borderRadius: borderRadius.full,
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  reactionChipMine: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + '20',
+  },
+  reactionChipText: {
+    ...typography.small,
+    color: colors.text.primary,
+    fontSize: 12,
+  },
+  attachmentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    minWidth: 180,
+  },
+  attachmentInfo: {
+    flexShrink: 1,
+  },
+  attachmentMeta: {
+    ...typography.small,
+    color: colors.text.secondary,
+    fontSize: 11,
+  },
+  attachmentCaption: {
+    marginTop: spacing.xs,
+  },
+  composerContext: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    backgroundColor: colors.surface,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  composerContextText: {
+    flex: 1,
+  },
+  messageActionsSheet: {
+    paddingTop: spacing.md,
+  },
+  quickReactions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingHorizontal: spacing.md,
+    paddingBottom: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  quickReactionButton: {
+    padding: spacing.xs,
+  },
+  quickReactionEmoji: {
+    fontSize: 28,
+  },
+  messageActionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.md,
+  },
+  messageActionText: {
+    ...typography.body,
+    color: colors.text.primary,
+    fontSize: 16,
+  },
+  messageActionTextDestructive: {
+    color: colors.status.error,
+  },
   // Progress Updates
   progressUpdateCard: {
     backgroundColor: colors.surface,
@@ -2347,6 +3361,9 @@ const styles = StyleSheet.create({
   rejectButton: {
     backgroundColor: colors.status.error,
   },
+  counterButton: {
+    backgroundColor: colors.surfaceLight,
+  },
   approvalButtonText: {
     ...typography.bodyBold,
     color: colors.text.primary,
@@ -2363,6 +3380,71 @@ const styles = StyleSheet.create({
     color: colors.text.secondary,
     fontSize: 13,
   },
+  quoteRound: {
+    ...typography.small,
+    color: colors.text.secondary,
+    marginLeft: 'auto',
+  },
+  quoteLine: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: spacing.xs / 2,
+  },
+  quoteLineLabel: {
+    ...typography.body,
+    color: colors.text.secondary,
+    fontSize: 14,
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  quoteLineAmount: {
+    ...typography.body,
+    color: colors.text.primary,
+    fontSize: 14,
+  },
+  quoteTotalLine: {
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+    marginTop: spacing.xs,
+    paddingTop: spacing.sm,
+  },
+  quoteEditRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: spacing.sm,
+    marginBottom: spacing.md,
+  },
+  quoteInput: {
+    ...components.input,
+    ...typography.body,
+    color: colors.text.primary,
+    fontSize: 15,
+    marginTop: spacing.xs,
+  },
+  quoteAmountInput: {
+    width: 96,
+    textAlign: 'right',
+  },
+  quoteAddRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+    marginBottom: spacing.md,
+  },
+  quoteAddChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs / 2,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.primary + '60',
+  },
+  quoteAddChipText: {
+    ...typography.small,
+    color: colors.primary,
+  },
   revisionNotes: {
     ...typography.body,
     color: colors.text.secondary,
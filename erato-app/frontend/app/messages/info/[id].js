@@ -0,0 +1,463 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  Modal,
+  ActivityIndicator,
+} from 'react-native';
+import { router, useLocalSearchParams } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Image } from 'expo-image';
+import axios from 'axios';
+import Constants from 'expo-constants';
+import Toast from 'react-native-toast-message';
+import { useAuthStore } from '../../../store';
+import { showAlert } from '../../../components/StyledAlert';
+import ContactPicker from '../../../components/ContactPicker';
+import ModalHeader from '../../../components/ModalHeader';
+import { EVENTS, subscribe } from '../../../lib/socket';
+import { colors, spacing, typography, borderRadius, DEFAULT_AVATAR, components } from '../../../constants/theme';
+
+const API_URL = Constants.expoConfig?.extra?.EXPO_PUBLIC_API_URL || process.env.EXPO_PUBLIC_API_URL;
+
+const HOUR = 60 * 60 * 1000;
+
+// How long "Mute" lasts; null is until unmuted
+const MUTE_OPTIONS = [
+  { label: '1 hour', duration: HOUR },
+  { label: '8 hours', duration: 8 * HOUR },
+  { label: '1 week', duration: 7 * 24 * HOUR },
+  { label: 'Until I turn it back on', duration: null },
+];
+
+export default function ConversationInfoScreen() {
+  const { id } = useLocalSearchParams();
+  const insets = useSafeAreaInsets();
+  const { token, user } = useAuthStore();
+  const [conversation, setConversation] = useState(null);
+  const [title, setTitle] = useState('');
+  const [showAddPeople, setShowAddPeople] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const headers = { Authorization: `Bearer ${token}` };
+  const baseUrl = `${API_URL}/messages/conversations/${id}`;
+
+  const fetchConversation = useCallback(async () => {
+    try {
+      const response = await axios.get(baseUrl, { headers });
+      setConversation(response.data);
+      setTitle(response.data.title || '');
+    } catch (error) {
+      console.error('Error loading conversation:', error);
+    }
+  }, [id, token]);
+
+  useEffect(() => {
+    fetchConversation();
+    return subscribe(EVENTS.CONVERSATION_UPDATED, ({ conversation_id }) => {
+      if (conversation_id === id) fetchConversation();
+    });
+  }, [fetchConversation]);
+
+  const showError = (text1, error) => {
+    Toast.show({ type: 'error', text1, text2: error.response?.data?.error || 'Please try again', visibilityTime: 3000 });
+  };
+
+  const isAdmin = conversation?.role === 'admin';
+  const titleChanged = (conversation?.title || '') !== title.trim();
+
+  const saveTitle = async () => {
+    setSaving(true);
+    try {
+      await axios.patch(baseUrl, { title: title.trim() || null }, { headers });
+      await fetchConversation();
+    } catch (error) {
+      showError('Could not rename the group', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setMuted = async (muted, duration = null) => {
+    try {
+      const response = await axios.put(`${baseUrl}/mute`, {
+        muted,
+        until: muted && duration ? new Date(Date.now() + duration).toISOString() : undefined,
+      }, { headers });
+      setConversation(prev => ({ ...prev, ...response.data }));
+    } catch (error) {
+      showError('Could not update notifications', error);
+    }
+  };
+
+  const handleMuteToggle = (muted) => {
+    if (!muted) return setMuted(false);
+
+    showAlert({
+      title: 'Mute notifications',
+      type: 'info',
+      buttons: [
+        ...MUTE_OPTIONS.map(option => ({ text: option.label, onPress: () => setMuted(true, option.duration) })),
+        { text: 'Cancel', style: 'cancel' },
+      ],
+    });
+  };
+
+  const addPeople = async () => {
+    setSaving(true);
+    try {
+      await axios.post(`${baseUrl}/participants`, { user_ids: selectedIds }, { headers });
+      setShowAddPeople(false);
+      setSelectedIds([]);
+      await fetchConversation();
+    } catch (error) {
+      showError('Could not add people', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changeRole = async (participant, role) => {
+    try {
+      await axios.patch(`${baseUrl}/participants/${participant.id}`, { role }, { headers });
+      await fetchConversation();
+    } catch (error) {
+      showError('Could not change role', error);
+    }
+  };
+
+  const removeParticipant = async (participant) => {
+    try {
+      await axios.delete(`${baseUrl}/participants/${participant.id}`, { headers });
+      await fetchConversation();
+    } catch (error) {
+      showError('Could not remove', error);
+    }
+  };
+
+  const handleParticipantPress = (participant) => {
+    if (!isAdmin || participant.id === user?.id) return;
+
+    const makeAdmin = participant.role !== 'admin';
+    showAlert({
+      title: participant.username,
+      type: 'info',
+      buttons: [
+        { text: makeAdmin ? 'Make admin' : 'Remove as admin', onPress: () => changeRole(participant, makeAdmin ? 'admin' : 'member') },
+        { text: 'Remove from group', style: 'destructive', onPress: () => removeParticipant(participant) },
+        { text: 'Cancel', style: 'cancel' },
+      ],
+    });
+  };
+
+  const leaveGroup = () => {
+    showAlert({
+      title: 'Leave group',
+      message: 'You will stop getting messages from this group.',
+      type: 'warning',
+      buttons: [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Leave',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await axios.delete(`${baseUrl}/participants/${user?.id}`, { headers });
+              if (router.canGoBack()) router.dismissAll();
+              router.replace('/(tabs)/messages');
+            } catch (error) {
+              showError('Could not leave the group', error);
+            }
+          },
+        },
+      ],
+    });
+  };
+
+  const formatMutedUntil = () => {
+    if (!conversation?.muted) return 'Notifications are on';
+    if (!conversation.muted_until) return 'Muted until you turn it back on';
+    return `Muted until ${new Date(conversation.muted_until).toLocaleString([], {
+      month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+    })}`;
+  };
+
+  if (!conversation) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator color={colors.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.header, { paddingTop: insets.top + spacing.lg }]}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={22} color={colors.text.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{conversation.is_group ? 'Group info' : 'Conversation info'}</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={[styles.content, { paddingBottom: insets.bottom + spacing.xl }]}>
+        {conversation.is_group && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Group name</Text>
+            <View style={styles.titleRow}>
+              <TextInput
+                style={[styles.input, styles.titleInput]}
+                value={title}
+                onChangeText={setTitle}
+                editable={isAdmin}
+                placeholder={isAdmin ? 'Add a group name' : 'No group name'}
+                placeholderTextColor={colors.text.disabled}
+                maxLength={100}
+              />
+              {isAdmin && titleChanged && (
+                <TouchableOpacity style={styles.saveButton} onPress={saveTitle} disabled={saving}>
+                  <Text style={styles.saveButtonText}>Save</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <View style={styles.switchRow}>
+            <View style={styles.switchLabel}>
+              <Text style={styles.label}>Mute notifications</Text>
+              <Text style={styles.sublabel}>{formatMutedUntil()}</Text>
+            </View>
+            <Switch
+              value={!!conversation.muted}
+              onValueChange={handleMuteToggle}
+              trackColor={{ false: colors.border, true: colors.primary + '40' }}
+              thumbColor={conversation.muted ? colors.primary : colors.surfaceLight}
+            />
+          </View>
+        </View>
+
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>
+              {conversation.participants.length} {conversation.participants.length === 1 ? 'person' : 'people'}
+            </Text>
+            {conversation.is_group && isAdmin && (
+              <TouchableOpacity style={styles.addButton} onPress={() => setShowAddPeople(true)}>
+                <Ionicons name="person-add-outline" size={18} color={colors.primary} />
+                <Text style={styles.addButtonText}>Add</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          {conversation.participants.map(participant => (
+            <TouchableOpacity
+              key={participant.id}
+              style={styles.participantRow}
+              onPress={() => handleParticipantPress(participant)}
+              activeOpacity={isAdmin ? 0.7 : 1}
+            >
+              <Image source={{ uri: participant.avatar_url || DEFAULT_AVATAR }} style={styles.avatar} contentFit="cover" />
+              <Text style={styles.participantName} numberOfLines={1}>
+                {participant.id === user?.id ? 'You' : participant.username}
+              </Text>
+              {conversation.is_group && participant.role === 'admin' && (
+                <View style={styles.roleBadge}>
+                  <Text style={styles.roleBadgeText}>Admin</Text>
+                </View>
+              )}
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {conversation.is_group && (
+          <TouchableOpacity style={styles.leaveButton} onPress={leaveGroup}>
+            <Ionicons name="exit-outline" size={20} color={colors.status.error} />
+            <Text style={styles.leaveButtonText}>Leave group</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      <Modal visible={showAddPeople} animationType="slide" transparent onRequestClose={() => setShowAddPeople(false)}>
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContent, { paddingBottom: insets.bottom + spacing.lg }]}>
+            <ModalHeader
+              title="Add people"
+              onClose={() => setShowAddPeople(false)}
+              rightAction={selectedIds.length > 0 && (
+                <TouchableOpacity onPress={addPeople} disabled={saving}>
+                  <Text style={styles.saveButtonText}>Add {selectedIds.length}</Text>
+                </TouchableOpacity>
+              )}
+            />
+            <ScrollView style={styles.modalList}>
+              <ContactPicker
+                selectedIds={selectedIds}
+                excludeIds={conversation.participants.map(p => p.id)}
+                onToggle={(userId) => setSelectedIds(prev => (
+                  prev.includes(userId) ? prev.filter(selected => selected !== userId) : [...prev, userId]
+                ))}
+              />
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.md,
+  },
+  backButton: {
+    padding: spacing.xs,
+  },
+  headerTitle: {
+    ...typography.h2,
+    color: colors.text.primary,
+    fontSize: 22,
+    fontWeight: '700',
+  },
+  content: {
+    paddingHorizontal: spacing.lg,
+  },
+  section: {
+    marginTop: spacing.lg,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    ...typography.body,
+    color: colors.text.secondary,
+    fontWeight: '600',
+    marginBottom: spacing.sm,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
+  input: {
+    ...components.input,
+    color: colors.text.primary,
+  },
+  titleInput: {
+    flex: 1,
+  },
+  saveButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  saveButtonText: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: '700',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: spacing.md,
+  },
+  switchLabel: {
+    flex: 1,
+  },
+  label: {
+    ...typography.body,
+    color: colors.text.primary,
+    fontWeight: '600',
+  },
+  sublabel: {
+    ...typography.small,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    marginBottom: spacing.sm,
+  },
+  addButtonText: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  participantRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+  },
+  participantName: {
+    ...typography.body,
+    flex: 1,
+    color: colors.text.primary,
+    fontWeight: '600',
+  },
+  roleBadge: {
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 2,
+    borderRadius: borderRadius.full,
+    backgroundColor: colors.primary + '20',
+  },
+  roleBadgeText: {
+    ...typography.small,
+    color: colors.primary,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  leaveButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginTop: spacing.xl,
+    paddingVertical: spacing.md,
+  },
+  leaveButtonText: {
+    ...typography.body,
+    color: colors.status.error,
+    fontWeight: '600',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    maxHeight: '80%',
+    backgroundColor: colors.background,
+    borderTopLeftRadius: borderRadius.xl,
+    borderTopRightRadius: borderRadius.xl,
+  },
+  modalList: {
+    paddingHorizontal: spacing.lg,
+  },
+});
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, Text, TextInput, TouchableOpacity, ScrollView, ActivityIndicator } from 'react-native';
+import { router } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import axios from 'axios';
+import Constants from 'expo-constants';
+import Toast from 'react-native-toast-message';
+import { useAuthStore } from '../../store';
+import ContactPicker from '../../components/ContactPicker';
+import { colors, spacing, typography, borderRadius, components } from '../../constants/theme';
+
+const API_URL = Constants.expoConfig?.extra?.EXPO_PUBLIC_API_URL || process.env.EXPO_PUBLIC_API_URL;
+
+export default function NewGroupScreen() {
+  const insets = useSafeAreaInsets();
+  const { token } = useAuthStore();
+  const [title, setTitle] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [creating, setCreating] = useState(false);
+
+  const toggle = (userId) => {
+    setSelectedIds(prev => (prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]));
+  };
+
+  // A group is the user plus at least two others
+  const canCreate = selectedIds.length >= 2 && !creating;
+
+  const createGroup = async () => {
+    setCreating(true);
+    try {
+      const response = await axios.post(
+        `${API_URL}/messages/conversations`,
+        { is_group: true, participant_ids: selectedIds, title: title.trim() || undefined },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      router.replace(`/messages/${response.data.conversation.id}`);
+    } catch (error) {
+      Toast.show({
+        type: 'error',
+        text1: 'Could not create group',
+        text2: error.response?.data?.error || 'Please try again',
+        visibilityTime: 3000,
+      });
+      setCreating(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.header, { paddingTop: insets.top + spacing.lg }]}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={22} color={colors.text.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>New group</Text>
+        <TouchableOpacity onPress={createGroup} disabled={!canCreate}>
+          {creating ? (
+            <ActivityIndicator color={colors.primary} />
+          ) : (
+            <Text style={[styles.createText, !canCreate && styles.createTextDisabled]}>Create</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView contentContainerStyle={[styles.content, { paddingBottom: insets.bottom + spacing.xl }]}>
+        <Text style={styles.label}>Group name (optional)</Text>
+        <TextInput
+          style={styles.input}
+          value={title}
+          onChangeText={setTitle}
+          placeholder="e.g. Duo commission"
+          placeholderTextColor={colors.text.disabled}
+          maxLength={100}
+        />
+
+        <Text style={styles.label}>
+          People {selectedIds.length > 0 ? `(${selectedIds.length} selected)` : ''}
+        </Text>
+        <Text style={styles.hint}>Pick at least two people you've chatted with</Text>
+        <ContactPicker selectedIds={selectedIds} onToggle={toggle} />
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.md,
+  },
+  backButton: {
+    padding: spacing.xs,
+  },
+  headerTitle: {
+    ...typography.h2,
+    flex: 1,
+    color: colors.text.primary,
+    fontSize: 22,
+    fontWeight: '700',
+  },
+  createText: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: '700',
+  },
+  createTextDisabled: {
+    color: colors.text.disabled,
+  },
+  content: {
+    paddingHorizontal: spacing.lg,
+  },
+  label: {
+    ...typography.body,
+    color: colors.text.primary,
+    fontWeight: '600',
+    marginTop: spacing.lg,
+    marginBottom: spacing.sm,
+  },
+  hint: {
+    ...typography.small,
+    color: colors.text.secondary,
+    marginBottom: spacing.sm,
+  },
+  input: {
+    ...components.input,
+    color: colors.text.primary,
+  },
+});
@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  ActivityIndicator,
+  ScrollView,
+} from 'react-native';
+import { router, useLocalSearchParams } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Image } from 'expo-image';
+import axios from 'axios';
+import Constants from 'expo-constants';
+import { useAuthStore } from '../../store';
+import { colors, spacing, typography, borderRadius, DEFAULT_AVATAR, components } from '../../constants/theme';
+
+const API_URL = Constants.expoConfig?.extra?.EXPO_PUBLIC_API_URL || process.env.EXPO_PUBLIC_API_URL;
+
+// Message types the search can be narrowed to (see backend src/utils/messageSearch.js)
+const TYPE_FILTERS = [
+  { key: null, label: 'All' },
+  { key: 'image', label: 'Images' },
+  { key: 'file', label: 'Files' },
+  { key: 'commission', label: 'Commission updates' },
+];
+
+const DATE_FILTERS = [
+  { days: null, label: 'Any time' },
+  { days: 7, label: 'Past week' },
+  { days: 30, label: 'Past month' },
+  { days: 365, label: 'Past year' },
+];
+
+const PAGE_SIZE = 20;
+
+// Snippet text with the matched words in bold
+const HighlightedSnippet = ({ snippet, style, highlightStyle }) => {
+  const parts = [];
+  let position = 0;
+  snippet.highlights.forEach(({ start, end }, index) => {
+    if (start > position) parts.push(<Text key={`t${index}`}>{snippet.text.slice(position, start)}</Text>);
+    parts.push(<Text key={`h${index}`} style={highlightStyle}>{snippet.text.slice(start, end)}</Text>);
+    position = end;
+  });
+  if (position < snippet.text.length) parts.push(<Text key="rest">{snippet.text.slice(position)}</Text>);
+
+  return <Text style={style} numberOfLines={3}>{parts}</Text>;
+};
+
+export default function MessageSearchScreen() {
+  const insets = useSafeAreaInsets();
+  const { token, user } = useAuthStore();
+  // Opened from a conversation, the search starts limited to it
+  const { conversationId } = useLocalSearchParams();
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState(null);
+  const [days, setDays] = useState(null);
+  const [onlyThisConversation, setOnlyThisConversation] = useState(!!conversationId);
+  const [results, setResults] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [searched, setSearched] = useState(false);
+  const searchTimeoutRef = useRef(null);
+
+  const buildParams = (before = null) => {
+    const params = { limit: PAGE_SIZE };
+    if (query.trim()) params.q = query.trim();
+    if (type) params.type = type;
+    if (days) params.from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    if (onlyThisConversation && conversationId) params.conversation_id = conversationId;
+    if (before) params.before = before;
+    return params;
+  };
+
+  const runSearch = async (before = null) => {
+    const params = buildParams(before);
+    if (!params.q && !params.type && !params.conversation_id) {
+      setResults([]);
+      setNextBefore(null);
+      setSearched(false);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_URL}/messages/search`, {
+        params,
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setResults(prev => (before ? [...prev, ...response.data.results] : response.data.results));
+      setNextBefore(response.data.next_before);
+      setSearched(true);
+    } catch (error) {
+      console.error('Error searching messages:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Search as the user types
+  useEffect(() => {
+    if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current);
+    searchTimeoutRef.current = setTimeout(() => runSearch(), 300);
+    return () => clearTimeout(searchTimeoutRef.current);
+  }, [query, type, days, onlyThisConversation]);
+
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString([], {
+    month: 'short',
+    day: 'numeric',
+    year: new Date(timestamp).getFullYear() !== new Date().getFullYear() ? 'numeric' : undefined,
+  });
+
+  const renderChip = (label, active, onPress) => (
+    <TouchableOpacity key={label} style={[styles.chip, active && styles.chipActive]} onPress={onPress}>
+      <Text style={[styles.chipText, active && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderResult = ({ item }) => {
+    const { message, sender, snippet } = item;
+    const isOwn = message.sender_id === user?.id;
+
+    return (
+      <TouchableOpacity
+        style={styles.result}
+        onPress={() => router.push({
+          pathname: `/messages/${message.conversation_id}`,
+          params: { around: message.id },
+        })}
+        activeOpacity={0.7}
+      >
+        <Image source={{ uri: sender?.avatar_url || DEFAULT_AVATAR }} style={styles.avatar} contentFit="cover" />
+        <View style={styles.resultBody}>
+          <View style={styles.resultHeader}>
+            <Text style={styles.senderName} numberOfLines={1}>
+              {isOwn ? 'You' : (sender?.username || sender?.full_name || 'Unknown User')}
+            </Text>
+            <Text style={styles.resultDate}>{formatDate(message.created_at)}</Text>
+          </View>
+          {snippet.text ? (
+            <HighlightedSnippet snippet={snippet} style={styles.snippet} highlightStyle={styles.snippetHighlight} />
+          ) : (
+            <Text style={styles.snippet}>
+              {message.message_type === 'image' ? 'Image' : message.metadata?.name || 'Message'}
+            </Text>
+          )}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.header, { paddingTop: insets.top + spacing.xs }]}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color={colors.text.primary} />
+        </TouchableOpacity>
+        <View style={styles.searchInputContainer}>
+          <Ionicons name="search" size={18} color={colors.text.secondary} />
+          <TextInput
+            style={styles.searchInput}
+            value={query}
+            onChangeText={setQuery}
+            placeholder="Search messages"
+            placeholderTextColor={colors.text.disabled}
+            autoFocus
+            returnKeyType="search"
+            onSubmitEditing={() => runSearch()}
+          />
+          {query.length > 0 && (
+            <TouchableOpacity onPress={() => setQuery('')}>
+              <Ionicons name="close-circle" size={18} color={colors.text.secondary} />
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filters} style={styles.filterRow}>
+        {conversationId && renderChip('This conversation', onlyThisConversation, () => setOnlyThisConversation(!onlyThisConversation))}
+        {TYPE_FILTERS.map(filter => renderChip(filter.label, type === filter.key, () => setType(filter.key)))}
+      </ScrollView>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filters} style={styles.filterRow}>
+        {DATE_FILTERS.map(filter => renderChip(filter.label, days === filter.days, () => setDays(filter.days)))}
+      </ScrollView>
+
+      <FlatList
+        data={results}
+        keyExtractor={item => item.message.id}
+        renderItem={renderResult}
+        keyboardShouldPersistTaps="handled"
+        contentContainerStyle={{ paddingBottom: insets.bottom + spacing.lg }}
+        onEndReached={() => {
+          if (nextBefore && !loading) runSearch(nextBefore);
+        }}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={loading ? <ActivityIndicator style={styles.loading} color={colors.primary} /> : null}
+        ListEmptyComponent={!loading && searched ? (
+          <View style={styles.emptyState}>
+            <Ionicons name="search-outline" size={40} color={colors.text.disabled} />
+            <Text style={styles.emptyText}>No messages found</Text>
+          </View>
+        ) : null}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    paddingHorizontal: spacing.md,
+    paddingBottom: spacing.sm,
+  },
+  backButton: {
+    padding: spacing.xs,
+  },
+  searchInputContainer: {
+    ...components.input,
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    paddingVertical: 0,
+  },
+  searchInput: {
+    ...typography.body,
+    flex: 1,
+    color: colors.text.primary,
+    fontSize: 15,
+  },
+  filterRow: {
+    flexGrow: 0,
+  },
+  filters: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    gap: spacing.sm,
+  },
+  chip: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs + 2,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  chipActive: {
+    backgroundColor: colors.text.primary,
+    borderColor: colors.text.primary,
+  },
+  chipText: {
+    ...typography.small,
+    color: colors.text.secondary,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  chipTextActive: {
+    color: colors.text.inverse,
+  },
+  result: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.md,
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+  },
+  resultBody: {
+    flex: 1,
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 2,
+  },
+  senderName: {
+    ...typography.body,
+    color: colors.text.primary,
+    fontSize: 15,
+    fontWeight: '600',
+    flexShrink: 1,
+  },
+  resultDate: {
+    ...typography.small,
+    color: colors.text.disabled,
+    fontSize: 12,
+  },
+  snippet: {
+    ...typography.body,
+    color: colors.text.secondary,
+    fontSize: 14,
+    lineHeight: 19,
+  },
+  snippetHighlight: {
+    color: colors.text.primary,
+    fontWeight: '700',
+  },
+  loading: {
+    marginVertical: spacing.lg,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingTop: spacing.xxl,
+    gap: spacing.sm,
+  },
+  emptyText: {
+    ...typography.body,
+    color: colors.text.secondary,
+  },
+});
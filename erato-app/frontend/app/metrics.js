@@ -21,6 +21,10 @@ const API_URL = Constants.expoConfig?.extra?.EXPO_PUBLIC_API_URL || process.env.
 const { width } = Dimensions.get('window');
 const IS_SMALL_SCREEN = width < 400;
 
+// Ratios from the analytics API are 0-1, or null when there was nothing to measure
+const formatRate = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+const formatMoney = (value) => `$${(value || 0).toFixed(2)}`;
+
 export default function MetricsScreen() {
   const { token, user } = useAuthStore();
   const { profile } = useProfileStore();
@@ -32,119 +36,96 @@ export default function MetricsScreen() {
     pending: 0,
     in_progress: 0,
     completed: 0,
-    totalRevenue: 0
   });
-  const [clientStats, setClientStats] = useState(null);
+  const [analytics, setAnalytics] = useState(null);
 
   const isArtist = profile?.artist !== null && profile?.artist !== undefined;
 
-  // Load commission stats for artists
+  // Status counts for commissions received (artists) or sent (clients)
   const loadCommissionStats = useCallback(async () => {
     if (!user?.id || !token) return;
 
-    if (!isArtist) return;
-
     try {
       const response = await axios.get(
-        `${API_URL}/commissions?artist_id=${user.id}`,
-        { headers: { Authorization: `Bearer ${token}` } }
+        `${API_URL}/commissions`,
+        {
+          params: { type: isArtist ? 'received' : 'sent' },
+          headers: { Authorization: `Bearer ${token}` },
+        }
       );
 
       const commissions = response.data.commissions || [];
-      const stats = {
+      setCommissionStats({
         total: commissions.length,
         pending: commissions.filter(c => c.status === 'pending').length,
         in_progress: commissions.filter(c => c.status === 'in_progress' || c.status === 'accepted').length,
         completed: commissions.filter(c => c.status === 'completed').length,
-        totalRevenue: commissions
-          .filter(c => c.status === 'completed' && c.final_price)
-          .reduce((sum, c) => sum + parseFloat(c.final_price || 0), 0),
-      };
-      setCommissionStats(stats);
+      });
     } catch (error) {
       console.log('Error loading commission stats:', error);
     }
   }, [user?.id, token, isArtist]);
 
-  // Load client stats
-  const loadClientStats = useCallback(async () => {
-    if (!user?.id || !token || isArtist) return;
+  // Earnings and business metrics for the last 30 days. Revenue comes from
+  // payments, fees, tips and refunds on the server, not from quoted prices.
+  const loadAnalytics = useCallback(async () => {
+    if (!user?.id || !token || !isArtist) return;
 
     try {
-      const statsResponse = await axios.get(
-        `${API_URL}/users/${user.id}/stats`,
+      // An artist's id is their user id
+      const response = await axios.get(
+        `${API_URL}/analytics/artists/${user.id}`,
         { headers: { Authorization: `Bearer ${token}` } }
       );
-      setClientStats(statsResponse.data);
+      setAnalytics(response.data);
     } catch (error) {
-      console.log('Error loading client stats:', error);
+      console.log('Error loading analytics:', error);
     }
   }, [user?.id, token, isArtist]);
 
-  // Load engagement metrics
+  // Artwork engagement (artists only)
   const loadEngagementMetrics = useCallback(async () => {
-    if (!token || !user?.id) return;
+    if (!token || !user?.id || !isArtist) return;
 
     setLoadingEngagement(true);
     try {
-      if (isArtist) {
-        // Get the artist.id from the artists table using user_id
-        const artistResponse = await axios.get(
-          `${API_URL}/artists?user_id=${user.id}`,
-          { headers: { Authorization: `Bearer ${token}` } }
-        );
-
-        const artists = artistResponse.data?.artists || artistResponse.data || [];
-        if (artists.length === 0) {
-          setLoadingEngagement(false);
-          return;
-        }
+      // Get the artist.id from the artists table using user_id
+      const artistResponse = await axios.get(
+        `${API_URL}/artists?user_id=${user.id}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
 
-        const artistId = artists[0].id || artists[0].user_id;
-        if (!artistId) {
-          setLoadingEngagement(false);
-          return;
-        }
+      const artists = artistResponse.data?.artists || artistResponse.data || [];
+      if (artists.length === 0) {
+        setLoadingEngagement(false);
+        return;
+      }
 
-        // Fetch engagement metrics using the artistId
-        const response = await axios.get(
-          `${API_URL}/engagement/artist/${artistId}/metrics`,
-          { headers: { Authorization: `Bearer ${token}` } }
-        );
+      const artistId = artists[0].id || artists[0].user_id;
+      if (!artistId) {
+        setLoadingEngagement(false);
+        return;
+      }
 
-        if (response.data?.success && response.data?.data) {
-          const metrics = response.data.data;
-          setEngagementMetrics({
-            total_artworks: metrics.total_artworks || 0,
-            total_views: metrics.total_views || 0,
-            total_clicks: metrics.total_clicks || 0,
-            total_likes: metrics.total_likes || 0,
-            total_saves: metrics.total_saves || 0,
-            total_shares: metrics.total_shares || 0,
-            total_commission_inquiries: metrics.total_commission_inquiries || 0,
-            average_engagement_score: metrics.average_engagement_score || 0,
-            top_artworks: metrics.top_artworks || [],
-          });
-        }
-      } else {
-        // Client engagement metrics
-        const response = await axios.get(
-          `${API_URL}/engagement/user/${user.id}/metrics`,
-          { headers: { Authorization: `Bearer ${token}` } }
-        );
+      // Fetch engagement metrics using the artistId
+      const response = await axios.get(
+        `${API_URL}/engagement/artist/${artistId}/metrics`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
 
-        if (response.data?.success && response.data?.data) {
-          const metrics = response.data.data;
-          setEngagementMetrics({
-            unique_artworks: metrics.unique_artworks || 0,
-            unique_artists: metrics.unique_artists || 0,
-            total_views: metrics.total_views || 0,
-            total_likes: metrics.total_likes || 0,
-            total_saves: metrics.total_saves || 0,
-            total_commission_inquiries: metrics.total_commission_inquiries || 0,
-            top_artworks: metrics.top_artworks || [],
-          });
-        }
+      if (response.data?.success && response.data?.data) {
+        const metrics = response.data.data;
+        setEngagementMetrics({
+          total_artworks: metrics.total_artworks || 0,
+          total_views: metrics.total_views || 0,
+          total_clicks: metrics.total_clicks || 0,
+          total_likes: metrics.total_likes || 0,
+          total_saves: metrics.total_saves || 0,
+          total_shares: metrics.total_shares || 0,
+          total_commission_inquiries: metrics.total_commission_inquiries || 0,
+          average_engagement_score: metrics.average_engagement_score || 0,
+          top_artworks: metrics.top_artworks || [],
+        });
       }
     } catch (error) {
       console.log('Error loading engagement metrics:', error);
@@ -157,22 +138,24 @@ export default function MetricsScreen() {
     setRefreshing(true);
     await Promise.all([
       loadCommissionStats(),
-      loadClientStats(),
+      loadAnalytics(),
       loadEngagementMetrics(),
     ]);
     setRefreshing(false);
-  }, [loadCommissionStats, loadClientStats, loadEngagementMetrics]);
+  }, [loadCommissionStats, loadAnalytics, loadEngagementMetrics]);
 
   useFocusEffect(
     useCallback(() => {
       if (user?.id) {
         loadCommissionStats();
-        loadClientStats();
+        loadAnalytics();
         loadEngagementMetrics();
       }
-    }, [user?.id, loadCommissionStats, loadClientStats, loadEngagementMetrics])
+    }, [user?.id, loadCommissionStats, loadAnalytics, loadEngagementMetrics])
   );
 
+  const summary = analytics?.summary;
+
   return (
     <View style={styles.container}>
       {/* Header */}
@@ -208,21 +191,85 @@ export default function MetricsScreen() {
               <Text style={styles.overviewTitle}>Overview</Text>
               <View style={styles.overviewGrid}>
                 <View style={styles.overviewCard}>
-                  <Text style={styles.overviewCardValue}>
-                    {isArtist ? commissionStats.total : (clientStats?.total_commissions || 0)}
-                  </Text>
+                  <Text style={styles.overviewCardValue}>{commissionStats.total}</Text>
                   <Text style={styles.overviewCardLabel}>Commissions</Text>
                 </View>
 
-                {isArtist && commissionStats.totalRevenue > 0 && (
+                {isArtist && summary && (
                   <View style={styles.overviewCard}>
-                    <Text style={styles.overviewCardValue}>${commissionStats.totalRevenue.toFixed(0)}</Text>
-                    <Text style={styles.overviewCardLabel}>Revenue</Text>
+                    <Text style={styles.overviewCardValue}>${summary.net.toFixed(0)}</Text>
+                    <Text style={styles.overviewCardLabel}>Net, last 30 days</Text>
                   </View>
                 )}
               </View>
             </View>
 
+            {/* Earnings and performance (artists) */}
+            {isArtist && summary && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Last 30 Days</Text>
+                <View style={styles.metricsCard}>
+                  <View style={styles.statsGrid}>
+                    <View style={styles.statBox}>
+                      <Text style={styles.statBoxValue}>{formatRate(summary.acceptance_rate)}</Text>
+                      <Text style={styles.statBoxLabel}>Accepted</Text>
+                    </View>
+                    <View style={styles.statBox}>
+                      <Text style={styles.statBoxValue}>
+                        {summary.average_response_hours === null ? '—' : `${summary.average_response_hours}h`}
+                      </Text>
+                      <Text style={styles.statBoxLabel}>Avg. response</Text>
+                    </View>
+                  </View>
+                  <View style={styles.statsGrid}>
+                    <View style={styles.statBox}>
+                      <Text style={styles.statBoxValue}>{formatRate(summary.on_time_rate)}</Text>
+                      <Text style={styles.statBoxLabel}>On time</Text>
+                    </View>
+                    <View style={styles.statBox}>
+                      <Text style={styles.statBoxValue}>{formatRate(summary.repeat_client_rate)}</Text>
+                      <Text style={styles.statBoxLabel}>Repeat clients</Text>
+                    </View>
+                  </View>
+
+                  <View style={styles.financialStats}>
+                    <View style={styles.financialStatRow}>
+                      <Text style={styles.financialStatLabel}>Gross</Text>
+                      <Text style={styles.financialStatValue}>{formatMoney(summary.gross)}</Text>
+                    </View>
+                    <View style={styles.financialStatRow}>
+                      <Text style={styles.financialStatLabel}>Platform fees</Text>
+                      <Text style={styles.financialStatValue}>-{formatMoney(summary.platform_fees)}</Text>
+                    </View>
+                    <View style={styles.financialStatRow}>
+                      <Text style={styles.financialStatLabel}>Tips</Text>
+                      <Text style={styles.financialStatValue}>{formatMoney(summary.tips)}</Text>
+                    </View>
+                    <View style={styles.financialStatRow}>
+                      <Text style={styles.financialStatLabel}>Refunds</Text>
+                      <Text style={styles.financialStatValue}>-{formatMoney(summary.refunds)}</Text>
+                    </View>
+                    <View style={styles.financialStatRow}>
+                      <Text style={styles.financialStatLabel}>Net</Text>
+                      <Text style={styles.financialStatValue}>{formatMoney(summary.net)}</Text>
+                    </View>
+                    <View style={styles.financialStatRow}>
+                      <Text style={styles.financialStatLabel}>Avg. commission</Text>
+                      <Text style={styles.financialStatValue}>
+                        {summary.average_commission_value === null ? '—' : formatMoney(summary.average_commission_value)}
+                      </Text>
+                    </View>
+                    <View style={styles.financialStatRow}>
+                      <Text style={styles.financialStatLabel}>Views → requests → completed</Text>
+                      <Text style={styles.financialStatValue}>
+                        {analytics.funnel.artwork_views} → {analytics.funnel.requests} → {analytics.funnel.completed}
+                      </Text>
+                    </View>
+                  </View>
+                </View>
+              </View>
+            )}
+
             {/* Status Breakdown */}
             <View style={styles.section}>
               <Text style={styles.sectionTitle}>Commission Status</Text>
@@ -233,7 +280,7 @@ export default function MetricsScreen() {
                     <Text style={styles.statusLabel}>Pending</Text>
                   </View>
                   <Text style={[styles.statusValue, { color: colors.status.warning }]}>
-                    {isArtist ? commissionStats.pending : 0}
+                    {commissionStats.pending}
                   </Text>
                 </View>
 
@@ -243,7 +290,7 @@ export default function MetricsScreen() {
                     <Text style={styles.statusLabel}>In Progress</Text>
                   </View>
                   <Text style={[styles.statusValue, { color: colors.primary }]}>
-                    {isArtist ? commissionStats.in_progress : (clientStats?.active_commissions || 0)}
+                    {commissionStats.in_progress}
                   </Text>
                 </View>
 
@@ -253,7 +300,7 @@ export default function MetricsScreen() {
                     <Text style={styles.statusLabel}>Completed</Text>
                   </View>
                   <Text style={[styles.statusValue, { color: colors.status.success }]}>
-                    {isArtist ? commissionStats.completed : (clientStats?.completed_commissions || 0)}
+                    {commissionStats.completed}
                   </Text>
                 </View>
               </View>
@@ -45,6 +45,9 @@ export default function EditProfileScreen() {
   const [location, setLocation] = useState('');
   const [website, setWebsite] = useState('');
 
+  // Privacy
+  const [showOnlineStatus, setShowOnlineStatus] = useState(true);
+
   // Modal states
   const [showBannerPicker, setShowBannerPicker] = useState(false);
 
@@ -98,6 +101,8 @@ export default function EditProfileScreen() {
       // Load client-specific fields
       setLocation(user.location || '');
       setWebsite(user.website || '');
+
+      setShowOnlineStatus(user.show_online_status !== false);
     }
   }, [user?.id]);
 
@@ -191,6 +196,7 @@ export default function EditProfileScreen() {
         bio: bio || '',
         location: location || '',
         website: website || '',
+        show_online_status: showOnlineStatus,
       };
 
       console.log('📦 Update payload:', JSON.stringify(updatePayload, null, 2));
@@ -542,6 +548,25 @@ export default function EditProfileScreen() {
             </View>
           </View>
         </View>
+
+        {/* Privacy */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Privacy</Text>
+          <View style={styles.switchRow}>
+            <View style={styles.switchLabel}>
+              <Text style={styles.label}>Show when I'm online</Text>
+              <Text style={styles.sublabel}>
+                When off, others see you as offline and not when you were last active
+              </Text>
+            </View>
+            <Switch
+              value={showOnlineStatus}
+              onValueChange={setShowOnlineStatus}
+              trackColor={{ false: colors.border, true: colors.primary + '40' }}
+              thumbColor={showOnlineStatus ? colors.primary : colors.surfaceLight}
+            />
+          </View>
+        </View>
       </ScrollView>
 
       {/* Banner Image Picker Modal */}
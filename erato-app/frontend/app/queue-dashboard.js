@@ -28,6 +28,7 @@ export default function QueueDashboard() {
   const [queueData, setQueueData] = useState(null);
   const [autoPromote, setAutoPromote] = useState(false);
   const [updatingSettings, setUpdatingSettings] = useState(false);
+  const [updatingWaitlist, setUpdatingWaitlist] = useState(false);
 
   const loadQueueData = useCallback(async () => {
     if (!user?.id) return;
@@ -65,9 +66,9 @@ export default function QueueDashboard() {
   const toggleAutoPromote = async (value) => {
     setUpdatingSettings(true);
     try {
-      await axios.patch(
-        `${API_URL}/commissions/queue/settings`,
-        { auto_promote_waitlist: value },
+      await axios.put(
+        `${API_URL}/artists/settings`,
+        { settings: { auto_promote_waitlist: value } },
         { headers: { Authorization: `Bearer ${token}` } }
       );
 
@@ -89,6 +90,154 @@ export default function QueueDashboard() {
     }
   };
 
+  const updateWaitlist = async (request, successMessage) => {
+    setUpdatingWaitlist(true);
+    try {
+      await request();
+      await loadQueueData();
+      Toast.show({
+        type: 'success',
+        text1: 'Waitlist Updated',
+        text2: successMessage,
+      });
+    } catch (error) {
+      console.error('Error updating waitlist:', error);
+      Toast.show({
+        type: 'error',
+        text1: 'Update Failed',
+        text2: error.response?.data?.error || 'Please try again',
+      });
+    } finally {
+      setUpdatingWaitlist(false);
+    }
+  };
+
+  const moveWaitlistEntry = (commissionId, direction) => {
+    const ids = queueData.waitlist
+      .filter(entry => entry.queue_status === 'waitlist')
+      .map(entry => entry.id);
+    const from = ids.indexOf(commissionId);
+    const to = from + direction;
+    if (from < 0 || to < 0 || to >= ids.length) return;
+
+    [ids[from], ids[to]] = [ids[to], ids[from]];
+    updateWaitlist(
+      () => axios.put(
+        `${API_URL}/commissions/queue/waitlist/order`,
+        { commission_ids: ids },
+        { headers: { Authorization: `Bearer ${token}` } }
+      ),
+      'Waitlist order saved'
+    );
+  };
+
+  const skipWaitlistEntry = (commissionId) => updateWaitlist(
+    () => axios.post(
+      `${API_URL}/commissions/queue/waitlist/${commissionId}/skip`,
+      {},
+      { headers: { Authorization: `Bearer ${token}` } }
+    ),
+    'Moved to the end of the waitlist'
+  );
+
+  const promoteWaitlistEntry = (commissionId) => updateWaitlist(
+    () => axios.post(
+      `${API_URL}/commissions/queue/waitlist/${commissionId}/promote`,
+      {},
+      { headers: { Authorization: `Bearer ${token}` } }
+    ),
+    'The client has been offered a slot'
+  );
+
+  const renderWaitlistCard = (entry, index, waitingCount) => (
+    <TouchableOpacity
+      key={entry.id}
+      style={styles.commissionCard}
+      onPress={() => router.push(`/commission/${entry.id}`)}
+    >
+      <View style={styles.cardHeader}>
+        <View style={styles.clientInfo}>
+          {entry.client?.avatar_url ? (
+            <Image
+              source={{ uri: entry.client.avatar_url }}
+              style={styles.avatar}
+            />
+          ) : (
+            <View style={[styles.avatar, styles.avatarPlaceholder]}>
+              <Ionicons name="person" size={20} color={colors.text.tertiary} />
+            </View>
+          )}
+          <View style={styles.clientDetails}>
+            <Text style={styles.clientName}>
+              {entry.client?.full_name || entry.client?.username || 'Client'}
+            </Text>
+            {entry.queue_status === 'promoted' ? (
+              <View style={styles.positionBadge}>
+                <Ionicons name="time-outline" size={12} color={colors.primary} />
+                <Text style={styles.positionText}>
+                  Slot held until {new Date(entry.promotion_expires_at).toLocaleString()}
+                </Text>
+              </View>
+            ) : (
+              <View style={styles.positionBadge}>
+                <Ionicons name="list" size={12} color={colors.primary} />
+                <Text style={styles.positionText}>Position #{entry.position}</Text>
+              </View>
+            )}
+          </View>
+        </View>
+      </View>
+
+      <View style={styles.cardFooter}>
+        <Text style={styles.date}>
+          Joined {new Date(entry.created_at).toLocaleDateString()}
+        </Text>
+        <View style={styles.waitlistActions}>
+          {entry.queue_status === 'waitlist' && (
+            <>
+              <TouchableOpacity
+                style={styles.waitlistButton}
+                disabled={updatingWaitlist || index === 0}
+                onPress={() => moveWaitlistEntry(entry.id, -1)}
+              >
+                <Ionicons
+                  name="arrow-up"
+                  size={16}
+                  color={index === 0 ? colors.text.disabled : colors.text.secondary}
+                />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.waitlistButton}
+                disabled={updatingWaitlist || index === waitingCount - 1}
+                onPress={() => moveWaitlistEntry(entry.id, 1)}
+              >
+                <Ionicons
+                  name="arrow-down"
+                  size={16}
+                  color={index === waitingCount - 1 ? colors.text.disabled : colors.text.secondary}
+                />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.waitlistButton}
+                disabled={updatingWaitlist}
+                onPress={() => promoteWaitlistEntry(entry.id)}
+              >
+                <Ionicons name="arrow-up-circle-outline" size={16} color={colors.primary} />
+              </TouchableOpacity>
+            </>
+          )}
+          <TouchableOpacity
+            style={styles.waitlistButton}
+            disabled={updatingWaitlist}
+            onPress={() => skipWaitlistEntry(entry.id)}
+          >
+            <Ionicons name="play-skip-forward-outline" size={16} color={colors.text.secondary} />
+          </TouchableOpacity>
+        </View>
+      </View>
+    </TouchableOpacity>
+  );
+
   const renderCommissionCard = (commission, showPosition = true) => (
     <TouchableOpacity
       key={commission.id}
@@ -170,6 +319,7 @@ export default function QueueDashboard() {
   }
 
   const { active_queue, pending_requests, waitlist, settings, stats } = queueData;
+  const waitingCount = waitlist.filter(entry => entry.queue_status === 'waitlist').length;
 
   return (
     <SafeAreaView style={styles.container}>
@@ -283,7 +433,7 @@ export default function QueueDashboard() {
                 <Text style={[styles.queueText, { color: colors.text.tertiary }]}>Waiting</Text>
               </View>
             </View>
-            {waitlist.map(commission => renderCommissionCard(commission, false))}
+            {waitlist.map(entry => renderWaitlistCard(entry, entry.position - 1, waitingCount))}
           </View>
         )}
       </ScrollView>
@@ -500,6 +650,16 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     textTransform: 'capitalize',
   },
+  waitlistActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+  },
+  waitlistButton: {
+    padding: spacing.xs,
+    borderRadius: borderRadius.sm,
+    backgroundColor: colors.surfaceLight,
+  },
   date: {
     ...typography.caption,
     color: colors.text.tertiary,
@@ -0,0 +1,107 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Image } from 'expo-image';
+import axios from 'axios';
+import Constants from 'expo-constants';
+import { useAuthStore } from '../store';
+import { colors, spacing, typography, DEFAULT_AVATAR } from '../constants/theme';
+
+const API_URL = Constants.expoConfig?.extra?.EXPO_PUBLIC_API_URL || process.env.EXPO_PUBLIC_API_URL;
+
+// Pick people to add to a group from the user's direct conversations. The
+// server only lets clients add artists they have chatted with, so this is
+// the list it would accept.
+export default function ContactPicker({ selectedIds, onToggle, excludeIds = [] }) {
+  const { token } = useAuthStore();
+  const [contacts, setContacts] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchContacts = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/messages/conversations`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        const people = new Map();
+        (response.data.conversations || [])
+          .filter(conv => !conv.is_group && conv.other_participant)
+          .forEach(conv => people.set(conv.other_participant.id, conv.other_participant));
+        setContacts([...people.values()]);
+      } catch (error) {
+        console.error('Error loading contacts:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchContacts();
+  }, [token]);
+
+  const available = contacts.filter(contact => !excludeIds.includes(contact.id));
+
+  if (loading) {
+    return <ActivityIndicator style={styles.loading} color={colors.primary} />;
+  }
+
+  if (available.length === 0) {
+    return <Text style={styles.emptyText}>No one else to add yet. Start a conversation first.</Text>;
+  }
+
+  return (
+    <View>
+      {available.map(contact => {
+        const selected = selectedIds.includes(contact.id);
+        return (
+          <TouchableOpacity key={contact.id} style={styles.contactRow} onPress={() => onToggle(contact.id)} activeOpacity={0.7}>
+            <Image source={{ uri: contact.avatar_url || DEFAULT_AVATAR }} style={styles.avatar} contentFit="cover" />
+            <View style={styles.contactText}>
+              <Text style={styles.contactName} numberOfLines={1}>{contact.username}</Text>
+              {!!contact.full_name && <Text style={styles.contactSubtext} numberOfLines={1}>{contact.full_name}</Text>}
+            </View>
+            <Ionicons
+              name={selected ? 'checkmark-circle' : 'ellipse-outline'}
+              size={24}
+              color={selected ? colors.primary : colors.text.disabled}
+            />
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  loading: {
+    marginVertical: spacing.lg,
+  },
+  emptyText: {
+    ...typography.body,
+    color: colors.text.secondary,
+    textAlign: 'center',
+    marginVertical: spacing.lg,
+  },
+  contactRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+  },
+  contactText: {
+    flex: 1,
+  },
+  contactName: {
+    ...typography.body,
+    color: colors.text.primary,
+    fontWeight: '600',
+  },
+  contactSubtext: {
+    ...typography.small,
+    color: colors.text.secondary,
+  },
+});
@@ -16,6 +16,18 @@ const ESCROW_STATUSES = {
     icon: 'checkmark-circle',
     color: colors.status.success,
   },
+  refund_pending: {
+    label: 'Refund Pending',
+    description: 'The commission was cancelled and held funds are awaiting a refund',
+    icon: 'hourglass-outline',
+    color: colors.status.warning,
+  },
+  disputed: {
+    label: 'Payment Disputed',
+    description: 'A chargeback was opened with the payment provider and funds are frozen until it is settled',
+    icon: 'alert-circle',
+    color: colors.status.error,
+  },
   refunded: {
     label: 'Refunded',
     description: 'Payment has been refunded',
@@ -13,6 +13,7 @@ import Constants from 'expo-constants';
 import Toast from 'react-native-toast-message';
 import { colors, spacing, typography, borderRadius } from '../constants/theme';
 import { useAuthStore } from '../store';
+import { initSocket, subscribe, EVENTS } from '../lib/socket';
 
 const API_URL = Constants.expoConfig?.extra?.EXPO_PUBLIC_API_URL || process.env.EXPO_PUBLIC_API_URL;
 
@@ -25,6 +26,16 @@ export default function MilestoneTracker({ commissionId, isClient = false, onPay
     fetchMilestones();
   }, [commissionId]);
 
+  // Reload when the other party edits, confirms or pays for the plan
+  useEffect(() => {
+    if (!token || !commissionId) return;
+
+    initSocket(token);
+    return subscribe(EVENTS.MILESTONE_UPDATED, ({ commission_id }) => {
+      if (commission_id === commissionId) fetchMilestones();
+    });
+  }, [commissionId, token]);
+
   const fetchMilestones = async () => {
     try {
       console.log('🔍 Fetching milestones for commission:', commissionId);
@@ -30,6 +30,11 @@ const STATUS_COLORS = {
   pending: colors.status.warning,
   failed: colors.status.error,
   refunded: colors.status.error,
+  partially_refunded: colors.status.warning,
+};
+
+const STATUS_LABELS = {
+  partially_refunded: 'Partially Refunded',
 };
 
 export default function TransactionHistory({ commissionId }) {
@@ -85,7 +90,7 @@ export default function TransactionHistory({ commissionId }) {
             </Text>
             <View style={[styles.statusBadge, { backgroundColor: statusColor + '20' }]}>
               <Text style={[styles.statusText, { color: statusColor }]}>
-                {item.status.charAt(0).toUpperCase() + item.status.slice(1)}
+                {STATUS_LABELS[item.status] || item.status.charAt(0).toUpperCase() + item.status.slice(1)}
               </Text>
             </View>
           </View>
@@ -95,6 +100,21 @@ export default function TransactionHistory({ commissionId }) {
           <Text style={styles.transactionDescription}>{item.description}</Text>
         )}
 
+        {item.transaction_type === 'refund' && item.refund_reason && (
+          <Text style={styles.refundNote}>Reason: {item.refund_reason}</Text>
+        )}
+
+        {item.transaction_type === 'refund' && item.status === 'failed' && item.failure_reason && (
+          <Text style={[styles.refundNote, styles.refundNoteError]}>{item.failure_reason}</Text>
+        )}
+
+        {parseFloat(item.refunded_amount) > 0 && (
+          <View style={styles.feeRow}>
+            <Text style={styles.feeLabel}>Refunded</Text>
+            <Text style={styles.feeValue}>-${parseFloat(item.refunded_amount).toFixed(2)}</Text>
+          </View>
+        )}
+
         {item.platform_fee > 0 && (
           <View style={styles.feeRow}>
             <Text style={styles.feeLabel}>Platform Fee (10%)</Text>
@@ -229,6 +249,14 @@ const styles = StyleSheet.create({
     borderTopWidth: 1,
     borderTopColor: colors.border,
   },
+  refundNote: {
+    ...typography.caption,
+    color: colors.text.secondary,
+    marginTop: spacing.xs,
+  },
+  refundNoteError: {
+    color: colors.status.error,
+  },
   feeRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
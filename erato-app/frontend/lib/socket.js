@@ -2,11 +2,71 @@ import { io } from 'socket.io-client';
 import Constants from 'expo-constants';
 
 // Socket.io connects to the base server URL (without /api)
-const SOCKET_URL = Constants.expoConfig?.extra?.EXPO_PUBLIC_SOCKET_URL || 
-                   process.env.EXPO_PUBLIC_SOCKET_URL || 
+const SOCKET_URL = Constants.expoConfig?.extra?.EXPO_PUBLIC_SOCKET_URL ||
+                   process.env.EXPO_PUBLIC_SOCKET_URL ||
                    'https://api.verrocio.com';
 
+// Event contract, kept in step with backend/src/utils/realtime.js. The
+// server refuses connections that send a different REALTIME_VERSION.
+export const REALTIME_VERSION = 1;
+
+/**
+ * Events the server emits. Each arrives as an envelope
+ * `{ v, type, at, data }`; subscribe() hands the handler `data`:
+ *
+ * - MESSAGE_NEW:       { conversation_id, message }
+ * - MESSAGE_UPDATED:   { conversation_id, message }   (edited)
+ * - MESSAGE_DELETED:   { conversation_id, message_id }
+ * - MESSAGE_REACTIONS: { conversation_id, message_id, reactions }
+ * - MESSAGE_DELIVERED: { conversation_id, user_id, delivered_at }
+ * - MESSAGE_READ:      { conversation_id, user_id, read_at }
+ * - CONVERSATION_UPDATED: { conversation_id, change, actor_id, user_ids, conversation }
+ *                      (group participants, roles or title changed)
+ * - COMMISSION_STATUS: { commission_id, status, previous_status, actor_role }
+ * - MILESTONE_UPDATED: { commission_id, milestone_id, change, milestone }
+ * - TYPING:            { conversation_id, user_id, is_typing }
+ * - PRESENCE:          { user_id, online, last_seen }
+ * - NOTIFICATION:      feed update
+ */
+export const EVENTS = {
+  MESSAGE_NEW: 'message:new',
+  MESSAGE_UPDATED: 'message:updated',
+  MESSAGE_DELETED: 'message:deleted',
+  MESSAGE_REACTIONS: 'message:reactions',
+  MESSAGE_DELIVERED: 'message:delivered',
+  MESSAGE_READ: 'message:read',
+  CONVERSATION_UPDATED: 'conversation:updated',
+  COMMISSION_STATUS: 'commission:status',
+  MILESTONE_UPDATED: 'milestone:updated',
+  TYPING: 'conversation:typing',
+  PRESENCE: 'presence:update',
+  NOTIFICATION: 'notification',
+};
+
+// Commands the client sends
+const COMMANDS = {
+  JOIN_CONVERSATION: 'conversation:join',
+  LEAVE_CONVERSATION: 'conversation:leave',
+  TYPING: 'conversation:typing',
+  ACKNOWLEDGE_DELIVERY: 'message:delivered',
+};
+
 let socket = null;
+let socketToken = null;
+
+// Conversation rooms to rejoin after a reconnect, with the onJoin callback
+// of each screen holding one
+const joinedConversations = new Map();
+
+const emitJoin = (conversationId) => {
+  socket.emit(COMMANDS.JOIN_CONVERSATION, conversationId, (reply) => {
+    if (reply?.error) {
+      console.warn(`Could not join conversation ${conversationId}:`, reply.error);
+      return;
+    }
+    joinedConversations.get(conversationId)?.forEach(onJoin => onJoin?.(reply));
+  });
+};
 
 /**
  * Initialize Socket.io connection
@@ -14,14 +74,23 @@ let socket = null;
  * @returns {Socket} Socket.io instance
  */
 export const initSocket = (token) => {
-  if (socket?.connected) {
+  // The server knows a socket by the token it connected with
+  if (socket && socketToken !== token) {
+    disconnectSocket();
+  }
+
+  if (socket) {
+    // Gave up reconnecting: try again now that a screen needs it
+    if (!socket.connected && !socket.active) socket.connect();
     return socket;
   }
 
+  socketToken = token;
   socket = io(SOCKET_URL, {
     transports: ['websocket', 'polling'],
     auth: {
-      token: token
+      token,
+      version: REALTIME_VERSION,
     },
     reconnection: true,
     reconnectionDelay: 1000,
@@ -30,6 +99,8 @@ export const initSocket = (token) => {
 
   socket.on('connect', () => {
     console.log('Socket connected:', socket.id);
+    // Rooms don't survive a reconnect
+    joinedConversations.forEach((holders, conversationId) => emitJoin(conversationId));
   });
 
   socket.on('disconnect', () => {
@@ -37,7 +108,11 @@ export const initSocket = (token) => {
   });
 
   socket.on('connect_error', (error) => {
-    console.error('Socket connection error:', error);
+    if (error?.data?.version) {
+      console.error(`Realtime protocol v${error.data.version} required, this app speaks v${REALTIME_VERSION}`);
+    } else {
+      console.error('Socket connection error:', error);
+    }
   });
 
   return socket;
@@ -51,6 +126,74 @@ export const getSocket = () => {
   return socket;
 };
 
+/**
+ * Listen for one of EVENTS. Envelopes from another protocol version are
+ * dropped.
+ * @param {string} event - One of EVENTS
+ * @param {(data: object, envelope: object) => void} handler
+ * @returns {() => void} Removes this handler only
+ */
+export const subscribe = (event, handler) => {
+  if (!socket) return () => {};
+
+  const listener = (envelope) => {
+    if (envelope?.v !== REALTIME_VERSION) return;
+    handler(envelope.data, envelope);
+  };
+
+  const current = socket;
+  current.on(event, listener);
+  return () => current.off(event, listener);
+};
+
+/**
+ * Join a conversation's room to receive its typing indicators and read
+ * receipts. The server only admits participants.
+ * @param {string} conversationId
+ * @param {(reply: { ok: true, presence: object[] }) => void} [onJoin] - Called
+ *   on every successful (re)join with the other participants' presence
+ * @returns {() => void} Leaves the room again
+ */
+export const joinConversation = (conversationId, onJoin) => {
+  if (!socket || !conversationId) return () => {};
+
+  // Each call is its own holder, even with the same callback
+  const holder = (reply) => onJoin?.(reply);
+  if (!joinedConversations.has(conversationId)) joinedConversations.set(conversationId, new Set());
+  joinedConversations.get(conversationId).add(holder);
+  if (socket.connected) {
+    socket.emit(COMMANDS.JOIN_CONVERSATION, conversationId, (reply) => {
+      if (reply?.error) console.warn(`Could not join conversation ${conversationId}:`, reply.error);
+      else holder(reply);
+    });
+  }
+
+  const current = socket;
+  return () => {
+    const holders = joinedConversations.get(conversationId);
+    if (!holders) return;
+    holders.delete(holder);
+    if (holders.size > 0) return;
+    joinedConversations.delete(conversationId);
+    current.emit(COMMANDS.LEAVE_CONVERSATION, conversationId);
+  };
+};
+
+/**
+ * Tell the sender a message reached this device. Messages read through the
+ * API count as delivered without this.
+ */
+export const acknowledgeDelivery = (conversationId, messageId) => {
+  socket?.emit(COMMANDS.ACKNOWLEDGE_DELIVERY, { conversationId, messageId });
+};
+
+/**
+ * Tell the other participants whether the current user is typing.
+ */
+export const sendTyping = (conversationId, isTyping) => {
+  socket?.emit(COMMANDS.TYPING, { conversationId, isTyping });
+};
+
 /**
  * Disconnect socket
  */
@@ -58,9 +201,9 @@ export const disconnectSocket = () => {
   if (socket) {
     socket.disconnect();
     socket = null;
+    socketToken = null;
+    joinedConversations.clear();
   }
 };
 
 export default socket;
-
-